@@ -26,6 +26,15 @@ module.exports = function (grunt) {
                 src: [
                     'src/modules/expression-backend.js',
                     'src/modules/cursor.js',
+                    'src/modules/latex-parser.js',
+                    'src/modules/asciimath-parser.js',
+                    'src/modules/semantic-tree.js',
+                    'src/modules/speech.js',
+                    'src/modules/evaluator.js',
+                    'src/modules/answer-checker.js',
+                    'src/modules/sympy-export.js',
+                    'src/modules/traversal.js',
+                    'src/modules/expression-diff.js',
                     'src/modules/ui.js',
                 ],
                 dest: 'src/mjxgui.js',
@@ -34,6 +43,15 @@ module.exports = function (grunt) {
                 src: [
                     'src/modules/expression-backend.js',
                     'src/modules/cursor.js',
+                    'src/modules/latex-parser.js',
+                    'src/modules/asciimath-parser.js',
+                    'src/modules/semantic-tree.js',
+                    'src/modules/speech.js',
+                    'src/modules/evaluator.js',
+                    'src/modules/answer-checker.js',
+                    'src/modules/sympy-export.js',
+                    'src/modules/traversal.js',
+                    'src/modules/expression-diff.js',
                     'src/modules/ui.js',
                 ],
                 dest: 'docs/js/mjxgui.js',
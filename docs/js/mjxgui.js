@@ -1,11 +1,1005 @@
 // Builds the expression/equation being typed in by the user
 // Exposes its API for the cursor module to use
 
+// Version of the JSON generated by Expression.toJSON(). Increment it if the
+// format changes.
+const expressionJSONVersion = 1;
+
+// Maps the type names used in JSON to component classes, so that
+// Component.fromJSON() knows which class to create. Classes added through
+// MJXGUI.registerFunction() are registered here as well.
+const componentRegistry = {};
+
+/**
+ * Registers a component class so that it can be restored from JSON.
+ * @param componentClass The component class to register
+ * @param type The name to record the class as in JSON. Defaults to the name of
+ * the class.
+ */
+function registerComponent(componentClass, type = componentClass.name) {
+    componentRegistry[type] = componentClass;
+}
+
+/**
+ * Returns the name a component class is recorded as in JSON
+ * @param componentClass The component class to look up
+ */
+function getComponentType(componentClass) {
+    for (let type in componentRegistry) {
+        if (componentRegistry[type] === componentClass) return type;
+    }
+    return componentClass.name;
+}
+
+// Unicode characters for the large operators generated by
+// TemplateThreeBlockComponent
+const largeOperatorUnicodeMap = {
+    sum: '∑',
+    int: '∫',
+    iint: '∬',
+    iiint: '∭',
+    oint: '∮',
+    prod: '∏',
+    coprod: '∐',
+    bigcup: '⋃',
+    bigcap: '⋂',
+    bigvee: '⋁',
+    bigwedge: '⋀',
+};
+
+/**
+ * Escapes the characters that have a special meaning in XML
+ * @param text The text to escape
+ */
+function escapeXML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wraps a component's LaTeX in a MathML <semantics> element. Used for
+ * components that have no MathML representation of their own.
+ * @param component The component to wrap
+ */
+function latexAnnotationMathML(component) {
+    const latex = escapeXML(component.toLatex());
+    const annotation = `<annotation encoding="application/x-tex">${latex}</annotation>`;
+    return `<semantics><mrow></mrow>${annotation}</semantics>`;
+}
+
+/**
+ * Returns true if the given serialization method of a component (like toMathML)
+ * is defined at least as far down the inheritance chain as toLatex(). Custom
+ * components that inherit from one of the built-in components usually override
+ * toLatex() only, in which case the inherited method would describe the wrong
+ * component.
+ * @param component The component to check
+ * @param method The name of the serialization method
+ */
+function implementsSerializer(component, method) {
+    let proto = Object.getPrototypeOf(component);
+    while (proto !== null && !proto.hasOwnProperty(method)) {
+        if (proto.hasOwnProperty('toLatex')) return false;
+        proto = Object.getPrototypeOf(proto);
+    }
+    return proto !== null;
+}
+
+/**
+ * Generates MathML for a component, falling back to latexAnnotationMathML() if
+ * the component does not implement toMathML() itself.
+ * @param component The component to generate MathML for
+ */
+function componentToMathML(component) {
+    if (!implementsSerializer(component, 'toMathML'))
+        return latexAnnotationMathML(component);
+    return component.toMathML();
+}
+
+/**
+ * Generates MathML for a list of components, joining consecutive digits into a
+ * single <mn>.
+ * @param components An array of components (and strings, in case of a block's
+ * children)
+ */
+function sequenceToMathML(components) {
+    let mathml = '';
+    let number = '';
+    for (let c of components) {
+        const char =
+            typeof c === 'string'
+                ? c
+                : c instanceof TextComponent
+                  ? c.toLatex()
+                  : null;
+        if (char !== null && /^[0-9.]$/.test(char)) {
+            number += char;
+            continue;
+        }
+        if (number) {
+            mathml += `<mn>${number}</mn>`;
+            number = '';
+        }
+        mathml +=
+            typeof c === 'string' ? textToMathML(c) : componentToMathML(c);
+    }
+    if (number) mathml += `<mn>${number}</mn>`;
+    return mathml;
+}
+
+// AsciiMath for the large operators generated by TemplateThreeBlockComponent.
+// AsciiMath has no coproduct, so it is written as its Unicode character.
+const largeOperatorAsciiMathMap = {
+    sum: 'sum',
+    int: 'int',
+    iint: 'iint',
+    iiint: 'iiint',
+    oint: 'oint',
+    prod: 'prod',
+    coprod: '∐',
+    bigcup: 'uuu',
+    bigcap: 'nnn',
+    bigvee: 'vvv',
+    bigwedge: '^^^',
+};
+
+/**
+ * Generates AsciiMath for a component. Components that do not implement
+ * toAsciiMath() are written as their LaTeX, quoted as AsciiMath text.
+ * @param component The component to generate AsciiMath for
+ */
+function componentToAsciiMath(component) {
+    if (!implementsSerializer(component, 'toAsciiMath'))
+        return `"${component.toLatex()}"`;
+    return component.toAsciiMath();
+}
+
+/**
+ * Generates AsciiMath for a list of components. Components are separated by
+ * spaces so that consecutive letters are not read as a single AsciiMath symbol
+ * (like "sin"), but the digits of a number are kept together.
+ * @param components An array of components (and strings, in case of a block's
+ * children)
+ */
+function sequenceToAsciiMath(components) {
+    let asciimath = '';
+    let previous = '';
+    for (let c of components) {
+        const current = typeof c === 'string' ? c : componentToAsciiMath(c);
+        if (
+            asciimath &&
+            !(/[0-9.]$/.test(previous) && /^[0-9.]$/.test(current))
+        ) {
+            asciimath += ' ';
+        }
+        asciimath += current;
+        previous = current;
+    }
+    return asciimath;
+}
+
+/**
+ * Generates AsciiMath for a block that is used as the base of a script or as
+ * the body of an operator. The block is wrapped in invisible brackets unless it
+ * is a single character or symbol, or a single matrix, whose rows are already
+ * in brackets.
+ * @param block The block to generate AsciiMath for
+ */
+function blockToAsciiMathGroup(block) {
+    const child = block.children[0];
+    if (
+        block.children.length === 1 &&
+        (child instanceof TextComponent ||
+            child instanceof MJXGUISymbol ||
+            child instanceof Matrix)
+    ) {
+        return block.toAsciiMath();
+    }
+    return `{:${block.toAsciiMath()}:}`;
+}
+
+/**
+ * Generates MathML for a single typed character
+ * @param char The character
+ */
+function textToMathML(char) {
+    if (/^[0-9]+$/.test(char)) return `<mn>${char}</mn>`;
+    if (/^[a-zA-Z]+$/.test(char)) return `<mi>${char}</mi>`;
+    return `<mo>${escapeXML(char)}</mo>`;
+}
+
+/**
+ * Returns true if a character is a letter or a letter-like symbol (like π or
+ * ∞), which is read as a variable or constant rather than as an operator
+ * @param char The character
+ */
+function isLetterLike(char) {
+    return /^[\u0370-\u03ff∂ℏℜ∞A-Za-z]$/.test(char);
+}
+
+// Unicode superscript and subscript forms of the characters that have one. Only
+// letters that are commonly used as exponents are included, since the other
+// superscript letters render inconsistently.
+const unicodeSuperscriptMap = {
+    0: '⁰',
+    1: '¹',
+    2: '²',
+    3: '³',
+    4: '⁴',
+    5: '⁵',
+    6: '⁶',
+    7: '⁷',
+    8: '⁸',
+    9: '⁹',
+    '+': '⁺',
+    '-': '⁻',
+    '=': '⁼',
+    '(': '⁽',
+    ')': '⁾',
+    n: 'ⁿ',
+    i: 'ⁱ',
+};
+const unicodeSubscriptMap = {
+    0: '₀',
+    1: '₁',
+    2: '₂',
+    3: '₃',
+    4: '₄',
+    5: '₅',
+    6: '₆',
+    7: '₇',
+    8: '₈',
+    9: '₉',
+    '+': '₊',
+    '-': '₋',
+    '=': '₌',
+    '(': '₍',
+    ')': '₎',
+};
+
+/**
+ * Generates the Unicode linear format for a component. Components that do not
+ * implement toUnicode() are written as their LaTeX.
+ * @param component The component to generate the linear format for
+ */
+function componentToUnicode(component) {
+    if (!implementsSerializer(component, 'toUnicode'))
+        return component.toLatex();
+    return component.toUnicode();
+}
+
+/**
+ * Generates the Unicode linear format for a list of components
+ * @param components An array of components (and strings, in case of a block's
+ * children)
+ */
+function sequenceToUnicode(components) {
+    let unicode = '';
+    for (let c of components) {
+        unicode += typeof c === 'string' ? c : componentToUnicode(c);
+    }
+    return unicode;
+}
+
+/**
+ * Returns true if a component is read as a single operand in the linear format,
+ * so that it does not need parentheses around it when it is part of a fraction
+ * or the base of a script.
+ * @param component The component to check
+ */
+function isUnicodeOperand(component) {
+    if (component instanceof TextComponent) {
+        const char = component.toLatex();
+        return /^[0-9.]$/.test(char) || isLetterLike(char);
+    }
+    if (component instanceof MJXGUISymbol) {
+        const char = symbolLatexToUnicode(component.latexData);
+        return char !== null && isLetterLike(char);
+    }
+    return [Sqrt, NthRoot, Superscript, Subscript, SubSupRight, FrameBox].some(
+        componentClass => component.constructor === componentClass,
+    );
+}
+
+/**
+ * Returns true if text is completely enclosed by a single pair of matching
+ * parentheses
+ * @param text The text to check
+ */
+function isParenthesized(text) {
+    if (!text.startsWith('(') || !text.endsWith(')')) return false;
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        if (depth === 0 && i < text.length - 1) return false;
+    }
+    return true;
+}
+
+/**
+ * Generates the Unicode linear format for a block that is used as an operand,
+ * like the numerator of a fraction. The block is wrapped in parentheses only if
+ * it would otherwise be read ambiguously.
+ * @param block The block to generate the linear format for
+ * @param single Whether the block must read as a single term, like the base of
+ * a script. A product like 2a is an operand of a fraction, but not of an
+ * exponent.
+ */
+function blockToUnicodeOperand(block, single = false) {
+    const unicode = block.toUnicode();
+    if (block.children.length === 0 || isParenthesized(unicode)) return unicode;
+    let needsParentheses = !block.children.every(
+        c => typeof c === 'string' || isUnicodeOperand(c),
+    );
+    if (single && !/^[0-9.]+$/.test(unicode)) {
+        const child = block.children[0];
+        needsParentheses =
+            needsParentheses ||
+            block.children.length > 1 ||
+            child instanceof Superscript ||
+            child instanceof Subscript ||
+            child instanceof SubSupRight;
+    }
+    return needsParentheses ? `(${unicode})` : unicode;
+}
+
+/**
+ * Generates the Unicode linear format for the body of a large operator or
+ * limit, which only needs parentheses if it is made up of more than one
+ * component
+ * @param block The block containing the body
+ */
+function blockToUnicodeBody(block) {
+    if (block.children.length === 1) return block.toUnicode();
+    return blockToUnicodeOperand(block);
+}
+
+/**
+ * Generates the Unicode linear format for a subscript or superscript. Unicode
+ * script characters are used if every character of the script has one,
+ * otherwise the script is written after a ^ or _.
+ * @param block The block containing the script
+ * @param scriptMap unicodeSuperscriptMap or unicodeSubscriptMap
+ * @param marker ^ for a superscript or _ for a subscript
+ */
+function scriptToUnicode(block, scriptMap, marker) {
+    const unicode = block.toUnicode();
+    if (unicode === '') return '';
+    const chars = [...unicode];
+    if (chars.every(char => char in scriptMap)) {
+        return chars.map(char => scriptMap[char]).join('');
+    }
+    if (chars.length === 1 || isParenthesized(unicode))
+        return `${marker}${unicode}`;
+    return `${marker}(${unicode})`;
+}
+
+// The delimiters around each LaTeX matrix environment, used by the MathML,
+// AsciiMath and linear format output of Matrix
+const matrixDelimiters = {
+    matrix: ['', ''],
+    pmatrix: ['(', ')'],
+    bmatrix: ['[', ']'],
+    Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'],
+};
+
+// The kinds of delimiters a Delimited component can have, mapped to the LaTeX
+// of their left and right delimiter
+const delimiterKinds = {
+    parentheses: ['(', ')'],
+    brackets: ['[', ']'],
+    braces: ['\\{', '\\}'],
+    angles: ['\\langle', '\\rangle'],
+    bars: ['|', '|'],
+    doubleBars: ['\\|', '\\|'],
+    floor: ['\\lfloor', '\\rfloor'],
+    ceil: ['\\lceil', '\\rceil'],
+    none: ['.', '.'],
+};
+
+// The characters of the delimiters of a Delimited component, used by the MathML
+// and linear format output
+const delimiterUnicodeMap = {
+    '(': '(',
+    ')': ')',
+    '[': '[',
+    ']': ']',
+    '\\{': '{',
+    '\\}': '}',
+    '\\langle': '⟨',
+    '\\rangle': '⟩',
+    '|': '|',
+    '\\|': '‖',
+    '\\lfloor': '⌊',
+    '\\rfloor': '⌋',
+    '\\lceil': '⌈',
+    '\\rceil': '⌉',
+    '.': '',
+};
+
+// AsciiMath for the delimiters of a Delimited component. The invisible
+// delimiter . is written as {: or :} and a bar as |: or :| depending on the
+// side it is on.
+const delimiterAsciiMathMap = {
+    '(': '(',
+    ')': ')',
+    '[': '[',
+    ']': ']',
+    '\\{': '{',
+    '\\}': '}',
+    '\\langle': '(:',
+    '\\rangle': ':)',
+    '|': '|',
+    '\\|': '||',
+    '\\lfloor': '|__',
+    '\\rfloor': '__|',
+    '\\lceil': '|~',
+    '\\rceil': '~|',
+};
+
+// The accents of an Accent component. mathML is the character drawn over the
+// block, asciiMath the name of the AsciiMath function, unicode the combining
+// character used by the linear format, and identifier the suffix of the name of
+// an accented variable, which follows SymPy's naming of symbols like "xhat"
+const accentMap = {
+    hat: {
+        mathML: '^',
+        asciiMath: 'hat',
+        unicode: '\u0302',
+        identifier: 'hat',
+    },
+    bar: {
+        mathML: '¯',
+        asciiMath: 'bar',
+        unicode: '\u0304',
+        identifier: 'bar',
+    },
+    vec: {
+        mathML: '→',
+        asciiMath: 'vec',
+        unicode: '\u20D7',
+        identifier: 'vec',
+    },
+    dot: {
+        mathML: '˙',
+        asciiMath: 'dot',
+        unicode: '\u0307',
+        identifier: 'dot',
+    },
+    ddot: {
+        mathML: '¨',
+        asciiMath: 'ddot',
+        unicode: '\u0308',
+        identifier: 'ddot',
+    },
+    tilde: {
+        mathML: '~',
+        asciiMath: 'tilde',
+        unicode: '\u0303',
+        identifier: 'tilde',
+    },
+    overline: {
+        mathML: '‾',
+        asciiMath: 'overline',
+        unicode: '\u0305',
+        identifier: 'bar',
+        stretchy: true,
+    },
+    overrightarrow: {
+        mathML: '→',
+        asciiMath: 'vec',
+        unicode: '\u20D7',
+        identifier: 'vec',
+        stretchy: true,
+    },
+};
+
+// The math font styles of a FontStyle component. mathvariant is the MathML
+// equivalent, asciiMath the name of the AsciiMath function, identifier the
+// suffix of the name of a styled variable, following SymPy's naming of symbols
+// like "vbold", and word how the style is read. upper, lower and digit are the
+// code points of the styled A, a and 0 among Unicode's mathematical
+// alphanumeric symbols, and exceptions the letters that are elsewhere.
+const fontStyleMap = {
+    mathbb: {
+        mathvariant: 'double-struck',
+        asciiMath: 'bbb',
+        identifier: 'bb',
+        word: 'blackboard bold',
+        upper: 0x1d538,
+        lower: 0x1d552,
+        digit: 0x1d7d8,
+        exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+    },
+    mathbf: {
+        mathvariant: 'bold',
+        asciiMath: 'bb',
+        identifier: 'bold',
+        word: 'bold',
+        upper: 0x1d400,
+        lower: 0x1d41a,
+        digit: 0x1d7ce,
+        exceptions: {},
+    },
+    mathcal: {
+        mathvariant: 'script',
+        asciiMath: 'cc',
+        identifier: 'cal',
+        word: 'calligraphic',
+        upper: 0x1d49c,
+        lower: 0x1d4b6,
+        digit: null,
+        exceptions: {
+            B: 'ℬ',
+            E: 'ℰ',
+            F: 'ℱ',
+            H: 'ℋ',
+            I: 'ℐ',
+            L: 'ℒ',
+            M: 'ℳ',
+            R: 'ℛ',
+            e: 'ℯ',
+            g: 'ℊ',
+            o: 'ℴ',
+        },
+    },
+    mathfrak: {
+        mathvariant: 'fraktur',
+        asciiMath: 'fr',
+        identifier: 'frak',
+        word: 'fraktur',
+        upper: 0x1d504,
+        lower: 0x1d51e,
+        digit: null,
+        exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+    },
+    mathrm: {
+        mathvariant: 'normal',
+        asciiMath: 'rm',
+        identifier: '',
+        word: 'roman',
+        upper: null,
+        lower: null,
+        digit: null,
+        exceptions: {},
+    },
+};
+
+/**
+ * Replaces the ASCII letters and digits in some text with their styled versions
+ * from Unicode's mathematical alphanumeric symbols, like ℝ for R in the mathbb
+ * style. Other characters are kept as they are.
+ * @param text The text to style
+ * @param style The name of the style, one of the keys of fontStyleMap
+ */
+function styleToUnicode(text, style) {
+    const { upper, lower, digit, exceptions } = fontStyleMap[style];
+    return [...text]
+        .map(char => {
+            if (char in exceptions) return exceptions[char];
+            let base = null;
+            if (/[A-Z]/.test(char))
+                base = upper === null ? null : upper + char.charCodeAt(0) - 65;
+            if (/[a-z]/.test(char))
+                base = lower === null ? null : lower + char.charCodeAt(0) - 97;
+            if (/[0-9]/.test(char))
+                base = digit === null ? null : digit + char.charCodeAt(0) - 48;
+            return base === null ? char : String.fromCodePoint(base);
+        })
+        .join('');
+}
+
+/**
+ * Returns the arguments that select a color in \color and \colorbox. Colors are
+ * either names known to both LaTeX and MathJax, like "red", or hexadecimal RGB
+ * values like "#1A73E8", which use xcolor's HTML model.
+ * @param color The name or hexadecimal value of the color
+ */
+function colorToLatex(color) {
+    if (/^#[0-9a-fA-F]{6}$/.test(color)) return `[HTML]{${color.slice(1)}}`;
+    return `{${color}}`;
+}
+
+// The differential symbol of each kind of derivative, used by Derivative and
+// PartialDerivative
+const differentialSymbols = {
+    d: {
+        latex: 'd',
+        mathML: '<mi mathvariant="normal">d</mi>',
+        asciiMath: 'd',
+        unicode: 'd',
+    },
+    partial: {
+        latex: '\\partial',
+        mathML: '<mo>∂</mo>',
+        asciiMath: 'del',
+        unicode: '∂',
+    },
+};
+
+/**
+ * Returns the terms of the total order of a derivative with respect to several
+ * variables, which is the sum of the order of each variable. Numeric orders are
+ * added up into a single number at the end, and an empty order counts as 1, so
+ * the orders 2 and 1 have the terms [3], and n and 1 have the terms [n, 1]. An
+ * order the cursor is in (which the editor puts in a FrameBox) is left out, so
+ * the caret isn't shown twice.
+ * @param orders The order block of each variable
+ */
+function derivativeOrderTerms(orders) {
+    const terms = [];
+    let number = 0;
+    for (let order of orders) {
+        if (order instanceof FrameBox) continue;
+        const latex = order.toLatex();
+        if (latex === '') number++;
+        else if (/^[0-9]+$/.test(latex)) number += Number(latex);
+        else terms.push(order);
+    }
+    return number === 0 ? terms : [...terms, number];
+}
+
+/**
+ * Returns true if an order block is empty or 1, which is the order of a first
+ * derivative and isn't written
+ * @param order The order block
+ */
+function isFirstOrder(order) {
+    return ['', '1'].includes(order.toLatex());
+}
+
+// Characters that have to be escaped inside \text{}, mapped to their escaped
+// LaTeX
+const textModeEscapes = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    $: '\\$',
+    '#': '\\#',
+    '%': '\\%',
+    '&': '\\&',
+    _: '\\_',
+    '^': '\\^{}',
+    '~': '\\~{}',
+};
+
+/**
+ * Escapes the characters of some text that LaTeX treats specially in text mode.
+ * @param text The text to escape
+ */
+function escapeTextMode(text) {
+    return [...text].map(char => textModeEscapes[char] ?? char).join('');
+}
+
+/**
+ * Splits the children of the block of a TextRun into strings, one for each run
+ * of consecutive characters, and the other components between them
+ * @param block The block of the TextRun
+ */
+function textRunPieces(block) {
+    const pieces = [];
+    for (let child of block.children) {
+        // The characters are read from the block of each TextComponent, since
+        // its LaTeX leaves out spaces
+        const text =
+            child instanceof TextComponent
+                ? child.blocks[0].children.join('')
+                : null;
+        if (text === null) {
+            pieces.push(child);
+        } else if (typeof pieces[pieces.length - 1] === 'string') {
+            pieces[pieces.length - 1] += text;
+        } else {
+            pieces.push(text);
+        }
+    }
+    return pieces;
+}
+
+// The reaction arrows of mhchem, mapped to the arrow they are drawn as
+const chemistryArrows = {
+    '->': '→',
+    '<-': '←',
+    '<->': '↔',
+    '<=>': '⇌',
+};
+
+// Words with a meaning of their own in an mhchem equation, other than the
+// arrows
+const chemistryWords = {
+    '+': { kind: 'plus', symbol: '+' },
+    '^': { kind: 'gas', symbol: '↑' },
+    v: { kind: 'precipitate', symbol: '↓' },
+};
+
+/**
+ * Splits the mhchem text of a ChemicalEquation, like "2H2 + O2 -> 2H2O(l)",
+ * into its words. Each word is an object with a kind, which is "arrow", "plus",
+ * "gas" or "precipitate" with the symbol it is drawn as, or "formula" with the
+ * atoms of the formula. Each atom has a kind ("element", "number", "bracket",
+ * "dot", "state" or "text"), its text, and its subscript and charge, which are
+ * empty if it has none.
+ * @param text The mhchem text
+ */
+function chemistryTokens(text) {
+    // Arrows don't need spaces around them to be read as arrows
+    const words = text
+        .replace(/<=>|<->|->|<-/g, ' $& ')
+        .split(/\s+/)
+        .filter(word => word !== '');
+    return words.map(word => {
+        if (word in chemistryArrows)
+            return { kind: 'arrow', symbol: chemistryArrows[word] };
+        if (word in chemistryWords) return chemistryWords[word];
+        return { kind: 'formula', atoms: chemistryFormulaAtoms(word) };
+    });
+}
+
+/**
+ * Splits a chemical formula, like "2SO4^2-", into atoms (see
+ * chemistryTokens()). Digits at the start are a coefficient and digits after an
+ * element or bracket are its subscript. A charge is written after a ^, like
+ * Fe^3+ or Fe^{3+}, or as a + or - at the end of the formula or before its
+ * state, like Na+ or Na+(aq).
+ * @param word The formula
+ */
+function chemistryFormulaAtoms(word) {
+    const atoms = [];
+    const atom = (kind, text) =>
+        atoms.push({ kind, text, subscript: '', charge: '' });
+    let position = 0;
+    while (position < word.length) {
+        const rest = word.slice(position);
+        const last = atoms[atoms.length - 1];
+        let match;
+        if ((match = /^\((aq|s|l|g)\)/.exec(rest))) {
+            atom('state', match[0]);
+        } else if ((match = /^[0-9]+/.exec(rest))) {
+            if (
+                last &&
+                ['element', 'bracket'].includes(last.kind) &&
+                last.text !== '(' &&
+                !last.subscript
+            ) {
+                last.subscript = match[0];
+            } else {
+                atom('number', match[0]);
+            }
+        } else if (
+            last &&
+            (match = /^\^(?:\{([^}]*)\}|([0-9]*[+-]|[0-9]+))/.exec(rest))
+        ) {
+            last.charge = match[1] ?? match[2];
+        } else if (last && (match = /^[+-](?=$|\((aq|s|l|g)\))/.exec(rest))) {
+            last.charge = match[0];
+        } else if ((match = /^[A-Z][a-z]?/.exec(rest))) {
+            atom('element', match[0]);
+        } else if ((match = /^[()[\]]/.exec(rest))) {
+            atom('bracket', match[0]);
+        } else if ((match = /^[*.·]/.exec(rest))) {
+            atom('dot', '·');
+        } else {
+            match = [rest[0]];
+            atom('text', rest[0]);
+        }
+        position += match[0].length;
+    }
+    return atoms;
+}
+
+// The SI prefixes, mapped to their LaTeX, their siunitx macro and their spoken
+// name
+const siPrefixes = {
+    Q: { latex: 'Q', siunitx: '\\quetta', name: 'quetta' },
+    R: { latex: 'R', siunitx: '\\ronna', name: 'ronna' },
+    Y: { latex: 'Y', siunitx: '\\yotta', name: 'yotta' },
+    Z: { latex: 'Z', siunitx: '\\zetta', name: 'zetta' },
+    E: { latex: 'E', siunitx: '\\exa', name: 'exa' },
+    P: { latex: 'P', siunitx: '\\peta', name: 'peta' },
+    T: { latex: 'T', siunitx: '\\tera', name: 'tera' },
+    G: { latex: 'G', siunitx: '\\giga', name: 'giga' },
+    M: { latex: 'M', siunitx: '\\mega', name: 'mega' },
+    k: { latex: 'k', siunitx: '\\kilo', name: 'kilo' },
+    h: { latex: 'h', siunitx: '\\hecto', name: 'hecto' },
+    da: { latex: 'da', siunitx: '\\deca', name: 'deca' },
+    d: { latex: 'd', siunitx: '\\deci', name: 'deci' },
+    c: { latex: 'c', siunitx: '\\centi', name: 'centi' },
+    m: { latex: 'm', siunitx: '\\milli', name: 'milli' },
+    µ: { latex: '\\mu ', siunitx: '\\micro', name: 'micro' },
+    n: { latex: 'n', siunitx: '\\nano', name: 'nano' },
+    p: { latex: 'p', siunitx: '\\pico', name: 'pico' },
+    f: { latex: 'f', siunitx: '\\femto', name: 'femto' },
+    a: { latex: 'a', siunitx: '\\atto', name: 'atto' },
+    z: { latex: 'z', siunitx: '\\zepto', name: 'zepto' },
+    y: { latex: 'y', siunitx: '\\yocto', name: 'yocto' },
+    r: { latex: 'r', siunitx: '\\ronto', name: 'ronto' },
+    q: { latex: 'q', siunitx: '\\quecto', name: 'quecto' },
+};
+
+// The SI base and derived units, and the units accepted for use with them,
+// mapped to their LaTeX, their siunitx macro and their spoken name. plural is
+// only given where it isn't the name followed by an s, and units marked with
+// prefixes: false can't have a prefix.
+const siUnits = {
+    m: { latex: 'm', siunitx: '\\meter', name: 'meter' },
+    g: { latex: 'g', siunitx: '\\gram', name: 'gram' },
+    s: { latex: 's', siunitx: '\\second', name: 'second' },
+    A: { latex: 'A', siunitx: '\\ampere', name: 'ampere' },
+    K: { latex: 'K', siunitx: '\\kelvin', name: 'kelvin' },
+    mol: { latex: 'mol', siunitx: '\\mole', name: 'mole' },
+    cd: { latex: 'cd', siunitx: '\\candela', name: 'candela' },
+    Hz: { latex: 'Hz', siunitx: '\\hertz', name: 'hertz', plural: 'hertz' },
+    N: { latex: 'N', siunitx: '\\newton', name: 'newton' },
+    Pa: { latex: 'Pa', siunitx: '\\pascal', name: 'pascal' },
+    J: { latex: 'J', siunitx: '\\joule', name: 'joule' },
+    W: { latex: 'W', siunitx: '\\watt', name: 'watt' },
+    C: { latex: 'C', siunitx: '\\coulomb', name: 'coulomb' },
+    V: { latex: 'V', siunitx: '\\volt', name: 'volt' },
+    F: { latex: 'F', siunitx: '\\farad', name: 'farad' },
+    Ω: { latex: '\\Omega ', siunitx: '\\ohm', name: 'ohm' },
+    S: { latex: 'S', siunitx: '\\siemens', name: 'siemens', plural: 'siemens' },
+    Wb: { latex: 'Wb', siunitx: '\\weber', name: 'weber' },
+    T: { latex: 'T', siunitx: '\\tesla', name: 'tesla' },
+    H: { latex: 'H', siunitx: '\\henry', name: 'henry', plural: 'henries' },
+    lm: { latex: 'lm', siunitx: '\\lumen', name: 'lumen' },
+    lx: { latex: 'lx', siunitx: '\\lux', name: 'lux', plural: 'lux' },
+    Bq: { latex: 'Bq', siunitx: '\\becquerel', name: 'becquerel' },
+    Gy: { latex: 'Gy', siunitx: '\\gray', name: 'gray' },
+    Sv: { latex: 'Sv', siunitx: '\\sievert', name: 'sievert' },
+    kat: { latex: 'kat', siunitx: '\\katal', name: 'katal' },
+    rad: { latex: 'rad', siunitx: '\\radian', name: 'radian' },
+    sr: { latex: 'sr', siunitx: '\\steradian', name: 'steradian' },
+    '°C': {
+        latex: '{}^{\\circ}C',
+        siunitx: '\\degreeCelsius',
+        name: 'degree Celsius',
+        plural: 'degrees Celsius',
+        prefixes: false,
+    },
+    L: { latex: 'L', siunitx: '\\liter', name: 'liter' },
+    t: { latex: 't', siunitx: '\\tonne', name: 'tonne', prefixes: false },
+    eV: { latex: 'eV', siunitx: '\\electronvolt', name: 'electronvolt' },
+    bar: { latex: 'bar', siunitx: '\\bar', name: 'bar' },
+    min: { latex: 'min', siunitx: '\\minute', name: 'minute', prefixes: false },
+    h: { latex: 'h', siunitx: '\\hour', name: 'hour', prefixes: false },
+    d: { latex: 'd', siunitx: '\\day', name: 'day', prefixes: false },
+    '°': {
+        latex: '{}^{\\circ}',
+        siunitx: '\\degree',
+        name: 'degree',
+        prefixes: false,
+    },
+    '%': {
+        latex: '\\%',
+        siunitx: '\\percent',
+        name: 'percent',
+        plural: 'percent',
+        prefixes: false,
+    },
+};
+
+// Other ways of typing some units and prefixes, mapped to their symbol. Both
+// the micro sign and the Greek letter mu are used for micro.
+const siUnitAliases = { ohm: 'Ω', degC: '°C', deg: '°', l: 'L' };
+const siPrefixAliases = { u: 'µ', μ: 'µ' };
+
+/**
+ * Splits the text of the unit block of a Quantity, like "kg m/s^2" or
+ * "m.s^{-2}", into units. Units are separated by spaces, dots or asterisks, a /
+ * makes the unit after it a divisor, and a power is written after a ^. Each
+ * unit is an object with its text as typed, its prefix and unit (keys of
+ * siPrefixes and siUnits, with the prefix '' if it has none) and its power as a
+ * number. The prefix and unit are null if the text isn't a known unit.
+ * @param text The text of the unit block
+ */
+function parseUnits(text) {
+    const words = text
+        .replace(/\s*\/\s*/g, ' /')
+        .split(/[\s.*·]+/)
+        .filter(word => word !== '');
+    return words.map(word => {
+        const match =
+            /^(\/?)([^^/]+)(?:\^(?:\{([+-]?[0-9]+)\}|([+-]?[0-9]+)))?$/.exec(
+                word,
+            );
+        const found = match && findUnit(match[2]);
+        if (!found) return { text: word, prefix: null, unit: null, power: 1 };
+        const power = Number(match[3] ?? match[4] ?? 1);
+        return { text: word, ...found, power: match[1] ? -power : power };
+    });
+}
+
+/**
+ * Looks up a unit symbol, like "km" or "mol", which can start with a prefix.
+ * Returns the prefix and unit, as in parseUnits(), or null if the symbol isn't
+ * a known unit.
+ * @param symbol The unit symbol
+ */
+function findUnit(symbol) {
+    symbol = siUnitAliases[symbol] ?? symbol;
+    // A symbol that is a unit on its own, like cd or Pa, isn't read as a prefix
+    // and a unit
+    if (symbol in siUnits) return { prefix: '', unit: symbol };
+    for (let prefix of [
+        ...Object.keys(siPrefixes),
+        ...Object.keys(siPrefixAliases),
+    ]) {
+        if (!symbol.startsWith(prefix)) continue;
+        const unit =
+            siUnitAliases[symbol.slice(prefix.length)] ??
+            symbol.slice(prefix.length);
+        if (unit in siUnits && siUnits[unit].prefixes !== false) {
+            return { prefix: siPrefixAliases[prefix] ?? prefix, unit };
+        }
+    }
+    return null;
+}
+
+/**
+ * Generates the siunitx macros for a unit returned by parseUnits(), like
+ * \per\kilo\meter\squared. Unknown units are written as typed, which siunitx
+ * reads as a literal unit.
+ * @param unit The unit
+ */
+function unitToSiunitx(unit) {
+    if (unit.unit === null) return unit.text;
+    const power = Math.abs(unit.power);
+    const prefix = siPrefixes[unit.prefix]?.siunitx ?? '';
+    let siunitx = `${unit.power < 0 ? '\\per' : ''}${prefix}${siUnits[unit.unit].siunitx}`;
+    if (power === 2) siunitx += '\\squared';
+    else if (power === 3) siunitx += '\\cubed';
+    else if (power !== 1) siunitx += `\\tothe{${power}}`;
+    return siunitx;
+}
+
+/**
+ * Generates the LaTeX shown in the editor, or in the preview of an equation
+ * input. MathJax has to be able to render it, so each Quantity is swapped for a
+ * symbol holding its preview LaTeX (see Quantity.toPreviewLatex()) while the
+ * LaTeX is generated, the way the cursor swaps in a FrameBox, and is put back
+ * afterwards.
+ * @param expression The Expression to generate LaTeX for
+ */
+function generatePreviewLatex(expression) {
+    const swaps = [];
+    const findQuantities = children => {
+        children.forEach((child, index) => {
+            if (!(child instanceof Component)) return;
+            if (child instanceof Quantity)
+                swaps.push({ children, index, quantity: child });
+            else child.blocks.forEach(findInBlock);
+        });
+    };
+    // The block the cursor is in is wrapped in a FrameBox in place of the block
+    const findInBlock = block =>
+        block instanceof Block
+            ? findQuantities(block.children)
+            : block.blocks.forEach(findInBlock);
+    findQuantities(expression.components);
+    for (let { children, index, quantity } of swaps) {
+        children[index] = new MJXGUISymbol(
+            quantity.parent,
+            quantity.toPreviewLatex(),
+        );
+    }
+    try {
+        return expression.toLatex();
+    } finally {
+        for (let { children, index, quantity } of swaps)
+            children[index] = quantity;
+    }
+}
+
 /**
  * @class
  * Thin wrapper around the Component class that collects all the components together in an Expression
  * that can be easily rendered and converted to LaTeX.
-**/
+ **/
 class Expression {
     constructor(nestingDepth = 0) {
         this.components = [];
@@ -18,7 +1012,7 @@ class Expression {
         this.components.splice(position, 0, component);
     }
 
-    remove(position = this.components.length-1) {
+    remove(position = this.components.length - 1) {
         // Remove the component at position in this Expression.
         // Defaults to removing the last component in this Expression
         this.components.splice(position, 1);
@@ -32,12 +1026,143 @@ class Expression {
         }
         return latex.trim();
     }
+
+    toMathML() {
+        // Generate presentation MathML from the components in this Expression
+        const namespace = 'http://www.w3.org/1998/Math/MathML';
+        const content = sequenceToMathML(this.components);
+        return `<math xmlns="${namespace}" display="block"><mrow>${content}</mrow></math>`;
+    }
+
+    toAsciiMath() {
+        // Generate AsciiMath from the components in this Expression
+        return sequenceToAsciiMath(this.components);
+    }
+
+    toUnicode() {
+        // Generate a plain text, linear format of the components in this
+        // Expression (similar to UnicodeMath), like x=(-b±√(b²-4ac))/2a
+        return sequenceToUnicode(this.components).trim();
+    }
+
+    evaluate(variables = {}) {
+        // Compute the numeric value of this Expression, like evaluate({ x: 2,
+        // theta: 0.5 }). Throws an EvaluationError if it can't be evaluated.
+        return new Evaluator(this, variables).evaluate();
+    }
+
+    toSymPy() {
+        // Generate a SymPy expression as Python code, like (x + 1)/(2). Throws
+        // a SymPyExportError if part of this Expression can't be converted.
+        return expressionToSymPy(this);
+    }
+
+    depthFirst() {
+        // Iterate over every component in this Expression, each one before the
+        // components inside it. Yields objects with the component, its path
+        // (like [2, 'blocks', 1, 3]) and its depth.
+        return depthFirstComponents(this);
+    }
+
+    breadthFirst() {
+        // Iterate over every component in this Expression, level by level.
+        // Yields the same objects as depthFirst().
+        return breadthFirstComponents(this);
+    }
+
+    visit(visitor) {
+        // Call the enter() and leave() hooks of visitor for every component,
+        // like visit({ Fraction: { enter(component, path) {}, leave(component,
+        // path) {} } })
+        visitExpression(this, visitor);
+    }
+
+    getAt(path) {
+        // Return the component, block or string at path, like [2, 'blocks', 1,
+        // 3], or undefined if there is none
+        return getAtPath(this, path);
+    }
+
+    replaceAt(path, node) {
+        // Replace the component, block or string at path with node and return
+        // the replaced one
+        return replaceAtPath(this, path, node);
+    }
+
+    findAll(query) {
+        // Return every component matching query, which is a component class
+        // like Fraction, a type name or a function that is passed each
+        // component and its path
+        return findComponents(this, query);
+    }
+
+    find(query) {
+        // Return the first component matching query (see findAll()), or null if
+        // there is none
+        return findComponents(this, query)[0] ?? null;
+    }
+
+    pathOf(component) {
+        // Return the path of a component in this Expression, or null if it
+        // isn't in this Expression
+        return componentPath(this, component);
+    }
+
+    variables() {
+        // Return the names of the distinct variables in this Expression, like
+        // ['x', 'alpha', 'x_1']. Variables bound by an operator, like the i of
+        // a sum, and Euler's number aren't included.
+        return [...freeIdentifiers(new SemanticParser(this).parse())];
+    }
+
+    equals(other, options = {}) {
+        // Return true if other has the same structure as this Expression. Pass
+        // { ignoreWhitespace: true } to leave out the symbols that only add
+        // space, like the \:\: inserted by the space key.
+        return expressionsEqual(this, other, options);
+    }
+
+    diff(other, options = {}) {
+        // List the components inserted, removed and changed going from this
+        // Expression to other, with their paths. Takes the same options as
+        // equals().
+        return diffExpressions(this, other, options);
+    }
+
+    toJSON() {
+        // Generate a JSON-serializable object describing the full structure of
+        // this Expression. Called automatically by JSON.stringify
+        return {
+            version: expressionJSONVersion,
+            nestingDepth: this.nestingDepth,
+            components: this.components.map(c => c.toJSON()),
+        };
+    }
+
+    static fromJSON(json) {
+        // Rebuild an Expression from the output of toJSON(), either as an
+        // object or as a JSON string
+        if (typeof json === 'string') json = JSON.parse(json);
+        if (!json || !Array.isArray(json.components)) {
+            throw new Error('Invalid expression JSON');
+        }
+        if (json.version > expressionJSONVersion) {
+            throw new Error(
+                `Unsupported expression JSON version ${json.version}`,
+            );
+        }
+        const expression = new Expression(json.nestingDepth || 0);
+        for (let c of json.components) {
+            expression.add(Component.fromJSON(c, null));
+        }
+        return expression;
+    }
 }
 
 /**
  * @class
- * Represents a block. A fundamental unit of the Expression. 
- * 
+ * Represents a block. A fundamental unit of the Expression.
+ *
  * All data is ultimately stored in
  * a Block. A Component or any child class of Component has a fixed number of Blocks in it, and a Block can
  * have a variable number of 'children'. An element in a Block's children array can either be a string
@@ -60,32 +1185,65 @@ class Block {
         for (let c of this.children) {
             if (typeof c === 'string') {
                 latex += c;
-            }
-            else {
+            } else {
                 latex += c.toLatex() + ' ';
             }
         }
         return latex.trim();
     }
 
+    toMathML() {
+        // Generate presentation MathML from the contents of this block, wrapped
+        // in an <mrow>
+        return `<mrow>${sequenceToMathML(this.children)}</mrow>`;
+    }
+
+    toAsciiMath() {
+        return sequenceToAsciiMath(this.children);
+    }
+
+    toUnicode() {
+        return sequenceToUnicode(this.children);
+    }
+
     addChild(component, position = this.children.length) {
         // Setter method to add some component to this block at position. Component can be any child class of Component.
         // Defaults to adding the component at the end.
         this.children.splice(position, 0, component);
     }
 
-    removeChild(position = this.children.length-1) {
+    removeChild(position = this.children.length - 1) {
         // Remove some component from this block.
         // Defaults to removing the last component.
         this.children.splice(position, 1);
     }
+
+    toJSON() {
+        return {
+            children: this.children.map(c =>
+                typeof c === 'string' ? c : c.toJSON(),
+            ),
+        };
+    }
+
+    static fromJSON(json, parent) {
+        // Rebuild a Block from the output of toJSON(), setting the parent
+        // pointers of the block and of every component inside it
+        const block = new Block(parent);
+        for (let c of json.children) {
+            block.addChild(
+                typeof c === 'string' ? c : Component.fromJSON(c, block),
+            );
+        }
+        return block;
+    }
 }
 
 /**
  * @class
  * Base class representing a Component of the equation. Inherited by the TextComponent, all *Symbol,
  * and all *Function classes. All child classes of Component override the toLatex method
- * to customize the LaTeX generated. You can define your own child classes to add support for 
+ * to customize the LaTeX generated. You can define your own child classes to add support for
  * LaTeX syntax not yet supported.
  */
 class Component {
@@ -102,29 +1260,85 @@ class Component {
         return '';
     }
 
-    addBlock(block, position) {
-        this.blocks.splice(position, 0, block);
+    toMathML() {
+        // Components that don't know how to generate MathML embed their LaTeX
+        // instead
+        return latexAnnotationMathML(this);
     }
 
-    removeBlock(position) {
-        this.blocks.splice(position, 1);
+    toAsciiMath() {
+        // Components that don't know how to generate AsciiMath are written as
+        // quoted LaTeX
+        return `"${this.toLatex()}"`;
     }
 
-    isEmpty() {
+    toUnicode() {
+        // Components that don't know how to generate the linear format are
+        // written as their LaTeX
+        return this.toLatex();
+    }
+
+    addBlock(block, position) {
+        this.blocks.splice(position, 0, block);
+    }
+
+    removeBlock(position) {
+        this.blocks.splice(position, 1);
+    }
+
+    isEmpty() {
         // Returns true if the blocks in the component are empty
         for (let block of this.blocks) {
             if (block.children.length) return false;
         }
         return true;
     }
-}
 
+    toJSON() {
+        const json = { type: getComponentType(this.constructor) };
+        if (this.latexData !== undefined) json.latexData = this.latexData;
+        json.blocks = this.blocks.map(b => b.toJSON());
+        return json;
+    }
+
+    restoreJSON(json) {
+        // Restore the state a subclass adds in its toJSON(). Saved equations
+        // can come from users, so each subclass checks its own fields and only
+        // sets those, instead of everything found in the JSON.
+    }
+
+    static fromJSON(json, parent = null) {
+        // Rebuild a component from the output of toJSON(). The component's
+        // class is looked up in componentRegistry using the type recorded in
+        // the JSON.
+        const componentClass = Object.prototype.hasOwnProperty.call(
+            componentRegistry,
+            json.type,
+        )
+            ? componentRegistry[json.type]
+            : undefined;
+        if (componentClass === undefined) {
+            throw new Error(`Unknown component type "${json.type}"`);
+        }
+        // Not every component class takes the same constructor arguments, so we
+        // set the parent, LaTeX data and blocks ourselves after creating the
+        // component. Any other state a subclass adds in its toJSON(), like the
+        // number of columns of a Matrix, is restored by restoreJSON().
+        const component = new componentClass(parent, json.latexData);
+        component.parent = parent;
+        component.restoreJSON(json);
+        component.blocks = (json.blocks || []).map(b =>
+            Block.fromJSON(b, component),
+        );
+        return component;
+    }
+}
 
 /**
  * @class
  * A component with one block
  */
- class OneBlockComponent extends Component {
+class OneBlockComponent extends Component {
     constructor(parent) {
         let b1 = new Block();
         super([b1], parent);
@@ -132,7 +1346,6 @@ class Component {
     }
 }
 
-
 /**
  * @class
  * A component with two blocks
@@ -147,7 +1360,6 @@ class TwoBlockComponent extends Component {
     }
 }
 
-
 /**
  * @class
  * A component with three blocks. We could further subclass ThreeBlockComponent to define a class that
@@ -166,7 +1378,6 @@ class ThreeBlockComponent extends Component {
     }
 }
 
-
 /**
  * @class
  * A template three block component that contains three blocks and uses the same LaTeX template.
@@ -183,8 +1394,33 @@ class TemplateThreeBlockComponent extends ThreeBlockComponent {
     toLatex() {
         return `\\${this.latexData}_{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}{${this.blocks[2].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        const operator =
+            largeOperatorUnicodeMap[this.latexData] || this.latexData;
+        const [lower, upper, body] = this.blocks.map(block => block.toMathML());
+        const limits = `<mo>${escapeXML(operator)}</mo>${lower}${upper}`;
+        return `<mrow><munderover>${limits}</munderover>${body}</mrow>`;
+    }
+
+    toAsciiMath() {
+        let asciimath =
+            largeOperatorAsciiMathMap[this.latexData] || this.latexData;
+        if (this.blocks[0].children.length)
+            asciimath += `_(${this.blocks[0].toAsciiMath()})`;
+        if (this.blocks[1].children.length)
+            asciimath += `^(${this.blocks[1].toAsciiMath()})`;
+        return `${asciimath} ${blockToAsciiMathGroup(this.blocks[2])}`;
+    }
+
+    toUnicode() {
+        let unicode =
+            largeOperatorUnicodeMap[this.latexData] || `\\${this.latexData}`;
+        unicode += scriptToUnicode(this.blocks[0], unicodeSubscriptMap, '_');
+        unicode += scriptToUnicode(this.blocks[1], unicodeSuperscriptMap, '^');
+        return `${unicode} ${blockToUnicodeBody(this.blocks[2])}`;
+    }
+}
 
 /**
  * @class
@@ -202,8 +1438,35 @@ class TrigonometricTwoBlockComponent extends TwoBlockComponent {
     toLatex() {
         return `\\${this.latexData}^{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        // U+2061 is the invisible function application operator
+        let func = `<mi>${escapeXML(this.latexData)}</mi>`;
+        if (this.blocks[0].children.length)
+            func = `<msup>${func}${this.blocks[0].toMathML()}</msup>`;
+        return `<mrow>${func}<mo>&#x2061;</mo>${this.blocks[1].toMathML()}</mrow>`;
+    }
+
+    toAsciiMath() {
+        let asciimath = this.latexData;
+        if (this.blocks[0].children.length)
+            asciimath += `^(${this.blocks[0].toAsciiMath()})`;
+        return `${asciimath}(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // A single variable doesn't need parentheses, like sin²θ or sin x
+        const exponent = scriptToUnicode(
+            this.blocks[0],
+            unicodeSuperscriptMap,
+            '^',
+        );
+        const argument = blockToUnicodeOperand(this.blocks[1], true);
+        if (exponent === '' && !argument.startsWith('('))
+            return `${this.latexData} ${argument}`;
+        return this.latexData + exponent + argument;
+    }
+}
 
 /**
  * @class
@@ -220,8 +1483,19 @@ class TextComponent extends Component {
     toLatex() {
         return this.blocks[0].toLatex();
     }
-}
 
+    toMathML() {
+        return sequenceToMathML(this.blocks[0].children);
+    }
+
+    toAsciiMath() {
+        return this.blocks[0].toAsciiMath();
+    }
+
+    toUnicode() {
+        return this.blocks[0].toUnicode();
+    }
+}
 
 /**
  * @class
@@ -237,8 +1511,27 @@ class MJXGUISymbol extends Component {
     toLatex() {
         return this.latexData;
     }
-}
 
+    toMathML() {
+        const char = symbolLatexToUnicode(this.latexData);
+        if (char === null) return latexAnnotationMathML(this);
+        if (char === ' ') return '<mspace width="0.5em"></mspace>';
+        // Letters and letter-like symbols are identifiers, everything else is
+        // an operator
+        if (isLetterLike(char)) return `<mi>${char}</mi>`;
+        return `<mo>${escapeXML(char)}</mo>`;
+    }
+
+    toAsciiMath() {
+        const asciimath = symbolLatexToAsciiMath(this.latexData);
+        return asciimath === null ? `"${this.latexData}"` : asciimath;
+    }
+
+    toUnicode() {
+        const char = symbolLatexToUnicode(this.latexData);
+        return char === null ? this.latexData : char;
+    }
+}
 
 /**
  * @class
@@ -248,8 +1541,20 @@ class FrameBox extends OneBlockComponent {
     toLatex() {
         return `\\boxed{${this.blocks[0].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<menclose notation="box">${this.blocks[0].toMathML()}</menclose>`;
+    }
+
+    toAsciiMath() {
+        // AsciiMath has no framebox, so only the content is kept
+        return `{:${this.blocks[0].toAsciiMath()}:}`;
+    }
+
+    toUnicode() {
+        return `▭(${this.blocks[0].toUnicode()})`;
+    }
+}
 
 /**
  * @class
@@ -259,8 +1564,25 @@ class Limit extends TwoBlockComponent {
     toLatex() {
         return `\\lim_{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        const [approach, body] = this.blocks.map(block => block.toMathML());
+        return `<mrow><munder><mo>lim</mo>${approach}</munder>${body}</mrow>`;
+    }
+
+    toAsciiMath() {
+        return `lim_(${this.blocks[0].toAsciiMath()}) ${blockToAsciiMathGroup(this.blocks[1])}`;
+    }
+
+    toUnicode() {
+        const approach = scriptToUnicode(
+            this.blocks[0],
+            unicodeSubscriptMap,
+            '_',
+        );
+        return `lim${approach} ${blockToUnicodeBody(this.blocks[1])}`;
+    }
+}
 
 /**
  * @class
@@ -270,8 +1592,19 @@ class Fraction extends TwoBlockComponent {
     toLatex() {
         return `\\frac{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<mfrac>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</mfrac>`;
+    }
+
+    toAsciiMath() {
+        return `(${this.blocks[0].toAsciiMath()})/(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return `${blockToUnicodeOperand(this.blocks[0])}/${blockToUnicodeOperand(this.blocks[1])}`;
+    }
+}
 
 /**
  * @class
@@ -281,8 +1614,22 @@ class Subscript extends TwoBlockComponent {
     toLatex() {
         return `{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<msub>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</msub>`;
+    }
+
+    toAsciiMath() {
+        return `${blockToAsciiMathGroup(this.blocks[0])}_(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            scriptToUnicode(this.blocks[1], unicodeSubscriptMap, '_')
+        );
+    }
+}
 
 /**
  * @class
@@ -293,8 +1640,22 @@ class Superscript extends TwoBlockComponent {
     toLatex() {
         return `{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<msup>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</msup>`;
+    }
+
+    toAsciiMath() {
+        return `${blockToAsciiMathGroup(this.blocks[0])}^(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            scriptToUnicode(this.blocks[1], unicodeSuperscriptMap, '^')
+        );
+    }
+}
 
 /**
  * @class
@@ -304,8 +1665,28 @@ class SubSupRight extends ThreeBlockComponent {
     toLatex() {
         return `{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}^{${this.blocks[2].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        const [base, sub, sup] = this.blocks.map(block => block.toMathML());
+        return `<msubsup>${base}${sub}${sup}</msubsup>`;
+    }
+
+    toAsciiMath() {
+        const base = blockToAsciiMathGroup(this.blocks[0]);
+        const [sub, sup] = [this.blocks[1], this.blocks[2]].map(block =>
+            block.toAsciiMath(),
+        );
+        return `${base}_(${sub})^(${sup})`;
+    }
+
+    toUnicode() {
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            scriptToUnicode(this.blocks[1], unicodeSubscriptMap, '_') +
+            scriptToUnicode(this.blocks[2], unicodeSuperscriptMap, '^')
+        );
+    }
+}
 
 /**
  * @class
@@ -315,8 +1696,19 @@ class Sqrt extends OneBlockComponent {
     toLatex() {
         return `\\sqrt{${this.blocks[0].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<msqrt>${this.blocks[0].toMathML()}</msqrt>`;
+    }
+
+    toAsciiMath() {
+        return `sqrt(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return `√${blockToUnicodeOperand(this.blocks[0], true)}`;
+    }
+}
 
 /**
  * @class
@@ -326,400 +1718,6823 @@ class NthRoot extends TwoBlockComponent {
     toLatex() {
         return `\\sqrt[${this.blocks[0].toLatex()}]{${this.blocks[1].toLatex()}}`;
     }
-}
-// Listens for keypress and modifies the Expression accordingly
 
-const characters = new Set();
-for (let char of 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890!@^*()[];:\'"/?.,<>-=+`~') {
-    characters.add(char);
+    toMathML() {
+        // The index comes second in an <mroot>
+        return `<mroot>${this.blocks[1].toMathML()}${this.blocks[0].toMathML()}</mroot>`;
+    }
+
+    toAsciiMath() {
+        return `root(${this.blocks[0].toAsciiMath()})(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // Cube and fourth roots have their own characters, other roots are
+        // written as √(n&x)
+        const index = this.blocks[0].toUnicode();
+        const radicand = blockToUnicodeOperand(this.blocks[1], true);
+        if (index === '3') return `∛${radicand}`;
+        if (index === '4') return `∜${radicand}`;
+        return `√(${index}&${this.blocks[1].toUnicode()})`;
+    }
 }
 
 /**
  * @class
- *
+ * A matrix, like \begin{pmatrix} a & b \\ c & d \end{pmatrix}. The blocks are
+ * the cells of the matrix stored row by row, so the cell at row i and column j
+ * is blocks[i * columns + j]. Storing the cells in reading order means the
+ * Cursor moves through the matrix cell by cell without knowing about it.
+ * latexData is the LaTeX environment, which sets the brackets around the matrix
+ * (see matrixDelimiters).
  */
-class Cursor {
-    constructor(expression, display) {
-        this.expression = expression;
-        this.block = null;
-        this.component = null;
-        this.child = -0.5;
-        this.position = -0.5;
-        this.latex = '';
-        this.display = display;
+class Matrix extends Component {
+    constructor(parent, latexData = 'pmatrix', rows = 2, columns = 2) {
+        super([], parent);
+        this.latexData = latexData;
+        this.columns = columns;
+        for (let i = 0; i < rows * columns; i++)
+            this.blocks.push(new Block(this));
     }
 
-    addText(text) {
-        // Insert some text into the Expression, either as its own block or into the block
-        // we are in currently.
-        if (this.block === null) {
-            // Safe to assume we are not in any block and are between two components in the
-            // Expression or at the start or end of the Expression.
-            const _ = new TextComponent(this.block);
-            _.blocks[0].addChild(text);
-            this.expression.add(_, Math.ceil(this.position));
+    get rows() {
+        return this.blocks.length / this.columns;
+    }
 
-            this.child = -0.5;
-            this.position++;
-        } else {
-            // We are in some Block in some Component of the Expression.
-            // The child we are in changes, the component, block, and position remain the same
-            const _ = new TextComponent(this.block);
-            _.blocks[0].addChild(text);
-            this.block.addChild(_, Math.ceil(this.child));
-            this.child++;
-        }
+    get fixedColumns() {
+        // Subclasses whose columns have a meaning, like the value and condition
+        // of Cases, return true. Their columns can't be added or removed in the
+        // editor, and their empty last row is removed by Backspace.
+        return false;
     }
 
-    addComponent(component) {
-        // Insert a new Component into the Expression at the position of the cursor.
-        // If we are in a block, we add a Component to the block as a child, otherwise
-        // we insert the Component on the top level as a new component in the
-        // Expression
-        if (this.block === null) {
-            this.expression.add(component, Math.ceil(this.position));
-            this.position = Math.ceil(this.position);
-            if (
-                component instanceof MJXGUISymbol ||
-                component instanceof TextComponent
-            ) {
-                this.block = null;
-                this.component = null;
-                this.position += 0.5;
-            } else {
-                this.block = component.blocks[0];
-                this.component = component;
-            }
-            this.child = -0.5;
-        } else {
-            // Add the component to the block's children and increment this.child in preparation to move
-            // inside the inserted component
-            this.block.addChild(component, Math.ceil(this.child));
-            // this.child += 0.5;
-            if (
-                component instanceof MJXGUISymbol ||
-                component instanceof TextComponent
-            ) {
-                // If the component we just inserted is a Symbol or Text, don't move into it and increment
-                // this.child by 0.5 again
-                this.child += 1;
-            } else {
-                // Otherwise, move into the new component
-                this.component = component;
-                this.block = component.blocks[0];
-                this.child = -0.5;
-            }
+    getRows() {
+        // Returns an array with the blocks of each row
+        const rows = [];
+        for (let i = 0; i < this.blocks.length; i += this.columns) {
+            rows.push(this.blocks.slice(i, i + this.columns));
         }
+        return rows;
     }
 
-    removeComponent() {
-        if (this.block === null) {
-            // If we are not in a block then we check if the component to the left is a TextComponent
-            // If it is, we remove it, else we do nothing.
-            let prevComponent =
-                this.expression.components[Math.floor(this.position)];
-            if (
-                prevComponent instanceof TextComponent ||
-                prevComponent instanceof MJXGUISymbol
-            ) {
-                this.position = Math.floor(this.position);
-                this.component = prevComponent;
-                this.block = prevComponent.blocks[0];
-                this.child = -0.5;
-                this.removeComponent();
-            }
-        } else if (this.component.parent === null) {
-            // Find the component in the expression and remove it, change the cursor object's
-            // component and block pointers
-            for (let i = 0; i < this.expression.components.length; i++) {
-                if (this.expression.components[i] === this.component) {
-                    this.expression.remove(i);
-                    break;
-                }
-            }
-            this.position -= 0.5;
-            this.component = null;
-            this.block = null;
-            this.child = -0.5;
-        } else {
-            // Capture the block above us to move into after we remove this component
-            let parentBlock = this.component.parent;
-            for (let i = 0; i < parentBlock.children.length; i++) {
-                if (parentBlock.children[i] === this.component) {
-                    parentBlock.removeChild(i);
-                    this.child = i - 0.5;
-                    break;
-                }
-            }
-            this.block = parentBlock;
-            this.component = parentBlock.parent;
-        }
+    cellOf(block) {
+        // Returns the row and column of a block of the matrix
+        const index = this.blocks.indexOf(block);
+        return {
+            row: Math.floor(index / this.columns),
+            column: index % this.columns,
+        };
     }
 
-    keyPress(event) {
-        if (characters.has(event.key)) {
-            this.addText(event.key);
-        } else if (event.key === 'ArrowLeft') {
-            this.seekLeft();
-        } else if (event.key === 'ArrowRight') {
-            this.seekRight();
-        } else if (event.key === 'Backspace') {
-            this.backspace();
-        } else if (event.key === 'Enter') {
-            document.getElementById('mjxgui_save_equation').click();
-        } else if (event.key === ' ') {
-            let _ = new MJXGUISymbol(this.block, '\\:\\:');
-            this.addComponent(_);
-        } else if (event.key === '\\') {
-            let _ = new MJXGUISymbol(this.block, '\\backslash');
-            this.addComponent(_);
-        } else if (['$', '#', '%', '&', '_', '{', '}'].includes(event.key)) {
-            let _ = new MJXGUISymbol(this.block, `\\${event.key}`);
-            this.addComponent(_);
-        }
-        this.updateDisplay();
+    insertRow(row) {
+        // Insert an empty row so that it becomes row number row
+        for (let j = 0; j < this.columns; j++)
+            this.addBlock(new Block(this), row * this.columns);
     }
 
-    seekRight() {
-        let maxPos = this.expression.components.length - 0.5;
-        if (this.position >= maxPos) return;
-        else if (this.block === null) {
-            this.position += 0.5;
-            // If the component at this index is a MJXGUISymbol or a TextComponent, skip it and go to the next
-            if (
+    removeRow(row) {
+        this.blocks.splice(row * this.columns, this.columns);
+    }
+
+    insertColumn(column) {
+        // Insert an empty column so that it becomes column number column. Rows
+        // are updated from the last one so that the indices of the rows not
+        // updated yet don't change.
+        for (let i = this.rows - 1; i >= 0; i--)
+            this.addBlock(new Block(this), i * this.columns + column);
+        this.columns++;
+    }
+
+    removeColumn(column) {
+        for (let i = this.rows - 1; i >= 0; i--)
+            this.removeBlock(i * this.columns + column);
+        this.columns--;
+    }
+
+    toLatex() {
+        const rows = this.getRows().map(row =>
+            row.map(b => b.toLatex()).join(' & '),
+        );
+        return `\\begin{${this.latexData}} ${rows.join(' \\\\ ')} \\end{${this.latexData}}`;
+    }
+
+    toMathML() {
+        const [open, close] = matrixDelimiters[this.latexData] || ['', ''];
+        const rows = this.getRows().map(
+            row =>
+                `<mtr>${row.map(b => `<mtd>${b.toMathML()}</mtd>`).join('')}</mtr>`,
+        );
+        const table = `<mtable>${rows.join('')}</mtable>`;
+        if (open === '') return table;
+        return `<mrow><mo>${open}</mo>${table}<mo>${close}</mo></mrow>`;
+    }
+
+    toAsciiMath() {
+        // Like ((a,b),(c,d)) for a pmatrix. Rows of a bmatrix use brackets,
+        // like [[a,b],[c,d]], and a matrix without delimiters uses the
+        // invisible brackets {: and :} around rows in brackets, like
+        // {:[a,b],[c,d]:}, so that it isn't read back as AlignedLines
+        const [open, close] =
+            this.latexData === 'matrix'
+                ? ['{:', ':}']
+                : matrixDelimiters[this.latexData] || ['(', ')'];
+        const [rowOpen, rowClose] = ['bmatrix', 'matrix'].includes(
+            this.latexData,
+        )
+            ? ['[', ']']
+            : ['(', ')'];
+        const rows = this.getRows().map(
+            row => rowOpen + row.map(b => b.toAsciiMath()).join(',') + rowClose,
+        );
+        return `${open}${rows.join(',')}${close}`;
+    }
+
+    toUnicode() {
+        // Like (■(a&b@c&d)), cells are separated by & and rows by @
+        const [open, close] = matrixDelimiters[this.latexData] || ['', ''];
+        const rows = this.getRows().map(row =>
+            row.map(b => b.toUnicode()).join('&'),
+        );
+        return `${open}■(${rows.join('@')})${close}`;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), columns: this.columns };
+    }
+
+    restoreJSON(json) {
+        const cells = (json.blocks || []).length;
+        if (
+            !Number.isInteger(json.columns) ||
+            json.columns < 1 ||
+            cells % json.columns !== 0
+        ) {
+            throw new Error(
+                `Invalid number of columns "${json.columns}" for a matrix of ${cells} cells`,
+            );
+        }
+        this.columns = json.columns;
+    }
+}
+
+/**
+ * @class
+ * A piecewise function, like \begin{cases} x & x \geq 0 \\ -x & x < 0
+ * \end{cases}. It is a Matrix with two columns, each row has a value block
+ * followed by a condition block.
+ */
+class Cases extends Matrix {
+    constructor(parent, latexData = 'cases', rows = 2) {
+        super(parent, latexData, rows, 2);
+    }
+
+    get fixedColumns() {
+        return true;
+    }
+
+    toMathML() {
+        const rows = this.getRows().map(
+            row =>
+                `<mtr>${row.map(b => `<mtd>${b.toMathML()}</mtd>`).join('')}</mtr>`,
+        );
+        return `<mrow><mo>{</mo><mtable columnalign="left left">${rows.join('')}</mtable></mrow>`;
+    }
+
+    toAsciiMath() {
+        const rows = this.getRows().map(
+            ([value, condition]) =>
+                `(${value.toAsciiMath()},${condition.toAsciiMath()})`,
+        );
+        return `{${rows.join(',')}:}`;
+    }
+
+    toUnicode() {
+        const rows = this.getRows().map(
+            ([value, condition]) =>
+                `${value.toUnicode()}&${condition.toUnicode()}`,
+        );
+        return `{■(${rows.join('@')})`;
+    }
+}
+
+/**
+ * @class
+ * Several lines of equations, generated as an aligned or gathered environment.
+ * In an aligned environment (latexData is "aligned") every line has two blocks,
+ * the parts before and after the alignment marker &, like \begin{aligned} x & =
+ * 1 + 1 \\ & = 2 \end{aligned}. In a gathered environment every line is a
+ * single centered block.
+ */
+class AlignedLines extends Matrix {
+    constructor(parent, latexData = 'aligned', rows = 1) {
+        super(parent, latexData, rows, latexData === 'gathered' ? 1 : 2);
+    }
+
+    get fixedColumns() {
+        return true;
+    }
+
+    toMathML() {
+        const align = this.columns === 1 ? 'center' : 'right left';
+        const rows = this.getRows().map(
+            row =>
+                `<mtr>${row.map(b => `<mtd>${b.toMathML()}</mtd>`).join('')}</mtr>`,
+        );
+        return `<mtable columnalign="${align}">${rows.join('')}</mtable>`;
+    }
+
+    toAsciiMath() {
+        const rows = this.getRows().map(
+            row => `(${row.map(b => b.toAsciiMath()).join(',')})`,
+        );
+        return `{:${rows.join(',')}:}`;
+    }
+
+    toUnicode() {
+        // Like █(x&=1+1@&=2), the equation array of the linear format
+        const rows = this.getRows().map(row =>
+            row.map(b => b.toUnicode()).join('&'),
+        );
+        return `█(${rows.join('@')})`;
+    }
+}
+
+/**
+ * @class
+ * Delimiters that grow with their content, generated as \left( ... \right).
+ * left and right are the LaTeX of the delimiters, like "(", "\langle" or "."
+ * for an invisible delimiter (see delimiterKinds), and can be changed after the
+ * component is inserted using setDelimiters().
+ */
+class Delimited extends OneBlockComponent {
+    constructor(parent, left = '(', right = null) {
+        super(parent);
+        this.setDelimiters(left, right);
+    }
+
+    setDelimiters(left, right = null) {
+        // Without a right delimiter, the one matching the left delimiter is
+        // used, like ) for (
+        const kind = Object.values(delimiterKinds).find(
+            pair => pair[0] === left,
+        );
+        this.left = left;
+        this.right = right ?? (kind ? kind[1] : left);
+    }
+
+    get kind() {
+        // The name of the kind of delimiters in delimiterKinds, like
+        // "parentheses", or null for a mismatched pair
+        const kind = Object.keys(delimiterKinds).find(
+            name =>
+                delimiterKinds[name][0] === this.left &&
+                delimiterKinds[name][1] === this.right,
+        );
+        return kind === undefined ? null : kind;
+    }
+
+    toLatex() {
+        return `\\left${this.left} ${this.blocks[0].toLatex()} \\right${this.right}`;
+    }
+
+    toMathML() {
+        const fence = delimiter => {
+            if (delimiter === '.') return '';
+            const char = escapeXML(delimiterUnicodeMap[delimiter] ?? delimiter);
+            return `<mo fence="true" stretchy="true">${char}</mo>`;
+        };
+        return `<mrow>${fence(this.left)}${this.blocks[0].toMathML()}${fence(this.right)}</mrow>`;
+    }
+
+    toAsciiMath() {
+        const left =
+            { '.': '{:', '|': '|:' }[this.left] ??
+            delimiterAsciiMathMap[this.left] ??
+            `"${this.left}"`;
+        const right =
+            { '.': ':}', '|': ':|' }[this.right] ??
+            delimiterAsciiMathMap[this.right] ??
+            `"${this.right}"`;
+        return `${left}${this.blocks[0].toAsciiMath()}${right}`;
+    }
+
+    toUnicode() {
+        const char = delimiter => delimiterUnicodeMap[delimiter] ?? delimiter;
+        return `${char(this.left)}${this.blocks[0].toUnicode()}${char(this.right)}`;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), left: this.left, right: this.right };
+    }
+
+    restoreJSON(json) {
+        for (let delimiter of [json.left, json.right]) {
+            if (
+                typeof delimiter !== 'string' ||
+                !/^(?:[^\\a-zA-Z{}\s]|\\(?:[a-zA-Z]+|[^a-zA-Z]))$/.test(
+                    delimiter,
+                )
+            ) {
+                throw new Error(`Invalid delimiter "${delimiter}"`);
+            }
+        }
+        this.setDelimiters(json.left, json.right);
+    }
+}
+
+/**
+ * @class
+ * An accent over a block, like \hat{x} or \overrightarrow{AB}. latexData is the
+ * name of the accent, one of the keys of accentMap.
+ */
+class Accent extends OneBlockComponent {
+    constructor(parent, latexData = 'hat') {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    toLatex() {
+        return `\\${this.latexData}{${this.blocks[0].toLatex()}}`;
+    }
+
+    toMathML() {
+        const accent = accentMap[this.latexData];
+        const stretchy = accent.stretchy ? 'true' : 'false';
+        const mark = `<mo stretchy="${stretchy}">${accent.mathML}</mo>`;
+        return `<mover accent="true">${this.blocks[0].toMathML()}${mark}</mover>`;
+    }
+
+    toAsciiMath() {
+        return `${accentMap[this.latexData].asciiMath}(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // The combining character follows the character, or the parenthesized
+        // group, it is drawn over
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            accentMap[this.latexData].unicode
+        );
+    }
+}
+
+/**
+ * @class
+ * Upright text inside an equation, like the "if" of a piecewise function,
+ * generated as \text{...}. Its block holds a TextComponent for each character,
+ * including spaces, and the characters LaTeX treats specially are escaped when
+ * the LaTeX is generated. Any other component in the block is written as inline
+ * math.
+ */
+class TextRun extends OneBlockComponent {
+    get text() {
+        // The text without any of the components inside it
+        return textRunPieces(this.blocks[0])
+            .filter(piece => typeof piece === 'string')
+            .join('');
+    }
+
+    toLatex() {
+        // While the cursor is inside the text, the editor puts its block in a
+        // FrameBox. The box is drawn around the whole \text{}, since it can't
+        // be drawn inside text.
+        if (this.blocks[0] instanceof FrameBox) {
+            return `\\boxed{${this.textToLatex(this.blocks[0].blocks[0])}}`;
+        }
+        return this.textToLatex(this.blocks[0]);
+    }
+
+    textToLatex(block) {
+        const latex = textRunPieces(block).map(piece =>
+            typeof piece === 'string'
+                ? escapeTextMode(piece)
+                : `$${piece.toLatex()}$`,
+        );
+        return `\\text{${latex.join('')}}`;
+    }
+
+    toMathML() {
+        // Spaces at the start or end of an mtext are collapsed, so they are
+        // written as non-breaking spaces
+        const mathml = textRunPieces(this.blocks[0]).map(piece =>
+            typeof piece === 'string'
+                ? `<mtext>${escapeXML(piece.replace(/ /g, '\u00A0'))}</mtext>`
+                : piece.toMathML(),
+        );
+        return `<mrow>${mathml.join('')}</mrow>`;
+    }
+
+    toAsciiMath() {
+        return textRunPieces(this.blocks[0])
+            .map(piece =>
+                typeof piece === 'string' ? `"${piece}"` : piece.toAsciiMath(),
+            )
+            .join(' ');
+    }
+
+    toUnicode() {
+        return textRunPieces(this.blocks[0])
+            .map(piece =>
+                typeof piece === 'string' ? `"${piece}"` : piece.toUnicode(),
+            )
+            .join('');
+    }
+}
+
+/**
+ * @class
+ * A block in a math font style, like \mathbb{R} or \mathrm{d}. latexData is the
+ * name of the style, one of the keys of fontStyleMap. Styles can be nested,
+ * like \mathbf{\mathcal{L}}.
+ */
+class FontStyle extends OneBlockComponent {
+    constructor(parent, latexData = 'mathbf') {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    toLatex() {
+        return `\\${this.latexData}{${this.blocks[0].toLatex()}}`;
+    }
+
+    toMathML() {
+        const variant = fontStyleMap[this.latexData].mathvariant;
+        return `<mstyle mathvariant="${variant}">${this.blocks[0].toMathML()}</mstyle>`;
+    }
+
+    toAsciiMath() {
+        return `${fontStyleMap[this.latexData].asciiMath}(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return styleToUnicode(this.blocks[0].toUnicode(), this.latexData);
+    }
+}
+
+/**
+ * @class
+ * A block with a label above or below it, like a brace with a caption.
+ * blocks[0] is the main block and blocks[1] the label. latexData is the name of
+ * the command, which tells where the label goes.
+ */
+class LabeledComponent extends TwoBlockComponent {
+    constructor(parent, latexData) {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    get labelAbove() {
+        return this.latexData.startsWith('over');
+    }
+}
+
+/**
+ * @class
+ * A horizontal brace over or under a block with an optional label, like
+ * \underbrace{a+b}_{\text{n terms}}. latexData is "overbrace" or "underbrace".
+ */
+class Brace extends LabeledComponent {
+    constructor(parent, latexData = 'underbrace') {
+        super(parent, latexData);
+    }
+
+    toLatex() {
+        // The label is left out when it is empty
+        const brace = `\\${this.latexData}{${this.blocks[0].toLatex()}}`;
+        const label = this.blocks[1].toLatex();
+        if (label === '') return brace;
+        return `${brace}${this.labelAbove ? '^' : '_'}{${label}}`;
+    }
+
+    toMathML() {
+        const [tag, accent, brace] = this.labelAbove
+            ? ['mover', 'accent', '⏞']
+            : ['munder', 'accentunder', '⏟'];
+        const mark = `<mo stretchy="true">${brace}</mo>`;
+        const braced = `<${tag} ${accent}="true">${this.blocks[0].toMathML()}${mark}</${tag}>`;
+        if (this.blocks[1].toLatex() === '') return braced;
+        return `<${tag}>${braced}${this.blocks[1].toMathML()}</${tag}>`;
+    }
+
+    toAsciiMath() {
+        const brace = `${this.labelAbove ? 'obrace' : 'ubrace'}(${this.blocks[0].toAsciiMath()})`;
+        if (this.blocks[1].toLatex() === '') return brace;
+        return `${brace}${this.labelAbove ? '^' : '_'}(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        const operand = blockToUnicodeOperand(this.blocks[0], true);
+        const brace = `${this.labelAbove ? '⏞' : '⏟'}${operand}`;
+        if (this.blocks[1].toLatex() === '') return brace;
+        const label = blockToUnicodeOperand(this.blocks[1], true);
+        return `${brace}${this.labelAbove ? '^' : '_'}${label}`;
+    }
+}
+
+/**
+ * @class
+ * A block with a label stacked over or under it, like \overset{\text{def}}{=}.
+ * latexData is "overset" or "underset". The label comes first in the LaTeX, but
+ * is the second block, so that the cursor enters the main block first.
+ */
+class OverUnderSet extends LabeledComponent {
+    constructor(parent, latexData = 'overset') {
+        super(parent, latexData);
+    }
+
+    toLatex() {
+        return `\\${this.latexData}{${this.blocks[1].toLatex()}}{${this.blocks[0].toLatex()}}`;
+    }
+
+    toMathML() {
+        const tag = this.labelAbove ? 'mover' : 'munder';
+        return `<${tag}>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</${tag}>`;
+    }
+
+    toAsciiMath() {
+        const [body, label] = this.blocks.map(block => block.toAsciiMath());
+        return `${this.latexData}(${label})(${body})`;
+    }
+
+    toUnicode() {
+        // The linear format stacks the label with ┴ (above) or ┬ (below)
+        const operator = this.labelAbove ? '┴' : '┬';
+        const label = blockToUnicodeOperand(this.blocks[1], true);
+        return `${blockToUnicodeBody(this.blocks[0])}${operator}${label}`;
+    }
+}
+
+/**
+ * @class
+ * A block drawn in a color, like {\color{red}{x}}. \color changes the color of
+ * everything after it, so the LaTeX is wrapped in braces to keep the rest of
+ * the equation in its own color. color is either the name of the color or its
+ * hexadecimal value (see colorToLatex()).
+ */
+class Colored extends OneBlockComponent {
+    constructor(parent, color = 'red') {
+        super(parent);
+        this.color = color;
+    }
+
+    toLatex() {
+        return `{\\color${colorToLatex(this.color)}{${this.blocks[0].toLatex()}}}`;
+    }
+
+    toMathML() {
+        return `<mstyle mathcolor="${escapeXML(this.color)}">${this.blocks[0].toMathML()}</mstyle>`;
+    }
+
+    toAsciiMath() {
+        return `color(${this.color})(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // Plain text has no colors, so only the content is kept
+        return this.blocks[0].toUnicode();
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), color: this.color };
+    }
+
+    restoreJSON(json) {
+        // The same colors as LaTeX input, see colorToLatex(). ui.js removes
+        // colors that aren't in the palette.
+        if (
+            typeof json.color !== 'string' ||
+            !/^(?:#[0-9a-fA-F]{6}|[a-zA-Z0-9!.-]+)$/.test(json.color)
+        ) {
+            throw new Error(`Invalid color "${json.color}"`);
+        }
+        this.color = json.color;
+    }
+}
+
+/**
+ * @class
+ * A block highlighted with a background color, like \colorbox{yellow}{$x$}. The
+ * argument of \colorbox is text, so the block is written as inline math inside
+ * it.
+ */
+class ColorBox extends Colored {
+    constructor(parent, color = 'yellow') {
+        super(parent, color);
+    }
+
+    toLatex() {
+        return `\\colorbox${colorToLatex(this.color)}{$${this.blocks[0].toLatex()}$}`;
+    }
+
+    toMathML() {
+        const color = escapeXML(this.color);
+        return `<mstyle mathbackground="${color}">${this.blocks[0].toMathML()}</mstyle>`;
+    }
+
+    toAsciiMath() {
+        // AsciiMath has no background colors, so only the content is kept
+        return `{:${this.blocks[0].toAsciiMath()}:}`;
+    }
+}
+
+/**
+ * @class
+ * An ordinary derivative, like \frac{d^{2}y}{dx^{2}}. blocks[0] is the function
+ * being differentiated, blocks[1] the variable and blocks[2] the order, which
+ * is left out when it is empty. Without a function, the derivative is an
+ * operator applied to whatever follows it, like \frac{d}{dx} x^{2}. Only a
+ * function that is a single letter or symbol, like the y of dy/dx, is written
+ * in the numerator. Any other function is written in parentheses after the
+ * fraction, like \frac{d}{dx}\left({x}^{2}\right), and a variable of more than
+ * one component is grouped, like d{x y}, so that the parsers read the same
+ * blocks back.
+ */
+class Derivative extends Component {
+    constructor(parent, variables = 1) {
+        super([], parent);
+        // The function, followed by a variable and an order block for each
+        // variable
+        for (let i = 0; i < 1 + 2 * variables; i++)
+            this.blocks.push(new Block(this));
+    }
+
+    get differential() {
+        return differentialSymbols.d;
+    }
+
+    get variables() {
+        // The variable and order blocks of each variable the function is
+        // differentiated with respect to
+        const variables = [];
+        for (let i = 1; i < this.blocks.length; i += 2) {
+            variables.push({
+                variable: this.blocks[i],
+                order: this.blocks[i + 1],
+            });
+        }
+        return variables;
+    }
+
+    orderTerms(serialize) {
+        // The terms of the total order of the derivative, each serialized by
+        // serialize()
+        return derivativeOrderTerms(
+            this.variables.map(({ order }) => order),
+        ).map(term =>
+            typeof term === 'number' ? String(term) : serialize(term),
+        );
+    }
+
+    isFirstOrder() {
+        const terms = this.orderTerms(block => block.toLatex());
+        return terms.length === 0 || (terms.length === 1 && terms[0] === '1');
+    }
+
+    functionIsGroup() {
+        // While the cursor is in the function, the editor puts its block in a
+        // FrameBox, which is shown in the numerator so that the derivative
+        // doesn't change shape as the function is typed
+        if (this.blocks[0] instanceof FrameBox) return false;
+        const children = this.blocks[0].children;
+        if (children.length !== 1) return children.length > 1;
+        return !(
+            children[0] instanceof MJXGUISymbol ||
+            (children[0] instanceof TextComponent &&
+                /^[a-zA-Z]$/.test(children[0].toLatex()))
+        );
+    }
+
+    variableIsGroup(variable) {
+        // A variable block of more than one component, like xy, which is
+        // grouped so that a power applies to all of it
+        return variable instanceof Block && variable.children.length > 1;
+    }
+
+    toLatex() {
+        const d = this.differential.latex;
+        // \partial needs a space before the variable that follows it, d doesn't
+        const separator = d.startsWith('\\') ? ' ' : '';
+        const numerator = this.isFirstOrder()
+            ? d
+            : `${d}^{${this.orderTerms(block => block.toLatex()).join(' + ')}}`;
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                const power = isFirstOrder(order)
+                    ? ''
+                    : `^{${order.toLatex()}}`;
+                const latex = this.variableIsGroup(variable)
+                    ? `{${variable.toLatex()}}`
+                    : variable.toLatex();
+                return `${d}${separator}${latex}${power}`;
+            })
+            .join(' ');
+        const fn = this.blocks[0].toLatex();
+        if (this.functionIsGroup())
+            return `\\frac{${numerator}}{${denominator}}\\left(${fn}\\right)`;
+        return `\\frac{${numerator}${fn === '' ? '' : ` ${fn}`}}{${denominator}}`;
+    }
+
+    toMathML() {
+        const d = this.differential.mathML;
+        const order = this.orderTerms(block => block.toMathML()).map(term =>
+            /^[0-9]+$/.test(term) ? `<mn>${term}</mn>` : term,
+        );
+        const numerator = this.isFirstOrder()
+            ? d
+            : `<msup>${d}<mrow>${order.join('<mo>+</mo>')}</mrow></msup>`;
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                if (isFirstOrder(order)) return `${d}${variable.toMathML()}`;
+                return `${d}<msup>${variable.toMathML()}${order.toMathML()}</msup>`;
+            })
+            .join('');
+        const fn = this.blocks[0].toMathML();
+        if (this.functionIsGroup()) {
+            const fraction = `<mfrac><mrow>${numerator}</mrow><mrow>${denominator}</mrow></mfrac>`;
+            return `<mrow>${fraction}<mo>(</mo>${fn}<mo>)</mo></mrow>`;
+        }
+        return `<mfrac><mrow>${numerator}${fn}</mrow><mrow>${denominator}</mrow></mfrac>`;
+    }
+
+    toAsciiMath() {
+        const d = this.differential.asciiMath;
+        const numerator = this.isFirstOrder()
+            ? d
+            : `${d}^(${this.orderTerms(block => block.toAsciiMath()).join(' + ')})`;
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                const power = isFirstOrder(order)
+                    ? ''
+                    : `^(${order.toAsciiMath()})`;
+                const name = this.variableIsGroup(variable)
+                    ? blockToAsciiMathGroup(variable)
+                    : variable.toAsciiMath();
+                return `${d} ${name}${power}`;
+            })
+            .join(' ');
+        const fn = this.blocks[0].toAsciiMath();
+        if (this.functionIsGroup())
+            return `(${numerator})/(${denominator})(${fn})`;
+        return `(${numerator}${fn === '' ? '' : ` ${fn}`})/(${denominator})`;
+    }
+
+    toUnicode() {
+        const d = this.differential.unicode;
+        let numerator = d;
+        if (!this.isFirstOrder()) {
+            // The order is written with superscript characters when it has
+            // them, like d²y/dx²
+            const order = this.orderTerms(block => block.toUnicode()).join('+');
+            const chars = [...order];
+            numerator += chars.every(char => char in unicodeSuperscriptMap)
+                ? chars.map(char => unicodeSuperscriptMap[char]).join('')
+                : `^(${order})`;
+        }
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                const power = isFirstOrder(order)
+                    ? ''
+                    : scriptToUnicode(order, unicodeSuperscriptMap, '^');
+                return `${d}${variable.toUnicode()}${power}`;
+            })
+            .join('');
+        // The operator is always separated from its operand, so that d/dx x²
+        // isn't read as d/dxx². Without a function, the derivative applies to
+        // whatever follows it.
+        const operator = `${numerator}/${denominator}`;
+        if (this.blocks[0].children.length === 0) return `${operator} `;
+        const fn = this.blocks[0].toUnicode();
+        if (this.functionIsGroup()) return `${operator} (${fn})`;
+        return `${operator} ${fn}`;
+    }
+}
+
+/**
+ * @class
+ * A partial derivative, like \frac{\partial^{3} f}{\partial x^{2} \partial y}.
+ * It has the same blocks as a Derivative, with a variable and an order block
+ * for each of its variables, so that mixed derivatives can have a different
+ * order for each variable. The order of the numerator is the sum of these
+ * orders.
+ */
+class PartialDerivative extends Derivative {
+    get differential() {
+        return differentialSymbols.partial;
+    }
+}
+
+/**
+ * @class
+ * A definite integral with separate blocks for its integrand and the variable
+ * of its differential, like \int_{a}^{b} f(x) \, dx. blocks[0] and blocks[1]
+ * are the lower and upper limits, which are left out when both are empty,
+ * blocks[2] the integrand and blocks[3] the variable of integration.
+ */
+class DefiniteIntegral extends Component {
+    constructor(parent) {
+        super([], parent);
+        for (let i = 0; i < 4; i++) this.blocks.push(new Block(this));
+    }
+
+    hasLimits() {
+        return (
+            this.blocks[0].toLatex() !== '' || this.blocks[1].toLatex() !== ''
+        );
+    }
+
+    toLatex() {
+        const [lower, upper, integrand, variable] = this.blocks.map(block =>
+            block.toLatex(),
+        );
+        const limits = this.hasLimits() ? `_{${lower}}^{${upper}}` : '';
+        return `\\int${limits} ${integrand} \\, d${variable}`;
+    }
+
+    toMathML() {
+        const [lower, upper, integrand, variable] = this.blocks.map(block =>
+            block.toMathML(),
+        );
+        const integral = this.hasLimits()
+            ? `<msubsup><mo>∫</mo>${lower}${upper}</msubsup>`
+            : '<mo>∫</mo>';
+        const differential = `<mspace width="0.167em"/><mi mathvariant="normal">d</mi>${variable}`;
+        return `<mrow>${integral}${integrand}${differential}</mrow>`;
+    }
+
+    toAsciiMath() {
+        const [lower, upper, integrand, variable] = this.blocks.map(block =>
+            block.toAsciiMath(),
+        );
+        const limits = this.hasLimits() ? `_(${lower})^(${upper})` : '';
+        return `int${limits} ${integrand} d${variable}`;
+    }
+
+    toUnicode() {
+        let integral = '∫';
+        if (this.hasLimits()) {
+            integral += scriptToUnicode(
+                this.blocks[0],
+                unicodeSubscriptMap,
+                '_',
+            );
+            integral += scriptToUnicode(
+                this.blocks[1],
+                unicodeSuperscriptMap,
+                '^',
+            );
+        }
+        return `${integral} ${this.blocks[2].toUnicode()} d${this.blocks[3].toUnicode()}`;
+    }
+}
+
+/**
+ * @class
+ * An evaluation bar, like \left. F(x) \right|_{a}^{b}, which stands for F(b) -
+ * F(a). blocks[0] is the expression being evaluated, and blocks[1] and
+ * blocks[2] the lower and upper limits. Empty limits are left out.
+ */
+class EvaluationBar extends ThreeBlockComponent {
+    toLatex() {
+        const lower = this.blocks[1].toLatex();
+        const upper = this.blocks[2].toLatex();
+        const limits =
+            (lower === '' ? '' : `_{${lower}}`) +
+            (upper === '' ? '' : `^{${upper}}`);
+        return `\\left. ${this.blocks[0].toLatex()} \\right|${limits}`;
+    }
+
+    toMathML() {
+        const [body, lower, upper] = this.blocks.map(block => block.toMathML());
+        const bar = `<mrow>${body}<mo stretchy="true">|</mo></mrow>`;
+        return `<msubsup>${bar}${lower}${upper}</msubsup>`;
+    }
+
+    toAsciiMath() {
+        // Like \left. \right| in LaTeX, the bar is the right bracket :| of a
+        // pair opened by the invisible bracket {:
+        let bar = `{:${this.blocks[0].toAsciiMath()}:|`;
+        if (this.blocks[1].toLatex() !== '')
+            bar += `_(${this.blocks[1].toAsciiMath()})`;
+        if (this.blocks[2].toLatex() !== '')
+            bar += `^(${this.blocks[2].toAsciiMath()})`;
+        return bar;
+    }
+
+    toUnicode() {
+        const lower = scriptToUnicode(this.blocks[1], unicodeSubscriptMap, '_');
+        const upper = scriptToUnicode(
+            this.blocks[2],
+            unicodeSuperscriptMap,
+            '^',
+        );
+        return `${blockToUnicodeBody(this.blocks[0])}|${lower}${upper}`;
+    }
+}
+
+/**
+ * @class
+ * A chemical equation or formula in mhchem notation, like \ce{2H2 + O2 ->
+ * 2H2O}. Its block holds the mhchem text as typed, one character per
+ * TextComponent. Reaction arrows and state symbols inserted from the toolbar
+ * are a single TextComponent each, so that they are deleted at once. mhchem
+ * draws the digits of a formula as subscripts and reads charges like Fe^3+,
+ * which the other output formats do using chemistryTokens().
+ */
+class ChemicalEquation extends OneBlockComponent {
+    get text() {
+        // The mhchem text, with the spaces around the arrows inserted from the
+        // toolbar collapsed
+        const block =
+            this.blocks[0] instanceof FrameBox
+                ? this.blocks[0].blocks[0]
+                : this.blocks[0];
+        return textRunPieces(block)
+            .map(piece => (typeof piece === 'string' ? piece : piece.toLatex()))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    toLatex() {
+        // Like TextRun, the box drawn while the cursor is inside goes around
+        // the whole \ce{}
+        if (this.blocks[0] instanceof FrameBox)
+            return `\\boxed{\\ce{${this.text}}}`;
+        return `\\ce{${this.text}}`;
+    }
+
+    toAsciiMath() {
+        // AsciiMath has no chemistry, so the mhchem text is written as a string
+        // after ce, like \ce{} in LaTeX
+        return `ce"${this.text}"`;
+    }
+
+    toMathML() {
+        const mathml = chemistryTokens(this.text).map(token => {
+            if (token.kind !== 'formula') return `<mo>${token.symbol}</mo>`;
+            return token.atoms
+                .map(atom => {
+                    let base;
+                    if (atom.kind === 'number') base = `<mn>${atom.text}</mn>`;
+                    else if (['bracket', 'dot'].includes(atom.kind))
+                        base = `<mo>${escapeXML(atom.text)}</mo>`;
+                    else if (atom.kind === 'state')
+                        base = `<mtext>${atom.text}</mtext>`;
+                    else
+                        base = `<mi mathvariant="normal">${escapeXML(atom.text)}</mi>`;
+                    const subscript = `<mn>${atom.subscript}</mn>`;
+                    const charge = `<mrow>${[...atom.charge]
+                        .map(char =>
+                            /[0-9]/.test(char)
+                                ? `<mn>${char}</mn>`
+                                : `<mo>${escapeXML(char)}</mo>`,
+                        )
+                        .join('')}</mrow>`;
+                    if (atom.subscript && atom.charge)
+                        return `<msubsup>${base}${subscript}${charge}</msubsup>`;
+                    if (atom.subscript)
+                        return `<msub>${base}${subscript}</msub>`;
+                    if (atom.charge) return `<msup>${base}${charge}</msup>`;
+                    return base;
+                })
+                .join('');
+        });
+        return `<mrow>${mathml.join('')}</mrow>`;
+    }
+
+    toUnicode() {
+        const toScript = (text, scriptMap, marker) =>
+            [...text].every(char => char in scriptMap)
+                ? [...text].map(char => scriptMap[char]).join('')
+                : `${marker}(${text})`;
+        return chemistryTokens(this.text)
+            .map(token => {
+                if (token.kind !== 'formula') return token.symbol;
+                return token.atoms
+                    .map(atom => {
+                        let unicode = atom.text;
+                        if (atom.subscript)
+                            unicode += toScript(
+                                atom.subscript,
+                                unicodeSubscriptMap,
+                                '_',
+                            );
+                        if (atom.charge)
+                            unicode += toScript(
+                                atom.charge,
+                                unicodeSuperscriptMap,
+                                '^',
+                            );
+                        return unicode;
+                    })
+                    .join('');
+            })
+            .join(' ');
+    }
+}
+
+/**
+ * @class
+ * A value with units, like 9.81 m s⁻². blocks[0] is the number and blocks[1] is
+ * the unit text, like "m/s^2", which is split into units by parseUnits().
+ * latexData is "latex" to output plain LaTeX, like 9.81\,\mathrm{m\,s^{-2}}, or
+ * "siunitx" to output \SI{9.81}{\meter\per\second\squared}.
+ */
+class Quantity extends TwoBlockComponent {
+    constructor(parent, latexData = 'latex') {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    get unitText() {
+        // The text of the unit block, like ChemicalEquation.text
+        const block =
+            this.blocks[1] instanceof FrameBox
+                ? this.blocks[1].blocks[0]
+                : this.blocks[1];
+        return textRunPieces(block)
+            .map(piece => (typeof piece === 'string' ? piece : piece.toLatex()))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    get units() {
+        return parseUnits(this.unitText);
+    }
+
+    hasValidUnits() {
+        // Returns true if every unit in the unit block is a known unit
+        return this.units.every(unit => unit.unit !== null);
+    }
+
+    get numberLatex() {
+        // The digits of the number are written without the spaces between
+        // components, like 9.81
+        return this.blocks[0]
+            .toLatex()
+            .replace(/(?<=[0-9.,]) (?=[0-9.,])/g, '');
+    }
+
+    toLatex() {
+        if (this.latexData === 'siunitx') {
+            return `\\SI{${this.numberLatex}}{${this.units.map(unitToSiunitx).join('')}}`;
+        }
+        return this.plainLatex(false);
+    }
+
+    toPreviewLatex() {
+        // MathJax doesn't support siunitx, so the editor always shows plain
+        // LaTeX, with invalid units flagged
+        return this.plainLatex(true);
+    }
+
+    plainLatex(flagInvalidUnits) {
+        const number = this.numberLatex;
+        // While the cursor is in the unit block, the unit text is shown as
+        // typed
+        if (this.blocks[1] instanceof FrameBox) {
+            const text = textRunPieces(this.blocks[1].blocks[0])
+                .map(piece =>
+                    typeof piece === 'string' ? piece : piece.toLatex(),
+                )
+                .join('');
+            return `${number}\\,\\boxed{\\text{${escapeTextMode(text)}}}`;
+        }
+        const units = this.units.map(unit => {
+            if (unit.unit === null) {
+                const text = `\\text{${escapeTextMode(unit.text)}}`;
+                return flagInvalidUnits
+                    ? `\\class{_mjxgui_invalid_unit}{${text}}`
+                    : text;
+            }
+            const latex =
+                `${siPrefixes[unit.prefix]?.latex ?? ''}${siUnits[unit.unit].latex}`.trim();
+            return unit.power === 1 ? latex : `${latex}^{${unit.power}}`;
+        });
+        if (units.length === 0) return number;
+        return `${number}\\,\\mathrm{${units.join('\\,')}}`;
+    }
+
+    toAsciiMath() {
+        // The unit text is written as an upright string after the number, like
+        // 9.81 rm"m s^-2". Unlike a FontStyle, whose argument is in
+        // parentheses, this is read back as a Quantity.
+        const number = this.blocks[0]
+            .toAsciiMath()
+            .replace(/(?<=[0-9.,]) (?=[0-9.,])/g, '');
+        const unitText = this.unitText;
+        return unitText === '' ? number : `${number} rm"${unitText}"`;
+    }
+
+    toMathML() {
+        const space = '<mspace width="0.167em"/>';
+        const units = this.units.map(unit => {
+            if (unit.unit === null)
+                return `<mtext>${escapeXML(unit.text)}</mtext>`;
+            const symbol = `<mi mathvariant="normal">${escapeXML(unit.prefix + unit.unit)}</mi>`;
+            if (unit.power === 1) return symbol;
+            const power =
+                unit.power < 0
+                    ? `<mrow><mo>-</mo><mn>${-unit.power}</mn></mrow>`
+                    : `<mn>${unit.power}</mn>`;
+            return `<msup>${symbol}${power}</msup>`;
+        });
+        const number = `<mrow>${sequenceToMathML(this.blocks[0].children)}</mrow>`;
+        if (units.length === 0) return number;
+        return `<mrow>${number}${space}${units.join(space)}</mrow>`;
+    }
+
+    toUnicode() {
+        const units = this.units.map(unit => {
+            if (unit.unit === null) return unit.text;
+            const power = String(unit.power);
+            if (unit.power === 1) return unit.prefix + unit.unit;
+            return (
+                unit.prefix +
+                unit.unit +
+                [...power].map(char => unicodeSuperscriptMap[char]).join('')
+            );
+        });
+        const number = sequenceToUnicode(this.blocks[0].children);
+        return units.length === 0 ? number : `${number} ${units.join('·')}`;
+    }
+}
+
+/**
+ * @class
+ * A component whose LaTeX comes from a template, like \overset{#1}{#2}. Each #n
+ * in the template is replaced with the LaTeX of block n. Subclasses are
+ * generated by defineComponent(), which sets the template and the number of
+ * blocks on the subclass itself, so they aren't saved in JSON.
+ */
+class TemplateComponent extends Component {
+    constructor(parent) {
+        super([], parent);
+        for (let i = 0; i < this.constructor.blockCount; i++) {
+            this.blocks.push(new Block(this));
+        }
+    }
+
+    toLatex() {
+        return this.constructor.template.replace(/#([1-9])/g, (match, n) =>
+            this.blocks[n - 1].toLatex(),
+        );
+    }
+}
+
+// Register the built-in components so they can be restored from JSON
+for (let componentClass of [
+    Component,
+    OneBlockComponent,
+    TwoBlockComponent,
+    ThreeBlockComponent,
+    TemplateThreeBlockComponent,
+    TrigonometricTwoBlockComponent,
+    TextComponent,
+    MJXGUISymbol,
+    FrameBox,
+    Limit,
+    Fraction,
+    Subscript,
+    Superscript,
+    SubSupRight,
+    Sqrt,
+    NthRoot,
+    Matrix,
+    Cases,
+    AlignedLines,
+    Delimited,
+    Accent,
+    TextRun,
+    FontStyle,
+    LabeledComponent,
+    Brace,
+    OverUnderSet,
+    Colored,
+    ColorBox,
+    Derivative,
+    PartialDerivative,
+    DefiniteIntegral,
+    EvaluationBar,
+    ChemicalEquation,
+    Quantity,
+]) {
+    registerComponent(componentClass);
+}
+
+// Listens for keypress and modifies the Expression accordingly
+
+const characters = new Set();
+for (let char of 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890!@^*()[];:\'"/?.,<>-=+`~') {
+    characters.add(char);
+}
+
+// The Cursor method called for each key pressed together with Alt
+const matrixShortcuts = {
+    ArrowUp: 'insertMatrixRowAbove',
+    ArrowDown: 'insertMatrixRowBelow',
+    ArrowLeft: 'insertMatrixColumnLeft',
+    ArrowRight: 'insertMatrixColumnRight',
+    Backspace: 'removeMatrixRow',
+    Delete: 'removeMatrixColumn',
+};
+
+/**
+ * @class
+ *
+ */
+class Cursor {
+    constructor(expression, display) {
+        this.expression = expression;
+        this.block = null;
+        this.component = null;
+        this.child = -0.5;
+        this.position = -0.5;
+        this.latex = '';
+        this.display = display;
+        // The environment used for multi-line equations, "aligned" or "gathered"
+        this.multiLineEnvironment = 'aligned';
+        // Where the selection started, as a position in this.siblings() like this.child, or null if nothing is selected.
+        // Inserting, deleting and moving the cursor other than with Shift+arrow keys end the selection.
+        this.selectionAnchor = null;
+    }
+
+    addText(text) {
+        // Insert some text into the Expression, either as its own block or into the block
+        // we are in currently.
+        this.selectionAnchor = null;
+        if (this.block === null) {
+            // Safe to assume we are not in any block and are between two components in the
+            // Expression or at the start or end of the Expression.
+            const _ = new TextComponent(this.block);
+            _.blocks[0].addChild(text);
+            this.expression.add(_, Math.ceil(this.position));
+
+            this.child = -0.5;
+            this.position++;
+        } else {
+            // We are in some Block in some Component of the Expression.
+            // The child we are in changes, the component, block, and position remain the same
+            const _ = new TextComponent(this.block);
+            _.blocks[0].addChild(text);
+            this.block.addChild(_, Math.ceil(this.child));
+            this.child++;
+        }
+    }
+
+    addComponent(component) {
+        // Insert a new Component into the Expression at the position of the cursor.
+        // If we are in a block, we add a Component to the block as a child, otherwise
+        // we insert the Component on the top level as a new component in the
+        // Expression
+        this.selectionAnchor = null;
+        if (this.block === null) {
+            this.expression.add(component, Math.ceil(this.position));
+            this.position = Math.ceil(this.position);
+            if (
+                component instanceof MJXGUISymbol ||
+                component instanceof TextComponent
+            ) {
+                this.block = null;
+                this.component = null;
+                this.position += 0.5;
+            } else {
+                this.block = component.blocks[0];
+                this.component = component;
+            }
+            this.child = -0.5;
+        } else {
+            // Add the component to the block's children and increment this.child in preparation to move
+            // inside the inserted component
+            this.block.addChild(component, Math.ceil(this.child));
+            // this.child += 0.5;
+            if (
+                component instanceof MJXGUISymbol ||
+                component instanceof TextComponent
+            ) {
+                // If the component we just inserted is a Symbol or Text, don't move into it and increment
+                // this.child by 0.5 again
+                this.child += 1;
+            } else {
+                // Otherwise, move into the new component
+                this.component = component;
+                this.block = component.blocks[0];
+                this.child = -0.5;
+            }
+        }
+    }
+
+    removeComponent() {
+        if (this.block === null) {
+            // If we are not in a block then we check if the component to the left is a TextComponent
+            // If it is, we remove it, else we do nothing.
+            let prevComponent =
+                this.expression.components[Math.floor(this.position)];
+            if (
+                prevComponent instanceof TextComponent ||
+                prevComponent instanceof MJXGUISymbol
+            ) {
+                this.position = Math.floor(this.position);
+                this.component = prevComponent;
+                this.block = prevComponent.blocks[0];
+                this.child = -0.5;
+                this.removeComponent();
+            }
+        } else if (this.component.parent === null) {
+            // Find the component in the expression and remove it, change the cursor object's
+            // component and block pointers
+            for (let i = 0; i < this.expression.components.length; i++) {
+                if (this.expression.components[i] === this.component) {
+                    this.expression.remove(i);
+                    break;
+                }
+            }
+            this.position -= 0.5;
+            this.component = null;
+            this.block = null;
+            this.child = -0.5;
+        } else {
+            // Capture the block above us to move into after we remove this component
+            let parentBlock = this.component.parent;
+            for (let i = 0; i < parentBlock.children.length; i++) {
+                if (parentBlock.children[i] === this.component) {
+                    parentBlock.removeChild(i);
+                    this.child = i - 0.5;
+                    break;
+                }
+            }
+            this.block = parentBlock;
+            this.component = parentBlock.parent;
+        }
+    }
+
+    keyPress(event) {
+        const selecting =
+            event.shiftKey &&
+            (event.key === 'ArrowLeft' || event.key === 'ArrowRight');
+        if (!selecting) this.selectionAnchor = null;
+
+        if (selecting) {
+            // Shift+arrow keys select the components next to the cursor, one at a time
+            this.extendSelection(event.key === 'ArrowLeft' ? -1 : 1);
+        } else if (event.altKey && matrixShortcuts[event.key] !== undefined) {
+            // Alt+arrow keys insert rows and columns into the matrix the cursor is in, Alt+Backspace and
+            // Alt+Delete remove them. The browser would otherwise use some of these to navigate back and forward.
+            event.preventDefault();
+            this[matrixShortcuts[event.key]]();
+        } else if (event.altKey && event.code === 'KeyT') {
+            // Alt+T starts or leaves text mode. event.code is used since Alt changes the key typed on macOS.
+            event.preventDefault();
+            this.toggleTextMode();
+        } else if (event.altKey && event.code === 'KeyC') {
+            // Alt+C starts or leaves chemistry mode
+            event.preventDefault();
+            this.toggleChemistryMode();
+        } else if (
+            (this.component instanceof TextRun ||
+                this.component instanceof ChemicalEquation ||
+                (this.component instanceof Quantity &&
+                    this.block === this.component.blocks[1])) &&
+            event.key.length === 1 &&
+            !event.ctrlKey &&
+            !event.metaKey
+        ) {
+            // Inside text, chemical equations and units every character is typed as is, including spaces and the
+            // characters that are otherwise inserted as escaped symbols below. TextRun escapes them when
+            // generating LaTeX, mhchem reads the digits of formulas as subscripts and Quantity splits the units.
+            this.addText(event.key);
+        } else if (characters.has(event.key)) {
+            this.addText(event.key);
+        } else if (event.key === 'ArrowLeft') {
+            this.seekLeft();
+        } else if (event.key === 'ArrowRight') {
+            this.seekRight();
+        } else if (event.key === 'ArrowUp') {
+            this.seekUp();
+        } else if (event.key === 'ArrowDown') {
+            this.seekDown();
+        } else if (event.key === 'Backspace') {
+            this.backspace();
+        } else if (event.key === 'Enter' && event.shiftKey) {
+            this.insertLine();
+        } else if (event.key === 'Enter') {
+            // Enter adds a row to the cases the cursor is in, and saves the equation everywhere else
+            const cell = this.matrixCell(Cases);
+            if (cell !== null) {
+                this.insertMatrixRow(1, cell);
+            } else {
+                this.display
+                    .closest('._mjxgui_editor_window')
+                    .querySelector('._mjxgui_save_equation')
+                    .click();
+            }
+        } else if (event.key === ' ') {
+            let _ = new MJXGUISymbol(this.block, '\\:\\:');
+            this.addComponent(_);
+        } else if (event.key === '\\') {
+            let _ = new MJXGUISymbol(this.block, '\\backslash');
+            this.addComponent(_);
+        } else if (['$', '#', '%', '&', '_', '{', '}'].includes(event.key)) {
+            let _ = new MJXGUISymbol(this.block, `\\${event.key}`);
+            this.addComponent(_);
+        }
+        this.updateDisplay();
+    }
+
+    seekRight() {
+        this.selectionAnchor = null;
+        let maxPos = this.expression.components.length - 0.5;
+        if (this.position >= maxPos) return;
+        else if (this.block === null) {
+            this.position += 0.5;
+            // If the component at this index is a MJXGUISymbol or a TextComponent, skip it and go to the next
+            if (
+                this.expression.components[this.position] instanceof
+                    TextComponent ||
+                this.expression.components[this.position] instanceof
+                    MJXGUISymbol
+            ) {
+                // If the component to the right of the cursor is a TextComponent, we skip it and
+                // move one more position to the right and into the space between two components
+                this.position += 0.5;
+                this.child = -0.5;
+                this.block = null;
+                this.component = null;
+            } else {
+                // Otherwise we moved into a function
+                // Set the block to be the last block of the function and set the child to be at the left most end
+                this.component = this.expression.components[this.position];
+                this.block = this.component.blocks[0];
+                this.child = -0.5;
+                // this.position remains the same
+            }
+        } else {
+            if (this.child === this.block.children.length - 0.5) {
+                // If we are at the end of the block, we want to move to a different block
+                // and possibly a new component
+                let pos = this.component.blocks.indexOf(this.block);
+                if (pos === this.component.blocks.length - 1) {
+                    // If we are in the last block of the current component, we want to move out of this component
+                    if (this.component.parent === null) {
+                        // We are at the top level, our component and blocks become null
+                        this.component = null;
+                        this.block = null;
+                        this.child = -0.5;
+                        this.position += 0.5;
+                    } else {
+                        // Otherwise, we move one level above and our component becomes the parent component
+                        // our block becomes the block that the current component was in
+                        this.block = this.component.parent;
+                        // Record the position the current component is in. We move the cursor here
+                        this.child =
+                            this.block.children.indexOf(this.component) + 0.5;
+                        this.component = this.block.parent;
+                    }
+                } else {
+                    // this.component and this.position remain the same
+                    this.block = this.component.blocks[pos + 1];
+                    this.child = -0.5;
+                }
+            } else {
+                // We are not at the end of the block
+                // Detect the component to the right
+                let nextComponent = this.block.children[Math.ceil(this.child)];
+                if (
+                    nextComponent instanceof TextComponent ||
+                    nextComponent instanceof MJXGUISymbol
+                ) {
+                    // If it is a TextComponent or Symbol, skip it and move on
+                    this.child++;
+                } else {
+                    this.component = nextComponent;
+                    this.block = this.component.blocks[0];
+                    this.child = -0.5;
+                }
+            }
+        }
+    }
+
+    seekLeft() {
+        this.selectionAnchor = null;
+        if (this.position <= -0.5) return;
+        else if (this.block === null) {
+            this.position -= 0.5;
+            // If the component at this index is a MJXGUISymbol or a TextComponent, we skip this component and go one more step backward
+            if (
                 this.expression.components[this.position] instanceof
                     TextComponent ||
                 this.expression.components[this.position] instanceof
                     MJXGUISymbol
             ) {
-                // If the component to the right of the cursor is a TextComponent, we skip it and
-                // move one more position to the right and into the space between two components
-                this.position += 0.5;
-                this.child = -0.5;
-                this.block = null;
-                this.component = null;
+                // If the component to the left of the cursor is a TextComponent, we skip it and
+                // move one more position to the left and into the space between two components
+                this.position -= 0.5;
+                this.child = -0.5;
+                this.block = null;
+                this.component = null;
+            } else {
+                // Otherwise we moved into a Function
+                // Set the block to be the last block of the function and set the child to be at the right most end
+                this.component = this.expression.components[this.position];
+                this.block = this.blockFromRight(this.component);
+                this.child = this.block.children.length - 0.5;
+                // this.position remains the same
+            }
+        } else {
+            if (this.child === -0.5) {
+                // If we are at the start of the block, we want to move to a different block
+                // and possibly a new component
+                let pos = this.component.blocks.indexOf(this.block);
+                if (pos === 0) {
+                    // If we are in the first block of this component, we want to move out of this component
+                    if (this.component.parent === null) {
+                        // We are at the top level, our component and blocks become null
+                        this.component = null;
+                        this.block = null;
+                        this.child = -0.5;
+                        this.position -= 0.5;
+                    } else {
+                        // Otherwise, we move one level above and our component becomes the parent component
+                        // our block becomes the block that the current component was in
+                        this.block = this.component.parent;
+                        // Record the position the current component is in. We move the cursor there.
+                        this.child =
+                            this.block.children.indexOf(this.component) - 0.5;
+                        this.component = this.block.parent;
+                    }
+                } else {
+                    // this.component and this.position remain the same
+                    this.block = this.component.blocks[pos - 1];
+                    this.child = this.block.children.length - 0.5;
+                }
+            } else {
+                // We are not at the start of the block
+                // Detect the component to the left
+                let prevComponent = this.block.children[Math.floor(this.child)];
+                if (
+                    prevComponent instanceof TextComponent ||
+                    prevComponent instanceof MJXGUISymbol
+                ) {
+                    // If it is a TextComponent or Symbol, skip it and move on
+                    this.child--;
+                } else {
+                    this.component = prevComponent;
+                    this.block =
+                        this.component.blocks[this.component.blocks.length - 1];
+                    this.child = this.block.children.length - 0.5;
+                }
+            }
+        }
+    }
+
+    blockFromRight(component) {
+        // The block the cursor moves into when it enters a component from the right, which is usually the last
+        // one. The label of a LabeledComponent, like the caption of an underbrace, is reached by moving right
+        // from the end of its main block, so moving left enters the main block instead.
+        if (component instanceof LabeledComponent) return component.blocks[0];
+        return component.blocks[component.blocks.length - 1];
+    }
+
+    seekUp() {
+        // Move to the end of the cell above the current one, if the cursor is in a matrix, or to the block above in
+        // a component with a label
+        this.seekVertically(-1);
+    }
+
+    seekDown() {
+        // Move to the end of the cell below the current one, if the cursor is in a matrix, or to the block below in
+        // a component with a label
+        this.seekVertically(1);
+    }
+
+    seekVertically(direction) {
+        this.selectionAnchor = null;
+        const cell = this.matrixCell();
+        if (cell === null) {
+            this.seekLabel(direction);
+            return;
+        }
+        const { matrix, block } = cell;
+        const target =
+            matrix.blocks[
+                matrix.blocks.indexOf(block) + direction * matrix.columns
+            ];
+        if (target === undefined) return;
+        this.moveToBlock(matrix, target);
+    }
+
+    seekLabel(direction) {
+        // Move between the main block and the label of a LabeledComponent, where the label is above the main
+        // block for \overbrace and \overset and below it otherwise
+        const found = this.enclosingComponent(LabeledComponent);
+        if (found === null) return;
+        const { component, block } = found;
+        const target =
+            component.blocks[direction < 0 === component.labelAbove ? 1 : 0];
+        if (target !== block) this.moveToBlock(component, target);
+    }
+
+    enclosingComponent(componentClass) {
+        // Find the innermost component of the given class the cursor is in. Returns the component and its
+        // block containing the cursor, or null if there is none.
+        let component = this.component;
+        let block = this.block;
+        while (component) {
+            if (component instanceof componentClass)
+                return { component, block };
+            block = component.parent;
+            component = block ? block.parent : null;
+        }
+        return null;
+    }
+
+    matrixCell(matrixClass = Matrix) {
+        // Find the innermost Matrix (or instance of a subclass of Matrix, like Cases) the cursor is in. Returns
+        // the matrix and the cell (block) of the matrix containing the cursor, or null if there is none.
+        const found = this.enclosingComponent(matrixClass);
+        return found && { matrix: found.component, block: found.block };
+    }
+
+    setDelimiters(left, right) {
+        // Change the delimiters of the innermost Delimited component the cursor is in
+        const found = this.enclosingComponent(Delimited);
+        if (found !== null) found.component.setDelimiters(left, right);
+    }
+
+    siblings() {
+        // The components next to the cursor, which are the children of its block, or the top level components
+        // of the expression if it isn't in a block
+        return this.block === null
+            ? this.expression.components
+            : this.block.children;
+    }
+
+    extendSelection(direction) {
+        // Move the cursor one component to the left (-1) or right (1) within its block, selecting the
+        // components between the cursor and where the selection started
+        const offset = this.block === null ? this.position : this.child;
+        const next = offset + direction;
+        if (next < -0.5 || next > this.siblings().length - 0.5) return;
+        if (this.selectionAnchor === null) this.selectionAnchor = offset;
+        if (this.block === null) this.position = next;
+        else this.child = next;
+    }
+
+    getSelection() {
+        // The selected components, as the index of the first one in this.siblings() and the index after the last
+        // one, or null if nothing is selected
+        if (this.selectionAnchor === null) return null;
+        const offset = this.block === null ? this.position : this.child;
+        const start = Math.ceil(Math.min(offset, this.selectionAnchor));
+        const end = Math.ceil(Math.max(offset, this.selectionAnchor));
+        return start === end ? null : { start, end };
+    }
+
+    wrapSelection(component) {
+        // Insert a component with one block, like a FontStyle, moving the selected components into its block and
+        // the cursor to the end of the block. Without a selection, the component is inserted empty.
+        const selection = this.getSelection();
+        this.selectionAnchor = null;
+        if (selection === null) {
+            this.addComponent(component);
+            return;
+        }
+        const block = component.blocks[0];
+        const selected = this.siblings().splice(
+            selection.start,
+            selection.end - selection.start,
+            component,
+        );
+        for (let c of selected) {
+            c.parent = block;
+            block.addChild(c);
+        }
+        component.parent = this.block;
+        if (this.block === null) this.position = selection.start;
+        this.component = component;
+        this.block = block;
+        this.child = block.children.length - 0.5;
+    }
+
+    toggleTextMode() {
+        // Leave the text the cursor is in, moving to just after it, or start new text at the cursor
+        this.toggleMode(TextRun);
+    }
+
+    toggleChemistryMode() {
+        // Leave the chemical equation the cursor is in, moving to just after it, or start a new one at the cursor
+        this.toggleMode(ChemicalEquation);
+    }
+
+    toggleMode(componentClass) {
+        // Leave the innermost component of the given class the cursor is in, or insert a new one at the cursor
+        this.selectionAnchor = null;
+        const found = this.enclosingComponent(componentClass);
+        if (found === null) {
+            this.addComponent(new componentClass(this.block));
+            return;
+        }
+        const component = found.component;
+        if (component.parent === null) {
+            this.block = null;
+            this.component = null;
+            this.child = -0.5;
+            this.position = this.expression.components.indexOf(component) + 0.5;
+        } else {
+            this.block = component.parent;
+            this.component = this.block.parent;
+            this.child = this.block.children.indexOf(component) + 0.5;
+        }
+    }
+
+    addChemistrySymbol(text) {
+        // Insert a reaction arrow, state or other symbol of a chemical equation as a single unit, starting a
+        // chemical equation at the cursor if it isn't in one
+        if (!(this.component instanceof ChemicalEquation)) {
+            this.addComponent(new ChemicalEquation(this.block));
+        }
+        // Arrows, and the gas and precipitate symbols, are words of their own in mhchem
+        if (text in chemistryArrows) text = ` ${text} `;
+        else if (text in chemistryWords) text = ` ${text}`;
+        this.addText(text);
+    }
+
+    moveToBlock(component, block, child = block.children.length - 0.5) {
+        // Move the cursor into a block of a component. this.position doesn't change, since the cursor
+        // stays inside the same top level component.
+        this.component = component;
+        this.block = block;
+        this.child = child;
+    }
+
+    insertMatrixRow(offset, cell = this.matrixCell(), column = 0) {
+        // Insert a row above (offset 0) or below (offset 1) the cell the cursor is in and move into the given
+        // column of the new row
+        if (cell === null) return;
+        const { matrix, block } = cell;
+        const { row } = matrix.cellOf(block);
+        matrix.insertRow(row + offset);
+        this.moveToBlock(
+            matrix,
+            matrix.blocks[(row + offset) * matrix.columns + column],
+            -0.5,
+        );
+    }
+
+    insertLine() {
+        // Insert a new line below the current one, switching the expression to multi-line mode if it is not
+        // in it yet. In an aligned environment the cursor moves after the alignment marker of the new line.
+        const cell = this.matrixCell(AlignedLines) || this.startMultiLine();
+        this.insertMatrixRow(1, cell, cell.matrix.columns - 1);
+    }
+
+    startMultiLine() {
+        // Move the whole expression into the first line of a new AlignedLines component, using the
+        // environment in this.multiLineEnvironment. In an aligned environment the alignment marker is placed
+        // before the first = sign. Returns the cell to add the next line after.
+        const components = this.expression.components;
+        if (components.length === 1 && components[0] instanceof AlignedLines) {
+            // Already in multi-line mode, but the cursor is outside the lines
+            const lines = components[0];
+            return {
+                matrix: lines,
+                block: lines.blocks[lines.blocks.length - 1],
+            };
+        }
+        const lines = new AlignedLines(null, this.multiLineEnvironment, 1);
+        let split = components.findIndex(
+            c => c instanceof TextComponent && c.toLatex() === '=',
+        );
+        if (lines.columns === 1 || split === -1) split = components.length;
+        [components.slice(0, split), components.slice(split)].forEach(
+            (children, i) => {
+                for (let c of children) {
+                    c.parent = lines.blocks[Math.min(i, lines.columns - 1)];
+                    c.parent.addChild(c);
+                }
+            },
+        );
+        this.expression.components = [lines];
+        this.position = 0;
+        return { matrix: lines, block: lines.blocks[lines.blocks.length - 1] };
+    }
+
+    insertMatrixRowAbove() {
+        this.insertMatrixRow(0);
+    }
+
+    insertMatrixRowBelow() {
+        this.insertMatrixRow(1);
+    }
+
+    insertMatrixColumn(offset) {
+        // Insert a column left (offset 0) or right (offset 1) of the cell the cursor is in and move into the
+        // new column. Not every kind of matrix allows that, see Matrix.fixedColumns.
+        const cell = this.matrixCell();
+        if (cell === null || cell.matrix.fixedColumns) return;
+        const { matrix, block } = cell;
+        const { row, column } = matrix.cellOf(block);
+        matrix.insertColumn(column + offset);
+        this.moveToBlock(
+            matrix,
+            matrix.blocks[row * matrix.columns + column + offset],
+            -0.5,
+        );
+    }
+
+    insertMatrixColumnLeft() {
+        this.insertMatrixColumn(0);
+    }
+
+    insertMatrixColumnRight() {
+        this.insertMatrixColumn(1);
+    }
+
+    removeMatrixRow() {
+        // Remove the row the cursor is in, moving to the same column in the next row (or the previous one
+        // if it was the last row). The last row of a matrix is never removed.
+        const cell = this.matrixCell();
+        if (cell === null || cell.matrix.rows === 1) return;
+        const { matrix, block } = cell;
+        const { row, column } = matrix.cellOf(block);
+        matrix.removeRow(row);
+        const next = Math.min(row, matrix.rows - 1);
+        this.moveToBlock(matrix, matrix.blocks[next * matrix.columns + column]);
+    }
+
+    removeMatrixColumn() {
+        // Remove the column the cursor is in, moving to the next column (or the previous one if it was the
+        // last column). The last column of a matrix is never removed, and neither are the columns of a matrix
+        // with fixed columns.
+        const cell = this.matrixCell();
+        if (
+            cell === null ||
+            cell.matrix.columns === 1 ||
+            cell.matrix.fixedColumns
+        )
+            return;
+        const { matrix, block } = cell;
+        const { row, column } = matrix.cellOf(block);
+        matrix.removeColumn(column);
+        const next = Math.min(column, matrix.columns - 1);
+        this.moveToBlock(matrix, matrix.blocks[row * matrix.columns + next]);
+    }
+
+    backspace() {
+        this.selectionAnchor = null;
+        if (this.expression.components.length === 0) return;
+        else if (this.position === -0.5) return;
+
+        if (this.block === null) {
+            // If we are not in a block, we are in between two components, remove the previous component if it is
+            // a TextComponent
+            let prevComponent =
+                this.expression.components[Math.floor(this.position)];
+            if (
+                prevComponent instanceof TextComponent ||
+                prevComponent instanceof MJXGUISymbol
+            ) {
+                this.removeComponent();
+            } else {
+                this.component = prevComponent;
+                this.block = this.blockFromRight(this.component);
+                this.child = this.block.children.length - 0.5;
+                this.position = Math.floor(this.position);
+            }
+        } else {
+            if (this.isInEmptyLastRow()) {
+                // Remove the empty last row of cases or lines, moving to the end of the row above
+                this.component.removeRow(this.component.rows - 1);
+                this.moveToBlock(
+                    this.component,
+                    this.component.blocks[this.component.blocks.length - 1],
+                );
+            } else if (this.component.isEmpty()) {
+                this.removeComponent();
+            } else {
+                if (this.child <= -0.5) {
+                    const blockPos = this.component.blocks.indexOf(this.block);
+                    if (blockPos === 0) return;
+                    this.block = this.component.blocks[blockPos - 1];
+                    this.child = this.block.children.length - 0.5;
+                } else {
+                    this.block.removeChild(Math.floor(this.child));
+                    this.child--;
+                }
+            }
+        }
+    }
+
+    isInEmptyLastRow() {
+        // Returns true if the cursor is at the start of a cell in the last row of a matrix with fixed columns,
+        // like cases or lines, the row is empty and it is not the only row
+        if (!this.component?.fixedColumns || this.child !== -0.5) return false;
+        const { row } = this.component.cellOf(this.block);
+        const rows = this.component.getRows();
+        return (
+            rows.length > 1 &&
+            row === rows.length - 1 &&
+            rows[row].every(block => block.children.length === 0)
+        );
+    }
+
+    toLatex() {
+        // Generate LaTeX from the expression built till now
+        let latex = this.expression.toLatex();
+        this.latex = latex;
+        return latex;
+    }
+
+    toDisplayLatex() {
+        // Generate LaTeX to show in the display by adding a caret character to the expression.
+        // This is not the real LaTeX of the expression but the LaTeX resulting after we add
+        // a caret as a | character in the expression
+        let caret = new TextComponent(this.block);
+        caret.blocks[0].addChild('|');
+
+        let frame = new FrameBox(this.block);
+
+        // The selected components are highlighted by putting them inside a \class{}, whose two halves are
+        // added around them like the caret. The caret then comes after the closing half if it is at the end of
+        // the selection.
+        const selection = this.getSelection();
+        const siblings = this.siblings();
+        let caretIndex = Math.ceil(
+            this.block === null ? this.position : this.child,
+        );
+        if (selection !== null) {
+            const open = new TextComponent(this.block);
+            open.blocks[0].addChild('\\class{_mjxgui_selection}{');
+            const close = new TextComponent(this.block);
+            close.blocks[0].addChild('}');
+            siblings.splice(selection.end, 0, close);
+            siblings.splice(selection.start, 0, open);
+            if (caretIndex === selection.end) caretIndex += 2;
+        }
+
+        if (this.block === null) {
+            // If we are not in any block, we just add the caret, generate latex
+            // and reset the components
+            this.expression.add(caret, caretIndex);
+        } else {
+            // We add the current component inside the frame, add the caret in the
+            // right position, generate latex and reset the components
+            let i = this.component.blocks.indexOf(this.block);
+            this.component.removeBlock(i);
+            this.component.addBlock(frame, i);
+            frame.blocks[0] = this.block;
+            this.block.addChild(caret, caretIndex);
+        }
+
+        let latex = generatePreviewLatex(this.expression);
+
+        if (this.block === null) {
+            this.expression.remove(caretIndex);
+        } else {
+            let i = this.component.blocks.indexOf(frame);
+            this.component.removeBlock(i);
+            this.component.addBlock(this.block, i);
+            this.block.removeChild(caretIndex);
+        }
+        if (selection !== null) {
+            siblings.splice(selection.end + 1, 1);
+            siblings.splice(selection.start, 1);
+        }
+
+        return latex;
+    }
+
+    updateDisplay() {
+        if (
+            this.display instanceof String ||
+            typeof this.display === 'string'
+        ) {
+            this.display = document.querySelector(this.display);
+        }
+        MathJax.typesetClear([this.display]);
+        this.display.innerHTML = '$$' + this.toDisplayLatex() + '$$';
+        MathJax.typesetPromise([this.display]).then(() => {});
+    }
+}
+
+// Parses a LaTeX string back into an Expression
+// Exposes its API for the MJXGUI class to use
+
+// Commands that are generated by TemplateThreeBlockComponent
+const templateThreeCommands = new Set([
+    'sum',
+    'int',
+    'iint',
+    'iiint',
+    'oint',
+    'prod',
+    'coprod',
+    'bigcup',
+    'bigcap',
+    'bigvee',
+    'bigwedge',
+]);
+
+// Commands that are generated by TrigonometricTwoBlockComponent
+const trigonometricCommands = new Set([
+    'sin',
+    'cos',
+    'tan',
+    'csc',
+    'sec',
+    'cot',
+    'arcsin',
+    'arccos',
+    'arctan',
+]);
+
+// Symbols that are inserted by Cursor.keyPress instead of a toolbar button
+const keyPressSymbols = new Set([
+    '\\:\\:',
+    '\\backslash',
+    '\\$',
+    '\\#',
+    '\\%',
+    '\\&',
+    '\\_',
+    '\\{',
+    '\\}',
+]);
+
+// Other ways of writing the delimiters supported by Delimited
+const delimiterAliases = {
+    '\\lbrace': '\\{',
+    '\\rbrace': '\\}',
+    '\\lbrack': '[',
+    '\\rbrack': ']',
+    '<': '\\langle',
+    '>': '\\rangle',
+    '\\vert': '|',
+    '\\lvert': '|',
+    '\\rvert': '|',
+    '\\Vert': '\\|',
+    '\\lVert': '\\|',
+    '\\rVert': '\\|',
+};
+
+/**
+ * Creates a TextComponent containing a single character
+ * @param char The character
+ */
+function createTextComponent(char) {
+    const component = new TextComponent(null);
+    component.blocks[0].addChild(char);
+    return component;
+}
+
+/**
+ * Adds each array of components in contents to the corresponding block of component, setting the
+ * parent of each child to the block it is in. Used by the parsers to assemble the components they create.
+ * @param component The component whose blocks should be filled
+ * @param contents An array with an array of components for each block
+ */
+function fillComponentBlocks(component, contents) {
+    for (let i = 0; i < contents.length; i++) {
+        const block = component.blocks[i];
+        for (let c of contents[i]) {
+            c.parent = block;
+            block.addChild(c);
+        }
+    }
+}
+
+/**
+ * Returns the kind of differential ("d" or "partial", see differentialSymbols) a component is, or null if it
+ * isn't one
+ * @param component The component to check
+ */
+function differentialKind(component) {
+    if (component instanceof TextComponent && component.toLatex() === 'd')
+        return 'd';
+    if (
+        component instanceof MJXGUISymbol &&
+        component.latexData === '\\partial'
+    )
+        return 'partial';
+    return null;
+}
+
+/**
+ * Returns true if a component can be the variable of a derivative, which is a letter, a Greek letter or a
+ * subscripted variable like x_{1}
+ * @param component The component to check
+ */
+function isDerivativeVariable(component) {
+    if (component instanceof TextComponent)
+        return /^[a-zA-Z]$/.test(component.toLatex());
+    if (component instanceof MJXGUISymbol) {
+        return /^[\u0370-\u03ff]$/.test(
+            symbolLatexToUnicode(component.latexData) || '',
+        );
+    }
+    if (component instanceof Subscript) {
+        return (
+            component.blocks[0].children.length === 1 &&
+            isDerivativeVariable(component.blocks[0].children[0])
+        );
+    }
+    return false;
+}
+
+/**
+ * Reads the numerator and denominator of a fraction as a derivative, like \frac{d^{2}y}{dx^{2}} or
+ * \frac{\partial^{2}}{\partial x \partial y}. Returns a Derivative or PartialDerivative with the contents of
+ * the fraction moved into its blocks, or null if the fraction isn't a derivative.
+ * @param numerator The components in the numerator
+ * @param denominator The components in the denominator
+ */
+function derivativeFromFraction(numerator, denominator) {
+    // The numerator is a differential, optionally raised to the order, followed by the function
+    if (numerator.length === 0) return null;
+    let kind = differentialKind(numerator[0]);
+    let order = [];
+    if (
+        kind === null &&
+        numerator[0] instanceof Superscript &&
+        numerator[0].blocks[0].children.length === 1
+    ) {
+        kind = differentialKind(numerator[0].blocks[0].children[0]);
+        order = numerator[0].blocks[1].children;
+    }
+    if (kind === null) return null;
+
+    // The denominator is a differential followed by a variable, optionally raised to a power, for each variable. A
+    // variable of more than one component, like the xy of d{x y}, runs up to the next differential.
+    if (denominator.length === 0 || differentialKind(denominator[0]) !== kind)
+        return null;
+    const parts = [];
+    for (let c of denominator) {
+        if (differentialKind(c) === kind) parts.push([]);
+        else parts[parts.length - 1].push(c);
+    }
+    const variables = [];
+    for (let part of parts) {
+        const base =
+            part.length === 1 && part[0] instanceof Superscript
+                ? part[0].blocks[0].children
+                : part;
+        if (base.length === 0 || !base.every(isDerivativeVariable)) return null;
+        variables.push(
+            base === part ? [part, []] : [base, part[0].blocks[1].children],
+        );
+    }
+    // Ordinary derivatives are taken with respect to a single variable
+    if (kind === 'd' && variables.length > 1) return null;
+    // The order of a derivative with respect to one variable can be written in the numerator only
+    if (variables.length === 1 && variables[0][1].length === 0)
+        variables[0][1] = order;
+
+    const component =
+        kind === 'd'
+            ? new Derivative(null, variables.length)
+            : new PartialDerivative(null, variables.length);
+    fillComponentBlocks(component, [numerator.slice(1), ...variables.flat()]);
+    return component;
+}
+
+/**
+ * Converts the units of \SI{}{}, written with siunitx macros like \kilo\meter\per\second\squared or literally like
+ * m.s^{-2}, into the unit text of a Quantity, like "km /s^2". Unknown macros are kept, so they are flagged as
+ * invalid units.
+ * @param latex The second argument of \SI{}{}
+ */
+function siunitxUnitText(latex) {
+    const macros = {};
+    for (let [symbol, prefix] of Object.entries(siPrefixes))
+        macros[prefix.siunitx] = { prefix: symbol };
+    for (let [symbol, unit] of Object.entries(siUnits))
+        macros[unit.siunitx] = { unit: symbol };
+    const powers = { '\\squared': '2', '\\cubed': '3' };
+
+    const words = [];
+    let per = false;
+    let prefix = '';
+    for (let match of latex.matchAll(/(\\[a-zA-Z]+)(?:\{([^}]*)\})?|[^\\]+/g)) {
+        const [text, macro, argument] = match;
+        if (macro === undefined) {
+            words.push(text.trim());
+        } else if (macro === '\\per') {
+            per = true;
+        } else if (macro in powers || macro === '\\tothe') {
+            words[words.length - 1] += `^${powers[macro] ?? argument}`;
+        } else if (macros[macro]?.prefix !== undefined) {
+            prefix = macros[macro].prefix;
+        } else {
+            const symbol = macros[macro]?.unit ?? text;
+            words.push(`${per ? '/' : ''}${prefix}${symbol}`);
+            per = false;
+            prefix = '';
+        }
+    }
+    return words.filter(word => word !== '').join(' ');
+}
+
+/**
+ * Creates the children of a ChemicalEquation from its mhchem text, a character at a time. Arrows, gas and
+ * precipitate symbols and states are kept together the way the toolbar inserts them.
+ * @param text The mhchem text, like "2H2 + O2 -> 2H2O"
+ */
+function chemicalEquationChildren(text) {
+    const children = [];
+    let position = 0;
+    while (position < text.length) {
+        const rest = text.slice(position);
+        const arrow = /^\s*(<=>|<->|->|<-)\s*/.exec(rest);
+        const symbol = /^\s+(\^|v)(?=\s|$)/.exec(rest);
+        const state = /^\((aq|s|l|g)\)/.exec(rest);
+        if (arrow !== null) {
+            children.push(createTextComponent(` ${arrow[1]} `));
+            position += arrow[0].length;
+        } else if (symbol !== null) {
+            children.push(createTextComponent(` ${symbol[1]}`));
+            position += symbol[0].length;
+        } else if (state !== null) {
+            children.push(createTextComponent(state[0]));
+            position += state[0].length;
+        } else {
+            children.push(createTextComponent(text[position++]));
+        }
+    }
+    return children;
+}
+
+/**
+ * Converts the LaTeX of the units of a plain quantity, like m\,s^{-2}, into the unit text of a Quantity, like
+ * "m s^-2". Units that aren't known are written as \text{}, which is read as the text inside it. Returns null if
+ * the LaTeX has anything but units in it.
+ * @param latex The argument of \mathrm{}
+ */
+function plainUnitText(latex) {
+    const text = latex
+        .replace(
+            /\\text\{((?:[^\\{}]|\\[$#%&_]|\\[\^~]\{\})*)\}/g,
+            (match, unit) => unit.replace(/\\([$#%&_^~])(\{\})?/g, '$1'),
+        )
+        .replace(/\\,/g, ' ')
+        .replace(/\{\}\^\{?\\circ\}?/g, '°')
+        .replace(/\\mu\s*/g, 'µ')
+        .replace(/\\Omega\s*/g, 'Ω')
+        .replace(/\\%/g, '%')
+        .replace(/\^\{([^}]*)\}/g, '^$1');
+    return /[\\{}]/.test(text) ? null : text.trim();
+}
+
+/**
+ * Creates a Quantity with the given number components and unit text
+ * @param number The components of the number
+ * @param unitText The unit text, like "m s^-2"
+ * @param format The latexData of the Quantity, "latex" or "siunitx"
+ */
+function createQuantity(number, unitText, format) {
+    const component = new Quantity(null, format);
+    fillComponentBlocks(component, [
+        number,
+        [...unitText].map(createTextComponent),
+    ]);
+    return component;
+}
+
+/**
+ * @class
+ * Reads LaTeX (usually LaTeX previously generated by Expression.toLatex()) and rebuilds the
+ * Expression tree from it, so that the equation can be edited again. Commands the parser does
+ * not know about are kept verbatim as an MJXGUISymbol instead of throwing an error.
+ */
+class LatexParser {
+    constructor(latex) {
+        /**
+         * @param latex: The LaTeX string to parse
+         */
+        this.latex = latex;
+        this.position = 0;
+        this.symbols = new Set(Object.values(symbolLatexMap));
+    }
+
+    parse() {
+        // Parse the whole LaTeX string and return the resulting Expression
+        this.position = 0;
+        const expression = new Expression();
+        for (let c of this.parseSequence()) {
+            c.parent = null;
+            expression.add(c);
+        }
+        return expression;
+    }
+
+    peek() {
+        return this.latex[this.position];
+    }
+
+    isEnd() {
+        return this.position >= this.latex.length;
+    }
+
+    skipWhitespace() {
+        // Comments are skipped too, since a % comments out the rest of the line like in TeX. A literal
+        // percent sign is written \%.
+        while (!this.isEnd()) {
+            if (/\s/.test(this.peek())) {
+                this.position++;
+            } else if (this.peek() === '%') {
+                const end = this.latex.indexOf('\n', this.position);
+                this.position = end === -1 ? this.latex.length : end + 1;
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseSequence(terminator = null) {
+        // Parse components until the terminator (or the end of the string) is reached. The terminator is a
+        // character or a command like \right. Returns an array of components.
+        const components = [];
+        // The components making up the last atom parsed, used as the base of a subscript or superscript
+        let lastAtom = [];
+        while (true) {
+            this.skipWhitespace();
+            if (this.isEnd()) break;
+            const char = this.peek();
+            if (this.isTerminator(terminator)) {
+                this.position += terminator.length;
+                break;
+            }
+            if (char === '}') {
+                // Stray closing brace, ignore it
+                this.position++;
+                continue;
+            }
+            if (char === '^' || char === '_') {
+                components.splice(
+                    components.length - lastAtom.length,
+                    lastAtom.length,
+                );
+                const script = this.parseScripts(lastAtom);
+                components.push(script);
+                lastAtom = [script];
+                continue;
+            }
+            if (this.latex.startsWith('\\,\\mathrm{', this.position)) {
+                // A number followed by units, like 9.81\,\mathrm{m\,s^{-2}}, is a Quantity
+                const quantity = this.parseQuantity(components);
+                if (quantity !== null) {
+                    components.push(quantity);
+                    lastAtom = [quantity];
+                    continue;
+                }
+            }
+            lastAtom = this.parseAtom();
+            components.push(...lastAtom);
+        }
+        return components;
+    }
+
+    isTerminator(terminator) {
+        // Returns true if the terminator is at this.position. A command only matches if it isn't the start
+        // of a longer command, so that \right doesn't match \rightarrow.
+        if (
+            terminator === null ||
+            !this.latex.startsWith(terminator, this.position)
+        )
+            return false;
+        const next = this.latex[this.position + terminator.length] || '';
+        return !(/^\\[a-zA-Z]+$/.test(terminator) && /[a-zA-Z]/.test(next));
+    }
+
+    parseAtom() {
+        // Parse a single character, command or group. Returns an array of components,
+        // since a group can contain more than one component.
+        const char = this.peek();
+        this.position++;
+        if (char === '{') return this.parseSequence('}');
+        if (char === '\\') return this.parseCommand();
+        return [createTextComponent(char)];
+    }
+
+    parseArgument() {
+        // Parse a required argument, which is either a group or a single atom
+        this.skipWhitespace();
+        if (this.isEnd() || this.peek() === '}' || this.peek() === ']')
+            return [];
+        return this.parseAtom();
+    }
+
+    parseOptionalGroup() {
+        // Parse a trailing group if one is present, otherwise return an empty array
+        this.skipWhitespace();
+        if (this.peek() !== '{') return [];
+        this.position++;
+        return this.parseSequence('}');
+    }
+
+    parseFunctionArgument() {
+        // Parse the argument of a function like \sin. Besides a group, like \sin{x}, this is a number, a
+        // parenthesized expression, or a single atom along with its scripts, like \sin 30, \sin(x + 1) and
+        // \sin x^{2}. Returns an empty array if there is no argument, like in \sin = 0.
+        this.skipWhitespace();
+        if (this.isEnd()) return [];
+        const rest = this.latex.slice(this.position);
+        const number = /^[0-9]+(?:\.[0-9]+)?/.exec(rest);
+        if (this.peek() === '{') {
+            return this.parseOptionalGroup();
+        } else if (number !== null) {
+            this.position += number[0].length;
+            return [...number[0]].map(char => createTextComponent(char));
+        } else if (this.peek() === '(') {
+            // The parentheses are kept in the argument, since they are part of how it is written
+            const close = this.findClosingParenthesis();
+            if (close === -1) return [];
+            const inner = new LatexParser(
+                this.latex.slice(this.position + 1, close),
+            ).parseSequence();
+            this.position = close + 1;
+            return [
+                createTextComponent('('),
+                ...inner,
+                createTextComponent(')'),
+            ];
+        } else if (
+            !/^[a-zA-Z]/.test(rest) &&
+            !/^\\(?!(?:right|end)(?![a-zA-Z]))[a-zA-Z]/.test(rest)
+        ) {
+            return [];
+        }
+        const atom = this.parseAtom();
+        this.skipWhitespace();
+        if (this.peek() !== '^' && this.peek() !== '_') return atom;
+        return [this.parseScripts(atom)];
+    }
+
+    findClosingParenthesis() {
+        // Returns the index of the ) matching the ( at this.position, or -1 if it isn't closed. Parentheses
+        // in groups are skipped.
+        let depth = 0;
+        let braces = 0;
+        for (let i = this.position; i < this.latex.length; i++) {
+            const char = this.latex[i];
+            if (char === '\\') i++;
+            else if (char === '{') braces++;
+            else if (char === '}') braces--;
+            else if (braces === 0 && char === '(') depth++;
+            else if (braces === 0 && char === ')' && --depth === 0) return i;
+            if (braces < 0) return -1;
+        }
+        return -1;
+    }
+
+    parseScripts(base) {
+        // Parse a subscript and/or a superscript attached to base. this.position is at the first ^ or _
+        const scripts = {};
+        this.skipWhitespace();
+        while (['^', '_'].includes(this.peek()) && !(this.peek() in scripts)) {
+            const char = this.peek();
+            this.position++;
+            scripts[char] = this.parseArgument();
+            this.skipWhitespace();
+        }
+
+        let component;
+        if ('_' in scripts && '^' in scripts) {
+            component = new SubSupRight(null);
+            fillComponentBlocks(component, [base, scripts['_'], scripts['^']]);
+        } else if ('_' in scripts) {
+            component = new Subscript(null);
+            fillComponentBlocks(component, [base, scripts['_']]);
+        } else {
+            component = new Superscript(null);
+            fillComponentBlocks(component, [base, scripts['^']]);
+        }
+        return component;
+    }
+
+    parseCommand() {
+        // Parse a command. this.position is just after the backslash.
+        // Returns an array with the parsed component.
+        if (this.isEnd()) return [new MJXGUISymbol(null, '\\backslash')];
+        const name = this.readCommandName();
+        let component;
+
+        if (name === 'frac') {
+            const numerator = this.parseArgument();
+            const denominator = this.parseArgument();
+            component = derivativeFromFraction(numerator, denominator);
+            if (component === null) {
+                component = new Fraction(null);
+                fillComponentBlocks(component, [numerator, denominator]);
+            } else if (component.blocks[0].children.length === 0) {
+                // A function of more than one component is written in parentheses after the fraction
+                const start = this.position;
+                this.skipWhitespace();
+                if (this.latex.startsWith('\\left(', this.position)) {
+                    this.position += '\\left('.length;
+                    fillComponentBlocks(component, [
+                        this.parseSequence('\\right'),
+                    ]);
+                    this.readDelimiter();
+                } else {
+                    this.position = start;
+                }
+            }
+        } else if (name === 'sqrt') {
+            this.skipWhitespace();
+            if (this.peek() === '[') {
+                this.position++;
+                component = new NthRoot(null);
+                fillComponentBlocks(component, [
+                    this.parseSequence(']'),
+                    this.parseArgument(),
+                ]);
+            } else {
+                component = new Sqrt(null);
+                fillComponentBlocks(component, [this.parseArgument()]);
+            }
+        } else if (name in accentMap) {
+            component = new Accent(null, name);
+            fillComponentBlocks(component, [this.parseArgument()]);
+        } else if (name in fontStyleMap) {
+            component = new FontStyle(null, name);
+            fillComponentBlocks(component, [this.parseArgument()]);
+        } else if (name === 'overbrace' || name === 'underbrace') {
+            component = new Brace(null, name);
+            const main = this.parseArgument();
+            let label = [];
+            this.skipWhitespace();
+            if (this.peek() === (component.labelAbove ? '^' : '_')) {
+                this.position++;
+                label = this.parseArgument();
+            }
+            fillComponentBlocks(component, [main, label]);
+        } else if (['overset', 'underset', 'stackrel'].includes(name)) {
+            // \stackrel is an older name of \overset. The label is the first argument.
+            component = new OverUnderSet(
+                null,
+                name === 'underset' ? 'underset' : 'overset',
+            );
+            const label = this.parseArgument();
+            fillComponentBlocks(component, [this.parseArgument(), label]);
+        } else if (name === 'text') {
+            component = this.parseTextRun();
+        } else if (name === 'ce') {
+            component = this.parseChemicalEquation();
+        } else if (name === 'SI' || name === 'qty') {
+            // \qty is the name of \SI in version 3 of siunitx
+            const number = this.parseArgument();
+            this.skipWhitespace();
+            const units = this.readRawArguments();
+            component = createQuantity(
+                number,
+                siunitxUnitText(units.replace(/^\{|\}$/g, '')),
+                'siunitx',
+            );
+        } else if (name === 'color' || name === 'colorbox') {
+            component = this.parseColored(name);
+        } else if (name === 'boxed') {
+            component = new FrameBox(null);
+            fillComponentBlocks(component, [this.parseArgument()]);
+        } else if (name === 'lim') {
+            component = new Limit(null);
+            let lower = [];
+            this.skipWhitespace();
+            if (this.peek() === '_') {
+                this.position++;
+                lower = this.parseArgument();
+            }
+            fillComponentBlocks(component, [lower, this.parseOptionalGroup()]);
+        } else if (templateThreeCommands.has(name)) {
+            component = this.parseTemplateThree(name);
+        } else if (trigonometricCommands.has(name)) {
+            component = new TrigonometricTwoBlockComponent(null, name);
+            let exponent = [];
+            this.skipWhitespace();
+            if (this.peek() === '^') {
+                this.position++;
+                exponent = this.parseArgument();
+            }
+            fillComponentBlocks(component, [
+                exponent,
+                this.parseFunctionArgument(),
+            ]);
+        } else if (name === 'left') {
+            const left = this.readDelimiter();
+            const contents = this.parseSequence('\\right');
+            const right = this.readDelimiter();
+            this.skipWhitespace();
+            if (
+                left === '.' &&
+                right === '|' &&
+                ['^', '_'].includes(this.peek())
+            ) {
+                // An evaluation bar, like \left. F(x) \right|_{a}^{b}
+                const scripts = this.parseScriptArguments();
+                component = new EvaluationBar(null);
+                fillComponentBlocks(component, [
+                    contents,
+                    scripts['_'] || [],
+                    scripts['^'] || [],
+                ]);
+            } else {
+                component = new Delimited(null, left, right);
+                fillComponentBlocks(component, [contents]);
+            }
+        } else if (name === 'begin') {
+            component = this.parseEnvironment();
+        } else if (name === ':') {
+            // The space key inserts \:\: as a single symbol
+            if (this.latex.startsWith('\\:', this.position)) {
+                this.position += 2;
+                component = new MJXGUISymbol(null, '\\:\\:');
+            } else {
+                component = new MJXGUISymbol(null, '\\:');
+            }
+        } else if (name === 'not' && this.peek() === '\\') {
+            // Negated symbols like \not\subset are a single symbol
+            this.position++;
+            component = new MJXGUISymbol(
+                null,
+                `\\not\\${this.readCommandName()}`,
+            );
+        } else if (
+            this.symbols.has(`\\${name}`) ||
+            keyPressSymbols.has(`\\${name}`)
+        ) {
+            component = new MJXGUISymbol(null, `\\${name}`);
+        } else {
+            // Unknown command, keep it and any arguments it takes as is
+            component = new MJXGUISymbol(
+                null,
+                `\\${name}${this.readRawArguments()}`,
+            );
+        }
+        return [component];
+    }
+
+    parseScriptArguments() {
+        // Parse a subscript and/or a superscript, in any order, returning the components of each keyed by
+        // _ and ^
+        const scripts = {};
+        this.skipWhitespace();
+        while (['^', '_'].includes(this.peek()) && !(this.peek() in scripts)) {
+            const char = this.peek();
+            this.position++;
+            scripts[char] = this.parseArgument();
+            this.skipWhitespace();
+        }
+        return scripts;
+    }
+
+    parseTemplateThree(name) {
+        // Parse a command like \sum_{}^{}{}. this.position is just after the command name.
+        const scripts = this.parseScriptArguments();
+        // \bigcup and \bigcap are also plain symbols when used without limits or a body
+        if (
+            ['bigcup', 'bigcap'].includes(name) &&
+            Object.keys(scripts).length === 0 &&
+            this.peek() !== '{'
+        ) {
+            return new MJXGUISymbol(null, `\\${name}`);
+        }
+        const differential = name === 'int' ? this.findDifferential() : -1;
+        if (differential !== -1) {
+            // A definite integral, like \int_{a}^{b} f(x) \, dx. The integrand is everything up to the
+            // differential, with the spaces in it kept.
+            const parser = new LatexParser(
+                this.latex.slice(this.position, differential),
+            );
+            const integrand = parser.parseSequence('\\,');
+            while (!parser.isEnd()) {
+                integrand.push(
+                    new MJXGUISymbol(null, '\\,'),
+                    ...parser.parseSequence('\\,'),
+                );
+            }
+            this.position = differential;
+            if (this.latex.startsWith('\\,', this.position)) this.position += 2;
+            this.skipWhitespace();
+            this.position++;
+            // The variable can have a subscript, like d{x}_{1}
+            let variable = this.parseArgument();
+            this.skipWhitespace();
+            if (['^', '_'].includes(this.peek()))
+                variable = [this.parseScripts(variable)];
+            const component = new DefiniteIntegral(null);
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                scripts['^'] || [],
+                integrand,
+                variable,
+            ]);
+            return component;
+        }
+        const component = new TemplateThreeBlockComponent(null, name);
+        fillComponentBlocks(component, [
+            scripts['_'] || [],
+            scripts['^'] || [],
+            this.parseOptionalGroup(),
+        ]);
+        return component;
+    }
+
+    findDifferential() {
+        // Returns the position of the differential of an integral whose integrand starts at this.position, like
+        // the "\, dx" in "{x}^{2} \, dx", or -1 if there isn't one. The differential is written after \, or
+        // after a space, like "x dx". Only the group the integral is in is searched, and the differentials of
+        // integrals nested in the integrand are skipped.
+        let depth = 0;
+        let nested = 0;
+        for (let i = this.position; i < this.latex.length; i++) {
+            const rest = this.latex.slice(i);
+            if (/^\\left(?![a-zA-Z])/.test(rest)) depth++;
+            else if (/^\\right(?![a-zA-Z])/.test(rest)) depth--;
+            else if (rest[0] === '{') depth++;
+            else if (rest[0] === '}') depth--;
+            if (depth < 0) return -1;
+            if (depth === 0) {
+                const differential =
+                    /^\\,\s*d(?![a-zA-Z]{2})/.exec(rest) ||
+                    (/\s/.test(this.latex[i - 1])
+                        ? /^d\s*(?:[a-zA-Z]|\\[a-zA-Z]+)(?![a-zA-Z])/.exec(rest)
+                        : null);
+                if (differential !== null && nested === 0) return i;
+                if (differential !== null) {
+                    nested--;
+                    i += differential[0].length - 1;
+                    continue;
+                }
+                if (/^\\int(?![a-zA-Z])/.test(rest)) nested++;
+            }
+            // Skip the character following a backslash, so that \{ and \} don't change the depth
+            if (rest[0] === '\\') i++;
+        }
+        return -1;
+    }
+
+    parseEnvironment() {
+        // Parse an environment like \begin{pmatrix} a & b \\ c & d \end{pmatrix}. this.position is just after
+        // \begin. Environments other than the matrix environments, cases, aligned and gathered are kept as is.
+        const start = this.position - '\\begin'.length;
+        const match = /^\s*\{([a-zA-Z*]+)\}/.exec(
+            this.latex.slice(this.position),
+        );
+        if (match === null) return new MJXGUISymbol(null, '\\begin');
+        const name = match[1];
+        this.position += match[0].length;
+        let rows = this.readEnvironmentCells();
+        // Skip the \end{name} closing the environment
+        const end = /^\\end\s*\{[a-zA-Z*]+\}/.exec(
+            this.latex.slice(this.position),
+        );
+        if (end !== null) this.position += end[0].length;
+
+        let component;
+        if (name === 'cases') {
+            // Cases have a value and a condition on each row, anything after the condition is added to it
+            rows = rows.map(row => [row[0], row.slice(1).join(' ')]);
+            component = new Cases(null, name, rows.length);
+        } else if (name === 'aligned') {
+            // Only the first alignment marker of each line is kept
+            rows = rows.map(row => [row[0], row.slice(1).join(' ')]);
+            component = new AlignedLines(null, name, rows.length);
+        } else if (name === 'gathered') {
+            rows = rows.map(row => [row.join(' ')]);
+            component = new AlignedLines(null, name, rows.length);
+        } else if (name in matrixDelimiters) {
+            const columns = Math.max(...rows.map(row => row.length));
+            component = new Matrix(null, name, rows.length, columns);
+        } else {
+            return new MJXGUISymbol(
+                null,
+                this.latex.slice(start, this.position),
+            );
+        }
+        const cells = [];
+        for (let row of rows) {
+            for (let j = 0; j < component.columns; j++) {
+                cells.push(
+                    j < row.length
+                        ? new LatexParser(row[j]).parseSequence()
+                        : [],
+                );
+            }
+        }
+        fillComponentBlocks(component, cells);
+        return component;
+    }
+
+    readEnvironmentCells() {
+        // Read the body of an environment up to its \end, splitting it into rows at \\ and into cells at &.
+        // Returns an array with the LaTeX of the cells of each row. Nested groups and environments are
+        // kept together.
+        const rows = [[]];
+        let cellStart = this.position;
+        let depth = 0;
+        while (!this.isEnd()) {
+            const rest = this.latex.slice(this.position);
+            const environment = /^\\(begin|end)(?![a-zA-Z])/.exec(rest);
+            if (environment !== null) {
+                if (environment[1] === 'end' && depth === 0) break;
+                depth += environment[1] === 'begin' ? 1 : -1;
+                this.position += environment[0].length;
+                continue;
+            }
+            const char = this.peek();
+            if (char === '{') depth++;
+            else if (char === '}') depth--;
+            const isRowEnd = rest.startsWith('\\\\');
+            if (depth === 0 && (char === '&' || isRowEnd)) {
+                rows[rows.length - 1].push(
+                    this.latex.slice(cellStart, this.position),
+                );
+                if (isRowEnd) rows.push([]);
+                this.position += isRowEnd ? 2 : 1;
+                cellStart = this.position;
+                continue;
+            }
+            // Skip the character following a backslash, so that escaped characters like \& are not separators
+            this.position += char === '\\' ? 2 : 1;
+        }
+        rows[rows.length - 1].push(this.latex.slice(cellStart, this.position));
+        // A \\ at the end of the last row doesn't start a new row
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0].trim() === '')
+            rows.pop();
+        return rows;
+    }
+
+    readDelimiter() {
+        // Read the delimiter following \left or \right, which is a character or a command. Other ways of
+        // writing the supported delimiters, like \lbrace, are normalized.
+        this.skipWhitespace();
+        if (this.isEnd()) return '.';
+        let delimiter = this.latex[this.position++];
+        if (delimiter === '\\') delimiter += this.readCommandName();
+        return delimiterAliases[delimiter] || delimiter;
+    }
+
+    readCommandName() {
+        // Read the name of a command, which is either a run of letters or a single non-letter character
+        const match = /^[a-zA-Z]+/.exec(this.latex.slice(this.position));
+        if (match === null) {
+            return this.latex[this.position++];
+        }
+        this.position += match[0].length;
+        return match[0];
+    }
+
+    parseTextRun() {
+        // Parse the argument of \text{}, a character at a time. Escaped characters like \& are unescaped, and
+        // inline math between $ signs is parsed as math. this.position is just after the command name.
+        const component = new TextRun(null);
+        const children = [];
+        this.skipWhitespace();
+        if (this.peek() !== '{') return component;
+        this.position++;
+        let depth = 0;
+        while (!this.isEnd()) {
+            const char = this.latex[this.position++];
+            if (char === '}' && depth === 0) break;
+            if (char === '{' || char === '}') {
+                // Braces that aren't escaped only group the text
+                depth += char === '{' ? 1 : -1;
+            } else if (char === '$') {
+                children.push(...this.parseSequence('$'));
+            } else if (char === '\\') {
+                const escape = /^(textbackslash|[{}$#%&_^~ ])(\{\})?/.exec(
+                    this.latex.slice(this.position),
+                );
+                if (escape === null) {
+                    children.push(createTextComponent('\\'));
+                } else {
+                    this.position += escape[0].length;
+                    children.push(
+                        createTextComponent(
+                            escape[1] === 'textbackslash' ? '\\' : escape[1],
+                        ),
+                    );
+                }
+            } else {
+                children.push(createTextComponent(char));
+            }
+        }
+        fillComponentBlocks(component, [children]);
+        return component;
+    }
+
+    parseChemicalEquation() {
+        // Parse the mhchem text of \ce{}. this.position is just after the command name.
+        const component = new ChemicalEquation(null);
+        this.skipWhitespace();
+        if (this.peek() !== '{') return component;
+        const group = this.readRawArguments();
+        const text = group.slice(1, group.endsWith('}') ? -1 : group.length);
+        fillComponentBlocks(component, [chemicalEquationChildren(text)]);
+        return component;
+    }
+
+    parseQuantity(components) {
+        // Read the units of a plain quantity. this.position is at the \, before \mathrm and the number is at the
+        // end of components, which is changed in place. Returns the Quantity, or null if the number or the
+        // units aren't a quantity, leaving this.position as it was.
+        let start = components.length;
+        while (
+            start > 0 &&
+            components[start - 1] instanceof TextComponent &&
+            /^[0-9.,]$/.test(components[start - 1].toLatex())
+        )
+            start--;
+        if (start === components.length) return null;
+
+        const position = this.position;
+        this.position += '\\,\\mathrm'.length;
+        const latex = this.readRawArguments().slice(1, -1);
+        const unitText = plainUnitText(latex);
+        // Units that aren't known are only accepted in \text{}, the way Quantity writes them
+        const textCount = (latex.match(/\\text\{/g) ?? []).length;
+        if (
+            unitText === null ||
+            parseUnits(unitText).filter(unit => unit.unit === null).length >
+                textCount
+        ) {
+            this.position = position;
+            return null;
+        }
+        return createQuantity(components.splice(start), unitText, 'latex');
+    }
+
+    parseColored(name) {
+        // Parse \color{red}{...} or \colorbox{yellow}{$...$}. this.position is just after the command name.
+        // Colors are names or hexadecimal values in the HTML model, like [HTML]{1A73E8}. Colors in other
+        // models, like [rgb]{1,0,0}, are kept as is.
+        this.skipWhitespace();
+        const match =
+            /^(?:\[HTML\]\{([0-9a-fA-F]{6})\}|\{([a-zA-Z0-9!.-]+)\})/.exec(
+                this.latex.slice(this.position),
+            );
+        if (match === null) {
+            return new MJXGUISymbol(
+                null,
+                `\\${name}${this.readRawArguments()}`,
+            );
+        }
+        this.position += match[0].length;
+        const color = match[1] === undefined ? match[2] : `#${match[1]}`;
+        if (name === 'color') {
+            const component = new Colored(null, color);
+            fillComponentBlocks(component, [this.parseArgument()]);
+            return component;
+        }
+
+        // The argument of \colorbox is text, with the math inside it between $ signs
+        const component = new ColorBox(null, color);
+        this.skipWhitespace();
+        if (this.peek() !== '{') {
+            fillComponentBlocks(component, [this.parseArgument()]);
+            return component;
+        }
+        this.position++;
+        this.skipWhitespace();
+        let contents = [];
+        if (this.peek() === '$') {
+            this.position++;
+            contents = this.parseSequence('$');
+        }
+        contents.push(...this.parseSequence('}'));
+        fillComponentBlocks(component, [contents]);
+        return component;
+    }
+
+    readRawArguments() {
+        // Read the groups directly following an unknown command without parsing them
+        let raw = '';
+        while (['{', '['].includes(this.peek())) {
+            const open = this.peek();
+            const close = open === '{' ? '}' : ']';
+            const start = this.position;
+            let depth = 0;
+            while (!this.isEnd()) {
+                const char = this.latex[this.position++];
+                if (char === '\\') {
+                    this.position++;
+                } else if (char === open) {
+                    depth++;
+                } else if (char === close) {
+                    depth--;
+                    if (depth === 0) break;
+                }
+            }
+            raw += this.latex.slice(start, this.position);
+        }
+        return raw;
+    }
+}
+
+// Parses an AsciiMath string into an Expression
+// Exposes its API for the MJXGUI class to use
+
+// Brackets, mapped to the text that is shown for them. Invisible brackets are not shown at all.
+const asciiMathLeftBrackets = {
+    '(': '(',
+    '[': '[',
+    '{': '\\{',
+    '(:': '\\langle',
+    '{:': null,
+    '|:': '|',
+};
+const asciiMathRightBrackets = {
+    ')': ')',
+    ']': ']',
+    '}': '\\}',
+    ':)': '\\rangle',
+    ':}': null,
+    ':|': '|',
+};
+
+// Brackets that are only written for a Delimited component. Pairs of other brackets are read as typed text.
+const asciiMathDelimitedBrackets = new Set(['(:', ':)', '|:', ':|']);
+
+// AsciiMath large operators, mapped to the LaTeX command generated by TemplateThreeBlockComponent
+const asciiMathLargeOperators = {
+    sum: 'sum',
+    prod: 'prod',
+    int: 'int',
+    iint: 'iint',
+    iiint: 'iiint',
+    oint: 'oint',
+    uuu: 'bigcup',
+    nnn: 'bigcap',
+    vvv: 'bigvee',
+    '^^^': 'bigwedge',
+    '∐': 'coprod',
+};
+
+// AsciiMath accents, mapped to the name of the accent generated by Accent
+const asciiMathAccents = {
+    hat: 'hat',
+    bar: 'bar',
+    overline: 'overline',
+    vec: 'vec',
+    dot: 'dot',
+    ddot: 'ddot',
+    tilde: 'tilde',
+};
+
+// AsciiMath font styles, mapped to the name of the style generated by FontStyle
+const asciiMathFontStyles = {
+    bbb: 'mathbb',
+    bb: 'mathbf',
+    cc: 'mathcal',
+    fr: 'mathfrak',
+    rm: 'mathrm',
+};
+
+// AsciiMath braces, mapped to the name of the brace generated by Brace
+const asciiMathBraces = {
+    obrace: 'overbrace',
+    overbrace: 'overbrace',
+    ubrace: 'underbrace',
+    underbrace: 'underbrace',
+};
+
+/**
+ * @class
+ * Reads AsciiMath and builds an Expression from it. Only the subset of AsciiMath that
+ * can be represented by MJXGUI's components is understood, anything else is kept as text.
+ */
+class AsciiMathParser {
+    constructor(asciimath) {
+        /**
+         * @param asciimath: The AsciiMath string to parse
+         */
+        this.asciimath = asciimath;
+        this.position = 0;
+
+        // Every AsciiMath name we know, mapped to the LaTeX of the symbol it represents
+        this.symbols = { to: '\\to', cdot: '\\cdot', ne: '\\ne' };
+        for (let name in symbolAsciiMathMap) {
+            this.symbols[symbolAsciiMathMap[name]] = symbolLatexMap[name];
+        }
+        for (let latex in keyPressSymbolAsciiMathMap) {
+            this.symbols[keyPressSymbolAsciiMathMap[latex]] = latex;
+        }
+        // Symbols without an AsciiMath name are written as their Unicode character
+        for (let name in symbolUnicodeMap) {
+            if (!(name in symbolAsciiMathMap)) {
+                this.symbols[symbolUnicodeMap[name]] = symbolLatexMap[name];
+            }
+        }
+
+        // Tokens are matched longest first, like AsciiMath itself does
+        this.names = [
+            ...Object.keys(this.symbols),
+            ...Object.keys(asciiMathLeftBrackets),
+            ...Object.keys(asciiMathRightBrackets),
+            ...Object.keys(asciiMathLargeOperators),
+            ...Object.keys(asciiMathAccents),
+            ...Object.keys(asciiMathFontStyles),
+            ...Object.keys(asciiMathBraces),
+            ...trigonometricCommands,
+            'sqrt',
+            'root',
+            'color',
+            'overset',
+            'underset',
+            'frac',
+            'lim',
+            'ce',
+        ].sort((a, b) => b.length - a.length);
+    }
+
+    parse() {
+        // Parse the whole AsciiMath string and return the resulting Expression
+        this.position = 0;
+        const components = [];
+        while (this.peekToken() !== null) {
+            components.push(...this.parseSequence());
+            // A right bracket without a matching left bracket is kept as text
+            const token = this.nextToken();
+            if (token !== null) components.push(...this.bracketText(token));
+        }
+
+        const expression = new Expression();
+        for (let c of components) {
+            c.parent = null;
+            expression.add(c);
+        }
+        return expression;
+    }
+
+    peekToken() {
+        const position = this.position;
+        const token = this.nextToken();
+        this.position = position;
+        return token;
+    }
+
+    skipWhitespace() {
+        // Move this.position to the start of the next token and return it
+        while (
+            this.position < this.asciimath.length &&
+            /\s/.test(this.asciimath[this.position])
+        ) {
+            this.position++;
+        }
+        return this.position;
+    }
+
+    nextToken() {
+        // Read the next token, or return null at the end of the string
+        this.skipWhitespace();
+        if (this.position >= this.asciimath.length) return null;
+
+        const rest = this.asciimath.slice(this.position);
+        let token;
+        const number = /^[0-9]+(\.[0-9]+)?/.exec(rest);
+        const text = /^"[^"]*"?/.exec(rest);
+        if (number !== null) {
+            token = number[0];
+        } else if (text !== null) {
+            token = text[0];
+        } else {
+            token = this.names.find(name => rest.startsWith(name)) || rest[0];
+        }
+        this.position += token.length;
+        return token;
+    }
+
+    parseSequence(separator = null) {
+        // Parse intermediate expressions until a right bracket, the separator (if given) or the end of the string.
+        const components = [];
+        while (true) {
+            const token = this.peekToken();
+            if (
+                token === null ||
+                token in asciiMathRightBrackets ||
+                token === separator
+            )
+                break;
+            if (token === 'rm') {
+                // A number followed by a string in rm, like 9.81 rm"m s^-2", is a Quantity
+                const quantity = this.parseQuantity(components);
+                if (quantity !== null) {
+                    components.push(quantity);
+                    continue;
+                }
+            }
+            components.push(...this.parseFraction());
+        }
+        return components;
+    }
+
+    parseQuantity(components) {
+        // Read the units of a quantity. The next token is rm and the number is at the end of components, which
+        // is changed in place. Returns the Quantity, or null if this isn't a quantity, leaving this.position as
+        // it was.
+        let start = components.length;
+        while (
+            start > 0 &&
+            components[start - 1] instanceof TextComponent &&
+            /^[0-9.,]$/.test(components[start - 1].toLatex())
+        )
+            start--;
+        if (start === components.length) return null;
+
+        const position = this.position;
+        this.nextToken();
+        const units = this.nextToken();
+        if (units === null || !units.startsWith('"')) {
+            this.position = position;
+            return null;
+        }
+        return createQuantity(
+            components.splice(start),
+            units.replace(/^"|"$/g, ''),
+            'latex',
+        );
+    }
+
+    parseFraction() {
+        // Parse an intermediate expression, which is the numerator of a fraction if it is followed by a /
+        const numerator = this.parseIntermediate();
+        if (this.peekToken() !== '/') return numerator.components;
+        this.nextToken();
+        const denominator = this.parseIntermediate().inner;
+        const derivative = derivativeFromFraction(numerator.inner, denominator);
+        if (derivative !== null) {
+            // A function of more than one component is written in parentheses after the fraction
+            if (
+                derivative.blocks[0].children.length === 0 &&
+                this.peekToken() === '('
+            ) {
+                fillComponentBlocks(derivative, [this.parseSimple().inner]);
+            }
+            return [derivative];
+        }
+        const fraction = new Fraction(null);
+        fillComponentBlocks(fraction, [numerator.inner, denominator]);
+        return [fraction];
+    }
+
+    parseIntermediate() {
+        // Parse a simple expression with an optional subscript and/or superscript
+        const base = this.parseSimple();
+        const scripts = this.parseScripts();
+        let component;
+        if ('_' in scripts && '^' in scripts) {
+            component = new SubSupRight(null);
+            fillComponentBlocks(component, [
+                base.components,
+                scripts['_'],
+                scripts['^'],
+            ]);
+        } else if ('_' in scripts) {
+            component = new Subscript(null);
+            fillComponentBlocks(component, [base.components, scripts['_']]);
+        } else if ('^' in scripts) {
+            component = new Superscript(null);
+            fillComponentBlocks(component, [base.components, scripts['^']]);
+        } else {
+            return base;
+        }
+        return { components: [component], inner: [component] };
+    }
+
+    parseScripts() {
+        // Parse a subscript and/or a superscript, in any order. The brackets around a script are not shown.
+        const scripts = {};
+        while (
+            ['_', '^'].includes(this.peekToken()) &&
+            !(this.peekToken() in scripts)
+        ) {
+            scripts[this.nextToken()] = this.parseSimple().inner;
+        }
+        return scripts;
+    }
+
+    parseSimple() {
+        // Parse a simple expression. Returns the parsed components, along with the components inside
+        // the outermost brackets (if any), which are used where AsciiMath removes the brackets.
+        const token = this.nextToken();
+        if (token === null || token in asciiMathRightBrackets) {
+            // Nothing to parse, put the right bracket back for the caller
+            if (token !== null) this.position -= token.length;
+            return { components: [], inner: [] };
+        }
+
+        let component;
+        if (token in asciiMathLeftBrackets || token === '|') {
+            component = this.parseMatrix(token);
+            if (component !== null)
+                return { components: [component], inner: [component] };
+        }
+        if (token in asciiMathLeftBrackets) {
+            const inner = this.parseSequence();
+            const close = this.nextToken();
+            const scripts =
+                token === '{:' && close === ':|' ? this.parseScripts() : {};
+            if (Object.keys(scripts).length > 0) {
+                // An evaluation bar, like {:F(x):|_(a)^(b)
+                component = new EvaluationBar(null);
+                fillComponentBlocks(component, [
+                    inner,
+                    scripts['_'] || [],
+                    scripts['^'] || [],
+                ]);
+                return { components: [component], inner: [component] };
+            }
+            if (
+                close !== null &&
+                (asciiMathDelimitedBrackets.has(token) ||
+                    asciiMathDelimitedBrackets.has(close) ||
+                    (token === '{:') !== (close === ':}'))
+            ) {
+                // Delimiters like (: :) and |: :|, or a single invisible delimiter like {: :|
+                component = new Delimited(
+                    null,
+                    asciiMathLeftBrackets[token] ?? '.',
+                    asciiMathRightBrackets[close] ?? '.',
+                );
+                fillComponentBlocks(component, [inner]);
+                return { components: [component], inner: [component] };
+            }
+            return {
+                components: [
+                    ...this.bracketText(token),
+                    ...inner,
+                    ...(close === null ? [] : this.bracketText(close)),
+                ],
+                inner,
+            };
+        } else if (token === 'sqrt') {
+            component = new Sqrt(null);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token in asciiMathFontStyles) {
+            component = new FontStyle(null, asciiMathFontStyles[token]);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token === 'color') {
+            // The color is the text of the first argument, like color(red)(x)
+            const color = this.parseSimple()
+                .inner.map(c => c.toUnicode())
+                .join('');
+            component = new Colored(null, color);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token in asciiMathBraces) {
+            component = new Brace(null, asciiMathBraces[token]);
+            const main = this.parseSimple().inner;
+            let label = [];
+            if (this.peekToken() === (component.labelAbove ? '^' : '_')) {
+                this.nextToken();
+                label = this.parseSimple().inner;
+            }
+            fillComponentBlocks(component, [main, label]);
+        } else if (token === 'overset' || token === 'underset') {
+            component = new OverUnderSet(null, token);
+            const label = this.parseSimple().inner;
+            fillComponentBlocks(component, [this.parseSimple().inner, label]);
+        } else if (token in asciiMathAccents) {
+            component = new Accent(null, asciiMathAccents[token]);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token === 'root' || token === 'frac') {
+            component =
+                token === 'root' ? new NthRoot(null) : new Fraction(null);
+            fillComponentBlocks(component, [
+                this.parseSimple().inner,
+                this.parseSimple().inner,
+            ]);
+        } else if (trigonometricCommands.has(token)) {
+            component = new TrigonometricTwoBlockComponent(null, token);
+            let exponent = [];
+            if (this.peekToken() === '^') {
+                this.nextToken();
+                exponent = this.parseSimple().inner;
+            }
+            fillComponentBlocks(component, [
+                exponent,
+                this.parseSimple().inner,
+            ]);
+        } else if (token === 'lim') {
+            component = new Limit(null);
+            const scripts = this.parseScripts();
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                this.parseBody(),
+            ]);
+        } else if (token === 'int' && this.hasDifferential()) {
+            // A definite integral, like int_(a)^(b) f(x) dx
+            component = new DefiniteIntegral(null);
+            const scripts = this.parseScripts();
+            const differential = this.findDifferential();
+            const integrand = [];
+            while (this.skipWhitespace() < differential) {
+                integrand.push(...this.parseFraction());
+            }
+            this.nextToken();
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                scripts['^'] || [],
+                integrand,
+                this.parseIntermediate().inner,
+            ]);
+        } else if (token in asciiMathLargeOperators) {
+            component = new TemplateThreeBlockComponent(
+                null,
+                asciiMathLargeOperators[token],
+            );
+            const scripts = this.parseScripts();
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                scripts['^'] || [],
+                this.parseBody(),
+            ]);
+        } else if (token === 'ce' && this.peekToken()?.startsWith('"')) {
+            // A chemical equation, like ce"2H2 + O2 -> 2H2O"
+            component = new ChemicalEquation(null);
+            fillComponentBlocks(component, [
+                chemicalEquationChildren(
+                    this.nextToken().replace(/^"|"$/g, ''),
+                ),
+            ]);
+        } else if (token.startsWith('"\\')) {
+            // Symbols and components that have no AsciiMath are written as quoted LaTeX
+            component = new MJXGUISymbol(null, token.replace(/^"|"$/g, ''));
+        } else if (token.startsWith('"')) {
+            component = new TextRun(null);
+            fillComponentBlocks(component, [
+                [...token.replace(/^"|"$/g, '')].map(char =>
+                    createTextComponent(char),
+                ),
+            ]);
+        } else if (
+            token in this.symbols &&
+            this.symbols[token].startsWith('\\')
+        ) {
+            // Symbols that are plain characters in LaTeX, like =, are kept as text instead
+            component = new MJXGUISymbol(null, this.symbols[token]);
+        } else {
+            const components = [...token].map(char =>
+                createTextComponent(char),
+            );
+            return { components, inner: components };
+        }
+        return { components: [component], inner: [component] };
+    }
+
+    hasDifferential() {
+        // Returns true if the integral whose command was just read has a differential. this.position is just after
+        // the command, before its limits.
+        const start = this.position;
+        this.parseScripts();
+        const differential = this.findDifferential();
+        this.position = start;
+        return differential !== -1;
+    }
+
+    findDifferential() {
+        // Returns the position of the differential of an integral whose integrand starts at this.position, like
+        // the "dx" in "x^(2) dx", or -1 if there isn't one. The differential is a d followed by a letter or a Greek
+        // letter. Like LatexParser.findDifferential(), only the brackets the integral is in are searched, and the
+        // differentials of integrals nested in the integrand are skipped.
+        const start = this.position;
+        let depth = 0;
+        let nested = 0;
+        let differential = -1;
+        while (differential === -1) {
+            const position = this.skipWhitespace();
+            const token = this.nextToken();
+            if (token === null) break;
+            if (token in asciiMathLeftBrackets) depth++;
+            else if (token in asciiMathRightBrackets) depth--;
+            if (depth < 0) break;
+            if (depth !== 0) continue;
+            if (token === 'd' && this.isVariableToken(this.peekToken())) {
+                if (nested === 0) differential = position;
+                else nested--;
+                this.nextToken();
+            } else if (token === 'int') {
+                nested++;
+            }
+        }
+        this.position = start;
+        return differential;
+    }
+
+    isVariableToken(token) {
+        // Returns true if a token is a letter or the name of a Greek letter, which can be the variable of a
+        // differential
+        if (token === null) return false;
+        if (/^[a-zA-Z]$/.test(token)) return true;
+        return /^[\u0370-\u03ff]$/.test(
+            symbolLatexToUnicode(this.symbols[token] || '') || '',
+        );
+    }
+
+    parseMatrix(open) {
+        // Parse a matrix, piecewise function or aligned lines, written as rows of cells in brackets, like
+        // [[a,b],[c,d]], {(x, x >= 0),(-x, x < 0):} or {:(x,= 1),(,= 2):}. this.position is just after the left
+        // bracket open. Returns null, without moving this.position, if the brackets don't hold rows.
+        const start = this.position;
+        if (!this.holdsRows(open)) return null;
+        const rows = [];
+        let rowOpen = null;
+        while (true) {
+            rowOpen = this.nextToken();
+            const cells = [];
+            let separator;
+            do {
+                cells.push(this.parseSequence(','));
+                separator = this.nextToken();
+            } while (separator === ',');
+            if (separator !== { '(': ')', '[': ']' }[rowOpen]) {
+                this.position = start;
+                return null;
+            }
+            rows.push(cells);
+            if (this.peekToken() !== ',') break;
+            this.nextToken();
+        }
+        const component = this.createMatrix(
+            open,
+            rowOpen,
+            this.nextToken(),
+            rows,
+        );
+        if (component === null) {
+            this.position = start;
+            return null;
+        }
+        fillComponentBlocks(component, rows.flat());
+        return component;
+    }
+
+    holdsRows(open) {
+        // Returns true if the brackets opened by open hold more than one cell in rows, like the (a,b),(c,d) of
+        // ((a,b),(c,d)). Only the tokens are read, so that brackets that don't hold rows are only parsed once.
+        const start = this.position;
+        let depth = 0;
+        let rows = 0;
+        let columns = 1;
+        let holdsRows = false;
+        let expectsRow = true;
+        let firstRow = null;
+        while (true) {
+            const token = this.nextToken();
+            if (token === null) break;
+            if (depth === 0) {
+                if (expectsRow) {
+                    if (!['(', '['].includes(token)) break;
+                    if (rows === 0)
+                        firstRow = { token, position: this.position };
+                    rows++;
+                    depth = 1;
+                    expectsRow = false;
+                } else if (token === ',') {
+                    expectsRow = true;
+                } else {
+                    holdsRows =
+                        (token in asciiMathRightBrackets ||
+                            (open === '|' && token === '|')) &&
+                        (rows > 1 || columns > 1);
+                    break;
+                }
+                continue;
+            }
+            if (token in asciiMathLeftBrackets) depth++;
+            else if (token in asciiMathRightBrackets) depth--;
+            else if (token === ',' && depth === 1 && rows === 1) columns++;
+        }
+        if (holdsRows && rows === 1) {
+            // A single row that holds rows itself, like the ((a,b),(c,d)) of (((a,b),(c,d)))/(2), is a matrix in
+            // brackets that group it
+            this.position = firstRow.position;
+            holdsRows = !this.holdsRows(firstRow.token);
+        }
+        this.position = start;
+        return holdsRows;
+    }
+
+    createMatrix(open, rowOpen, close, rows) {
+        // Create the component for rows of cells in brackets, depending on the brackets. Returns null if the rows
+        // have different numbers of cells or the brackets don't belong to a component.
+        const columns = rows[0].length;
+        if (rows.some(row => row.length !== columns)) return null;
+        const matrices = {
+            '()': 'pmatrix',
+            '[]': 'bmatrix',
+            '{}': 'Bmatrix',
+            '||': 'vmatrix',
+        };
+        if (`${open}${close}` in matrices) {
+            return new Matrix(
+                null,
+                matrices[`${open}${close}`],
+                rows.length,
+                columns,
+            );
+        }
+        if (open === '{' && close === ':}' && columns === 2) {
+            return new Cases(null, 'cases', rows.length);
+        }
+        if (open !== '{:' || close !== ':}') return null;
+        // Rows in parentheses inside invisible brackets are aligned lines with two blocks each, or gathered lines
+        // with one. Matrices without delimiters use brackets for their rows.
+        if (rowOpen === '(' && columns <= 2) {
+            return new AlignedLines(
+                null,
+                columns === 2 ? 'aligned' : 'gathered',
+                rows.length,
+            );
+        }
+        return new Matrix(null, 'matrix', rows.length, columns);
+    }
+
+    parseBody() {
+        // Parse the body of a large operator or limit, which is the expression (or fraction) following it
+        const token = this.peekToken();
+        if (token === null || token in asciiMathRightBrackets) return [];
+        return this.parseFraction();
+    }
+
+    bracketText(bracket) {
+        // Components for showing a bracket. Invisible brackets are not shown.
+        const text =
+            bracket in asciiMathLeftBrackets
+                ? asciiMathLeftBrackets[bracket]
+                : asciiMathRightBrackets[bracket];
+        if (text === null) return [];
+        if (text.startsWith('\\')) return [new MJXGUISymbol(null, text)];
+        return [createTextComponent(text)];
+    }
+}
+
+// Interprets an Expression as mathematics and builds a semantic tree from it
+// Exposes its API for the MJXGUI class to use
+
+// Operators that are typed as a character, mapped to their name in the semantic tree
+const textOperators = {
+    '+': 'plus',
+    '-': 'minus',
+    '*': 'times',
+    '/': 'divide',
+    '=': 'eq',
+    '<': 'lt',
+    '>': 'gt',
+};
+
+// Operators that are inserted as an MJXGUISymbol, mapped to their name in the semantic tree
+const symbolOperators = {
+    '\\times': 'times',
+    '\\cdot': 'times',
+    '\\div': 'divide',
+    '\\pm': 'plusminus',
+    '\\mp': 'minusplus',
+    '\\lt': 'lt',
+    '\\gt': 'gt',
+    '\\leq': 'leq',
+    '\\geq': 'geq',
+    '\\ne': 'neq',
+    '\\approx': 'approx',
+    '\\cup': 'union',
+    '\\cap': 'intersect',
+    '\\subset': 'prsubset',
+    '\\subseteq': 'subset',
+    '\\not\\subset': 'notprsubset',
+    '\\not\\subseteq': 'notsubset',
+    '\\in': 'in',
+    '\\notin': 'notin',
+    '\\to': 'tendsto',
+    '\\Rightarrow': 'implies',
+    '\\Leftrightarrow': 'equivalent',
+};
+
+// Precedence of the binary operators. Operators with a higher precedence bind tighter.
+const semanticOperatorPrecedence = {
+    implies: 0,
+    equivalent: 0,
+    eq: 1,
+    neq: 1,
+    lt: 1,
+    gt: 1,
+    leq: 1,
+    geq: 1,
+    approx: 1,
+    in: 1,
+    notin: 1,
+    subset: 1,
+    prsubset: 1,
+    notsubset: 1,
+    notprsubset: 1,
+    tendsto: 1,
+    plus: 2,
+    minus: 2,
+    plusminus: 2,
+    minusplus: 2,
+    union: 2,
+    intersect: 2,
+    times: 3,
+    divide: 3,
+};
+
+// Precedence used for the operand of a unary minus (or plus)
+const unaryPrecedence = 4;
+
+// Operators that can also be used as a unary prefix
+const unaryOperators = new Set(['plus', 'minus', 'plusminus', 'minusplus']);
+
+// Operators whose repeated application is collected into a single n-ary node
+const naryOperators = new Set(['plus', 'times']);
+
+// Symbols that are interpreted as constants instead of identifiers
+const symbolConstants = {
+    '\\pi': 'pi',
+    '\\infty': 'infinity',
+};
+
+// The name of each TemplateThreeBlockComponent command in the semantic tree
+const largeOperatorNames = {
+    sum: 'sum',
+    prod: 'product',
+    int: 'int',
+    iint: 'int',
+    iiint: 'int',
+    oint: 'int',
+};
+
+// Content MathML for the operators that do not have an element of the same name
+const contentMathMLOperators = {
+    plusminus: '<csymbol cd="arith1">plusminus</csymbol>',
+    minusplus: '<csymbol cd="arith1">minusplus</csymbol>',
+};
+
+// Kinds of Delimited components that are functions of their contents, mapped to the name of the function
+const delimiterFunctions = {
+    bars: 'abs',
+    floor: 'floor',
+    ceil: 'ceiling',
+};
+
+// Operators that are written as a container element of their arguments in Content MathML
+const contentMathMLContainers = new Set([
+    'matrix',
+    'matrixrow',
+    'piecewise',
+    'piece',
+    'otherwise',
+]);
+
+/**
+ * Creates a node of the semantic tree. The component the node was created from is attached to the
+ * node as a non-enumerable property, so that the tree stays a plain object when it is serialized
+ * or compared.
+ * @param properties The properties of the node, including its type
+ * @param component The component the node was created from, if any
+ */
+function createSemanticNode(properties, component = null) {
+    Object.defineProperty(properties, 'component', {
+        value: component,
+        enumerable: false,
+        writable: true,
+    });
+    return properties;
+}
+
+/**
+ * Creates an error node for something that could not be interpreted
+ * @param message A description of the problem
+ * @param component The component that could not be interpreted, if any
+ * @param args Any nodes that were interpreted as part of the erroneous construct
+ */
+function createSemanticError(message, component = null, args = []) {
+    return createSemanticNode({ type: 'error', message, args }, component);
+}
+
+/**
+ * Returns true if a block contains nothing but a closing bracket
+ * @param block The block to check
+ */
+function isClosingBracket(block) {
+    const child = block.children[0];
+    return (
+        block.children.length === 1 &&
+        child instanceof TextComponent &&
+        [')', ']'].includes(child.toLatex())
+    );
+}
+
+/**
+ * @class
+ * Interprets the components of an Expression as mathematics. The flat sequences of TextComponent
+ * characters and MJXGUISymbol operators in every block are parsed into operator-precedence trees,
+ * and the structure of components like Fraction and Sqrt is mapped to the operation they represent.
+ *
+ * The resulting tree is made up of plain objects with a type property of "number", "identifier",
+ * "constant", "apply" or "error". Anything that can't be interpreted becomes an error node.
+ */
+class SemanticParser {
+    constructor(expression) {
+        /**
+         * @param expression: The Expression to interpret
+         */
+        this.expression = expression;
+        this.tokens = [];
+        this.position = 0;
+        this.grouped = new WeakSet();
+    }
+
+    parse() {
+        // Interpret the whole expression and return the root node of the semantic tree
+        return this.parseSequence(this.expression.components, null);
+    }
+
+    parseSequence(components, owner) {
+        // Interpret a list of components as a single expression. owner is the component the list
+        // belongs to, used to report an empty list.
+        const previous = [this.tokens, this.position];
+        this.tokens = this.tokenize(components);
+        this.position = 0;
+
+        let node;
+        if (this.tokens.length === 0) {
+            node = createSemanticError('Expected an expression', owner);
+        } else {
+            node = this.parseExpression(0);
+            // Anything left over could not be attached to the expression
+            while (this.position < this.tokens.length) {
+                const token = this.tokens[this.position++];
+                node = createSemanticError(
+                    `Unexpected "${token.text}"`,
+                    token.component,
+                    [node],
+                );
+                if (this.position < this.tokens.length) {
+                    node.args.push(this.parseExpression(0));
+                }
+            }
+        }
+
+        [this.tokens, this.position] = previous;
+        return node;
+    }
+
+    parseBlock(block) {
+        return this.parseSequence(block.children, block.parent);
+    }
+
+    tokenize(components) {
+        // Convert a list of components into tokens for the operator-precedence parser. Each token
+        // has a kind, which is one of "operand", "operator", "open", "close", "postfix" or "prefix".
+        const tokens = [];
+        let number = null;
+        for (let c of components) {
+            const char = c instanceof TextComponent ? c.toLatex() : null;
+
+            // Consecutive digits are collected into a single number
+            if (char !== null && /^[0-9.]$/.test(char)) {
+                if (number === null) {
+                    number = { kind: 'operand', text: '', component: c };
+                    tokens.push(number);
+                }
+                number.text += char;
+                number.node = createSemanticNode(
+                    { type: 'number', value: number.text },
+                    number.component,
+                );
+                continue;
+            }
+            number = null;
+
+            if (char !== null) {
+                tokens.push(this.tokenizeText(char, c));
+            } else if (c instanceof MJXGUISymbol) {
+                if (c.latexData === '\\:\\:') continue;
+                tokens.push(this.tokenizeSymbol(c));
+            } else if (c instanceof TextRun) {
+                // Text before or after the math, like the "if" of a condition, is prose that is left out. Text
+                // between two pieces of math, like x = 1 \text{ and } y = 2, can't be interpreted.
+                const rest = components.slice(components.indexOf(c) + 1);
+                if (
+                    tokens.length === 0 ||
+                    rest.every(other => other instanceof TextRun)
+                ) {
+                    continue;
+                }
+                tokens.push({
+                    kind: 'operand',
+                    text: c.toLatex(),
+                    component: c,
+                    node: createSemanticError(
+                        `Cannot interpret "${c.text}" between math`,
+                        c,
+                    ),
+                });
+            } else if (
+                c instanceof Superscript &&
+                (c.blocks[0].children.length === 0 ||
+                    isClosingBracket(c.blocks[0]))
+            ) {
+                // A superscript with an empty base raises whatever comes before it. Parsed LaTeX
+                // like (x+1)^2 attaches the superscript to the closing bracket, which raises the
+                // whole bracketed expression.
+                if (c.blocks[0].children.length) {
+                    tokens.push(
+                        this.tokenizeText(
+                            c.blocks[0].children[0].toLatex(),
+                            c.blocks[0].children[0],
+                        ),
+                    );
+                }
+                tokens.push({
+                    kind: 'postfix',
+                    text: c.toLatex(),
+                    component: c,
+                    apply: base =>
+                        createSemanticNode(
+                            {
+                                type: 'apply',
+                                operator: 'power',
+                                args: [base, this.parseBlock(c.blocks[1])],
+                            },
+                            c,
+                        ),
+                });
+            } else if (
+                c instanceof LabeledComponent &&
+                this.isLabeledOperator(c)
+            ) {
+                // A relation with a label, like \overset{\text{def}}{=}, is the relation itself
+                tokens.push({
+                    ...this.tokenize(c.blocks[0].children)[0],
+                    text: c.toLatex(),
+                    component: c,
+                });
+            } else if (
+                c instanceof Derivative &&
+                c.blocks[0].children.length === 0
+            ) {
+                // A derivative without a function, like \frac{d}{dx}, applies to whatever comes after it
+                tokens.push({
+                    kind: 'prefix',
+                    text: c.toLatex(),
+                    component: c,
+                    apply: argument => this.interpretDerivative(c, argument),
+                });
+            } else if (
+                c instanceof TrigonometricTwoBlockComponent &&
+                c.blocks[1].children.length === 0
+            ) {
+                // A function with an empty argument block applies to whatever comes after it
+                tokens.push({
+                    kind: 'prefix',
+                    text: c.toLatex(),
+                    component: c,
+                    apply: argument => this.applyFunction(c, argument),
+                });
+            } else {
+                tokens.push({
+                    kind: 'operand',
+                    text: c.toLatex(),
+                    component: c,
+                    node: this.interpretComponent(c),
+                });
+            }
+        }
+        return tokens;
+    }
+
+    isLabeledOperator(component) {
+        // Returns true if the main block of a LabeledComponent is a single operator, like the = of \stackrel{?}{=}
+        const tokens = this.tokenize(component.blocks[0].children);
+        return tokens.length === 1 && tokens[0].kind === 'operator';
+    }
+
+    tokenizeText(char, component) {
+        if (/^[a-zA-Z]$/.test(char)) {
+            return {
+                kind: 'operand',
+                text: char,
+                component,
+                node: createSemanticNode(
+                    { type: 'identifier', name: char },
+                    component,
+                ),
+            };
+        }
+        if (char in textOperators) {
+            return {
+                kind: 'operator',
+                text: char,
+                component,
+                operator: textOperators[char],
+            };
+        }
+        if (char === '(' || char === '[')
+            return { kind: 'open', text: char, component };
+        if (char === ')' || char === ']')
+            return { kind: 'close', text: char, component };
+        if (char === '!') {
+            return {
+                kind: 'postfix',
+                text: char,
+                component,
+                apply: operand =>
+                    createSemanticNode(
+                        {
+                            type: 'apply',
+                            operator: 'factorial',
+                            args: [operand],
+                        },
+                        component,
+                    ),
+            };
+        }
+        return {
+            kind: 'operand',
+            text: char,
+            component,
+            node: createSemanticError(`Cannot interpret "${char}"`, component),
+        };
+    }
+
+    tokenizeSymbol(component) {
+        const latex = component.latexData;
+        if (latex in symbolOperators) {
+            return {
+                kind: 'operator',
+                text: latex,
+                component,
+                operator: symbolOperators[latex],
+            };
+        }
+        let node;
+        if (latex in symbolConstants) {
+            node = createSemanticNode(
+                { type: 'constant', name: symbolConstants[latex] },
+                component,
+            );
+        } else if (
+            /^[\u0370-\u03ff]$/.test(symbolLatexToUnicode(latex) || '')
+        ) {
+            // Greek letters are identifiers named after their LaTeX command, like "theta"
+            node = createSemanticNode(
+                { type: 'identifier', name: latex.replace(/^\\/, '') },
+                component,
+            );
+        } else if (latex === '\\hbar') {
+            node = createSemanticNode(
+                { type: 'identifier', name: 'hbar' },
+                component,
+            );
+        } else {
+            node = createSemanticError(
+                `Cannot interpret symbol "${latex}"`,
+                component,
+            );
+        }
+        return { kind: 'operand', text: latex, component, node };
+    }
+
+    parseExpression(minPrecedence) {
+        // Operator-precedence parsing of this.tokens, starting at this.position
+        let left = this.parsePrefix();
+        while (this.position < this.tokens.length) {
+            const token = this.tokens[this.position];
+            if (token.kind === 'operator') {
+                const precedence = semanticOperatorPrecedence[token.operator];
+                if (precedence < minPrecedence) break;
+                this.position++;
+                const right = this.parseExpression(precedence + 1);
+                left = this.combine(
+                    token.operator,
+                    left,
+                    right,
+                    token.component,
+                );
+            } else if (token.kind === 'postfix') {
+                this.position++;
+                left = token.apply(left);
+            } else if (token.kind !== 'close') {
+                // Two operands next to each other are multiplied
+                const precedence = semanticOperatorPrecedence.times;
+                if (precedence < minPrecedence) break;
+                const right = this.parseExpression(precedence + 1);
+                left = this.combine('times', left, right, null);
+            } else {
+                break;
+            }
+        }
+        return left;
+    }
+
+    parsePrefix() {
+        // Parse an operand, along with any prefix operator or parentheses around it
+        if (this.position >= this.tokens.length) {
+            const last = this.tokens[this.tokens.length - 1];
+            return createSemanticError(
+                `Expected an operand after "${last.text}"`,
+                last.component,
+            );
+        }
+        const token = this.tokens[this.position++];
+
+        if (token.kind === 'operand') return token.node;
+        if (token.kind === 'open') {
+            if (
+                this.position < this.tokens.length &&
+                this.tokens[this.position].kind === 'close'
+            ) {
+                this.position++;
+                return createSemanticError(
+                    'Empty parentheses',
+                    token.component,
+                );
+            }
+            const node = this.parseExpression(0);
+            const close = this.tokens[this.position];
+            if (close === undefined || close.kind !== 'close') {
+                return createSemanticError(
+                    `Unmatched "${token.text}"`,
+                    token.component,
+                    [node],
+                );
+            }
+            this.position++;
+            this.grouped.add(node);
+            return node;
+        }
+        if (token.kind === 'operator' && unaryOperators.has(token.operator)) {
+            const operand = this.parseExpression(unaryPrecedence);
+            return createSemanticNode(
+                { type: 'apply', operator: token.operator, args: [operand] },
+                token.component,
+            );
+        }
+        if (token.kind === 'prefix') {
+            return token.apply(
+                this.parseExpression(semanticOperatorPrecedence.times),
+            );
+        }
+        if (token.kind === 'postfix') {
+            return token.apply(
+                createSemanticError(
+                    `Expected an operand before "${token.text}"`,
+                    token.component,
+                ),
+            );
+        }
+        return createSemanticError(
+            `Unexpected "${token.text}"`,
+            token.component,
+        );
+    }
+
+    combine(operator, left, right, component) {
+        // Apply a binary operator, collecting repeated + and × into one node
+        if (
+            naryOperators.has(operator) &&
+            left.type === 'apply' &&
+            left.operator === operator &&
+            !this.grouped.has(left)
+        ) {
+            left.args.push(right);
+            return left;
+        }
+        return createSemanticNode(
+            { type: 'apply', operator, args: [left, right] },
+            component,
+        );
+    }
+
+    interpretComponent(component) {
+        // Interpret a component that is not part of a sequence of text and operators
+        const blocks = component.blocks;
+        if (component instanceof Fraction) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'divide',
+                    args: [
+                        this.parseBlock(blocks[0]),
+                        this.parseBlock(blocks[1]),
+                    ],
+                },
+                component,
+            );
+        }
+        if (component instanceof Sqrt) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'root',
+                    args: [this.parseBlock(blocks[0])],
+                },
+                component,
+            );
+        }
+        if (component instanceof NthRoot) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'root',
+                    degree: this.parseBlock(blocks[0]),
+                    args: [this.parseBlock(blocks[1])],
+                },
+                component,
+            );
+        }
+        if (component instanceof Superscript) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'power',
+                    args: [
+                        this.parseBlock(blocks[0]),
+                        this.parseBlock(blocks[1]),
+                    ],
+                },
+                component,
+            );
+        }
+        if (component instanceof Subscript) {
+            return this.interpretSubscript(component, blocks[0], blocks[1]);
+        }
+        if (component instanceof SubSupRight) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'power',
+                    args: [
+                        this.interpretSubscript(
+                            component,
+                            blocks[0],
+                            blocks[1],
+                        ),
+                        this.parseBlock(blocks[2]),
+                    ],
+                },
+                component,
+            );
+        }
+        if (component instanceof TrigonometricTwoBlockComponent) {
+            return this.applyFunction(component, this.parseBlock(blocks[1]));
+        }
+        if (component instanceof Limit) {
+            return this.interpretLimit(component);
+        }
+        if (component instanceof TemplateThreeBlockComponent) {
+            return this.interpretLargeOperator(component);
+        }
+        if (component instanceof Derivative) {
+            return this.interpretDerivative(
+                component,
+                this.parseBlock(blocks[0]),
+            );
+        }
+        if (component instanceof DefiniteIntegral) {
+            return this.interpretDefiniteIntegral(component);
+        }
+        if (component instanceof EvaluationBar) {
+            return this.interpretEvaluationBar(component);
+        }
+        if (component instanceof LabeledComponent) {
+            // Braces and stacked labels annotate their main block, which is read as a group
+            const node = this.parseBlock(blocks[0]);
+            this.grouped.add(node);
+            return node;
+        }
+        // Boxes and colors only change how their contents look. ColorBox is a subclass of Colored.
+        if (component instanceof FrameBox || component instanceof Colored) {
+            return this.parseBlock(blocks[0]);
+        }
+        if (component instanceof Delimited) {
+            return this.interpretDelimited(component);
+        }
+        if (component instanceof Accent) {
+            return this.interpretAccent(component);
+        }
+        if (component instanceof FontStyle) {
+            return this.interpretFontStyle(component);
+        }
+        // Cases and lines are subclasses of Matrix, so they have to be checked first
+        if (component instanceof Cases) {
+            return this.interpretCases(component);
+        }
+        if (component instanceof AlignedLines) {
+            return this.interpretLines(component);
+        }
+        if (component instanceof Matrix) {
+            return this.interpretMatrix(component);
+        }
+        return createSemanticError(
+            `Cannot interpret "${component.toLatex()}"`,
+            component,
+        );
+    }
+
+    interpretMatrix(component) {
+        // A matrix is a "matrix" node with a "matrixrow" node for each row. The vertical bars of a vmatrix
+        // stand for the determinant of the matrix.
+        const matrix = createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'matrix',
+                args: component.getRows().map(row =>
+                    createSemanticNode({
+                        type: 'apply',
+                        operator: 'matrixrow',
+                        args: row.map(block => this.parseBlock(block)),
+                    }),
+                ),
+            },
+            component,
+        );
+        if (component.latexData !== 'vmatrix') return matrix;
+        return createSemanticNode(
+            { type: 'apply', operator: 'determinant', args: [matrix] },
+            component,
+        );
+    }
+
+    interpretCases(component) {
+        // Cases are a "piecewise" node with a "piece" node for each row, made of the value and the condition.
+        // Rows without a condition, or with only text like \text{otherwise}, are an "otherwise" node with just
+        // the value.
+        const pieces = component.getRows().map(([value, condition]) => {
+            const hasCondition = condition.children.some(
+                c => !(c instanceof TextRun),
+            );
+            return createSemanticNode({
+                type: 'apply',
+                operator: hasCondition ? 'piece' : 'otherwise',
+                args: hasCondition
+                    ? [this.parseBlock(value), this.parseBlock(condition)]
+                    : [this.parseBlock(value)],
+            });
+        });
+        return createSemanticNode(
+            { type: 'apply', operator: 'piecewise', args: pieces },
+            component,
+        );
+    }
+
+    interpretDelimited(component) {
+        // Parentheses, brackets, braces and invisible delimiters group their contents. Vertical bars are the
+        // absolute value, and the floor and ceiling delimiters are functions of their own.
+        const kind = component.kind;
+        if (kind in delimiterFunctions) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: delimiterFunctions[kind],
+                    args: [this.parseBlock(component.blocks[0])],
+                },
+                component,
+            );
+        }
+        if (['parentheses', 'brackets', 'braces', 'none'].includes(kind)) {
+            const node = this.parseBlock(component.blocks[0]);
+            this.grouped.add(node);
+            return node;
+        }
+        return createSemanticError(
+            `Cannot interpret "${component.toLatex()}"`,
+            component,
+        );
+    }
+
+    interpretAccent(component) {
+        // An accented variable, like \hat{\beta}, is a variable of its own. It is named after the variable
+        // and the accent the way SymPy names such symbols, like "betahat", with the accent before any
+        // subscript, like "xhat_1". It is displayed with the combining character of the accent.
+        const base = this.parseBlock(component.blocks[0]);
+        if (base.type === 'identifier') {
+            const accent = accentMap[component.latexData];
+            return createSemanticNode(
+                {
+                    type: 'identifier',
+                    name: base.name.replace(
+                        /^[^_]*/,
+                        name => name + accent.identifier,
+                    ),
+                    display: identifierDisplayName(base).replace(
+                        /^[^_]*/,
+                        name => name + accent.unicode,
+                    ),
+                },
+                component,
+            );
+        }
+        return createSemanticError('Cannot interpret accent', component, [
+            base,
+        ]);
+    }
+
+    interpretFontStyle(component) {
+        // \mathrm only makes its contents upright, like the d of \mathrm{d}x, so it doesn't change their
+        // meaning. A variable in any other style, like \mathbf{v}, is a variable of its own, named like an
+        // accented variable, such as "vbold".
+        const base = this.parseBlock(component.blocks[0]);
+        const style = fontStyleMap[component.latexData];
+        if (component.latexData === 'mathrm') {
+            this.grouped.add(base);
+            return base;
+        }
+        if (base.type === 'identifier') {
+            return createSemanticNode(
+                {
+                    type: 'identifier',
+                    name: base.name.replace(
+                        /^[^_]*/,
+                        name => name + style.identifier,
+                    ),
+                    display: styleToUnicode(
+                        identifierDisplayName(base),
+                        component.latexData,
+                    ),
+                },
+                component,
+            );
+        }
+        return createSemanticError(
+            `Cannot interpret ${style.word} style`,
+            component,
+            [base],
+        );
+    }
+
+    interpretLines(component) {
+        // Aligned lines that continue the line before them start with the alignment marker, like
+        // x &= 1 + 1 \\ &= 2, so they are read as a single expression. Other lines, and gathered lines, are separate
+        // equations, which can't be combined into one.
+        const rows = component.getRows();
+        const separate = rows.some(
+            (row, i) =>
+                i > 0 &&
+                (component.columns === 1 || row[0].children.length > 0),
+        );
+        if (separate) {
+            return createSemanticError(
+                'Cannot interpret several separate lines',
+                component,
+            );
+        }
+        return this.parseSequence(
+            component.blocks.flatMap(block => block.children),
+            component,
+        );
+    }
+
+    interpretSubscript(component, baseBlock, subscriptBlock) {
+        // A subscripted identifier, like x_1 or a_n, is interpreted as a single identifier
+        const base = this.parseBlock(baseBlock);
+        const subscript = this.parseBlock(subscriptBlock);
+        if (
+            base.type === 'identifier' &&
+            ['identifier', 'number'].includes(subscript.type)
+        ) {
+            const node = createSemanticNode(
+                {
+                    type: 'identifier',
+                    name: `${base.name}_${subscript.name || subscript.value}`,
+                },
+                component,
+            );
+            // Styled and accented variables keep their display name, like 𝐅_1
+            if (base.display !== undefined || subscript.display !== undefined) {
+                const subscriptName =
+                    subscript.type === 'number'
+                        ? subscript.value
+                        : identifierDisplayName(subscript);
+                node.display = `${identifierDisplayName(base)}_${subscriptName}`;
+            }
+            return node;
+        }
+        return createSemanticError('Cannot interpret subscript', component, [
+            base,
+            subscript,
+        ]);
+    }
+
+    applyFunction(component, argument) {
+        // Apply a TrigonometricTwoBlockComponent to its argument, raising it to its exponent if it has one
+        let node = createSemanticNode(
+            { type: 'apply', operator: component.latexData, args: [argument] },
+            component,
+        );
+        if (component.blocks[0].children.length) {
+            node = createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'power',
+                    args: [node, this.parseBlock(component.blocks[0])],
+                },
+                component,
+            );
+        }
+        return node;
+    }
+
+    interpretLimit(component) {
+        const node = createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'limit',
+                args: [this.parseBlock(component.blocks[1])],
+            },
+            component,
+        );
+        const condition = this.parseBlock(component.blocks[0]);
+        if (
+            condition.type === 'apply' &&
+            condition.operator === 'tendsto' &&
+            condition.args[0].type === 'identifier'
+        ) {
+            node.variable = condition.args[0];
+            node.approaches = condition.args[1];
+            return node;
+        }
+        return createSemanticError(
+            'Expected a limit of the form "x \\to a"',
+            component,
+            [condition, node.args[0]],
+        );
+    }
+
+    interpretLargeOperator(component) {
+        // Interpret a TemplateThreeBlockComponent like \sum_{i=1}^{n}{i}
+        const operator = largeOperatorNames[component.latexData];
+        if (operator === undefined) {
+            return createSemanticError(
+                `Cannot interpret "\\${component.latexData}"`,
+                component,
+            );
+        }
+        const [lower, upper, body] = component.blocks;
+        const node = createSemanticNode(
+            { type: 'apply', operator, args: [] },
+            component,
+        );
+
+        let bodyComponents = body.children.filter(
+            c => !(c instanceof MJXGUISymbol && c.latexData === '\\:\\:'),
+        );
+        if (operator === 'int') {
+            // A trailing "dx" names the variable of integration
+            const length = bodyComponents.length;
+            const d = bodyComponents[length - 2];
+            if (isDifferentialD(d) && length > 2) {
+                const variable = this.parseSequence(
+                    bodyComponents.slice(length - 1),
+                    component,
+                );
+                if (variable.type === 'identifier') {
+                    node.variable = variable;
+                    bodyComponents = bodyComponents.slice(0, length - 2);
+                }
+            }
+        }
+        node.args.push(this.parseSequence(bodyComponents, component));
+
+        if (lower.children.length) {
+            const lowerNode = this.parseBlock(lower);
+            if (
+                lowerNode.type === 'apply' &&
+                lowerNode.operator === 'eq' &&
+                lowerNode.args[0].type === 'identifier'
+            ) {
+                node.variable = lowerNode.args[0];
+                node.lowerLimit = lowerNode.args[1];
+            } else if (operator === 'int') {
+                node.lowerLimit = lowerNode;
             } else {
-                // Otherwise we moved into a function
-                // Set the block to be the last block of the function and set the child to be at the left most end
-                this.component = this.expression.components[this.position];
-                this.block = this.component.blocks[0];
-                this.child = -0.5;
-                // this.position remains the same
+                node.condition = lowerNode;
+            }
+        }
+        if (upper.children.length) {
+            node.upperLimit = this.parseBlock(upper);
+        }
+        return node;
+    }
+
+    interpretDerivative(component, argument) {
+        // A derivative is a "diff" or "partialdiff" node with the variables it is taken with respect to,
+        // each with its order as a degree when it isn't 1
+        const node = createSemanticNode(
+            {
+                type: 'apply',
+                operator:
+                    component instanceof PartialDerivative
+                        ? 'partialdiff'
+                        : 'diff',
+                args: [argument],
+                variables: [],
+            },
+            component,
+        );
+        for (let { variable, order } of component.variables) {
+            const variableNode = this.parseBlock(variable);
+            if (variableNode.type !== 'identifier') {
+                return createSemanticError(
+                    'Expected a variable to differentiate with respect to',
+                    component,
+                    [variableNode, argument],
+                );
+            }
+            const bvar = { variable: variableNode };
+            if (!isFirstOrder(order)) bvar.degree = this.parseBlock(order);
+            node.variables.push(bvar);
+        }
+        return node;
+    }
+
+    interpretDefiniteIntegral(component) {
+        // A DefiniteIntegral is an "int" node, like the integrals of TemplateThreeBlockComponent
+        const [lower, upper, integrand, variable] = component.blocks;
+        const node = createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'int',
+                args: [this.parseBlock(integrand)],
+                variable: this.parseBlock(variable),
+            },
+            component,
+        );
+        if (node.variable.type !== 'identifier') {
+            return createSemanticError(
+                'Expected the variable of integration',
+                component,
+                [node.args[0], node.variable],
+            );
+        }
+        if (lower.children.length) node.lowerLimit = this.parseBlock(lower);
+        if (upper.children.length) node.upperLimit = this.parseBlock(upper);
+        return node;
+    }
+
+    interpretEvaluationBar(component) {
+        // \left. F \right|_{a}^{b} is F(b) - F(a). The variable is named in the lower limit, like x=a, or is
+        // the only variable of F.
+        const [body, lower, upper] = component.blocks;
+        const expression = this.parseBlock(body);
+        if (!lower.children.length || !upper.children.length) {
+            return createSemanticError(
+                'Expected a lower and an upper limit',
+                component,
+                [expression],
+            );
+        }
+        let variable;
+        let lowerLimit = this.parseBlock(lower);
+        if (
+            lowerLimit.type === 'apply' &&
+            lowerLimit.operator === 'eq' &&
+            lowerLimit.args[0].type === 'identifier'
+        ) {
+            [variable, lowerLimit] = lowerLimit.args;
+        } else {
+            const names = freeIdentifiers(expression);
+            if (names.size !== 1) {
+                return createSemanticError(
+                    'Expected a lower limit of the form "x = a"',
+                    component,
+                    [expression],
+                );
+            }
+            variable = { name: [...names][0] };
+        }
+        const upperLimit = this.parseBlock(upper);
+        return createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'minus',
+                args: [
+                    substituteIdentifier(expression, variable.name, upperLimit),
+                    substituteIdentifier(expression, variable.name, lowerLimit),
+                ],
+            },
+            component,
+        );
+    }
+}
+
+/**
+ * Returns the names of the identifiers of a node of the semantic tree that aren't bound by an operator inside
+ * it, like the i of a sum. The identifier e is Euler's number, so it isn't included.
+ * @param node The node to search
+ */
+function freeIdentifiers(node) {
+    const names = new Set();
+    if (node.type === 'identifier') {
+        if (node.name !== 'e') names.add(node.name);
+        return names;
+    }
+    if (!node.args) return names;
+    const bound = node.variable ? node.variable.name : null;
+    for (let arg of node.args) {
+        for (let name of freeIdentifiers(arg)) {
+            if (name !== bound) names.add(name);
+        }
+    }
+    for (let key of ['lowerLimit', 'upperLimit', 'approaches', 'degree']) {
+        if (node[key])
+            freeIdentifiers(node[key]).forEach(name => names.add(name));
+    }
+    return names;
+}
+
+/**
+ * Returns a copy of a node of the semantic tree with every free identifier of the given name replaced by
+ * value. Identifiers bound by an operator inside the node, like the i of a sum, are left alone. The copies
+ * keep the component of the node they were copied from.
+ * @param node The node to copy
+ * @param name The name of the identifier to replace
+ * @param value The node to replace it with
+ */
+function substituteIdentifier(node, name, value) {
+    if (node.type === 'identifier') return node.name === name ? value : node;
+    if (!node.args) return node;
+    const copy = createSemanticNode({ ...node }, node.component);
+    const bound = node.variable && node.variable.name === name;
+    if (!bound) {
+        copy.args = node.args.map(arg =>
+            substituteIdentifier(arg, name, value),
+        );
+    }
+    for (let key of ['lowerLimit', 'upperLimit', 'approaches', 'degree']) {
+        if (node[key]) copy[key] = substituteIdentifier(node[key], name, value);
+    }
+    return copy;
+}
+
+/**
+ * Returns true if a component is the d of a differential, written as d or \mathrm{d}
+ * @param component The component to check
+ */
+function isDifferentialD(component) {
+    if (component instanceof FontStyle && component.latexData === 'mathrm') {
+        const children = component.blocks[0].children;
+        return children.length === 1 && isDifferentialD(children[0]);
+    }
+    return component instanceof TextComponent && component.toLatex() === 'd';
+}
+
+/**
+ * Returns the name of an identifier node as it is displayed. Greek letters are named after their LaTeX command,
+ * but displayed as the letter itself. Accented and styled variables have their own display name.
+ * @param node The identifier node, like the one named "theta_1"
+ */
+function identifierDisplayName(node) {
+    if (node.display !== undefined) return node.display;
+    return node.name
+        .split('_')
+        .map(part =>
+            `\\${part}` === symbolLatexMap[part]
+                ? symbolUnicodeMap[part]
+                : part,
+        )
+        .join('_');
+}
+
+/**
+ * Generates Content MathML for a node of the semantic tree generated by SemanticParser
+ * @param node The node to generate Content MathML for
+ */
+function semanticTreeToContentMathML(node) {
+    if (node.type === 'number') return `<cn>${node.value}</cn>`;
+    if (node.type === 'identifier') {
+        return `<ci>${escapeXML(identifierDisplayName(node))}</ci>`;
+    }
+    if (node.type === 'constant') return `<${node.name}/>`;
+    if (node.type === 'error') {
+        const args = node.args.map(semanticTreeToContentMathML).join('');
+        return `<cerror><csymbol cd="moreerrors">unexpected</csymbol><cs>${escapeXML(node.message)}</cs>${args}</cerror>`;
+    }
+
+    // Matrices and piecewise functions are containers rather than functions applied to their parts
+    if (contentMathMLContainers.has(node.operator)) {
+        const args = node.args.map(semanticTreeToContentMathML).join('');
+        return `<${node.operator}>${args}</${node.operator}>`;
+    }
+
+    let mathml = `<apply>${contentMathMLOperators[node.operator] || `<${node.operator}/>`}`;
+    // The degree of each variable of a derivative goes in its bvar
+    for (let { variable, degree } of node.variables || []) {
+        const degreeMathML = degree
+            ? `<degree>${semanticTreeToContentMathML(degree)}</degree>`
+            : '';
+        mathml += `<bvar>${semanticTreeToContentMathML(variable)}${degreeMathML}</bvar>`;
+    }
+    if (node.variable)
+        mathml += `<bvar>${semanticTreeToContentMathML(node.variable)}</bvar>`;
+    if (node.degree)
+        mathml += `<degree>${semanticTreeToContentMathML(node.degree)}</degree>`;
+    if (node.approaches)
+        mathml += `<lowlimit>${semanticTreeToContentMathML(node.approaches)}</lowlimit>`;
+    if (node.lowerLimit)
+        mathml += `<lowlimit>${semanticTreeToContentMathML(node.lowerLimit)}</lowlimit>`;
+    if (node.upperLimit)
+        mathml += `<uplimit>${semanticTreeToContentMathML(node.upperLimit)}</uplimit>`;
+    if (node.condition)
+        mathml += `<condition>${semanticTreeToContentMathML(node.condition)}</condition>`;
+    for (let arg of node.args) {
+        mathml += semanticTreeToContentMathML(arg);
+    }
+    return mathml + '</apply>';
+}
+
+// Generates spoken text for an Expression, for screen readers
+// Exposes its API for the MJXGUI class to use
+
+// Words for the characters that are typed instead of being inserted from the toolbar
+const textSpeechMap = {
+    '+': 'plus',
+    '-': 'minus',
+    '*': 'times',
+    '/': 'divided by',
+    '=': 'equals',
+    '<': 'less than',
+    '>': 'greater than',
+    '!': 'factorial',
+    ',': 'comma',
+    ';': 'semicolon',
+    ':': 'colon',
+    "'": 'prime',
+    '|': 'vertical bar',
+    '(': 'open parenthesis',
+    ')': 'close parenthesis',
+    '[': 'open bracket',
+    ']': 'close bracket',
+    '\\{': 'open brace',
+    '\\}': 'close brace',
+    '\\$': 'dollar',
+    '\\#': 'number sign',
+    '\\%': 'percent',
+    '\\&': 'ampersand',
+    '\\_': 'underscore',
+    '\\backslash': 'backslash',
+    '\\:\\:': '',
+};
+
+// Words for the symbols of the toolbar, used when the vocabulary doesn't name them, like for a standalone
+// SpeechGenerator. Greek letters and other symbols that are read as their name are left out.
+const symbolSpeechMap = {
+    '\\times': 'times',
+    '\\div': 'divided by',
+    '\\cdot': 'times',
+    '\\pm': 'plus or minus',
+    '\\mp': 'minus or plus',
+    '\\star': 'star',
+    '\\bigcup': 'union',
+    '\\bigcap': 'intersection',
+    '\\cup': 'union',
+    '\\cap': 'intersection',
+    '\\lt': 'less than',
+    '\\gt': 'greater than',
+    '\\leq': 'less than or equal to',
+    '\\le': 'less than or equal to',
+    '\\geq': 'greater than or equal to',
+    '\\ge': 'greater than or equal to',
+    '\\approx': 'approximately equal to',
+    '\\ne': 'not equal to',
+    '\\neq': 'not equal to',
+    '\\subset': 'subset of',
+    '\\supset': 'superset of',
+    '\\subseteq': 'subset of or equal to',
+    '\\supseteq': 'superset of or equal to',
+    '\\not\\subset': 'not a subset of',
+    '\\not\\supset': 'not a superset of',
+    '\\not\\subseteq': 'not a subset of or equal to',
+    '\\not\\supseteq': 'not a superset of or equal to',
+    '\\propto': 'proportional to',
+    '\\parallel': 'parallel to',
+    '\\nparallel': 'not parallel to',
+    '\\asymp': 'asymptotically equal to',
+    '\\in': 'in',
+    '\\notin': 'not in',
+    '\\exists': 'there exists',
+    '\\nexists': 'there does not exist',
+    '\\forall': 'for all',
+    '\\perp': 'perpendicular to',
+    '\\measuredangle': 'measured angle',
+    '\\Leftarrow': 'is implied by',
+    '\\Rightarrow': 'implies',
+    '\\Leftrightarrow': 'if and only if',
+    '\\to': 'right arrow',
+    '\\rightarrow': 'right arrow',
+    '\\gets': 'left arrow',
+    '\\leftarrow': 'left arrow',
+    '\\leftrightarrow': 'left right arrow',
+    '\\longrightarrow': 'long right arrow',
+    '\\longleftarrow': 'long left arrow',
+    '\\longleftrightarrow': 'long left right arrow',
+    '\\uparrow': 'up arrow',
+    '\\downarrow': 'down arrow',
+    '\\updownarrow': 'up down arrow',
+    '\\hbar': 'h bar',
+    '\\Re': 'real part',
+    '\\infty': 'infinity',
+};
+
+// How each accent is read, and whether its word is read before the accented character
+const accentSpeechMap = {
+    hat: { word: 'hat', before: false },
+    bar: { word: 'bar', before: false },
+    vec: { word: 'vector', before: true },
+    dot: { word: 'dot', before: false },
+    ddot: { word: 'double dot', before: false },
+    tilde: { word: 'tilde', before: false },
+    overline: { word: 'bar', before: false },
+    overrightarrow: { word: 'vector', before: true },
+};
+
+// Words for the delimiters of a Delimited component that are not in textSpeechMap
+const delimiterSpeechMap = {
+    '\\langle': 'open angle bracket',
+    '\\rangle': 'close angle bracket',
+    '\\|': 'double vertical bar',
+    '\\lfloor': 'left floor',
+    '\\rfloor': 'right floor',
+    '\\lceil': 'left ceiling',
+    '\\rceil': 'right ceiling',
+    '.': '',
+};
+
+// Kinds of Delimited components that are read as a function of their contents
+const delimiterSpeechFunctions = {
+    bars: 'absolute value',
+    doubleBars: 'norm',
+    floor: 'floor',
+    ceil: 'ceiling',
+};
+
+// Words for the orders of derivatives that are read as an ordinal, like "the second derivative"
+const derivativeOrdinals = {
+    2: 'second',
+    3: 'third',
+};
+
+// Words for the arrows and symbols of a chemical equation, keyed by the symbol they are drawn as
+const chemistrySpeechMap = {
+    '→': 'yields',
+    '←': 'is formed from',
+    '↔': 'resonates with',
+    '⇌': 'is in equilibrium with',
+    '↑': 'gas',
+    '↓': 'precipitate',
+    '+': 'plus',
+};
+
+// Words for the states of matter in a chemical equation
+const chemistryStateSpeechMap = {
+    '(s)': 'solid',
+    '(l)': 'liquid',
+    '(g)': 'gas',
+    '(aq)': 'aqueous',
+};
+
+// Words for the powers of units that have a name of their own, as in "meters per second squared"
+const unitPowerSpeechMap = {
+    2: 'squared',
+    3: 'cubed',
+};
+
+// Symbols that are read as "approaches" below a limit
+const limitArrowSymbols = new Set(['\\to', '\\rightarrow', '\\longrightarrow']);
+
+/**
+ * Names a symbol that has no words of its own after its LaTeX, like "capital gamma" for \Gamma,
+ * "variant phi" for \varphi or "not sim" for \not\sim
+ * @param latexData The LaTeX of the symbol
+ */
+function symbolSpeechFallback(latexData) {
+    // Other LaTeX, like an environment that isn't supported, is read as is
+    if (!/^(?:\\[a-zA-Z]+\s*)+$/.test(latexData)) {
+        return latexData.replace(/^\\/, '');
+    }
+    return latexData
+        .match(/\\[a-zA-Z]+/g)
+        .map(token => {
+            const name = token.replace(/^\\/, '');
+            if (/^[A-Z][a-z]+$/.test(name)) {
+                return `capital ${name.toLowerCase()}`;
+            }
+            return name.replace(/^var(?=[a-z]{2})/, 'variant ');
+        })
+        .join(' ');
+}
+
+/**
+ * Removes any explanation in parentheses from the title of a toolbar button
+ * @param title The title, like "big cup (union)"
+ */
+function removeExplanation(title) {
+    return title.replace(/\s*\(.*?\)/g, '');
+}
+
+/**
+ * Builds the vocabulary used by SpeechGenerator from the title of every toolbar button inside an element.
+ * Symbols are keyed by their LaTeX, template and trigonometric functions by their LaTeX command name
+ * and other functions by their component class.
+ * @param element The element containing the toolbar buttons, usually the editor window
+ */
+function speechVocabularyFromToolbar(element) {
+    const vocabulary = new Map();
+    element.querySelectorAll('.mjxgui-btn[title]').forEach(button => {
+        let title = button.title.toLowerCase();
+        const latexData = button.dataset.latexData;
+        if (title === '') return;
+        if (button.dataset.functionId in functionComponentMap) {
+            // The first button of a component names it, later ones like the mixed partial derivative are variants
+            if (vocabulary.has(functionComponentMap[button.dataset.functionId]))
+                return;
+            vocabulary.set(
+                functionComponentMap[button.dataset.functionId],
+                title,
+            );
+        } else if (
+            ['three', 'trigonometric'].includes(button.dataset.templateType)
+        ) {
+            vocabulary.set(latexData, title);
+        } else if (latexData in symbolLatexMap) {
+            // Only the case of the title tells capital Greek letters apart
+            if (
+                button.classList.contains('mjxgui-greek-letter') &&
+                /^[A-Z]/.test(latexData)
+            ) {
+                title = `capital ${title}`;
+            }
+            if (!vocabulary.has(symbolLatexMap[latexData])) {
+                vocabulary.set(symbolLatexMap[latexData], title);
+            }
+        } else if (latexData !== undefined) {
+            vocabulary.set(latexData, title);
+        }
+    });
+    return vocabulary;
+}
+
+/**
+ * @class
+ * Generates text describing an Expression the way it would be read out loud, like "the fraction with
+ * numerator x plus 1 and denominator 2" or "sine squared of theta".
+ *
+ * Symbols and functions are named using a vocabulary, which MJXGUI builds from the titles of its toolbar
+ * buttons using speechVocabularyFromToolbar(). Common symbols missing from the vocabulary are read from
+ * symbolSpeechMap, and anything else is named after its LaTeX.
+ *
+ * In verbose mode the start and end of every nested construct is announced, so that the structure of the
+ * equation is unambiguous. Brief mode leaves those out and uses shorter phrases like "x squared".
+ */
+class SpeechGenerator {
+    constructor(expression, options = {}) {
+        /**
+         * @param expression: The Expression to describe
+         * @param options: An object with the mode ("verbose" or "brief") and the vocabulary to use
+         */
+        this.expression = expression;
+        this.mode = options.mode === 'brief' ? 'brief' : 'verbose';
+        this.vocabulary = options.vocabulary || new Map();
+    }
+
+    generate() {
+        // Generate the spoken text for the whole expression
+        return this.speakSequence(this.expression.components);
+    }
+
+    get verbose() {
+        return this.mode === 'verbose';
+    }
+
+    speakSequence(components) {
+        // Speak a list of components (and strings, in case of a block's children), keeping the
+        // digits of a number together
+        const words = [];
+        let number = '';
+        for (let c of components) {
+            const char =
+                typeof c === 'string'
+                    ? c
+                    : c instanceof TextComponent
+                      ? c.toLatex()
+                      : null;
+            if (char !== null && /^[0-9.]$/.test(char)) {
+                number += char;
+                continue;
             }
-        } else {
-            if (this.child === this.block.children.length - 0.5) {
-                // If we are at the end of the block, we want to move to a different block
-                // and possibly a new component
-                let pos = this.component.blocks.indexOf(this.block);
-                if (pos === this.component.blocks.length - 1) {
-                    // If we are in the last block of the current component, we want to move out of this component
-                    if (this.component.parent === null) {
-                        // We are at the top level, our component and blocks become null
-                        this.component = null;
-                        this.block = null;
-                        this.child = -0.5;
-                        this.position += 0.5;
-                    } else {
-                        // Otherwise, we move one level above and our component becomes the parent component
-                        // our block becomes the block that the current component was in
-                        this.block = this.component.parent;
-                        // Record the position the current component is in. We move the cursor here
-                        this.child =
-                            this.block.children.indexOf(this.component) + 0.5;
-                        this.component = this.block.parent;
+            if (number) {
+                words.push(number);
+                number = '';
+            }
+            words.push(
+                typeof c === 'string'
+                    ? this.speakText(c)
+                    : this.speakComponent(c),
+            );
+        }
+        if (number) words.push(number);
+        return words.filter(word => word !== '').join(' ');
+    }
+
+    speakBlock(block) {
+        return this.speakSequence(block.children);
+    }
+
+    speakText(char) {
+        if (char in textSpeechMap) return textSpeechMap[char];
+        return char;
+    }
+
+    speakSymbol(latexData) {
+        if (latexData in textSpeechMap && !this.vocabulary.has(latexData))
+            return textSpeechMap[latexData];
+        return this.name(
+            latexData,
+            symbolSpeechMap[latexData] ?? symbolSpeechFallback(latexData),
+        );
+    }
+
+    name(key, fallback) {
+        // The name of a symbol or function from the vocabulary. Brief mode leaves out any explanation in
+        // parentheses, like the "(union)" in "big cup (union)".
+        const name = this.vocabulary.has(key)
+            ? this.vocabulary.get(key)
+            : fallback;
+        return this.verbose ? name : removeExplanation(name);
+    }
+
+    isSimple(block) {
+        // Returns true if a block is a single character, symbol or number, which needs no announcement
+        // of where it ends
+        const children = block.children;
+        if (children.length === 1) {
+            return (
+                children[0] instanceof TextComponent ||
+                children[0] instanceof MJXGUISymbol
+            );
+        }
+        return children.every(
+            c => c instanceof TextComponent && /^[0-9.]$/.test(c.toLatex()),
+        );
+    }
+
+    end(block, word) {
+        // Announce the end of a construct in verbose mode, if the block it ends with is not simple
+        return this.verbose && !this.isSimple(block)
+            ? `, end ${removeExplanation(word)}`
+            : '';
+    }
+
+    speakPower(block) {
+        // Speak an exponent, like "squared" or "to the power n"
+        const exponent = this.speakBlock(block);
+        if (exponent === '2') return 'squared';
+        if (exponent === '3') return 'cubed';
+        if (this.verbose)
+            return `to the power ${exponent}${this.end(block, 'power')}`;
+        return `to the ${exponent}`;
+    }
+
+    speakComponent(component) {
+        if (component instanceof TextComponent)
+            return this.speakText(component.toLatex());
+        if (component instanceof MJXGUISymbol)
+            return this.speakSymbol(component.latexData);
+
+        const blocks = component.blocks;
+        switch (component.constructor) {
+            case Fraction: {
+                const numerator = this.speakBlock(blocks[0]);
+                const denominator = this.speakBlock(blocks[1]);
+                if (this.verbose) {
+                    return `the ${this.name(Fraction, 'fraction')} with numerator ${numerator} and denominator ${denominator}${this.end(blocks[1], 'fraction')}`;
+                }
+                if (this.isSimple(blocks[0]) && this.isSimple(blocks[1])) {
+                    return `${numerator} over ${denominator}`;
+                }
+                return `${this.name(Fraction, 'fraction')} ${numerator} over ${denominator} end ${this.name(Fraction, 'fraction')}`;
+            }
+            case Sqrt:
+                return `${this.verbose ? 'the ' : ''}${this.name(Sqrt, 'square root')} of ${this.speakBlock(blocks[0])}${this.end(blocks[0], 'root')}`;
+            case NthRoot:
+                return this.speakNthRoot(component);
+            case Superscript:
+                return `${this.speakBlock(blocks[0])} ${this.speakPower(blocks[1])}`.trim();
+            case Subscript:
+                return `${this.speakBlock(blocks[0])} ${this.speakSubscript(blocks[1])}`.trim();
+            case SubSupRight:
+                return `${this.speakBlock(blocks[0])} ${this.speakSubscript(blocks[1])} ${this.speakPower(blocks[2])}`.trim();
+            case Limit:
+                return this.speakLimit(component);
+            case FrameBox:
+                return `${this.verbose ? 'the boxed expression' : 'boxed'} ${this.speakBlock(blocks[0])}${this.end(blocks[0], 'box')}`;
+            case TrigonometricTwoBlockComponent:
+                return this.speakTrigonometric(component);
+            case TemplateThreeBlockComponent:
+                return this.speakLargeOperator(component);
+            case Matrix:
+                return this.speakMatrix(component);
+            case Cases:
+                return this.speakCases(component);
+            case AlignedLines:
+                return this.speakLines(component);
+            case Delimited:
+                return this.speakDelimited(component);
+            case Accent:
+                return this.speakAccent(component);
+            case TextRun:
+                return this.speakTextRun(component);
+            case FontStyle:
+                return this.speakFontStyle(component);
+            case Brace:
+            case OverUnderSet:
+                return this.speakLabeled(component);
+            case Derivative:
+            case PartialDerivative:
+                return this.speakDerivative(component);
+            case DefiniteIntegral:
+                return this.speakDefiniteIntegral(component);
+            case EvaluationBar:
+                return this.speakEvaluationBar(component);
+            case ChemicalEquation:
+                return this.speakChemicalEquation(component);
+            case Quantity:
+                return this.speakQuantity(component);
+            case Colored:
+                return `${this.verbose ? 'colored ' : ''}${this.speakBlock(blocks[0])}${this.end(blocks[0], 'color')}`;
+            case ColorBox:
+                return `highlighted ${this.speakBlock(blocks[0])}${this.end(blocks[0], 'highlight')}`;
+            default:
+                return this.speakCustomComponent(component);
+        }
+    }
+
+    speakSubscript(block) {
+        const subscript = this.speakBlock(block);
+        if (this.verbose)
+            return `subscript ${subscript}${this.end(block, 'subscript')}`;
+        return `sub ${subscript}`;
+    }
+
+    speakNthRoot(component) {
+        const index = this.speakBlock(component.blocks[0]);
+        const radicand = this.speakBlock(component.blocks[1]);
+        const end = this.end(component.blocks[1], 'root');
+        if (index === '' || index === '2')
+            return `${this.verbose ? 'the ' : ''}square root of ${radicand}${end}`;
+        if (index === '3')
+            return `${this.verbose ? 'the ' : ''}cube root of ${radicand}${end}`;
+        if (this.verbose)
+            return `the root with index ${index} of ${radicand}${end}`;
+        return `root ${index} of ${radicand}`;
+    }
+
+    speakLimit(component) {
+        // Arrows below a limit are read as "approaches", as in "the limit as x approaches 0 of ..."
+        const approach = component.blocks[0].children
+            .map(c =>
+                c instanceof MJXGUISymbol && limitArrowSymbols.has(c.latexData)
+                    ? 'approaches'
+                    : this.speakSequence([c]),
+            )
+            .join(' ');
+        let speech = `${this.verbose ? 'the ' : ''}${this.name(Limit, 'limit')}`;
+        if (approach) speech += ` as ${approach}`;
+        return `${speech} of ${this.speakBlock(component.blocks[1])}${this.end(component.blocks[1], this.name(Limit, 'limit'))}`;
+    }
+
+    speakTrigonometric(component) {
+        // Like "sine squared of theta" in verbose mode and "sine squared theta" in brief mode
+        let speech = this.name(component.latexData, component.latexData);
+        if (component.blocks[0].children.length)
+            speech += ` ${this.speakPower(component.blocks[0])}`;
+        // A function with an empty argument applies to whatever follows it, which is read after it
+        if (component.blocks[1].children.length === 0) return speech;
+        const argument = this.speakBlock(component.blocks[1]);
+        if (this.verbose)
+            return `${speech} of ${argument}${this.end(component.blocks[1], speech)}`;
+        return `${speech} ${argument}`;
+    }
+
+    speakLargeOperator(component) {
+        // Like "the summation from i equals 1 to n of i squared"
+        const name = this.name(component.latexData, component.latexData);
+        let speech = `${this.verbose ? 'the ' : ''}${name}`;
+        const [lower, upper, body] = component.blocks;
+        if (lower.children.length) speech += ` from ${this.speakBlock(lower)}`;
+        if (upper.children.length) speech += ` to ${this.speakBlock(upper)}`;
+        if (body.children.length)
+            speech += ` of ${this.speakBlock(body)}${this.end(body, name)}`;
+        return speech;
+    }
+
+    speakDerivative(component) {
+        // Like "the second derivative of y with respect to x" or "the partial derivative of f with respect to
+        // x twice and y". A derivative without a function applies to what follows it, which is read after it.
+        const name =
+            component instanceof PartialDerivative
+                ? this.name(PartialDerivative, 'partial derivative')
+                : this.name(Derivative, 'derivative');
+        const variables = component.variables;
+        let speech = `${this.verbose ? 'the ' : ''}${name}`;
+        if (variables.length === 1 && !isFirstOrder(variables[0].order)) {
+            const order = this.speakBlock(variables[0].order);
+            speech =
+                order in derivativeOrdinals
+                    ? `${this.verbose ? 'the ' : ''}${derivativeOrdinals[order]} ${name}`
+                    : `${speech} of order ${order}`;
+        }
+        const respect = variables
+            .map(({ variable, order }) => {
+                const speech = this.speakBlock(variable);
+                if (variables.length === 1 || isFirstOrder(order))
+                    return speech;
+                const times = this.speakBlock(order);
+                return `${speech} ${times === '2' ? 'twice' : `${times} times`}`;
+            })
+            .join(' and ');
+        const fn = component.blocks[0];
+        if (fn.children.length === 0)
+            return `${speech} with respect to ${respect} of`;
+        return `${speech} of ${this.speakBlock(fn)} with respect to ${respect}`;
+    }
+
+    speakDefiniteIntegral(component) {
+        // Like "the integral from 0 to 1 of x squared d x"
+        const [lower, upper, integrand, variable] = component.blocks;
+        // Named like the integral of the large operators, since the limits tell whether it is definite
+        let speech = `${this.verbose ? 'the ' : ''}${this.name('int', 'integral')}`;
+        if (lower.children.length) speech += ` from ${this.speakBlock(lower)}`;
+        if (upper.children.length) speech += ` to ${this.speakBlock(upper)}`;
+        return `${speech} of ${this.speakBlock(integrand)} d ${this.speakBlock(variable)}`;
+    }
+
+    speakEvaluationBar(component) {
+        // Like "x squared evaluated from 0 to 1"
+        const [body, lower, upper] = component.blocks;
+        let speech = `${this.speakBlock(body)} evaluated`;
+        if (lower.children.length) speech += ` from ${this.speakBlock(lower)}`;
+        if (upper.children.length) speech += ` to ${this.speakBlock(upper)}`;
+        return speech;
+    }
+
+    speakChemicalEquation(component) {
+        // Like "2 H 2 plus O 2 yields 2 H 2 O", where each element is read as its symbol followed by the
+        // number of atoms. Charges are read like "Fe 3 plus ion", so that the plus of the charge can be told
+        // apart from the plus between the formulas.
+        const words = chemistryTokens(component.text).map(token => {
+            if (token.kind !== 'formula')
+                return chemistrySpeechMap[token.symbol];
+            return token.atoms
+                .map(atom => {
+                    if (atom.kind === 'state')
+                        return chemistryStateSpeechMap[atom.text];
+                    if (atom.kind === 'dot') return 'dot';
+                    let charge = '';
+                    if (atom.charge !== '') {
+                        const sign = atom.charge
+                            .replace('+', ' plus')
+                            .replace('-', ' minus');
+                        charge = `${sign.trim()} ion`;
                     }
-                } else {
-                    // this.component and this.position remain the same
-                    this.block = this.component.blocks[pos + 1];
-                    this.child = -0.5;
+                    return [atom.text, atom.subscript, charge]
+                        .filter(word => word !== '')
+                        .join(' ');
+                })
+                .join(' ');
+        });
+        const speech = words.join(' ');
+        return this.verbose
+            ? `the chemical equation ${speech}, end chemical equation`
+            : speech;
+    }
+
+    speakQuantity(component) {
+        // Like "9.81 meters per second squared". The last unit before the divisors is plural unless the number is
+        // 1, as in "5 kilogram meters per second squared". Unknown units are read as typed.
+        const number = this.speakBlock(component.blocks[0]);
+        const units = component.units;
+        const last = units.findLastIndex(unit => unit.power > 0);
+        const words = units.map((unit, i) => {
+            if (unit.unit === null) return unit.text;
+            const { name, plural } = siUnits[unit.unit];
+            const prefix = unit.prefix ? siPrefixes[unit.prefix].name : '';
+            const word =
+                prefix +
+                (i === last && number !== '1' ? (plural ?? `${name}s`) : name);
+            const power = Math.abs(unit.power);
+            const speech =
+                power === 1
+                    ? word
+                    : `${word} ${unitPowerSpeechMap[power] ?? `to the power ${power}`}`;
+            return unit.power < 0 ? `per ${speech}` : speech;
+        });
+        return [number, ...words].join(' ');
+    }
+
+    speakMatrix(component) {
+        // Like "the 2 by 2 matrix, row 1: a, b; row 2: c, d, end matrix" in verbose mode and
+        // "2 by 2 matrix a, b; c, d" in brief mode. The vertical bars of a vmatrix make it a determinant.
+        const name =
+            component.latexData === 'vmatrix'
+                ? 'determinant'
+                : this.name(Matrix, 'matrix');
+        const rows = component
+            .getRows()
+            .map(row =>
+                row.map(block => this.speakBlock(block) || 'blank').join(', '),
+            );
+        const size = `${component.rows} by ${component.columns}`;
+        if (this.verbose) {
+            const contents = rows.map((row, i) => `row ${i + 1}: ${row}`);
+            return `the ${size} ${name}, ${contents.join('; ')}, end ${removeExplanation(name)}`;
+        }
+        return `${size} ${removeExplanation(name)} ${rows.join('; ')}`;
+    }
+
+    speakCases(component) {
+        // Like "the piecewise function, x if x greater than or equal 0; minus x otherwise, end piecewise function"
+        const name = this.name(Cases, 'piecewise function');
+        const rows = component.getRows().map(([value, condition]) => {
+            const speech = this.speakBlock(value) || 'blank';
+            if (condition.children.length === 0) return `${speech} otherwise`;
+            // Conditions that start with text, like \text{if } x > 0 or \text{otherwise}, already say how to read them
+            if (condition.children[0] instanceof TextRun) {
+                return `${speech} ${this.speakBlock(condition)}`;
+            }
+            return `${speech} if ${this.speakBlock(condition)}`;
+        });
+        if (this.verbose) {
+            return `the ${name}, ${rows.join('; ')}, end ${removeExplanation(name)}`;
+        }
+        return `${removeExplanation(name)} ${rows.join('; ')}`;
+    }
+
+    speakFontStyle(component) {
+        // Like "blackboard bold R". Roman is the usual style of words like the d of dx, so it isn't announced.
+        const block = component.blocks[0];
+        const contents = this.speakBlock(block);
+        if (component.latexData === 'mathrm') return contents;
+        const word = fontStyleMap[component.latexData].word;
+        return `${word} ${contents}${this.end(block, word)}`;
+    }
+
+    speakLabeled(component) {
+        // Like "a plus b with underbrace n terms" or "equals with def above"
+        const main = this.speakBlock(component.blocks[0]);
+        const label = this.speakBlock(component.blocks[1]);
+        if (component instanceof Brace) {
+            const brace = component.labelAbove ? 'overbrace' : 'underbrace';
+            return label === ''
+                ? `${main} with ${brace}`
+                : `${main} with ${brace} ${label}${this.end(component.blocks[1], brace)}`;
+        }
+        return `${main} with ${label} ${component.labelAbove ? 'above' : 'below'}`;
+    }
+
+    speakTextRun(component) {
+        // Text is read as the words it is made of, along with any math inside it
+        return textRunPieces(component.blocks[0])
+            .map(piece =>
+                typeof piece === 'string'
+                    ? piece.trim()
+                    : this.speakComponent(piece),
+            )
+            .filter(words => words !== '')
+            .join(' ');
+    }
+
+    speakAccent(component) {
+        // An accent over a single character is read like "x hat" or "vector F". Over anything longer, it is
+        // read like a function, as in "bar of x plus y".
+        const block = component.blocks[0];
+        const { word, before } = accentSpeechMap[component.latexData];
+        const contents = this.speakBlock(block);
+        if (this.isSimple(block)) {
+            return before ? `${word} ${contents}` : `${contents} ${word}`;
+        }
+        return `${word} of ${contents}${this.end(block, word)}`;
+    }
+
+    speakDelimited(component) {
+        // Delimiters that stand for a function are read as one, like "the absolute value of x". Other
+        // delimiters are read like the characters they look like, as in "open parenthesis x close parenthesis".
+        const contents = this.speakBlock(component.blocks[0]);
+        const name = delimiterSpeechFunctions[component.kind];
+        if (name !== undefined) {
+            return `${this.verbose ? 'the ' : ''}${name} of ${contents}${this.end(component.blocks[0], name)}`;
+        }
+        const delimiter = latex =>
+            textSpeechMap[latex] ??
+            delimiterSpeechMap[latex] ??
+            this.speakSymbol(latex);
+        return [delimiter(component.left), contents, delimiter(component.right)]
+            .filter(word => word !== '')
+            .join(' ');
+    }
+
+    speakLines(component) {
+        // Like "2 lines, line 1: x equals 1 plus 1; line 2: equals 2, end lines"
+        const lines = component
+            .getRows()
+            .map(
+                (row, i) =>
+                    `line ${i + 1}: ${this.speakSequence(row.flatMap(block => block.children))}`,
+            );
+        if (this.verbose) {
+            return `${lines.length} line${lines.length === 1 ? '' : 's'}, ${lines.join('; ')}, end lines`;
+        }
+        return lines.join('; ');
+    }
+
+    speakCustomComponent(component) {
+        // Components registered through MJXGUI.registerFunction() are named after the title of their button,
+        // followed by the contents of their blocks. Without a title, the component is read as its linear format.
+        if (!this.vocabulary.has(component.constructor))
+            return componentToUnicode(component);
+        const contents = component.blocks
+            .filter(block => block.children.length)
+            .map(block => this.speakBlock(block));
+        const name = this.name(component.constructor, '');
+        if (contents.length === 0) return name;
+        return `${this.verbose ? 'the ' : ''}${name} of ${contents.join(' and ')}${this.verbose ? `, end ${removeExplanation(name)}` : ''}`;
+    }
+}
+
+// Computes the numeric value of an Expression
+// Exposes its API for the Expression and MJXGUI classes to use
+
+// The largest number of terms a sum or product is allowed to have
+const maxEvaluationTerms = 100000;
+
+// Trigonometric functions, mapped to how they are computed
+const trigonometricFunctions = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    csc: x => 1 / Math.sin(x),
+    sec: x => 1 / Math.cos(x),
+    cot: x => 1 / Math.tan(x),
+    arcsin: Math.asin,
+    arccos: Math.acos,
+    arctan: Math.atan,
+};
+
+// Comparisons that can be used as the condition of a piecewise function, mapped to how they are computed
+const evaluationComparisons = {
+    eq: (a, b) => a === b,
+    neq: (a, b) => a !== b,
+    lt: (a, b) => a < b,
+    gt: (a, b) => a > b,
+    leq: (a, b) => a <= b,
+    geq: (a, b) => a >= b,
+};
+
+/**
+ * @class
+ * The error thrown when an Expression can't be evaluated. The code tells what went wrong:
+ *
+ * - "undefined-variable" if a variable has no value. The name of the variable is stored in variable.
+ * - "not-numeric" if part of the expression doesn't have a numeric value, like an equation or an integral.
+ * - "domain" if a function is applied outside its domain, like a division by zero.
+ *
+ * component is the component the error was caused by, or null if it can't be narrowed down to one.
+ */
+class EvaluationError extends Error {
+    constructor(code, message, component = null) {
+        super(message);
+        this.name = 'EvaluationError';
+        this.code = code;
+        this.component = component;
+    }
+}
+
+/**
+ * @class
+ * Evaluates an Expression to a number. The expression is interpreted using SemanticParser, so anything
+ * the semantic tree supports can be evaluated: arithmetic, fractions, roots, powers, factorials, the
+ * trigonometric functions, absolute values, floor and ceiling, sums and products with numeric bounds and
+ * piecewise functions whose conditions are comparisons.
+ *
+ * Variables are looked up in an object mapping their names, as used in the semantic tree (like "x",
+ * "theta" or "x_1"), to numbers. If e is not given a value, it is Euler's number.
+ */
+class Evaluator {
+    constructor(expression, variables = {}) {
+        /**
+         * @param expression: The Expression to evaluate
+         * @param variables: An object mapping variable names to their values
+         */
+        this.expression = expression;
+        this.variables = variables;
+    }
+
+    evaluate() {
+        // Evaluate the whole expression and return the result
+        return this.evaluateNode(
+            new SemanticParser(this.expression).parse(),
+            this.variables,
+        );
+    }
+
+    evaluateNode(node, variables) {
+        // Evaluate a node of the semantic tree, with the given variables in scope
+        switch (node.type) {
+            case 'number': {
+                const value = Number(node.value);
+                if (Number.isNaN(value)) {
+                    throw new EvaluationError(
+                        'not-numeric',
+                        `"${node.value}" is not a valid number`,
+                        node.component,
+                    );
                 }
-            } else {
-                // We are not at the end of the block
-                // Detect the component to the right
-                let nextComponent = this.block.children[Math.ceil(this.child)];
-                if (
-                    nextComponent instanceof TextComponent ||
-                    nextComponent instanceof MJXGUISymbol
-                ) {
-                    // If it is a TextComponent or Symbol, skip it and move on
-                    this.child++;
-                } else {
-                    this.component = nextComponent;
-                    this.block = this.component.blocks[0];
-                    this.child = -0.5;
+                return value;
+            }
+            case 'identifier':
+                return this.lookup(node, variables);
+            case 'constant':
+                if (node.name === 'pi') return Math.PI;
+                throw new EvaluationError(
+                    'not-numeric',
+                    `${node.name} is not a number`,
+                    node.component,
+                );
+            case 'error':
+                throw new EvaluationError(
+                    'not-numeric',
+                    node.message,
+                    node.component,
+                );
+            default:
+                return this.checkResult(
+                    this.evaluateApply(node, variables),
+                    node,
+                );
+        }
+    }
+
+    lookup(node, variables) {
+        if (Object.prototype.hasOwnProperty.call(variables, node.name)) {
+            const value = variables[node.name];
+            if (typeof value !== 'number') {
+                throw new EvaluationError(
+                    'not-numeric',
+                    `The value of ${node.name} is not a number`,
+                    node.component,
+                );
+            }
+            return value;
+        }
+        if (node.name === 'e') return Math.E;
+        const error = new EvaluationError(
+            'undefined-variable',
+            `${node.name} is not defined`,
+            node.component,
+        );
+        error.variable = node.name;
+        throw error;
+    }
+
+    checkResult(value, node) {
+        // Operations outside their domain result in NaN or a division by zero in JavaScript
+        if (Number.isNaN(value) || !Number.isFinite(value)) {
+            throw new EvaluationError(
+                'domain',
+                `The result of ${node.operator} is not a real number`,
+                node.component,
+            );
+        }
+        return value;
+    }
+
+    evaluateApply(node, variables) {
+        const args = () =>
+            node.args.map(arg => this.evaluateNode(arg, variables));
+        switch (node.operator) {
+            case 'plus':
+                return args().reduce((a, b) => a + b);
+            case 'minus': {
+                const [a, b] = args();
+                return b === undefined ? -a : a - b;
+            }
+            case 'times':
+                return args().reduce((a, b) => a * b);
+            case 'divide': {
+                const [a, b] = args();
+                if (b === 0) {
+                    throw new EvaluationError(
+                        'domain',
+                        'Division by zero',
+                        node.component,
+                    );
+                }
+                return a / b;
+            }
+            case 'power': {
+                const [a, b] = args();
+                return a ** b;
+            }
+            case 'root':
+                return this.evaluateRoot(node, variables);
+            case 'factorial':
+                return this.evaluateFactorial(node, args()[0]);
+            case 'sum':
+            case 'product':
+                return this.evaluateLargeOperator(node, variables);
+            case 'piecewise':
+                return this.evaluatePiecewise(node, variables);
+            case 'abs':
+                return Math.abs(args()[0]);
+            case 'floor':
+                return Math.floor(args()[0]);
+            case 'ceiling':
+                return Math.ceil(args()[0]);
+        }
+        if (node.operator in trigonometricFunctions) {
+            return trigonometricFunctions[node.operator](args()[0]);
+        }
+        throw new EvaluationError(
+            'not-numeric',
+            `Cannot evaluate ${node.operator}`,
+            node.component,
+        );
+    }
+
+    evaluateRoot(node, variables) {
+        const radicand = this.evaluateNode(node.args[0], variables);
+        const degree = node.degree
+            ? this.evaluateNode(node.degree, variables)
+            : 2;
+        // Odd roots of negative numbers are real
+        if (radicand < 0 && Number.isInteger(degree) && degree % 2 !== 0) {
+            return -((-radicand) ** (1 / degree));
+        }
+        if (radicand < 0 || degree === 0) {
+            throw new EvaluationError(
+                'domain',
+                degree === 0
+                    ? 'Root of degree zero'
+                    : 'Root of a negative number',
+                node.component,
+            );
+        }
+        return radicand ** (1 / degree);
+    }
+
+    evaluateFactorial(node, n) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new EvaluationError(
+                'domain',
+                'Factorial of a number that is not a non-negative integer',
+                node.component,
+            );
+        }
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    }
+
+    evaluatePiecewise(node, variables) {
+        // The value of the first piece whose condition holds, or of the "otherwise" piece
+        for (let piece of node.args) {
+            if (
+                piece.operator === 'otherwise' ||
+                this.evaluateCondition(piece.args[1], variables)
+            ) {
+                return this.evaluateNode(piece.args[0], variables);
+            }
+        }
+        throw new EvaluationError(
+            'domain',
+            'None of the conditions of the piecewise function hold',
+            node.component,
+        );
+    }
+
+    evaluateCondition(node, variables) {
+        if (
+            node.type !== 'apply' ||
+            !(node.operator in evaluationComparisons)
+        ) {
+            throw new EvaluationError(
+                'not-numeric',
+                'The condition of a piecewise function must be a comparison',
+                node.component,
+            );
+        }
+        const [a, b] = node.args.map(arg => this.evaluateNode(arg, variables));
+        return evaluationComparisons[node.operator](a, b);
+    }
+
+    evaluateLargeOperator(node, variables) {
+        // Evaluate a sum or product like \sum_{i=1}^{n}{i}, binding the index variable for every term
+        if (!node.variable || !node.lowerLimit || !node.upperLimit) {
+            throw new EvaluationError(
+                'not-numeric',
+                `A ${node.operator} needs an index variable with a lower and an upper bound`,
+                node.component,
+            );
+        }
+        const lower = this.evaluateNode(node.lowerLimit, variables);
+        const upper = this.evaluateNode(node.upperLimit, variables);
+        if (!Number.isInteger(lower) || !Number.isInteger(upper)) {
+            throw new EvaluationError(
+                'domain',
+                `The bounds of a ${node.operator} must be integers`,
+                node.component,
+            );
+        }
+        if (upper - lower >= maxEvaluationTerms) {
+            throw new EvaluationError(
+                'domain',
+                `A ${node.operator} can have at most ${maxEvaluationTerms} terms`,
+                node.component,
+            );
+        }
+
+        let result = node.operator === 'sum' ? 0 : 1;
+        for (let i = lower; i <= upper; i++) {
+            const scope = { ...variables, [node.variable.name]: i };
+            const term = this.evaluateNode(node.args[0], scope);
+            result = node.operator === 'sum' ? result + term : result * term;
+        }
+        return result;
+    }
+}
+
+// Checks whether an answer entered by the user is equivalent to the expected answer
+// Exposes its API for the MJXGUI class to use
+
+// Options used by compareAnswers() when they are not given
+const defaultAnswerCheckOptions = {
+    mode: 'numeric',
+    samples: 10,
+    tolerance: 1e-9,
+    range: [-10, 10],
+    random: Math.random,
+};
+
+/**
+ * Converts an answer to an Expression. Answers can be given as LaTeX or as an Expression.
+ * @param answer The answer to convert
+ */
+function answerToExpression(answer) {
+    if (answer instanceof Expression) return answer;
+    return new LatexParser(String(answer)).parse();
+}
+
+/**
+ * Collects the names of the free variables in a node of the semantic tree, leaving out the index
+ * variables of sums and products
+ * @param node The node to collect variables from
+ * @param names A Map that each name is added to, mapped to true if the variable is used in the bounds
+ * of a sum or product and must be an integer
+ * @param bound The names of the variables bound by the sums and products the node is in
+ * @param integer Whether the node is part of the bounds of a sum or product
+ */
+function collectFreeVariables(node, names, bound = new Set(), integer = false) {
+    if (node.type === 'identifier') {
+        if (!bound.has(node.name) && node.name !== 'e') {
+            names.set(node.name, integer || names.get(node.name) === true);
+        }
+        return names;
+    }
+    const scope = new Set(bound);
+    if (node.variable) scope.add(node.variable.name);
+    const isLargeOperator = ['sum', 'product'].includes(node.operator);
+    for (let key of ['lowerLimit', 'upperLimit']) {
+        if (node[key])
+            collectFreeVariables(
+                node[key],
+                names,
+                bound,
+                integer || isLargeOperator,
+            );
+    }
+    for (let key of ['degree', 'approaches', 'condition']) {
+        if (node[key]) collectFreeVariables(node[key], names, bound, integer);
+    }
+    for (let arg of node.args || [])
+        collectFreeVariables(arg, names, scope, integer);
+    return names;
+}
+
+/**
+ * Returns true if two numbers are equal within a relative tolerance
+ * @param a The first number
+ * @param b The second number
+ * @param tolerance The largest allowed difference, relative to the size of the numbers
+ */
+function numbersAgree(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Picks a random positive integer within a range, or 1 if the range has none, for a variable used in the
+ * bounds of a sum or product. A negative bound would leave the sum or product without terms.
+ * @param min The lower end of the range
+ * @param max The upper end of the range
+ * @param random A function returning a random number from 0 up to 1, like Math.random
+ */
+function randomCount(min, max, random) {
+    const lowest = Math.max(1, Math.ceil(min));
+    const highest = Math.max(lowest, Math.floor(max));
+    return Math.min(
+        highest,
+        lowest + Math.floor(random() * (highest - lowest + 1)),
+    );
+}
+
+/**
+ * Compares an answer with the expected answer and returns a verdict along with the reason for it,
+ * as an object like { verdict: 'incorrect', reason: 'The answers differ at x = 2' }. The verdict is
+ * "correct" or "incorrect".
+ *
+ * The mode option selects how the answers are compared -
+ * - "structural": the answers must consist of exactly the same components.
+ * - "latex": the answers must generate the same LaTeX, ignoring whitespace.
+ * - "numeric": the answers must have the same value when their variables are given random values.
+ *   The samples, tolerance and range options control how many points are sampled, how close the values
+ *   must be (relative to their size) and the range the values of the variables are picked from. Variables
+ *   used in the bounds of sums and products are positive integers.
+ * @param expected The expected answer, as LaTeX or as an Expression
+ * @param actual The answer to check, as LaTeX or as an Expression
+ * @param options An object of options, see above
+ */
+function compareAnswers(expected, actual, options = {}) {
+    options = { ...defaultAnswerCheckOptions, ...options };
+    expected = answerToExpression(expected);
+    actual = answerToExpression(actual);
+
+    if (options.mode === 'structural') {
+        const same =
+            JSON.stringify(expected.toJSON().components) ===
+            JSON.stringify(actual.toJSON().components);
+        return same
+            ? { verdict: 'correct', reason: 'The answers are identical' }
+            : { verdict: 'incorrect', reason: 'The answers are not identical' };
+    }
+    if (options.mode === 'latex') {
+        // The LaTeX is generated again from the parsed answers, so that different ways of writing the
+        // same LaTeX (like x^2 and {x}^{2}) are normalized
+        const normalize = expression =>
+            expression
+                .toLatex()
+                .replace(/\\:\\:/g, '')
+                .replace(/\s+/g, '');
+        const expectedLatex = normalize(expected);
+        const actualLatex = normalize(actual);
+        if (expectedLatex === actualLatex) {
+            return {
+                verdict: 'correct',
+                reason: 'The answers have the same LaTeX',
+            };
+        }
+        return {
+            verdict: 'incorrect',
+            reason: `Expected "${expectedLatex}" but got "${actualLatex}"`,
+        };
+    }
+    if (options.mode === 'numeric') {
+        return compareAnswersNumerically(expected, actual, options);
+    }
+    throw new Error(`Unknown answer check mode "${options.mode}"`);
+}
+
+/**
+ * Compares two answers by evaluating them at random points, see compareAnswers(). Equations are
+ * compared side by side.
+ * @param expected The expected answer, as an Expression
+ * @param actual The answer to check, as an Expression
+ * @param options The options passed to compareAnswers(), with defaults filled in
+ */
+function compareAnswersNumerically(expected, actual, options) {
+    let expectedSides = [new SemanticParser(expected).parse()];
+    let actualSides = [new SemanticParser(actual).parse()];
+    for (let sides of [expectedSides, actualSides]) {
+        const root = sides[0];
+        if (
+            root.type === 'apply' &&
+            root.operator === 'eq' &&
+            root.args.length === 2
+        ) {
+            sides.splice(0, 1, ...root.args);
+        }
+    }
+    if (expectedSides.length !== actualSides.length) {
+        return {
+            verdict: 'incorrect',
+            reason:
+                expectedSides.length === 2
+                    ? 'Expected an equation'
+                    : 'Did not expect an equation',
+        };
+    }
+
+    const names = new Map();
+    for (let node of [...expectedSides, ...actualSides])
+        collectFreeVariables(node, names);
+    const evaluator = new Evaluator(expected);
+    const [min, max] = options.range;
+    let checked = 0;
+    let lastError = null;
+
+    // Answers without variables only need to be evaluated once
+    const samples = names.size ? options.samples : 1;
+    for (let i = 0; i < samples; i++) {
+        const variables = {};
+        for (let [name, integer] of names) {
+            variables[name] = integer
+                ? randomCount(min, max, options.random)
+                : min + (max - min) * options.random();
+        }
+        const point = [...names.keys()]
+            .map(name => `${name} = ${variables[name]}`)
+            .join(', ');
+
+        for (let side = 0; side < expectedSides.length; side++) {
+            let expectedValue, actualValue;
+            try {
+                expectedValue = evaluator.evaluateNode(
+                    expectedSides[side],
+                    variables,
+                );
+            } catch (error) {
+                // Points where the expected answer is undefined are skipped
+                if (error.code !== 'domain') {
+                    return {
+                        verdict: 'incorrect',
+                        reason: `The expected answer can't be evaluated: ${error.message}`,
+                    };
                 }
+                lastError = error;
+                continue;
+            }
+            try {
+                actualValue = evaluator.evaluateNode(
+                    actualSides[side],
+                    variables,
+                );
+            } catch (error) {
+                return {
+                    verdict: 'incorrect',
+                    reason: `The answer can't be evaluated${point ? ` at ${point}` : ''}: ${error.message}`,
+                };
             }
+            if (!numbersAgree(expectedValue, actualValue, options.tolerance)) {
+                return {
+                    verdict: 'incorrect',
+                    reason: `Expected ${expectedValue} but got ${actualValue}${point ? ` at ${point}` : ''}`,
+                };
+            }
+            checked++;
         }
     }
 
-    seekLeft() {
-        if (this.position <= -0.5) return;
-        else if (this.block === null) {
-            this.position -= 0.5;
-            // If the component at this index is a MJXGUISymbol or a TextComponent, we skip this component and go one more step backward
-            if (
-                this.expression.components[this.position] instanceof
-                    TextComponent ||
-                this.expression.components[this.position] instanceof
-                    MJXGUISymbol
-            ) {
-                // If the component to the left of the cursor is a TextComponent, we skip it and
-                // move one more position to the left and into the space between two components
-                this.position -= 0.5;
-                this.child = -0.5;
-                this.block = null;
-                this.component = null;
-            } else {
-                // Otherwise we moved into a Function
-                // Set the block to be the last block of the function and set the child to be at the right most end
-                this.component = this.expression.components[this.position];
-                this.block =
-                    this.component.blocks[this.component.blocks.length - 1];
-                this.child = this.block.children.length - 0.5;
-                // this.position remains the same
-            }
-        } else {
-            if (this.child === -0.5) {
-                // If we are at the start of the block, we want to move to a different block
-                // and possibly a new component
-                let pos = this.component.blocks.indexOf(this.block);
-                if (pos === 0) {
-                    // If we are in the first block of this component, we want to move out of this component
-                    if (this.component.parent === null) {
-                        // We are at the top level, our component and blocks become null
-                        this.component = null;
-                        this.block = null;
-                        this.child = -0.5;
-                        this.position -= 0.5;
-                    } else {
-                        // Otherwise, we move one level above and our component becomes the parent component
-                        // our block becomes the block that the current component was in
-                        this.block = this.component.parent;
-                        // Record the position the current component is in. We move the cursor there.
-                        this.child =
-                            this.block.children.indexOf(this.component) - 0.5;
-                        this.component = this.block.parent;
-                    }
-                } else {
-                    // this.component and this.position remain the same
-                    this.block = this.component.blocks[pos - 1];
-                    this.child = this.block.children.length - 0.5;
-                }
-            } else {
-                // We are not at the start of the block
-                // Detect the component to the left
-                let prevComponent = this.block.children[Math.floor(this.child)];
-                if (
-                    prevComponent instanceof TextComponent ||
-                    prevComponent instanceof MJXGUISymbol
-                ) {
-                    // If it is a TextComponent or Symbol, skip it and move on
-                    this.child--;
-                } else {
-                    this.component = prevComponent;
-                    this.block =
-                        this.component.blocks[this.component.blocks.length - 1];
-                    this.child = this.block.children.length - 0.5;
-                }
-            }
+    if (checked === 0) {
+        return {
+            verdict: 'incorrect',
+            reason: `The expected answer can't be evaluated${lastError ? `: ${lastError.message}` : ''}`,
+        };
+    }
+    return {
+        verdict: 'correct',
+        reason: names.size
+            ? `The answers agree at ${options.samples} random points`
+            : 'The answers have the same value',
+    };
+}
+
+// Converts an Expression into a SymPy expression, as Python code
+// Exposes its API for the Expression and MJXGUI classes to use
+
+// Operators that become a call to a SymPy function with the same arguments
+const sympyFunctions = {
+    factorial: 'factorial',
+    abs: 'Abs',
+    floor: 'floor',
+    ceiling: 'ceiling',
+    sin: 'sin',
+    cos: 'cos',
+    tan: 'tan',
+    csc: 'csc',
+    sec: 'sec',
+    cot: 'cot',
+    arcsin: 'asin',
+    arccos: 'acos',
+    arctan: 'atan',
+    eq: 'Eq',
+    neq: 'Ne',
+    lt: 'Lt',
+    gt: 'Gt',
+    leq: 'Le',
+    geq: 'Ge',
+};
+
+// Operators that make a condition, which is what the condition of a piecewise function has to be
+const sympyConditionOperators = new Set([
+    'eq',
+    'neq',
+    'lt',
+    'gt',
+    'leq',
+    'geq',
+]);
+
+// The SymPy class for each large operator
+const sympyLargeOperators = {
+    sum: 'Sum',
+    product: 'Product',
+    int: 'Integral',
+};
+
+// Single letters that are already the name of something else in SymPy, like I for the imaginary unit
+const sympyReservedNames = new Set(['E', 'I', 'N', 'O', 'Q', 'S']);
+
+// Precedence of the Python code generated for each kind of node. Operands of an operator that has a
+// higher precedence are wrapped in parentheses if their precedence is lower.
+const sympyPrecedence = {
+    plus: 1,
+    minus: 1,
+    times: 2,
+    unary: 3,
+    power: 4,
+    atom: 5,
+};
+
+/**
+ * @class
+ * The error thrown when part of an Expression can't be converted to SymPy. component is the
+ * component that can't be converted, or null if it can't be narrowed down to one.
+ */
+class SymPyExportError extends Error {
+    constructor(message, component = null) {
+        super(message);
+        this.name = 'SymPyExportError';
+        this.component = component;
+    }
+}
+
+/**
+ * Converts an Expression into a SymPy expression, as Python code like "(x + 1)/(2)". The expression is
+ * interpreted using SemanticParser. Throws a SymPyExportError naming the construct that can't be converted.
+ *
+ * Single letter variables (and subscripted ones, like x_1) are written as is, so they have to be
+ * defined in Python, for example using "from sympy.abc import *". Other variables, like Greek letters
+ * and letters SymPy already uses like I, are written as Symbol('alpha').
+ * @param expression The Expression to convert
+ */
+function expressionToSymPy(expression) {
+    return semanticTreeToSymPy(new SemanticParser(expression).parse()).code;
+}
+
+/**
+ * Converts a node of the semantic tree into SymPy code. Returns the code along with its precedence, which
+ * is used to decide which operands need parentheses.
+ * @param node The node to convert
+ */
+function semanticTreeToSymPy(node) {
+    const atom = code => ({ code, precedence: sympyPrecedence.atom });
+    const name = node.component ? ` "${node.component.toLatex()}"` : '';
+
+    if (node.type === 'number') return atom(node.value);
+    if (node.type === 'identifier') {
+        if (node.name === 'e') return atom('E');
+        if (
+            /^[a-zA-Z](_[a-zA-Z0-9]+)?$/.test(node.name) &&
+            !sympyReservedNames.has(node.name)
+        ) {
+            return atom(node.name);
         }
+        return atom(`Symbol('${node.name}')`);
+    }
+    if (node.type === 'constant') {
+        return atom(node.name === 'pi' ? 'pi' : 'oo');
+    }
+    if (node.type === 'error') {
+        throw new SymPyExportError(
+            `Cannot convert${name} to SymPy: ${node.message}`,
+            node.component,
+        );
     }
 
-    backspace() {
-        if (this.expression.components.length === 0) return;
-        else if (this.position === -0.5) return;
+    const args = node.args.map(semanticTreeToSymPy);
+    // Wrap an operand in parentheses if it binds less tightly than the operator it is used with
+    const operand = (arg, precedence) =>
+        arg.precedence < precedence ? `(${arg.code})` : arg.code;
 
-        if (this.block === null) {
-            // If we are not in a block, we are in between two components, remove the previous component if it is
-            // a TextComponent
-            let prevComponent =
-                this.expression.components[Math.floor(this.position)];
+    switch (node.operator) {
+        case 'plus':
+            return {
+                code: args.map(arg => arg.code).join(' + '),
+                precedence: sympyPrecedence.plus,
+            };
+        case 'minus':
+            if (args.length === 1) {
+                return {
+                    code: `-${operand(args[0], sympyPrecedence.unary)}`,
+                    precedence: sympyPrecedence.unary,
+                };
+            }
+            return {
+                code: `${args[0].code} - ${operand(args[1], sympyPrecedence.plus + 1)}`,
+                precedence: sympyPrecedence.minus,
+            };
+        case 'times':
+            return {
+                code: args
+                    .map(arg => operand(arg, sympyPrecedence.times))
+                    .join('*'),
+                precedence: sympyPrecedence.times,
+            };
+        case 'divide':
+            return {
+                code: `(${args[0].code})/(${args[1].code})`,
+                precedence: sympyPrecedence.times,
+            };
+        case 'power':
+            // ** is right associative and binds tighter than a unary minus on its left
+            return {
+                code: `${operand(args[0], sympyPrecedence.atom)}**${operand(args[1], sympyPrecedence.atom)}`,
+                precedence: sympyPrecedence.power,
+            };
+        case 'root':
+            if (node.degree) {
+                return atom(
+                    `root(${args[0].code}, ${semanticTreeToSymPy(node.degree).code})`,
+                );
+            }
+            return atom(`sqrt(${args[0].code})`);
+        case 'matrix':
+            return atom(`Matrix([${args.map(row => row.code).join(', ')}])`);
+        case 'matrixrow':
+            return atom(`[${args.map(arg => arg.code).join(', ')}]`);
+        case 'determinant':
+            return atom(`${args[0].code}.det()`);
+        case 'piecewise':
             if (
-                prevComponent instanceof TextComponent ||
-                prevComponent instanceof MJXGUISymbol
+                node.args.some(
+                    piece =>
+                        piece.operator === 'piece' &&
+                        !(
+                            piece.args[1].type === 'apply' &&
+                            sympyConditionOperators.has(piece.args[1].operator)
+                        ),
+                )
             ) {
-                this.removeComponent();
-            } else {
-                this.component = prevComponent;
-                this.block =
-                    this.component.blocks[this.component.blocks.length - 1];
-                this.child = this.block.children.length - 0.5;
-                this.position = Math.floor(this.position);
+                throw new SymPyExportError(
+                    `Cannot convert${name} to SymPy: the condition of each piece must be a comparison`,
+                    node.component,
+                );
             }
-        } else {
-            if (this.component.isEmpty()) {
-                this.removeComponent();
-            } else {
-                if (this.child <= -0.5) {
-                    const blockPos = this.component.blocks.indexOf(this.block);
-                    if (blockPos === 0) return;
-                    this.block = this.component.blocks[blockPos - 1];
-                    this.child = this.block.children.length - 0.5;
-                } else {
-                    this.block.removeChild(Math.floor(this.child));
-                    this.child--;
-                }
+            return atom(`Piecewise(${args.map(arg => arg.code).join(', ')})`);
+        case 'piece':
+            return atom(`(${args[0].code}, ${args[1].code})`);
+        case 'otherwise':
+            return atom(`(${args[0].code}, True)`);
+        case 'diff':
+        case 'partialdiff':
+            return atom(derivativeToSymPy(node, args[0]));
+        case 'limit':
+            return atom(
+                `limit(${args[0].code}, ${semanticTreeToSymPy(node.variable).code}, ${semanticTreeToSymPy(node.approaches).code})`,
+            );
+    }
+    if (node.operator in sympyLargeOperators) {
+        return atom(largeOperatorToSymPy(node, args[0], name));
+    }
+    if (node.operator in sympyFunctions) {
+        return atom(
+            `${sympyFunctions[node.operator]}(${args.map(arg => arg.code).join(', ')})`,
+        );
+    }
+    throw new SymPyExportError(
+        `Cannot convert${name} to SymPy: SymPy has no equivalent of ${node.operator}`,
+        node.component,
+    );
+}
+
+/**
+ * Converts a sum, product or integral into SymPy code, like Sum(i**2, (i, 1, n))
+ * @param node The node of the semantic tree to convert
+ * @param body The converted body of the operator
+ * @param name The LaTeX of the operator, quoted, used in error messages
+ */
+function largeOperatorToSymPy(node, body, name) {
+    const operator = sympyLargeOperators[node.operator];
+    if (!node.variable) {
+        throw new SymPyExportError(
+            `Cannot convert${name} to SymPy: ${operator} needs a variable`,
+            node.component,
+        );
+    }
+    const variable = semanticTreeToSymPy(node.variable).code;
+    // Integrals without limits are indefinite
+    if (!node.lowerLimit && !node.upperLimit && node.operator === 'int') {
+        return `${operator}(${body.code}, ${variable})`;
+    }
+    if (!node.lowerLimit || !node.upperLimit) {
+        throw new SymPyExportError(
+            `Cannot convert${name} to SymPy: ${operator} needs a lower and an upper limit`,
+            node.component,
+        );
+    }
+    const lower = semanticTreeToSymPy(node.lowerLimit).code;
+    const upper = semanticTreeToSymPy(node.upperLimit).code;
+    return `${operator}(${body.code}, (${variable}, ${lower}, ${upper}))`;
+}
+
+/**
+ * Converts a derivative into SymPy code, like Derivative(f, (x, 2), y). SymPy doesn't tell ordinary and
+ * partial derivatives apart.
+ * @param node The node of the semantic tree to convert
+ * @param body The converted function being differentiated
+ */
+function derivativeToSymPy(node, body) {
+    const variables = node.variables.map(({ variable, degree }) => {
+        const code = semanticTreeToSymPy(variable).code;
+        return degree ? `(${code}, ${semanticTreeToSymPy(degree).code})` : code;
+    });
+    return `Derivative(${body.code}, ${variables.join(', ')})`;
+}
+
+// Walks the components of an Expression, and finds and replaces them by their path
+// Exposes its API for the Expression class to use
+
+// A path addresses a node of an Expression the way it is stored. Its first element is the index of a top level
+// component in expression.components, and each component inside another one adds 'blocks', the index of the
+// block and the index of the child in the block. [2, 'blocks', 1, 3] is the fourth child of the second block of
+// the third top level component, and [2, 'blocks', 1] is that block itself.
+
+/**
+ * Returns the entries of the components inside the blocks of a component, in order. Each entry is an object with
+ * the component, its path and its depth, which is 0 for top level components.
+ * @param entry The entry of the component whose children to return
+ */
+function childComponentEntries(entry) {
+    const entries = [];
+    entry.component.blocks.forEach((block, i) => {
+        block.children.forEach((child, j) => {
+            if (child instanceof Component) {
+                entries.push({
+                    component: child,
+                    path: [...entry.path, 'blocks', i, j],
+                    depth: entry.depth + 1,
+                });
             }
-        }
+        });
+    });
+    return entries;
+}
+
+/**
+ * Returns the entries of the top level components of an Expression (see childComponentEntries())
+ * @param expression The Expression
+ */
+function topLevelComponentEntries(expression) {
+    return expression.components.map((component, i) => ({
+        component,
+        path: [i],
+        depth: 0,
+    }));
+}
+
+/**
+ * Iterates over every component of an Expression depth first, visiting each component before the components
+ * inside it. Yields an entry with the component, its path and its depth for each component.
+ * @param expression The Expression to walk
+ */
+function* depthFirstComponents(expression) {
+    const stack = topLevelComponentEntries(expression).reverse();
+    while (stack.length) {
+        const entry = stack.pop();
+        yield entry;
+        stack.push(...childComponentEntries(entry).reverse());
     }
+}
 
-    toLatex() {
-        // Generate LaTeX from the expression built till now
-        let latex = this.expression.toLatex();
-        this.latex = latex;
-        return latex;
+/**
+ * Iterates over every component of an Expression breadth first, visiting all the components at one depth before
+ * the ones inside them. Yields the same entries as depthFirstComponents().
+ * @param expression The Expression to walk
+ */
+function* breadthFirstComponents(expression) {
+    const queue = topLevelComponentEntries(expression);
+    for (let i = 0; i < queue.length; i++) {
+        yield queue[i];
+        queue.push(...childComponentEntries(queue[i]));
     }
+}
 
-    toDisplayLatex() {
-        // Generate LaTeX to show in the display by adding a caret character to the expression.
-        // This is not the real LaTeX of the expression but the LaTeX resulting after we add
-        // a caret as a | character in the expression
-        let caret = new TextComponent(this.block);
-        caret.blocks[0].addChild('|');
+/**
+ * Returns the JSON type names of the class of a component and of each class it inherits from, starting with its
+ * own class, like ['Fraction', 'TwoBlockComponent', 'Component']
+ * @param component The component
+ */
+function componentTypeChain(component) {
+    const types = [];
+    for (
+        let componentClass = component.constructor;
+        componentClass !== Function.prototype;
+        componentClass = Object.getPrototypeOf(componentClass)
+    ) {
+        types.push(getComponentType(componentClass));
+        if (componentClass === Component) break;
+    }
+    return types;
+}
 
-        let frame = new FrameBox(this.block);
+/**
+ * Calls the hooks of a visitor for every component of an Expression, depth first. The visitor maps type names
+ * (see getComponentType()) to an object with enter() and leave() hooks, or to a function that is used as the
+ * enter() hook. Each component uses the hooks of its own class, or else of the closest class it inherits from,
+ * so Component hooks apply to every component without more specific ones. enter() is called before the
+ * components inside the component are visited and leave() after. Both are passed the component and its path.
+ * Returning false from enter() skips the components inside it.
+ * @param expression The Expression to visit
+ * @param visitor The visitor, like { Fraction: { enter(component, path) {}, leave(component, path) {} } }
+ */
+function visitExpression(expression, visitor) {
+    const visit = entry => {
+        const type = componentTypeChain(entry.component).find(
+            type => type in visitor,
+        );
+        const hooks =
+            typeof visitor[type] === 'function'
+                ? { enter: visitor[type] }
+                : visitor[type] || {};
+        const skip =
+            hooks.enter && hooks.enter(entry.component, entry.path) === false;
+        if (!skip) childComponentEntries(entry).forEach(visit);
+        if (hooks.leave) hooks.leave(entry.component, entry.path);
+    };
+    topLevelComponentEntries(expression).forEach(visit);
+}
 
-        if (this.block === null) {
-            // If we are not in any block, we just add the caret, generate latex
-            // and reset the components
-            this.expression.add(caret, Math.ceil(this.position));
+/**
+ * Returns the node of an Expression at a path, which is a component, a block or a string in a block (like the
+ * character of a TextComponent). Returns the Expression itself for an empty path, and undefined if the path
+ * doesn't lead to a node.
+ * @param expression The Expression
+ * @param path The path, like [2, 'blocks', 1, 3]
+ */
+function getAtPath(expression, path) {
+    let node = expression;
+    for (let i = 0; i < path.length; i++) {
+        if (node instanceof Expression) {
+            node = node.components[path[i]];
+        } else if (node instanceof Component && path[i] === 'blocks') {
+            node = node.blocks[path[++i]];
+        } else if (node instanceof Block) {
+            node = node.children[path[i]];
         } else {
-            // We add the current component inside the frame, add the caret in the
-            // right position, generate latex and reset the components
-            let i = this.component.blocks.indexOf(this.block);
-            this.component.removeBlock(i);
-            this.component.addBlock(frame, i);
-            frame.blocks[0] = this.block;
-            this.block.addChild(caret, Math.ceil(this.child));
+            return undefined;
         }
+        if (node === undefined) return undefined;
+    }
+    return node;
+}
+
+/**
+ * Replaces the node of an Expression at a path with another one, setting its parent. A component is replaced
+ * with a component (or a string in a block) and a block with a block. Returns the node that was replaced. Throws
+ * an error if the path doesn't lead to a node that can be replaced with the given one.
+ * @param expression The Expression
+ * @param path The path of the node to replace, like [2, 'blocks', 1, 3]
+ * @param node The node to put in its place
+ */
+function replaceAtPath(expression, path, node) {
+    const replacesBlock = path[path.length - 2] === 'blocks';
+    const parent = getAtPath(
+        expression,
+        path.slice(0, replacesBlock ? -2 : -1),
+    );
+    const index = path[path.length - 1];
+    const error = new Error(
+        `Cannot replace the node at ${JSON.stringify(path)}`,
+    );
+    if (path.length === 0 || getAtPath(expression, path) === undefined)
+        throw error;
+
+    if (replacesBlock) {
+        if (!(node instanceof Block)) throw error;
+        const replaced = parent.blocks[index];
+        parent.blocks[index] = node;
+        node.parent = parent;
+        return replaced;
+    }
+    if (parent instanceof Expression) {
+        if (!(node instanceof Component)) throw error;
+        const replaced = parent.components[index];
+        parent.components[index] = node;
+        node.parent = null;
+        return replaced;
+    }
+    if (!(node instanceof Component) && typeof node !== 'string') throw error;
+    const replaced = parent.children[index];
+    parent.children[index] = node;
+    if (node instanceof Component) node.parent = parent;
+    return replaced;
+}
+
+/**
+ * Returns true if a component matches a query of findComponents(). A query is a component class, which matches
+ * instances of the class and its subclasses, a type name (see getComponentType()), which matches the same way, or
+ * a function that is passed the component and its path and returns true for the components that match.
+ * @param query The query
+ * @param entry The entry of the component, with the component and its path
+ */
+function componentMatches(query, entry) {
+    if (query === Component || query.prototype instanceof Component)
+        return entry.component instanceof query;
+    if (typeof query === 'string')
+        return componentTypeChain(entry.component).includes(query);
+    return Boolean(query(entry.component, entry.path));
+}
+
+/**
+ * Returns the components of an Expression that match a query (see componentMatches()), in depth first order
+ * @param expression The Expression to search
+ * @param query The component class, type name or function to match, like Fraction
+ */
+function findComponents(expression, query) {
+    const components = [];
+    for (let entry of depthFirstComponents(expression)) {
+        if (componentMatches(query, entry)) components.push(entry.component);
+    }
+    return components;
+}
 
-        let latex = this.toLatex();
+/**
+ * Returns the path of a component of an Expression, or null if it isn't in the Expression
+ * @param expression The Expression to search
+ * @param component The component to look for
+ */
+function componentPath(expression, component) {
+    for (let entry of depthFirstComponents(expression)) {
+        if (entry.component === component) return entry.path;
+    }
+    return null;
+}
+
+// Compares two Expressions, and lists the components that were inserted, removed or changed between them
+// Exposes its API for the Expression class to use
+
+// Options used by expressionsEqual() and diffExpressions() when they are not given
+const defaultComparisonOptions = {
+    ignoreWhitespace: false,
+};
+
+// The LaTeX of the symbols that only add space, like the \:\: inserted by the space key
+const whitespaceSymbols = new Set([
+    '\\:\\:',
+    '\\:',
+    '\\,',
+    '\\;',
+    '\\!',
+    '\\ ',
+    '\\quad',
+    '\\qquad',
+    '~',
+]);
+
+/**
+ * Returns true if a child of a block should be left out of a comparison, which is the case for whitespace
+ * symbols when the ignoreWhitespace option is set
+ * @param child The component or string
+ * @param options The comparison options
+ */
+function isIgnoredInComparison(child, options) {
+    return (
+        options.ignoreWhitespace &&
+        child instanceof MJXGUISymbol &&
+        whitespaceSymbols.has(child.latexData)
+    );
+}
+
+/**
+ * Returns the JSON of a component without its blocks, which holds its type, its latexData and any other state
+ * it saves, like the number of columns of a Matrix
+ * @param component The component
+ */
+function componentHeader(component) {
+    const header = component.toJSON();
+    delete header.blocks;
+    header.blockCount = component.blocks.length;
+    return JSON.stringify(header);
+}
+
+/**
+ * Returns true if the blocks of a component hold characters instead of other components, like the block of a
+ * TextComponent. The diff reports these components as changed as a whole.
+ * @param component The component
+ */
+function isLeafComponent(component) {
+    return component.blocks.some(block =>
+        block.children.some(child => typeof child === 'string'),
+    );
+}
+
+/**
+ * Returns true if two children of blocks, which are components or strings, have the same structure
+ * @param a The first child
+ * @param b The second child
+ * @param options The comparison options
+ */
+function childrenEqual(a, b, options) {
+    if (typeof a === 'string' || typeof b === 'string') return a === b;
+    if (componentHeader(a) !== componentHeader(b)) return false;
+    return a.blocks.every((block, i) =>
+        sequencesEqual(block.children, b.blocks[i].children, options),
+    );
+}
+
+/**
+ * Returns true if two arrays of components and strings have the same structure
+ * @param a The first array
+ * @param b The second array
+ * @param options The comparison options
+ */
+function sequencesEqual(a, b, options) {
+    a = a.filter(child => !isIgnoredInComparison(child, options));
+    b = b.filter(child => !isIgnoredInComparison(child, options));
+    return (
+        a.length === b.length &&
+        a.every((child, i) => childrenEqual(child, b[i], options))
+    );
+}
+
+/**
+ * Returns true if two Expressions have the same structure, which means they have the same components, with the
+ * same LaTeX data and blocks, in the same places
+ * @param expression The first Expression
+ * @param other The second Expression
+ * @param options An object of options. ignoreWhitespace leaves out the symbols that only add space, like \:\:.
+ */
+function expressionsEqual(expression, other, options = {}) {
+    options = { ...defaultComparisonOptions, ...options };
+    return sequencesEqual(expression.components, other.components, options);
+}
 
-        if (this.block === null) {
-            this.expression.remove(Math.ceil(this.position));
+/**
+ * Finds the longest common subsequence of two arrays. Returns the pairs of indices of the matching elements, in
+ * order.
+ * @param a The first array
+ * @param b The second array
+ * @param same A function that returns true if an element of a matches an element of b
+ */
+function longestCommonSubsequence(a, b, same) {
+    // lengths[i][j] is the length of the longest common subsequence of a.slice(i) and b.slice(j)
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+        new Array(b.length + 1).fill(0),
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = same(a[i], b[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(a[i], b[j])) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
         } else {
-            let i = this.component.blocks.indexOf(frame);
-            this.component.removeBlock(i);
-            this.component.addBlock(this.block, i);
-            this.block.removeChild(Math.ceil(this.child));
+            j++;
         }
+    }
+    return pairs;
+}
 
-        return latex;
+/**
+ * Compares two arrays of components, adding the differences to changes. Components that are equal are matched
+ * first. Between them, components of the same kind are compared block by block, and the rest are removed from
+ * the first array or inserted into the second.
+ * @param a The first array of components
+ * @param b The second array of components
+ * @param pathA The path of the first array in its Expression, which each index is appended to
+ * @param pathB The path of the second array in its Expression
+ * @param changes The array the differences are added to
+ * @param options The comparison options
+ */
+function diffSequences(a, b, pathA, pathB, changes, options) {
+    // The indices are kept so that the paths point into the arrays as they are, including any ignored whitespace
+    const entries = (children, path) =>
+        children
+            .map((child, i) => ({ child, path: [...path, i] }))
+            .filter(entry => !isIgnoredInComparison(entry.child, options));
+    const entriesA = entries(a, pathA);
+    const entriesB = entries(b, pathB);
+    const matches = longestCommonSubsequence(entriesA, entriesB, (x, y) =>
+        childrenEqual(x.child, y.child, options),
+    );
+
+    let startA = 0;
+    let startB = 0;
+    for (let [endA, endB] of [...matches, [entriesA.length, entriesB.length]]) {
+        diffUnmatched(
+            entriesA.slice(startA, endA),
+            entriesB.slice(startB, endB),
+            changes,
+            options,
+        );
+        startA = endA + 1;
+        startB = endB + 1;
     }
+}
 
-    updateDisplay() {
+/**
+ * Compares the components between two matches of diffSequences(). Components of the same kind are paired up in
+ * order and compared block by block, or reported as changed if their LaTeX data or characters differ.
+ * @param entriesA The components of the first array, with their paths
+ * @param entriesB The components of the second array, with their paths
+ * @param changes The array the differences are added to
+ * @param options The comparison options
+ */
+function diffUnmatched(entriesA, entriesB, changes, options) {
+    const kind = child =>
+        typeof child === 'string'
+            ? 'string'
+            : getComponentType(child.constructor);
+    const pairs = longestCommonSubsequence(
+        entriesA,
+        entriesB,
+        (x, y) => kind(x.child) === kind(y.child),
+    );
+    const change = (type, entryA, entryB) => {
+        changes.push({
+            type,
+            oldPath: entryA ? entryA.path : null,
+            newPath: entryB ? entryB.path : null,
+            oldComponent: entryA ? entryA.child : null,
+            newComponent: entryB ? entryB.child : null,
+        });
+    };
+
+    let i = 0;
+    let j = 0;
+    for (let [pairA, pairB] of [...pairs, [entriesA.length, entriesB.length]]) {
+        for (; i < pairA; i++) change('removed', entriesA[i], null);
+        for (; j < pairB; j++) change('inserted', null, entriesB[j]);
+        if (pairA === entriesA.length) break;
+
+        const x = entriesA[i].child;
+        const y = entriesB[j].child;
         if (
-            this.display instanceof String ||
-            typeof this.display === 'string'
+            typeof x === 'string' ||
+            isLeafComponent(x) ||
+            isLeafComponent(y) ||
+            componentHeader(x) !== componentHeader(y)
         ) {
-            this.display = document.querySelector(this.display);
+            change('changed', entriesA[i], entriesB[j]);
+        } else {
+            for (let k = 0; k < x.blocks.length; k++) {
+                diffSequences(
+                    x.blocks[k].children,
+                    y.blocks[k].children,
+                    [...entriesA[i].path, 'blocks', k],
+                    [...entriesB[j].path, 'blocks', k],
+                    changes,
+                    options,
+                );
+            }
         }
-        MathJax.typesetClear([this.display]);
-        this.display.innerHTML = '$$' + this.toDisplayLatex() + '$$';
-        MathJax.typesetPromise([this.display]).then(() => {});
+        i++;
+        j++;
     }
 }
 
+/**
+ * Lists the differences between two Expressions. Returns an array of changes, each an object with a type, which
+ * is "inserted", "removed" or "changed", the paths of the component in the first and the second Expression (see
+ * traversal.js), and the component itself in each of them. The path and component of a removed component in the
+ * second Expression, and of an inserted component in the first, are null. A component whose blocks changed, like
+ * a fraction with a new numerator, isn't reported itself, only the changes inside its blocks are.
+ * @param expression The first Expression
+ * @param other The second Expression
+ * @param options An object of options, as for expressionsEqual()
+ */
+function diffExpressions(expression, other, options = {}) {
+    options = { ...defaultComparisonOptions, ...options };
+    const changes = [];
+    diffSequences(
+        expression.components,
+        other.components,
+        [],
+        [],
+        changes,
+        options,
+    );
+    return changes;
+}
+
 // Draws the editor UI and canvas inside the given div
 
 const symbolLatexMap = {
@@ -831,6 +8646,272 @@ const symbolLatexMap = {
     infin: '\\infty',
 };
 
+const symbolUnicodeMap = {
+    // Lowercase greek letters
+    alpha: 'α',
+    beta: 'β',
+    gamma: 'γ',
+    delta: 'δ',
+    epsilon: 'ϵ',
+    zeta: 'ζ',
+    eta: 'η',
+    theta: 'θ',
+    iota: 'ι',
+    kappa: 'κ',
+    lambda: 'λ',
+    mu: 'μ',
+    nu: 'ν',
+    xi: 'ξ',
+    omicron: 'ο',
+    pi: 'π',
+    rho: 'ρ',
+    sigma: 'σ',
+    tau: 'τ',
+    upsilon: 'υ',
+    phi: 'ϕ',
+    chi: 'χ',
+    psi: 'ψ',
+    omega: 'ω',
+
+    // Uppercase greek letters
+    Alpha: 'Α',
+    Beta: 'Β',
+    Gamma: 'Γ',
+    Delta: 'Δ',
+    Epsilon: 'Ε',
+    Zeta: 'Ζ',
+    Eta: 'Η',
+    Theta: 'Θ',
+    Iota: 'Ι',
+    Kappa: 'Κ',
+    Lambda: 'Λ',
+    Mu: 'Μ',
+    Nu: 'Ν',
+    Xi: 'Ξ',
+    Omicron: 'Ο',
+    Pi: 'Π',
+    Rho: 'Ρ',
+    Sigma: 'Σ',
+    Tau: 'Τ',
+    Upsilon: 'Υ',
+    Phi: 'Φ',
+    Chi: 'Χ',
+    Psi: 'Ψ',
+    Omega: 'Ω',
+
+    // Operators and symbols
+    times: '×',
+    div: '÷',
+    centerdot: '⋅',
+    plusmn: '±',
+    mnplus: '∓',
+    starf: '⋆',
+    bigcup: '⋃',
+    bigcap: '⋂',
+    cup: '∪',
+    cap: '∩',
+    lt: '<',
+    gt: '>',
+    leq: '≤',
+    GreaterEqual: '≥',
+    equals: '=',
+    approx: '≈',
+    NotEqual: '≠',
+    sub: '⊂',
+    sup: '⊃',
+    sube: '⊆',
+    supe: '⊇',
+    nsub: '⊄',
+    nsup: '⊅',
+    nsube: '⊈',
+    nsupe: '⊉',
+    propto: '∝',
+    parallel: '∥',
+    npar: '∦',
+    asympeq: '≍',
+    isin: '∈',
+    notin: '∉',
+    exist: '∃',
+    nexist: '∄',
+    perp: '⊥',
+    angle: '∠',
+    angmsd: '∡',
+    Leftarrow: '⇐',
+    Rightarrow: '⇒',
+    Leftrightarrow: '⇔',
+    rightarrow: '→',
+    leftarrow: '←',
+    leftrightarrow: '↔',
+    longrightarrow: '⟶',
+    longleftarrow: '⟵',
+    longleftrightarrow: '⟷',
+    uparrow: '↑',
+    downarrow: '↓',
+    updownarrow: '↕',
+    PartialD: '∂',
+    hbar: 'ℏ',
+    real: 'ℜ',
+    nabla: '∇',
+    infin: '∞',
+};
+
+// Unicode for the symbols inserted by Cursor.keyPress instead of a toolbar button
+const keyPressSymbolUnicodeMap = {
+    '\\:\\:': ' ',
+    '\\backslash': '\\',
+    '\\$': '$',
+    '\\#': '#',
+    '\\%': '%',
+    '\\&': '&',
+    '\\_': '_',
+    '\\{': '{',
+    '\\}': '}',
+};
+
+// AsciiMath for the symbols that have an AsciiMath name. Symbols not listed here
+// are written as their Unicode character.
+const symbolAsciiMathMap = {
+    // Lowercase greek letters
+    alpha: 'alpha',
+    beta: 'beta',
+    gamma: 'gamma',
+    delta: 'delta',
+    epsilon: 'epsilon',
+    zeta: 'zeta',
+    eta: 'eta',
+    theta: 'theta',
+    iota: 'iota',
+    kappa: 'kappa',
+    lambda: 'lambda',
+    mu: 'mu',
+    nu: 'nu',
+    xi: 'xi',
+    pi: 'pi',
+    rho: 'rho',
+    sigma: 'sigma',
+    tau: 'tau',
+    upsilon: 'upsilon',
+    phi: 'phi',
+    chi: 'chi',
+    psi: 'psi',
+    omega: 'omega',
+
+    // Uppercase greek letters
+    Alpha: 'A',
+    Beta: 'B',
+    Gamma: 'Gamma',
+    Delta: 'Delta',
+    Epsilon: 'E',
+    Zeta: 'Z',
+    Eta: 'H',
+    Theta: 'Theta',
+    Iota: 'I',
+    Kappa: 'K',
+    Lambda: 'Lambda',
+    Mu: 'M',
+    Nu: 'N',
+    Xi: 'Xi',
+    Omicron: 'O',
+    Pi: 'Pi',
+    Rho: 'P',
+    Sigma: 'Sigma',
+    Tau: 'T',
+    Phi: 'Phi',
+    Chi: 'X',
+    Psi: 'Psi',
+    Omega: 'Omega',
+
+    // Operators and symbols
+    times: 'xx',
+    div: '-:',
+    centerdot: '*',
+    plusmn: '+-',
+    mnplus: '-+',
+    starf: '***',
+    bigcup: 'uuu',
+    bigcap: 'nnn',
+    cup: 'uu',
+    cap: 'nn',
+    lt: 'lt',
+    gt: 'gt',
+    leq: '<=',
+    GreaterEqual: '>=',
+    equals: '=',
+    approx: '~~',
+    NotEqual: '!=',
+    sub: 'sub',
+    sup: 'sup',
+    sube: 'sube',
+    supe: 'supe',
+    propto: 'prop',
+    isin: 'in',
+    notin: '!in',
+    exist: 'EE',
+    perp: '_|_',
+    angle: '/_',
+    Leftarrow: 'lArr',
+    Rightarrow: '=>',
+    Leftrightarrow: '<=>',
+    rightarrow: '->',
+    leftarrow: 'larr',
+    leftrightarrow: 'harr',
+    uparrow: 'uarr',
+    downarrow: 'darr',
+    PartialD: 'del',
+    nabla: 'grad',
+    infin: 'oo',
+};
+
+// AsciiMath for the symbols inserted by Cursor.keyPress instead of a toolbar button
+const keyPressSymbolAsciiMathMap = {
+    '\\:\\:': '\\ ',
+    '\\backslash': '\\\\',
+    '\\$': '$',
+    '\\#': '#',
+    '\\%': '%',
+    '\\&': '&',
+    '\\_': '_',
+    '\\{': '{',
+    '\\}': '}',
+};
+
+/**
+ * Returns the name of a symbol in symbolLatexMap given its LaTeX, or null if the symbol is not known.
+ * @param latexData The LaTeX of the symbol, as stored in MJXGUISymbol.latexData
+ */
+function getSymbolName(latexData) {
+    for (let name in symbolLatexMap) {
+        if (symbolLatexMap[name] === latexData) return name;
+    }
+    return null;
+}
+
+/**
+ * Returns the Unicode character for the LaTeX of a symbol, or null if the symbol is not known.
+ * @param latexData The LaTeX of the symbol, as stored in MJXGUISymbol.latexData
+ */
+function symbolLatexToUnicode(latexData) {
+    if (latexData in keyPressSymbolUnicodeMap) {
+        return keyPressSymbolUnicodeMap[latexData];
+    }
+    const name = getSymbolName(latexData);
+    return name === null ? null : symbolUnicodeMap[name];
+}
+
+/**
+ * Returns the AsciiMath for the LaTeX of a symbol, or null if the symbol is not known.
+ * Symbols without an AsciiMath name are returned as their Unicode character.
+ * @param latexData The LaTeX of the symbol, as stored in MJXGUISymbol.latexData
+ */
+function symbolLatexToAsciiMath(latexData) {
+    if (latexData in keyPressSymbolAsciiMathMap) {
+        return keyPressSymbolAsciiMathMap[latexData];
+    }
+    const name = getSymbolName(latexData);
+    if (name === null) return null;
+    return symbolAsciiMathMap[name] || symbolUnicodeMap[name];
+}
+
 const functionComponentMap = {
     lim: Limit,
     sqrt: Sqrt,
@@ -839,8 +8920,114 @@ const functionComponentMap = {
     sup: Superscript,
     subsup: SubSupRight,
     frac: Fraction,
+    matrix: Matrix,
+    cases: Cases,
+    derivative: Derivative,
+    partial: PartialDerivative,
+    integral: DefiniteIntegral,
+    evaluate: EvaluationBar,
 };
 
+/**
+ * Defines a component from a LaTeX template, like
+ * defineComponent({ name: 'stacked', template: '\\overset{#1}{#2}', blocks: 2 }). Each #n in the template is
+ * replaced with the LaTeX of block n, and the cursor moves through the blocks in that order. The generated class
+ * is recorded in JSON as name and added to functionComponentMap, so a toolbar button with name as its
+ * data-function-id, and MJXGUI.insertFunction(name), insert it. Returns the generated class.
+ * @param definition The name of the component, its LaTeX template and its number of blocks. The number of
+ * blocks defaults to the highest #n in the template, and must be at least one.
+ */
+function defineComponent({ name, template, blocks }) {
+    if (
+        typeof name !== 'string' ||
+        name === '' ||
+        typeof template !== 'string'
+    ) {
+        throw new Error('A component needs a name and a template');
+    }
+    if (
+        Object.prototype.hasOwnProperty.call(functionComponentMap, name) ||
+        Object.prototype.hasOwnProperty.call(componentRegistry, name)
+    ) {
+        throw new Error(`A component named "${name}" already exists`);
+    }
+    const references = [...template.matchAll(/#([1-9])/g)].map(match =>
+        Number(match[1]),
+    );
+    const highest = Math.max(0, ...references);
+    if (blocks === undefined) blocks = highest;
+    if (!Number.isInteger(blocks) || blocks < 1) {
+        throw new Error(`The component "${name}" needs at least one block`);
+    }
+    if (blocks < highest) {
+        throw new Error(
+            `The template of "${name}" uses #${highest} but the component has ${blocks} blocks`,
+        );
+    }
+
+    const componentClass = class extends TemplateComponent {};
+    Object.defineProperty(componentClass, 'name', { value: name });
+    componentClass.template = template;
+    componentClass.blockCount = blocks;
+    registerComponent(componentClass, name);
+    functionComponentMap[name] = componentClass;
+    return componentClass;
+}
+
+// The number of rows and columns offered by the matrix size picker
+const matrixPickerSize = 6;
+
+// The time in milliseconds the display has to stay unchanged before the spoken form of the equation is updated
+const speechUpdateDelay = 300;
+
+// The colors offered by the color picker, unless the colors option gives a list of approved colors. These names
+// are known to both LaTeX's xcolor package and CSS.
+const defaultColorPalette = [
+    'red',
+    'orange',
+    'yellow',
+    'green',
+    'cyan',
+    'blue',
+    'purple',
+    'magenta',
+    'gray',
+];
+
+/**
+ * Replaces every Colored and ColorBox component whose color isn't approved with its contents, so that an
+ * equation loaded into an editor with a restricted palette only uses the approved colors. Color commands the
+ * LaTeX parser kept as is, like \color[rgb]{1,0,0}{x}, can't be checked, so they are removed entirely.
+ * @param components The components to check, which are changed in place
+ * @param approved A Set of the approved colors, in lowercase
+ */
+function removeUnapprovedColors(components, approved) {
+    for (let i = components.length - 1; i >= 0; i--) {
+        const component = components[i];
+        if (!(component instanceof Component)) continue;
+        if (
+            component instanceof MJXGUISymbol &&
+            /^\\color(box)?(?![a-zA-Z])/.test(component.latexData)
+        ) {
+            components.splice(i, 1);
+            continue;
+        }
+        for (let block of component.blocks) {
+            removeUnapprovedColors(block.children, approved);
+        }
+        if (
+            component instanceof Colored &&
+            !approved.has(component.color.toLowerCase())
+        ) {
+            const contents = component.blocks[0].children;
+            contents.forEach(c => {
+                c.parent = component.parent;
+            });
+            components.splice(i, 1, ...contents);
+        }
+    }
+}
+
 class MJXGUI {
     constructor(
         elementSelector,
@@ -852,6 +9039,10 @@ class MJXGUI {
         this.options = options;
         this.mathDelimiter = this.options.mathDelimiter || '$$';
         this.isPersistent = options.isPersistent || false;
+        this.outputFormat = (options.outputFormat || 'latex').toLowerCase();
+        this.speechMode = options.speechMode || 'verbose';
+        this.colorPalette = options.colors || defaultColorPalette;
+        this.quantityFormat = options.quantityFormat || 'latex';
         this.successCallback = successCallback;
         this.eqnHistory = [];
         this.expression = new Expression();
@@ -877,6 +9068,9 @@ class MJXGUI {
 
         this.constructUI();
         this.cursor = new Cursor(this.expression, this.eqnDisplay);
+        this.cursor.multiLineEnvironment =
+            options.multiLineEnvironment || 'aligned';
+        this.speechVocabulary = speechVocabularyFromToolbar(this.editorWindow);
         this.elements.forEach(el => {
             el.addEventListener('click', this.showUI);
         });
@@ -914,6 +9108,84 @@ class MJXGUI {
         functions.forEach(func => {
             func.addEventListener('click', () => {
                 let _;
+                if (func.dataset.templateType === 'matrix') {
+                    // Matrices are inserted from the size picker
+                    this.matrixPicker.dataset.visible =
+                        this.matrixPicker.dataset.visible === 'true'
+                            ? 'false'
+                            : 'true';
+                    return;
+                }
+                if (func.dataset.templateType === 'style') {
+                    // Styles wrap the selected components, if there are any
+                    this.cursor.wrapSelection(
+                        new FontStyle(
+                            this.cursor.block,
+                            func.dataset.latexData,
+                        ),
+                    );
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (
+                    ['accent', 'brace', 'set'].includes(
+                        func.dataset.templateType,
+                    )
+                ) {
+                    // Accents, braces and stacked labels annotate the selected components, if there are any
+                    const componentClass = {
+                        accent: Accent,
+                        brace: Brace,
+                        set: OverUnderSet,
+                    }[func.dataset.templateType];
+                    this.cursor.wrapSelection(
+                        new componentClass(
+                            this.cursor.block,
+                            func.dataset.latexData,
+                        ),
+                    );
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'color') {
+                    // Colors are applied from the color picker
+                    this.colorPicker.dataset.visible =
+                        this.colorPicker.dataset.visible === 'true'
+                            ? 'false'
+                            : 'true';
+                    return;
+                }
+                if (func.dataset.templateType === 'text') {
+                    this.cursor.toggleTextMode();
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'chemistry') {
+                    this.cursor.toggleChemistryMode();
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'chemistry-symbol') {
+                    this.cursor.addChemistrySymbol(func.dataset.latexData);
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'quantity') {
+                    // A selected number becomes the number of the quantity
+                    this.cursor.wrapSelection(
+                        new Quantity(this.cursor.block, this.quantityFormat),
+                    );
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'delimited') {
+                    // Delimiters are inserted or changed from the delimiter picker
+                    this.delimiterPicker.dataset.visible =
+                        this.delimiterPicker.dataset.visible === 'true'
+                            ? 'false'
+                            : 'true';
+                    return;
+                }
                 if (func.dataset.templateType !== 'null') {
                     if (func.dataset.templateType === 'three') {
                         _ = new TemplateThreeBlockComponent(
@@ -926,6 +9198,12 @@ class MJXGUI {
                             func.dataset.latexData,
                         );
                     }
+                } else if (func.dataset.variables) {
+                    // Derivative buttons can set the number of variables, like the mixed partial derivative
+                    _ = new functionComponentMap[func.dataset.functionId](
+                        this.cursor.block,
+                        Number(func.dataset.variables),
+                    );
                 } else {
                     _ = new functionComponentMap[func.dataset.functionId](
                         this.cursor.block,
@@ -944,7 +9222,7 @@ class MJXGUI {
         editorDiv.classList.add('_mjxgui_editor_window');
         editorDiv.dataset.visible = 'false';
         editorDiv.innerHTML =
-            '<div class="mjxgui_editor_controls"><div style="cursor: pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="mjxgui_close_button_svg" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></div><div class="mjxgui_clear_save_buttons"><span class="mjxgui_button_container _mjxgui_clear_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-trash" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="4" y1="7" x2="20" y2="7"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/><path d="M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12"/><path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3"/></svg> </span><span class="mjxgui_button_container _mjxgui_save_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-check" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l5 5l10 -10"/></svg></span></div></div><div class="_mjxgui_tab_container_container"><div class="mjxgui_tab_container" data-tab="1">&alpha; Letters</div><div class="mjxgui_tab_container" data-tab="2">&plusmn; Symbols</div><div class="mjxgui_tab_container" data-tab="3">&Sigma; Functions</div></div><div class="mjxgui_tab _mjxgui_letters_tab" style="display: flex;" data-tab="1"><span class="mjxgui-btn mjxgui-greek-letter" title="Alpha" data-latex-data="Alpha">&Alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Beta" data-latex-data="Beta">&Beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Gamma" data-latex-data="Gamma">&Gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Delta" data-latex-data="Delta">&Delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Epsilon" data-latex-data="Epsilon">&Epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Zeta" data-latex-data="Zeta">&Zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Eta" data-latex-data="Eta">&Eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Theta" data-latex-data="Theta">&Theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Iota" data-latex-data="Iota">&Iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Kappa" data-latex-data="Kappa">&Kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Lambda" data-latex-data="Lambda">&Lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Mu" data-latex-data="Mu">&Mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Nu" data-latex-data="Nu">&Nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Xi" data-latex-data="Xi">&Xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omicron" data-latex-data="Omicron">&Omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Pi" data-latex-data="Pi">&Pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Rho" data-latex-data="Rho">&Rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Sigma" data-latex-data="Sigma">&Sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Tau" data-latex-data="Tau">&Tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Upsilon" data-latex-data="Upsilon">&Upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Phi" data-latex-data="Phi">&Phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Chi" data-latex-data="Chi">&Chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Psi" data-latex-data="Psi">&Psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omega" data-latex-data="Omega">&Omega;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="alpha" data-latex-data="alpha">&alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="beta" data-latex-data="beta">&beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="gamma" data-latex-data="gamma">&gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="delta" data-latex-data="delta">&delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="epsilon" data-latex-data="epsilon">&epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="zeta" data-latex-data="zeta">&zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="eta" data-latex-data="eta">&eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="theta" data-latex-data="theta">&theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="iota" data-latex-data="iota">&iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="kappa" data-latex-data="kappa">&kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="lambda" data-latex-data="lambda">&lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="mu" data-latex-data="mu">&mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="nu" data-latex-data="nu">&nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="xi" data-latex-data="xi">&xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omicron" data-latex-data="omicron">&omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="pi" data-latex-data="pi">&pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="rho" data-latex-data="rho">&rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="sigma" data-latex-data="sigma">&sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="tau" data-latex-data="tau">&tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="upsilon" data-latex-data="upsilon">&upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="phi" data-latex-data="phi">&phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="chi" data-latex-data="chi">&chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="psi" data-latex-data="psi">&psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omega" data-latex-data="omega">&omega;</span></div><div class="mjxgui_tab _mjxgui_symbols_tab" data-tab="2"><span class="mjxgui-btn mjxgui-operator" title="Times" data-latex-data="times">&times;</span> <span class="mjxgui-btn mjxgui-operator" title="Divide" data-latex-data="div">&div;</span> <span class="mjxgui-btn mjxgui-operator" title="Center dot" data-latex-data="centerdot">&centerdot;</span> <span class="mjxgui-btn mjxgui-operator" title="Plus-minus" data-latex-data="plusmn">&plusmn;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than" data-latex-data="lt">&lt;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than" data-latex-data="gt">&gt;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than or equal to" data-latex-data="leq">&leq;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than or equal to" data-latex-data="GreaterEqual">&GreaterEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Equals" data-latex-data="equals">&equals;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximate" data-latex-data="approx">&approx;</span> <span class="mjxgui-btn mjxgui-operator" title="Not equal" data-latex-data="NotEqual">&NotEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Minus-plus" data-latex-data="mnplus">&mnplus;</span> <span class="mjxgui-btn mjxgui-operator" title="Star" data-latex-data="starf">&starf;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cup" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cap" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-operator" title="Cup" data-latex-data="cup">&cup;</span> <span class="mjxgui-btn mjxgui-operator" title="Cap" data-latex-data="cap">&cap;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of" data-latex-data="sub">&sub;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of" data-latex-data="sup">&sup;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of or equal to" data-latex-data="sube">&sube;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of or equal to" data-latex-data="supe">&supe;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of" data-latex-data="nsub">&nsub;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of" data-latex-data="nsup">&nsup;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of or equal to" data-latex-data="nsube">&nsube;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of or equal to" data-latex-data="nsupe">&nsupe;</span> <span class="mjxgui-btn mjxgui-operator" title="Proportional to" data-latex-data="propto">&propto;</span> <span class="mjxgui-btn mjxgui-operator" title="Parallel to" data-latex-data="parallel">&parallel;</span> <span class="mjxgui-btn mjxgui-operator" title="Not parallel to" data-latex-data="npar">&npar;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximately equal to" data-latex-data="asympeq">&asympeq;</span> <span class="mjxgui-btn mjxgui-operator" title="Element of" data-latex-data="isin">&isin;</span> <span class="mjxgui-btn mjxgui-operator" title="Not an element of" data-latex-data="notin">&notin;</span> <span class="mjxgui-btn mjxgui-operator" title="There exists" data-latex-data="exist">&exist;</span> <span class="mjxgui-btn mjxgui-operator" title="There does not exists" data-latex-data="nexist">&nexist;</span> <span class="mjxgui-btn mjxgui-operator" title="Perpendicular to" data-latex-data="perp">&perp;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (left)" data-latex-data="Leftarrow">&Leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (right)" data-latex-data="Rightarrow">&Rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="If and only if (iff)" data-latex-data="Leftrightarrow">&Leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Angle" data-latex-data="angle">&angle;</span> <span class="mjxgui-btn mjxgui-operator" title="Measured angle" data-latex-data="angmsd">&angmsd;</span> <span class="mjxgui-btn mjxgui-operator" title="Right arrow" data-latex-data="rightarrow">&rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left arrow" data-latex-data="leftarrow">&leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left right arrow" data-latex-data="leftrightarrow">&leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long right arrow" data-latex-data="longrightarrow">&longrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left arrow" data-latex-data="longleftarrow">&longleftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left right arrow" data-latex-data="longleftrightarrow">&longleftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up arrow" data-latex-data="uparrow">&uparrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Down arrow" data-latex-data="downarrow">&downarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up down arrow" data-latex-data="updownarrow">&updownarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Partial derivative" data-latex-data="PartialD">&PartialD;</span> <span class="mjxgui-btn mjxgui-operator" title="Reduced plank constant (h-bar)" data-latex-data="hbar">&hbar;</span> <span class="mjxgui-btn mjxgui-operator" title="Real part symbol" data-latex-data="real">&real;</span> <span class="mjxgui-btn mjxgui-operator" title="Nabla, del operator" data-latex-data="nabla">&nabla;</span> <span class="mjxgui-btn mjxgui-operator" title="Infinity symbol" data-latex-data="infin">&infin;</span></div><div class="mjxgui_tab _mjxgui_functions_tab" data-tab="3"><span class="mjxgui-btn mjxgui-function" title="Summation" data-template-type="three" data-latex-data="sum">&Sigma;</span> <span class="mjxgui-btn mjxgui-function" title="Integral" data-template-type="three" data-latex-data="int">&int;</span> <span class="mjxgui-btn mjxgui-function" title="Double integral" data-template-type="three" data-latex-data="iint">&#8748</span> <span class="mjxgui-btn mjxgui-function" title="Triple integral" data-template-type="three" data-latex-data="iiint">&iiint;</span> <span class="mjxgui-btn mjxgui-function" title="Contour integral" data-template-type="three" data-latex-data="oint">&oint;</span> <span class="mjxgui-btn mjxgui-function" title="Product" data-template-type="three" data-latex-data="prod">&Pi;</span> <span class="mjxgui-btn mjxgui-function" title="Co product" data-template-type="three" data-latex-data="coprod">&coprod;</span> <span class="mjxgui-btn mjxgui-function" title="Big cup (union)" data-template-type="three" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-function" title="Big cap (intersection)" data-template-type="three" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-function" title="Big vee (logical OR)" data-template-type="three" data-latex-data="bigvee">&bigvee;</span> <span class="mjxgui-btn mjxgui-function" title="Big wedge (logical AND)" data-template-type="three" data-latex-data="bigwedge">&bigwedge;</span> <span class="mjxgui-btn mjxgui-function" title="Limit" data-template-type="null" data-function-id="lim"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" font-weight="500" text-anchor="middle" transform="matrix(.75 0 0 .75 279.5 326.267)"><tspan x="0">lim</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Square root" data-template-type="null" data-function-id="sqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path fill="none" fill-rule="evenodd" stroke-width="10.125" d="M288.978 190.824H495.53v206.552H288.978V190.824z"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Nth root" data-template-type="null" data-function-id="nsqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2,.cls-3{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}.cls-3{fill:none;stroke-width:10.125px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path d="M288.978 190.824H495.53v206.552H288.978V190.824z" class="cls-3"/><path id="Rectangle_1_copy" d="M69.42 178.744h90.512v90.512H69.42v-90.512z" class="cls-3" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript" data-template-type="null" data-function-id="sub"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 82.836h285.083v285.083H27.09V82.836z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 295.421h169.985V465.41H362.8V295.421z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Superscript" data-template-type="null" data-function-id="sup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 468.164h285.083V183.081H27.09v285.083z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 255.579h169.985V85.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript and Superscript" data-template-type="null" data-function-id="subsup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M34.7 413.554h267.862V145.693H34.7v267.861z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 243.579h169.985V73.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Rectangle_1_copy_2" d="M533.2 487.579H363.215V317.59H533.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Fraction" data-template-type="null" data-function-id="frac"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;fill-rule:evenodd;stroke-width:12.875px}</style></defs><path id="Rectangle_1_copy" d="M193.8 225.579h169.985V55.59H193.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Line_1" fill="none" fill-rule="evenodd" stroke="#000" stroke-width="10.125" d="M124 284v-1h295v1H124z" data-name="Line 1"/><path id="Rectangle_1_copy_2" d="M364.2 528.579H194.215V358.59H364.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Sine" data-template-type="trigonometric" data-latex-data="sin"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosine" data-template-type="trigonometric" data-latex-data="cos"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Tangent" data-template-type="trigonometric" data-latex-data="tan"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">tan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosecant" data-template-type="trigonometric" data-latex-data="csc"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">csc</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Secant" data-template-type="trigonometric" data-latex-data="sec"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sec</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cotangent" data-template-type="trigonometric" data-latex-data="cot"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cot</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse sine" data-template-type="trigonometric" data-latex-data="arcsin"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arcsin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse cosine" data-template-type="trigonometric" data-latex-data="arccos"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arccos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse tanget" data-template-type="trigonometric" data-latex-data="arctan"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arctan</tspan></text></svg></span></div><div style="text-align: center;"><button class="_mjxgui_dir_btn leftArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-left" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M5 12l6 6"/><path d="M5 12l6 -6"/></svg></button> <button class="_mjxgui_dir_btn rightArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-right" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M13 18l6 -6"/><path d="M13 6l6 6"/></svg></button></div><div class="_mjxgui_editor_display"></div>';
+            '<div class="mjxgui_editor_controls"><div style="cursor: pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="mjxgui_close_button_svg" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></div><div class="mjxgui_clear_save_buttons"><span class="mjxgui_button_container _mjxgui_clear_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-trash" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="4" y1="7" x2="20" y2="7"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/><path d="M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12"/><path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3"/></svg> </span><span class="mjxgui_button_container _mjxgui_save_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-check" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l5 5l10 -10"/></svg></span></div></div><div class="_mjxgui_tab_container_container"><div class="mjxgui_tab_container" data-tab="1">&alpha; Letters</div><div class="mjxgui_tab_container" data-tab="2">&plusmn; Symbols</div><div class="mjxgui_tab_container" data-tab="3">&Sigma; Functions</div><div class="mjxgui_tab_container" data-tab="4">x&#770; Accents</div><div class="mjxgui_tab_container" data-tab="5">&Ropf; Styles</div><div class="mjxgui_tab_container" data-tab="6">&#x2697; Chemistry</div></div><div class="mjxgui_tab _mjxgui_letters_tab" style="display: flex;" data-tab="1"><span class="mjxgui-btn mjxgui-greek-letter" title="Alpha" data-latex-data="Alpha">&Alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Beta" data-latex-data="Beta">&Beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Gamma" data-latex-data="Gamma">&Gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Delta" data-latex-data="Delta">&Delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Epsilon" data-latex-data="Epsilon">&Epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Zeta" data-latex-data="Zeta">&Zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Eta" data-latex-data="Eta">&Eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Theta" data-latex-data="Theta">&Theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Iota" data-latex-data="Iota">&Iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Kappa" data-latex-data="Kappa">&Kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Lambda" data-latex-data="Lambda">&Lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Mu" data-latex-data="Mu">&Mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Nu" data-latex-data="Nu">&Nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Xi" data-latex-data="Xi">&Xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omicron" data-latex-data="Omicron">&Omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Pi" data-latex-data="Pi">&Pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Rho" data-latex-data="Rho">&Rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Sigma" data-latex-data="Sigma">&Sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Tau" data-latex-data="Tau">&Tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Upsilon" data-latex-data="Upsilon">&Upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Phi" data-latex-data="Phi">&Phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Chi" data-latex-data="Chi">&Chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Psi" data-latex-data="Psi">&Psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omega" data-latex-data="Omega">&Omega;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="alpha" data-latex-data="alpha">&alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="beta" data-latex-data="beta">&beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="gamma" data-latex-data="gamma">&gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="delta" data-latex-data="delta">&delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="epsilon" data-latex-data="epsilon">&epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="zeta" data-latex-data="zeta">&zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="eta" data-latex-data="eta">&eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="theta" data-latex-data="theta">&theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="iota" data-latex-data="iota">&iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="kappa" data-latex-data="kappa">&kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="lambda" data-latex-data="lambda">&lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="mu" data-latex-data="mu">&mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="nu" data-latex-data="nu">&nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="xi" data-latex-data="xi">&xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omicron" data-latex-data="omicron">&omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="pi" data-latex-data="pi">&pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="rho" data-latex-data="rho">&rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="sigma" data-latex-data="sigma">&sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="tau" data-latex-data="tau">&tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="upsilon" data-latex-data="upsilon">&upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="phi" data-latex-data="phi">&phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="chi" data-latex-data="chi">&chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="psi" data-latex-data="psi">&psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omega" data-latex-data="omega">&omega;</span></div><div class="mjxgui_tab _mjxgui_symbols_tab" data-tab="2"><span class="mjxgui-btn mjxgui-operator" title="Times" data-latex-data="times">&times;</span> <span class="mjxgui-btn mjxgui-operator" title="Divide" data-latex-data="div">&div;</span> <span class="mjxgui-btn mjxgui-operator" title="Center dot" data-latex-data="centerdot">&centerdot;</span> <span class="mjxgui-btn mjxgui-operator" title="Plus-minus" data-latex-data="plusmn">&plusmn;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than" data-latex-data="lt">&lt;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than" data-latex-data="gt">&gt;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than or equal to" data-latex-data="leq">&leq;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than or equal to" data-latex-data="GreaterEqual">&GreaterEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Equals" data-latex-data="equals">&equals;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximate" data-latex-data="approx">&approx;</span> <span class="mjxgui-btn mjxgui-operator" title="Not equal" data-latex-data="NotEqual">&NotEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Minus-plus" data-latex-data="mnplus">&mnplus;</span> <span class="mjxgui-btn mjxgui-operator" title="Star" data-latex-data="starf">&starf;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cup" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cap" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-operator" title="Cup" data-latex-data="cup">&cup;</span> <span class="mjxgui-btn mjxgui-operator" title="Cap" data-latex-data="cap">&cap;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of" data-latex-data="sub">&sub;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of" data-latex-data="sup">&sup;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of or equal to" data-latex-data="sube">&sube;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of or equal to" data-latex-data="supe">&supe;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of" data-latex-data="nsub">&nsub;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of" data-latex-data="nsup">&nsup;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of or equal to" data-latex-data="nsube">&nsube;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of or equal to" data-latex-data="nsupe">&nsupe;</span> <span class="mjxgui-btn mjxgui-operator" title="Proportional to" data-latex-data="propto">&propto;</span> <span class="mjxgui-btn mjxgui-operator" title="Parallel to" data-latex-data="parallel">&parallel;</span> <span class="mjxgui-btn mjxgui-operator" title="Not parallel to" data-latex-data="npar">&npar;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximately equal to" data-latex-data="asympeq">&asympeq;</span> <span class="mjxgui-btn mjxgui-operator" title="Element of" data-latex-data="isin">&isin;</span> <span class="mjxgui-btn mjxgui-operator" title="Not an element of" data-latex-data="notin">&notin;</span> <span class="mjxgui-btn mjxgui-operator" title="There exists" data-latex-data="exist">&exist;</span> <span class="mjxgui-btn mjxgui-operator" title="There does not exist" data-latex-data="nexist">&nexist;</span> <span class="mjxgui-btn mjxgui-operator" title="Perpendicular to" data-latex-data="perp">&perp;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (left)" data-latex-data="Leftarrow">&Leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (right)" data-latex-data="Rightarrow">&Rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="If and only if (iff)" data-latex-data="Leftrightarrow">&Leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Angle" data-latex-data="angle">&angle;</span> <span class="mjxgui-btn mjxgui-operator" title="Measured angle" data-latex-data="angmsd">&angmsd;</span> <span class="mjxgui-btn mjxgui-operator" title="Right arrow" data-latex-data="rightarrow">&rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left arrow" data-latex-data="leftarrow">&leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left right arrow" data-latex-data="leftrightarrow">&leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long right arrow" data-latex-data="longrightarrow">&longrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left arrow" data-latex-data="longleftarrow">&longleftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left right arrow" data-latex-data="longleftrightarrow">&longleftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up arrow" data-latex-data="uparrow">&uparrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Down arrow" data-latex-data="downarrow">&downarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up down arrow" data-latex-data="updownarrow">&updownarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Partial derivative" data-latex-data="PartialD">&PartialD;</span> <span class="mjxgui-btn mjxgui-operator" title="Reduced Planck constant (h-bar)" data-latex-data="hbar">&hbar;</span> <span class="mjxgui-btn mjxgui-operator" title="Real part symbol" data-latex-data="real">&real;</span> <span class="mjxgui-btn mjxgui-operator" title="Nabla, del operator" data-latex-data="nabla">&nabla;</span> <span class="mjxgui-btn mjxgui-operator" title="Infinity symbol" data-latex-data="infin">&infin;</span></div><div class="mjxgui_tab _mjxgui_functions_tab" data-tab="3"><span class="mjxgui-btn mjxgui-function" title="Summation" data-template-type="three" data-latex-data="sum">&Sigma;</span> <span class="mjxgui-btn mjxgui-function" title="Integral" data-template-type="three" data-latex-data="int">&int;</span> <span class="mjxgui-btn mjxgui-function" title="Double integral" data-template-type="three" data-latex-data="iint">&#8748</span> <span class="mjxgui-btn mjxgui-function" title="Triple integral" data-template-type="three" data-latex-data="iiint">&iiint;</span> <span class="mjxgui-btn mjxgui-function" title="Contour integral" data-template-type="three" data-latex-data="oint">&oint;</span> <span class="mjxgui-btn mjxgui-function" title="Product" data-template-type="three" data-latex-data="prod">&Pi;</span> <span class="mjxgui-btn mjxgui-function" title="Co product" data-template-type="three" data-latex-data="coprod">&coprod;</span> <span class="mjxgui-btn mjxgui-function" title="Big cup (union)" data-template-type="three" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-function" title="Big cap (intersection)" data-template-type="three" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-function" title="Big vee (logical OR)" data-template-type="three" data-latex-data="bigvee">&bigvee;</span> <span class="mjxgui-btn mjxgui-function" title="Big wedge (logical AND)" data-template-type="three" data-latex-data="bigwedge">&bigwedge;</span> <span class="mjxgui-btn mjxgui-function" title="Limit" data-template-type="null" data-function-id="lim"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" font-weight="500" text-anchor="middle" transform="matrix(.75 0 0 .75 279.5 326.267)"><tspan x="0">lim</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Derivative" data-template-type="null" data-function-id="derivative"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">d/dx</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Partial derivative" data-template-type="null" data-function-id="partial"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&part;/&part;x</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Mixed partial derivative" data-template-type="null" data-function-id="partial" data-variables="2"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="170" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&part;&sup2;/&part;x&part;y</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Definite integral" data-template-type="null" data-function-id="integral"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="300" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&int;dx</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Evaluation bar" data-template-type="null" data-function-id="evaluate"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="280" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">F&#x2502;&#x2090;&#x1D47;</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Quantity with units" data-template-type="quantity" data-function-id="quantity"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="220" text-anchor="middle" transform="translate(283.5 360)"><tspan x="0">9.8 m/s</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Square root" data-template-type="null" data-function-id="sqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path fill="none" fill-rule="evenodd" stroke-width="10.125" d="M288.978 190.824H495.53v206.552H288.978V190.824z"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Nth root" data-template-type="null" data-function-id="nsqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2,.cls-3{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}.cls-3{fill:none;stroke-width:10.125px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path d="M288.978 190.824H495.53v206.552H288.978V190.824z" class="cls-3"/><path id="Rectangle_1_copy" d="M69.42 178.744h90.512v90.512H69.42v-90.512z" class="cls-3" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript" data-template-type="null" data-function-id="sub"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 82.836h285.083v285.083H27.09V82.836z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 295.421h169.985V465.41H362.8V295.421z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Superscript" data-template-type="null" data-function-id="sup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 468.164h285.083V183.081H27.09v285.083z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 255.579h169.985V85.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript and Superscript" data-template-type="null" data-function-id="subsup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M34.7 413.554h267.862V145.693H34.7v267.861z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 243.579h169.985V73.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Rectangle_1_copy_2" d="M533.2 487.579H363.215V317.59H533.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Fraction" data-template-type="null" data-function-id="frac"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;fill-rule:evenodd;stroke-width:12.875px}</style></defs><path id="Rectangle_1_copy" d="M193.8 225.579h169.985V55.59H193.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Line_1" fill="none" fill-rule="evenodd" stroke="#000" stroke-width="10.125" d="M124 284v-1h295v1H124z" data-name="Line 1"/><path id="Rectangle_1_copy_2" d="M364.2 528.579H194.215V358.59H364.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Cases (piecewise function)" data-template-type="null" data-function-id="cases"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M190 90q-50 0-50 50v90q0 50-50 53q50 3 50 53v90q0 50 50 50"/><path d="M230 140h85v85h-85zM360 140h85v85h-85zM230 342h85v85h-85zM360 342h85v85h-85z"/></g></svg></span><span class="mjxgui-btn mjxgui-function" title="Sine" data-template-type="trigonometric" data-latex-data="sin"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosine" data-template-type="trigonometric" data-latex-data="cos"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Tangent" data-template-type="trigonometric" data-latex-data="tan"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">tan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosecant" data-template-type="trigonometric" data-latex-data="csc"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">csc</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Secant" data-template-type="trigonometric" data-latex-data="sec"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sec</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cotangent" data-template-type="trigonometric" data-latex-data="cot"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cot</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse sine" data-template-type="trigonometric" data-latex-data="arcsin"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arcsin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse cosine" data-template-type="trigonometric" data-latex-data="arccos"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arccos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse tangent" data-template-type="trigonometric" data-latex-data="arctan"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arctan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Matrix" data-template-type="matrix" data-function-id="matrix"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M150 90q-70 193 0 387"/><path d="M417 90q70 193 0 387"/><path d="M185 140h85v85h-85zM297 140h85v85h-85zM185 342h85v85h-85zM297 342h85v85h-85z"/></g></svg></span><span class="mjxgui-btn mjxgui-function" title="Text mode (Alt+T)" data-template-type="text" data-function-id="text"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">Tt</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Auto-sizing brackets" data-template-type="delimited" data-function-id="delimited"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M170 70q-90 213 0 427"/><path d="M397 70q90 213 0 427"/><path d="M241 241h85v85h-85z"/></g></svg></span></div><div class="mjxgui_tab _mjxgui_accents_tab" data-tab="4"><span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Hat" data-template-type="accent" data-latex-data="hat">x&#770;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Bar (mean)" data-template-type="accent" data-latex-data="bar">x&#772;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Vector" data-template-type="accent" data-latex-data="vec">x&#8407;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Dot (time derivative)" data-template-type="accent" data-latex-data="dot">x&#775;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Double dot (second time derivative)" data-template-type="accent" data-latex-data="ddot">x&#776;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Tilde" data-template-type="accent" data-latex-data="tilde">x&#771;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Overline" data-template-type="accent" data-latex-data="overline"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 467.216) scale(1.235)"><tspan x="0">AB</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="24" d="M90 110h387"/></svg></span><span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Vector arrow" data-template-type="accent" data-latex-data="overrightarrow"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 467.216) scale(1.235)"><tspan x="0">AB</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="24" d="M90 110h387m-60 -50l60 50l-60 50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Overbrace with label" data-template-type="brace" data-latex-data="overbrace"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 487.216) scale(1.235)"><tspan x="0">ab</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="20" d="M90 170q0-50 50-50h90q40 0 53-50q13 50 53 50h90q50 0 50 50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Underbrace with label" data-template-type="brace" data-latex-data="underbrace"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 297.216) scale(1.235)"><tspan x="0">ab</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="20" d="M90 397q0 50 50 50h90q40 0 53 50q13-50 53-50h90q50 0 50-50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Label above (overset)" data-template-type="set" data-latex-data="overset"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" text-anchor="middle"><tspan x="283.5" y="200" font-size="200">a</tspan><tspan x="283.5" y="500" font-size="380">=</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Label below (underset)" data-template-type="set" data-latex-data="underset"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" text-anchor="middle"><tspan x="283.5" y="330" font-size="380">=</tspan><tspan x="283.5" y="520" font-size="200">a</tspan></text></svg></span></div><div class="mjxgui_tab _mjxgui_styles_tab" data-tab="5"><span class="mjxgui-btn mjxgui-function mjxgui-style" title="Blackboard bold" data-template-type="style" data-latex-data="mathbb">&Ropf;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Bold" data-template-type="style" data-latex-data="mathbf">&#x1D401;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Calligraphic" data-template-type="style" data-latex-data="mathcal">&Lscr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Fraktur" data-template-type="style" data-latex-data="mathfrak">&gfr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Roman (upright)" data-template-type="style" data-latex-data="mathrm">d</span> <span class="mjxgui-btn mjxgui-function" title="Color" data-template-type="color" data-function-id="color"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 367.216) scale(1.235)"><tspan x="0">A</tspan></text><path fill="none" stroke="#e53935" stroke-width="48" d="M110 480h347"/></svg></span></div><div class="mjxgui_tab _mjxgui_chemistry_tab" data-tab="6"><span class="mjxgui-btn mjxgui-function" title="Chemistry mode (Alt+C)" data-template-type="chemistry" data-function-id="chemistry"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">H&#x2082;O</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Reaction arrow (yields)" data-template-type="chemistry-symbol" data-latex-data="-&gt;">&rarr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Equilibrium arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;=&gt;">&#x21CC;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Reverse reaction arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;-">&larr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Resonance arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;-&gt;">&harr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Gas evolved" data-template-type="chemistry-symbol" data-latex-data="^">&uarr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Precipitate" data-template-type="chemistry-symbol" data-latex-data="v">&darr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Solid state" data-template-type="chemistry-symbol" data-latex-data="(s)">(s)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Liquid state" data-template-type="chemistry-symbol" data-latex-data="(l)">(l)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Gas state" data-template-type="chemistry-symbol" data-latex-data="(g)">(g)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Aqueous state" data-template-type="chemistry-symbol" data-latex-data="(aq)">(aq)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Hydrate dot" data-template-type="chemistry-symbol" data-latex-data="*">&middot;</span></div><div class="_mjxgui_color_picker" data-visible="false"><select class="_mjxgui_color_type" title="Apply as"><option value="text">Text color</option><option value="background">Highlight</option></select><div class="_mjxgui_color_options"></div></div><div class="_mjxgui_delimiter_picker" data-visible="false"><select class="_mjxgui_delimiter_action" title="Action"><option value="insert">Insert</option><option value="change">Change current</option></select><div class="_mjxgui_delimiter_options"><span class="_mjxgui_delimiter_option" title="Parentheses" data-delimiter-kind="parentheses">( )</span> <span class="_mjxgui_delimiter_option" title="Brackets" data-delimiter-kind="brackets">[ ]</span> <span class="_mjxgui_delimiter_option" title="Braces" data-delimiter-kind="braces">{ }</span> <span class="_mjxgui_delimiter_option" title="Angle brackets" data-delimiter-kind="angles">&lang; &rang;</span> <span class="_mjxgui_delimiter_option" title="Absolute value" data-delimiter-kind="bars">| |</span> <span class="_mjxgui_delimiter_option" title="Norm" data-delimiter-kind="doubleBars">&Vert; &Vert;</span> <span class="_mjxgui_delimiter_option" title="Floor" data-delimiter-kind="floor">&lfloor; &rfloor;</span> <span class="_mjxgui_delimiter_option" title="Ceiling" data-delimiter-kind="ceil">&lceil; &rceil;</span> <span class="_mjxgui_delimiter_option" title="Invisible" data-delimiter-kind="none">None</span></div></div><div class="_mjxgui_matrix_picker" data-visible="false"><select class="_mjxgui_matrix_type" title="Brackets"><option value="pmatrix">( )</option><option value="bmatrix">[ ]</option><option value="Bmatrix">{ }</option><option value="vmatrix">| |</option><option value="matrix">None</option></select><div class="_mjxgui_matrix_grid"></div><span class="_mjxgui_matrix_size"></span></div><div style="text-align: center;"><button class="_mjxgui_dir_btn leftArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-left" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M5 12l6 6"/><path d="M5 12l6 -6"/></svg></button> <button class="_mjxgui_dir_btn rightArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-right" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M13 18l6 -6"/><path d="M13 6l6 6"/></svg></button></div><div class="_mjxgui_editor_display" role="math"></div><div class="_mjxgui_editor_speech" aria-live="polite"></div>';
         if (this.options.theme?.toLowerCase().trim() === 'dark') {
             editorDiv.classList.add('_mjxgui_dark_theme');
         }
@@ -953,6 +9231,28 @@ class MJXGUI {
         this.eqnDisplay = editorDiv.querySelector('._mjxgui_editor_display');
         this.eqnDisplay.innerHTML = `${this.mathDelimiter} | ${this.mathDelimiter}`;
 
+        // Screen readers announce the spoken form of the equation whenever the display changes
+        this.speechDescription = editorDiv.querySelector(
+            '._mjxgui_editor_speech',
+        );
+        this.speechDescription.id = `_mjxgui_editor_speech_${document.querySelectorAll('._mjxgui_editor_window').length}`;
+        this.eqnDisplay.setAttribute(
+            'aria-describedby',
+            this.speechDescription.id,
+        );
+        let speechTimeout = null;
+        new MutationObserver(() => {
+            // MathJax changes the display more than once per update, and keys can be held down, so the speech is
+            // only generated once the display has stopped changing. Only actual changes are announced.
+            clearTimeout(speechTimeout);
+            speechTimeout = setTimeout(() => {
+                const speech = this.getSpeech();
+                if (this.speechDescription.textContent !== speech) {
+                    this.speechDescription.textContent = speech;
+                }
+            }, speechUpdateDelay);
+        }).observe(this.eqnDisplay, { childList: true });
+
         this.pseudoMobileKeyboard = editorDiv.querySelector(
             '.mjxgui-pseudo-mobile-keyboard',
         );
@@ -995,6 +9295,10 @@ class MJXGUI {
             });
         });
 
+        this.constructMatrixPicker();
+        this.constructDelimiterPicker();
+        this.constructColorPicker();
+
         const closeEditor = editorDiv.querySelector('.mjxgui_close_button_svg');
         closeEditor.addEventListener('click', this.hideUI);
 
@@ -1009,7 +9313,11 @@ class MJXGUI {
             '._mjxgui_save_equation',
         );
         saveEquationButton.addEventListener('click', () => {
-            this.successCallback(this.getLatex(), this);
+            const output =
+                this.outputFormat === 'asciimath'
+                    ? this.getAsciiMath()
+                    : this.getLatex();
+            this.successCallback(output, this);
             this.hideUI();
             if (!this.isPersistent) this.clearEquation();
         });
@@ -1017,6 +9325,106 @@ class MJXGUI {
         document.body.appendChild(editorDiv);
     }
 
+    constructMatrixPicker() {
+        // Fill the matrix size picker with a grid of cells. Hovering over a cell highlights the size of the
+        // matrix and clicking it inserts a matrix of that size with the selected brackets.
+        this.matrixPicker = this.editorWindow.querySelector(
+            '._mjxgui_matrix_picker',
+        );
+        const grid = this.matrixPicker.querySelector('._mjxgui_matrix_grid');
+        const size = this.matrixPicker.querySelector('._mjxgui_matrix_size');
+        const type = this.matrixPicker.querySelector('._mjxgui_matrix_type');
+        grid.style.gridTemplateColumns = `repeat(${matrixPickerSize}, auto)`;
+
+        const cells = [];
+        const highlight = (rows, columns) => {
+            cells.forEach(cell => {
+                cell.classList.toggle(
+                    '_mjxgui_matrix_cell_selected',
+                    cell.dataset.rows <= rows &&
+                        cell.dataset.columns <= columns,
+                );
+            });
+            size.textContent = `${rows} × ${columns}`;
+        };
+        for (let i = 1; i <= matrixPickerSize; i++) {
+            for (let j = 1; j <= matrixPickerSize; j++) {
+                const cell = document.createElement('span');
+                cell.classList.add('_mjxgui_matrix_cell');
+                cell.dataset.rows = i;
+                cell.dataset.columns = j;
+                cell.title = `${i} × ${j}`;
+                cell.addEventListener('mouseover', () => highlight(i, j));
+                cell.addEventListener('click', () => {
+                    this.cursor.addComponent(
+                        new Matrix(this.cursor.block, type.value, i, j),
+                    );
+                    this.cursor.updateDisplay();
+                    this.matrixPicker.dataset.visible = 'false';
+                });
+                cells.push(cell);
+                grid.appendChild(cell);
+            }
+        }
+        highlight(2, 2);
+    }
+
+    constructDelimiterPicker() {
+        // Each option of the delimiter picker either wraps the selection in a new Delimited component with its
+        // delimiters or changes the delimiters of the one the cursor is in, depending on the selected action
+        this.delimiterPicker = this.editorWindow.querySelector(
+            '._mjxgui_delimiter_picker',
+        );
+        const action = this.delimiterPicker.querySelector(
+            '._mjxgui_delimiter_action',
+        );
+        this.delimiterPicker
+            .querySelectorAll('._mjxgui_delimiter_option')
+            .forEach(option => {
+                option.addEventListener('click', () => {
+                    const [left, right] =
+                        delimiterKinds[option.dataset.delimiterKind];
+                    if (action.value === 'change') {
+                        this.cursor.setDelimiters(left, right);
+                    } else {
+                        this.cursor.wrapSelection(
+                            new Delimited(this.cursor.block, left, right),
+                        );
+                    }
+                    this.cursor.updateDisplay();
+                    this.delimiterPicker.dataset.visible = 'false';
+                });
+            });
+    }
+
+    constructColorPicker() {
+        // Add a swatch to the color picker for each color of the palette. Clicking a swatch wraps the selection,
+        // or inserts an empty block, in the color as either its text color or its background.
+        this.colorPicker = this.editorWindow.querySelector(
+            '._mjxgui_color_picker',
+        );
+        const options = this.colorPicker.querySelector(
+            '._mjxgui_color_options',
+        );
+        const type = this.colorPicker.querySelector('._mjxgui_color_type');
+        for (let color of this.colorPalette) {
+            const swatch = document.createElement('span');
+            swatch.classList.add('_mjxgui_color_option');
+            swatch.style.backgroundColor = color;
+            swatch.title = color;
+            swatch.addEventListener('click', () => {
+                const componentClass =
+                    type.value === 'background' ? ColorBox : Colored;
+                this.cursor.wrapSelection(
+                    new componentClass(this.cursor.block, color),
+                );
+                this.cursor.updateDisplay();
+                this.colorPicker.dataset.visible = 'false';
+            });
+            options.appendChild(swatch);
+        }
+    }
+
     // Remove the current expression from the display, add it to the history, create a new expression and reset
     // all cursor properties to defaults.
     clearEquation() {
@@ -1027,6 +9435,7 @@ class MJXGUI {
         this.cursor.block = null;
         this.cursor.component = null;
         this.cursor.child = -0.5;
+        this.cursor.selectionAnchor = null;
         this.cursor.position = -0.5;
         this.cursor.latex = '';
         this.cursor.updateDisplay();
@@ -1041,6 +9450,152 @@ class MJXGUI {
         return this.cursor.toLatex();
     }
 
+    /**
+     * Getter method that returns the LaTeX for showing the currently built
+     * equation with MathJax. This is the same as getLatex(), except that
+     * quantities are plain LaTeX with their invalid units flagged.
+     * @returns String - The LaTeX to typeset.
+     */
+    getPreviewLatex() {
+        return generatePreviewLatex(this.expression);
+    }
+
+    /**
+     * Getter method that returns the AsciiMath for the currently built
+     * equation.
+     * @returns String - The generated AsciiMath.
+     */
+    getAsciiMath() {
+        return this.expression.toAsciiMath();
+    }
+
+    /**
+     * Replaces the equation being built with the equation described by the given AsciiMath.
+     * The current equation is added to the history.
+     * @param asciimath String - The AsciiMath to load into the editor
+     */
+    setAsciiMath(asciimath) {
+        this.loadExpression(new AsciiMathParser(asciimath).parse());
+    }
+
+    /**
+     * Getter method that returns a plain text, linear format of the currently built
+     * equation, for places where neither LaTeX nor MathML can be rendered.
+     * @returns String - The generated text, like x=(-b±√(b²-4ac))/2a
+     */
+    getUnicode() {
+        return this.expression.toUnicode();
+    }
+
+    /**
+     * Getter method that returns the currently built equation the way it would be
+     * read out loud, using the titles of the toolbar buttons to name symbols and functions.
+     * @param mode String - "verbose" or "brief", defaults to the speechMode option
+     * @returns String - The generated text, like "the fraction with numerator x plus 1 and denominator 2"
+     */
+    getSpeech(mode = this.speechMode) {
+        return new SpeechGenerator(this.expression, {
+            mode,
+            vocabulary: this.speechVocabulary,
+        }).generate();
+    }
+
+    /**
+     * Getter method that returns presentation MathML for the currently built
+     * equation.
+     * @returns String - The generated MathML, as a <math> element.
+     */
+    getMathML() {
+        return this.expression.toMathML();
+    }
+
+    /**
+     * Getter method that interprets the currently built equation as mathematics
+     * and returns the resulting semantic tree. Anything that can't be interpreted
+     * is reported as a node with type "error".
+     * @returns Object - The root node of the tree generated by SemanticParser.
+     */
+    getSemanticTree() {
+        return new SemanticParser(this.expression).parse();
+    }
+
+    /**
+     * Getter method that returns Content MathML for the currently built equation.
+     * @returns String - The generated Content MathML, as a <math> element.
+     */
+    getContentMathML() {
+        return `<math xmlns="http://www.w3.org/1998/Math/MathML">${semanticTreeToContentMathML(this.getSemanticTree())}</math>`;
+    }
+
+    /**
+     * Getter method that returns the currently built equation as a SymPy expression.
+     * @returns String - Python code for the SymPy expression, like Sum(i**2, (i, 1, n)).
+     * Throws a SymPyExportError naming the part of the equation that can't be converted.
+     */
+    getSymPy() {
+        return this.expression.toSymPy();
+    }
+
+    /**
+     * Computes the numeric value of the currently built equation.
+     * @param variables Object - The value of each variable, like { x: 2, theta: 0.5 }
+     * @returns Number - The value of the equation. Throws an EvaluationError if the equation
+     * can't be evaluated, which points to the component that caused the error.
+     */
+    evaluate(variables = {}) {
+        return this.expression.evaluate(variables);
+    }
+
+    /**
+     * Replaces the equation being built with the equation described by the given LaTeX,
+     * so that an equation saved as LaTeX can be edited again. The current equation is
+     * added to the history.
+     * @param latex String - The LaTeX to load into the editor
+     */
+    setLatex(latex) {
+        this.loadExpression(new LatexParser(latex).parse());
+    }
+
+    /**
+     * Getter method that returns the structure of the currently built
+     * equation as a JSON-serializable object.
+     * @returns Object - The output of Expression.toJSON().
+     */
+    getJSON() {
+        return this.expression.toJSON();
+    }
+
+    /**
+     * Replaces the equation being built with the equation described by the given JSON,
+     * as generated by getJSON(). The current equation is added to the history.
+     * @param json Object|String - The JSON to load into the editor
+     */
+    setJSON(json) {
+        this.loadExpression(Expression.fromJSON(json));
+    }
+
+    // Add the current expression to the history and replace it with the given expression, placing
+    // the cursor at the end of the new expression.
+    loadExpression(expression) {
+        // With a restricted palette, colors that aren't approved are removed from the loaded equation
+        if (this.options.colors) {
+            removeUnapprovedColors(
+                expression.components,
+                new Set(this.colorPalette.map(color => color.toLowerCase())),
+            );
+        }
+        this.eqnHistory.push(this.expression);
+        this.expression = expression;
+        this.cursor.expression = this.expression;
+        this.cursor.block = null;
+        this.cursor.component = null;
+        this.cursor.child = -0.5;
+        this.cursor.selectionAnchor = null;
+        this.cursor.position = this.expression.components.length - 0.5;
+        this.cursor.latex = '';
+        this.cursor.updateDisplay();
+    }
+
     /**
      * Removes all MJXGUI click listeners for the current selector,
      * selects DOM elements again, and rebinds MJXGUI click listeners. Meant
@@ -1056,9 +9611,30 @@ class MJXGUI {
         });
     }
 
+    /**
+     * Inserts a function at the cursor, like the toolbar button with the
+     * same data-function-id.
+     @param functionId The key of the function in functionComponentMap, like "frac", or the name of a component
+      created with defineComponent()
+     */
+    insertFunction(functionId) {
+        if (
+            !Object.prototype.hasOwnProperty.call(
+                functionComponentMap,
+                functionId,
+            )
+        ) {
+            throw new Error(`Unknown function "${functionId}"`);
+        }
+        const componentClass = functionComponentMap[functionId];
+        this.cursor.addComponent(new componentClass(this.cursor.block));
+        this.cursor.updateDisplay();
+    }
+
     /**
      * Adds a function to the UI that is not supported out of the box.
-     @param componentClass A class that inherits from one of MJXGUI's many component classes
+     @param componentClass A class that inherits from one of MJXGUI's many component classes, or the name of a
+      component created with defineComponent()
      @param buttonContent HTML or text content that will be placed inside the rendered button
      @param title The title to show when a user hovers over the button
      @param typeset true if MathJax should typeset buttonContent
@@ -1070,12 +9646,27 @@ class MJXGUI {
         title = '',
         typeset = false,
     ) {
+        if (typeof componentClass === 'string') {
+            if (
+                !Object.prototype.hasOwnProperty.call(
+                    functionComponentMap,
+                    componentClass,
+                )
+            ) {
+                throw new Error(`Unknown component "${componentClass}"`);
+            }
+            componentClass = functionComponentMap[componentClass];
+        }
+        // Register the class so that equations using it can be restored from JSON
+        registerComponent(componentClass);
         const el = document.createElement('span');
         el.classList.add('mjxgui-btn', 'mjxgui-function');
         el.title = title;
         el.dataset.templateType = 'user-defined';
         el.dataset.functionId = 'user-defined';
         el.innerHTML = buttonContent;
+        if (title)
+            this.speechVocabulary.set(componentClass, title.toLowerCase());
         this.editorWindow
             .querySelector('._mjxgui_functions_tab')
             .appendChild(el);
@@ -1101,6 +9692,7 @@ class MJXGUI {
         el.title = title;
         el.dataset.latexData = latexData;
         el.innerHTML = buttonContent;
+        if (title) this.speechVocabulary.set(latexData, title.toLowerCase());
         this.editorWindow.querySelector('._mjxgui_symbols_tab').appendChild(el);
         if (typeset) MathJax.typesetPromise([el]).then(() => {});
 
@@ -1111,6 +9703,19 @@ class MJXGUI {
         });
     }
 
+    /**
+     * Checks whether an answer is equivalent to the expected answer.
+     * @param expected The expected answer, as LaTeX or as an Expression
+     * @param actual The answer to check, as LaTeX or as an Expression
+     * @param options An object of options. mode is "structural", "latex" or "numeric" (the default).
+     * See compareAnswers() for the other options.
+     * @returns Object - The verdict ("correct" or "incorrect") and the reason for it, like
+     * { verdict: 'correct', reason: 'The answers agree at 10 random points' }
+     */
+    static checkAnswer(expected, actual, options = {}) {
+        return compareAnswers(expected, actual, options);
+    }
+
     /**
      * Transforms an <input> element into a button that allows users to enter an equation using MJXGUI.
      * Stores the resulting LaTeX of the equation as the value of the input.
@@ -1146,12 +9751,13 @@ class MJXGUI {
                 function () {},
                 options,
             );
-            widget.successCallback = function (latex, instance) {
-                if (latex.length > 0) {
-                    // Set input value and show equation preview
-                    inp.value = latex;
+            widget.successCallback = function (output, instance) {
+                if (output.length > 0) {
+                    // Set input value and show equation preview. The preview is always typeset
+                    // from LaTeX, even if the input's value is AsciiMath.
+                    inp.value = output;
                     MathJax.typesetClear([eqnDisplay]);
-                    eqnDisplay.innerHTML = `$ ${latex} $`;
+                    eqnDisplay.innerHTML = `$ ${instance.getPreviewLatex()} $`;
                     MathJax.typesetPromise([eqnDisplay]).then(() => {});
 
                     inpButton.textContent = 'Edit';
@@ -1169,6 +9775,30 @@ class MJXGUI {
                     inputEl.classList.add('_mjxgui_equation_input_invalid');
                     inputEl.classList.remove('_mjxgui_equation_input_valid');
                 }
+
+                // Check the answer if the input has an expected answer
+                const expected =
+                    inp.dataset.expectedAnswer ?? options.expectedAnswer;
+                if (expected !== undefined) {
+                    const result =
+                        output.length > 0
+                            ? MJXGUI.checkAnswer(
+                                  expected,
+                                  instance.expression,
+                                  options.answerCheck,
+                              )
+                            : { verdict: 'incorrect', reason: 'No answer' };
+                    const correct = result.verdict === 'correct';
+                    inputEl.classList.toggle(
+                        '_mjxgui_equation_input_correct',
+                        correct,
+                    );
+                    inputEl.classList.toggle(
+                        '_mjxgui_equation_input_incorrect',
+                        !correct,
+                    );
+                    inputEl.dataset.answerReason = result.reason;
+                }
             };
         }
     }
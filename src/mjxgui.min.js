@@ -1,2 +1,2 @@
-/*! mjxgui 2024-08-25 | (C) Hrushikesh Vaidya (@hrushikeshrv) | MIT License */
-class Expression{constructor(t=0){this.components=[],this.nestingDepth=t}add(t,a=this.components.length){this.components.splice(a,0,t)}remove(t=this.components.length-1){this.components.splice(t,1)}toLatex(){let t="";for(var a of this.components)t+=a.toLatex()+" ";return t.trim()}}class Block{constructor(t){this.children=[],this.parent=t}toLatex(){if(0===this.children.length)return"";let t="";for(var a of this.children)"string"==typeof a?t+=a:t+=a.toLatex()+" ";return t.trim()}addChild(t,a=this.children.length){this.children.splice(a,0,t)}removeChild(t=this.children.length-1){this.children.splice(t,1)}}class Component{constructor(t=[],a=null){this.blocks=t,this.parent=a}toLatex(){return""}addBlock(t,a){this.blocks.splice(a,0,t)}removeBlock(t){this.blocks.splice(t,1)}isEmpty(){for(var t of this.blocks)if(t.children.length)return!1;return!0}}class OneBlockComponent extends Component{constructor(t){let a=new Block;super([a],t),a.parent=this}}class TwoBlockComponent extends Component{constructor(t){let a=new Block,e=new Block;super([a,e],t),a.parent=this,e.parent=this}}class ThreeBlockComponent extends Component{constructor(t){let a=new Block,e=new Block,s=new Block;super([a,e,s],t),a.parent=this,e.parent=this,s.parent=this}}class TemplateThreeBlockComponent extends ThreeBlockComponent{constructor(t,a){super(t),this.latexData=a}toLatex(){return`\\${this.latexData}_{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}{${this.blocks[2].toLatex()}}`}}class TrigonometricTwoBlockComponent extends TwoBlockComponent{constructor(t,a){super(t),this.latexData=a}toLatex(){return`\\${this.latexData}^{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`}}class TextComponent extends Component{constructor(t){let a=new Block;super([a],t),a.parent=this}toLatex(){return this.blocks[0].toLatex()}}class MJXGUISymbol extends Component{constructor(t,a){super([],t),this.latexData=a}toLatex(){return this.latexData}}class FrameBox extends OneBlockComponent{toLatex(){return`\\boxed{${this.blocks[0].toLatex()}}`}}class Limit extends TwoBlockComponent{toLatex(){return`\\lim_{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`}}class Fraction extends TwoBlockComponent{toLatex(){return`\\frac{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`}}class Subscript extends TwoBlockComponent{toLatex(){return`{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}`}}class Superscript extends TwoBlockComponent{toLatex(){return`{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}`}}class SubSupRight extends ThreeBlockComponent{toLatex(){return`{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}^{${this.blocks[2].toLatex()}}`}}class Sqrt extends OneBlockComponent{toLatex(){return`\\sqrt{${this.blocks[0].toLatex()}}`}}class NthRoot extends TwoBlockComponent{toLatex(){return`\\sqrt[${this.blocks[0].toLatex()}]{${this.blocks[1].toLatex()}}`}}const characters=new Set;for(let t of"abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890!@^*()[];:'\"/?.,<>-=+`~")characters.add(t);class Cursor{constructor(t,a){this.expression=t,this.block=null,this.component=null,this.child=-.5,this.position=-.5,this.latex="",this.display=a}addText(t){if(null===this.block){const a=new TextComponent(this.block);a.blocks[0].addChild(t),this.expression.add(a,Math.ceil(this.position)),this.child=-.5,this.position++}else{const e=new TextComponent(this.block);e.blocks[0].addChild(t),this.block.addChild(e,Math.ceil(this.child)),this.child++}}addComponent(t){null===this.block?(this.expression.add(t,Math.ceil(this.position)),this.position=Math.ceil(this.position),t instanceof MJXGUISymbol||t instanceof TextComponent?(this.block=null,this.component=null,this.position+=.5):(this.block=t.blocks[0],this.component=t),this.child=-.5):(this.block.addChild(t,Math.ceil(this.child)),t instanceof MJXGUISymbol||t instanceof TextComponent?this.child+=1:(this.component=t,this.block=t.blocks[0],this.child=-.5))}removeComponent(){if(null===this.block){var t=this.expression.components[Math.floor(this.position)];(t instanceof TextComponent||t instanceof MJXGUISymbol)&&(this.position=Math.floor(this.position),this.component=t,this.block=t.blocks[0],this.child=-.5,this.removeComponent())}else if(null===this.component.parent){for(let t=0;t<this.expression.components.length;t++)if(this.expression.components[t]===this.component){this.expression.remove(t);break}this.position-=.5,this.component=null,this.block=null,this.child=-.5}else{let a=this.component.parent;for(let t=0;t<a.children.length;t++)if(a.children[t]===this.component){a.removeChild(t),this.child=t-.5;break}this.block=a,this.component=a.parent}}keyPress(t){var a;characters.has(t.key)?this.addText(t.key):"ArrowLeft"===t.key?this.seekLeft():"ArrowRight"===t.key?this.seekRight():"Backspace"===t.key?this.backspace():"Enter"===t.key?document.getElementById("mjxgui_save_equation").click():" "===t.key?(a=new MJXGUISymbol(this.block,"\\:\\:"),this.addComponent(a)):"\\"===t.key?(a=new MJXGUISymbol(this.block,"\\backslash"),this.addComponent(a)):["$","#","%","&","_","{","}"].includes(t.key)&&(t=new MJXGUISymbol(this.block,`\\${t.key}`),this.addComponent(t)),this.updateDisplay()}seekRight(){var t,a=this.expression.components.length-.5;this.position>=a||(null===this.block?(this.position+=.5,this.expression.components[this.position]instanceof TextComponent||this.expression.components[this.position]instanceof MJXGUISymbol?(this.position+=.5,this.child=-.5,this.block=null,this.component=null):(this.component=this.expression.components[this.position],this.block=this.component.blocks[0],this.child=-.5)):this.child===this.block.children.length-.5?(t=this.component.blocks.indexOf(this.block))===this.component.blocks.length-1?null===this.component.parent?(this.component=null,this.block=null,this.child=-.5,this.position+=.5):(this.block=this.component.parent,this.child=this.block.children.indexOf(this.component)+.5,this.component=this.block.parent):(this.block=this.component.blocks[t+1],this.child=-.5):(t=this.block.children[Math.ceil(this.child)])instanceof TextComponent||t instanceof MJXGUISymbol?this.child++:(this.component=t,this.block=this.component.blocks[0],this.child=-.5))}seekLeft(){var t;this.position<=-.5||(null===this.block?(this.position-=.5,this.expression.components[this.position]instanceof TextComponent||this.expression.components[this.position]instanceof MJXGUISymbol?(this.position-=.5,this.child=-.5,this.block=null,this.component=null):(this.component=this.expression.components[this.position],this.block=this.component.blocks[this.component.blocks.length-1],this.child=this.block.children.length-.5)):-.5===this.child?0===(t=this.component.blocks.indexOf(this.block))?null===this.component.parent?(this.component=null,this.block=null,this.child=-.5,this.position-=.5):(this.block=this.component.parent,this.child=this.block.children.indexOf(this.component)-.5,this.component=this.block.parent):(this.block=this.component.blocks[t-1],this.child=this.block.children.length-.5):(t=this.block.children[Math.floor(this.child)])instanceof TextComponent||t instanceof MJXGUISymbol?this.child--:(this.component=t,this.block=this.component.blocks[this.component.blocks.length-1],this.child=this.block.children.length-.5))}backspace(){var t;0!==this.expression.components.length&&-.5!==this.position&&(null===this.block?(t=this.expression.components[Math.floor(this.position)])instanceof TextComponent||t instanceof MJXGUISymbol?this.removeComponent():(this.component=t,this.block=this.component.blocks[this.component.blocks.length-1],this.child=this.block.children.length-.5,this.position=Math.floor(this.position)):this.component.isEmpty()?this.removeComponent():this.child<=-.5?0!==(t=this.component.blocks.indexOf(this.block))&&(this.block=this.component.blocks[t-1],this.child=this.block.children.length-.5):(this.block.removeChild(Math.floor(this.child)),this.child--))}toLatex(){var t=this.expression.toLatex();return this.latex=t}toDisplayLatex(){let t=new TextComponent(this.block);t.blocks[0].addChild("|");let a=new FrameBox(this.block);null===this.block?this.expression.add(t,Math.ceil(this.position)):(e=this.component.blocks.indexOf(this.block),this.component.removeBlock(e),this.component.addBlock(a,e),a.blocks[0]=this.block,this.block.addChild(t,Math.ceil(this.child)));var e,s=this.toLatex();return null===this.block?this.expression.remove(Math.ceil(this.position)):(e=this.component.blocks.indexOf(a),this.component.removeBlock(e),this.component.addBlock(this.block,e),this.block.removeChild(Math.ceil(this.child))),s}updateDisplay(){(this.display instanceof String||"string"==typeof this.display)&&(this.display=document.querySelector(this.display)),MathJax.typesetClear([this.display]),this.display.innerHTML="$$"+this.toDisplayLatex()+"$$",MathJax.typesetPromise([this.display]).then(()=>{})}}const symbolLatexMap={alpha:"\\alpha",beta:"\\beta",gamma:"\\gamma",delta:"\\delta",epsilon:"\\epsilon",zeta:"\\zeta",eta:"\\eta",theta:"\\theta",iota:"\\iota",kappa:"\\kappa",lambda:"\\lambda",mu:"\\mu",nu:"\\nu",xi:"\\xi",omicron:"\\omicron",pi:"\\pi",rho:"\\rho",sigma:"\\sigma",tau:"\\tau",upsilon:"\\upsilon",phi:"\\phi",chi:"\\chi",psi:"\\psi",omega:"\\omega",Alpha:"A",Beta:"B",Gamma:"\\Gamma",Delta:"\\Delta",Epsilon:"E",Zeta:"Z",Eta:"H",Theta:"\\Theta",Iota:"I",Kappa:"K",Lambda:"\\Lambda",Mu:"M",Nu:"N",Xi:"\\Xi",Omicron:"O",Pi:"\\Pi",Rho:"P",Sigma:"\\Sigma",Tau:"T",Upsilon:"\\Upsilon",Phi:"\\Phi",Chi:"X",Psi:"\\Psi",Omega:"\\Omega",times:"\\times",div:"\\div",centerdot:"\\cdot",plusmn:"\\pm",mnplus:"\\mp",starf:"\\star",bigcup:"\\bigcup",bigcap:"\\bigcap",cup:"\\cup",cap:"\\cap",lt:"\\lt",gt:"\\gt",leq:"\\leq",GreaterEqual:"\\geq",equals:"=",approx:"\\approx",NotEqual:"\\ne",sub:"\\subset",sup:"\\supset",sube:"\\subseteq",supe:"\\supseteq",nsub:"\\not\\subset",nsup:"\\not\\supset",nsube:"\\not\\subseteq",nsupe:"\\not\\supseteq",propto:"\\propto",parallel:"\\parallel",npar:"\\nparallel",asympeq:"\\asymp",isin:"\\in",notin:"\\notin",exist:"\\exists",nexist:"\\nexists",perp:"\\perp",angle:"\\angle",angmsd:"\\measuredangle",Leftarrow:"\\Leftarrow",Rightarrow:"\\Rightarrow",Leftrightarrow:"\\Leftrightarrow",rightarrow:"\\to",leftarrow:"\\gets",leftrightarrow:"\\leftrightarrow",longrightarrow:"\\longrightarrow",longleftarrow:"\\longleftarrow",longleftrightarrow:"\\longleftrightarrow",uparrow:"\\uparrow",downarrow:"\\downarrow",updownarrow:"\\updownarrow",PartialD:"\\partial",hbar:"\\hbar",real:"\\Re",nabla:"\\nabla",infin:"\\infty"},functionComponentMap={lim:Limit,sqrt:Sqrt,nsqrt:NthRoot,sub:Subscript,sup:Superscript,subsup:SubSupRight,frac:Fraction};class MJXGUI{constructor(t,a=function(t,a){},e={}){this.selector=t,this.elements=document.querySelectorAll(t),this.options=e,this.mathDelimiter=this.options.mathDelimiter||"$$",this.isPersistent=e.isPersistent||!1,this.successCallback=a,this.eqnHistory=[],this.expression=new Expression,this.isMobileDevice="ontouchstart"in document.documentElement,this.pseudoMobileKeyboard=null,this.showUI=()=>{this.editorWindow.style.display="block",this.editorWindow.dataset.visible="true"},this.hideUI=()=>{this.editorWindow.removeAttribute("style"),this.editorWindow.dataset.visible="false"},(this.elements instanceof String||"string"==typeof this.elements)&&(this.elements=document.querySelectorAll(this.elements)),this.constructUI(),this.cursor=new Cursor(this.expression,this.eqnDisplay),this.elements.forEach(t=>{t.addEventListener("click",this.showUI)}),document.addEventListener("keydown",t=>{"false"!==this.editorWindow.dataset.visible&&(MathJax.typesetClear([this.eqnDisplay]),this.cursor.keyPress(t),this.eqnDisplay.innerHTML=this.mathDelimiter+this.cursor.toDisplayLatex()+this.mathDelimiter,MathJax.typesetPromise([this.eqnDisplay]).then(()=>{}))});const s=this.editorWindow.querySelectorAll(".mjxgui-operator, .mjxgui-greek-letter"),i=this.editorWindow.querySelectorAll(".mjxgui-function");s.forEach(a=>{a.addEventListener("click",()=>{var t;a.dataset.latexData in symbolLatexMap&&(t=new MJXGUISymbol(this.cursor.block,symbolLatexMap[a.dataset.latexData]),this.cursor.addComponent(t),this.cursor.updateDisplay())})}),i.forEach(a=>{a.addEventListener("click",()=>{let t;"null"!==a.dataset.templateType?"three"===a.dataset.templateType?t=new TemplateThreeBlockComponent(this.cursor.block,a.dataset.latexData):"trigonometric"===a.dataset.templateType&&(t=new TrigonometricTwoBlockComponent(this.cursor.block,a.dataset.latexData)):t=new functionComponentMap[a.dataset.functionId](this.cursor.block),this.cursor.addComponent(t),this.cursor.updateDisplay()})})}constructUI(){const t=document.createElement("div");t.classList.add("_mjxgui_editor_window"),t.dataset.visible="false",t.innerHTML='<div class="mjxgui_editor_controls"><div style="cursor: pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="mjxgui_close_button_svg" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></div><div class="mjxgui_clear_save_buttons"><span class="mjxgui_button_container _mjxgui_clear_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-trash" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="4" y1="7" x2="20" y2="7"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/><path d="M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12"/><path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3"/></svg> </span><span class="mjxgui_button_container _mjxgui_save_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-check" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l5 5l10 -10"/></svg></span></div></div><div class="_mjxgui_tab_container_container"><div class="mjxgui_tab_container" data-tab="1">&alpha; Letters</div><div class="mjxgui_tab_container" data-tab="2">&plusmn; Symbols</div><div class="mjxgui_tab_container" data-tab="3">&Sigma; Functions</div></div><div class="mjxgui_tab _mjxgui_letters_tab" style="display: flex;" data-tab="1"><span class="mjxgui-btn mjxgui-greek-letter" title="Alpha" data-latex-data="Alpha">&Alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Beta" data-latex-data="Beta">&Beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Gamma" data-latex-data="Gamma">&Gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Delta" data-latex-data="Delta">&Delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Epsilon" data-latex-data="Epsilon">&Epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Zeta" data-latex-data="Zeta">&Zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Eta" data-latex-data="Eta">&Eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Theta" data-latex-data="Theta">&Theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Iota" data-latex-data="Iota">&Iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Kappa" data-latex-data="Kappa">&Kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Lambda" data-latex-data="Lambda">&Lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Mu" data-latex-data="Mu">&Mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Nu" data-latex-data="Nu">&Nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Xi" data-latex-data="Xi">&Xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omicron" data-latex-data="Omicron">&Omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Pi" data-latex-data="Pi">&Pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Rho" data-latex-data="Rho">&Rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Sigma" data-latex-data="Sigma">&Sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Tau" data-latex-data="Tau">&Tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Upsilon" data-latex-data="Upsilon">&Upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Phi" data-latex-data="Phi">&Phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Chi" data-latex-data="Chi">&Chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Psi" data-latex-data="Psi">&Psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omega" data-latex-data="Omega">&Omega;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="alpha" data-latex-data="alpha">&alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="beta" data-latex-data="beta">&beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="gamma" data-latex-data="gamma">&gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="delta" data-latex-data="delta">&delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="epsilon" data-latex-data="epsilon">&epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="zeta" data-latex-data="zeta">&zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="eta" data-latex-data="eta">&eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="theta" data-latex-data="theta">&theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="iota" data-latex-data="iota">&iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="kappa" data-latex-data="kappa">&kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="lambda" data-latex-data="lambda">&lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="mu" data-latex-data="mu">&mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="nu" data-latex-data="nu">&nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="xi" data-latex-data="xi">&xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omicron" data-latex-data="omicron">&omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="pi" data-latex-data="pi">&pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="rho" data-latex-data="rho">&rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="sigma" data-latex-data="sigma">&sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="tau" data-latex-data="tau">&tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="upsilon" data-latex-data="upsilon">&upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="phi" data-latex-data="phi">&phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="chi" data-latex-data="chi">&chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="psi" data-latex-data="psi">&psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omega" data-latex-data="omega">&omega;</span></div><div class="mjxgui_tab _mjxgui_symbols_tab" data-tab="2"><span class="mjxgui-btn mjxgui-operator" title="Times" data-latex-data="times">&times;</span> <span class="mjxgui-btn mjxgui-operator" title="Divide" data-latex-data="div">&div;</span> <span class="mjxgui-btn mjxgui-operator" title="Center dot" data-latex-data="centerdot">&centerdot;</span> <span class="mjxgui-btn mjxgui-operator" title="Plus-minus" data-latex-data="plusmn">&plusmn;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than" data-latex-data="lt">&lt;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than" data-latex-data="gt">&gt;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than or equal to" data-latex-data="leq">&leq;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than or equal to" data-latex-data="GreaterEqual">&GreaterEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Equals" data-latex-data="equals">&equals;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximate" data-latex-data="approx">&approx;</span> <span class="mjxgui-btn mjxgui-operator" title="Not equal" data-latex-data="NotEqual">&NotEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Minus-plus" data-latex-data="mnplus">&mnplus;</span> <span class="mjxgui-btn mjxgui-operator" title="Star" data-latex-data="starf">&starf;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cup" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cap" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-operator" title="Cup" data-latex-data="cup">&cup;</span> <span class="mjxgui-btn mjxgui-operator" title="Cap" data-latex-data="cap">&cap;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of" data-latex-data="sub">&sub;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of" data-latex-data="sup">&sup;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of or equal to" data-latex-data="sube">&sube;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of or equal to" data-latex-data="supe">&supe;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of" data-latex-data="nsub">&nsub;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of" data-latex-data="nsup">&nsup;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of or equal to" data-latex-data="nsube">&nsube;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of or equal to" data-latex-data="nsupe">&nsupe;</span> <span class="mjxgui-btn mjxgui-operator" title="Proportional to" data-latex-data="propto">&propto;</span> <span class="mjxgui-btn mjxgui-operator" title="Parallel to" data-latex-data="parallel">&parallel;</span> <span class="mjxgui-btn mjxgui-operator" title="Not parallel to" data-latex-data="npar">&npar;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximately equal to" data-latex-data="asympeq">&asympeq;</span> <span class="mjxgui-btn mjxgui-operator" title="Element of" data-latex-data="isin">&isin;</span> <span class="mjxgui-btn mjxgui-operator" title="Not an element of" data-latex-data="notin">&notin;</span> <span class="mjxgui-btn mjxgui-operator" title="There exists" data-latex-data="exist">&exist;</span> <span class="mjxgui-btn mjxgui-operator" title="There does not exists" data-latex-data="nexist">&nexist;</span> <span class="mjxgui-btn mjxgui-operator" title="Perpendicular to" data-latex-data="perp">&perp;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (left)" data-latex-data="Leftarrow">&Leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (right)" data-latex-data="Rightarrow">&Rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="If and only if (iff)" data-latex-data="Leftrightarrow">&Leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Angle" data-latex-data="angle">&angle;</span> <span class="mjxgui-btn mjxgui-operator" title="Measured angle" data-latex-data="angmsd">&angmsd;</span> <span class="mjxgui-btn mjxgui-operator" title="Right arrow" data-latex-data="rightarrow">&rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left arrow" data-latex-data="leftarrow">&leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left right arrow" data-latex-data="leftrightarrow">&leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long right arrow" data-latex-data="longrightarrow">&longrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left arrow" data-latex-data="longleftarrow">&longleftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left right arrow" data-latex-data="longleftrightarrow">&longleftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up arrow" data-latex-data="uparrow">&uparrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Down arrow" data-latex-data="downarrow">&downarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up down arrow" data-latex-data="updownarrow">&updownarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Partial derivative" data-latex-data="PartialD">&PartialD;</span> <span class="mjxgui-btn mjxgui-operator" title="Reduced plank constant (h-bar)" data-latex-data="hbar">&hbar;</span> <span class="mjxgui-btn mjxgui-operator" title="Real part symbol" data-latex-data="real">&real;</span> <span class="mjxgui-btn mjxgui-operator" title="Nabla, del operator" data-latex-data="nabla">&nabla;</span> <span class="mjxgui-btn mjxgui-operator" title="Infinity symbol" data-latex-data="infin">&infin;</span></div><div class="mjxgui_tab _mjxgui_functions_tab" data-tab="3"><span class="mjxgui-btn mjxgui-function" title="Summation" data-template-type="three" data-latex-data="sum">&Sigma;</span> <span class="mjxgui-btn mjxgui-function" title="Integral" data-template-type="three" data-latex-data="int">&int;</span> <span class="mjxgui-btn mjxgui-function" title="Double integral" data-template-type="three" data-latex-data="iint">&#8748</span> <span class="mjxgui-btn mjxgui-function" title="Triple integral" data-template-type="three" data-latex-data="iiint">&iiint;</span> <span class="mjxgui-btn mjxgui-function" title="Contour integral" data-template-type="three" data-latex-data="oint">&oint;</span> <span class="mjxgui-btn mjxgui-function" title="Product" data-template-type="three" data-latex-data="prod">&Pi;</span> <span class="mjxgui-btn mjxgui-function" title="Co product" data-template-type="three" data-latex-data="coprod">&coprod;</span> <span class="mjxgui-btn mjxgui-function" title="Big cup (union)" data-template-type="three" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-function" title="Big cap (intersection)" data-template-type="three" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-function" title="Big vee (logical OR)" data-template-type="three" data-latex-data="bigvee">&bigvee;</span> <span class="mjxgui-btn mjxgui-function" title="Big wedge (logical AND)" data-template-type="three" data-latex-data="bigwedge">&bigwedge;</span> <span class="mjxgui-btn mjxgui-function" title="Limit" data-template-type="null" data-function-id="lim"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" font-weight="500" text-anchor="middle" transform="matrix(.75 0 0 .75 279.5 326.267)"><tspan x="0">lim</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Square root" data-template-type="null" data-function-id="sqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path fill="none" fill-rule="evenodd" stroke-width="10.125" d="M288.978 190.824H495.53v206.552H288.978V190.824z"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Nth root" data-template-type="null" data-function-id="nsqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2,.cls-3{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}.cls-3{fill:none;stroke-width:10.125px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path d="M288.978 190.824H495.53v206.552H288.978V190.824z" class="cls-3"/><path id="Rectangle_1_copy" d="M69.42 178.744h90.512v90.512H69.42v-90.512z" class="cls-3" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript" data-template-type="null" data-function-id="sub"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 82.836h285.083v285.083H27.09V82.836z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 295.421h169.985V465.41H362.8V295.421z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Superscript" data-template-type="null" data-function-id="sup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 468.164h285.083V183.081H27.09v285.083z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 255.579h169.985V85.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript and Superscript" data-template-type="null" data-function-id="subsup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M34.7 413.554h267.862V145.693H34.7v267.861z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 243.579h169.985V73.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Rectangle_1_copy_2" d="M533.2 487.579H363.215V317.59H533.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Fraction" data-template-type="null" data-function-id="frac"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;fill-rule:evenodd;stroke-width:12.875px}</style></defs><path id="Rectangle_1_copy" d="M193.8 225.579h169.985V55.59H193.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Line_1" fill="none" fill-rule="evenodd" stroke="#000" stroke-width="10.125" d="M124 284v-1h295v1H124z" data-name="Line 1"/><path id="Rectangle_1_copy_2" d="M364.2 528.579H194.215V358.59H364.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Sine" data-template-type="trigonometric" data-latex-data="sin"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosine" data-template-type="trigonometric" data-latex-data="cos"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Tangent" data-template-type="trigonometric" data-latex-data="tan"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">tan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosecant" data-template-type="trigonometric" data-latex-data="csc"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">csc</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Secant" data-template-type="trigonometric" data-latex-data="sec"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sec</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cotangent" data-template-type="trigonometric" data-latex-data="cot"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cot</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse sine" data-template-type="trigonometric" data-latex-data="arcsin"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arcsin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse cosine" data-template-type="trigonometric" data-latex-data="arccos"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arccos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse tanget" data-template-type="trigonometric" data-latex-data="arctan"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arctan</tspan></text></svg></span></div><div style="text-align: center;"><button class="_mjxgui_dir_btn leftArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-left" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M5 12l6 6"/><path d="M5 12l6 -6"/></svg></button> <button class="_mjxgui_dir_btn rightArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-right" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M13 18l6 -6"/><path d="M13 6l6 6"/></svg></button></div><div class="_mjxgui_editor_display"></div>',"dark"===this.options.theme?.toLowerCase().trim()&&t.classList.add("_mjxgui_dark_theme"),this.editorWindow=t,this.eqnDisplay=t.querySelector("._mjxgui_editor_display"),this.eqnDisplay.innerHTML=`${this.mathDelimiter} | ${this.mathDelimiter}`,this.pseudoMobileKeyboard=t.querySelector(".mjxgui-pseudo-mobile-keyboard");const a=t.querySelectorAll(".mjxgui_tab_container"),e=t.querySelectorAll(".mjxgui_tab"),s=t.querySelector(".leftArrowButton"),i=t.querySelector(".rightArrowButton");s.addEventListener("click",()=>{this.cursor.seekLeft(),this.cursor.updateDisplay()}),i.addEventListener("click",()=>{this.cursor.seekRight(),this.cursor.updateDisplay()}),a.forEach(a=>{a.addEventListener("click",function(){e.forEach(t=>{t.dataset.tab===a.dataset.tab?t.style.display="flex":t.removeAttribute("style")})})}),a[0].classList.add("_mjxgui_active_tab"),a.forEach(t=>{t.addEventListener("click",()=>{a.forEach(t=>{t.classList.remove("_mjxgui_active_tab")}),t.classList.add("_mjxgui_active_tab")})});const n=t.querySelector(".mjxgui_close_button_svg");n.addEventListener("click",this.hideUI);const o=t.querySelector("._mjxgui_clear_equation");o.addEventListener("click",()=>{this.clearEquation()});const l=t.querySelector("._mjxgui_save_equation");l.addEventListener("click",()=>{this.successCallback(this.getLatex(),this),this.hideUI(),this.isPersistent||this.clearEquation()}),document.body.appendChild(t)}clearEquation(){this.eqnHistory.push(this.expression),this.expression=new Expression,this.cursor.expression=this.expression,this.cursor.block=null,this.cursor.component=null,this.cursor.child=-.5,this.cursor.position=-.5,this.cursor.latex="",this.cursor.updateDisplay()}getLatex(){return this.cursor.toLatex()}rebindListeners(){this.elements.forEach(t=>{t.removeEventListener("click",this.showUI)}),this.elements=document.querySelectorAll(this.selector),this.elements.forEach(t=>{t.addEventListener("click",this.showUI)})}registerFunction(t,a,e="",s=!1){const i=document.createElement("span");i.classList.add("mjxgui-btn","mjxgui-function"),i.title=e,i.dataset.templateType="user-defined",i.dataset.functionId="user-defined",i.innerHTML=a,this.editorWindow.querySelector("._mjxgui_functions_tab").appendChild(i),s&&MathJax.typesetPromise([i]).then(()=>{}),i.addEventListener("click",()=>{this.cursor.addComponent(new t),this.cursor.updateDisplay()})}registerSymbol(a,t,e="",s=!1){const i=document.createElement("span");i.classList.add("mjxgui-btn","mjxgui-symbol"),i.title=e,i.dataset.latexData=a,i.innerHTML=t,this.editorWindow.querySelector("._mjxgui_symbols_tab").appendChild(i),s&&MathJax.typesetPromise([i]).then(()=>{}),i.addEventListener("click",()=>{var t=new MJXGUISymbol(this.cursor.block,a);this.cursor.addComponent(t),this.cursor.updateDisplay()})}static createEquationInput(t,a={}){void 0===a.isPersistent&&(a.isPersistent=!0);var s=document.querySelectorAll(t);for(let t=0;t<s.length;t++){let e=s[t];e.style.display="none",e.value="";const i=document.createElement("div");i.classList.add("_mjxgui_equation_input_wrapper"),i.innerHTML='<div class="_mjxgui_equation_input"><button type="button" class="_mjxgui_insert_equation_button">Add Equation</button><div class="_mjxgui_equation_input_preview"></div></div>',e.insertAdjacentElement("afterend",i);const n=i.querySelector("._mjxgui_equation_input"),o=i.querySelector("._mjxgui_insert_equation_button"),l=i.querySelector("._mjxgui_equation_input_preview");o.id=`_mjxgui_insert_equation_button_${t}`;const r=new MJXGUI(`#_mjxgui_insert_equation_button_${t}`,function(){},a);r.successCallback=function(t,a){0<t.length?(e.value=t,MathJax.typesetClear([l]),l.innerHTML=`$ ${t} $`,MathJax.typesetPromise([l]).then(()=>{}),o.textContent="Edit"):(e.value="",MathJax.typesetClear([l]),l.innerHTML="",o.textContent="Add Equation"),e.validity.valid?(n.classList.remove("_mjxgui_equation_input_invalid"),n.classList.add("_mjxgui_equation_input_valid")):(n.classList.add("_mjxgui_equation_input_invalid"),n.classList.remove("_mjxgui_equation_input_valid"))}}}}
\ No newline at end of file
+/*! mjxgui 2026-10-19 | (C) Hrushikesh Vaidya (@hrushikeshrv) | MIT License */
+const expressionJSONVersion=1,componentRegistry={};function registerComponent(t,e=t.name){componentRegistry[e]=t}function getComponentType(t){for(var e in componentRegistry)if(componentRegistry[e]===t)return e;return t.name}const largeOperatorUnicodeMap={sum:"∑",int:"∫",iint:"∬",iiint:"∭",oint:"∮",prod:"∏",coprod:"∐",bigcup:"⋃",bigcap:"⋂",bigvee:"⋁",bigwedge:"⋀"};function escapeXML(t){return t.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")}function latexAnnotationMathML(t){return`<semantics><mrow></mrow>${`<annotation encoding="application/x-tex">${escapeXML(t.toLatex())}</annotation>`}</semantics>`}function implementsSerializer(t,e){let i=Object.getPrototypeOf(t);for(;null!==i&&!i.hasOwnProperty(e);){if(i.hasOwnProperty("toLatex"))return!1;i=Object.getPrototypeOf(i)}return null!==i}function componentToMathML(t){return implementsSerializer(t,"toMathML")?t.toMathML():latexAnnotationMathML(t)}function sequenceToMathML(t){let e="",i="";for(var a of t){var n="string"==typeof a?a:a instanceof TextComponent?a.toLatex():null;null!==n&&/^[0-9.]$/.test(n)?i+=n:(i&&(e+=`<mn>${i}</mn>`,i=""),e+=("string"==typeof a?textToMathML:componentToMathML)(a))}return i&&(e+=`<mn>${i}</mn>`),e}const largeOperatorAsciiMathMap={sum:"sum",int:"int",iint:"iint",iiint:"iiint",oint:"oint",prod:"prod",coprod:"∐",bigcup:"uuu",bigcap:"nnn",bigvee:"vvv",bigwedge:"^^^"};function componentToAsciiMath(t){return implementsSerializer(t,"toAsciiMath")?t.toAsciiMath():`"${t.toLatex()}"`}function sequenceToAsciiMath(t){let e="",i="";for(var a of t){a="string"==typeof a?a:componentToAsciiMath(a);!e||/[0-9.]$/.test(i)&&/^[0-9.]$/.test(a)||(e+=" "),e+=a,i=a}return e}function blockToAsciiMathGroup(t){var e=t.children[0];return 1===t.children.length&&(e instanceof TextComponent||e instanceof MJXGUISymbol||e instanceof Matrix)?t.toAsciiMath():`{:${t.toAsciiMath()}:}`}function textToMathML(t){return/^[0-9]+$/.test(t)?`<mn>${t}</mn>`:/^[a-zA-Z]+$/.test(t)?`<mi>${t}</mi>`:`<mo>${escapeXML(t)}</mo>`}function isLetterLike(t){return/^[\u0370-\u03ff∂ℏℜ∞A-Za-z]$/.test(t)}const unicodeSuperscriptMap={0:"⁰",1:"¹",2:"²",3:"³",4:"⁴",5:"⁵",6:"⁶",7:"⁷",8:"⁸",9:"⁹","+":"⁺","-":"⁻","=":"⁼","(":"⁽",")":"⁾",n:"ⁿ",i:"ⁱ"},unicodeSubscriptMap={0:"₀",1:"₁",2:"₂",3:"₃",4:"₄",5:"₅",6:"₆",7:"₇",8:"₈",9:"₉","+":"₊","-":"₋","=":"₌","(":"₍",")":"₎"};function componentToUnicode(t){return implementsSerializer(t,"toUnicode")?t.toUnicode():t.toLatex()}function sequenceToUnicode(t){let e="";for(var i of t)e+="string"==typeof i?i:componentToUnicode(i);return e}function isUnicodeOperand(e){if(e instanceof TextComponent){var t=e.toLatex();return/^[0-9.]$/.test(t)||isLetterLike(t)}if(e instanceof MJXGUISymbol){t=symbolLatexToUnicode(e.latexData);return null!==t&&isLetterLike(t)}return[Sqrt,NthRoot,Superscript,Subscript,SubSupRight,FrameBox].some(t=>e.constructor===t)}function isParenthesized(e){if(!e.startsWith("(")||!e.endsWith(")"))return!1;let i=0;for(let t=0;t<e.length;t++)if("("===e[t]?i++:")"===e[t]&&i--,0===i&&t<e.length-1)return!1;return!0}function blockToUnicodeOperand(t,e=!1){var i=t.toUnicode();if(0===t.children.length||isParenthesized(i))return i;let a=!t.children.every(t=>"string"==typeof t||isUnicodeOperand(t));return e&&!/^[0-9.]+$/.test(i)&&(e=t.children[0],a=a||1<t.children.length||e instanceof Superscript||e instanceof Subscript||e instanceof SubSupRight),a?`(${i})`:i}function blockToUnicodeBody(t){return 1===t.children.length?t.toUnicode():blockToUnicodeOperand(t)}function scriptToUnicode(t,e,i){t=t.toUnicode();if(""===t)return"";const a=[...t];return a.every(t=>t in e)?a.map(t=>e[t]).join(""):1===a.length||isParenthesized(t)?`${i}${t}`:`${i}(${t})`}const matrixDelimiters={matrix:["",""],pmatrix:["(",")"],bmatrix:["[","]"],Bmatrix:["{","}"],vmatrix:["|","|"]},delimiterKinds={parentheses:["(",")"],brackets:["[","]"],braces:["\\{","\\}"],angles:["\\langle","\\rangle"],bars:["|","|"],doubleBars:["\\|","\\|"],floor:["\\lfloor","\\rfloor"],ceil:["\\lceil","\\rceil"],none:[".","."]},delimiterUnicodeMap={"(":"(",")":")","[":"[","]":"]","\\{":"{","\\}":"}","\\langle":"⟨","\\rangle":"⟩","|":"|","\\|":"‖","\\lfloor":"⌊","\\rfloor":"⌋","\\lceil":"⌈","\\rceil":"⌉",".":""},delimiterAsciiMathMap={"(":"(",")":")","[":"[","]":"]","\\{":"{","\\}":"}","\\langle":"(:","\\rangle":":)","|":"|","\\|":"||","\\lfloor":"|__","\\rfloor":"__|","\\lceil":"|~","\\rceil":"~|"},accentMap={hat:{mathML:"^",asciiMath:"hat",unicode:"̂",identifier:"hat"},bar:{mathML:"¯",asciiMath:"bar",unicode:"̄",identifier:"bar"},vec:{mathML:"→",asciiMath:"vec",unicode:"⃗",identifier:"vec"},dot:{mathML:"˙",asciiMath:"dot",unicode:"̇",identifier:"dot"},ddot:{mathML:"¨",asciiMath:"ddot",unicode:"̈",identifier:"ddot"},tilde:{mathML:"~",asciiMath:"tilde",unicode:"̃",identifier:"tilde"},overline:{mathML:"‾",asciiMath:"overline",unicode:"̅",identifier:"bar",stretchy:!0},overrightarrow:{mathML:"→",asciiMath:"vec",unicode:"⃗",identifier:"vec",stretchy:!0}},fontStyleMap={mathbb:{mathvariant:"double-struck",asciiMath:"bbb",identifier:"bb",word:"blackboard bold",upper:120120,lower:120146,digit:120792,exceptions:{C:"ℂ",H:"ℍ",N:"ℕ",P:"ℙ",Q:"ℚ",R:"ℝ",Z:"ℤ"}},mathbf:{mathvariant:"bold",asciiMath:"bb",identifier:"bold",word:"bold",upper:119808,lower:119834,digit:120782,exceptions:{}},mathcal:{mathvariant:"script",asciiMath:"cc",identifier:"cal",word:"calligraphic",upper:119964,lower:119990,digit:null,exceptions:{B:"ℬ",E:"ℰ",F:"ℱ",H:"ℋ",I:"ℐ",L:"ℒ",M:"ℳ",R:"ℛ",e:"ℯ",g:"ℊ",o:"ℴ"}},mathfrak:{mathvariant:"fraktur",asciiMath:"fr",identifier:"frak",word:"fraktur",upper:120068,lower:120094,digit:null,exceptions:{C:"ℭ",H:"ℌ",I:"ℑ",R:"ℜ",Z:"ℨ"}},mathrm:{mathvariant:"normal",asciiMath:"rm",identifier:"",word:"roman",upper:null,lower:null,digit:null,exceptions:{}}};function styleToUnicode(t,e){const{upper:i,lower:a,digit:n,exceptions:s}=fontStyleMap[e];return[...t].map(t=>{if(t in s)return s[t];let e=null;return/[A-Z]/.test(t)&&(e=null===i?null:i+t.charCodeAt(0)-65),/[a-z]/.test(t)&&(e=null===a?null:a+t.charCodeAt(0)-97),/[0-9]/.test(t)&&(e=null===n?null:n+t.charCodeAt(0)-48),null===e?t:String.fromCodePoint(e)}).join("")}function colorToLatex(t){return/^#[0-9a-fA-F]{6}$/.test(t)?`[HTML]{${t.slice(1)}}`:`{${t}}`}const differentialSymbols={d:{latex:"d",mathML:'<mi mathvariant="normal">d</mi>',asciiMath:"d",unicode:"d"},partial:{latex:"\\partial",mathML:"<mo>∂</mo>",asciiMath:"del",unicode:"∂"}};function derivativeOrderTerms(t){const e=[];let i=0;for(var a of t){var n;a instanceof FrameBox||(""===(n=a.toLatex())?i++:/^[0-9]+$/.test(n)?i+=Number(n):e.push(a))}return 0===i?e:[...e,i]}function isFirstOrder(t){return["","1"].includes(t.toLatex())}const textModeEscapes={"\\":"\\textbackslash{}","{":"\\{","}":"\\}",$:"\\$","#":"\\#","%":"\\%","&":"\\&",_:"\\_","^":"\\^{}","~":"\\~{}"};function escapeTextMode(t){return[...t].map(t=>textModeEscapes[t]??t).join("")}function textRunPieces(t){const e=[];for(var i of t.children){var a=i instanceof TextComponent?i.blocks[0].children.join(""):null;null===a?e.push(i):"string"==typeof e[e.length-1]?e[e.length-1]+=a:e.push(a)}return e}const chemistryArrows={"->":"→","<-":"←","<->":"↔","<=>":"⇌"},chemistryWords={"+":{kind:"plus",symbol:"+"},"^":{kind:"gas",symbol:"↑"},v:{kind:"precipitate",symbol:"↓"}};function chemistryTokens(t){const e=t.replace(/<=>|<->|->|<-/g," $& ").split(/\s+/).filter(t=>""!==t);return e.map(t=>t in chemistryArrows?{kind:"arrow",symbol:chemistryArrows[t]}:t in chemistryWords?chemistryWords[t]:{kind:"formula",atoms:chemistryFormulaAtoms(t)})}function chemistryFormulaAtoms(e){const i=[];var a=(t,e)=>i.push({kind:t,text:e,subscript:"",charge:""});let n=0;for(;n<e.length;){var s=e.slice(n);const o=i[i.length-1];let t;(t=/^\((aq|s|l|g)\)/.exec(s))?a("state",t[0]):(t=/^[0-9]+/.exec(s))?o&&["element","bracket"].includes(o.kind)&&"("!==o.text&&!o.subscript?o.subscript=t[0]:a("number",t[0]):o&&(t=/^\^(?:\{([^}]*)\}|([0-9]*[+-]|[0-9]+))/.exec(s))?o.charge=t[1]??t[2]:o&&(t=/^[+-](?=$|\((aq|s|l|g)\))/.exec(s))?o.charge=t[0]:(t=/^[A-Z][a-z]?/.exec(s))?a("element",t[0]):(t=/^[()[\]]/.exec(s))?a("bracket",t[0]):(t=/^[*.·]/.exec(s))?a("dot","·"):(t=[s[0]],a("text",s[0])),n+=t[0].length}return i}const siPrefixes={Q:{latex:"Q",siunitx:"\\quetta",name:"quetta"},R:{latex:"R",siunitx:"\\ronna",name:"ronna"},Y:{latex:"Y",siunitx:"\\yotta",name:"yotta"},Z:{latex:"Z",siunitx:"\\zetta",name:"zetta"},E:{latex:"E",siunitx:"\\exa",name:"exa"},P:{latex:"P",siunitx:"\\peta",name:"peta"},T:{latex:"T",siunitx:"\\tera",name:"tera"},G:{latex:"G",siunitx:"\\giga",name:"giga"},M:{latex:"M",siunitx:"\\mega",name:"mega"},k:{latex:"k",siunitx:"\\kilo",name:"kilo"},h:{latex:"h",siunitx:"\\hecto",name:"hecto"},da:{latex:"da",siunitx:"\\deca",name:"deca"},d:{latex:"d",siunitx:"\\deci",name:"deci"},c:{latex:"c",siunitx:"\\centi",name:"centi"},m:{latex:"m",siunitx:"\\milli",name:"milli"},"µ":{latex:"\\mu ",siunitx:"\\micro",name:"micro"},n:{latex:"n",siunitx:"\\nano",name:"nano"},p:{latex:"p",siunitx:"\\pico",name:"pico"},f:{latex:"f",siunitx:"\\femto",name:"femto"},a:{latex:"a",siunitx:"\\atto",name:"atto"},z:{latex:"z",siunitx:"\\zepto",name:"zepto"},y:{latex:"y",siunitx:"\\yocto",name:"yocto"},r:{latex:"r",siunitx:"\\ronto",name:"ronto"},q:{latex:"q",siunitx:"\\quecto",name:"quecto"}},siUnits={m:{latex:"m",siunitx:"\\meter",name:"meter"},g:{latex:"g",siunitx:"\\gram",name:"gram"},s:{latex:"s",siunitx:"\\second",name:"second"},A:{latex:"A",siunitx:"\\ampere",name:"ampere"},K:{latex:"K",siunitx:"\\kelvin",name:"kelvin"},mol:{latex:"mol",siunitx:"\\mole",name:"mole"},cd:{latex:"cd",siunitx:"\\candela",name:"candela"},Hz:{latex:"Hz",siunitx:"\\hertz",name:"hertz",plural:"hertz"},N:{latex:"N",siunitx:"\\newton",name:"newton"},Pa:{latex:"Pa",siunitx:"\\pascal",name:"pascal"},J:{latex:"J",siunitx:"\\joule",name:"joule"},W:{latex:"W",siunitx:"\\watt",name:"watt"},C:{latex:"C",siunitx:"\\coulomb",name:"coulomb"},V:{latex:"V",siunitx:"\\volt",name:"volt"},F:{latex:"F",siunitx:"\\farad",name:"farad"},"Ω":{latex:"\\Omega ",siunitx:"\\ohm",name:"ohm"},S:{latex:"S",siunitx:"\\siemens",name:"siemens",plural:"siemens"},Wb:{latex:"Wb",siunitx:"\\weber",name:"weber"},T:{latex:"T",siunitx:"\\tesla",name:"tesla"},H:{latex:"H",siunitx:"\\henry",name:"henry",plural:"henries"},lm:{latex:"lm",siunitx:"\\lumen",name:"lumen"},lx:{latex:"lx",siunitx:"\\lux",name:"lux",plural:"lux"},Bq:{latex:"Bq",siunitx:"\\becquerel",name:"becquerel"},Gy:{latex:"Gy",siunitx:"\\gray",name:"gray"},Sv:{latex:"Sv",siunitx:"\\sievert",name:"sievert"},kat:{latex:"kat",siunitx:"\\katal",name:"katal"},rad:{latex:"rad",siunitx:"\\radian",name:"radian"},sr:{latex:"sr",siunitx:"\\steradian",name:"steradian"},"°C":{latex:"{}^{\\circ}C",siunitx:"\\degreeCelsius",name:"degree Celsius",plural:"degrees Celsius",prefixes:!1},L:{latex:"L",siunitx:"\\liter",name:"liter"},t:{latex:"t",siunitx:"\\tonne",name:"tonne",prefixes:!1},eV:{latex:"eV",siunitx:"\\electronvolt",name:"electronvolt"},bar:{latex:"bar",siunitx:"\\bar",name:"bar"},min:{latex:"min",siunitx:"\\minute",name:"minute",prefixes:!1},h:{latex:"h",siunitx:"\\hour",name:"hour",prefixes:!1},d:{latex:"d",siunitx:"\\day",name:"day",prefixes:!1},"°":{latex:"{}^{\\circ}",siunitx:"\\degree",name:"degree",prefixes:!1},"%":{latex:"\\%",siunitx:"\\percent",name:"percent",plural:"percent",prefixes:!1}},siUnitAliases={ohm:"Ω",degC:"°C",deg:"°",l:"L"},siPrefixAliases={u:"µ","μ":"µ"};function parseUnits(t){const e=t.replace(/\s*\/\s*/g," /").split(/[\s.*·]+/).filter(t=>""!==t);return e.map(t=>{var e=/^(\/?)([^^/]+)(?:\^(?:\{([+-]?[0-9]+)\}|([+-]?[0-9]+)))?$/.exec(t),i=e&&findUnit(e[2]);if(!i)return{text:t,prefix:null,unit:null,power:1};var a=Number(e[3]??e[4]??1);return{text:t,...i,power:e[1]?-a:a}})}function findUnit(t){if((t=siUnitAliases[t]??t)in siUnits)return{prefix:"",unit:t};for(var e of[...Object.keys(siPrefixes),...Object.keys(siPrefixAliases)])if(t.startsWith(e)){var i=siUnitAliases[t.slice(e.length)]??t.slice(e.length);if(i in siUnits&&!1!==siUnits[i].prefixes)return{prefix:siPrefixAliases[e]??e,unit:i}}return null}function unitToSiunitx(t){if(null===t.unit)return t.text;var e=Math.abs(t.power),i=siPrefixes[t.prefix]?.siunitx??"";let a=`${t.power<0?"\\per":""}${i}${siUnits[t.unit].siunitx}`;return 2===e?a+="\\squared":3===e?a+="\\cubed":1!==e&&(a+=`\\tothe{${e}}`),a}function generatePreviewLatex(t){const a=[],e=i=>{i.forEach((t,e)=>{t instanceof Component&&(t instanceof Quantity?a.push({children:i,index:e,quantity:t}):t.blocks.forEach(n))})},n=t=>t instanceof Block?e(t.children):t.blocks.forEach(n);e(t.components);for(var{children:i,index:s,quantity:o}of a)i[s]=new MJXGUISymbol(o.parent,o.toPreviewLatex());try{return t.toLatex()}finally{for(var{children:r,index:l,quantity:c}of a)r[l]=c}}class Expression{constructor(t=0){this.components=[],this.nestingDepth=t}add(t,e=this.components.length){this.components.splice(e,0,t)}remove(t=this.components.length-1){this.components.splice(t,1)}toLatex(){let t="";for(var e of this.components)t+=e.toLatex()+" ";return t.trim()}toMathML(){return`<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow>${sequenceToMathML(this.components)}</mrow></math>`}toAsciiMath(){return sequenceToAsciiMath(this.components)}toUnicode(){return sequenceToUnicode(this.components).trim()}evaluate(t={}){return new Evaluator(this,t).evaluate()}toSymPy(){return expressionToSymPy(this)}depthFirst(){return depthFirstComponents(this)}breadthFirst(){return breadthFirstComponents(this)}visit(t){visitExpression(this,t)}getAt(t){return getAtPath(this,t)}replaceAt(t,e){return replaceAtPath(this,t,e)}findAll(t){return findComponents(this,t)}find(t){return findComponents(this,t)[0]??null}pathOf(t){return componentPath(this,t)}variables(){return[...freeIdentifiers(new SemanticParser(this).parse())]}equals(t,e={}){return expressionsEqual(this,t,e)}diff(t,e={}){return diffExpressions(this,t,e)}toJSON(){return{version:expressionJSONVersion,nestingDepth:this.nestingDepth,components:this.components.map(t=>t.toJSON())}}static fromJSON(t){if(!(t="string"==typeof t?JSON.parse(t):t)||!Array.isArray(t.components))throw new Error("Invalid expression JSON");if(t.version>expressionJSONVersion)throw new Error(`Unsupported expression JSON version ${t.version}`);const e=new Expression(t.nestingDepth||0);for(var i of t.components)e.add(Component.fromJSON(i,null));return e}}class Block{constructor(t){this.children=[],this.parent=t}toLatex(){if(0===this.children.length)return"";let t="";for(var e of this.children)"string"==typeof e?t+=e:t+=e.toLatex()+" ";return t.trim()}toMathML(){return`<mrow>${sequenceToMathML(this.children)}</mrow>`}toAsciiMath(){return sequenceToAsciiMath(this.children)}toUnicode(){return sequenceToUnicode(this.children)}addChild(t,e=this.children.length){this.children.splice(e,0,t)}removeChild(t=this.children.length-1){this.children.splice(t,1)}toJSON(){return{children:this.children.map(t=>"string"==typeof t?t:t.toJSON())}}static fromJSON(t,e){const i=new Block(e);for(var a of t.children)i.addChild("string"==typeof a?a:Component.fromJSON(a,i));return i}}class Component{constructor(t=[],e=null){this.blocks=t,this.parent=e}toLatex(){return""}toMathML(){return latexAnnotationMathML(this)}toAsciiMath(){return`"${this.toLatex()}"`}toUnicode(){return this.toLatex()}addBlock(t,e){this.blocks.splice(e,0,t)}removeBlock(t){this.blocks.splice(t,1)}isEmpty(){for(var t of this.blocks)if(t.children.length)return!1;return!0}toJSON(){const t={type:getComponentType(this.constructor)};return void 0!==this.latexData&&(t.latexData=this.latexData),t.blocks=this.blocks.map(t=>t.toJSON()),t}restoreJSON(t){}static fromJSON(t,e=null){const i=Object.prototype.hasOwnProperty.call(componentRegistry,t.type)?componentRegistry[t.type]:void 0;if(void 0===i)throw new Error(`Unknown component type "${t.type}"`);const a=new i(e,t.latexData);return a.parent=e,a.restoreJSON(t),a.blocks=(t.blocks||[]).map(t=>Block.fromJSON(t,a)),a}}class OneBlockComponent extends Component{constructor(t){let e=new Block;super([e],t),e.parent=this}}class TwoBlockComponent extends Component{constructor(t){let e=new Block,i=new Block;super([e,i],t),e.parent=this,i.parent=this}}class ThreeBlockComponent extends Component{constructor(t){let e=new Block,i=new Block,a=new Block;super([e,i,a],t),e.parent=this,i.parent=this,a.parent=this}}class TemplateThreeBlockComponent extends ThreeBlockComponent{constructor(t,e){super(t),this.latexData=e}toLatex(){return`\\${this.latexData}_{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}{${this.blocks[2].toLatex()}}`}toMathML(){var t=largeOperatorUnicodeMap[this.latexData]||this.latexData,[e,i,a]=this.blocks.map(t=>t.toMathML());return`<mrow><munderover>${`<mo>${escapeXML(t)}</mo>${e}${i}`}</munderover>${a}</mrow>`}toAsciiMath(){let t=largeOperatorAsciiMathMap[this.latexData]||this.latexData;return this.blocks[0].children.length&&(t+=`_(${this.blocks[0].toAsciiMath()})`),this.blocks[1].children.length&&(t+=`^(${this.blocks[1].toAsciiMath()})`),`${t} ${blockToAsciiMathGroup(this.blocks[2])}`}toUnicode(){var t=largeOperatorUnicodeMap[this.latexData]||`\\${this.latexData}`;return t+=scriptToUnicode(this.blocks[0],unicodeSubscriptMap,"_"),`${t+=scriptToUnicode(this.blocks[1],unicodeSuperscriptMap,"^")} ${blockToUnicodeBody(this.blocks[2])}`}}class TrigonometricTwoBlockComponent extends TwoBlockComponent{constructor(t,e){super(t),this.latexData=e}toLatex(){return`\\${this.latexData}^{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`}toMathML(){let t=`<mi>${escapeXML(this.latexData)}</mi>`;return this.blocks[0].children.length&&(t=`<msup>${t}${this.blocks[0].toMathML()}</msup>`),`<mrow>${t}<mo>&#x2061;</mo>${this.blocks[1].toMathML()}</mrow>`}toAsciiMath(){let t=this.latexData;return this.blocks[0].children.length&&(t+=`^(${this.blocks[0].toAsciiMath()})`),`${t}(${this.blocks[1].toAsciiMath()})`}toUnicode(){var t=scriptToUnicode(this.blocks[0],unicodeSuperscriptMap,"^");const e=blockToUnicodeOperand(this.blocks[1],!0);return""!==t||e.startsWith("(")?this.latexData+t+e:`${this.latexData} ${e}`}}class TextComponent extends Component{constructor(t){let e=new Block;super([e],t),e.parent=this}toLatex(){return this.blocks[0].toLatex()}toMathML(){return sequenceToMathML(this.blocks[0].children)}toAsciiMath(){return this.blocks[0].toAsciiMath()}toUnicode(){return this.blocks[0].toUnicode()}}class MJXGUISymbol extends Component{constructor(t,e){super([],t),this.latexData=e}toLatex(){return this.latexData}toMathML(){var t=symbolLatexToUnicode(this.latexData);return null===t?latexAnnotationMathML(this):" "===t?'<mspace width="0.5em"></mspace>':isLetterLike(t)?`<mi>${t}</mi>`:`<mo>${escapeXML(t)}</mo>`}toAsciiMath(){var t=symbolLatexToAsciiMath(this.latexData);return null===t?`"${this.latexData}"`:t}toUnicode(){var t=symbolLatexToUnicode(this.latexData);return null===t?this.latexData:t}}class FrameBox extends OneBlockComponent{toLatex(){return`\\boxed{${this.blocks[0].toLatex()}}`}toMathML(){return`<menclose notation="box">${this.blocks[0].toMathML()}</menclose>`}toAsciiMath(){return`{:${this.blocks[0].toAsciiMath()}:}`}toUnicode(){return`▭(${this.blocks[0].toUnicode()})`}}class Limit extends TwoBlockComponent{toLatex(){return`\\lim_{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`}toMathML(){var[t,e]=this.blocks.map(t=>t.toMathML());return`<mrow><munder><mo>lim</mo>${t}</munder>${e}</mrow>`}toAsciiMath(){return`lim_(${this.blocks[0].toAsciiMath()}) ${blockToAsciiMathGroup(this.blocks[1])}`}toUnicode(){return`lim${scriptToUnicode(this.blocks[0],unicodeSubscriptMap,"_")} ${blockToUnicodeBody(this.blocks[1])}`}}class Fraction extends TwoBlockComponent{toLatex(){return`\\frac{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`}toMathML(){return`<mfrac>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</mfrac>`}toAsciiMath(){return`(${this.blocks[0].toAsciiMath()})/(${this.blocks[1].toAsciiMath()})`}toUnicode(){return`${blockToUnicodeOperand(this.blocks[0])}/${blockToUnicodeOperand(this.blocks[1])}`}}class Subscript extends TwoBlockComponent{toLatex(){return`{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}`}toMathML(){return`<msub>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</msub>`}toAsciiMath(){return`${blockToAsciiMathGroup(this.blocks[0])}_(${this.blocks[1].toAsciiMath()})`}toUnicode(){return blockToUnicodeOperand(this.blocks[0],!0)+scriptToUnicode(this.blocks[1],unicodeSubscriptMap,"_")}}class Superscript extends TwoBlockComponent{toLatex(){return`{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}`}toMathML(){return`<msup>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</msup>`}toAsciiMath(){return`${blockToAsciiMathGroup(this.blocks[0])}^(${this.blocks[1].toAsciiMath()})`}toUnicode(){return blockToUnicodeOperand(this.blocks[0],!0)+scriptToUnicode(this.blocks[1],unicodeSuperscriptMap,"^")}}class SubSupRight extends ThreeBlockComponent{toLatex(){return`{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}^{${this.blocks[2].toLatex()}}`}toMathML(){var[t,e,i]=this.blocks.map(t=>t.toMathML());return`<msubsup>${t}${e}${i}</msubsup>`}toAsciiMath(){var t=blockToAsciiMathGroup(this.blocks[0]),[e,i]=[this.blocks[1],this.blocks[2]].map(t=>t.toAsciiMath());return`${t}_(${e})^(${i})`}toUnicode(){return blockToUnicodeOperand(this.blocks[0],!0)+scriptToUnicode(this.blocks[1],unicodeSubscriptMap,"_")+scriptToUnicode(this.blocks[2],unicodeSuperscriptMap,"^")}}class Sqrt extends OneBlockComponent{toLatex(){return`\\sqrt{${this.blocks[0].toLatex()}}`}toMathML(){return`<msqrt>${this.blocks[0].toMathML()}</msqrt>`}toAsciiMath(){return`sqrt(${this.blocks[0].toAsciiMath()})`}toUnicode(){return`√${blockToUnicodeOperand(this.blocks[0],!0)}`}}class NthRoot extends TwoBlockComponent{toLatex(){return`\\sqrt[${this.blocks[0].toLatex()}]{${this.blocks[1].toLatex()}}`}toMathML(){return`<mroot>${this.blocks[1].toMathML()}${this.blocks[0].toMathML()}</mroot>`}toAsciiMath(){return`root(${this.blocks[0].toAsciiMath()})(${this.blocks[1].toAsciiMath()})`}toUnicode(){var t=this.blocks[0].toUnicode(),e=blockToUnicodeOperand(this.blocks[1],!0);return"3"===t?`∛${e}`:"4"===t?`∜${e}`:`√(${t}&${this.blocks[1].toUnicode()})`}}class Matrix extends Component{constructor(t,e="pmatrix",i=2,a=2){super([],t),this.latexData=e,this.columns=a;for(let t=0;t<i*a;t++)this.blocks.push(new Block(this))}get rows(){return this.blocks.length/this.columns}get fixedColumns(){return!1}getRows(){const e=[];for(let t=0;t<this.blocks.length;t+=this.columns)e.push(this.blocks.slice(t,t+this.columns));return e}cellOf(t){t=this.blocks.indexOf(t);return{row:Math.floor(t/this.columns),column:t%this.columns}}insertRow(e){for(let t=0;t<this.columns;t++)this.addBlock(new Block(this),e*this.columns)}removeRow(t){this.blocks.splice(t*this.columns,this.columns)}insertColumn(e){for(let t=this.rows-1;0<=t;t--)this.addBlock(new Block(this),t*this.columns+e);this.columns++}removeColumn(e){for(let t=this.rows-1;0<=t;t--)this.removeBlock(t*this.columns+e);this.columns--}toLatex(){const t=this.getRows().map(t=>t.map(t=>t.toLatex()).join(" & "));return`\\begin{${this.latexData}} ${t.join(" \\\\ ")} \\end{${this.latexData}}`}toMathML(){var[t,e]=matrixDelimiters[this.latexData]||["",""];const i=this.getRows().map(t=>`<mtr>${t.map(t=>`<mtd>${t.toMathML()}</mtd>`).join("")}</mtr>`);var a=`<mtable>${i.join("")}</mtable>`;return""===t?a:`<mrow><mo>${t}</mo>${a}<mo>${e}</mo></mrow>`}toAsciiMath(){var[t,e]="matrix"===this.latexData?["{:",":}"]:matrixDelimiters[this.latexData]||["(",")"];const[i,a]=["bmatrix","matrix"].includes(this.latexData)?["[","]"]:["(",")"],n=this.getRows().map(t=>i+t.map(t=>t.toAsciiMath()).join(",")+a);return`${t}${n.join(",")}${e}`}toUnicode(){var[t,e]=matrixDelimiters[this.latexData]||["",""];const i=this.getRows().map(t=>t.map(t=>t.toUnicode()).join("&"));return`${t}■(${i.join("@")})${e}`}toJSON(){return{...super.toJSON(),columns:this.columns}}restoreJSON(t){var e=(t.blocks||[]).length;if(!Number.isInteger(t.columns)||t.columns<1||e%t.columns!=0)throw new Error(`Invalid number of columns "${t.columns}" for a matrix of ${e} cells`);this.columns=t.columns}}class Cases extends Matrix{constructor(t,e="cases",i=2){super(t,e,i,2)}get fixedColumns(){return!0}toMathML(){const t=this.getRows().map(t=>`<mtr>${t.map(t=>`<mtd>${t.toMathML()}</mtd>`).join("")}</mtr>`);return`<mrow><mo>{</mo><mtable columnalign="left left">${t.join("")}</mtable></mrow>`}toAsciiMath(){const t=this.getRows().map(([t,e])=>`(${t.toAsciiMath()},${e.toAsciiMath()})`);return`{${t.join(",")}:}`}toUnicode(){const t=this.getRows().map(([t,e])=>`${t.toUnicode()}&${e.toUnicode()}`);return`{■(${t.join("@")})`}}class AlignedLines extends Matrix{constructor(t,e="aligned",i=1){super(t,e,i,"gathered"===e?1:2)}get fixedColumns(){return!0}toMathML(){var t=1===this.columns?"center":"right left";const e=this.getRows().map(t=>`<mtr>${t.map(t=>`<mtd>${t.toMathML()}</mtd>`).join("")}</mtr>`);return`<mtable columnalign="${t}">${e.join("")}</mtable>`}toAsciiMath(){const t=this.getRows().map(t=>`(${t.map(t=>t.toAsciiMath()).join(",")})`);return`{:${t.join(",")}:}`}toUnicode(){const t=this.getRows().map(t=>t.map(t=>t.toUnicode()).join("&"));return`█(${t.join("@")})`}}class Delimited extends OneBlockComponent{constructor(t,e="(",i=null){super(t),this.setDelimiters(e,i)}setDelimiters(e,t=null){var i=Object.values(delimiterKinds).find(t=>t[0]===e);this.left=e,this.right=t??(i?i[1]:e)}get kind(){var t=Object.keys(delimiterKinds).find(t=>delimiterKinds[t][0]===this.left&&delimiterKinds[t][1]===this.right);return void 0===t?null:t}toLatex(){return`\\left${this.left} ${this.blocks[0].toLatex()} \\right${this.right}`}toMathML(){var t=t=>{return"."===t?"":`<mo fence="true" stretchy="true">${escapeXML(delimiterUnicodeMap[t]??t)}</mo>`};return`<mrow>${t(this.left)}${this.blocks[0].toMathML()}${t(this.right)}</mrow>`}toAsciiMath(){var t={".":"{:","|":"|:"}[this.left]??delimiterAsciiMathMap[this.left]??`"${this.left}"`,e={".":":}","|":":|"}[this.right]??delimiterAsciiMathMap[this.right]??`"${this.right}"`;return`${t}${this.blocks[0].toAsciiMath()}${e}`}toUnicode(){var t=t=>delimiterUnicodeMap[t]??t;return`${t(this.left)}${this.blocks[0].toUnicode()}${t(this.right)}`}toJSON(){return{...super.toJSON(),left:this.left,right:this.right}}restoreJSON(t){for(var e of[t.left,t.right])if("string"!=typeof e||!/^(?:[^\\a-zA-Z{}\s]|\\(?:[a-zA-Z]+|[^a-zA-Z]))$/.test(e))throw new Error(`Invalid delimiter "${e}"`);this.setDelimiters(t.left,t.right)}}class Accent extends OneBlockComponent{constructor(t,e="hat"){super(t),this.latexData=e}toLatex(){return`\\${this.latexData}{${this.blocks[0].toLatex()}}`}toMathML(){var t=accentMap[this.latexData],t=`<mo stretchy="${t.stretchy?"true":"false"}">${t.mathML}</mo>`;return`<mover accent="true">${this.blocks[0].toMathML()}${t}</mover>`}toAsciiMath(){return`${accentMap[this.latexData].asciiMath}(${this.blocks[0].toAsciiMath()})`}toUnicode(){return blockToUnicodeOperand(this.blocks[0],!0)+accentMap[this.latexData].unicode}}class TextRun extends OneBlockComponent{get text(){return textRunPieces(this.blocks[0]).filter(t=>"string"==typeof t).join("")}toLatex(){return this.blocks[0]instanceof FrameBox?`\\boxed{${this.textToLatex(this.blocks[0].blocks[0])}}`:this.textToLatex(this.blocks[0])}textToLatex(t){const e=textRunPieces(t).map(t=>"string"==typeof t?escapeTextMode(t):`$${t.toLatex()}$`);return`\\text{${e.join("")}}`}toMathML(){const t=textRunPieces(this.blocks[0]).map(t=>"string"==typeof t?`<mtext>${escapeXML(t.replace(/ /g," "))}</mtext>`:t.toMathML());return`<mrow>${t.join("")}</mrow>`}toAsciiMath(){return textRunPieces(this.blocks[0]).map(t=>"string"==typeof t?`"${t}"`:t.toAsciiMath()).join(" ")}toUnicode(){return textRunPieces(this.blocks[0]).map(t=>"string"==typeof t?`"${t}"`:t.toUnicode()).join("")}}class FontStyle extends OneBlockComponent{constructor(t,e="mathbf"){super(t),this.latexData=e}toLatex(){return`\\${this.latexData}{${this.blocks[0].toLatex()}}`}toMathML(){return`<mstyle mathvariant="${fontStyleMap[this.latexData].mathvariant}">${this.blocks[0].toMathML()}</mstyle>`}toAsciiMath(){return`${fontStyleMap[this.latexData].asciiMath}(${this.blocks[0].toAsciiMath()})`}toUnicode(){return styleToUnicode(this.blocks[0].toUnicode(),this.latexData)}}class LabeledComponent extends TwoBlockComponent{constructor(t,e){super(t),this.latexData=e}get labelAbove(){return this.latexData.startsWith("over")}}class Brace extends LabeledComponent{constructor(t,e="underbrace"){super(t,e)}toLatex(){var t=`\\${this.latexData}{${this.blocks[0].toLatex()}}`,e=this.blocks[1].toLatex();return""===e?t:`${t}${this.labelAbove?"^":"_"}{${e}}`}toMathML(){var[t,e,i]=this.labelAbove?["mover","accent","⏞"]:["munder","accentunder","⏟"],i=`<mo stretchy="true">${i}</mo>`,i=`<${t} ${e}="true">${this.blocks[0].toMathML()}${i}</${t}>`;return""===this.blocks[1].toLatex()?i:`<${t}>${i}${this.blocks[1].toMathML()}</${t}>`}toAsciiMath(){var t=`${this.labelAbove?"obrace":"ubrace"}(${this.blocks[0].toAsciiMath()})`;return""===this.blocks[1].toLatex()?t:`${t}${this.labelAbove?"^":"_"}(${this.blocks[1].toAsciiMath()})`}toUnicode(){var t=blockToUnicodeOperand(this.blocks[0],!0),e=`${this.labelAbove?"⏞":"⏟"}${t}`;if(""===this.blocks[1].toLatex())return e;t=blockToUnicodeOperand(this.blocks[1],!0);return`${e}${this.labelAbove?"^":"_"}${t}`}}class OverUnderSet extends LabeledComponent{constructor(t,e="overset"){super(t,e)}toLatex(){return`\\${this.latexData}{${this.blocks[1].toLatex()}}{${this.blocks[0].toLatex()}}`}toMathML(){var t=this.labelAbove?"mover":"munder";return`<${t}>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</${t}>`}toAsciiMath(){var[t,e]=this.blocks.map(t=>t.toAsciiMath());return`${this.latexData}(${e})(${t})`}toUnicode(){var t=this.labelAbove?"┴":"┬",e=blockToUnicodeOperand(this.blocks[1],!0);return`${blockToUnicodeBody(this.blocks[0])}${t}${e}`}}class Colored extends OneBlockComponent{constructor(t,e="red"){super(t),this.color=e}toLatex(){return`{\\color${colorToLatex(this.color)}{${this.blocks[0].toLatex()}}}`}toMathML(){return`<mstyle mathcolor="${escapeXML(this.color)}">${this.blocks[0].toMathML()}</mstyle>`}toAsciiMath(){return`color(${this.color})(${this.blocks[0].toAsciiMath()})`}toUnicode(){return this.blocks[0].toUnicode()}toJSON(){return{...super.toJSON(),color:this.color}}restoreJSON(t){if("string"!=typeof t.color||!/^(?:#[0-9a-fA-F]{6}|[a-zA-Z0-9!.-]+)$/.test(t.color))throw new Error(`Invalid color "${t.color}"`);this.color=t.color}}class ColorBox extends Colored{constructor(t,e="yellow"){super(t,e)}toLatex(){return`\\colorbox${colorToLatex(this.color)}{$${this.blocks[0].toLatex()}$}`}toMathML(){return`<mstyle mathbackground="${escapeXML(this.color)}">${this.blocks[0].toMathML()}</mstyle>`}toAsciiMath(){return`{:${this.blocks[0].toAsciiMath()}:}`}}class Derivative extends Component{constructor(t,e=1){super([],t);for(let t=0;t<1+2*e;t++)this.blocks.push(new Block(this))}get differential(){return differentialSymbols.d}get variables(){const e=[];for(let t=1;t<this.blocks.length;t+=2)e.push({variable:this.blocks[t],order:this.blocks[t+1]});return e}orderTerms(e){return derivativeOrderTerms(this.variables.map(({order:t})=>t)).map(t=>("number"==typeof t?String:e)(t))}isFirstOrder(){var t=this.orderTerms(t=>t.toLatex());return 0===t.length||1===t.length&&"1"===t[0]}functionIsGroup(){if(this.blocks[0]instanceof FrameBox)return!1;const t=this.blocks[0].children;return 1!==t.length?1<t.length:!(t[0]instanceof MJXGUISymbol||t[0]instanceof TextComponent&&/^[a-zA-Z]$/.test(t[0].toLatex()))}variableIsGroup(t){return t instanceof Block&&1<t.children.length}toLatex(){const i=this.differential.latex,a=i.startsWith("\\")?" ":"";var t=this.isFirstOrder()?i:`${i}^{${this.orderTerms(t=>t.toLatex()).join(" + ")}}`,e=this.variables.map(({variable:t,order:e})=>{e=isFirstOrder(e)?"":`^{${e.toLatex()}}`,t=this.variableIsGroup(t)?`{${t.toLatex()}}`:t.toLatex();return`${i}${a}${t}${e}`}).join(" "),n=this.blocks[0].toLatex();return this.functionIsGroup()?`\\frac{${t}}{${e}}\\left(${n}\\right)`:`\\frac{${t}${""===n?"":` ${n}`}}{${e}}`}toMathML(){const i=this.differential.mathML,t=this.orderTerms(t=>t.toMathML()).map(t=>/^[0-9]+$/.test(t)?`<mn>${t}</mn>`:t);var e=this.isFirstOrder()?i:`<msup>${i}<mrow>${t.join("<mo>+</mo>")}</mrow></msup>`,a=this.variables.map(({variable:t,order:e})=>isFirstOrder(e)?`${i}${t.toMathML()}`:`${i}<msup>${t.toMathML()}${e.toMathML()}</msup>`).join(""),n=this.blocks[0].toMathML();return this.functionIsGroup()?`<mrow>${`<mfrac><mrow>${e}</mrow><mrow>${a}</mrow></mfrac>`}<mo>(</mo>${n}<mo>)</mo></mrow>`:`<mfrac><mrow>${e}${n}</mrow><mrow>${a}</mrow></mfrac>`}toAsciiMath(){const i=this.differential.asciiMath;var t=this.isFirstOrder()?i:`${i}^(${this.orderTerms(t=>t.toAsciiMath()).join(" + ")})`,e=this.variables.map(({variable:t,order:e})=>{e=isFirstOrder(e)?"":`^(${e.toAsciiMath()})`,t=this.variableIsGroup(t)?blockToAsciiMathGroup(t):t.toAsciiMath();return`${i} ${t}${e}`}).join(" "),a=this.blocks[0].toAsciiMath();return this.functionIsGroup()?`(${t})/(${e})(${a})`:`(${t}${""===a?"":` ${a}`})/(${e})`}toUnicode(){const i=this.differential.unicode;let t=i;if(!this.isFirstOrder()){var e=this.orderTerms(t=>t.toUnicode()).join("+");const n=[...e];t+=n.every(t=>t in unicodeSuperscriptMap)?n.map(t=>unicodeSuperscriptMap[t]).join(""):`^(${e})`}var a=this.variables.map(({variable:t,order:e})=>{e=isFirstOrder(e)?"":scriptToUnicode(e,unicodeSuperscriptMap,"^");return`${i}${t.toUnicode()}${e}`}).join(""),e=`${t}/${a}`;if(0===this.blocks[0].children.length)return`${e} `;a=this.blocks[0].toUnicode();return this.functionIsGroup()?`${e} (${a})`:`${e} ${a}`}}class PartialDerivative extends Derivative{get differential(){return differentialSymbols.partial}}class DefiniteIntegral extends Component{constructor(t){super([],t);for(let t=0;t<4;t++)this.blocks.push(new Block(this))}hasLimits(){return""!==this.blocks[0].toLatex()||""!==this.blocks[1].toLatex()}toLatex(){var[t,e,i,a]=this.blocks.map(t=>t.toLatex());return`\\int${this.hasLimits()?`_{${t}}^{${e}}`:""} ${i} \\, d${a}`}toMathML(){var[t,e,i,a]=this.blocks.map(t=>t.toMathML());return`<mrow>${this.hasLimits()?`<msubsup><mo>∫</mo>${t}${e}</msubsup>`:"<mo>∫</mo>"}${i}${`<mspace width="0.167em"/><mi mathvariant="normal">d</mi>${a}`}</mrow>`}toAsciiMath(){var[t,e,i,a]=this.blocks.map(t=>t.toAsciiMath());return`int${this.hasLimits()?`_(${t})^(${e})`:""} ${i} d${a}`}toUnicode(){let t="∫";return this.hasLimits()&&(t+=scriptToUnicode(this.blocks[0],unicodeSubscriptMap,"_"),t+=scriptToUnicode(this.blocks[1],unicodeSuperscriptMap,"^")),`${t} ${this.blocks[2].toUnicode()} d${this.blocks[3].toUnicode()}`}}class EvaluationBar extends ThreeBlockComponent{toLatex(){var t=this.blocks[1].toLatex(),e=this.blocks[2].toLatex(),e=(""===t?"":`_{${t}}`)+(""===e?"":`^{${e}}`);return`\\left. ${this.blocks[0].toLatex()} \\right|${e}`}toMathML(){var[t,e,i]=this.blocks.map(t=>t.toMathML());return`<msubsup>${`<mrow>${t}<mo stretchy="true">|</mo></mrow>`}${e}${i}</msubsup>`}toAsciiMath(){let t=`{:${this.blocks[0].toAsciiMath()}:|`;return""!==this.blocks[1].toLatex()&&(t+=`_(${this.blocks[1].toAsciiMath()})`),""!==this.blocks[2].toLatex()&&(t+=`^(${this.blocks[2].toAsciiMath()})`),t}toUnicode(){var t=scriptToUnicode(this.blocks[1],unicodeSubscriptMap,"_"),e=scriptToUnicode(this.blocks[2],unicodeSuperscriptMap,"^");return`${blockToUnicodeBody(this.blocks[0])}|${t}${e}`}}class ChemicalEquation extends OneBlockComponent{get text(){return textRunPieces((this.blocks[0]instanceof FrameBox?this.blocks[0]:this).blocks[0]).map(t=>"string"==typeof t?t:t.toLatex()).join("").replace(/\s+/g," ").trim()}toLatex(){return this.blocks[0]instanceof FrameBox?`\\boxed{\\ce{${this.text}}}`:`\\ce{${this.text}}`}toAsciiMath(){return`ce"${this.text}"`}toMathML(){const t=chemistryTokens(this.text).map(t=>"formula"!==t.kind?`<mo>${t.symbol}</mo>`:t.atoms.map(t=>{let e;e="number"===t.kind?`<mn>${t.text}</mn>`:["bracket","dot"].includes(t.kind)?`<mo>${escapeXML(t.text)}</mo>`:"state"===t.kind?`<mtext>${t.text}</mtext>`:`<mi mathvariant="normal">${escapeXML(t.text)}</mi>`;var i=`<mn>${t.subscript}</mn>`,a=`<mrow>${[...t.charge].map(t=>/[0-9]/.test(t)?`<mn>${t}</mn>`:`<mo>${escapeXML(t)}</mo>`).join("")}</mrow>`;return t.subscript&&t.charge?`<msubsup>${e}${i}${a}</msubsup>`:t.subscript?`<msub>${e}${i}</msub>`:t.charge?`<msup>${e}${a}</msup>`:e}).join(""));return`<mrow>${t.join("")}</mrow>`}toUnicode(){const i=(t,e,i)=>[...t].every(t=>t in e)?[...t].map(t=>e[t]).join(""):`${i}(${t})`;return chemistryTokens(this.text).map(t=>"formula"!==t.kind?t.symbol:t.atoms.map(t=>{let e=t.text;return t.subscript&&(e+=i(t.subscript,unicodeSubscriptMap,"_")),t.charge&&(e+=i(t.charge,unicodeSuperscriptMap,"^")),e}).join("")).join(" ")}}class Quantity extends TwoBlockComponent{constructor(t,e="latex"){super(t),this.latexData=e}get unitText(){return textRunPieces(this.blocks[1]instanceof FrameBox?this.blocks[1].blocks[0]:this.blocks[1]).map(t=>"string"==typeof t?t:t.toLatex()).join("").replace(/\s+/g," ").trim()}get units(){return parseUnits(this.unitText)}hasValidUnits(){return this.units.every(t=>null!==t.unit)}get numberLatex(){return this.blocks[0].toLatex().replace(/(?<=[0-9.,]) (?=[0-9.,])/g,"")}toLatex(){return"siunitx"===this.latexData?`\\SI{${this.numberLatex}}{${this.units.map(unitToSiunitx).join("")}}`:this.plainLatex(!1)}toPreviewLatex(){return this.plainLatex(!0)}plainLatex(i){var t=this.numberLatex;if(this.blocks[1]instanceof FrameBox)return`${t}\\,\\boxed{\\text{${escapeTextMode(textRunPieces(this.blocks[1].blocks[0]).map(t=>"string"==typeof t?t:t.toLatex()).join(""))}}}`;const e=this.units.map(t=>{if(null===t.unit){var e=`\\text{${escapeTextMode(t.text)}}`;return i?`\\class{_mjxgui_invalid_unit}{${e}}`:e}e=`${siPrefixes[t.prefix]?.latex??""}${siUnits[t.unit].latex}`.trim();return 1===t.power?e:`${e}^{${t.power}}`});return 0===e.length?t:`${t}\\,\\mathrm{${e.join("\\,")}}`}toAsciiMath(){var t=this.blocks[0].toAsciiMath().replace(/(?<=[0-9.,]) (?=[0-9.,])/g,""),e=this.unitText;return""===e?t:`${t} rm"${e}"`}toMathML(){var t='<mspace width="0.167em"/>';const e=this.units.map(t=>{if(null===t.unit)return`<mtext>${escapeXML(t.text)}</mtext>`;var e=`<mi mathvariant="normal">${escapeXML(t.prefix+t.unit)}</mi>`;return 1===t.power?e:`<msup>${e}${t.power<0?`<mrow><mo>-</mo><mn>${-t.power}</mn></mrow>`:`<mn>${t.power}</mn>`}</msup>`});var i=`<mrow>${sequenceToMathML(this.blocks[0].children)}</mrow>`;return 0===e.length?i:`<mrow>${i}${t}${e.join(t)}</mrow>`}toUnicode(){const t=this.units.map(t=>{if(null===t.unit)return t.text;var e=String(t.power);return 1===t.power?t.prefix+t.unit:t.prefix+t.unit+[...e].map(t=>unicodeSuperscriptMap[t]).join("")});var e=sequenceToUnicode(this.blocks[0].children);return 0===t.length?e:`${e} ${t.join("·")}`}}class TemplateComponent extends Component{constructor(t){super([],t);for(let t=0;t<this.constructor.blockCount;t++)this.blocks.push(new Block(this))}toLatex(){return this.constructor.template.replace(/#([1-9])/g,(t,e)=>this.blocks[e-1].toLatex())}}for(let t of[Component,OneBlockComponent,TwoBlockComponent,ThreeBlockComponent,TemplateThreeBlockComponent,TrigonometricTwoBlockComponent,TextComponent,MJXGUISymbol,FrameBox,Limit,Fraction,Subscript,Superscript,SubSupRight,Sqrt,NthRoot,Matrix,Cases,AlignedLines,Delimited,Accent,TextRun,FontStyle,LabeledComponent,Brace,OverUnderSet,Colored,ColorBox,Derivative,PartialDerivative,DefiniteIntegral,EvaluationBar,ChemicalEquation,Quantity])registerComponent(t);const characters=new Set;for(let t of"abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890!@^*()[];:'\"/?.,<>-=+`~")characters.add(t);const matrixShortcuts={ArrowUp:"insertMatrixRowAbove",ArrowDown:"insertMatrixRowBelow",ArrowLeft:"insertMatrixColumnLeft",ArrowRight:"insertMatrixColumnRight",Backspace:"removeMatrixRow",Delete:"removeMatrixColumn"};class Cursor{constructor(t,e){this.expression=t,this.block=null,this.component=null,this.child=-.5,this.position=-.5,this.latex="",this.display=e,this.multiLineEnvironment="aligned",this.selectionAnchor=null}addText(t){if((this.selectionAnchor=null)===this.block){const e=new TextComponent(this.block);e.blocks[0].addChild(t),this.expression.add(e,Math.ceil(this.position)),this.child=-.5,this.position++}else{const i=new TextComponent(this.block);i.blocks[0].addChild(t),this.block.addChild(i,Math.ceil(this.child)),this.child++}}addComponent(t){(this.selectionAnchor=null)===this.block?(this.expression.add(t,Math.ceil(this.position)),this.position=Math.ceil(this.position),t instanceof MJXGUISymbol||t instanceof TextComponent?(this.block=null,this.component=null,this.position+=.5):(this.block=t.blocks[0],this.component=t),this.child=-.5):(this.block.addChild(t,Math.ceil(this.child)),t instanceof MJXGUISymbol||t instanceof TextComponent?this.child+=1:(this.component=t,this.block=t.blocks[0],this.child=-.5))}removeComponent(){if(null===this.block){var t=this.expression.components[Math.floor(this.position)];(t instanceof TextComponent||t instanceof MJXGUISymbol)&&(this.position=Math.floor(this.position),this.component=t,this.block=t.blocks[0],this.child=-.5,this.removeComponent())}else if(null===this.component.parent){for(let t=0;t<this.expression.components.length;t++)if(this.expression.components[t]===this.component){this.expression.remove(t);break}this.position-=.5,this.component=null,this.block=null,this.child=-.5}else{let e=this.component.parent;for(let t=0;t<e.children.length;t++)if(e.children[t]===this.component){e.removeChild(t),this.child=t-.5;break}this.block=e,this.component=e.parent}}keyPress(t){var e,i=t.shiftKey&&("ArrowLeft"===t.key||"ArrowRight"===t.key);i||(this.selectionAnchor=null),i?this.extendSelection("ArrowLeft"===t.key?-1:1):t.altKey&&void 0!==matrixShortcuts[t.key]?(t.preventDefault(),this[matrixShortcuts[t.key]]()):t.altKey&&"KeyT"===t.code?(t.preventDefault(),this.toggleTextMode()):t.altKey&&"KeyC"===t.code?(t.preventDefault(),this.toggleChemistryMode()):(this.component instanceof TextRun||this.component instanceof ChemicalEquation||this.component instanceof Quantity&&this.block===this.component.blocks[1])&&1===t.key.length&&!t.ctrlKey&&!t.metaKey||characters.has(t.key)?this.addText(t.key):"ArrowLeft"===t.key?this.seekLeft():"ArrowRight"===t.key?this.seekRight():"ArrowUp"===t.key?this.seekUp():"ArrowDown"===t.key?this.seekDown():"Backspace"===t.key?this.backspace():"Enter"===t.key&&t.shiftKey?this.insertLine():"Enter"===t.key?null!==(i=this.matrixCell(Cases))?this.insertMatrixRow(1,i):this.display.closest("._mjxgui_editor_window").querySelector("._mjxgui_save_equation").click():" "===t.key?(e=new MJXGUISymbol(this.block,"\\:\\:"),this.addComponent(e)):"\\"===t.key?(e=new MJXGUISymbol(this.block,"\\backslash"),this.addComponent(e)):["$","#","%","&","_","{","}"].includes(t.key)&&(t=new MJXGUISymbol(this.block,`\\${t.key}`),this.addComponent(t)),this.updateDisplay()}seekRight(){this.selectionAnchor=null;var t,e=this.expression.components.length-.5;this.position>=e||(null===this.block?(this.position+=.5,this.expression.components[this.position]instanceof TextComponent||this.expression.components[this.position]instanceof MJXGUISymbol?(this.position+=.5,this.child=-.5,this.block=null,this.component=null):(this.component=this.expression.components[this.position],this.block=this.component.blocks[0],this.child=-.5)):this.child===this.block.children.length-.5?(t=this.component.blocks.indexOf(this.block))===this.component.blocks.length-1?null===this.component.parent?(this.component=null,this.block=null,this.child=-.5,this.position+=.5):(this.block=this.component.parent,this.child=this.block.children.indexOf(this.component)+.5,this.component=this.block.parent):(this.block=this.component.blocks[t+1],this.child=-.5):(t=this.block.children[Math.ceil(this.child)])instanceof TextComponent||t instanceof MJXGUISymbol?this.child++:(this.component=t,this.block=this.component.blocks[0],this.child=-.5))}seekLeft(){var t;this.selectionAnchor=null,this.position<=-.5||(null===this.block?(this.position-=.5,this.expression.components[this.position]instanceof TextComponent||this.expression.components[this.position]instanceof MJXGUISymbol?(this.position-=.5,this.child=-.5,this.block=null,this.component=null):(this.component=this.expression.components[this.position],this.block=this.blockFromRight(this.component),this.child=this.block.children.length-.5)):-.5===this.child?0===(t=this.component.blocks.indexOf(this.block))?null===this.component.parent?(this.component=null,this.block=null,this.child=-.5,this.position-=.5):(this.block=this.component.parent,this.child=this.block.children.indexOf(this.component)-.5,this.component=this.block.parent):(this.block=this.component.blocks[t-1],this.child=this.block.children.length-.5):(t=this.block.children[Math.floor(this.child)])instanceof TextComponent||t instanceof MJXGUISymbol?this.child--:(this.component=t,this.block=this.component.blocks[this.component.blocks.length-1],this.child=this.block.children.length-.5))}blockFromRight(t){return t instanceof LabeledComponent?t.blocks[0]:t.blocks[t.blocks.length-1]}seekUp(){this.seekVertically(-1)}seekDown(){this.seekVertically(1)}seekVertically(t){this.selectionAnchor=null;var e=this.matrixCell();if(null!==e){const{matrix:i,block:a}=e;e=i.blocks[i.blocks.indexOf(a)+t*i.columns];void 0!==e&&this.moveToBlock(i,e)}else this.seekLabel(t)}seekLabel(t){var e,i=this.enclosingComponent(LabeledComponent);null!==i&&({component:e,block:i}=i,(t=e.blocks[t<0===e.labelAbove?1:0])!==i&&this.moveToBlock(e,t))}enclosingComponent(t){let e=this.component,i=this.block;for(;e;){if(e instanceof t)return{component:e,block:i};i=e.parent,e=i?i.parent:null}return null}matrixCell(t=Matrix){t=this.enclosingComponent(t);return t&&{matrix:t.component,block:t.block}}setDelimiters(t,e){const i=this.enclosingComponent(Delimited);null!==i&&i.component.setDelimiters(t,e)}siblings(){return null===this.block?this.expression.components:this.block.children}extendSelection(t){var e=null===this.block?this.position:this.child,t=e+t;t<-.5||t>this.siblings().length-.5||(null===this.selectionAnchor&&(this.selectionAnchor=e),null===this.block?this.position=t:this.child=t)}getSelection(){if(null===this.selectionAnchor)return null;var t=null===this.block?this.position:this.child,e=Math.ceil(Math.min(t,this.selectionAnchor)),t=Math.ceil(Math.max(t,this.selectionAnchor));return e===t?null:{start:e,end:t}}wrapSelection(t){var e,i=this.getSelection();if((this.selectionAnchor=null)!==i){const a=t.blocks[0];for(e of this.siblings().splice(i.start,i.end-i.start,t))e.parent=a,a.addChild(e);t.parent=this.block,null===this.block&&(this.position=i.start),this.component=t,this.block=a,this.child=a.children.length-.5}else this.addComponent(t)}toggleTextMode(){this.toggleMode(TextRun)}toggleChemistryMode(){this.toggleMode(ChemicalEquation)}toggleMode(t){this.selectionAnchor=null;var e=this.enclosingComponent(t);null!==e?null===(e=e.component).parent?(this.block=null,this.component=null,this.child=-.5,this.position=this.expression.components.indexOf(e)+.5):(this.block=e.parent,this.component=this.block.parent,this.child=this.block.children.indexOf(e)+.5):this.addComponent(new t(this.block))}addChemistrySymbol(t){this.component instanceof ChemicalEquation||this.addComponent(new ChemicalEquation(this.block)),t in chemistryArrows?t=` ${t} `:t in chemistryWords&&(t=` ${t}`),this.addText(t)}moveToBlock(t,e,i=e.children.length-.5){this.component=t,this.block=e,this.child=i}insertMatrixRow(t,e=this.matrixCell(),i=0){if(null!==e){const{matrix:a,block:n}=e;var e=a.cellOf(n)["row"];a.insertRow(e+t),this.moveToBlock(a,a.blocks[(e+t)*a.columns+i],-.5)}}insertLine(){var t=this.matrixCell(AlignedLines)||this.startMultiLine();this.insertMatrixRow(1,t,t.matrix.columns-1)}startMultiLine(){const t=this.expression.components;if(1===t.length&&t[0]instanceof AlignedLines){const a=t[0];return{matrix:a,block:a.blocks[a.blocks.length-1]}}const a=new AlignedLines(null,this.multiLineEnvironment,1);let e=t.findIndex(t=>t instanceof TextComponent&&"="===t.toLatex());return 1!==a.columns&&-1!==e||(e=t.length),[t.slice(0,e),t.slice(e)].forEach((t,e)=>{for(var i of t)i.parent=a.blocks[Math.min(e,a.columns-1)],i.parent.addChild(i)}),this.expression.components=[a],this.position=0,{matrix:a,block:a.blocks[a.blocks.length-1]}}insertMatrixRowAbove(){this.insertMatrixRow(0)}insertMatrixRowBelow(){this.insertMatrixRow(1)}insertMatrixColumn(t){var e=this.matrixCell();if(null!==e&&!e.matrix.fixedColumns){const{matrix:a,block:n}=e;var{row:i,column:e}=a.cellOf(n);a.insertColumn(e+t),this.moveToBlock(a,a.blocks[i*a.columns+e+t],-.5)}}insertMatrixColumnLeft(){this.insertMatrixColumn(0)}insertMatrixColumnRight(){this.insertMatrixColumn(1)}removeMatrixRow(){var t=this.matrixCell();if(null!==t&&1!==t.matrix.rows){const{matrix:i,block:a}=t;var{row:e,column:t}=i.cellOf(a);i.removeRow(e);e=Math.min(e,i.rows-1);this.moveToBlock(i,i.blocks[e*i.columns+t])}}removeMatrixColumn(){var t=this.matrixCell();if(null!==t&&1!==t.matrix.columns&&!t.matrix.fixedColumns){const{matrix:i,block:a}=t;var{row:e,column:t}=i.cellOf(a);i.removeColumn(t);t=Math.min(t,i.columns-1);this.moveToBlock(i,i.blocks[e*i.columns+t])}}backspace(){var t;this.selectionAnchor=null,0!==this.expression.components.length&&-.5!==this.position&&(null===this.block?(t=this.expression.components[Math.floor(this.position)])instanceof TextComponent||t instanceof MJXGUISymbol?this.removeComponent():(this.component=t,this.block=this.blockFromRight(this.component),this.child=this.block.children.length-.5,this.position=Math.floor(this.position)):this.isInEmptyLastRow()?(this.component.removeRow(this.component.rows-1),this.moveToBlock(this.component,this.component.blocks[this.component.blocks.length-1])):this.component.isEmpty()?this.removeComponent():this.child<=-.5?0!==(t=this.component.blocks.indexOf(this.block))&&(this.block=this.component.blocks[t-1],this.child=this.block.children.length-.5):(this.block.removeChild(Math.floor(this.child)),this.child--))}isInEmptyLastRow(){if(!this.component?.fixedColumns||-.5!==this.child)return!1;var t=this.component.cellOf(this.block)["row"];const e=this.component.getRows();return 1<e.length&&t===e.length-1&&e[t].every(t=>0===t.children.length)}toLatex(){var t=this.expression.toLatex();return this.latex=t}toDisplayLatex(){let t=new TextComponent(this.block);t.blocks[0].addChild("|");let e=new FrameBox(this.block);var i=this.getSelection();const a=this.siblings();let n=Math.ceil(null===this.block?this.position:this.child);if(null!==i){const r=new TextComponent(this.block);r.blocks[0].addChild("\\class{_mjxgui_selection}{");const l=new TextComponent(this.block);l.blocks[0].addChild("}"),a.splice(i.end,0,l),a.splice(i.start,0,r),n===i.end&&(n+=2)}null===this.block?this.expression.add(t,n):(s=this.component.blocks.indexOf(this.block),this.component.removeBlock(s),this.component.addBlock(e,s),e.blocks[0]=this.block,this.block.addChild(t,n));var s,o=generatePreviewLatex(this.expression);return null===this.block?this.expression.remove(n):(s=this.component.blocks.indexOf(e),this.component.removeBlock(s),this.component.addBlock(this.block,s),this.block.removeChild(n)),null!==i&&(a.splice(i.end+1,1),a.splice(i.start,1)),o}updateDisplay(){(this.display instanceof String||"string"==typeof this.display)&&(this.display=document.querySelector(this.display)),MathJax.typesetClear([this.display]),this.display.innerHTML="$$"+this.toDisplayLatex()+"$$",MathJax.typesetPromise([this.display]).then(()=>{})}}const templateThreeCommands=new Set(["sum","int","iint","iiint","oint","prod","coprod","bigcup","bigcap","bigvee","bigwedge"]),trigonometricCommands=new Set(["sin","cos","tan","csc","sec","cot","arcsin","arccos","arctan"]),keyPressSymbols=new Set(["\\:\\:","\\backslash","\\$","\\#","\\%","\\&","\\_","\\{","\\}"]),delimiterAliases={"\\lbrace":"\\{","\\rbrace":"\\}","\\lbrack":"[","\\rbrack":"]","<":"\\langle",">":"\\rangle","\\vert":"|","\\lvert":"|","\\rvert":"|","\\Vert":"\\|","\\lVert":"\\|","\\rVert":"\\|"};function createTextComponent(t){const e=new TextComponent(null);return e.blocks[0].addChild(t),e}function fillComponentBlocks(e,i){for(let t=0;t<i.length;t++){const n=e.blocks[t];for(var a of i[t])a.parent=n,n.addChild(a)}}function differentialKind(t){return t instanceof TextComponent&&"d"===t.toLatex()?"d":t instanceof MJXGUISymbol&&"\\partial"===t.latexData?"partial":null}function isDerivativeVariable(t){return t instanceof TextComponent?/^[a-zA-Z]$/.test(t.toLatex()):t instanceof MJXGUISymbol?/^[\u0370-\u03ff]$/.test(symbolLatexToUnicode(t.latexData)||""):t instanceof Subscript&&(1===t.blocks[0].children.length&&isDerivativeVariable(t.blocks[0].children[0]))}function derivativeFromFraction(t,e){if(0===t.length)return null;let i=differentialKind(t[0]),a=[];if(null===i&&t[0]instanceof Superscript&&1===t[0].blocks[0].children.length&&(i=differentialKind(t[0].blocks[0].children[0]),a=t[0].blocks[1].children),null===i)return null;if(0===e.length||differentialKind(e[0])!==i)return null;const n=[];for(var s of e)differentialKind(s)===i?n.push([]):n[n.length-1].push(s);const o=[];for(var r of n){const l=1===r.length&&r[0]instanceof Superscript?r[0].blocks[0].children:r;if(0===l.length||!l.every(isDerivativeVariable))return null;o.push(l===r?[r,[]]:[l,r[0].blocks[1].children])}if("d"===i&&1<o.length)return null;1===o.length&&0===o[0][1].length&&(o[0][1]=a);e=new("d"===i?Derivative:PartialDerivative)(null,o.length);return fillComponentBlocks(e,[t.slice(1),...o.flat()]),e}function siunitxUnitText(t){const e={};for(var[i,a]of Object.entries(siPrefixes))e[a.siunitx]={prefix:i};for(var[n,s]of Object.entries(siUnits))e[s.siunitx]={unit:n};var o,r,l={"\\squared":"2","\\cubed":"3"};const c=[];let p=!1,h="";for(o of t.matchAll(/(\\[a-zA-Z]+)(?:\{([^}]*)\})?|[^\\]+/g)){const[u,m,d]=o;void 0===m?c.push(u.trim()):"\\per"===m?p=!0:m in l||"\\tothe"===m?c[c.length-1]+=`^${l[m]??d}`:h=void 0!==e[m]?.prefix?e[m].prefix:(r=e[m]?.unit??u,c.push(`${p?"/":""}${h}${r}`),p=!1,"")}return c.filter(t=>""!==t).join(" ")}function chemicalEquationChildren(t){const e=[];let i=0;for(;i<t.length;){var a=t.slice(i),n=/^\s*(<=>|<->|->|<-)\s*/.exec(a),s=/^\s+(\^|v)(?=\s|$)/.exec(a),a=/^\((aq|s|l|g)\)/.exec(a);null!==n?(e.push(createTextComponent(` ${n[1]} `)),i+=n[0].length):null!==s?(e.push(createTextComponent(` ${s[1]}`)),i+=s[0].length):null!==a?(e.push(createTextComponent(a[0])),i+=a[0].length):e.push(createTextComponent(t[i++]))}return e}function plainUnitText(t){const e=t.replace(/\\text\{((?:[^\\{}]|\\[$#%&_]|\\[\^~]\{\})*)\}/g,(t,e)=>e.replace(/\\([$#%&_^~])(\{\})?/g,"$1")).replace(/\\,/g," ").replace(/\{\}\^\{?\\circ\}?/g,"°").replace(/\\mu\s*/g,"µ").replace(/\\Omega\s*/g,"Ω").replace(/\\%/g,"%").replace(/\^\{([^}]*)\}/g,"^$1");return/[\\{}]/.test(e)?null:e.trim()}function createQuantity(t,e,i){i=new Quantity(null,i);return fillComponentBlocks(i,[t,[...e].map(createTextComponent)]),i}class LatexParser{constructor(t){this.latex=t,this.position=0,this.symbols=new Set(Object.values(symbolLatexMap))}parse(){this.position=0;const t=new Expression;for(var e of this.parseSequence())e.parent=null,t.add(e);return t}peek(){return this.latex[this.position]}isEnd(){return this.position>=this.latex.length}skipWhitespace(){for(;!this.isEnd();)if(/\s/.test(this.peek()))this.position++;else{if("%"!==this.peek())break;var t=this.latex.indexOf("\n",this.position);this.position=-1===t?this.latex.length:t+1}}parseSequence(t=null){const e=[];let i=[];for(;;){if(this.skipWhitespace(),this.isEnd())break;var a=this.peek();if(this.isTerminator(t)){this.position+=t.length;break}if("}"!==a)if("^"!==a&&"_"!==a){if(this.latex.startsWith("\\,\\mathrm{",this.position)){var n=this.parseQuantity(e);if(null!==n){e.push(n),i=[n];continue}}i=this.parseAtom(),e.push(...i)}else{e.splice(e.length-i.length,i.length);n=this.parseScripts(i);e.push(n),i=[n]}else this.position++}return e}isTerminator(t){if(null===t||!this.latex.startsWith(t,this.position))return!1;var e=this.latex[this.position+t.length]||"";return!(/^\\[a-zA-Z]+$/.test(t)&&/[a-zA-Z]/.test(e))}parseAtom(){var t=this.peek();return this.position++,"{"===t?this.parseSequence("}"):"\\"===t?this.parseCommand():[createTextComponent(t)]}parseArgument(){return this.skipWhitespace(),this.isEnd()||"}"===this.peek()||"]"===this.peek()?[]:this.parseAtom()}parseOptionalGroup(){return this.skipWhitespace(),"{"!==this.peek()?[]:(this.position++,this.parseSequence("}"))}parseFunctionArgument(){if(this.skipWhitespace(),this.isEnd())return[];var t=this.latex.slice(this.position),e=/^[0-9]+(?:\.[0-9]+)?/.exec(t);if("{"===this.peek())return this.parseOptionalGroup();if(null!==e)return this.position+=e[0].length,[...e[0]].map(t=>createTextComponent(t));if("("===this.peek()){var i=this.findClosingParenthesis();if(-1===i)return[];e=new LatexParser(this.latex.slice(this.position+1,i)).parseSequence();return this.position=i+1,[createTextComponent("("),...e,createTextComponent(")")]}if(!/^[a-zA-Z]/.test(t)&&!/^\\(?!(?:right|end)(?![a-zA-Z]))[a-zA-Z]/.test(t))return[];t=this.parseAtom();return this.skipWhitespace(),"^"!==this.peek()&&"_"!==this.peek()?t:[this.parseScripts(t)]}findClosingParenthesis(){let e=0,i=0;for(let t=this.position;t<this.latex.length;t++){var a=this.latex[t];if("\\"===a)t++;else if("{"===a)i++;else if("}"===a)i--;else if(0===i&&"("===a)e++;else if(0===i&&")"===a&&0==--e)return t;if(i<0)return-1}return-1}parseScripts(t){const e={};for(this.skipWhitespace();["^","_"].includes(this.peek())&&!(this.peek()in e);){var i=this.peek();this.position++,e[i]=this.parseArgument(),this.skipWhitespace()}let a;return"_"in e&&"^"in e?(a=new SubSupRight(null),fillComponentBlocks(a,[t,e._,e["^"]])):"_"in e?(a=new Subscript(null),fillComponentBlocks(a,[t,e._])):(a=new Superscript(null),fillComponentBlocks(a,[t,e["^"]])),a}parseCommand(){if(this.isEnd())return[new MJXGUISymbol(null,"\\backslash")];var e=this.readCommandName();let i;if("frac"===e){var t,a=this.parseArgument(),n=this.parseArgument();i=derivativeFromFraction(a,n),null===i?(i=new Fraction(null),fillComponentBlocks(i,[a,n])):0===i.blocks[0].children.length&&(t=this.position,this.skipWhitespace(),this.latex.startsWith("\\left(",this.position)?(this.position+="\\left(".length,fillComponentBlocks(i,[this.parseSequence("\\right")]),this.readDelimiter()):this.position=t)}else if("sqrt"===e)this.skipWhitespace(),"["===this.peek()?(this.position++,i=new NthRoot(null),fillComponentBlocks(i,[this.parseSequence("]"),this.parseArgument()])):(i=new Sqrt(null),fillComponentBlocks(i,[this.parseArgument()]));else if(e in accentMap)i=new Accent(null,e),fillComponentBlocks(i,[this.parseArgument()]);else if(e in fontStyleMap)i=new FontStyle(null,e),fillComponentBlocks(i,[this.parseArgument()]);else if("overbrace"===e||"underbrace"===e){i=new Brace(null,e);var s=this.parseArgument();let t=[];this.skipWhitespace(),this.peek()===(i.labelAbove?"^":"_")&&(this.position++,t=this.parseArgument()),fillComponentBlocks(i,[s,t])}else if(["overset","underset","stackrel"].includes(e)){i=new OverUnderSet(null,"underset"===e?"underset":"overset");var o=this.parseArgument();fillComponentBlocks(i,[this.parseArgument(),o])}else if("text"===e)i=this.parseTextRun();else if("ce"===e)i=this.parseChemicalEquation();else if("SI"===e||"qty"===e){var r=this.parseArgument();this.skipWhitespace();const l=this.readRawArguments();i=createQuantity(r,siunitxUnitText(l.replace(/^\{|\}$/g,"")),"siunitx")}else if("color"===e||"colorbox"===e)i=this.parseColored(e);else if("boxed"===e)i=new FrameBox(null),fillComponentBlocks(i,[this.parseArgument()]);else if("lim"===e){i=new Limit(null);let t=[];this.skipWhitespace(),"_"===this.peek()&&(this.position++,t=this.parseArgument()),fillComponentBlocks(i,[t,this.parseOptionalGroup()])}else if(templateThreeCommands.has(e))i=this.parseTemplateThree(e);else if(trigonometricCommands.has(e)){i=new TrigonometricTwoBlockComponent(null,e);let t=[];this.skipWhitespace(),"^"===this.peek()&&(this.position++,t=this.parseArgument()),fillComponentBlocks(i,[t,this.parseFunctionArgument()])}else"left"===e?(t=this.readDelimiter(),s=this.parseSequence("\\right"),o=this.readDelimiter(),this.skipWhitespace(),"."===t&&"|"===o&&["^","_"].includes(this.peek())?(r=this.parseScriptArguments(),i=new EvaluationBar(null),fillComponentBlocks(i,[s,r._||[],r["^"]||[]])):(i=new Delimited(null,t,o),fillComponentBlocks(i,[s]))):i="begin"===e?this.parseEnvironment():":"===e?this.latex.startsWith("\\:",this.position)?(this.position+=2,new MJXGUISymbol(null,"\\:\\:")):new MJXGUISymbol(null,"\\:"):"not"===e&&"\\"===this.peek()?(this.position++,new MJXGUISymbol(null,`\\not\\${this.readCommandName()}`)):this.symbols.has(`\\${e}`)||keyPressSymbols.has(`\\${e}`)?new MJXGUISymbol(null,`\\${e}`):new MJXGUISymbol(null,`\\${e}${this.readRawArguments()}`);return[i]}parseScriptArguments(){const t={};for(this.skipWhitespace();["^","_"].includes(this.peek())&&!(this.peek()in t);){var e=this.peek();this.position++,t[e]=this.parseArgument(),this.skipWhitespace()}return t}parseTemplateThree(t){var e=this.parseScriptArguments();if(["bigcup","bigcap"].includes(t)&&0===Object.keys(e).length&&"{"!==this.peek())return new MJXGUISymbol(null,`\\${t}`);var i="int"===t?this.findDifferential():-1;if(-1!==i){const n=new LatexParser(this.latex.slice(this.position,i)),s=n.parseSequence("\\,");for(;!n.isEnd();)s.push(new MJXGUISymbol(null,"\\,"),...n.parseSequence("\\,"));this.position=i,this.latex.startsWith("\\,",this.position)&&(this.position+=2),this.skipWhitespace(),this.position++;let t=this.parseArgument();this.skipWhitespace(),["^","_"].includes(this.peek())&&(t=[this.parseScripts(t)]);const a=new DefiniteIntegral(null);return fillComponentBlocks(a,[e._||[],e["^"]||[],s,t]),a}const a=new TemplateThreeBlockComponent(null,t);return fillComponentBlocks(a,[e._||[],e["^"]||[],this.parseOptionalGroup()]),a}findDifferential(){let e=0,i=0;for(let t=this.position;t<this.latex.length;t++){var a=this.latex.slice(t);if(/^\\left(?![a-zA-Z])/.test(a)?e++:/^\\right(?![a-zA-Z])/.test(a)?e--:"{"===a[0]?e++:"}"===a[0]&&e--,e<0)return-1;if(0===e){var n=/^\\,\s*d(?![a-zA-Z]{2})/.exec(a)||(/\s/.test(this.latex[t-1])?/^d\s*(?:[a-zA-Z]|\\[a-zA-Z]+)(?![a-zA-Z])/.exec(a):null);if(null!==n&&0===i)return t;if(null!==n){i--,t+=n[0].length-1;continue}/^\\int(?![a-zA-Z])/.test(a)&&i++}"\\"===a[0]&&t++}return-1}parseEnvironment(){var t=this.position-"\\begin".length,e=/^\s*\{([a-zA-Z*]+)\}/.exec(this.latex.slice(this.position));if(null===e)return new MJXGUISymbol(null,"\\begin");var i=e[1];this.position+=e[0].length;let a=this.readEnvironmentCells();var n,e=/^\\end\s*\{[a-zA-Z*]+\}/.exec(this.latex.slice(this.position));null!==e&&(this.position+=e[0].length);let s;if("cases"===i)a=a.map(t=>[t[0],t.slice(1).join(" ")]),s=new Cases(null,i,a.length);else if("aligned"===i)a=a.map(t=>[t[0],t.slice(1).join(" ")]),s=new AlignedLines(null,i,a.length);else if("gathered"===i)a=a.map(t=>[t.join(" ")]),s=new AlignedLines(null,i,a.length);else{if(!(i in matrixDelimiters))return new MJXGUISymbol(null,this.latex.slice(t,this.position));t=Math.max(...a.map(t=>t.length));s=new Matrix(null,i,a.length,t)}const o=[];for(n of a)for(let t=0;t<s.columns;t++)o.push(t<n.length?new LatexParser(n[t]).parseSequence():[]);return fillComponentBlocks(s,o),s}readEnvironmentCells(){const t=[[]];let e=this.position,i=0;for(;!this.isEnd();){const r=this.latex.slice(this.position);var a=/^\\(begin|end)(?![a-zA-Z])/.exec(r);if(null===a){var n=this.peek();"{"===n?i++:"}"===n&&i--;var s=r.startsWith("\\\\");0!==i||"&"!==n&&!s?this.position+="\\"===n?2:1:(t[t.length-1].push(this.latex.slice(e,this.position)),s&&t.push([]),this.position+=s?2:1,e=this.position)}else{if("end"===a[1]&&0===i)break;i+="begin"===a[1]?1:-1,this.position+=a[0].length}}t[t.length-1].push(this.latex.slice(e,this.position));const o=t[t.length-1];return 1<t.length&&1===o.length&&""===o[0].trim()&&t.pop(),t}readDelimiter(){if(this.skipWhitespace(),this.isEnd())return".";let t=this.latex[this.position++];return"\\"===t&&(t+=this.readCommandName()),delimiterAliases[t]||t}readCommandName(){var t=/^[a-zA-Z]+/.exec(this.latex.slice(this.position));return null===t?this.latex[this.position++]:(this.position+=t[0].length,t[0])}parseTextRun(){var t=new TextRun(null);const e=[];if(this.skipWhitespace(),"{"!==this.peek())return t;this.position++;let i=0;for(;!this.isEnd();){var a,n=this.latex[this.position++];if("}"===n&&0===i)break;"{"===n||"}"===n?i+="{"===n?1:-1:"$"===n?e.push(...this.parseSequence("$")):"\\"===n?null===(a=/^(textbackslash|[{}$#%&_^~ ])(\{\})?/.exec(this.latex.slice(this.position)))?e.push(createTextComponent("\\")):(this.position+=a[0].length,e.push(createTextComponent("textbackslash"===a[1]?"\\":a[1]))):e.push(createTextComponent(n))}return fillComponentBlocks(t,[e]),t}parseChemicalEquation(){var t=new ChemicalEquation(null);if(this.skipWhitespace(),"{"!==this.peek())return t;const e=this.readRawArguments();return fillComponentBlocks(t,[chemicalEquationChildren(e.slice(1,e.endsWith("}")?-1:e.length))]),t}parseQuantity(t){let e=t.length;for(;0<e&&t[e-1]instanceof TextComponent&&/^[0-9.,]$/.test(t[e-1].toLatex());)e--;if(e===t.length)return null;var i=this.position;this.position+="\\,\\mathrm".length;const a=this.readRawArguments().slice(1,-1);var n=plainUnitText(a),s=(a.match(/\\text\{/g)??[]).length;return null===n||parseUnits(n).filter(t=>null===t.unit).length>s?(this.position=i,null):createQuantity(t.splice(e),n,"latex")}parseColored(t){this.skipWhitespace();var e=/^(?:\[HTML\]\{([0-9a-fA-F]{6})\}|\{([a-zA-Z0-9!.-]+)\})/.exec(this.latex.slice(this.position));if(null===e)return new MJXGUISymbol(null,`\\${t}${this.readRawArguments()}`);this.position+=e[0].length;e=void 0===e[1]?e[2]:`#${e[1]}`;if("color"===t){const i=new Colored(null,e);return fillComponentBlocks(i,[this.parseArgument()]),i}const i=new ColorBox(null,e);if(this.skipWhitespace(),"{"!==this.peek())return fillComponentBlocks(i,[this.parseArgument()]),i;this.position++,this.skipWhitespace();let a=[];return"$"===this.peek()&&(this.position++,a=this.parseSequence("$")),a.push(...this.parseSequence("}")),fillComponentBlocks(i,[a]),i}readRawArguments(){let e="";for(;["{","["].includes(this.peek());){var i=this.peek(),a="{"===i?"}":"]",n=this.position;let t=0;for(;!this.isEnd();){var s=this.latex[this.position++];if("\\"===s)this.position++;else if(s===i)t++;else if(s===a&&(t--,0===t))break}e+=this.latex.slice(n,this.position)}return e}}const asciiMathLeftBrackets={"(":"(","[":"[","{":"\\{","(:":"\\langle","{:":null,"|:":"|"},asciiMathRightBrackets={")":")","]":"]","}":"\\}",":)":"\\rangle",":}":null,":|":"|"},asciiMathDelimitedBrackets=new Set(["(:",":)","|:",":|"]),asciiMathLargeOperators={sum:"sum",prod:"prod",int:"int",iint:"iint",iiint:"iiint",oint:"oint",uuu:"bigcup",nnn:"bigcap",vvv:"bigvee","^^^":"bigwedge","∐":"coprod"},asciiMathAccents={hat:"hat",bar:"bar",overline:"overline",vec:"vec",dot:"dot",ddot:"ddot",tilde:"tilde"},asciiMathFontStyles={bbb:"mathbb",bb:"mathbf",cc:"mathcal",fr:"mathfrak",rm:"mathrm"},asciiMathBraces={obrace:"overbrace",overbrace:"overbrace",ubrace:"underbrace",underbrace:"underbrace"};class AsciiMathParser{constructor(t){for(var e in this.asciimath=t,this.position=0,this.symbols={to:"\\to",cdot:"\\cdot",ne:"\\ne"},symbolAsciiMathMap)this.symbols[symbolAsciiMathMap[e]]=symbolLatexMap[e];for(var i in keyPressSymbolAsciiMathMap)this.symbols[keyPressSymbolAsciiMathMap[i]]=i;for(var a in symbolUnicodeMap)a in symbolAsciiMathMap||(this.symbols[symbolUnicodeMap[a]]=symbolLatexMap[a]);this.names=[...Object.keys(this.symbols),...Object.keys(asciiMathLeftBrackets),...Object.keys(asciiMathRightBrackets),...Object.keys(asciiMathLargeOperators),...Object.keys(asciiMathAccents),...Object.keys(asciiMathFontStyles),...Object.keys(asciiMathBraces),...trigonometricCommands,"sqrt","root","color","overset","underset","frac","lim","ce"].sort((t,e)=>e.length-t.length)}parse(){this.position=0;const t=[];for(;null!==this.peekToken();){t.push(...this.parseSequence());var e=this.nextToken();null!==e&&t.push(...this.bracketText(e))}const i=new Expression;for(var a of t)a.parent=null,i.add(a);return i}peekToken(){var t=this.position,e=this.nextToken();return this.position=t,e}skipWhitespace(){for(;this.position<this.asciimath.length&&/\s/.test(this.asciimath[this.position]);)this.position++;return this.position}nextToken(){if(this.skipWhitespace(),this.position>=this.asciimath.length)return null;const e=this.asciimath.slice(this.position);let t;var i=/^[0-9]+(\.[0-9]+)?/.exec(e),a=/^"[^"]*"?/.exec(e);return t=null!==i?i[0]:null!==a?a[0]:this.names.find(t=>e.startsWith(t))||e[0],this.position+=t.length,t}parseSequence(t=null){const e=[];for(;;){var i=this.peekToken();if(null===i||i in asciiMathRightBrackets||i===t)break;if("rm"===i){i=this.parseQuantity(e);if(null!==i){e.push(i);continue}}e.push(...this.parseFraction())}return e}parseQuantity(t){let e=t.length;for(;0<e&&t[e-1]instanceof TextComponent&&/^[0-9.,]$/.test(t[e-1].toLatex());)e--;if(e===t.length)return null;var i=this.position;this.nextToken();const a=this.nextToken();return null!==a&&a.startsWith('"')?createQuantity(t.splice(e),a.replace(/^"|"$/g,""),"latex"):(this.position=i,null)}parseFraction(){var t=this.parseIntermediate();if("/"!==this.peekToken())return t.components;this.nextToken();var e=this.parseIntermediate().inner,i=derivativeFromFraction(t.inner,e);if(null!==i)return 0===i.blocks[0].children.length&&"("===this.peekToken()&&fillComponentBlocks(i,[this.parseSimple().inner]),[i];i=new Fraction(null);return fillComponentBlocks(i,[t.inner,e]),[i]}parseIntermediate(){var t=this.parseSimple(),e=this.parseScripts();let i;if("_"in e&&"^"in e)i=new SubSupRight(null),fillComponentBlocks(i,[t.components,e._,e["^"]]);else if("_"in e)i=new Subscript(null),fillComponentBlocks(i,[t.components,e._]);else{if(!("^"in e))return t;i=new Superscript(null),fillComponentBlocks(i,[t.components,e["^"]])}return{components:[i],inner:[i]}}parseScripts(){const t={};for(;["_","^"].includes(this.peekToken())&&!(this.peekToken()in t);)t[this.nextToken()]=this.parseSimple().inner;return t}parseSimple(){const e=this.nextToken();if(null===e||e in asciiMathRightBrackets)return null!==e&&(this.position-=e.length),{components:[],inner:[]};let i;if((e in asciiMathLeftBrackets||"|"===e)&&(i=this.parseMatrix(e),null!==i))return{components:[i],inner:[i]};if(e in asciiMathLeftBrackets){var t=this.parseSequence(),a=this.nextToken(),n="{:"===e&&":|"===a?this.parseScripts():{};return 0<Object.keys(n).length?(i=new EvaluationBar(null),fillComponentBlocks(i,[t,n._||[],n["^"]||[]]),{components:[i],inner:[i]}):null!==a&&(asciiMathDelimitedBrackets.has(e)||asciiMathDelimitedBrackets.has(a)||"{:"===e!=(":}"===a))?(i=new Delimited(null,asciiMathLeftBrackets[e]??".",asciiMathRightBrackets[a]??"."),fillComponentBlocks(i,[t]),{components:[i],inner:[i]}):{components:[...this.bracketText(e),...t,...null===a?[]:this.bracketText(a)],inner:t}}if("sqrt"===e)i=new Sqrt(null),fillComponentBlocks(i,[this.parseSimple().inner]);else if(e in asciiMathFontStyles)i=new FontStyle(null,asciiMathFontStyles[e]),fillComponentBlocks(i,[this.parseSimple().inner]);else if("color"===e){t=this.parseSimple().inner.map(t=>t.toUnicode()).join("");i=new Colored(null,t),fillComponentBlocks(i,[this.parseSimple().inner])}else if(e in asciiMathBraces){i=new Brace(null,asciiMathBraces[e]);var s=this.parseSimple().inner;let t=[];this.peekToken()===(i.labelAbove?"^":"_")&&(this.nextToken(),t=this.parseSimple().inner),fillComponentBlocks(i,[s,t])}else if("overset"===e||"underset"===e){i=new OverUnderSet(null,e);s=this.parseSimple().inner;fillComponentBlocks(i,[this.parseSimple().inner,s])}else if(e in asciiMathAccents)i=new Accent(null,asciiMathAccents[e]),fillComponentBlocks(i,[this.parseSimple().inner]);else if("root"===e||"frac"===e)i=new("root"===e?NthRoot:Fraction)(null),fillComponentBlocks(i,[this.parseSimple().inner,this.parseSimple().inner]);else if(trigonometricCommands.has(e)){i=new TrigonometricTwoBlockComponent(null,e);let t=[];"^"===this.peekToken()&&(this.nextToken(),t=this.parseSimple().inner),fillComponentBlocks(i,[t,this.parseSimple().inner])}else if("lim"===e){i=new Limit(null);var o=this.parseScripts();fillComponentBlocks(i,[o._||[],this.parseBody()])}else if("int"===e&&this.hasDifferential()){i=new DefiniteIntegral(null);var o=this.parseScripts(),r=this.findDifferential();const c=[];for(;this.skipWhitespace()<r;)c.push(...this.parseFraction());this.nextToken(),fillComponentBlocks(i,[o._||[],o["^"]||[],c,this.parseIntermediate().inner])}else if(e in asciiMathLargeOperators){i=new TemplateThreeBlockComponent(null,asciiMathLargeOperators[e]);var l=this.parseScripts();fillComponentBlocks(i,[l._||[],l["^"]||[],this.parseBody()])}else if("ce"===e&&this.peekToken()?.startsWith('"'))i=new ChemicalEquation(null),fillComponentBlocks(i,[chemicalEquationChildren(this.nextToken().replace(/^"|"$/g,""))]);else if(e.startsWith('"\\'))i=new MJXGUISymbol(null,e.replace(/^"|"$/g,""));else if(e.startsWith('"'))i=new TextRun(null),fillComponentBlocks(i,[[...e.replace(/^"|"$/g,"")].map(t=>createTextComponent(t))]);else{if(!(e in this.symbols&&this.symbols[e].startsWith("\\"))){l=[...e].map(t=>createTextComponent(t));return{components:l,inner:l}}i=new MJXGUISymbol(null,this.symbols[e])}return{components:[i],inner:[i]}}hasDifferential(){var t=this.position;this.parseScripts();var e=this.findDifferential();return this.position=t,-1!==e}findDifferential(){var t=this.position;let e=0,i=0,a=-1;for(;-1===a;){var n=this.skipWhitespace(),s=this.nextToken();if(null===s)break;if(s in asciiMathLeftBrackets?e++:s in asciiMathRightBrackets&&e--,e<0)break;0===e&&("d"===s&&this.isVariableToken(this.peekToken())?(0===i?a=n:i--,this.nextToken()):"int"===s&&i++)}return this.position=t,a}isVariableToken(t){return null!==t&&(!!/^[a-zA-Z]$/.test(t)||/^[\u0370-\u03ff]$/.test(symbolLatexToUnicode(this.symbols[t]||"")||""))}parseMatrix(t){var e=this.position;if(!this.holdsRows(t))return null;const i=[];let a=null;for(;;){a=this.nextToken();const n=[];let t;for(;n.push(this.parseSequence(",")),t=this.nextToken(),","===t;);if(t!=={"(":")","[":"]"}[a])return this.position=e,null;if(i.push(n),","!==this.peekToken())break;this.nextToken()}t=this.createMatrix(t,a,this.nextToken(),i);return null===t?(this.position=e,null):(fillComponentBlocks(t,i.flat()),t)}holdsRows(t){var e=this.position;let i=0,a=0,n=1,s=!1,o=!0,r=null;for(;;){var l=this.nextToken();if(null===l)break;if(0!==i)l in asciiMathLeftBrackets?i++:l in asciiMathRightBrackets?i--:","===l&&1===i&&1===a&&n++;else if(o){if(!["(","["].includes(l))break;0===a&&(r={token:l,position:this.position}),a++,i=1,o=!1}else{if(","!==l){s=(l in asciiMathRightBrackets||"|"===t&&"|"===l)&&(1<a||1<n);break}o=!0}}return s&&1===a&&(this.position=r.position,s=!this.holdsRows(r.token)),this.position=e,s}createMatrix(t,e,i,a){const n=a[0].length;if(a.some(t=>t.length!==n))return null;var s={"()":"pmatrix","[]":"bmatrix","{}":"Bmatrix","||":"vmatrix"};return`${t}${i}`in s?new Matrix(null,s[`${t}${i}`],a.length,n):"{"===t&&":}"===i&&2===n?new Cases(null,"cases",a.length):"{:"!==t||":}"!==i?null:"("===e&&n<=2?new AlignedLines(null,2===n?"aligned":"gathered",a.length):new Matrix(null,"matrix",a.length,n)}parseBody(){var t=this.peekToken();return null===t||t in asciiMathRightBrackets?[]:this.parseFraction()}bracketText(t){const e=(t in asciiMathLeftBrackets?asciiMathLeftBrackets:asciiMathRightBrackets)[t];return null===e?[]:e.startsWith("\\")?[new MJXGUISymbol(null,e)]:[createTextComponent(e)]}}const textOperators={"+":"plus","-":"minus","*":"times","/":"divide","=":"eq","<":"lt",">":"gt"},symbolOperators={"\\times":"times","\\cdot":"times","\\div":"divide","\\pm":"plusminus","\\mp":"minusplus","\\lt":"lt","\\gt":"gt","\\leq":"leq","\\geq":"geq","\\ne":"neq","\\approx":"approx","\\cup":"union","\\cap":"intersect","\\subset":"prsubset","\\subseteq":"subset","\\not\\subset":"notprsubset","\\not\\subseteq":"notsubset","\\in":"in","\\notin":"notin","\\to":"tendsto","\\Rightarrow":"implies","\\Leftrightarrow":"equivalent"},semanticOperatorPrecedence={implies:0,equivalent:0,eq:1,neq:1,lt:1,gt:1,leq:1,geq:1,approx:1,in:1,notin:1,subset:1,prsubset:1,notsubset:1,notprsubset:1,tendsto:1,plus:2,minus:2,plusminus:2,minusplus:2,union:2,intersect:2,times:3,divide:3},unaryPrecedence=4,unaryOperators=new Set(["plus","minus","plusminus","minusplus"]),naryOperators=new Set(["plus","times"]),symbolConstants={"\\pi":"pi","\\infty":"infinity"},largeOperatorNames={sum:"sum",prod:"product",int:"int",iint:"int",iiint:"int",oint:"int"},contentMathMLOperators={plusminus:'<csymbol cd="arith1">plusminus</csymbol>',minusplus:'<csymbol cd="arith1">minusplus</csymbol>'},delimiterFunctions={bars:"abs",floor:"floor",ceil:"ceiling"},contentMathMLContainers=new Set(["matrix","matrixrow","piecewise","piece","otherwise"]);function createSemanticNode(t,e=null){return Object.defineProperty(t,"component",{value:e,enumerable:!1,writable:!0}),t}function createSemanticError(t,e=null,i=[]){return createSemanticNode({type:"error",message:t,args:i},e)}function isClosingBracket(t){const e=t.children[0];return 1===t.children.length&&e instanceof TextComponent&&[")","]"].includes(e.toLatex())}class SemanticParser{constructor(t){this.expression=t,this.tokens=[],this.position=0,this.grouped=new WeakSet}parse(){return this.parseSequence(this.expression.components,null)}parseSequence(t,e){var i=[this.tokens,this.position];this.tokens=this.tokenize(t);let a;if((this.position=0)===this.tokens.length)a=createSemanticError("Expected an expression",e);else for(a=this.parseExpression(0);this.position<this.tokens.length;){var n=this.tokens[this.position++];a=createSemanticError(`Unexpected "${n.text}"`,n.component,[a]),this.position<this.tokens.length&&a.args.push(this.parseExpression(0))}return[this.tokens,this.position]=i,a}parseBlock(t){return this.parseSequence(t.children,t.parent)}tokenize(t){const i=[];let a=null;for(let e of t){var n=e instanceof TextComponent?e.toLatex():null;if(null!==n&&/^[0-9.]$/.test(n))null===a&&(a={kind:"operand",text:"",component:e},i.push(a)),a.text+=n,a.node=createSemanticNode({type:"number",value:a.text},a.component);else if((a=null)!==n)i.push(this.tokenizeText(n,e));else if(e instanceof MJXGUISymbol)"\\:\\:"!==e.latexData&&i.push(this.tokenizeSymbol(e));else if(e instanceof TextRun){const s=t.slice(t.indexOf(e)+1);0===i.length||s.every(t=>t instanceof TextRun)||i.push({kind:"operand",text:e.toLatex(),component:e,node:createSemanticError(`Cannot interpret "${e.text}" between math`,e)})}else e instanceof Superscript&&(0===e.blocks[0].children.length||isClosingBracket(e.blocks[0]))?(e.blocks[0].children.length&&i.push(this.tokenizeText(e.blocks[0].children[0].toLatex(),e.blocks[0].children[0])),i.push({kind:"postfix",text:e.toLatex(),component:e,apply:t=>createSemanticNode({type:"apply",operator:"power",args:[t,this.parseBlock(e.blocks[1])]},e)})):e instanceof LabeledComponent&&this.isLabeledOperator(e)?i.push({...this.tokenize(e.blocks[0].children)[0],text:e.toLatex(),component:e}):e instanceof Derivative&&0===e.blocks[0].children.length?i.push({kind:"prefix",text:e.toLatex(),component:e,apply:t=>this.interpretDerivative(e,t)}):e instanceof TrigonometricTwoBlockComponent&&0===e.blocks[1].children.length?i.push({kind:"prefix",text:e.toLatex(),component:e,apply:t=>this.applyFunction(e,t)}):i.push({kind:"operand",text:e.toLatex(),component:e,node:this.interpretComponent(e)})}return i}isLabeledOperator(t){t=this.tokenize(t.blocks[0].children);return 1===t.length&&"operator"===t[0].kind}tokenizeText(t,e){return/^[a-zA-Z]$/.test(t)?{kind:"operand",text:t,component:e,node:createSemanticNode({type:"identifier",name:t},e)}:t in textOperators?{kind:"operator",text:t,component:e,operator:textOperators[t]}:"("===t||"["===t?{kind:"open",text:t,component:e}:")"===t||"]"===t?{kind:"close",text:t,component:e}:"!"===t?{kind:"postfix",text:t,component:e,apply:t=>createSemanticNode({type:"apply",operator:"factorial",args:[t]},e)}:{kind:"operand",text:t,component:e,node:createSemanticError(`Cannot interpret "${t}"`,e)}}tokenizeSymbol(t){const e=t.latexData;if(e in symbolOperators)return{kind:"operator",text:e,component:t,operator:symbolOperators[e]};let i;return i=e in symbolConstants?createSemanticNode({type:"constant",name:symbolConstants[e]},t):/^[\u0370-\u03ff]$/.test(symbolLatexToUnicode(e)||"")?createSemanticNode({type:"identifier",name:e.replace(/^\\/,"")},t):"\\hbar"===e?createSemanticNode({type:"identifier",name:"hbar"},t):createSemanticError(`Cannot interpret symbol "${e}"`,t),{kind:"operand",text:e,component:t,node:i}}parseExpression(t){let e=this.parsePrefix();for(;this.position<this.tokens.length;){const a=this.tokens[this.position];if("operator"===a.kind){var i=semanticOperatorPrecedence[a.operator];if(i<t)break;this.position++;i=this.parseExpression(i+1);e=this.combine(a.operator,e,i,a.component)}else if("postfix"===a.kind)this.position++,e=a.apply(e);else{if("close"===a.kind)break;i=semanticOperatorPrecedence.times;if(i<t)break;i=this.parseExpression(i+1);e=this.combine("times",e,i,null)}}return e}parsePrefix(){if(this.position>=this.tokens.length){var t=this.tokens[this.tokens.length-1];return createSemanticError(`Expected an operand after "${t.text}"`,t.component)}const e=this.tokens[this.position++];if("operand"===e.kind)return e.node;if("open"===e.kind){if(this.position<this.tokens.length&&"close"===this.tokens[this.position].kind)return this.position++,createSemanticError("Empty parentheses",e.component);var i=this.parseExpression(0),t=this.tokens[this.position];return void 0===t||"close"!==t.kind?createSemanticError(`Unmatched "${e.text}"`,e.component,[i]):(this.position++,this.grouped.add(i),i)}if("operator"===e.kind&&unaryOperators.has(e.operator)){i=this.parseExpression(unaryPrecedence);return createSemanticNode({type:"apply",operator:e.operator,args:[i]},e.component)}return"prefix"===e.kind?e.apply(this.parseExpression(semanticOperatorPrecedence.times)):"postfix"===e.kind?e.apply(createSemanticError(`Expected an operand before "${e.text}"`,e.component)):createSemanticError(`Unexpected "${e.text}"`,e.component)}combine(t,e,i,a){return naryOperators.has(t)&&"apply"===e.type&&e.operator===t&&!this.grouped.has(e)?(e.args.push(i),e):createSemanticNode({type:"apply",operator:t,args:[e,i]},a)}interpretComponent(t){var e=t.blocks;if(t instanceof Fraction)return createSemanticNode({type:"apply",operator:"divide",args:[this.parseBlock(e[0]),this.parseBlock(e[1])]},t);if(t instanceof Sqrt)return createSemanticNode({type:"apply",operator:"root",args:[this.parseBlock(e[0])]},t);if(t instanceof NthRoot)return createSemanticNode({type:"apply",operator:"root",degree:this.parseBlock(e[0]),args:[this.parseBlock(e[1])]},t);if(t instanceof Superscript)return createSemanticNode({type:"apply",operator:"power",args:[this.parseBlock(e[0]),this.parseBlock(e[1])]},t);if(t instanceof Subscript)return this.interpretSubscript(t,e[0],e[1]);if(t instanceof SubSupRight)return createSemanticNode({type:"apply",operator:"power",args:[this.interpretSubscript(t,e[0],e[1]),this.parseBlock(e[2])]},t);if(t instanceof TrigonometricTwoBlockComponent)return this.applyFunction(t,this.parseBlock(e[1]));if(t instanceof Limit)return this.interpretLimit(t);if(t instanceof TemplateThreeBlockComponent)return this.interpretLargeOperator(t);if(t instanceof Derivative)return this.interpretDerivative(t,this.parseBlock(e[0]));if(t instanceof DefiniteIntegral)return this.interpretDefiniteIntegral(t);if(t instanceof EvaluationBar)return this.interpretEvaluationBar(t);if(t instanceof LabeledComponent){var i=this.parseBlock(e[0]);return this.grouped.add(i),i}return t instanceof FrameBox||t instanceof Colored?this.parseBlock(e[0]):t instanceof Delimited?this.interpretDelimited(t):t instanceof Accent?this.interpretAccent(t):t instanceof FontStyle?this.interpretFontStyle(t):t instanceof Cases?this.interpretCases(t):t instanceof AlignedLines?this.interpretLines(t):t instanceof Matrix?this.interpretMatrix(t):createSemanticError(`Cannot interpret "${t.toLatex()}"`,t)}interpretMatrix(t){var e=createSemanticNode({type:"apply",operator:"matrix",args:t.getRows().map(t=>createSemanticNode({type:"apply",operator:"matrixrow",args:t.map(t=>this.parseBlock(t))}))},t);return"vmatrix"!==t.latexData?e:createSemanticNode({type:"apply",operator:"determinant",args:[e]},t)}interpretCases(t){var e=t.getRows().map(([t,e])=>{var i=e.children.some(t=>!(t instanceof TextRun));return createSemanticNode({type:"apply",operator:i?"piece":"otherwise",args:i?[this.parseBlock(t),this.parseBlock(e)]:[this.parseBlock(t)]})});return createSemanticNode({type:"apply",operator:"piecewise",args:e},t)}interpretDelimited(t){var e=t.kind;if(e in delimiterFunctions)return createSemanticNode({type:"apply",operator:delimiterFunctions[e],args:[this.parseBlock(t.blocks[0])]},t);if(["parentheses","brackets","braces","none"].includes(e)){e=this.parseBlock(t.blocks[0]);return this.grouped.add(e),e}return createSemanticError(`Cannot interpret "${t.toLatex()}"`,t)}interpretAccent(t){const e=this.parseBlock(t.blocks[0]);if("identifier"!==e.type)return createSemanticError("Cannot interpret accent",t,[e]);{const i=accentMap[t.latexData];return createSemanticNode({type:"identifier",name:e.name.replace(/^[^_]*/,t=>t+i.identifier),display:identifierDisplayName(e).replace(/^[^_]*/,t=>t+i.unicode)},t)}}interpretFontStyle(t){const e=this.parseBlock(t.blocks[0]),i=fontStyleMap[t.latexData];return"mathrm"===t.latexData?(this.grouped.add(e),e):"identifier"===e.type?createSemanticNode({type:"identifier",name:e.name.replace(/^[^_]*/,t=>t+i.identifier),display:styleToUnicode(identifierDisplayName(e),t.latexData)},t):createSemanticError(`Cannot interpret ${i.word} style`,t,[e])}interpretLines(i){const t=i.getRows();return t.some((t,e)=>0<e&&(1===i.columns||0<t[0].children.length))?createSemanticError("Cannot interpret several separate lines",i):this.parseSequence(i.blocks.flatMap(t=>t.children),i)}interpretSubscript(t,e,i){var a=this.parseBlock(e),e=this.parseBlock(i);if("identifier"===a.type&&["identifier","number"].includes(e.type)){const n=createSemanticNode({type:"identifier",name:`${a.name}_${e.name||e.value}`},t);return void 0===a.display&&void 0===e.display||(i="number"===e.type?e.value:identifierDisplayName(e),n.display=`${identifierDisplayName(a)}_${i}`),n}return createSemanticError("Cannot interpret subscript",t,[a,e])}applyFunction(t,e){let i=createSemanticNode({type:"apply",operator:t.latexData,args:[e]},t);return t.blocks[0].children.length&&(i=createSemanticNode({type:"apply",operator:"power",args:[i,this.parseBlock(t.blocks[0])]},t)),i}interpretLimit(t){const e=createSemanticNode({type:"apply",operator:"limit",args:[this.parseBlock(t.blocks[1])]},t);var i=this.parseBlock(t.blocks[0]);return"apply"===i.type&&"tendsto"===i.operator&&"identifier"===i.args[0].type?(e.variable=i.args[0],e.approaches=i.args[1],e):createSemanticError('Expected a limit of the form "x \\to a"',t,[i,e.args[0]])}interpretLargeOperator(t){var e,i,a=largeOperatorNames[t.latexData];if(void 0===a)return createSemanticError(`Cannot interpret "\\${t.latexData}"`,t);const[n,s,o]=t.blocks,r=createSemanticNode({type:"apply",operator:a,args:[]},t);let l=o.children.filter(t=>!(t instanceof MJXGUISymbol&&"\\:\\:"===t.latexData));return"int"===a&&(e=l.length,isDifferentialD(l[e-2])&&2<e&&("identifier"===(i=this.parseSequence(l.slice(e-1),t)).type&&(r.variable=i,l=l.slice(0,e-2)))),r.args.push(this.parseSequence(l,t)),n.children.length&&("apply"===(t=this.parseBlock(n)).type&&"eq"===t.operator&&"identifier"===t.args[0].type?(r.variable=t.args[0],r.lowerLimit=t.args[1]):"int"===a?r.lowerLimit=t:r.condition=t),s.children.length&&(r.upperLimit=this.parseBlock(s)),r}interpretDerivative(t,e){const i=createSemanticNode({type:"apply",operator:t instanceof PartialDerivative?"partialdiff":"diff",args:[e],variables:[]},t);for(var{variable:a,order:n}of t.variables){a=this.parseBlock(a);if("identifier"!==a.type)return createSemanticError("Expected a variable to differentiate with respect to",t,[a,e]);const s={variable:a};isFirstOrder(n)||(s.degree=this.parseBlock(n)),i.variables.push(s)}return i}interpretDefiniteIntegral(t){var[e,i,a,n]=t.blocks;const s=createSemanticNode({type:"apply",operator:"int",args:[this.parseBlock(a)],variable:this.parseBlock(n)},t);return"identifier"!==s.variable.type?createSemanticError("Expected the variable of integration",t,[s.args[0],s.variable]):(e.children.length&&(s.lowerLimit=this.parseBlock(e)),i.children.length&&(s.upperLimit=this.parseBlock(i)),s)}interpretEvaluationBar(t){var[e,i,a]=t.blocks,e=this.parseBlock(e);if(!i.children.length||!a.children.length)return createSemanticError("Expected a lower and an upper limit",t,[e]);let n,s=this.parseBlock(i);if("apply"===s.type&&"eq"===s.operator&&"identifier"===s.args[0].type)[n,s]=s.args;else{i=freeIdentifiers(e);if(1!==i.size)return createSemanticError('Expected a lower limit of the form "x = a"',t,[e]);n={name:[...i][0]}}a=this.parseBlock(a);return createSemanticNode({type:"apply",operator:"minus",args:[substituteIdentifier(e,n.name,a),substituteIdentifier(e,n.name,s)]},t)}}function freeIdentifiers(t){const e=new Set;if("identifier"===t.type)return"e"!==t.name&&e.add(t.name),e;if(!t.args)return e;var i,a,n=t.variable?t.variable.name:null;for(i of t.args)for(var s of freeIdentifiers(i))s!==n&&e.add(s);for(a of["lowerLimit","upperLimit","approaches","degree"])t[a]&&freeIdentifiers(t[a]).forEach(t=>e.add(t));return e}function substituteIdentifier(t,e,i){if("identifier"===t.type)return t.name===e?i:t;if(!t.args)return t;const a=createSemanticNode({...t},t.component);var n;t.variable&&t.variable.name===e||(a.args=t.args.map(t=>substituteIdentifier(t,e,i)));for(n of["lowerLimit","upperLimit","approaches","degree"])t[n]&&(a[n]=substituteIdentifier(t[n],e,i));return a}function isDifferentialD(t){if(t instanceof FontStyle&&"mathrm"===t.latexData){var e=t.blocks[0].children;return 1===e.length&&isDifferentialD(e[0])}return t instanceof TextComponent&&"d"===t.toLatex()}function identifierDisplayName(t){return void 0!==t.display?t.display:t.name.split("_").map(t=>`\\${t}`===symbolLatexMap[t]?symbolUnicodeMap[t]:t).join("_")}function semanticTreeToContentMathML(t){if("number"===t.type)return`<cn>${t.value}</cn>`;if("identifier"===t.type)return`<ci>${escapeXML(identifierDisplayName(t))}</ci>`;if("constant"===t.type)return`<${t.name}/>`;if("error"===t.type){var e=t.args.map(semanticTreeToContentMathML).join("");return`<cerror><csymbol cd="moreerrors">unexpected</csymbol><cs>${escapeXML(t.message)}</cs>${e}</cerror>`}if(contentMathMLContainers.has(t.operator)){e=t.args.map(semanticTreeToContentMathML).join("");return`<${t.operator}>${e}</${t.operator}>`}let i=`<apply>${contentMathMLOperators[t.operator]||`<${t.operator}/>`}`;for(var{variable:a,degree:n}of t.variables||[]){n=n?`<degree>${semanticTreeToContentMathML(n)}</degree>`:"";i+=`<bvar>${semanticTreeToContentMathML(a)}${n}</bvar>`}t.variable&&(i+=`<bvar>${semanticTreeToContentMathML(t.variable)}</bvar>`),t.degree&&(i+=`<degree>${semanticTreeToContentMathML(t.degree)}</degree>`),t.approaches&&(i+=`<lowlimit>${semanticTreeToContentMathML(t.approaches)}</lowlimit>`),t.lowerLimit&&(i+=`<lowlimit>${semanticTreeToContentMathML(t.lowerLimit)}</lowlimit>`),t.upperLimit&&(i+=`<uplimit>${semanticTreeToContentMathML(t.upperLimit)}</uplimit>`),t.condition&&(i+=`<condition>${semanticTreeToContentMathML(t.condition)}</condition>`);for(var s of t.args)i+=semanticTreeToContentMathML(s);return i+"</apply>"}const textSpeechMap={"+":"plus","-":"minus","*":"times","/":"divided by","=":"equals","<":"less than",">":"greater than","!":"factorial",",":"comma",";":"semicolon",":":"colon","'":"prime","|":"vertical bar","(":"open parenthesis",")":"close parenthesis","[":"open bracket","]":"close bracket","\\{":"open brace","\\}":"close brace","\\$":"dollar","\\#":"number sign","\\%":"percent","\\&":"ampersand","\\_":"underscore","\\backslash":"backslash","\\:\\:":""},symbolSpeechMap={"\\times":"times","\\div":"divided by","\\cdot":"times","\\pm":"plus or minus","\\mp":"minus or plus","\\star":"star","\\bigcup":"union","\\bigcap":"intersection","\\cup":"union","\\cap":"intersection","\\lt":"less than","\\gt":"greater than","\\leq":"less than or equal to","\\le":"less than or equal to","\\geq":"greater than or equal to","\\ge":"greater than or equal to","\\approx":"approximately equal to","\\ne":"not equal to","\\neq":"not equal to","\\subset":"subset of","\\supset":"superset of","\\subseteq":"subset of or equal to","\\supseteq":"superset of or equal to","\\not\\subset":"not a subset of","\\not\\supset":"not a superset of","\\not\\subseteq":"not a subset of or equal to","\\not\\supseteq":"not a superset of or equal to","\\propto":"proportional to","\\parallel":"parallel to","\\nparallel":"not parallel to","\\asymp":"asymptotically equal to","\\in":"in","\\notin":"not in","\\exists":"there exists","\\nexists":"there does not exist","\\forall":"for all","\\perp":"perpendicular to","\\measuredangle":"measured angle","\\Leftarrow":"is implied by","\\Rightarrow":"implies","\\Leftrightarrow":"if and only if","\\to":"right arrow","\\rightarrow":"right arrow","\\gets":"left arrow","\\leftarrow":"left arrow","\\leftrightarrow":"left right arrow","\\longrightarrow":"long right arrow","\\longleftarrow":"long left arrow","\\longleftrightarrow":"long left right arrow","\\uparrow":"up arrow","\\downarrow":"down arrow","\\updownarrow":"up down arrow","\\hbar":"h bar","\\Re":"real part","\\infty":"infinity"},accentSpeechMap={hat:{word:"hat",before:!1},bar:{word:"bar",before:!1},vec:{word:"vector",before:!0},dot:{word:"dot",before:!1},ddot:{word:"double dot",before:!1},tilde:{word:"tilde",before:!1},overline:{word:"bar",before:!1},overrightarrow:{word:"vector",before:!0}},delimiterSpeechMap={"\\langle":"open angle bracket","\\rangle":"close angle bracket","\\|":"double vertical bar","\\lfloor":"left floor","\\rfloor":"right floor","\\lceil":"left ceiling","\\rceil":"right ceiling",".":""},delimiterSpeechFunctions={bars:"absolute value",doubleBars:"norm",floor:"floor",ceil:"ceiling"},derivativeOrdinals={2:"second",3:"third"},chemistrySpeechMap={"→":"yields","←":"is formed from","↔":"resonates with","⇌":"is in equilibrium with","↑":"gas","↓":"precipitate","+":"plus"},chemistryStateSpeechMap={"(s)":"solid","(l)":"liquid","(g)":"gas","(aq)":"aqueous"},unitPowerSpeechMap={2:"squared",3:"cubed"},limitArrowSymbols=new Set(["\\to","\\rightarrow","\\longrightarrow"]);function symbolSpeechFallback(t){return/^(?:\\[a-zA-Z]+\s*)+$/.test(t)?t.match(/\\[a-zA-Z]+/g).map(t=>{const e=t.replace(/^\\/,"");return/^[A-Z][a-z]+$/.test(e)?`capital ${e.toLowerCase()}`:e.replace(/^var(?=[a-z]{2})/,"variant ")}).join(" "):t.replace(/^\\/,"")}function removeExplanation(t){return t.replace(/\s*\(.*?\)/g,"")}function speechVocabularyFromToolbar(t){const a=new Map;return t.querySelectorAll(".mjxgui-btn[title]").forEach(t=>{let e=t.title.toLowerCase();var i=t.dataset.latexData;""!==e&&(t.dataset.functionId in functionComponentMap?a.has(functionComponentMap[t.dataset.functionId])||a.set(functionComponentMap[t.dataset.functionId],e):["three","trigonometric"].includes(t.dataset.templateType)?a.set(i,e):i in symbolLatexMap?(t.classList.contains("mjxgui-greek-letter")&&/^[A-Z]/.test(i)&&(e=`capital ${e}`),a.has(symbolLatexMap[i])||a.set(symbolLatexMap[i],e)):void 0!==i&&a.set(i,e))}),a}class SpeechGenerator{constructor(t,e={}){this.expression=t,this.mode="brief"===e.mode?"brief":"verbose",this.vocabulary=e.vocabulary||new Map}generate(){return this.speakSequence(this.expression.components)}get verbose(){return"verbose"===this.mode}speakSequence(t){const e=[];let i="";for(var a of t){var n="string"==typeof a?a:a instanceof TextComponent?a.toLatex():null;null!==n&&/^[0-9.]$/.test(n)?i+=n:(i&&(e.push(i),i=""),e.push("string"==typeof a?this.speakText(a):this.speakComponent(a)))}return i&&e.push(i),e.filter(t=>""!==t).join(" ")}speakBlock(t){return this.speakSequence(t.children)}speakText(t){return t in textSpeechMap?textSpeechMap[t]:t}speakSymbol(t){return t in textSpeechMap&&!this.vocabulary.has(t)?textSpeechMap[t]:this.name(t,symbolSpeechMap[t]??symbolSpeechFallback(t))}name(t,e){e=this.vocabulary.has(t)?this.vocabulary.get(t):e;return this.verbose?e:removeExplanation(e)}isSimple(t){const e=t.children;return 1===e.length?e[0]instanceof TextComponent||e[0]instanceof MJXGUISymbol:e.every(t=>t instanceof TextComponent&&/^[0-9.]$/.test(t.toLatex()))}end(t,e){return this.verbose&&!this.isSimple(t)?`, end ${removeExplanation(e)}`:""}speakPower(t){var e=this.speakBlock(t);return"2"===e?"squared":"3"===e?"cubed":this.verbose?`to the power ${e}${this.end(t,"power")}`:`to the ${e}`}speakComponent(t){if(t instanceof TextComponent)return this.speakText(t.toLatex());if(t instanceof MJXGUISymbol)return this.speakSymbol(t.latexData);var e=t.blocks;switch(t.constructor){case Fraction:var i=this.speakBlock(e[0]),a=this.speakBlock(e[1]);return this.verbose?`the ${this.name(Fraction,"fraction")} with numerator ${i} and denominator ${a}${this.end(e[1],"fraction")}`:this.isSimple(e[0])&&this.isSimple(e[1])?`${i} over ${a}`:`${this.name(Fraction,"fraction")} ${i} over ${a} end ${this.name(Fraction,"fraction")}`;case Sqrt:return`${this.verbose?"the ":""}${this.name(Sqrt,"square root")} of ${this.speakBlock(e[0])}${this.end(e[0],"root")}`;case NthRoot:return this.speakNthRoot(t);case Superscript:return`${this.speakBlock(e[0])} ${this.speakPower(e[1])}`.trim();case Subscript:return`${this.speakBlock(e[0])} ${this.speakSubscript(e[1])}`.trim();case SubSupRight:return`${this.speakBlock(e[0])} ${this.speakSubscript(e[1])} ${this.speakPower(e[2])}`.trim();case Limit:return this.speakLimit(t);case FrameBox:return`${this.verbose?"the boxed expression":"boxed"} ${this.speakBlock(e[0])}${this.end(e[0],"box")}`;case TrigonometricTwoBlockComponent:return this.speakTrigonometric(t);case TemplateThreeBlockComponent:return this.speakLargeOperator(t);case Matrix:return this.speakMatrix(t);case Cases:return this.speakCases(t);case AlignedLines:return this.speakLines(t);case Delimited:return this.speakDelimited(t);case Accent:return this.speakAccent(t);case TextRun:return this.speakTextRun(t);case FontStyle:return this.speakFontStyle(t);case Brace:case OverUnderSet:return this.speakLabeled(t);case Derivative:case PartialDerivative:return this.speakDerivative(t);case DefiniteIntegral:return this.speakDefiniteIntegral(t);case EvaluationBar:return this.speakEvaluationBar(t);case ChemicalEquation:return this.speakChemicalEquation(t);case Quantity:return this.speakQuantity(t);case Colored:return`${this.verbose?"colored ":""}${this.speakBlock(e[0])}${this.end(e[0],"color")}`;case ColorBox:return`highlighted ${this.speakBlock(e[0])}${this.end(e[0],"highlight")}`;default:return this.speakCustomComponent(t)}}speakSubscript(t){var e=this.speakBlock(t);return this.verbose?`subscript ${e}${this.end(t,"subscript")}`:`sub ${e}`}speakNthRoot(t){var e=this.speakBlock(t.blocks[0]),i=this.speakBlock(t.blocks[1]),t=this.end(t.blocks[1],"root");return""===e||"2"===e?`${this.verbose?"the ":""}square root of ${i}${t}`:"3"===e?`${this.verbose?"the ":""}cube root of ${i}${t}`:this.verbose?`the root with index ${e} of ${i}${t}`:`root ${e} of ${i}`}speakLimit(t){var e=t.blocks[0].children.map(t=>t instanceof MJXGUISymbol&&limitArrowSymbols.has(t.latexData)?"approaches":this.speakSequence([t])).join(" ");let i=`${this.verbose?"the ":""}${this.name(Limit,"limit")}`;return e&&(i+=` as ${e}`),`${i} of ${this.speakBlock(t.blocks[1])}${this.end(t.blocks[1],this.name(Limit,"limit"))}`}speakTrigonometric(t){let e=this.name(t.latexData,t.latexData);if(t.blocks[0].children.length&&(e+=` ${this.speakPower(t.blocks[0])}`),0===t.blocks[1].children.length)return e;var i=this.speakBlock(t.blocks[1]);return this.verbose?`${e} of ${i}${this.end(t.blocks[1],e)}`:`${e} ${i}`}speakLargeOperator(t){var e=this.name(t.latexData,t.latexData);let i=`${this.verbose?"the ":""}${e}`;var[a,n,t]=t.blocks;return a.children.length&&(i+=` from ${this.speakBlock(a)}`),n.children.length&&(i+=` to ${this.speakBlock(n)}`),t.children.length&&(i+=` of ${this.speakBlock(t)}${this.end(t,e)}`),i}speakDerivative(t){var e=t instanceof PartialDerivative?this.name(PartialDerivative,"partial derivative"):this.name(Derivative,"derivative");const i=t.variables;let a=`${this.verbose?"the ":""}${e}`;1!==i.length||isFirstOrder(i[0].order)||(n=this.speakBlock(i[0].order),a=n in derivativeOrdinals?`${this.verbose?"the ":""}${derivativeOrdinals[n]} ${e}`:`${a} of order ${n}`);var n=i.map(({variable:t,order:e})=>{t=this.speakBlock(t);if(1===i.length||isFirstOrder(e))return t;e=this.speakBlock(e);return`${t} ${"2"===e?"twice":`${e} times`}`}).join(" and "),t=t.blocks[0];return 0===t.children.length?`${a} with respect to ${n} of`:`${a} of ${this.speakBlock(t)} with respect to ${n}`}speakDefiniteIntegral(t){var[e,i,a,t]=t.blocks;let n=`${this.verbose?"the ":""}${this.name("int","integral")}`;return e.children.length&&(n+=` from ${this.speakBlock(e)}`),i.children.length&&(n+=` to ${this.speakBlock(i)}`),`${n} of ${this.speakBlock(a)} d ${this.speakBlock(t)}`}speakEvaluationBar(t){var[e,i,t]=t.blocks;let a=`${this.speakBlock(e)} evaluated`;return i.children.length&&(a+=` from ${this.speakBlock(i)}`),t.children.length&&(a+=` to ${this.speakBlock(t)}`),a}speakChemicalEquation(t){const e=chemistryTokens(t.text).map(t=>"formula"!==t.kind?chemistrySpeechMap[t.symbol]:t.atoms.map(t=>{if("state"===t.kind)return chemistryStateSpeechMap[t.text];if("dot"===t.kind)return"dot";let e="";if(""!==t.charge){const i=t.charge.replace("+"," plus").replace("-"," minus");e=`${i.trim()} ion`}return[t.text,t.subscript,e].filter(t=>""!==t).join(" ")}).join(" "));t=e.join(" ");return this.verbose?`the chemical equation ${t}, end chemical equation`:t}speakQuantity(t){const n=this.speakBlock(t.blocks[0]),e=t.units,s=e.findLastIndex(t=>0<t.power);t=e.map((t,e)=>{if(null===t.unit)return t.text;var{name:i,plural:a}=siUnits[t.unit],a=(t.prefix?siPrefixes[t.prefix].name:"")+(e===s&&"1"!==n?a??`${i}s`:i),i=Math.abs(t.power),i=1===i?a:`${a} ${unitPowerSpeechMap[i]??`to the power ${i}`}`;return t.power<0?`per ${i}`:i});return[n,...t].join(" ")}speakMatrix(t){var e="vmatrix"===t.latexData?"determinant":this.name(Matrix,"matrix");const i=t.getRows().map(t=>t.map(t=>this.speakBlock(t)||"blank").join(", "));t=`${t.rows} by ${t.columns}`;if(this.verbose){const a=i.map((t,e)=>`row ${e+1}: ${t}`);return`the ${t} ${e}, ${a.join("; ")}, end ${removeExplanation(e)}`}return`${t} ${removeExplanation(e)} ${i.join("; ")}`}speakCases(t){var e=this.name(Cases,"piecewise function");const i=t.getRows().map(([t,e])=>{t=this.speakBlock(t)||"blank";return 0===e.children.length?`${t} otherwise`:e.children[0]instanceof TextRun?`${t} ${this.speakBlock(e)}`:`${t} if ${this.speakBlock(e)}`});return this.verbose?`the ${e}, ${i.join("; ")}, end ${removeExplanation(e)}`:`${removeExplanation(e)} ${i.join("; ")}`}speakFontStyle(t){var e=t.blocks[0],i=this.speakBlock(e);if("mathrm"===t.latexData)return i;t=fontStyleMap[t.latexData].word;return`${t} ${i}${this.end(e,t)}`}speakLabeled(t){var e=this.speakBlock(t.blocks[0]),i=this.speakBlock(t.blocks[1]);if(t instanceof Brace){var a=t.labelAbove?"overbrace":"underbrace";return""===i?`${e} with ${a}`:`${e} with ${a} ${i}${this.end(t.blocks[1],a)}`}return`${e} with ${i} ${t.labelAbove?"above":"below"}`}speakTextRun(t){return textRunPieces(t.blocks[0]).map(t=>"string"==typeof t?t.trim():this.speakComponent(t)).filter(t=>""!==t).join(" ")}speakAccent(t){var e=t.blocks[0],{word:i,before:a}=accentSpeechMap[t.latexData],t=this.speakBlock(e);return this.isSimple(e)?a?`${i} ${t}`:`${t} ${i}`:`${i} of ${t}${this.end(e,i)}`}speakDelimited(t){const e=this.speakBlock(t.blocks[0]);var i=delimiterSpeechFunctions[t.kind];if(void 0!==i)return`${this.verbose?"the ":""}${i} of ${e}${this.end(t.blocks[0],i)}`;i=t=>textSpeechMap[t]??delimiterSpeechMap[t]??this.speakSymbol(t);return[i(t.left),e,i(t.right)].filter(t=>""!==t).join(" ")}speakLines(t){const e=t.getRows().map((t,e)=>`line ${e+1}: ${this.speakSequence(t.flatMap(t=>t.children))}`);return this.verbose?`${e.length} line${1===e.length?"":"s"}, ${e.join("; ")}, end lines`:e.join("; ")}speakCustomComponent(t){if(!this.vocabulary.has(t.constructor))return componentToUnicode(t);const e=t.blocks.filter(t=>t.children.length).map(t=>this.speakBlock(t));t=this.name(t.constructor,"");return 0===e.length?t:`${this.verbose?"the ":""}${t} of ${e.join(" and ")}${this.verbose?`, end ${removeExplanation(t)}`:""}`}}const maxEvaluationTerms=1e5,trigonometricFunctions={sin:Math.sin,cos:Math.cos,tan:Math.tan,csc:t=>1/Math.sin(t),sec:t=>1/Math.cos(t),cot:t=>1/Math.tan(t),arcsin:Math.asin,arccos:Math.acos,arctan:Math.atan},evaluationComparisons={eq:(t,e)=>t===e,neq:(t,e)=>t!==e,lt:(t,e)=>t<e,gt:(t,e)=>e<t,leq:(t,e)=>t<=e,geq:(t,e)=>e<=t};class EvaluationError extends Error{constructor(t,e,i=null){super(e),this.name="EvaluationError",this.code=t,this.component=i}}class Evaluator{constructor(t,e={}){this.expression=t,this.variables=e}evaluate(){return this.evaluateNode(new SemanticParser(this.expression).parse(),this.variables)}evaluateNode(t,e){switch(t.type){case"number":var i=Number(t.value);if(Number.isNaN(i))throw new EvaluationError("not-numeric",`"${t.value}" is not a valid number`,t.component);return i;case"identifier":return this.lookup(t,e);case"constant":if("pi"===t.name)return Math.PI;throw new EvaluationError("not-numeric",`${t.name} is not a number`,t.component);case"error":throw new EvaluationError("not-numeric",t.message,t.component);default:return this.checkResult(this.evaluateApply(t,e),t)}}lookup(t,e){if(Object.prototype.hasOwnProperty.call(e,t.name)){e=e[t.name];if("number"!=typeof e)throw new EvaluationError("not-numeric",`The value of ${t.name} is not a number`,t.component);return e}if("e"===t.name)return Math.E;const i=new EvaluationError("undefined-variable",`${t.name} is not defined`,t.component);throw i.variable=t.name,i}checkResult(t,e){if(Number.isNaN(t)||!Number.isFinite(t))throw new EvaluationError("domain",`The result of ${e.operator} is not a real number`,e.component);return t}evaluateApply(t,e){var i=()=>t.args.map(t=>this.evaluateNode(t,e));switch(t.operator){case"plus":return i().reduce((t,e)=>t+e);case"minus":var[a,n]=i();return void 0===n?-a:a-n;case"times":return i().reduce((t,e)=>t*e);case"divide":var[s,o]=i();if(0===o)throw new EvaluationError("domain","Division by zero",t.component);return s/o;case"power":var[s,o]=i();return s**o;case"root":return this.evaluateRoot(t,e);case"factorial":return this.evaluateFactorial(t,i()[0]);case"sum":case"product":return this.evaluateLargeOperator(t,e);case"piecewise":return this.evaluatePiecewise(t,e);case"abs":return Math.abs(i()[0]);case"floor":return Math.floor(i()[0]);case"ceiling":return Math.ceil(i()[0])}if(t.operator in trigonometricFunctions)return trigonometricFunctions[t.operator](i()[0]);throw new EvaluationError("not-numeric",`Cannot evaluate ${t.operator}`,t.component)}evaluateRoot(t,e){var i=this.evaluateNode(t.args[0],e),e=t.degree?this.evaluateNode(t.degree,e):2;if(i<0&&Number.isInteger(e)&&e%2!=0)return-((-i)**(1/e));if(i<0||0===e)throw new EvaluationError("domain",0===e?"Root of degree zero":"Root of a negative number",t.component);return i**(1/e)}evaluateFactorial(t,e){if(!Number.isInteger(e)||e<0)throw new EvaluationError("domain","Factorial of a number that is not a non-negative integer",t.component);let i=1;for(let t=2;t<=e;t++)i*=t;return i}evaluatePiecewise(t,e){for(var i of t.args)if("otherwise"===i.operator||this.evaluateCondition(i.args[1],e))return this.evaluateNode(i.args[0],e);throw new EvaluationError("domain","None of the conditions of the piecewise function hold",t.component)}evaluateCondition(t,e){if("apply"!==t.type||!(t.operator in evaluationComparisons))throw new EvaluationError("not-numeric","The condition of a piecewise function must be a comparison",t.component);var[i,a]=t.args.map(t=>this.evaluateNode(t,e));return evaluationComparisons[t.operator](i,a)}evaluateLargeOperator(e,i){if(!e.variable||!e.lowerLimit||!e.upperLimit)throw new EvaluationError("not-numeric",`A ${e.operator} needs an index variable with a lower and an upper bound`,e.component);var a=this.evaluateNode(e.lowerLimit,i),n=this.evaluateNode(e.upperLimit,i);if(!Number.isInteger(a)||!Number.isInteger(n))throw new EvaluationError("domain",`The bounds of a ${e.operator} must be integers`,e.component);if(n-a>=maxEvaluationTerms)throw new EvaluationError("domain",`A ${e.operator} can have at most ${maxEvaluationTerms} terms`,e.component);let s="sum"===e.operator?0:1;for(let t=a;t<=n;t++){var o={...i,[e.variable.name]:t},o=this.evaluateNode(e.args[0],o);s="sum"===e.operator?s+o:s*o}return s}}const defaultAnswerCheckOptions={mode:"numeric",samples:10,tolerance:1e-9,range:[-10,10],random:Math.random};function answerToExpression(t){return t instanceof Expression?t:new LatexParser(String(t)).parse()}function collectFreeVariables(t,e,i=new Set,a=!1){if("identifier"===t.type)return i.has(t.name)||"e"===t.name||e.set(t.name,a||!0===e.get(t.name)),e;const n=new Set(i);t.variable&&n.add(t.variable.name);var s,o,r,l=["sum","product"].includes(t.operator);for(s of["lowerLimit","upperLimit"])t[s]&&collectFreeVariables(t[s],e,i,a||l);for(o of["degree","approaches","condition"])t[o]&&collectFreeVariables(t[o],e,i,a);for(r of t.args||[])collectFreeVariables(r,e,n,a);return e}function numbersAgree(t,e,i){return Math.abs(t-e)<=i*Math.max(1,Math.abs(t),Math.abs(e))}function randomCount(t,e,i){t=Math.max(1,Math.ceil(t)),e=Math.max(t,Math.floor(e));return Math.min(e,t+Math.floor(i()*(e-t+1)))}function compareAnswers(t,e,i={}){if(i={...defaultAnswerCheckOptions,...i},t=answerToExpression(t),e=answerToExpression(e),"structural"===i.mode)return JSON.stringify(t.toJSON().components)===JSON.stringify(e.toJSON().components)?{verdict:"correct",reason:"The answers are identical"}:{verdict:"incorrect",reason:"The answers are not identical"};if("latex"===i.mode){var a=t=>t.toLatex().replace(/\\:\\:/g,"").replace(/\s+/g,""),n=a(t),a=a(e);return n===a?{verdict:"correct",reason:"The answers have the same LaTeX"}:{verdict:"incorrect",reason:`Expected "${n}" but got "${a}"`}}if("numeric"===i.mode)return compareAnswersNumerically(t,e,i);throw new Error(`Unknown answer check mode "${i.mode}"`)}function compareAnswersNumerically(t,e,a){var i,n,s=[new SemanticParser(t).parse()],o=[new SemanticParser(e).parse()];for(i of[s,o]){var r=i[0];"apply"===r.type&&"eq"===r.operator&&2===r.args.length&&i.splice(0,1,...r.args)}if(s.length!==o.length)return{verdict:"incorrect",reason:2===s.length?"Expected an equation":"Did not expect an equation"};const l=new Map;for(n of[...s,...o])collectFreeVariables(n,l);const c=new Evaluator(t);var[p,h]=a.range;let u=0,m=null;var d=l.size?a.samples:1;for(let t=0;t<d;t++){const b={};for(var[x,f]of l)b[x]=f?randomCount(p,h,a.random):p+(h-p)*a.random();var g=[...l.keys()].map(t=>`${t} = ${b[t]}`).join(", ");for(let i=0;i<s.length;i++){let t,e;try{t=c.evaluateNode(s[i],b)}catch(t){if("domain"!==t.code)return{verdict:"incorrect",reason:`The expected answer can't be evaluated: ${t.message}`};m=t;continue}try{e=c.evaluateNode(o[i],b)}catch(t){return{verdict:"incorrect",reason:`The answer can't be evaluated${g?` at ${g}`:""}: ${t.message}`}}if(!numbersAgree(t,e,a.tolerance))return{verdict:"incorrect",reason:`Expected ${t} but got ${e}${g?` at ${g}`:""}`};u++}}return 0===u?{verdict:"incorrect",reason:`The expected answer can't be evaluated${m?`: ${m.message}`:""}`}:{verdict:"correct",reason:l.size?`The answers agree at ${a.samples} random points`:"The answers have the same value"}}const sympyFunctions={factorial:"factorial",abs:"Abs",floor:"floor",ceiling:"ceiling",sin:"sin",cos:"cos",tan:"tan",csc:"csc",sec:"sec",cot:"cot",arcsin:"asin",arccos:"acos",arctan:"atan",eq:"Eq",neq:"Ne",lt:"Lt",gt:"Gt",leq:"Le",geq:"Ge"},sympyConditionOperators=new Set(["eq","neq","lt","gt","leq","geq"]),sympyLargeOperators={sum:"Sum",product:"Product",int:"Integral"},sympyReservedNames=new Set(["E","I","N","O","Q","S"]),sympyPrecedence={plus:1,minus:1,times:2,unary:3,power:4,atom:5};class SymPyExportError extends Error{constructor(t,e=null){super(t),this.name="SymPyExportError",this.component=e}}function expressionToSymPy(t){return semanticTreeToSymPy(new SemanticParser(t).parse()).code}function semanticTreeToSymPy(t){var e=t=>({code:t,precedence:sympyPrecedence.atom}),i=t.component?` "${t.component.toLatex()}"`:"";if("number"===t.type)return e(t.value);if("identifier"===t.type)return"e"===t.name?e("E"):/^[a-zA-Z](_[a-zA-Z0-9]+)?$/.test(t.name)&&!sympyReservedNames.has(t.name)?e(t.name):e(`Symbol('${t.name}')`);if("constant"===t.type)return e("pi"===t.name?"pi":"oo");if("error"===t.type)throw new SymPyExportError(`Cannot convert${i} to SymPy: ${t.message}`,t.component);const a=t.args.map(semanticTreeToSymPy),n=(t,e)=>t.precedence<e?`(${t.code})`:t.code;switch(t.operator){case"plus":return{code:a.map(t=>t.code).join(" + "),precedence:sympyPrecedence.plus};case"minus":return 1===a.length?{code:`-${n(a[0],sympyPrecedence.unary)}`,precedence:sympyPrecedence.unary}:{code:`${a[0].code} - ${n(a[1],sympyPrecedence.plus+1)}`,precedence:sympyPrecedence.minus};case"times":return{code:a.map(t=>n(t,sympyPrecedence.times)).join("*"),precedence:sympyPrecedence.times};case"divide":return{code:`(${a[0].code})/(${a[1].code})`,precedence:sympyPrecedence.times};case"power":return{code:`${n(a[0],sympyPrecedence.atom)}**${n(a[1],sympyPrecedence.atom)}`,precedence:sympyPrecedence.power};case"root":return t.degree?e(`root(${a[0].code}, ${semanticTreeToSymPy(t.degree).code})`):e(`sqrt(${a[0].code})`);case"matrix":return e(`Matrix([${a.map(t=>t.code).join(", ")}])`);case"matrixrow":return e(`[${a.map(t=>t.code).join(", ")}]`);case"determinant":return e(`${a[0].code}.det()`);case"piecewise":if(t.args.some(t=>"piece"===t.operator&&!("apply"===t.args[1].type&&sympyConditionOperators.has(t.args[1].operator))))throw new SymPyExportError(`Cannot convert${i} to SymPy: the condition of each piece must be a comparison`,t.component);return e(`Piecewise(${a.map(t=>t.code).join(", ")})`);case"piece":return e(`(${a[0].code}, ${a[1].code})`);case"otherwise":return e(`(${a[0].code}, True)`);case"diff":case"partialdiff":return e(derivativeToSymPy(t,a[0]));case"limit":return e(`limit(${a[0].code}, ${semanticTreeToSymPy(t.variable).code}, ${semanticTreeToSymPy(t.approaches).code})`)}if(t.operator in sympyLargeOperators)return e(largeOperatorToSymPy(t,a[0],i));if(t.operator in sympyFunctions)return e(`${sympyFunctions[t.operator]}(${a.map(t=>t.code).join(", ")})`);throw new SymPyExportError(`Cannot convert${i} to SymPy: SymPy has no equivalent of ${t.operator}`,t.component)}function largeOperatorToSymPy(t,e,i){var a=sympyLargeOperators[t.operator];if(!t.variable)throw new SymPyExportError(`Cannot convert${i} to SymPy: ${a} needs a variable`,t.component);var n=semanticTreeToSymPy(t.variable).code;if(!t.lowerLimit&&!t.upperLimit&&"int"===t.operator)return`${a}(${e.code}, ${n})`;if(!t.lowerLimit||!t.upperLimit)throw new SymPyExportError(`Cannot convert${i} to SymPy: ${a} needs a lower and an upper limit`,t.component);i=semanticTreeToSymPy(t.lowerLimit).code,t=semanticTreeToSymPy(t.upperLimit).code;return`${a}(${e.code}, (${n}, ${i}, ${t}))`}function derivativeToSymPy(t,e){const i=t.variables.map(({variable:t,degree:e})=>{t=semanticTreeToSymPy(t).code;return e?`(${t}, ${semanticTreeToSymPy(e).code})`:t});return`Derivative(${e.code}, ${i.join(", ")})`}function childComponentEntries(a){const n=[];return a.component.blocks.forEach((t,i)=>{t.children.forEach((t,e)=>{t instanceof Component&&n.push({component:t,path:[...a.path,"blocks",i,e],depth:a.depth+1})})}),n}function topLevelComponentEntries(t){return t.components.map((t,e)=>({component:t,path:[e],depth:0}))}function*depthFirstComponents(t){const e=topLevelComponentEntries(t).reverse();for(;e.length;){var i=e.pop();yield i,e.push(...childComponentEntries(i).reverse())}}function*breadthFirstComponents(t){const e=topLevelComponentEntries(t);for(let t=0;t<e.length;t++)yield e[t],e.push(...childComponentEntries(e[t]))}function componentTypeChain(e){const i=[];for(let t=e.constructor;t!==Function.prototype&&(i.push(getComponentType(t)),t!==Component);t=Object.getPrototypeOf(t));return i}function visitExpression(t,a){const n=t=>{var e=componentTypeChain(t.component).find(t=>t in a);const i="function"==typeof a[e]?{enter:a[e]}:a[e]||{};i.enter&&!1===i.enter(t.component,t.path)||childComponentEntries(t).forEach(n),i.leave&&i.leave(t.component,t.path)};topLevelComponentEntries(t).forEach(n)}function getAtPath(t,e){let i=t;for(let t=0;t<e.length;t++){if(i instanceof Expression)i=i.components[e[t]];else if(i instanceof Component&&"blocks"===e[t])i=i.blocks[e[++t]];else{if(!(i instanceof Block))return;i=i.children[e[t]]}if(void 0===i)return}return i}function replaceAtPath(t,e,i){var a="blocks"===e[e.length-2];const n=getAtPath(t,e.slice(0,a?-2:-1));var s=e[e.length-1],o=new Error(`Cannot replace the node at ${JSON.stringify(e)}`);if(0===e.length||void 0===getAtPath(t,e))throw o;if(a){if(!(i instanceof Block))throw o;const r=n.blocks[s];return(n.blocks[s]=i).parent=n,r}if(n instanceof Expression){if(!(i instanceof Component))throw o;const r=n.components[s];return(n.components[s]=i).parent=null,r}if(!(i instanceof Component)&&"string"!=typeof i)throw o;const r=n.children[s];return(n.children[s]=i)instanceof Component&&(i.parent=n),r}function componentMatches(t,e){return t===Component||t.prototype instanceof Component?e.component instanceof t:"string"==typeof t?componentTypeChain(e.component).includes(t):Boolean(t(e.component,e.path))}function findComponents(t,e){const i=[];for(var a of depthFirstComponents(t))componentMatches(e,a)&&i.push(a.component);return i}function componentPath(t,e){for(var i of depthFirstComponents(t))if(i.component===e)return i.path;return null}const defaultComparisonOptions={ignoreWhitespace:!1},whitespaceSymbols=new Set(["\\:\\:","\\:","\\,","\\;","\\!","\\ ","\\quad","\\qquad","~"]);function isIgnoredInComparison(t,e){return e.ignoreWhitespace&&t instanceof MJXGUISymbol&&whitespaceSymbols.has(t.latexData)}function componentHeader(t){const e=t.toJSON();return delete e.blocks,e.blockCount=t.blocks.length,JSON.stringify(e)}function isLeafComponent(t){return t.blocks.some(t=>t.children.some(t=>"string"==typeof t))}function childrenEqual(t,i,a){return"string"==typeof t||"string"==typeof i?t===i:componentHeader(t)===componentHeader(i)&&t.blocks.every((t,e)=>sequencesEqual(t.children,i.blocks[e].children,a))}function sequencesEqual(t,i,a){return t=t.filter(t=>!isIgnoredInComparison(t,a)),i=i.filter(t=>!isIgnoredInComparison(t,a)),t.length===i.length&&t.every((t,e)=>childrenEqual(t,i[e],a))}function expressionsEqual(t,e,i={}){return i={...defaultComparisonOptions,...i},sequencesEqual(t.components,e.components,i)}function longestCommonSubsequence(i,a,n){const s=Array.from({length:i.length+1},()=>new Array(a.length+1).fill(0));for(let e=i.length-1;0<=e;e--)for(let t=a.length-1;0<=t;t--)s[e][t]=n(i[e],a[t])?s[e+1][t+1]+1:Math.max(s[e+1][t],s[e][t+1]);const t=[];let e=0,o=0;for(;e<i.length&&o<a.length;)n(i[e],a[o])?(t.push([e,o]),e++,o++):s[e+1][o]>=s[e][o+1]?e++:o++;return t}function diffSequences(t,e,i,a,n,s){var o,r,l=(t,i)=>t.map((t,e)=>({child:t,path:[...i,e]})).filter(t=>!isIgnoredInComparison(t.child,s));const c=l(t,i),p=l(e,a);let h=0,u=0;for([o,r]of[...longestCommonSubsequence(c,p,(t,e)=>childrenEqual(t.child,e.child,s)),[c.length,p.length]])diffUnmatched(c.slice(h,o),p.slice(u,r),n,s),h=o+1,u=r+1}function diffUnmatched(e,i,a,n){const s=t=>"string"==typeof t?"string":getComponentType(t.constructor);var t,o,r=(t,e,i)=>{a.push({type:t,oldPath:e?e.path:null,newPath:i?i.path:null,oldComponent:e?e.child:null,newComponent:i?i.child:null})};let l=0,c=0;for([t,o]of[...longestCommonSubsequence(e,i,(t,e)=>s(t.child)===s(e.child)),[e.length,i.length]]){for(;l<t;l++)r("removed",e[l],null);for(;c<o;c++)r("inserted",null,i[c]);if(t===e.length)break;var p=e[l].child,h=i[c].child;if("string"==typeof p||isLeafComponent(p)||isLeafComponent(h)||componentHeader(p)!==componentHeader(h))r("changed",e[l],i[c]);else for(let t=0;t<p.blocks.length;t++)diffSequences(p.blocks[t].children,h.blocks[t].children,[...e[l].path,"blocks",t],[...i[c].path,"blocks",t],a,n);l++,c++}}function diffExpressions(t,e,i={}){i={...defaultComparisonOptions,...i};var a=[];return diffSequences(t.components,e.components,[],[],a,i),a}const symbolLatexMap={alpha:"\\alpha",beta:"\\beta",gamma:"\\gamma",delta:"\\delta",epsilon:"\\epsilon",zeta:"\\zeta",eta:"\\eta",theta:"\\theta",iota:"\\iota",kappa:"\\kappa",lambda:"\\lambda",mu:"\\mu",nu:"\\nu",xi:"\\xi",omicron:"\\omicron",pi:"\\pi",rho:"\\rho",sigma:"\\sigma",tau:"\\tau",upsilon:"\\upsilon",phi:"\\phi",chi:"\\chi",psi:"\\psi",omega:"\\omega",Alpha:"A",Beta:"B",Gamma:"\\Gamma",Delta:"\\Delta",Epsilon:"E",Zeta:"Z",Eta:"H",Theta:"\\Theta",Iota:"I",Kappa:"K",Lambda:"\\Lambda",Mu:"M",Nu:"N",Xi:"\\Xi",Omicron:"O",Pi:"\\Pi",Rho:"P",Sigma:"\\Sigma",Tau:"T",Upsilon:"\\Upsilon",Phi:"\\Phi",Chi:"X",Psi:"\\Psi",Omega:"\\Omega",times:"\\times",div:"\\div",centerdot:"\\cdot",plusmn:"\\pm",mnplus:"\\mp",starf:"\\star",bigcup:"\\bigcup",bigcap:"\\bigcap",cup:"\\cup",cap:"\\cap",lt:"\\lt",gt:"\\gt",leq:"\\leq",GreaterEqual:"\\geq",equals:"=",approx:"\\approx",NotEqual:"\\ne",sub:"\\subset",sup:"\\supset",sube:"\\subseteq",supe:"\\supseteq",nsub:"\\not\\subset",nsup:"\\not\\supset",nsube:"\\not\\subseteq",nsupe:"\\not\\supseteq",propto:"\\propto",parallel:"\\parallel",npar:"\\nparallel",asympeq:"\\asymp",isin:"\\in",notin:"\\notin",exist:"\\exists",nexist:"\\nexists",perp:"\\perp",angle:"\\angle",angmsd:"\\measuredangle",Leftarrow:"\\Leftarrow",Rightarrow:"\\Rightarrow",Leftrightarrow:"\\Leftrightarrow",rightarrow:"\\to",leftarrow:"\\gets",leftrightarrow:"\\leftrightarrow",longrightarrow:"\\longrightarrow",longleftarrow:"\\longleftarrow",longleftrightarrow:"\\longleftrightarrow",uparrow:"\\uparrow",downarrow:"\\downarrow",updownarrow:"\\updownarrow",PartialD:"\\partial",hbar:"\\hbar",real:"\\Re",nabla:"\\nabla",infin:"\\infty"},symbolUnicodeMap={alpha:"α",beta:"β",gamma:"γ",delta:"δ",epsilon:"ϵ",zeta:"ζ",eta:"η",theta:"θ",iota:"ι",kappa:"κ",lambda:"λ",mu:"μ",nu:"ν",xi:"ξ",omicron:"ο",pi:"π",rho:"ρ",sigma:"σ",tau:"τ",upsilon:"υ",phi:"ϕ",chi:"χ",psi:"ψ",omega:"ω",Alpha:"Α",Beta:"Β",Gamma:"Γ",Delta:"Δ",Epsilon:"Ε",Zeta:"Ζ",Eta:"Η",Theta:"Θ",Iota:"Ι",Kappa:"Κ",Lambda:"Λ",Mu:"Μ",Nu:"Ν",Xi:"Ξ",Omicron:"Ο",Pi:"Π",Rho:"Ρ",Sigma:"Σ",Tau:"Τ",Upsilon:"Υ",Phi:"Φ",Chi:"Χ",Psi:"Ψ",Omega:"Ω",times:"×",div:"÷",centerdot:"⋅",plusmn:"±",mnplus:"∓",starf:"⋆",bigcup:"⋃",bigcap:"⋂",cup:"∪",cap:"∩",lt:"<",gt:">",leq:"≤",GreaterEqual:"≥",equals:"=",approx:"≈",NotEqual:"≠",sub:"⊂",sup:"⊃",sube:"⊆",supe:"⊇",nsub:"⊄",nsup:"⊅",nsube:"⊈",nsupe:"⊉",propto:"∝",parallel:"∥",npar:"∦",asympeq:"≍",isin:"∈",notin:"∉",exist:"∃",nexist:"∄",perp:"⊥",angle:"∠",angmsd:"∡",Leftarrow:"⇐",Rightarrow:"⇒",Leftrightarrow:"⇔",rightarrow:"→",leftarrow:"←",leftrightarrow:"↔",longrightarrow:"⟶",longleftarrow:"⟵",longleftrightarrow:"⟷",uparrow:"↑",downarrow:"↓",updownarrow:"↕",PartialD:"∂",hbar:"ℏ",real:"ℜ",nabla:"∇",infin:"∞"},keyPressSymbolUnicodeMap={"\\:\\:":" ","\\backslash":"\\","\\$":"$","\\#":"#","\\%":"%","\\&":"&","\\_":"_","\\{":"{","\\}":"}"},symbolAsciiMathMap={alpha:"alpha",beta:"beta",gamma:"gamma",delta:"delta",epsilon:"epsilon",zeta:"zeta",eta:"eta",theta:"theta",iota:"iota",kappa:"kappa",lambda:"lambda",mu:"mu",nu:"nu",xi:"xi",pi:"pi",rho:"rho",sigma:"sigma",tau:"tau",upsilon:"upsilon",phi:"phi",chi:"chi",psi:"psi",omega:"omega",Alpha:"A",Beta:"B",Gamma:"Gamma",Delta:"Delta",Epsilon:"E",Zeta:"Z",Eta:"H",Theta:"Theta",Iota:"I",Kappa:"K",Lambda:"Lambda",Mu:"M",Nu:"N",Xi:"Xi",Omicron:"O",Pi:"Pi",Rho:"P",Sigma:"Sigma",Tau:"T",Phi:"Phi",Chi:"X",Psi:"Psi",Omega:"Omega",times:"xx",div:"-:",centerdot:"*",plusmn:"+-",mnplus:"-+",starf:"***",bigcup:"uuu",bigcap:"nnn",cup:"uu",cap:"nn",lt:"lt",gt:"gt",leq:"<=",GreaterEqual:">=",equals:"=",approx:"~~",NotEqual:"!=",sub:"sub",sup:"sup",sube:"sube",supe:"supe",propto:"prop",isin:"in",notin:"!in",exist:"EE",perp:"_|_",angle:"/_",Leftarrow:"lArr",Rightarrow:"=>",Leftrightarrow:"<=>",rightarrow:"->",leftarrow:"larr",leftrightarrow:"harr",uparrow:"uarr",downarrow:"darr",PartialD:"del",nabla:"grad",infin:"oo"},keyPressSymbolAsciiMathMap={"\\:\\:":"\\ ","\\backslash":"\\\\","\\$":"$","\\#":"#","\\%":"%","\\&":"&","\\_":"_","\\{":"{","\\}":"}"};function getSymbolName(t){for(var e in symbolLatexMap)if(symbolLatexMap[e]===t)return e;return null}function symbolLatexToUnicode(t){if(t in keyPressSymbolUnicodeMap)return keyPressSymbolUnicodeMap[t];t=getSymbolName(t);return null===t?null:symbolUnicodeMap[t]}function symbolLatexToAsciiMath(t){if(t in keyPressSymbolAsciiMathMap)return keyPressSymbolAsciiMathMap[t];t=getSymbolName(t);return null===t?null:symbolAsciiMathMap[t]||symbolUnicodeMap[t]}const functionComponentMap={lim:Limit,sqrt:Sqrt,nsqrt:NthRoot,sub:Subscript,sup:Superscript,subsup:SubSupRight,frac:Fraction,matrix:Matrix,cases:Cases,derivative:Derivative,partial:PartialDerivative,integral:DefiniteIntegral,evaluate:EvaluationBar};function defineComponent({name:t,template:e,blocks:i}){if("string"!=typeof t||""===t||"string"!=typeof e)throw new Error("A component needs a name and a template");if(Object.prototype.hasOwnProperty.call(functionComponentMap,t)||Object.prototype.hasOwnProperty.call(componentRegistry,t))throw new Error(`A component named "${t}" already exists`);var a=[...e.matchAll(/#([1-9])/g)].map(t=>Number(t[1])),a=Math.max(0,...a);if(void 0===i&&(i=a),!Number.isInteger(i)||i<1)throw new Error(`The component "${t}" needs at least one block`);if(i<a)throw new Error(`The template of "${t}" uses #${a} but the component has ${i} blocks`);a=class extends TemplateComponent{};return Object.defineProperty(a,"name",{value:t}),a.template=e,a.blockCount=i,registerComponent(a,t),functionComponentMap[t]=a}const matrixPickerSize=6,speechUpdateDelay=300,defaultColorPalette=["red","orange","yellow","green","cyan","blue","purple","magenta","gray"];function removeUnapprovedColors(e,i){for(let t=e.length-1;0<=t;t--){const n=e[t];if(n instanceof Component)if(n instanceof MJXGUISymbol&&/^\\color(box)?(?![a-zA-Z])/.test(n.latexData))e.splice(t,1);else{for(var a of n.blocks)removeUnapprovedColors(a.children,i);if(n instanceof Colored&&!i.has(n.color.toLowerCase())){const s=n.blocks[0].children;s.forEach(t=>{t.parent=n.parent}),e.splice(t,1,...s)}}}}class MJXGUI{constructor(t,e=function(t,e){},i={}){this.selector=t,this.elements=document.querySelectorAll(t),this.options=i,this.mathDelimiter=this.options.mathDelimiter||"$$",this.isPersistent=i.isPersistent||!1,this.outputFormat=(i.outputFormat||"latex").toLowerCase(),this.speechMode=i.speechMode||"verbose",this.colorPalette=i.colors||defaultColorPalette,this.quantityFormat=i.quantityFormat||"latex",this.successCallback=e,this.eqnHistory=[],this.expression=new Expression,this.isMobileDevice="ontouchstart"in document.documentElement,this.pseudoMobileKeyboard=null,this.showUI=()=>{this.editorWindow.style.display="block",this.editorWindow.dataset.visible="true"},this.hideUI=()=>{this.editorWindow.removeAttribute("style"),this.editorWindow.dataset.visible="false"},(this.elements instanceof String||"string"==typeof this.elements)&&(this.elements=document.querySelectorAll(this.elements)),this.constructUI(),this.cursor=new Cursor(this.expression,this.eqnDisplay),this.cursor.multiLineEnvironment=i.multiLineEnvironment||"aligned",this.speechVocabulary=speechVocabularyFromToolbar(this.editorWindow),this.elements.forEach(t=>{t.addEventListener("click",this.showUI)}),document.addEventListener("keydown",t=>{"false"!==this.editorWindow.dataset.visible&&(MathJax.typesetClear([this.eqnDisplay]),this.cursor.keyPress(t),this.eqnDisplay.innerHTML=this.mathDelimiter+this.cursor.toDisplayLatex()+this.mathDelimiter,MathJax.typesetPromise([this.eqnDisplay]).then(()=>{}))});const a=this.editorWindow.querySelectorAll(".mjxgui-operator, .mjxgui-greek-letter"),n=this.editorWindow.querySelectorAll(".mjxgui-function");a.forEach(e=>{e.addEventListener("click",()=>{var t;e.dataset.latexData in symbolLatexMap&&(t=new MJXGUISymbol(this.cursor.block,symbolLatexMap[e.dataset.latexData]),this.cursor.addComponent(t),this.cursor.updateDisplay())})}),n.forEach(i=>{i.addEventListener("click",()=>{let t;if("matrix"!==i.dataset.templateType){if("style"===i.dataset.templateType)return this.cursor.wrapSelection(new FontStyle(this.cursor.block,i.dataset.latexData)),void this.cursor.updateDisplay();if(["accent","brace","set"].includes(i.dataset.templateType)){const e={accent:Accent,brace:Brace,set:OverUnderSet}[i.dataset.templateType];return this.cursor.wrapSelection(new e(this.cursor.block,i.dataset.latexData)),void this.cursor.updateDisplay()}if("color"!==i.dataset.templateType)return"text"===i.dataset.templateType?(this.cursor.toggleTextMode(),void this.cursor.updateDisplay()):"chemistry"===i.dataset.templateType?(this.cursor.toggleChemistryMode(),void this.cursor.updateDisplay()):"chemistry-symbol"===i.dataset.templateType?(this.cursor.addChemistrySymbol(i.dataset.latexData),void this.cursor.updateDisplay()):"quantity"===i.dataset.templateType?(this.cursor.wrapSelection(new Quantity(this.cursor.block,this.quantityFormat)),void this.cursor.updateDisplay()):void("delimited"!==i.dataset.templateType?("null"!==i.dataset.templateType?"three"===i.dataset.templateType?t=new TemplateThreeBlockComponent(this.cursor.block,i.dataset.latexData):"trigonometric"===i.dataset.templateType&&(t=new TrigonometricTwoBlockComponent(this.cursor.block,i.dataset.latexData)):t=i.dataset.variables?new functionComponentMap[i.dataset.functionId](this.cursor.block,Number(i.dataset.variables)):new functionComponentMap[i.dataset.functionId](this.cursor.block),this.cursor.addComponent(t),this.cursor.updateDisplay()):this.delimiterPicker.dataset.visible="true"===this.delimiterPicker.dataset.visible?"false":"true");this.colorPicker.dataset.visible="true"===this.colorPicker.dataset.visible?"false":"true"}else this.matrixPicker.dataset.visible="true"===this.matrixPicker.dataset.visible?"false":"true"})})}constructUI(){const t=document.createElement("div");t.classList.add("_mjxgui_editor_window"),t.dataset.visible="false",t.innerHTML='<div class="mjxgui_editor_controls"><div style="cursor: pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="mjxgui_close_button_svg" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></div><div class="mjxgui_clear_save_buttons"><span class="mjxgui_button_container _mjxgui_clear_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-trash" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="4" y1="7" x2="20" y2="7"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/><path d="M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12"/><path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3"/></svg> </span><span class="mjxgui_button_container _mjxgui_save_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-check" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l5 5l10 -10"/></svg></span></div></div><div class="_mjxgui_tab_container_container"><div class="mjxgui_tab_container" data-tab="1">&alpha; Letters</div><div class="mjxgui_tab_container" data-tab="2">&plusmn; Symbols</div><div class="mjxgui_tab_container" data-tab="3">&Sigma; Functions</div><div class="mjxgui_tab_container" data-tab="4">x&#770; Accents</div><div class="mjxgui_tab_container" data-tab="5">&Ropf; Styles</div><div class="mjxgui_tab_container" data-tab="6">&#x2697; Chemistry</div></div><div class="mjxgui_tab _mjxgui_letters_tab" style="display: flex;" data-tab="1"><span class="mjxgui-btn mjxgui-greek-letter" title="Alpha" data-latex-data="Alpha">&Alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Beta" data-latex-data="Beta">&Beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Gamma" data-latex-data="Gamma">&Gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Delta" data-latex-data="Delta">&Delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Epsilon" data-latex-data="Epsilon">&Epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Zeta" data-latex-data="Zeta">&Zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Eta" data-latex-data="Eta">&Eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Theta" data-latex-data="Theta">&Theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Iota" data-latex-data="Iota">&Iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Kappa" data-latex-data="Kappa">&Kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Lambda" data-latex-data="Lambda">&Lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Mu" data-latex-data="Mu">&Mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Nu" data-latex-data="Nu">&Nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Xi" data-latex-data="Xi">&Xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omicron" data-latex-data="Omicron">&Omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Pi" data-latex-data="Pi">&Pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Rho" data-latex-data="Rho">&Rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Sigma" data-latex-data="Sigma">&Sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Tau" data-latex-data="Tau">&Tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Upsilon" data-latex-data="Upsilon">&Upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Phi" data-latex-data="Phi">&Phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Chi" data-latex-data="Chi">&Chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Psi" data-latex-data="Psi">&Psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omega" data-latex-data="Omega">&Omega;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="alpha" data-latex-data="alpha">&alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="beta" data-latex-data="beta">&beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="gamma" data-latex-data="gamma">&gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="delta" data-latex-data="delta">&delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="epsilon" data-latex-data="epsilon">&epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="zeta" data-latex-data="zeta">&zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="eta" data-latex-data="eta">&eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="theta" data-latex-data="theta">&theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="iota" data-latex-data="iota">&iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="kappa" data-latex-data="kappa">&kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="lambda" data-latex-data="lambda">&lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="mu" data-latex-data="mu">&mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="nu" data-latex-data="nu">&nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="xi" data-latex-data="xi">&xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omicron" data-latex-data="omicron">&omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="pi" data-latex-data="pi">&pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="rho" data-latex-data="rho">&rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="sigma" data-latex-data="sigma">&sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="tau" data-latex-data="tau">&tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="upsilon" data-latex-data="upsilon">&upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="phi" data-latex-data="phi">&phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="chi" data-latex-data="chi">&chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="psi" data-latex-data="psi">&psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omega" data-latex-data="omega">&omega;</span></div><div class="mjxgui_tab _mjxgui_symbols_tab" data-tab="2"><span class="mjxgui-btn mjxgui-operator" title="Times" data-latex-data="times">&times;</span> <span class="mjxgui-btn mjxgui-operator" title="Divide" data-latex-data="div">&div;</span> <span class="mjxgui-btn mjxgui-operator" title="Center dot" data-latex-data="centerdot">&centerdot;</span> <span class="mjxgui-btn mjxgui-operator" title="Plus-minus" data-latex-data="plusmn">&plusmn;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than" data-latex-data="lt">&lt;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than" data-latex-data="gt">&gt;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than or equal to" data-latex-data="leq">&leq;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than or equal to" data-latex-data="GreaterEqual">&GreaterEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Equals" data-latex-data="equals">&equals;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximate" data-latex-data="approx">&approx;</span> <span class="mjxgui-btn mjxgui-operator" title="Not equal" data-latex-data="NotEqual">&NotEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Minus-plus" data-latex-data="mnplus">&mnplus;</span> <span class="mjxgui-btn mjxgui-operator" title="Star" data-latex-data="starf">&starf;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cup" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cap" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-operator" title="Cup" data-latex-data="cup">&cup;</span> <span class="mjxgui-btn mjxgui-operator" title="Cap" data-latex-data="cap">&cap;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of" data-latex-data="sub">&sub;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of" data-latex-data="sup">&sup;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of or equal to" data-latex-data="sube">&sube;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of or equal to" data-latex-data="supe">&supe;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of" data-latex-data="nsub">&nsub;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of" data-latex-data="nsup">&nsup;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of or equal to" data-latex-data="nsube">&nsube;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of or equal to" data-latex-data="nsupe">&nsupe;</span> <span class="mjxgui-btn mjxgui-operator" title="Proportional to" data-latex-data="propto">&propto;</span> <span class="mjxgui-btn mjxgui-operator" title="Parallel to" data-latex-data="parallel">&parallel;</span> <span class="mjxgui-btn mjxgui-operator" title="Not parallel to" data-latex-data="npar">&npar;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximately equal to" data-latex-data="asympeq">&asympeq;</span> <span class="mjxgui-btn mjxgui-operator" title="Element of" data-latex-data="isin">&isin;</span> <span class="mjxgui-btn mjxgui-operator" title="Not an element of" data-latex-data="notin">&notin;</span> <span class="mjxgui-btn mjxgui-operator" title="There exists" data-latex-data="exist">&exist;</span> <span class="mjxgui-btn mjxgui-operator" title="There does not exist" data-latex-data="nexist">&nexist;</span> <span class="mjxgui-btn mjxgui-operator" title="Perpendicular to" data-latex-data="perp">&perp;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (left)" data-latex-data="Leftarrow">&Leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (right)" data-latex-data="Rightarrow">&Rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="If and only if (iff)" data-latex-data="Leftrightarrow">&Leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Angle" data-latex-data="angle">&angle;</span> <span class="mjxgui-btn mjxgui-operator" title="Measured angle" data-latex-data="angmsd">&angmsd;</span> <span class="mjxgui-btn mjxgui-operator" title="Right arrow" data-latex-data="rightarrow">&rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left arrow" data-latex-data="leftarrow">&leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left right arrow" data-latex-data="leftrightarrow">&leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long right arrow" data-latex-data="longrightarrow">&longrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left arrow" data-latex-data="longleftarrow">&longleftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left right arrow" data-latex-data="longleftrightarrow">&longleftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up arrow" data-latex-data="uparrow">&uparrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Down arrow" data-latex-data="downarrow">&downarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up down arrow" data-latex-data="updownarrow">&updownarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Partial derivative" data-latex-data="PartialD">&PartialD;</span> <span class="mjxgui-btn mjxgui-operator" title="Reduced Planck constant (h-bar)" data-latex-data="hbar">&hbar;</span> <span class="mjxgui-btn mjxgui-operator" title="Real part symbol" data-latex-data="real">&real;</span> <span class="mjxgui-btn mjxgui-operator" title="Nabla, del operator" data-latex-data="nabla">&nabla;</span> <span class="mjxgui-btn mjxgui-operator" title="Infinity symbol" data-latex-data="infin">&infin;</span></div><div class="mjxgui_tab _mjxgui_functions_tab" data-tab="3"><span class="mjxgui-btn mjxgui-function" title="Summation" data-template-type="three" data-latex-data="sum">&Sigma;</span> <span class="mjxgui-btn mjxgui-function" title="Integral" data-template-type="three" data-latex-data="int">&int;</span> <span class="mjxgui-btn mjxgui-function" title="Double integral" data-template-type="three" data-latex-data="iint">&#8748</span> <span class="mjxgui-btn mjxgui-function" title="Triple integral" data-template-type="three" data-latex-data="iiint">&iiint;</span> <span class="mjxgui-btn mjxgui-function" title="Contour integral" data-template-type="three" data-latex-data="oint">&oint;</span> <span class="mjxgui-btn mjxgui-function" title="Product" data-template-type="three" data-latex-data="prod">&Pi;</span> <span class="mjxgui-btn mjxgui-function" title="Co product" data-template-type="three" data-latex-data="coprod">&coprod;</span> <span class="mjxgui-btn mjxgui-function" title="Big cup (union)" data-template-type="three" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-function" title="Big cap (intersection)" data-template-type="three" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-function" title="Big vee (logical OR)" data-template-type="three" data-latex-data="bigvee">&bigvee;</span> <span class="mjxgui-btn mjxgui-function" title="Big wedge (logical AND)" data-template-type="three" data-latex-data="bigwedge">&bigwedge;</span> <span class="mjxgui-btn mjxgui-function" title="Limit" data-template-type="null" data-function-id="lim"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" font-weight="500" text-anchor="middle" transform="matrix(.75 0 0 .75 279.5 326.267)"><tspan x="0">lim</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Derivative" data-template-type="null" data-function-id="derivative"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">d/dx</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Partial derivative" data-template-type="null" data-function-id="partial"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&part;/&part;x</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Mixed partial derivative" data-template-type="null" data-function-id="partial" data-variables="2"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="170" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&part;&sup2;/&part;x&part;y</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Definite integral" data-template-type="null" data-function-id="integral"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="300" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&int;dx</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Evaluation bar" data-template-type="null" data-function-id="evaluate"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="280" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">F&#x2502;&#x2090;&#x1D47;</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Quantity with units" data-template-type="quantity" data-function-id="quantity"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="220" text-anchor="middle" transform="translate(283.5 360)"><tspan x="0">9.8 m/s</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Square root" data-template-type="null" data-function-id="sqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path fill="none" fill-rule="evenodd" stroke-width="10.125" d="M288.978 190.824H495.53v206.552H288.978V190.824z"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Nth root" data-template-type="null" data-function-id="nsqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2,.cls-3{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}.cls-3{fill:none;stroke-width:10.125px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path d="M288.978 190.824H495.53v206.552H288.978V190.824z" class="cls-3"/><path id="Rectangle_1_copy" d="M69.42 178.744h90.512v90.512H69.42v-90.512z" class="cls-3" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript" data-template-type="null" data-function-id="sub"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 82.836h285.083v285.083H27.09V82.836z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 295.421h169.985V465.41H362.8V295.421z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Superscript" data-template-type="null" data-function-id="sup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 468.164h285.083V183.081H27.09v285.083z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 255.579h169.985V85.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript and Superscript" data-template-type="null" data-function-id="subsup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M34.7 413.554h267.862V145.693H34.7v267.861z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 243.579h169.985V73.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Rectangle_1_copy_2" d="M533.2 487.579H363.215V317.59H533.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Fraction" data-template-type="null" data-function-id="frac"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;fill-rule:evenodd;stroke-width:12.875px}</style></defs><path id="Rectangle_1_copy" d="M193.8 225.579h169.985V55.59H193.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Line_1" fill="none" fill-rule="evenodd" stroke="#000" stroke-width="10.125" d="M124 284v-1h295v1H124z" data-name="Line 1"/><path id="Rectangle_1_copy_2" d="M364.2 528.579H194.215V358.59H364.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Cases (piecewise function)" data-template-type="null" data-function-id="cases"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M190 90q-50 0-50 50v90q0 50-50 53q50 3 50 53v90q0 50 50 50"/><path d="M230 140h85v85h-85zM360 140h85v85h-85zM230 342h85v85h-85zM360 342h85v85h-85z"/></g></svg></span><span class="mjxgui-btn mjxgui-function" title="Sine" data-template-type="trigonometric" data-latex-data="sin"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosine" data-template-type="trigonometric" data-latex-data="cos"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Tangent" data-template-type="trigonometric" data-latex-data="tan"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">tan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosecant" data-template-type="trigonometric" data-latex-data="csc"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">csc</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Secant" data-template-type="trigonometric" data-latex-data="sec"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sec</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cotangent" data-template-type="trigonometric" data-latex-data="cot"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cot</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse sine" data-template-type="trigonometric" data-latex-data="arcsin"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arcsin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse cosine" data-template-type="trigonometric" data-latex-data="arccos"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arccos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse tangent" data-template-type="trigonometric" data-latex-data="arctan"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arctan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Matrix" data-template-type="matrix" data-function-id="matrix"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M150 90q-70 193 0 387"/><path d="M417 90q70 193 0 387"/><path d="M185 140h85v85h-85zM297 140h85v85h-85zM185 342h85v85h-85zM297 342h85v85h-85z"/></g></svg></span><span class="mjxgui-btn mjxgui-function" title="Text mode (Alt+T)" data-template-type="text" data-function-id="text"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">Tt</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Auto-sizing brackets" data-template-type="delimited" data-function-id="delimited"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M170 70q-90 213 0 427"/><path d="M397 70q90 213 0 427"/><path d="M241 241h85v85h-85z"/></g></svg></span></div><div class="mjxgui_tab _mjxgui_accents_tab" data-tab="4"><span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Hat" data-template-type="accent" data-latex-data="hat">x&#770;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Bar (mean)" data-template-type="accent" data-latex-data="bar">x&#772;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Vector" data-template-type="accent" data-latex-data="vec">x&#8407;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Dot (time derivative)" data-template-type="accent" data-latex-data="dot">x&#775;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Double dot (second time derivative)" data-template-type="accent" data-latex-data="ddot">x&#776;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Tilde" data-template-type="accent" data-latex-data="tilde">x&#771;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Overline" data-template-type="accent" data-latex-data="overline"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 467.216) scale(1.235)"><tspan x="0">AB</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="24" d="M90 110h387"/></svg></span><span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Vector arrow" data-template-type="accent" data-latex-data="overrightarrow"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 467.216) scale(1.235)"><tspan x="0">AB</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="24" d="M90 110h387m-60 -50l60 50l-60 50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Overbrace with label" data-template-type="brace" data-latex-data="overbrace"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 487.216) scale(1.235)"><tspan x="0">ab</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="20" d="M90 170q0-50 50-50h90q40 0 53-50q13 50 53 50h90q50 0 50 50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Underbrace with label" data-template-type="brace" data-latex-data="underbrace"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 297.216) scale(1.235)"><tspan x="0">ab</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="20" d="M90 397q0 50 50 50h90q40 0 53 50q13-50 53-50h90q50 0 50-50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Label above (overset)" data-template-type="set" data-latex-data="overset"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" text-anchor="middle"><tspan x="283.5" y="200" font-size="200">a</tspan><tspan x="283.5" y="500" font-size="380">=</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Label below (underset)" data-template-type="set" data-latex-data="underset"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" text-anchor="middle"><tspan x="283.5" y="330" font-size="380">=</tspan><tspan x="283.5" y="520" font-size="200">a</tspan></text></svg></span></div><div class="mjxgui_tab _mjxgui_styles_tab" data-tab="5"><span class="mjxgui-btn mjxgui-function mjxgui-style" title="Blackboard bold" data-template-type="style" data-latex-data="mathbb">&Ropf;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Bold" data-template-type="style" data-latex-data="mathbf">&#x1D401;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Calligraphic" data-template-type="style" data-latex-data="mathcal">&Lscr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Fraktur" data-template-type="style" data-latex-data="mathfrak">&gfr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Roman (upright)" data-template-type="style" data-latex-data="mathrm">d</span> <span class="mjxgui-btn mjxgui-function" title="Color" data-template-type="color" data-function-id="color"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 367.216) scale(1.235)"><tspan x="0">A</tspan></text><path fill="none" stroke="#e53935" stroke-width="48" d="M110 480h347"/></svg></span></div><div class="mjxgui_tab _mjxgui_chemistry_tab" data-tab="6"><span class="mjxgui-btn mjxgui-function" title="Chemistry mode (Alt+C)" data-template-type="chemistry" data-function-id="chemistry"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">H&#x2082;O</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Reaction arrow (yields)" data-template-type="chemistry-symbol" data-latex-data="-&gt;">&rarr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Equilibrium arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;=&gt;">&#x21CC;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Reverse reaction arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;-">&larr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Resonance arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;-&gt;">&harr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Gas evolved" data-template-type="chemistry-symbol" data-latex-data="^">&uarr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Precipitate" data-template-type="chemistry-symbol" data-latex-data="v">&darr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Solid state" data-template-type="chemistry-symbol" data-latex-data="(s)">(s)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Liquid state" data-template-type="chemistry-symbol" data-latex-data="(l)">(l)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Gas state" data-template-type="chemistry-symbol" data-latex-data="(g)">(g)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Aqueous state" data-template-type="chemistry-symbol" data-latex-data="(aq)">(aq)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Hydrate dot" data-template-type="chemistry-symbol" data-latex-data="*">&middot;</span></div><div class="_mjxgui_color_picker" data-visible="false"><select class="_mjxgui_color_type" title="Apply as"><option value="text">Text color</option><option value="background">Highlight</option></select><div class="_mjxgui_color_options"></div></div><div class="_mjxgui_delimiter_picker" data-visible="false"><select class="_mjxgui_delimiter_action" title="Action"><option value="insert">Insert</option><option value="change">Change current</option></select><div class="_mjxgui_delimiter_options"><span class="_mjxgui_delimiter_option" title="Parentheses" data-delimiter-kind="parentheses">( )</span> <span class="_mjxgui_delimiter_option" title="Brackets" data-delimiter-kind="brackets">[ ]</span> <span class="_mjxgui_delimiter_option" title="Braces" data-delimiter-kind="braces">{ }</span> <span class="_mjxgui_delimiter_option" title="Angle brackets" data-delimiter-kind="angles">&lang; &rang;</span> <span class="_mjxgui_delimiter_option" title="Absolute value" data-delimiter-kind="bars">| |</span> <span class="_mjxgui_delimiter_option" title="Norm" data-delimiter-kind="doubleBars">&Vert; &Vert;</span> <span class="_mjxgui_delimiter_option" title="Floor" data-delimiter-kind="floor">&lfloor; &rfloor;</span> <span class="_mjxgui_delimiter_option" title="Ceiling" data-delimiter-kind="ceil">&lceil; &rceil;</span> <span class="_mjxgui_delimiter_option" title="Invisible" data-delimiter-kind="none">None</span></div></div><div class="_mjxgui_matrix_picker" data-visible="false"><select class="_mjxgui_matrix_type" title="Brackets"><option value="pmatrix">( )</option><option value="bmatrix">[ ]</option><option value="Bmatrix">{ }</option><option value="vmatrix">| |</option><option value="matrix">None</option></select><div class="_mjxgui_matrix_grid"></div><span class="_mjxgui_matrix_size"></span></div><div style="text-align: center;"><button class="_mjxgui_dir_btn leftArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-left" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M5 12l6 6"/><path d="M5 12l6 -6"/></svg></button> <button class="_mjxgui_dir_btn rightArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-right" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M13 18l6 -6"/><path d="M13 6l6 6"/></svg></button></div><div class="_mjxgui_editor_display" role="math"></div><div class="_mjxgui_editor_speech" aria-live="polite"></div>',"dark"===this.options.theme?.toLowerCase().trim()&&t.classList.add("_mjxgui_dark_theme"),this.editorWindow=t,this.eqnDisplay=t.querySelector("._mjxgui_editor_display"),this.eqnDisplay.innerHTML=`${this.mathDelimiter} | ${this.mathDelimiter}`,this.speechDescription=t.querySelector("._mjxgui_editor_speech"),this.speechDescription.id=`_mjxgui_editor_speech_${document.querySelectorAll("._mjxgui_editor_window").length}`,this.eqnDisplay.setAttribute("aria-describedby",this.speechDescription.id);let e=null;new MutationObserver(()=>{clearTimeout(e),e=setTimeout(()=>{var t=this.getSpeech();this.speechDescription.textContent!==t&&(this.speechDescription.textContent=t)},speechUpdateDelay)}).observe(this.eqnDisplay,{childList:!0}),this.pseudoMobileKeyboard=t.querySelector(".mjxgui-pseudo-mobile-keyboard");const i=t.querySelectorAll(".mjxgui_tab_container"),a=t.querySelectorAll(".mjxgui_tab"),n=t.querySelector(".leftArrowButton"),s=t.querySelector(".rightArrowButton");n.addEventListener("click",()=>{this.cursor.seekLeft(),this.cursor.updateDisplay()}),s.addEventListener("click",()=>{this.cursor.seekRight(),this.cursor.updateDisplay()}),i.forEach(e=>{e.addEventListener("click",function(){a.forEach(t=>{t.dataset.tab===e.dataset.tab?t.style.display="flex":t.removeAttribute("style")})})}),i[0].classList.add("_mjxgui_active_tab"),i.forEach(t=>{t.addEventListener("click",()=>{i.forEach(t=>{t.classList.remove("_mjxgui_active_tab")}),t.classList.add("_mjxgui_active_tab")})}),this.constructMatrixPicker(),this.constructDelimiterPicker(),this.constructColorPicker();const o=t.querySelector(".mjxgui_close_button_svg");o.addEventListener("click",this.hideUI);const r=t.querySelector("._mjxgui_clear_equation");r.addEventListener("click",()=>{this.clearEquation()});const l=t.querySelector("._mjxgui_save_equation");l.addEventListener("click",()=>{var t="asciimath"===this.outputFormat?this.getAsciiMath():this.getLatex();this.successCallback(t,this),this.hideUI(),this.isPersistent||this.clearEquation()}),document.body.appendChild(t)}constructMatrixPicker(){this.matrixPicker=this.editorWindow.querySelector("._mjxgui_matrix_picker");const i=this.matrixPicker.querySelector("._mjxgui_matrix_grid"),t=this.matrixPicker.querySelector("._mjxgui_matrix_size"),a=this.matrixPicker.querySelector("._mjxgui_matrix_type");i.style.gridTemplateColumns=`repeat(${matrixPickerSize}, auto)`;const n=[],s=(e,i)=>{n.forEach(t=>{t.classList.toggle("_mjxgui_matrix_cell_selected",t.dataset.rows<=e&&t.dataset.columns<=i)}),t.textContent=`${e} × ${i}`};for(let e=1;e<=matrixPickerSize;e++)for(let t=1;t<=matrixPickerSize;t++){const o=document.createElement("span");o.classList.add("_mjxgui_matrix_cell"),o.dataset.rows=e,o.dataset.columns=t,o.title=`${e} × ${t}`,o.addEventListener("mouseover",()=>s(e,t)),o.addEventListener("click",()=>{this.cursor.addComponent(new Matrix(this.cursor.block,a.value,e,t)),this.cursor.updateDisplay(),this.matrixPicker.dataset.visible="false"}),n.push(o),i.appendChild(o)}s(2,2)}constructDelimiterPicker(){this.delimiterPicker=this.editorWindow.querySelector("._mjxgui_delimiter_picker");const a=this.delimiterPicker.querySelector("._mjxgui_delimiter_action");this.delimiterPicker.querySelectorAll("._mjxgui_delimiter_option").forEach(i=>{i.addEventListener("click",()=>{var[t,e]=delimiterKinds[i.dataset.delimiterKind];"change"===a.value?this.cursor.setDelimiters(t,e):this.cursor.wrapSelection(new Delimited(this.cursor.block,t,e)),this.cursor.updateDisplay(),this.delimiterPicker.dataset.visible="false"})})}constructColorPicker(){this.colorPicker=this.editorWindow.querySelector("._mjxgui_color_picker");const t=this.colorPicker.querySelector("._mjxgui_color_options"),i=this.colorPicker.querySelector("._mjxgui_color_type");for(let e of this.colorPalette){const a=document.createElement("span");a.classList.add("_mjxgui_color_option"),a.style.backgroundColor=e,a.title=e,a.addEventListener("click",()=>{const t="background"===i.value?ColorBox:Colored;this.cursor.wrapSelection(new t(this.cursor.block,e)),this.cursor.updateDisplay(),this.colorPicker.dataset.visible="false"}),t.appendChild(a)}}clearEquation(){this.eqnHistory.push(this.expression),this.expression=new Expression,this.cursor.expression=this.expression,this.cursor.block=null,this.cursor.component=null,this.cursor.child=-.5,this.cursor.selectionAnchor=null,this.cursor.position=-.5,this.cursor.latex="",this.cursor.updateDisplay()}getLatex(){return this.cursor.toLatex()}getPreviewLatex(){return generatePreviewLatex(this.expression)}getAsciiMath(){return this.expression.toAsciiMath()}setAsciiMath(t){this.loadExpression(new AsciiMathParser(t).parse())}getUnicode(){return this.expression.toUnicode()}getSpeech(t=this.speechMode){return new SpeechGenerator(this.expression,{mode:t,vocabulary:this.speechVocabulary}).generate()}getMathML(){return this.expression.toMathML()}getSemanticTree(){return new SemanticParser(this.expression).parse()}getContentMathML(){return`<math xmlns="http://www.w3.org/1998/Math/MathML">${semanticTreeToContentMathML(this.getSemanticTree())}</math>`}getSymPy(){return this.expression.toSymPy()}evaluate(t={}){return this.expression.evaluate(t)}setLatex(t){this.loadExpression(new LatexParser(t).parse())}getJSON(){return this.expression.toJSON()}setJSON(t){this.loadExpression(Expression.fromJSON(t))}loadExpression(t){this.options.colors&&removeUnapprovedColors(t.components,new Set(this.colorPalette.map(t=>t.toLowerCase()))),this.eqnHistory.push(this.expression),this.expression=t,this.cursor.expression=this.expression,this.cursor.block=null,this.cursor.component=null,this.cursor.child=-.5,this.cursor.selectionAnchor=null,this.cursor.position=this.expression.components.length-.5,this.cursor.latex="",this.cursor.updateDisplay()}rebindListeners(){this.elements.forEach(t=>{t.removeEventListener("click",this.showUI)}),this.elements=document.querySelectorAll(this.selector),this.elements.forEach(t=>{t.addEventListener("click",this.showUI)})}insertFunction(t){if(!Object.prototype.hasOwnProperty.call(functionComponentMap,t))throw new Error(`Unknown function "${t}"`);const e=functionComponentMap[t];this.cursor.addComponent(new e(this.cursor.block)),this.cursor.updateDisplay()}registerFunction(t,e,i="",a=!1){if("string"==typeof t){if(!Object.prototype.hasOwnProperty.call(functionComponentMap,t))throw new Error(`Unknown component "${t}"`);t=functionComponentMap[t]}registerComponent(t);const n=document.createElement("span");n.classList.add("mjxgui-btn","mjxgui-function"),n.title=i,n.dataset.templateType="user-defined",n.dataset.functionId="user-defined",n.innerHTML=e,i&&this.speechVocabulary.set(t,i.toLowerCase()),this.editorWindow.querySelector("._mjxgui_functions_tab").appendChild(n),a&&MathJax.typesetPromise([n]).then(()=>{}),n.addEventListener("click",()=>{this.cursor.addComponent(new t),this.cursor.updateDisplay()})}registerSymbol(e,t,i="",a=!1){const n=document.createElement("span");n.classList.add("mjxgui-btn","mjxgui-symbol"),n.title=i,n.dataset.latexData=e,n.innerHTML=t,i&&this.speechVocabulary.set(e,i.toLowerCase()),this.editorWindow.querySelector("._mjxgui_symbols_tab").appendChild(n),a&&MathJax.typesetPromise([n]).then(()=>{}),n.addEventListener("click",()=>{var t=new MJXGUISymbol(this.cursor.block,e);this.cursor.addComponent(t),this.cursor.updateDisplay()})}static checkAnswer(t,e,i={}){return compareAnswers(t,e,i)}static createEquationInput(t,n={}){void 0===n.isPersistent&&(n.isPersistent=!0);var e=document.querySelectorAll(t);for(let t=0;t<e.length;t++){let a=e[t];a.style.display="none",a.value="";const i=document.createElement("div");i.classList.add("_mjxgui_equation_input_wrapper"),i.innerHTML='<div class="_mjxgui_equation_input"><button type="button" class="_mjxgui_insert_equation_button">Add Equation</button><div class="_mjxgui_equation_input_preview"></div></div>',a.insertAdjacentElement("afterend",i);const s=i.querySelector("._mjxgui_equation_input"),o=i.querySelector("._mjxgui_insert_equation_button"),r=i.querySelector("._mjxgui_equation_input_preview");o.id=`_mjxgui_insert_equation_button_${t}`;const l=new MJXGUI(`#_mjxgui_insert_equation_button_${t}`,function(){},n);l.successCallback=function(t,e){0<t.length?(a.value=t,MathJax.typesetClear([r]),r.innerHTML=`$ ${e.getPreviewLatex()} $`,MathJax.typesetPromise([r]).then(()=>{}),o.textContent="Edit"):(a.value="",MathJax.typesetClear([r]),r.innerHTML="",o.textContent="Add Equation"),a.validity.valid?(s.classList.remove("_mjxgui_equation_input_invalid"),s.classList.add("_mjxgui_equation_input_valid")):(s.classList.add("_mjxgui_equation_input_invalid"),s.classList.remove("_mjxgui_equation_input_valid"));var i=a.dataset.expectedAnswer??n.expectedAnswer;void 0!==i&&(e="correct"===(i=0<t.length?MJXGUI.checkAnswer(i,e.expression,n.answerCheck):{verdict:"incorrect",reason:"No answer"}).verdict,s.classList.toggle("_mjxgui_equation_input_correct",e),s.classList.toggle("_mjxgui_equation_input_incorrect",!e),s.dataset.answerReason=i.reason)}}}}
\ No newline at end of file
@@ -0,0 +1,242 @@
+// Checks whether an answer entered by the user is equivalent to the expected answer
+// Exposes its API for the MJXGUI class to use
+
+// Options used by compareAnswers() when they are not given
+const defaultAnswerCheckOptions = {
+    mode: 'numeric',
+    samples: 10,
+    tolerance: 1e-9,
+    range: [-10, 10],
+    random: Math.random,
+};
+
+/**
+ * Converts an answer to an Expression. Answers can be given as LaTeX or as an Expression.
+ * @param answer The answer to convert
+ */
+function answerToExpression(answer) {
+    if (answer instanceof Expression) return answer;
+    return new LatexParser(String(answer)).parse();
+}
+
+/**
+ * Collects the names of the free variables in a node of the semantic tree, leaving out the index
+ * variables of sums and products
+ * @param node The node to collect variables from
+ * @param names A Map that each name is added to, mapped to true if the variable is used in the bounds
+ * of a sum or product and must be an integer
+ * @param bound The names of the variables bound by the sums and products the node is in
+ * @param integer Whether the node is part of the bounds of a sum or product
+ */
+function collectFreeVariables(node, names, bound = new Set(), integer = false) {
+    if (node.type === 'identifier') {
+        if (!bound.has(node.name) && node.name !== 'e') {
+            names.set(node.name, integer || names.get(node.name) === true);
+        }
+        return names;
+    }
+    const scope = new Set(bound);
+    if (node.variable) scope.add(node.variable.name);
+    const isLargeOperator = ['sum', 'product'].includes(node.operator);
+    for (let key of ['lowerLimit', 'upperLimit']) {
+        if (node[key])
+            collectFreeVariables(
+                node[key],
+                names,
+                bound,
+                integer || isLargeOperator,
+            );
+    }
+    for (let key of ['degree', 'approaches', 'condition']) {
+        if (node[key]) collectFreeVariables(node[key], names, bound, integer);
+    }
+    for (let arg of node.args || [])
+        collectFreeVariables(arg, names, scope, integer);
+    return names;
+}
+
+/**
+ * Returns true if two numbers are equal within a relative tolerance
+ * @param a The first number
+ * @param b The second number
+ * @param tolerance The largest allowed difference, relative to the size of the numbers
+ */
+function numbersAgree(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Picks a random positive integer within a range, or 1 if the range has none, for a variable used in the
+ * bounds of a sum or product. A negative bound would leave the sum or product without terms.
+ * @param min The lower end of the range
+ * @param max The upper end of the range
+ * @param random A function returning a random number from 0 up to 1, like Math.random
+ */
+function randomCount(min, max, random) {
+    const lowest = Math.max(1, Math.ceil(min));
+    const highest = Math.max(lowest, Math.floor(max));
+    return Math.min(
+        highest,
+        lowest + Math.floor(random() * (highest - lowest + 1)),
+    );
+}
+
+/**
+ * Compares an answer with the expected answer and returns a verdict along with the reason for it,
+ * as an object like { verdict: 'incorrect', reason: 'The answers differ at x = 2' }. The verdict is
+ * "correct" or "incorrect".
+ *
+ * The mode option selects how the answers are compared -
+ * - "structural": the answers must consist of exactly the same components.
+ * - "latex": the answers must generate the same LaTeX, ignoring whitespace.
+ * - "numeric": the answers must have the same value when their variables are given random values.
+ *   The samples, tolerance and range options control how many points are sampled, how close the values
+ *   must be (relative to their size) and the range the values of the variables are picked from. Variables
+ *   used in the bounds of sums and products are positive integers.
+ * @param expected The expected answer, as LaTeX or as an Expression
+ * @param actual The answer to check, as LaTeX or as an Expression
+ * @param options An object of options, see above
+ */
+function compareAnswers(expected, actual, options = {}) {
+    options = { ...defaultAnswerCheckOptions, ...options };
+    expected = answerToExpression(expected);
+    actual = answerToExpression(actual);
+
+    if (options.mode === 'structural') {
+        const same =
+            JSON.stringify(expected.toJSON().components) ===
+            JSON.stringify(actual.toJSON().components);
+        return same
+            ? { verdict: 'correct', reason: 'The answers are identical' }
+            : { verdict: 'incorrect', reason: 'The answers are not identical' };
+    }
+    if (options.mode === 'latex') {
+        // The LaTeX is generated again from the parsed answers, so that different ways of writing the
+        // same LaTeX (like x^2 and {x}^{2}) are normalized
+        const normalize = expression =>
+            expression
+                .toLatex()
+                .replace(/\\:\\:/g, '')
+                .replace(/\s+/g, '');
+        const expectedLatex = normalize(expected);
+        const actualLatex = normalize(actual);
+        if (expectedLatex === actualLatex) {
+            return {
+                verdict: 'correct',
+                reason: 'The answers have the same LaTeX',
+            };
+        }
+        return {
+            verdict: 'incorrect',
+            reason: `Expected "${expectedLatex}" but got "${actualLatex}"`,
+        };
+    }
+    if (options.mode === 'numeric') {
+        return compareAnswersNumerically(expected, actual, options);
+    }
+    throw new Error(`Unknown answer check mode "${options.mode}"`);
+}
+
+/**
+ * Compares two answers by evaluating them at random points, see compareAnswers(). Equations are
+ * compared side by side.
+ * @param expected The expected answer, as an Expression
+ * @param actual The answer to check, as an Expression
+ * @param options The options passed to compareAnswers(), with defaults filled in
+ */
+function compareAnswersNumerically(expected, actual, options) {
+    let expectedSides = [new SemanticParser(expected).parse()];
+    let actualSides = [new SemanticParser(actual).parse()];
+    for (let sides of [expectedSides, actualSides]) {
+        const root = sides[0];
+        if (
+            root.type === 'apply' &&
+            root.operator === 'eq' &&
+            root.args.length === 2
+        ) {
+            sides.splice(0, 1, ...root.args);
+        }
+    }
+    if (expectedSides.length !== actualSides.length) {
+        return {
+            verdict: 'incorrect',
+            reason:
+                expectedSides.length === 2
+                    ? 'Expected an equation'
+                    : 'Did not expect an equation',
+        };
+    }
+
+    const names = new Map();
+    for (let node of [...expectedSides, ...actualSides])
+        collectFreeVariables(node, names);
+    const evaluator = new Evaluator(expected);
+    const [min, max] = options.range;
+    let checked = 0;
+    let lastError = null;
+
+    // Answers without variables only need to be evaluated once
+    const samples = names.size ? options.samples : 1;
+    for (let i = 0; i < samples; i++) {
+        const variables = {};
+        for (let [name, integer] of names) {
+            variables[name] = integer
+                ? randomCount(min, max, options.random)
+                : min + (max - min) * options.random();
+        }
+        const point = [...names.keys()]
+            .map(name => `${name} = ${variables[name]}`)
+            .join(', ');
+
+        for (let side = 0; side < expectedSides.length; side++) {
+            let expectedValue, actualValue;
+            try {
+                expectedValue = evaluator.evaluateNode(
+                    expectedSides[side],
+                    variables,
+                );
+            } catch (error) {
+                // Points where the expected answer is undefined are skipped
+                if (error.code !== 'domain') {
+                    return {
+                        verdict: 'incorrect',
+                        reason: `The expected answer can't be evaluated: ${error.message}`,
+                    };
+                }
+                lastError = error;
+                continue;
+            }
+            try {
+                actualValue = evaluator.evaluateNode(
+                    actualSides[side],
+                    variables,
+                );
+            } catch (error) {
+                return {
+                    verdict: 'incorrect',
+                    reason: `The answer can't be evaluated${point ? ` at ${point}` : ''}: ${error.message}`,
+                };
+            }
+            if (!numbersAgree(expectedValue, actualValue, options.tolerance)) {
+                return {
+                    verdict: 'incorrect',
+                    reason: `Expected ${expectedValue} but got ${actualValue}${point ? ` at ${point}` : ''}`,
+                };
+            }
+            checked++;
+        }
+    }
+
+    if (checked === 0) {
+        return {
+            verdict: 'incorrect',
+            reason: `The expected answer can't be evaluated${lastError ? `: ${lastError.message}` : ''}`,
+        };
+    }
+    return {
+        verdict: 'correct',
+        reason: names.size
+            ? `The answers agree at ${options.samples} random points`
+            : 'The answers have the same value',
+    };
+}
@@ -0,0 +1,636 @@
+// Parses an AsciiMath string into an Expression
+// Exposes its API for the MJXGUI class to use
+
+// Brackets, mapped to the text that is shown for them. Invisible brackets are not shown at all.
+const asciiMathLeftBrackets = {
+    '(': '(',
+    '[': '[',
+    '{': '\\{',
+    '(:': '\\langle',
+    '{:': null,
+    '|:': '|',
+};
+const asciiMathRightBrackets = {
+    ')': ')',
+    ']': ']',
+    '}': '\\}',
+    ':)': '\\rangle',
+    ':}': null,
+    ':|': '|',
+};
+
+// Brackets that are only written for a Delimited component. Pairs of other brackets are read as typed text.
+const asciiMathDelimitedBrackets = new Set(['(:', ':)', '|:', ':|']);
+
+// AsciiMath large operators, mapped to the LaTeX command generated by TemplateThreeBlockComponent
+const asciiMathLargeOperators = {
+    sum: 'sum',
+    prod: 'prod',
+    int: 'int',
+    iint: 'iint',
+    iiint: 'iiint',
+    oint: 'oint',
+    uuu: 'bigcup',
+    nnn: 'bigcap',
+    vvv: 'bigvee',
+    '^^^': 'bigwedge',
+    '∐': 'coprod',
+};
+
+// AsciiMath accents, mapped to the name of the accent generated by Accent
+const asciiMathAccents = {
+    hat: 'hat',
+    bar: 'bar',
+    overline: 'overline',
+    vec: 'vec',
+    dot: 'dot',
+    ddot: 'ddot',
+    tilde: 'tilde',
+};
+
+// AsciiMath font styles, mapped to the name of the style generated by FontStyle
+const asciiMathFontStyles = {
+    bbb: 'mathbb',
+    bb: 'mathbf',
+    cc: 'mathcal',
+    fr: 'mathfrak',
+    rm: 'mathrm',
+};
+
+// AsciiMath braces, mapped to the name of the brace generated by Brace
+const asciiMathBraces = {
+    obrace: 'overbrace',
+    overbrace: 'overbrace',
+    ubrace: 'underbrace',
+    underbrace: 'underbrace',
+};
+
+/**
+ * @class
+ * Reads AsciiMath and builds an Expression from it. Only the subset of AsciiMath that
+ * can be represented by MJXGUI's components is understood, anything else is kept as text.
+ */
+class AsciiMathParser {
+    constructor(asciimath) {
+        /**
+         * @param asciimath: The AsciiMath string to parse
+         */
+        this.asciimath = asciimath;
+        this.position = 0;
+
+        // Every AsciiMath name we know, mapped to the LaTeX of the symbol it represents
+        this.symbols = { to: '\\to', cdot: '\\cdot', ne: '\\ne' };
+        for (let name in symbolAsciiMathMap) {
+            this.symbols[symbolAsciiMathMap[name]] = symbolLatexMap[name];
+        }
+        for (let latex in keyPressSymbolAsciiMathMap) {
+            this.symbols[keyPressSymbolAsciiMathMap[latex]] = latex;
+        }
+        // Symbols without an AsciiMath name are written as their Unicode character
+        for (let name in symbolUnicodeMap) {
+            if (!(name in symbolAsciiMathMap)) {
+                this.symbols[symbolUnicodeMap[name]] = symbolLatexMap[name];
+            }
+        }
+
+        // Tokens are matched longest first, like AsciiMath itself does
+        this.names = [
+            ...Object.keys(this.symbols),
+            ...Object.keys(asciiMathLeftBrackets),
+            ...Object.keys(asciiMathRightBrackets),
+            ...Object.keys(asciiMathLargeOperators),
+            ...Object.keys(asciiMathAccents),
+            ...Object.keys(asciiMathFontStyles),
+            ...Object.keys(asciiMathBraces),
+            ...trigonometricCommands,
+            'sqrt',
+            'root',
+            'color',
+            'overset',
+            'underset',
+            'frac',
+            'lim',
+            'ce',
+        ].sort((a, b) => b.length - a.length);
+    }
+
+    parse() {
+        // Parse the whole AsciiMath string and return the resulting Expression
+        this.position = 0;
+        const components = [];
+        while (this.peekToken() !== null) {
+            components.push(...this.parseSequence());
+            // A right bracket without a matching left bracket is kept as text
+            const token = this.nextToken();
+            if (token !== null) components.push(...this.bracketText(token));
+        }
+
+        const expression = new Expression();
+        for (let c of components) {
+            c.parent = null;
+            expression.add(c);
+        }
+        return expression;
+    }
+
+    peekToken() {
+        const position = this.position;
+        const token = this.nextToken();
+        this.position = position;
+        return token;
+    }
+
+    skipWhitespace() {
+        // Move this.position to the start of the next token and return it
+        while (
+            this.position < this.asciimath.length &&
+            /\s/.test(this.asciimath[this.position])
+        ) {
+            this.position++;
+        }
+        return this.position;
+    }
+
+    nextToken() {
+        // Read the next token, or return null at the end of the string
+        this.skipWhitespace();
+        if (this.position >= this.asciimath.length) return null;
+
+        const rest = this.asciimath.slice(this.position);
+        let token;
+        const number = /^[0-9]+(\.[0-9]+)?/.exec(rest);
+        const text = /^"[^"]*"?/.exec(rest);
+        if (number !== null) {
+            token = number[0];
+        } else if (text !== null) {
+            token = text[0];
+        } else {
+            token = this.names.find(name => rest.startsWith(name)) || rest[0];
+        }
+        this.position += token.length;
+        return token;
+    }
+
+    parseSequence(separator = null) {
+        // Parse intermediate expressions until a right bracket, the separator (if given) or the end of the string.
+        const components = [];
+        while (true) {
+            const token = this.peekToken();
+            if (
+                token === null ||
+                token in asciiMathRightBrackets ||
+                token === separator
+            )
+                break;
+            if (token === 'rm') {
+                // A number followed by a string in rm, like 9.81 rm"m s^-2", is a Quantity
+                const quantity = this.parseQuantity(components);
+                if (quantity !== null) {
+                    components.push(quantity);
+                    continue;
+                }
+            }
+            components.push(...this.parseFraction());
+        }
+        return components;
+    }
+
+    parseQuantity(components) {
+        // Read the units of a quantity. The next token is rm and the number is at the end of components, which
+        // is changed in place. Returns the Quantity, or null if this isn't a quantity, leaving this.position as
+        // it was.
+        let start = components.length;
+        while (
+            start > 0 &&
+            components[start - 1] instanceof TextComponent &&
+            /^[0-9.,]$/.test(components[start - 1].toLatex())
+        )
+            start--;
+        if (start === components.length) return null;
+
+        const position = this.position;
+        this.nextToken();
+        const units = this.nextToken();
+        if (units === null || !units.startsWith('"')) {
+            this.position = position;
+            return null;
+        }
+        return createQuantity(
+            components.splice(start),
+            units.replace(/^"|"$/g, ''),
+            'latex',
+        );
+    }
+
+    parseFraction() {
+        // Parse an intermediate expression, which is the numerator of a fraction if it is followed by a /
+        const numerator = this.parseIntermediate();
+        if (this.peekToken() !== '/') return numerator.components;
+        this.nextToken();
+        const denominator = this.parseIntermediate().inner;
+        const derivative = derivativeFromFraction(numerator.inner, denominator);
+        if (derivative !== null) {
+            // A function of more than one component is written in parentheses after the fraction
+            if (
+                derivative.blocks[0].children.length === 0 &&
+                this.peekToken() === '('
+            ) {
+                fillComponentBlocks(derivative, [this.parseSimple().inner]);
+            }
+            return [derivative];
+        }
+        const fraction = new Fraction(null);
+        fillComponentBlocks(fraction, [numerator.inner, denominator]);
+        return [fraction];
+    }
+
+    parseIntermediate() {
+        // Parse a simple expression with an optional subscript and/or superscript
+        const base = this.parseSimple();
+        const scripts = this.parseScripts();
+        let component;
+        if ('_' in scripts && '^' in scripts) {
+            component = new SubSupRight(null);
+            fillComponentBlocks(component, [
+                base.components,
+                scripts['_'],
+                scripts['^'],
+            ]);
+        } else if ('_' in scripts) {
+            component = new Subscript(null);
+            fillComponentBlocks(component, [base.components, scripts['_']]);
+        } else if ('^' in scripts) {
+            component = new Superscript(null);
+            fillComponentBlocks(component, [base.components, scripts['^']]);
+        } else {
+            return base;
+        }
+        return { components: [component], inner: [component] };
+    }
+
+    parseScripts() {
+        // Parse a subscript and/or a superscript, in any order. The brackets around a script are not shown.
+        const scripts = {};
+        while (
+            ['_', '^'].includes(this.peekToken()) &&
+            !(this.peekToken() in scripts)
+        ) {
+            scripts[this.nextToken()] = this.parseSimple().inner;
+        }
+        return scripts;
+    }
+
+    parseSimple() {
+        // Parse a simple expression. Returns the parsed components, along with the components inside
+        // the outermost brackets (if any), which are used where AsciiMath removes the brackets.
+        const token = this.nextToken();
+        if (token === null || token in asciiMathRightBrackets) {
+            // Nothing to parse, put the right bracket back for the caller
+            if (token !== null) this.position -= token.length;
+            return { components: [], inner: [] };
+        }
+
+        let component;
+        if (token in asciiMathLeftBrackets || token === '|') {
+            component = this.parseMatrix(token);
+            if (component !== null)
+                return { components: [component], inner: [component] };
+        }
+        if (token in asciiMathLeftBrackets) {
+            const inner = this.parseSequence();
+            const close = this.nextToken();
+            const scripts =
+                token === '{:' && close === ':|' ? this.parseScripts() : {};
+            if (Object.keys(scripts).length > 0) {
+                // An evaluation bar, like {:F(x):|_(a)^(b)
+                component = new EvaluationBar(null);
+                fillComponentBlocks(component, [
+                    inner,
+                    scripts['_'] || [],
+                    scripts['^'] || [],
+                ]);
+                return { components: [component], inner: [component] };
+            }
+            if (
+                close !== null &&
+                (asciiMathDelimitedBrackets.has(token) ||
+                    asciiMathDelimitedBrackets.has(close) ||
+                    (token === '{:') !== (close === ':}'))
+            ) {
+                // Delimiters like (: :) and |: :|, or a single invisible delimiter like {: :|
+                component = new Delimited(
+                    null,
+                    asciiMathLeftBrackets[token] ?? '.',
+                    asciiMathRightBrackets[close] ?? '.',
+                );
+                fillComponentBlocks(component, [inner]);
+                return { components: [component], inner: [component] };
+            }
+            return {
+                components: [
+                    ...this.bracketText(token),
+                    ...inner,
+                    ...(close === null ? [] : this.bracketText(close)),
+                ],
+                inner,
+            };
+        } else if (token === 'sqrt') {
+            component = new Sqrt(null);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token in asciiMathFontStyles) {
+            component = new FontStyle(null, asciiMathFontStyles[token]);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token === 'color') {
+            // The color is the text of the first argument, like color(red)(x)
+            const color = this.parseSimple()
+                .inner.map(c => c.toUnicode())
+                .join('');
+            component = new Colored(null, color);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token in asciiMathBraces) {
+            component = new Brace(null, asciiMathBraces[token]);
+            const main = this.parseSimple().inner;
+            let label = [];
+            if (this.peekToken() === (component.labelAbove ? '^' : '_')) {
+                this.nextToken();
+                label = this.parseSimple().inner;
+            }
+            fillComponentBlocks(component, [main, label]);
+        } else if (token === 'overset' || token === 'underset') {
+            component = new OverUnderSet(null, token);
+            const label = this.parseSimple().inner;
+            fillComponentBlocks(component, [this.parseSimple().inner, label]);
+        } else if (token in asciiMathAccents) {
+            component = new Accent(null, asciiMathAccents[token]);
+            fillComponentBlocks(component, [this.parseSimple().inner]);
+        } else if (token === 'root' || token === 'frac') {
+            component =
+                token === 'root' ? new NthRoot(null) : new Fraction(null);
+            fillComponentBlocks(component, [
+                this.parseSimple().inner,
+                this.parseSimple().inner,
+            ]);
+        } else if (trigonometricCommands.has(token)) {
+            component = new TrigonometricTwoBlockComponent(null, token);
+            let exponent = [];
+            if (this.peekToken() === '^') {
+                this.nextToken();
+                exponent = this.parseSimple().inner;
+            }
+            fillComponentBlocks(component, [
+                exponent,
+                this.parseSimple().inner,
+            ]);
+        } else if (token === 'lim') {
+            component = new Limit(null);
+            const scripts = this.parseScripts();
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                this.parseBody(),
+            ]);
+        } else if (token === 'int' && this.hasDifferential()) {
+            // A definite integral, like int_(a)^(b) f(x) dx
+            component = new DefiniteIntegral(null);
+            const scripts = this.parseScripts();
+            const differential = this.findDifferential();
+            const integrand = [];
+            while (this.skipWhitespace() < differential) {
+                integrand.push(...this.parseFraction());
+            }
+            this.nextToken();
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                scripts['^'] || [],
+                integrand,
+                this.parseIntermediate().inner,
+            ]);
+        } else if (token in asciiMathLargeOperators) {
+            component = new TemplateThreeBlockComponent(
+                null,
+                asciiMathLargeOperators[token],
+            );
+            const scripts = this.parseScripts();
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                scripts['^'] || [],
+                this.parseBody(),
+            ]);
+        } else if (token === 'ce' && this.peekToken()?.startsWith('"')) {
+            // A chemical equation, like ce"2H2 + O2 -> 2H2O"
+            component = new ChemicalEquation(null);
+            fillComponentBlocks(component, [
+                chemicalEquationChildren(
+                    this.nextToken().replace(/^"|"$/g, ''),
+                ),
+            ]);
+        } else if (token.startsWith('"\\')) {
+            // Symbols and components that have no AsciiMath are written as quoted LaTeX
+            component = new MJXGUISymbol(null, token.replace(/^"|"$/g, ''));
+        } else if (token.startsWith('"')) {
+            component = new TextRun(null);
+            fillComponentBlocks(component, [
+                [...token.replace(/^"|"$/g, '')].map(char =>
+                    createTextComponent(char),
+                ),
+            ]);
+        } else if (
+            token in this.symbols &&
+            this.symbols[token].startsWith('\\')
+        ) {
+            // Symbols that are plain characters in LaTeX, like =, are kept as text instead
+            component = new MJXGUISymbol(null, this.symbols[token]);
+        } else {
+            const components = [...token].map(char =>
+                createTextComponent(char),
+            );
+            return { components, inner: components };
+        }
+        return { components: [component], inner: [component] };
+    }
+
+    hasDifferential() {
+        // Returns true if the integral whose command was just read has a differential. this.position is just after
+        // the command, before its limits.
+        const start = this.position;
+        this.parseScripts();
+        const differential = this.findDifferential();
+        this.position = start;
+        return differential !== -1;
+    }
+
+    findDifferential() {
+        // Returns the position of the differential of an integral whose integrand starts at this.position, like
+        // the "dx" in "x^(2) dx", or -1 if there isn't one. The differential is a d followed by a letter or a Greek
+        // letter. Like LatexParser.findDifferential(), only the brackets the integral is in are searched, and the
+        // differentials of integrals nested in the integrand are skipped.
+        const start = this.position;
+        let depth = 0;
+        let nested = 0;
+        let differential = -1;
+        while (differential === -1) {
+            const position = this.skipWhitespace();
+            const token = this.nextToken();
+            if (token === null) break;
+            if (token in asciiMathLeftBrackets) depth++;
+            else if (token in asciiMathRightBrackets) depth--;
+            if (depth < 0) break;
+            if (depth !== 0) continue;
+            if (token === 'd' && this.isVariableToken(this.peekToken())) {
+                if (nested === 0) differential = position;
+                else nested--;
+                this.nextToken();
+            } else if (token === 'int') {
+                nested++;
+            }
+        }
+        this.position = start;
+        return differential;
+    }
+
+    isVariableToken(token) {
+        // Returns true if a token is a letter or the name of a Greek letter, which can be the variable of a
+        // differential
+        if (token === null) return false;
+        if (/^[a-zA-Z]$/.test(token)) return true;
+        return /^[\u0370-\u03ff]$/.test(
+            symbolLatexToUnicode(this.symbols[token] || '') || '',
+        );
+    }
+
+    parseMatrix(open) {
+        // Parse a matrix, piecewise function or aligned lines, written as rows of cells in brackets, like
+        // [[a,b],[c,d]], {(x, x >= 0),(-x, x < 0):} or {:(x,= 1),(,= 2):}. this.position is just after the left
+        // bracket open. Returns null, without moving this.position, if the brackets don't hold rows.
+        const start = this.position;
+        if (!this.holdsRows(open)) return null;
+        const rows = [];
+        let rowOpen = null;
+        while (true) {
+            rowOpen = this.nextToken();
+            const cells = [];
+            let separator;
+            do {
+                cells.push(this.parseSequence(','));
+                separator = this.nextToken();
+            } while (separator === ',');
+            if (separator !== { '(': ')', '[': ']' }[rowOpen]) {
+                this.position = start;
+                return null;
+            }
+            rows.push(cells);
+            if (this.peekToken() !== ',') break;
+            this.nextToken();
+        }
+        const component = this.createMatrix(
+            open,
+            rowOpen,
+            this.nextToken(),
+            rows,
+        );
+        if (component === null) {
+            this.position = start;
+            return null;
+        }
+        fillComponentBlocks(component, rows.flat());
+        return component;
+    }
+
+    holdsRows(open) {
+        // Returns true if the brackets opened by open hold more than one cell in rows, like the (a,b),(c,d) of
+        // ((a,b),(c,d)). Only the tokens are read, so that brackets that don't hold rows are only parsed once.
+        const start = this.position;
+        let depth = 0;
+        let rows = 0;
+        let columns = 1;
+        let holdsRows = false;
+        let expectsRow = true;
+        let firstRow = null;
+        while (true) {
+            const token = this.nextToken();
+            if (token === null) break;
+            if (depth === 0) {
+                if (expectsRow) {
+                    if (!['(', '['].includes(token)) break;
+                    if (rows === 0)
+                        firstRow = { token, position: this.position };
+                    rows++;
+                    depth = 1;
+                    expectsRow = false;
+                } else if (token === ',') {
+                    expectsRow = true;
+                } else {
+                    holdsRows =
+                        (token in asciiMathRightBrackets ||
+                            (open === '|' && token === '|')) &&
+                        (rows > 1 || columns > 1);
+                    break;
+                }
+                continue;
+            }
+            if (token in asciiMathLeftBrackets) depth++;
+            else if (token in asciiMathRightBrackets) depth--;
+            else if (token === ',' && depth === 1 && rows === 1) columns++;
+        }
+        if (holdsRows && rows === 1) {
+            // A single row that holds rows itself, like the ((a,b),(c,d)) of (((a,b),(c,d)))/(2), is a matrix in
+            // brackets that group it
+            this.position = firstRow.position;
+            holdsRows = !this.holdsRows(firstRow.token);
+        }
+        this.position = start;
+        return holdsRows;
+    }
+
+    createMatrix(open, rowOpen, close, rows) {
+        // Create the component for rows of cells in brackets, depending on the brackets. Returns null if the rows
+        // have different numbers of cells or the brackets don't belong to a component.
+        const columns = rows[0].length;
+        if (rows.some(row => row.length !== columns)) return null;
+        const matrices = {
+            '()': 'pmatrix',
+            '[]': 'bmatrix',
+            '{}': 'Bmatrix',
+            '||': 'vmatrix',
+        };
+        if (`${open}${close}` in matrices) {
+            return new Matrix(
+                null,
+                matrices[`${open}${close}`],
+                rows.length,
+                columns,
+            );
+        }
+        if (open === '{' && close === ':}' && columns === 2) {
+            return new Cases(null, 'cases', rows.length);
+        }
+        if (open !== '{:' || close !== ':}') return null;
+        // Rows in parentheses inside invisible brackets are aligned lines with two blocks each, or gathered lines
+        // with one. Matrices without delimiters use brackets for their rows.
+        if (rowOpen === '(' && columns <= 2) {
+            return new AlignedLines(
+                null,
+                columns === 2 ? 'aligned' : 'gathered',
+                rows.length,
+            );
+        }
+        return new Matrix(null, 'matrix', rows.length, columns);
+    }
+
+    parseBody() {
+        // Parse the body of a large operator or limit, which is the expression (or fraction) following it
+        const token = this.peekToken();
+        if (token === null || token in asciiMathRightBrackets) return [];
+        return this.parseFraction();
+    }
+
+    bracketText(bracket) {
+        // Components for showing a bracket. Invisible brackets are not shown.
+        const text =
+            bracket in asciiMathLeftBrackets
+                ? asciiMathLeftBrackets[bracket]
+                : asciiMathRightBrackets[bracket];
+        if (text === null) return [];
+        if (text.startsWith('\\')) return [new MJXGUISymbol(null, text)];
+        return [createTextComponent(text)];
+    }
+}
@@ -5,6 +5,16 @@ for (let char of 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890
     characters.add(char);
 }
 
+// The Cursor method called for each key pressed together with Alt
+const matrixShortcuts = {
+    ArrowUp: 'insertMatrixRowAbove',
+    ArrowDown: 'insertMatrixRowBelow',
+    ArrowLeft: 'insertMatrixColumnLeft',
+    ArrowRight: 'insertMatrixColumnRight',
+    Backspace: 'removeMatrixRow',
+    Delete: 'removeMatrixColumn',
+};
+
 /**
  * @class
  *
@@ -18,11 +28,17 @@ class Cursor {
         this.position = -0.5;
         this.latex = '';
         this.display = display;
+        // The environment used for multi-line equations, "aligned" or "gathered"
+        this.multiLineEnvironment = 'aligned';
+        // Where the selection started, as a position in this.siblings() like this.child, or null if nothing is selected.
+        // Inserting, deleting and moving the cursor other than with Shift+arrow keys end the selection.
+        this.selectionAnchor = null;
     }
 
     addText(text) {
         // Insert some text into the Expression, either as its own block or into the block
         // we are in currently.
+        this.selectionAnchor = null;
         if (this.block === null) {
             // Safe to assume we are not in any block and are between two components in the
             // Expression or at the start or end of the Expression.
@@ -47,6 +63,7 @@ class Cursor {
         // If we are in a block, we add a Component to the block as a child, otherwise
         // we insert the Component on the top level as a new component in the
         // Expression
+        this.selectionAnchor = null;
         if (this.block === null) {
             this.expression.add(component, Math.ceil(this.position));
             this.position = Math.ceil(this.position);
@@ -128,16 +145,65 @@ class Cursor {
     }
 
     keyPress(event) {
-        if (characters.has(event.key)) {
+        const selecting =
+            event.shiftKey &&
+            (event.key === 'ArrowLeft' || event.key === 'ArrowRight');
+        if (!selecting) this.selectionAnchor = null;
+
+        if (selecting) {
+            // Shift+arrow keys select the components next to the cursor, one at a time
+            this.extendSelection(event.key === 'ArrowLeft' ? -1 : 1);
+        } else if (event.altKey && matrixShortcuts[event.key] !== undefined) {
+            // Alt+arrow keys insert rows and columns into the matrix the cursor is in, Alt+Backspace and
+            // Alt+Delete remove them. The browser would otherwise use some of these to navigate back and forward.
+            event.preventDefault();
+            this[matrixShortcuts[event.key]]();
+        } else if (event.altKey && event.code === 'KeyT') {
+            // Alt+T starts or leaves text mode. event.code is used since Alt changes the key typed on macOS.
+            event.preventDefault();
+            this.toggleTextMode();
+        } else if (event.altKey && event.code === 'KeyC') {
+            // Alt+C starts or leaves chemistry mode
+            event.preventDefault();
+            this.toggleChemistryMode();
+        } else if (
+            (this.component instanceof TextRun ||
+                this.component instanceof ChemicalEquation ||
+                (this.component instanceof Quantity &&
+                    this.block === this.component.blocks[1])) &&
+            event.key.length === 1 &&
+            !event.ctrlKey &&
+            !event.metaKey
+        ) {
+            // Inside text, chemical equations and units every character is typed as is, including spaces and the
+            // characters that are otherwise inserted as escaped symbols below. TextRun escapes them when
+            // generating LaTeX, mhchem reads the digits of formulas as subscripts and Quantity splits the units.
+            this.addText(event.key);
+        } else if (characters.has(event.key)) {
             this.addText(event.key);
         } else if (event.key === 'ArrowLeft') {
             this.seekLeft();
         } else if (event.key === 'ArrowRight') {
             this.seekRight();
+        } else if (event.key === 'ArrowUp') {
+            this.seekUp();
+        } else if (event.key === 'ArrowDown') {
+            this.seekDown();
         } else if (event.key === 'Backspace') {
             this.backspace();
+        } else if (event.key === 'Enter' && event.shiftKey) {
+            this.insertLine();
         } else if (event.key === 'Enter') {
-            document.getElementById('mjxgui_save_equation').click();
+            // Enter adds a row to the cases the cursor is in, and saves the equation everywhere else
+            const cell = this.matrixCell(Cases);
+            if (cell !== null) {
+                this.insertMatrixRow(1, cell);
+            } else {
+                this.display
+                    .closest('._mjxgui_editor_window')
+                    .querySelector('._mjxgui_save_equation')
+                    .click();
+            }
         } else if (event.key === ' ') {
             let _ = new MJXGUISymbol(this.block, '\\:\\:');
             this.addComponent(_);
@@ -152,6 +218,7 @@ class Cursor {
     }
 
     seekRight() {
+        this.selectionAnchor = null;
         let maxPos = this.expression.components.length - 0.5;
         if (this.position >= maxPos) return;
         else if (this.block === null) {
@@ -224,6 +291,7 @@ class Cursor {
     }
 
     seekLeft() {
+        this.selectionAnchor = null;
         if (this.position <= -0.5) return;
         else if (this.block === null) {
             this.position -= 0.5;
@@ -244,8 +312,7 @@ class Cursor {
                 // Otherwise we moved into a Function
                 // Set the block to be the last block of the function and set the child to be at the right most end
                 this.component = this.expression.components[this.position];
-                this.block =
-                    this.component.blocks[this.component.blocks.length - 1];
+                this.block = this.blockFromRight(this.component);
                 this.child = this.block.children.length - 0.5;
                 // this.position remains the same
             }
@@ -296,7 +363,301 @@ class Cursor {
         }
     }
 
+    blockFromRight(component) {
+        // The block the cursor moves into when it enters a component from the right, which is usually the last
+        // one. The label of a LabeledComponent, like the caption of an underbrace, is reached by moving right
+        // from the end of its main block, so moving left enters the main block instead.
+        if (component instanceof LabeledComponent) return component.blocks[0];
+        return component.blocks[component.blocks.length - 1];
+    }
+
+    seekUp() {
+        // Move to the end of the cell above the current one, if the cursor is in a matrix, or to the block above in
+        // a component with a label
+        this.seekVertically(-1);
+    }
+
+    seekDown() {
+        // Move to the end of the cell below the current one, if the cursor is in a matrix, or to the block below in
+        // a component with a label
+        this.seekVertically(1);
+    }
+
+    seekVertically(direction) {
+        this.selectionAnchor = null;
+        const cell = this.matrixCell();
+        if (cell === null) {
+            this.seekLabel(direction);
+            return;
+        }
+        const { matrix, block } = cell;
+        const target =
+            matrix.blocks[
+                matrix.blocks.indexOf(block) + direction * matrix.columns
+            ];
+        if (target === undefined) return;
+        this.moveToBlock(matrix, target);
+    }
+
+    seekLabel(direction) {
+        // Move between the main block and the label of a LabeledComponent, where the label is above the main
+        // block for \overbrace and \overset and below it otherwise
+        const found = this.enclosingComponent(LabeledComponent);
+        if (found === null) return;
+        const { component, block } = found;
+        const target =
+            component.blocks[direction < 0 === component.labelAbove ? 1 : 0];
+        if (target !== block) this.moveToBlock(component, target);
+    }
+
+    enclosingComponent(componentClass) {
+        // Find the innermost component of the given class the cursor is in. Returns the component and its
+        // block containing the cursor, or null if there is none.
+        let component = this.component;
+        let block = this.block;
+        while (component) {
+            if (component instanceof componentClass)
+                return { component, block };
+            block = component.parent;
+            component = block ? block.parent : null;
+        }
+        return null;
+    }
+
+    matrixCell(matrixClass = Matrix) {
+        // Find the innermost Matrix (or instance of a subclass of Matrix, like Cases) the cursor is in. Returns
+        // the matrix and the cell (block) of the matrix containing the cursor, or null if there is none.
+        const found = this.enclosingComponent(matrixClass);
+        return found && { matrix: found.component, block: found.block };
+    }
+
+    setDelimiters(left, right) {
+        // Change the delimiters of the innermost Delimited component the cursor is in
+        const found = this.enclosingComponent(Delimited);
+        if (found !== null) found.component.setDelimiters(left, right);
+    }
+
+    siblings() {
+        // The components next to the cursor, which are the children of its block, or the top level components
+        // of the expression if it isn't in a block
+        return this.block === null
+            ? this.expression.components
+            : this.block.children;
+    }
+
+    extendSelection(direction) {
+        // Move the cursor one component to the left (-1) or right (1) within its block, selecting the
+        // components between the cursor and where the selection started
+        const offset = this.block === null ? this.position : this.child;
+        const next = offset + direction;
+        if (next < -0.5 || next > this.siblings().length - 0.5) return;
+        if (this.selectionAnchor === null) this.selectionAnchor = offset;
+        if (this.block === null) this.position = next;
+        else this.child = next;
+    }
+
+    getSelection() {
+        // The selected components, as the index of the first one in this.siblings() and the index after the last
+        // one, or null if nothing is selected
+        if (this.selectionAnchor === null) return null;
+        const offset = this.block === null ? this.position : this.child;
+        const start = Math.ceil(Math.min(offset, this.selectionAnchor));
+        const end = Math.ceil(Math.max(offset, this.selectionAnchor));
+        return start === end ? null : { start, end };
+    }
+
+    wrapSelection(component) {
+        // Insert a component with one block, like a FontStyle, moving the selected components into its block and
+        // the cursor to the end of the block. Without a selection, the component is inserted empty.
+        const selection = this.getSelection();
+        this.selectionAnchor = null;
+        if (selection === null) {
+            this.addComponent(component);
+            return;
+        }
+        const block = component.blocks[0];
+        const selected = this.siblings().splice(
+            selection.start,
+            selection.end - selection.start,
+            component,
+        );
+        for (let c of selected) {
+            c.parent = block;
+            block.addChild(c);
+        }
+        component.parent = this.block;
+        if (this.block === null) this.position = selection.start;
+        this.component = component;
+        this.block = block;
+        this.child = block.children.length - 0.5;
+    }
+
+    toggleTextMode() {
+        // Leave the text the cursor is in, moving to just after it, or start new text at the cursor
+        this.toggleMode(TextRun);
+    }
+
+    toggleChemistryMode() {
+        // Leave the chemical equation the cursor is in, moving to just after it, or start a new one at the cursor
+        this.toggleMode(ChemicalEquation);
+    }
+
+    toggleMode(componentClass) {
+        // Leave the innermost component of the given class the cursor is in, or insert a new one at the cursor
+        this.selectionAnchor = null;
+        const found = this.enclosingComponent(componentClass);
+        if (found === null) {
+            this.addComponent(new componentClass(this.block));
+            return;
+        }
+        const component = found.component;
+        if (component.parent === null) {
+            this.block = null;
+            this.component = null;
+            this.child = -0.5;
+            this.position = this.expression.components.indexOf(component) + 0.5;
+        } else {
+            this.block = component.parent;
+            this.component = this.block.parent;
+            this.child = this.block.children.indexOf(component) + 0.5;
+        }
+    }
+
+    addChemistrySymbol(text) {
+        // Insert a reaction arrow, state or other symbol of a chemical equation as a single unit, starting a
+        // chemical equation at the cursor if it isn't in one
+        if (!(this.component instanceof ChemicalEquation)) {
+            this.addComponent(new ChemicalEquation(this.block));
+        }
+        // Arrows, and the gas and precipitate symbols, are words of their own in mhchem
+        if (text in chemistryArrows) text = ` ${text} `;
+        else if (text in chemistryWords) text = ` ${text}`;
+        this.addText(text);
+    }
+
+    moveToBlock(component, block, child = block.children.length - 0.5) {
+        // Move the cursor into a block of a component. this.position doesn't change, since the cursor
+        // stays inside the same top level component.
+        this.component = component;
+        this.block = block;
+        this.child = child;
+    }
+
+    insertMatrixRow(offset, cell = this.matrixCell(), column = 0) {
+        // Insert a row above (offset 0) or below (offset 1) the cell the cursor is in and move into the given
+        // column of the new row
+        if (cell === null) return;
+        const { matrix, block } = cell;
+        const { row } = matrix.cellOf(block);
+        matrix.insertRow(row + offset);
+        this.moveToBlock(
+            matrix,
+            matrix.blocks[(row + offset) * matrix.columns + column],
+            -0.5,
+        );
+    }
+
+    insertLine() {
+        // Insert a new line below the current one, switching the expression to multi-line mode if it is not
+        // in it yet. In an aligned environment the cursor moves after the alignment marker of the new line.
+        const cell = this.matrixCell(AlignedLines) || this.startMultiLine();
+        this.insertMatrixRow(1, cell, cell.matrix.columns - 1);
+    }
+
+    startMultiLine() {
+        // Move the whole expression into the first line of a new AlignedLines component, using the
+        // environment in this.multiLineEnvironment. In an aligned environment the alignment marker is placed
+        // before the first = sign. Returns the cell to add the next line after.
+        const components = this.expression.components;
+        if (components.length === 1 && components[0] instanceof AlignedLines) {
+            // Already in multi-line mode, but the cursor is outside the lines
+            const lines = components[0];
+            return {
+                matrix: lines,
+                block: lines.blocks[lines.blocks.length - 1],
+            };
+        }
+        const lines = new AlignedLines(null, this.multiLineEnvironment, 1);
+        let split = components.findIndex(
+            c => c instanceof TextComponent && c.toLatex() === '=',
+        );
+        if (lines.columns === 1 || split === -1) split = components.length;
+        [components.slice(0, split), components.slice(split)].forEach(
+            (children, i) => {
+                for (let c of children) {
+                    c.parent = lines.blocks[Math.min(i, lines.columns - 1)];
+                    c.parent.addChild(c);
+                }
+            },
+        );
+        this.expression.components = [lines];
+        this.position = 0;
+        return { matrix: lines, block: lines.blocks[lines.blocks.length - 1] };
+    }
+
+    insertMatrixRowAbove() {
+        this.insertMatrixRow(0);
+    }
+
+    insertMatrixRowBelow() {
+        this.insertMatrixRow(1);
+    }
+
+    insertMatrixColumn(offset) {
+        // Insert a column left (offset 0) or right (offset 1) of the cell the cursor is in and move into the
+        // new column. Not every kind of matrix allows that, see Matrix.fixedColumns.
+        const cell = this.matrixCell();
+        if (cell === null || cell.matrix.fixedColumns) return;
+        const { matrix, block } = cell;
+        const { row, column } = matrix.cellOf(block);
+        matrix.insertColumn(column + offset);
+        this.moveToBlock(
+            matrix,
+            matrix.blocks[row * matrix.columns + column + offset],
+            -0.5,
+        );
+    }
+
+    insertMatrixColumnLeft() {
+        this.insertMatrixColumn(0);
+    }
+
+    insertMatrixColumnRight() {
+        this.insertMatrixColumn(1);
+    }
+
+    removeMatrixRow() {
+        // Remove the row the cursor is in, moving to the same column in the next row (or the previous one
+        // if it was the last row). The last row of a matrix is never removed.
+        const cell = this.matrixCell();
+        if (cell === null || cell.matrix.rows === 1) return;
+        const { matrix, block } = cell;
+        const { row, column } = matrix.cellOf(block);
+        matrix.removeRow(row);
+        const next = Math.min(row, matrix.rows - 1);
+        this.moveToBlock(matrix, matrix.blocks[next * matrix.columns + column]);
+    }
+
+    removeMatrixColumn() {
+        // Remove the column the cursor is in, moving to the next column (or the previous one if it was the
+        // last column). The last column of a matrix is never removed, and neither are the columns of a matrix
+        // with fixed columns.
+        const cell = this.matrixCell();
+        if (
+            cell === null ||
+            cell.matrix.columns === 1 ||
+            cell.matrix.fixedColumns
+        )
+            return;
+        const { matrix, block } = cell;
+        const { row, column } = matrix.cellOf(block);
+        matrix.removeColumn(column);
+        const next = Math.min(column, matrix.columns - 1);
+        this.moveToBlock(matrix, matrix.blocks[row * matrix.columns + next]);
+    }
+
     backspace() {
+        this.selectionAnchor = null;
         if (this.expression.components.length === 0) return;
         else if (this.position === -0.5) return;
 
@@ -312,13 +673,19 @@ class Cursor {
                 this.removeComponent();
             } else {
                 this.component = prevComponent;
-                this.block =
-                    this.component.blocks[this.component.blocks.length - 1];
+                this.block = this.blockFromRight(this.component);
                 this.child = this.block.children.length - 0.5;
                 this.position = Math.floor(this.position);
             }
         } else {
-            if (this.component.isEmpty()) {
+            if (this.isInEmptyLastRow()) {
+                // Remove the empty last row of cases or lines, moving to the end of the row above
+                this.component.removeRow(this.component.rows - 1);
+                this.moveToBlock(
+                    this.component,
+                    this.component.blocks[this.component.blocks.length - 1],
+                );
+            } else if (this.component.isEmpty()) {
                 this.removeComponent();
             } else {
                 if (this.child <= -0.5) {
@@ -334,6 +701,19 @@ class Cursor {
         }
     }
 
+    isInEmptyLastRow() {
+        // Returns true if the cursor is at the start of a cell in the last row of a matrix with fixed columns,
+        // like cases or lines, the row is empty and it is not the only row
+        if (!this.component?.fixedColumns || this.child !== -0.5) return false;
+        const { row } = this.component.cellOf(this.block);
+        const rows = this.component.getRows();
+        return (
+            rows.length > 1 &&
+            row === rows.length - 1 &&
+            rows[row].every(block => block.children.length === 0)
+        );
+    }
+
     toLatex() {
         // Generate LaTeX from the expression built till now
         let latex = this.expression.toLatex();
@@ -350,10 +730,28 @@ class Cursor {
 
         let frame = new FrameBox(this.block);
 
+        // The selected components are highlighted by putting them inside a \class{}, whose two halves are
+        // added around them like the caret. The caret then comes after the closing half if it is at the end of
+        // the selection.
+        const selection = this.getSelection();
+        const siblings = this.siblings();
+        let caretIndex = Math.ceil(
+            this.block === null ? this.position : this.child,
+        );
+        if (selection !== null) {
+            const open = new TextComponent(this.block);
+            open.blocks[0].addChild('\\class{_mjxgui_selection}{');
+            const close = new TextComponent(this.block);
+            close.blocks[0].addChild('}');
+            siblings.splice(selection.end, 0, close);
+            siblings.splice(selection.start, 0, open);
+            if (caretIndex === selection.end) caretIndex += 2;
+        }
+
         if (this.block === null) {
             // If we are not in any block, we just add the caret, generate latex
             // and reset the components
-            this.expression.add(caret, Math.ceil(this.position));
+            this.expression.add(caret, caretIndex);
         } else {
             // We add the current component inside the frame, add the caret in the
             // right position, generate latex and reset the components
@@ -361,18 +759,22 @@ class Cursor {
             this.component.removeBlock(i);
             this.component.addBlock(frame, i);
             frame.blocks[0] = this.block;
-            this.block.addChild(caret, Math.ceil(this.child));
+            this.block.addChild(caret, caretIndex);
         }
 
-        let latex = this.toLatex();
+        let latex = generatePreviewLatex(this.expression);
 
         if (this.block === null) {
-            this.expression.remove(Math.ceil(this.position));
+            this.expression.remove(caretIndex);
         } else {
             let i = this.component.blocks.indexOf(frame);
             this.component.removeBlock(i);
             this.component.addBlock(this.block, i);
-            this.block.removeChild(Math.ceil(this.child));
+            this.block.removeChild(caretIndex);
+        }
+        if (selection !== null) {
+            siblings.splice(selection.end + 1, 1);
+            siblings.splice(selection.start, 1);
         }
 
         return latex;
@@ -0,0 +1,301 @@
+// Computes the numeric value of an Expression
+// Exposes its API for the Expression and MJXGUI classes to use
+
+// The largest number of terms a sum or product is allowed to have
+const maxEvaluationTerms = 100000;
+
+// Trigonometric functions, mapped to how they are computed
+const trigonometricFunctions = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    csc: x => 1 / Math.sin(x),
+    sec: x => 1 / Math.cos(x),
+    cot: x => 1 / Math.tan(x),
+    arcsin: Math.asin,
+    arccos: Math.acos,
+    arctan: Math.atan,
+};
+
+// Comparisons that can be used as the condition of a piecewise function, mapped to how they are computed
+const evaluationComparisons = {
+    eq: (a, b) => a === b,
+    neq: (a, b) => a !== b,
+    lt: (a, b) => a < b,
+    gt: (a, b) => a > b,
+    leq: (a, b) => a <= b,
+    geq: (a, b) => a >= b,
+};
+
+/**
+ * @class
+ * The error thrown when an Expression can't be evaluated. The code tells what went wrong:
+ *
+ * - "undefined-variable" if a variable has no value. The name of the variable is stored in variable.
+ * - "not-numeric" if part of the expression doesn't have a numeric value, like an equation or an integral.
+ * - "domain" if a function is applied outside its domain, like a division by zero.
+ *
+ * component is the component the error was caused by, or null if it can't be narrowed down to one.
+ */
+class EvaluationError extends Error {
+    constructor(code, message, component = null) {
+        super(message);
+        this.name = 'EvaluationError';
+        this.code = code;
+        this.component = component;
+    }
+}
+
+/**
+ * @class
+ * Evaluates an Expression to a number. The expression is interpreted using SemanticParser, so anything
+ * the semantic tree supports can be evaluated: arithmetic, fractions, roots, powers, factorials, the
+ * trigonometric functions, absolute values, floor and ceiling, sums and products with numeric bounds and
+ * piecewise functions whose conditions are comparisons.
+ *
+ * Variables are looked up in an object mapping their names, as used in the semantic tree (like "x",
+ * "theta" or "x_1"), to numbers. If e is not given a value, it is Euler's number.
+ */
+class Evaluator {
+    constructor(expression, variables = {}) {
+        /**
+         * @param expression: The Expression to evaluate
+         * @param variables: An object mapping variable names to their values
+         */
+        this.expression = expression;
+        this.variables = variables;
+    }
+
+    evaluate() {
+        // Evaluate the whole expression and return the result
+        return this.evaluateNode(
+            new SemanticParser(this.expression).parse(),
+            this.variables,
+        );
+    }
+
+    evaluateNode(node, variables) {
+        // Evaluate a node of the semantic tree, with the given variables in scope
+        switch (node.type) {
+            case 'number': {
+                const value = Number(node.value);
+                if (Number.isNaN(value)) {
+                    throw new EvaluationError(
+                        'not-numeric',
+                        `"${node.value}" is not a valid number`,
+                        node.component,
+                    );
+                }
+                return value;
+            }
+            case 'identifier':
+                return this.lookup(node, variables);
+            case 'constant':
+                if (node.name === 'pi') return Math.PI;
+                throw new EvaluationError(
+                    'not-numeric',
+                    `${node.name} is not a number`,
+                    node.component,
+                );
+            case 'error':
+                throw new EvaluationError(
+                    'not-numeric',
+                    node.message,
+                    node.component,
+                );
+            default:
+                return this.checkResult(
+                    this.evaluateApply(node, variables),
+                    node,
+                );
+        }
+    }
+
+    lookup(node, variables) {
+        if (Object.prototype.hasOwnProperty.call(variables, node.name)) {
+            const value = variables[node.name];
+            if (typeof value !== 'number') {
+                throw new EvaluationError(
+                    'not-numeric',
+                    `The value of ${node.name} is not a number`,
+                    node.component,
+                );
+            }
+            return value;
+        }
+        if (node.name === 'e') return Math.E;
+        const error = new EvaluationError(
+            'undefined-variable',
+            `${node.name} is not defined`,
+            node.component,
+        );
+        error.variable = node.name;
+        throw error;
+    }
+
+    checkResult(value, node) {
+        // Operations outside their domain result in NaN or a division by zero in JavaScript
+        if (Number.isNaN(value) || !Number.isFinite(value)) {
+            throw new EvaluationError(
+                'domain',
+                `The result of ${node.operator} is not a real number`,
+                node.component,
+            );
+        }
+        return value;
+    }
+
+    evaluateApply(node, variables) {
+        const args = () =>
+            node.args.map(arg => this.evaluateNode(arg, variables));
+        switch (node.operator) {
+            case 'plus':
+                return args().reduce((a, b) => a + b);
+            case 'minus': {
+                const [a, b] = args();
+                return b === undefined ? -a : a - b;
+            }
+            case 'times':
+                return args().reduce((a, b) => a * b);
+            case 'divide': {
+                const [a, b] = args();
+                if (b === 0) {
+                    throw new EvaluationError(
+                        'domain',
+                        'Division by zero',
+                        node.component,
+                    );
+                }
+                return a / b;
+            }
+            case 'power': {
+                const [a, b] = args();
+                return a ** b;
+            }
+            case 'root':
+                return this.evaluateRoot(node, variables);
+            case 'factorial':
+                return this.evaluateFactorial(node, args()[0]);
+            case 'sum':
+            case 'product':
+                return this.evaluateLargeOperator(node, variables);
+            case 'piecewise':
+                return this.evaluatePiecewise(node, variables);
+            case 'abs':
+                return Math.abs(args()[0]);
+            case 'floor':
+                return Math.floor(args()[0]);
+            case 'ceiling':
+                return Math.ceil(args()[0]);
+        }
+        if (node.operator in trigonometricFunctions) {
+            return trigonometricFunctions[node.operator](args()[0]);
+        }
+        throw new EvaluationError(
+            'not-numeric',
+            `Cannot evaluate ${node.operator}`,
+            node.component,
+        );
+    }
+
+    evaluateRoot(node, variables) {
+        const radicand = this.evaluateNode(node.args[0], variables);
+        const degree = node.degree
+            ? this.evaluateNode(node.degree, variables)
+            : 2;
+        // Odd roots of negative numbers are real
+        if (radicand < 0 && Number.isInteger(degree) && degree % 2 !== 0) {
+            return -((-radicand) ** (1 / degree));
+        }
+        if (radicand < 0 || degree === 0) {
+            throw new EvaluationError(
+                'domain',
+                degree === 0
+                    ? 'Root of degree zero'
+                    : 'Root of a negative number',
+                node.component,
+            );
+        }
+        return radicand ** (1 / degree);
+    }
+
+    evaluateFactorial(node, n) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new EvaluationError(
+                'domain',
+                'Factorial of a number that is not a non-negative integer',
+                node.component,
+            );
+        }
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    }
+
+    evaluatePiecewise(node, variables) {
+        // The value of the first piece whose condition holds, or of the "otherwise" piece
+        for (let piece of node.args) {
+            if (
+                piece.operator === 'otherwise' ||
+                this.evaluateCondition(piece.args[1], variables)
+            ) {
+                return this.evaluateNode(piece.args[0], variables);
+            }
+        }
+        throw new EvaluationError(
+            'domain',
+            'None of the conditions of the piecewise function hold',
+            node.component,
+        );
+    }
+
+    evaluateCondition(node, variables) {
+        if (
+            node.type !== 'apply' ||
+            !(node.operator in evaluationComparisons)
+        ) {
+            throw new EvaluationError(
+                'not-numeric',
+                'The condition of a piecewise function must be a comparison',
+                node.component,
+            );
+        }
+        const [a, b] = node.args.map(arg => this.evaluateNode(arg, variables));
+        return evaluationComparisons[node.operator](a, b);
+    }
+
+    evaluateLargeOperator(node, variables) {
+        // Evaluate a sum or product like \sum_{i=1}^{n}{i}, binding the index variable for every term
+        if (!node.variable || !node.lowerLimit || !node.upperLimit) {
+            throw new EvaluationError(
+                'not-numeric',
+                `A ${node.operator} needs an index variable with a lower and an upper bound`,
+                node.component,
+            );
+        }
+        const lower = this.evaluateNode(node.lowerLimit, variables);
+        const upper = this.evaluateNode(node.upperLimit, variables);
+        if (!Number.isInteger(lower) || !Number.isInteger(upper)) {
+            throw new EvaluationError(
+                'domain',
+                `The bounds of a ${node.operator} must be integers`,
+                node.component,
+            );
+        }
+        if (upper - lower >= maxEvaluationTerms) {
+            throw new EvaluationError(
+                'domain',
+                `A ${node.operator} can have at most ${maxEvaluationTerms} terms`,
+                node.component,
+            );
+        }
+
+        let result = node.operator === 'sum' ? 0 : 1;
+        for (let i = lower; i <= upper; i++) {
+            const scope = { ...variables, [node.variable.name]: i };
+            const term = this.evaluateNode(node.args[0], scope);
+            result = node.operator === 'sum' ? result + term : result * term;
+        }
+        return result;
+    }
+}
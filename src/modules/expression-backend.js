@@ -1,11 +1,1005 @@
 // Builds the expression/equation being typed in by the user
 // Exposes its API for the cursor module to use
 
+// Version of the JSON generated by Expression.toJSON(). Increment it if the
+// format changes.
+const expressionJSONVersion = 1;
+
+// Maps the type names used in JSON to component classes, so that
+// Component.fromJSON() knows which class to create. Classes added through
+// MJXGUI.registerFunction() are registered here as well.
+const componentRegistry = {};
+
+/**
+ * Registers a component class so that it can be restored from JSON.
+ * @param componentClass The component class to register
+ * @param type The name to record the class as in JSON. Defaults to the name of
+ * the class.
+ */
+function registerComponent(componentClass, type = componentClass.name) {
+    componentRegistry[type] = componentClass;
+}
+
+/**
+ * Returns the name a component class is recorded as in JSON
+ * @param componentClass The component class to look up
+ */
+function getComponentType(componentClass) {
+    for (let type in componentRegistry) {
+        if (componentRegistry[type] === componentClass) return type;
+    }
+    return componentClass.name;
+}
+
+// Unicode characters for the large operators generated by
+// TemplateThreeBlockComponent
+const largeOperatorUnicodeMap = {
+    sum: '∑',
+    int: '∫',
+    iint: '∬',
+    iiint: '∭',
+    oint: '∮',
+    prod: '∏',
+    coprod: '∐',
+    bigcup: '⋃',
+    bigcap: '⋂',
+    bigvee: '⋁',
+    bigwedge: '⋀',
+};
+
+/**
+ * Escapes the characters that have a special meaning in XML
+ * @param text The text to escape
+ */
+function escapeXML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wraps a component's LaTeX in a MathML <semantics> element. Used for
+ * components that have no MathML representation of their own.
+ * @param component The component to wrap
+ */
+function latexAnnotationMathML(component) {
+    const latex = escapeXML(component.toLatex());
+    const annotation = `<annotation encoding="application/x-tex">${latex}</annotation>`;
+    return `<semantics><mrow></mrow>${annotation}</semantics>`;
+}
+
+/**
+ * Returns true if the given serialization method of a component (like toMathML)
+ * is defined at least as far down the inheritance chain as toLatex(). Custom
+ * components that inherit from one of the built-in components usually override
+ * toLatex() only, in which case the inherited method would describe the wrong
+ * component.
+ * @param component The component to check
+ * @param method The name of the serialization method
+ */
+function implementsSerializer(component, method) {
+    let proto = Object.getPrototypeOf(component);
+    while (proto !== null && !proto.hasOwnProperty(method)) {
+        if (proto.hasOwnProperty('toLatex')) return false;
+        proto = Object.getPrototypeOf(proto);
+    }
+    return proto !== null;
+}
+
+/**
+ * Generates MathML for a component, falling back to latexAnnotationMathML() if
+ * the component does not implement toMathML() itself.
+ * @param component The component to generate MathML for
+ */
+function componentToMathML(component) {
+    if (!implementsSerializer(component, 'toMathML'))
+        return latexAnnotationMathML(component);
+    return component.toMathML();
+}
+
+/**
+ * Generates MathML for a list of components, joining consecutive digits into a
+ * single <mn>.
+ * @param components An array of components (and strings, in case of a block's
+ * children)
+ */
+function sequenceToMathML(components) {
+    let mathml = '';
+    let number = '';
+    for (let c of components) {
+        const char =
+            typeof c === 'string'
+                ? c
+                : c instanceof TextComponent
+                  ? c.toLatex()
+                  : null;
+        if (char !== null && /^[0-9.]$/.test(char)) {
+            number += char;
+            continue;
+        }
+        if (number) {
+            mathml += `<mn>${number}</mn>`;
+            number = '';
+        }
+        mathml +=
+            typeof c === 'string' ? textToMathML(c) : componentToMathML(c);
+    }
+    if (number) mathml += `<mn>${number}</mn>`;
+    return mathml;
+}
+
+// AsciiMath for the large operators generated by TemplateThreeBlockComponent.
+// AsciiMath has no coproduct, so it is written as its Unicode character.
+const largeOperatorAsciiMathMap = {
+    sum: 'sum',
+    int: 'int',
+    iint: 'iint',
+    iiint: 'iiint',
+    oint: 'oint',
+    prod: 'prod',
+    coprod: '∐',
+    bigcup: 'uuu',
+    bigcap: 'nnn',
+    bigvee: 'vvv',
+    bigwedge: '^^^',
+};
+
+/**
+ * Generates AsciiMath for a component. Components that do not implement
+ * toAsciiMath() are written as their LaTeX, quoted as AsciiMath text.
+ * @param component The component to generate AsciiMath for
+ */
+function componentToAsciiMath(component) {
+    if (!implementsSerializer(component, 'toAsciiMath'))
+        return `"${component.toLatex()}"`;
+    return component.toAsciiMath();
+}
+
+/**
+ * Generates AsciiMath for a list of components. Components are separated by
+ * spaces so that consecutive letters are not read as a single AsciiMath symbol
+ * (like "sin"), but the digits of a number are kept together.
+ * @param components An array of components (and strings, in case of a block's
+ * children)
+ */
+function sequenceToAsciiMath(components) {
+    let asciimath = '';
+    let previous = '';
+    for (let c of components) {
+        const current = typeof c === 'string' ? c : componentToAsciiMath(c);
+        if (
+            asciimath &&
+            !(/[0-9.]$/.test(previous) && /^[0-9.]$/.test(current))
+        ) {
+            asciimath += ' ';
+        }
+        asciimath += current;
+        previous = current;
+    }
+    return asciimath;
+}
+
+/**
+ * Generates AsciiMath for a block that is used as the base of a script or as
+ * the body of an operator. The block is wrapped in invisible brackets unless it
+ * is a single character or symbol, or a single matrix, whose rows are already
+ * in brackets.
+ * @param block The block to generate AsciiMath for
+ */
+function blockToAsciiMathGroup(block) {
+    const child = block.children[0];
+    if (
+        block.children.length === 1 &&
+        (child instanceof TextComponent ||
+            child instanceof MJXGUISymbol ||
+            child instanceof Matrix)
+    ) {
+        return block.toAsciiMath();
+    }
+    return `{:${block.toAsciiMath()}:}`;
+}
+
+/**
+ * Generates MathML for a single typed character
+ * @param char The character
+ */
+function textToMathML(char) {
+    if (/^[0-9]+$/.test(char)) return `<mn>${char}</mn>`;
+    if (/^[a-zA-Z]+$/.test(char)) return `<mi>${char}</mi>`;
+    return `<mo>${escapeXML(char)}</mo>`;
+}
+
+/**
+ * Returns true if a character is a letter or a letter-like symbol (like π or
+ * ∞), which is read as a variable or constant rather than as an operator
+ * @param char The character
+ */
+function isLetterLike(char) {
+    return /^[\u0370-\u03ff∂ℏℜ∞A-Za-z]$/.test(char);
+}
+
+// Unicode superscript and subscript forms of the characters that have one. Only
+// letters that are commonly used as exponents are included, since the other
+// superscript letters render inconsistently.
+const unicodeSuperscriptMap = {
+    0: '⁰',
+    1: '¹',
+    2: '²',
+    3: '³',
+    4: '⁴',
+    5: '⁵',
+    6: '⁶',
+    7: '⁷',
+    8: '⁸',
+    9: '⁹',
+    '+': '⁺',
+    '-': '⁻',
+    '=': '⁼',
+    '(': '⁽',
+    ')': '⁾',
+    n: 'ⁿ',
+    i: 'ⁱ',
+};
+const unicodeSubscriptMap = {
+    0: '₀',
+    1: '₁',
+    2: '₂',
+    3: '₃',
+    4: '₄',
+    5: '₅',
+    6: '₆',
+    7: '₇',
+    8: '₈',
+    9: '₉',
+    '+': '₊',
+    '-': '₋',
+    '=': '₌',
+    '(': '₍',
+    ')': '₎',
+};
+
+/**
+ * Generates the Unicode linear format for a component. Components that do not
+ * implement toUnicode() are written as their LaTeX.
+ * @param component The component to generate the linear format for
+ */
+function componentToUnicode(component) {
+    if (!implementsSerializer(component, 'toUnicode'))
+        return component.toLatex();
+    return component.toUnicode();
+}
+
+/**
+ * Generates the Unicode linear format for a list of components
+ * @param components An array of components (and strings, in case of a block's
+ * children)
+ */
+function sequenceToUnicode(components) {
+    let unicode = '';
+    for (let c of components) {
+        unicode += typeof c === 'string' ? c : componentToUnicode(c);
+    }
+    return unicode;
+}
+
+/**
+ * Returns true if a component is read as a single operand in the linear format,
+ * so that it does not need parentheses around it when it is part of a fraction
+ * or the base of a script.
+ * @param component The component to check
+ */
+function isUnicodeOperand(component) {
+    if (component instanceof TextComponent) {
+        const char = component.toLatex();
+        return /^[0-9.]$/.test(char) || isLetterLike(char);
+    }
+    if (component instanceof MJXGUISymbol) {
+        const char = symbolLatexToUnicode(component.latexData);
+        return char !== null && isLetterLike(char);
+    }
+    return [Sqrt, NthRoot, Superscript, Subscript, SubSupRight, FrameBox].some(
+        componentClass => component.constructor === componentClass,
+    );
+}
+
+/**
+ * Returns true if text is completely enclosed by a single pair of matching
+ * parentheses
+ * @param text The text to check
+ */
+function isParenthesized(text) {
+    if (!text.startsWith('(') || !text.endsWith(')')) return false;
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        if (depth === 0 && i < text.length - 1) return false;
+    }
+    return true;
+}
+
+/**
+ * Generates the Unicode linear format for a block that is used as an operand,
+ * like the numerator of a fraction. The block is wrapped in parentheses only if
+ * it would otherwise be read ambiguously.
+ * @param block The block to generate the linear format for
+ * @param single Whether the block must read as a single term, like the base of
+ * a script. A product like 2a is an operand of a fraction, but not of an
+ * exponent.
+ */
+function blockToUnicodeOperand(block, single = false) {
+    const unicode = block.toUnicode();
+    if (block.children.length === 0 || isParenthesized(unicode)) return unicode;
+    let needsParentheses = !block.children.every(
+        c => typeof c === 'string' || isUnicodeOperand(c),
+    );
+    if (single && !/^[0-9.]+$/.test(unicode)) {
+        const child = block.children[0];
+        needsParentheses =
+            needsParentheses ||
+            block.children.length > 1 ||
+            child instanceof Superscript ||
+            child instanceof Subscript ||
+            child instanceof SubSupRight;
+    }
+    return needsParentheses ? `(${unicode})` : unicode;
+}
+
+/**
+ * Generates the Unicode linear format for the body of a large operator or
+ * limit, which only needs parentheses if it is made up of more than one
+ * component
+ * @param block The block containing the body
+ */
+function blockToUnicodeBody(block) {
+    if (block.children.length === 1) return block.toUnicode();
+    return blockToUnicodeOperand(block);
+}
+
+/**
+ * Generates the Unicode linear format for a subscript or superscript. Unicode
+ * script characters are used if every character of the script has one,
+ * otherwise the script is written after a ^ or _.
+ * @param block The block containing the script
+ * @param scriptMap unicodeSuperscriptMap or unicodeSubscriptMap
+ * @param marker ^ for a superscript or _ for a subscript
+ */
+function scriptToUnicode(block, scriptMap, marker) {
+    const unicode = block.toUnicode();
+    if (unicode === '') return '';
+    const chars = [...unicode];
+    if (chars.every(char => char in scriptMap)) {
+        return chars.map(char => scriptMap[char]).join('');
+    }
+    if (chars.length === 1 || isParenthesized(unicode))
+        return `${marker}${unicode}`;
+    return `${marker}(${unicode})`;
+}
+
+// The delimiters around each LaTeX matrix environment, used by the MathML,
+// AsciiMath and linear format output of Matrix
+const matrixDelimiters = {
+    matrix: ['', ''],
+    pmatrix: ['(', ')'],
+    bmatrix: ['[', ']'],
+    Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'],
+};
+
+// The kinds of delimiters a Delimited component can have, mapped to the LaTeX
+// of their left and right delimiter
+const delimiterKinds = {
+    parentheses: ['(', ')'],
+    brackets: ['[', ']'],
+    braces: ['\\{', '\\}'],
+    angles: ['\\langle', '\\rangle'],
+    bars: ['|', '|'],
+    doubleBars: ['\\|', '\\|'],
+    floor: ['\\lfloor', '\\rfloor'],
+    ceil: ['\\lceil', '\\rceil'],
+    none: ['.', '.'],
+};
+
+// The characters of the delimiters of a Delimited component, used by the MathML
+// and linear format output
+const delimiterUnicodeMap = {
+    '(': '(',
+    ')': ')',
+    '[': '[',
+    ']': ']',
+    '\\{': '{',
+    '\\}': '}',
+    '\\langle': '⟨',
+    '\\rangle': '⟩',
+    '|': '|',
+    '\\|': '‖',
+    '\\lfloor': '⌊',
+    '\\rfloor': '⌋',
+    '\\lceil': '⌈',
+    '\\rceil': '⌉',
+    '.': '',
+};
+
+// AsciiMath for the delimiters of a Delimited component. The invisible
+// delimiter . is written as {: or :} and a bar as |: or :| depending on the
+// side it is on.
+const delimiterAsciiMathMap = {
+    '(': '(',
+    ')': ')',
+    '[': '[',
+    ']': ']',
+    '\\{': '{',
+    '\\}': '}',
+    '\\langle': '(:',
+    '\\rangle': ':)',
+    '|': '|',
+    '\\|': '||',
+    '\\lfloor': '|__',
+    '\\rfloor': '__|',
+    '\\lceil': '|~',
+    '\\rceil': '~|',
+};
+
+// The accents of an Accent component. mathML is the character drawn over the
+// block, asciiMath the name of the AsciiMath function, unicode the combining
+// character used by the linear format, and identifier the suffix of the name of
+// an accented variable, which follows SymPy's naming of symbols like "xhat"
+const accentMap = {
+    hat: {
+        mathML: '^',
+        asciiMath: 'hat',
+        unicode: '\u0302',
+        identifier: 'hat',
+    },
+    bar: {
+        mathML: '¯',
+        asciiMath: 'bar',
+        unicode: '\u0304',
+        identifier: 'bar',
+    },
+    vec: {
+        mathML: '→',
+        asciiMath: 'vec',
+        unicode: '\u20D7',
+        identifier: 'vec',
+    },
+    dot: {
+        mathML: '˙',
+        asciiMath: 'dot',
+        unicode: '\u0307',
+        identifier: 'dot',
+    },
+    ddot: {
+        mathML: '¨',
+        asciiMath: 'ddot',
+        unicode: '\u0308',
+        identifier: 'ddot',
+    },
+    tilde: {
+        mathML: '~',
+        asciiMath: 'tilde',
+        unicode: '\u0303',
+        identifier: 'tilde',
+    },
+    overline: {
+        mathML: '‾',
+        asciiMath: 'overline',
+        unicode: '\u0305',
+        identifier: 'bar',
+        stretchy: true,
+    },
+    overrightarrow: {
+        mathML: '→',
+        asciiMath: 'vec',
+        unicode: '\u20D7',
+        identifier: 'vec',
+        stretchy: true,
+    },
+};
+
+// The math font styles of a FontStyle component. mathvariant is the MathML
+// equivalent, asciiMath the name of the AsciiMath function, identifier the
+// suffix of the name of a styled variable, following SymPy's naming of symbols
+// like "vbold", and word how the style is read. upper, lower and digit are the
+// code points of the styled A, a and 0 among Unicode's mathematical
+// alphanumeric symbols, and exceptions the letters that are elsewhere.
+const fontStyleMap = {
+    mathbb: {
+        mathvariant: 'double-struck',
+        asciiMath: 'bbb',
+        identifier: 'bb',
+        word: 'blackboard bold',
+        upper: 0x1d538,
+        lower: 0x1d552,
+        digit: 0x1d7d8,
+        exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+    },
+    mathbf: {
+        mathvariant: 'bold',
+        asciiMath: 'bb',
+        identifier: 'bold',
+        word: 'bold',
+        upper: 0x1d400,
+        lower: 0x1d41a,
+        digit: 0x1d7ce,
+        exceptions: {},
+    },
+    mathcal: {
+        mathvariant: 'script',
+        asciiMath: 'cc',
+        identifier: 'cal',
+        word: 'calligraphic',
+        upper: 0x1d49c,
+        lower: 0x1d4b6,
+        digit: null,
+        exceptions: {
+            B: 'ℬ',
+            E: 'ℰ',
+            F: 'ℱ',
+            H: 'ℋ',
+            I: 'ℐ',
+            L: 'ℒ',
+            M: 'ℳ',
+            R: 'ℛ',
+            e: 'ℯ',
+            g: 'ℊ',
+            o: 'ℴ',
+        },
+    },
+    mathfrak: {
+        mathvariant: 'fraktur',
+        asciiMath: 'fr',
+        identifier: 'frak',
+        word: 'fraktur',
+        upper: 0x1d504,
+        lower: 0x1d51e,
+        digit: null,
+        exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+    },
+    mathrm: {
+        mathvariant: 'normal',
+        asciiMath: 'rm',
+        identifier: '',
+        word: 'roman',
+        upper: null,
+        lower: null,
+        digit: null,
+        exceptions: {},
+    },
+};
+
+/**
+ * Replaces the ASCII letters and digits in some text with their styled versions
+ * from Unicode's mathematical alphanumeric symbols, like ℝ for R in the mathbb
+ * style. Other characters are kept as they are.
+ * @param text The text to style
+ * @param style The name of the style, one of the keys of fontStyleMap
+ */
+function styleToUnicode(text, style) {
+    const { upper, lower, digit, exceptions } = fontStyleMap[style];
+    return [...text]
+        .map(char => {
+            if (char in exceptions) return exceptions[char];
+            let base = null;
+            if (/[A-Z]/.test(char))
+                base = upper === null ? null : upper + char.charCodeAt(0) - 65;
+            if (/[a-z]/.test(char))
+                base = lower === null ? null : lower + char.charCodeAt(0) - 97;
+            if (/[0-9]/.test(char))
+                base = digit === null ? null : digit + char.charCodeAt(0) - 48;
+            return base === null ? char : String.fromCodePoint(base);
+        })
+        .join('');
+}
+
+/**
+ * Returns the arguments that select a color in \color and \colorbox. Colors are
+ * either names known to both LaTeX and MathJax, like "red", or hexadecimal RGB
+ * values like "#1A73E8", which use xcolor's HTML model.
+ * @param color The name or hexadecimal value of the color
+ */
+function colorToLatex(color) {
+    if (/^#[0-9a-fA-F]{6}$/.test(color)) return `[HTML]{${color.slice(1)}}`;
+    return `{${color}}`;
+}
+
+// The differential symbol of each kind of derivative, used by Derivative and
+// PartialDerivative
+const differentialSymbols = {
+    d: {
+        latex: 'd',
+        mathML: '<mi mathvariant="normal">d</mi>',
+        asciiMath: 'd',
+        unicode: 'd',
+    },
+    partial: {
+        latex: '\\partial',
+        mathML: '<mo>∂</mo>',
+        asciiMath: 'del',
+        unicode: '∂',
+    },
+};
+
+/**
+ * Returns the terms of the total order of a derivative with respect to several
+ * variables, which is the sum of the order of each variable. Numeric orders are
+ * added up into a single number at the end, and an empty order counts as 1, so
+ * the orders 2 and 1 have the terms [3], and n and 1 have the terms [n, 1]. An
+ * order the cursor is in (which the editor puts in a FrameBox) is left out, so
+ * the caret isn't shown twice.
+ * @param orders The order block of each variable
+ */
+function derivativeOrderTerms(orders) {
+    const terms = [];
+    let number = 0;
+    for (let order of orders) {
+        if (order instanceof FrameBox) continue;
+        const latex = order.toLatex();
+        if (latex === '') number++;
+        else if (/^[0-9]+$/.test(latex)) number += Number(latex);
+        else terms.push(order);
+    }
+    return number === 0 ? terms : [...terms, number];
+}
+
+/**
+ * Returns true if an order block is empty or 1, which is the order of a first
+ * derivative and isn't written
+ * @param order The order block
+ */
+function isFirstOrder(order) {
+    return ['', '1'].includes(order.toLatex());
+}
+
+// Characters that have to be escaped inside \text{}, mapped to their escaped
+// LaTeX
+const textModeEscapes = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    $: '\\$',
+    '#': '\\#',
+    '%': '\\%',
+    '&': '\\&',
+    _: '\\_',
+    '^': '\\^{}',
+    '~': '\\~{}',
+};
+
+/**
+ * Escapes the characters of some text that LaTeX treats specially in text mode.
+ * @param text The text to escape
+ */
+function escapeTextMode(text) {
+    return [...text].map(char => textModeEscapes[char] ?? char).join('');
+}
+
+/**
+ * Splits the children of the block of a TextRun into strings, one for each run
+ * of consecutive characters, and the other components between them
+ * @param block The block of the TextRun
+ */
+function textRunPieces(block) {
+    const pieces = [];
+    for (let child of block.children) {
+        // The characters are read from the block of each TextComponent, since
+        // its LaTeX leaves out spaces
+        const text =
+            child instanceof TextComponent
+                ? child.blocks[0].children.join('')
+                : null;
+        if (text === null) {
+            pieces.push(child);
+        } else if (typeof pieces[pieces.length - 1] === 'string') {
+            pieces[pieces.length - 1] += text;
+        } else {
+            pieces.push(text);
+        }
+    }
+    return pieces;
+}
+
+// The reaction arrows of mhchem, mapped to the arrow they are drawn as
+const chemistryArrows = {
+    '->': '→',
+    '<-': '←',
+    '<->': '↔',
+    '<=>': '⇌',
+};
+
+// Words with a meaning of their own in an mhchem equation, other than the
+// arrows
+const chemistryWords = {
+    '+': { kind: 'plus', symbol: '+' },
+    '^': { kind: 'gas', symbol: '↑' },
+    v: { kind: 'precipitate', symbol: '↓' },
+};
+
+/**
+ * Splits the mhchem text of a ChemicalEquation, like "2H2 + O2 -> 2H2O(l)",
+ * into its words. Each word is an object with a kind, which is "arrow", "plus",
+ * "gas" or "precipitate" with the symbol it is drawn as, or "formula" with the
+ * atoms of the formula. Each atom has a kind ("element", "number", "bracket",
+ * "dot", "state" or "text"), its text, and its subscript and charge, which are
+ * empty if it has none.
+ * @param text The mhchem text
+ */
+function chemistryTokens(text) {
+    // Arrows don't need spaces around them to be read as arrows
+    const words = text
+        .replace(/<=>|<->|->|<-/g, ' $& ')
+        .split(/\s+/)
+        .filter(word => word !== '');
+    return words.map(word => {
+        if (word in chemistryArrows)
+            return { kind: 'arrow', symbol: chemistryArrows[word] };
+        if (word in chemistryWords) return chemistryWords[word];
+        return { kind: 'formula', atoms: chemistryFormulaAtoms(word) };
+    });
+}
+
+/**
+ * Splits a chemical formula, like "2SO4^2-", into atoms (see
+ * chemistryTokens()). Digits at the start are a coefficient and digits after an
+ * element or bracket are its subscript. A charge is written after a ^, like
+ * Fe^3+ or Fe^{3+}, or as a + or - at the end of the formula or before its
+ * state, like Na+ or Na+(aq).
+ * @param word The formula
+ */
+function chemistryFormulaAtoms(word) {
+    const atoms = [];
+    const atom = (kind, text) =>
+        atoms.push({ kind, text, subscript: '', charge: '' });
+    let position = 0;
+    while (position < word.length) {
+        const rest = word.slice(position);
+        const last = atoms[atoms.length - 1];
+        let match;
+        if ((match = /^\((aq|s|l|g)\)/.exec(rest))) {
+            atom('state', match[0]);
+        } else if ((match = /^[0-9]+/.exec(rest))) {
+            if (
+                last &&
+                ['element', 'bracket'].includes(last.kind) &&
+                last.text !== '(' &&
+                !last.subscript
+            ) {
+                last.subscript = match[0];
+            } else {
+                atom('number', match[0]);
+            }
+        } else if (
+            last &&
+            (match = /^\^(?:\{([^}]*)\}|([0-9]*[+-]|[0-9]+))/.exec(rest))
+        ) {
+            last.charge = match[1] ?? match[2];
+        } else if (last && (match = /^[+-](?=$|\((aq|s|l|g)\))/.exec(rest))) {
+            last.charge = match[0];
+        } else if ((match = /^[A-Z][a-z]?/.exec(rest))) {
+            atom('element', match[0]);
+        } else if ((match = /^[()[\]]/.exec(rest))) {
+            atom('bracket', match[0]);
+        } else if ((match = /^[*.·]/.exec(rest))) {
+            atom('dot', '·');
+        } else {
+            match = [rest[0]];
+            atom('text', rest[0]);
+        }
+        position += match[0].length;
+    }
+    return atoms;
+}
+
+// The SI prefixes, mapped to their LaTeX, their siunitx macro and their spoken
+// name
+const siPrefixes = {
+    Q: { latex: 'Q', siunitx: '\\quetta', name: 'quetta' },
+    R: { latex: 'R', siunitx: '\\ronna', name: 'ronna' },
+    Y: { latex: 'Y', siunitx: '\\yotta', name: 'yotta' },
+    Z: { latex: 'Z', siunitx: '\\zetta', name: 'zetta' },
+    E: { latex: 'E', siunitx: '\\exa', name: 'exa' },
+    P: { latex: 'P', siunitx: '\\peta', name: 'peta' },
+    T: { latex: 'T', siunitx: '\\tera', name: 'tera' },
+    G: { latex: 'G', siunitx: '\\giga', name: 'giga' },
+    M: { latex: 'M', siunitx: '\\mega', name: 'mega' },
+    k: { latex: 'k', siunitx: '\\kilo', name: 'kilo' },
+    h: { latex: 'h', siunitx: '\\hecto', name: 'hecto' },
+    da: { latex: 'da', siunitx: '\\deca', name: 'deca' },
+    d: { latex: 'd', siunitx: '\\deci', name: 'deci' },
+    c: { latex: 'c', siunitx: '\\centi', name: 'centi' },
+    m: { latex: 'm', siunitx: '\\milli', name: 'milli' },
+    µ: { latex: '\\mu ', siunitx: '\\micro', name: 'micro' },
+    n: { latex: 'n', siunitx: '\\nano', name: 'nano' },
+    p: { latex: 'p', siunitx: '\\pico', name: 'pico' },
+    f: { latex: 'f', siunitx: '\\femto', name: 'femto' },
+    a: { latex: 'a', siunitx: '\\atto', name: 'atto' },
+    z: { latex: 'z', siunitx: '\\zepto', name: 'zepto' },
+    y: { latex: 'y', siunitx: '\\yocto', name: 'yocto' },
+    r: { latex: 'r', siunitx: '\\ronto', name: 'ronto' },
+    q: { latex: 'q', siunitx: '\\quecto', name: 'quecto' },
+};
+
+// The SI base and derived units, and the units accepted for use with them,
+// mapped to their LaTeX, their siunitx macro and their spoken name. plural is
+// only given where it isn't the name followed by an s, and units marked with
+// prefixes: false can't have a prefix.
+const siUnits = {
+    m: { latex: 'm', siunitx: '\\meter', name: 'meter' },
+    g: { latex: 'g', siunitx: '\\gram', name: 'gram' },
+    s: { latex: 's', siunitx: '\\second', name: 'second' },
+    A: { latex: 'A', siunitx: '\\ampere', name: 'ampere' },
+    K: { latex: 'K', siunitx: '\\kelvin', name: 'kelvin' },
+    mol: { latex: 'mol', siunitx: '\\mole', name: 'mole' },
+    cd: { latex: 'cd', siunitx: '\\candela', name: 'candela' },
+    Hz: { latex: 'Hz', siunitx: '\\hertz', name: 'hertz', plural: 'hertz' },
+    N: { latex: 'N', siunitx: '\\newton', name: 'newton' },
+    Pa: { latex: 'Pa', siunitx: '\\pascal', name: 'pascal' },
+    J: { latex: 'J', siunitx: '\\joule', name: 'joule' },
+    W: { latex: 'W', siunitx: '\\watt', name: 'watt' },
+    C: { latex: 'C', siunitx: '\\coulomb', name: 'coulomb' },
+    V: { latex: 'V', siunitx: '\\volt', name: 'volt' },
+    F: { latex: 'F', siunitx: '\\farad', name: 'farad' },
+    Ω: { latex: '\\Omega ', siunitx: '\\ohm', name: 'ohm' },
+    S: { latex: 'S', siunitx: '\\siemens', name: 'siemens', plural: 'siemens' },
+    Wb: { latex: 'Wb', siunitx: '\\weber', name: 'weber' },
+    T: { latex: 'T', siunitx: '\\tesla', name: 'tesla' },
+    H: { latex: 'H', siunitx: '\\henry', name: 'henry', plural: 'henries' },
+    lm: { latex: 'lm', siunitx: '\\lumen', name: 'lumen' },
+    lx: { latex: 'lx', siunitx: '\\lux', name: 'lux', plural: 'lux' },
+    Bq: { latex: 'Bq', siunitx: '\\becquerel', name: 'becquerel' },
+    Gy: { latex: 'Gy', siunitx: '\\gray', name: 'gray' },
+    Sv: { latex: 'Sv', siunitx: '\\sievert', name: 'sievert' },
+    kat: { latex: 'kat', siunitx: '\\katal', name: 'katal' },
+    rad: { latex: 'rad', siunitx: '\\radian', name: 'radian' },
+    sr: { latex: 'sr', siunitx: '\\steradian', name: 'steradian' },
+    '°C': {
+        latex: '{}^{\\circ}C',
+        siunitx: '\\degreeCelsius',
+        name: 'degree Celsius',
+        plural: 'degrees Celsius',
+        prefixes: false,
+    },
+    L: { latex: 'L', siunitx: '\\liter', name: 'liter' },
+    t: { latex: 't', siunitx: '\\tonne', name: 'tonne', prefixes: false },
+    eV: { latex: 'eV', siunitx: '\\electronvolt', name: 'electronvolt' },
+    bar: { latex: 'bar', siunitx: '\\bar', name: 'bar' },
+    min: { latex: 'min', siunitx: '\\minute', name: 'minute', prefixes: false },
+    h: { latex: 'h', siunitx: '\\hour', name: 'hour', prefixes: false },
+    d: { latex: 'd', siunitx: '\\day', name: 'day', prefixes: false },
+    '°': {
+        latex: '{}^{\\circ}',
+        siunitx: '\\degree',
+        name: 'degree',
+        prefixes: false,
+    },
+    '%': {
+        latex: '\\%',
+        siunitx: '\\percent',
+        name: 'percent',
+        plural: 'percent',
+        prefixes: false,
+    },
+};
+
+// Other ways of typing some units and prefixes, mapped to their symbol. Both
+// the micro sign and the Greek letter mu are used for micro.
+const siUnitAliases = { ohm: 'Ω', degC: '°C', deg: '°', l: 'L' };
+const siPrefixAliases = { u: 'µ', μ: 'µ' };
+
+/**
+ * Splits the text of the unit block of a Quantity, like "kg m/s^2" or
+ * "m.s^{-2}", into units. Units are separated by spaces, dots or asterisks, a /
+ * makes the unit after it a divisor, and a power is written after a ^. Each
+ * unit is an object with its text as typed, its prefix and unit (keys of
+ * siPrefixes and siUnits, with the prefix '' if it has none) and its power as a
+ * number. The prefix and unit are null if the text isn't a known unit.
+ * @param text The text of the unit block
+ */
+function parseUnits(text) {
+    const words = text
+        .replace(/\s*\/\s*/g, ' /')
+        .split(/[\s.*·]+/)
+        .filter(word => word !== '');
+    return words.map(word => {
+        const match =
+            /^(\/?)([^^/]+)(?:\^(?:\{([+-]?[0-9]+)\}|([+-]?[0-9]+)))?$/.exec(
+                word,
+            );
+        const found = match && findUnit(match[2]);
+        if (!found) return { text: word, prefix: null, unit: null, power: 1 };
+        const power = Number(match[3] ?? match[4] ?? 1);
+        return { text: word, ...found, power: match[1] ? -power : power };
+    });
+}
+
+/**
+ * Looks up a unit symbol, like "km" or "mol", which can start with a prefix.
+ * Returns the prefix and unit, as in parseUnits(), or null if the symbol isn't
+ * a known unit.
+ * @param symbol The unit symbol
+ */
+function findUnit(symbol) {
+    symbol = siUnitAliases[symbol] ?? symbol;
+    // A symbol that is a unit on its own, like cd or Pa, isn't read as a prefix
+    // and a unit
+    if (symbol in siUnits) return { prefix: '', unit: symbol };
+    for (let prefix of [
+        ...Object.keys(siPrefixes),
+        ...Object.keys(siPrefixAliases),
+    ]) {
+        if (!symbol.startsWith(prefix)) continue;
+        const unit =
+            siUnitAliases[symbol.slice(prefix.length)] ??
+            symbol.slice(prefix.length);
+        if (unit in siUnits && siUnits[unit].prefixes !== false) {
+            return { prefix: siPrefixAliases[prefix] ?? prefix, unit };
+        }
+    }
+    return null;
+}
+
+/**
+ * Generates the siunitx macros for a unit returned by parseUnits(), like
+ * \per\kilo\meter\squared. Unknown units are written as typed, which siunitx
+ * reads as a literal unit.
+ * @param unit The unit
+ */
+function unitToSiunitx(unit) {
+    if (unit.unit === null) return unit.text;
+    const power = Math.abs(unit.power);
+    const prefix = siPrefixes[unit.prefix]?.siunitx ?? '';
+    let siunitx = `${unit.power < 0 ? '\\per' : ''}${prefix}${siUnits[unit.unit].siunitx}`;
+    if (power === 2) siunitx += '\\squared';
+    else if (power === 3) siunitx += '\\cubed';
+    else if (power !== 1) siunitx += `\\tothe{${power}}`;
+    return siunitx;
+}
+
+/**
+ * Generates the LaTeX shown in the editor, or in the preview of an equation
+ * input. MathJax has to be able to render it, so each Quantity is swapped for a
+ * symbol holding its preview LaTeX (see Quantity.toPreviewLatex()) while the
+ * LaTeX is generated, the way the cursor swaps in a FrameBox, and is put back
+ * afterwards.
+ * @param expression The Expression to generate LaTeX for
+ */
+function generatePreviewLatex(expression) {
+    const swaps = [];
+    const findQuantities = children => {
+        children.forEach((child, index) => {
+            if (!(child instanceof Component)) return;
+            if (child instanceof Quantity)
+                swaps.push({ children, index, quantity: child });
+            else child.blocks.forEach(findInBlock);
+        });
+    };
+    // The block the cursor is in is wrapped in a FrameBox in place of the block
+    const findInBlock = block =>
+        block instanceof Block
+            ? findQuantities(block.children)
+            : block.blocks.forEach(findInBlock);
+    findQuantities(expression.components);
+    for (let { children, index, quantity } of swaps) {
+        children[index] = new MJXGUISymbol(
+            quantity.parent,
+            quantity.toPreviewLatex(),
+        );
+    }
+    try {
+        return expression.toLatex();
+    } finally {
+        for (let { children, index, quantity } of swaps)
+            children[index] = quantity;
+    }
+}
+
 /**
  * @class
  * Thin wrapper around the Component class that collects all the components together in an Expression
  * that can be easily rendered and converted to LaTeX.
-**/
+ **/
 class Expression {
     constructor(nestingDepth = 0) {
         this.components = [];
@@ -18,7 +1012,7 @@ class Expression {
         this.components.splice(position, 0, component);
     }
 
-    remove(position = this.components.length-1) {
+    remove(position = this.components.length - 1) {
         // Remove the component at position in this Expression.
         // Defaults to removing the last component in this Expression
         this.components.splice(position, 1);
@@ -32,12 +1026,143 @@ class Expression {
         }
         return latex.trim();
     }
+
+    toMathML() {
+        // Generate presentation MathML from the components in this Expression
+        const namespace = 'http://www.w3.org/1998/Math/MathML';
+        const content = sequenceToMathML(this.components);
+        return `<math xmlns="${namespace}" display="block"><mrow>${content}</mrow></math>`;
+    }
+
+    toAsciiMath() {
+        // Generate AsciiMath from the components in this Expression
+        return sequenceToAsciiMath(this.components);
+    }
+
+    toUnicode() {
+        // Generate a plain text, linear format of the components in this
+        // Expression (similar to UnicodeMath), like x=(-b±√(b²-4ac))/2a
+        return sequenceToUnicode(this.components).trim();
+    }
+
+    evaluate(variables = {}) {
+        // Compute the numeric value of this Expression, like evaluate({ x: 2,
+        // theta: 0.5 }). Throws an EvaluationError if it can't be evaluated.
+        return new Evaluator(this, variables).evaluate();
+    }
+
+    toSymPy() {
+        // Generate a SymPy expression as Python code, like (x + 1)/(2). Throws
+        // a SymPyExportError if part of this Expression can't be converted.
+        return expressionToSymPy(this);
+    }
+
+    depthFirst() {
+        // Iterate over every component in this Expression, each one before the
+        // components inside it. Yields objects with the component, its path
+        // (like [2, 'blocks', 1, 3]) and its depth.
+        return depthFirstComponents(this);
+    }
+
+    breadthFirst() {
+        // Iterate over every component in this Expression, level by level.
+        // Yields the same objects as depthFirst().
+        return breadthFirstComponents(this);
+    }
+
+    visit(visitor) {
+        // Call the enter() and leave() hooks of visitor for every component,
+        // like visit({ Fraction: { enter(component, path) {}, leave(component,
+        // path) {} } })
+        visitExpression(this, visitor);
+    }
+
+    getAt(path) {
+        // Return the component, block or string at path, like [2, 'blocks', 1,
+        // 3], or undefined if there is none
+        return getAtPath(this, path);
+    }
+
+    replaceAt(path, node) {
+        // Replace the component, block or string at path with node and return
+        // the replaced one
+        return replaceAtPath(this, path, node);
+    }
+
+    findAll(query) {
+        // Return every component matching query, which is a component class
+        // like Fraction, a type name or a function that is passed each
+        // component and its path
+        return findComponents(this, query);
+    }
+
+    find(query) {
+        // Return the first component matching query (see findAll()), or null if
+        // there is none
+        return findComponents(this, query)[0] ?? null;
+    }
+
+    pathOf(component) {
+        // Return the path of a component in this Expression, or null if it
+        // isn't in this Expression
+        return componentPath(this, component);
+    }
+
+    variables() {
+        // Return the names of the distinct variables in this Expression, like
+        // ['x', 'alpha', 'x_1']. Variables bound by an operator, like the i of
+        // a sum, and Euler's number aren't included.
+        return [...freeIdentifiers(new SemanticParser(this).parse())];
+    }
+
+    equals(other, options = {}) {
+        // Return true if other has the same structure as this Expression. Pass
+        // { ignoreWhitespace: true } to leave out the symbols that only add
+        // space, like the \:\: inserted by the space key.
+        return expressionsEqual(this, other, options);
+    }
+
+    diff(other, options = {}) {
+        // List the components inserted, removed and changed going from this
+        // Expression to other, with their paths. Takes the same options as
+        // equals().
+        return diffExpressions(this, other, options);
+    }
+
+    toJSON() {
+        // Generate a JSON-serializable object describing the full structure of
+        // this Expression. Called automatically by JSON.stringify
+        return {
+            version: expressionJSONVersion,
+            nestingDepth: this.nestingDepth,
+            components: this.components.map(c => c.toJSON()),
+        };
+    }
+
+    static fromJSON(json) {
+        // Rebuild an Expression from the output of toJSON(), either as an
+        // object or as a JSON string
+        if (typeof json === 'string') json = JSON.parse(json);
+        if (!json || !Array.isArray(json.components)) {
+            throw new Error('Invalid expression JSON');
+        }
+        if (json.version > expressionJSONVersion) {
+            throw new Error(
+                `Unsupported expression JSON version ${json.version}`,
+            );
+        }
+        const expression = new Expression(json.nestingDepth || 0);
+        for (let c of json.components) {
+            expression.add(Component.fromJSON(c, null));
+        }
+        return expression;
+    }
 }
 
 /**
  * @class
- * Represents a block. A fundamental unit of the Expression. 
- * 
+ * Represents a block. A fundamental unit of the Expression.
+ *
  * All data is ultimately stored in
  * a Block. A Component or any child class of Component has a fixed number of Blocks in it, and a Block can
  * have a variable number of 'children'. An element in a Block's children array can either be a string
@@ -60,32 +1185,65 @@ class Block {
         for (let c of this.children) {
             if (typeof c === 'string') {
                 latex += c;
-            }
-            else {
+            } else {
                 latex += c.toLatex() + ' ';
             }
         }
         return latex.trim();
     }
 
+    toMathML() {
+        // Generate presentation MathML from the contents of this block, wrapped
+        // in an <mrow>
+        return `<mrow>${sequenceToMathML(this.children)}</mrow>`;
+    }
+
+    toAsciiMath() {
+        return sequenceToAsciiMath(this.children);
+    }
+
+    toUnicode() {
+        return sequenceToUnicode(this.children);
+    }
+
     addChild(component, position = this.children.length) {
         // Setter method to add some component to this block at position. Component can be any child class of Component.
         // Defaults to adding the component at the end.
         this.children.splice(position, 0, component);
     }
 
-    removeChild(position = this.children.length-1) {
+    removeChild(position = this.children.length - 1) {
         // Remove some component from this block.
         // Defaults to removing the last component.
         this.children.splice(position, 1);
     }
+
+    toJSON() {
+        return {
+            children: this.children.map(c =>
+                typeof c === 'string' ? c : c.toJSON(),
+            ),
+        };
+    }
+
+    static fromJSON(json, parent) {
+        // Rebuild a Block from the output of toJSON(), setting the parent
+        // pointers of the block and of every component inside it
+        const block = new Block(parent);
+        for (let c of json.children) {
+            block.addChild(
+                typeof c === 'string' ? c : Component.fromJSON(c, block),
+            );
+        }
+        return block;
+    }
 }
 
 /**
  * @class
  * Base class representing a Component of the equation. Inherited by the TextComponent, all *Symbol,
  * and all *Function classes. All child classes of Component override the toLatex method
- * to customize the LaTeX generated. You can define your own child classes to add support for 
+ * to customize the LaTeX generated. You can define your own child classes to add support for
  * LaTeX syntax not yet supported.
  */
 class Component {
@@ -102,6 +1260,24 @@ class Component {
         return '';
     }
 
+    toMathML() {
+        // Components that don't know how to generate MathML embed their LaTeX
+        // instead
+        return latexAnnotationMathML(this);
+    }
+
+    toAsciiMath() {
+        // Components that don't know how to generate AsciiMath are written as
+        // quoted LaTeX
+        return `"${this.toLatex()}"`;
+    }
+
+    toUnicode() {
+        // Components that don't know how to generate the linear format are
+        // written as their LaTeX
+        return this.toLatex();
+    }
+
     addBlock(block, position) {
         this.blocks.splice(position, 0, block);
     }
@@ -117,14 +1293,52 @@ class Component {
         }
         return true;
     }
-}
 
+    toJSON() {
+        const json = { type: getComponentType(this.constructor) };
+        if (this.latexData !== undefined) json.latexData = this.latexData;
+        json.blocks = this.blocks.map(b => b.toJSON());
+        return json;
+    }
+
+    restoreJSON(json) {
+        // Restore the state a subclass adds in its toJSON(). Saved equations
+        // can come from users, so each subclass checks its own fields and only
+        // sets those, instead of everything found in the JSON.
+    }
+
+    static fromJSON(json, parent = null) {
+        // Rebuild a component from the output of toJSON(). The component's
+        // class is looked up in componentRegistry using the type recorded in
+        // the JSON.
+        const componentClass = Object.prototype.hasOwnProperty.call(
+            componentRegistry,
+            json.type,
+        )
+            ? componentRegistry[json.type]
+            : undefined;
+        if (componentClass === undefined) {
+            throw new Error(`Unknown component type "${json.type}"`);
+        }
+        // Not every component class takes the same constructor arguments, so we
+        // set the parent, LaTeX data and blocks ourselves after creating the
+        // component. Any other state a subclass adds in its toJSON(), like the
+        // number of columns of a Matrix, is restored by restoreJSON().
+        const component = new componentClass(parent, json.latexData);
+        component.parent = parent;
+        component.restoreJSON(json);
+        component.blocks = (json.blocks || []).map(b =>
+            Block.fromJSON(b, component),
+        );
+        return component;
+    }
+}
 
 /**
  * @class
  * A component with one block
  */
- class OneBlockComponent extends Component {
+class OneBlockComponent extends Component {
     constructor(parent) {
         let b1 = new Block();
         super([b1], parent);
@@ -132,7 +1346,6 @@ class Component {
     }
 }
 
-
 /**
  * @class
  * A component with two blocks
@@ -147,7 +1360,6 @@ class TwoBlockComponent extends Component {
     }
 }
 
-
 /**
  * @class
  * A component with three blocks. We could further subclass ThreeBlockComponent to define a class that
@@ -166,7 +1378,6 @@ class ThreeBlockComponent extends Component {
     }
 }
 
-
 /**
  * @class
  * A template three block component that contains three blocks and uses the same LaTeX template.
@@ -183,8 +1394,33 @@ class TemplateThreeBlockComponent extends ThreeBlockComponent {
     toLatex() {
         return `\\${this.latexData}_{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}{${this.blocks[2].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        const operator =
+            largeOperatorUnicodeMap[this.latexData] || this.latexData;
+        const [lower, upper, body] = this.blocks.map(block => block.toMathML());
+        const limits = `<mo>${escapeXML(operator)}</mo>${lower}${upper}`;
+        return `<mrow><munderover>${limits}</munderover>${body}</mrow>`;
+    }
+
+    toAsciiMath() {
+        let asciimath =
+            largeOperatorAsciiMathMap[this.latexData] || this.latexData;
+        if (this.blocks[0].children.length)
+            asciimath += `_(${this.blocks[0].toAsciiMath()})`;
+        if (this.blocks[1].children.length)
+            asciimath += `^(${this.blocks[1].toAsciiMath()})`;
+        return `${asciimath} ${blockToAsciiMathGroup(this.blocks[2])}`;
+    }
+
+    toUnicode() {
+        let unicode =
+            largeOperatorUnicodeMap[this.latexData] || `\\${this.latexData}`;
+        unicode += scriptToUnicode(this.blocks[0], unicodeSubscriptMap, '_');
+        unicode += scriptToUnicode(this.blocks[1], unicodeSuperscriptMap, '^');
+        return `${unicode} ${blockToUnicodeBody(this.blocks[2])}`;
+    }
+}
 
 /**
  * @class
@@ -202,8 +1438,35 @@ class TrigonometricTwoBlockComponent extends TwoBlockComponent {
     toLatex() {
         return `\\${this.latexData}^{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        // U+2061 is the invisible function application operator
+        let func = `<mi>${escapeXML(this.latexData)}</mi>`;
+        if (this.blocks[0].children.length)
+            func = `<msup>${func}${this.blocks[0].toMathML()}</msup>`;
+        return `<mrow>${func}<mo>&#x2061;</mo>${this.blocks[1].toMathML()}</mrow>`;
+    }
+
+    toAsciiMath() {
+        let asciimath = this.latexData;
+        if (this.blocks[0].children.length)
+            asciimath += `^(${this.blocks[0].toAsciiMath()})`;
+        return `${asciimath}(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // A single variable doesn't need parentheses, like sin²θ or sin x
+        const exponent = scriptToUnicode(
+            this.blocks[0],
+            unicodeSuperscriptMap,
+            '^',
+        );
+        const argument = blockToUnicodeOperand(this.blocks[1], true);
+        if (exponent === '' && !argument.startsWith('('))
+            return `${this.latexData} ${argument}`;
+        return this.latexData + exponent + argument;
+    }
+}
 
 /**
  * @class
@@ -220,8 +1483,19 @@ class TextComponent extends Component {
     toLatex() {
         return this.blocks[0].toLatex();
     }
-}
 
+    toMathML() {
+        return sequenceToMathML(this.blocks[0].children);
+    }
+
+    toAsciiMath() {
+        return this.blocks[0].toAsciiMath();
+    }
+
+    toUnicode() {
+        return this.blocks[0].toUnicode();
+    }
+}
 
 /**
  * @class
@@ -237,8 +1511,27 @@ class MJXGUISymbol extends Component {
     toLatex() {
         return this.latexData;
     }
-}
 
+    toMathML() {
+        const char = symbolLatexToUnicode(this.latexData);
+        if (char === null) return latexAnnotationMathML(this);
+        if (char === ' ') return '<mspace width="0.5em"></mspace>';
+        // Letters and letter-like symbols are identifiers, everything else is
+        // an operator
+        if (isLetterLike(char)) return `<mi>${char}</mi>`;
+        return `<mo>${escapeXML(char)}</mo>`;
+    }
+
+    toAsciiMath() {
+        const asciimath = symbolLatexToAsciiMath(this.latexData);
+        return asciimath === null ? `"${this.latexData}"` : asciimath;
+    }
+
+    toUnicode() {
+        const char = symbolLatexToUnicode(this.latexData);
+        return char === null ? this.latexData : char;
+    }
+}
 
 /**
  * @class
@@ -248,8 +1541,20 @@ class FrameBox extends OneBlockComponent {
     toLatex() {
         return `\\boxed{${this.blocks[0].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<menclose notation="box">${this.blocks[0].toMathML()}</menclose>`;
+    }
+
+    toAsciiMath() {
+        // AsciiMath has no framebox, so only the content is kept
+        return `{:${this.blocks[0].toAsciiMath()}:}`;
+    }
+
+    toUnicode() {
+        return `▭(${this.blocks[0].toUnicode()})`;
+    }
+}
 
 /**
  * @class
@@ -259,8 +1564,25 @@ class Limit extends TwoBlockComponent {
     toLatex() {
         return `\\lim_{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        const [approach, body] = this.blocks.map(block => block.toMathML());
+        return `<mrow><munder><mo>lim</mo>${approach}</munder>${body}</mrow>`;
+    }
+
+    toAsciiMath() {
+        return `lim_(${this.blocks[0].toAsciiMath()}) ${blockToAsciiMathGroup(this.blocks[1])}`;
+    }
+
+    toUnicode() {
+        const approach = scriptToUnicode(
+            this.blocks[0],
+            unicodeSubscriptMap,
+            '_',
+        );
+        return `lim${approach} ${blockToUnicodeBody(this.blocks[1])}`;
+    }
+}
 
 /**
  * @class
@@ -270,8 +1592,19 @@ class Fraction extends TwoBlockComponent {
     toLatex() {
         return `\\frac{${this.blocks[0].toLatex()}}{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<mfrac>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</mfrac>`;
+    }
+
+    toAsciiMath() {
+        return `(${this.blocks[0].toAsciiMath()})/(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return `${blockToUnicodeOperand(this.blocks[0])}/${blockToUnicodeOperand(this.blocks[1])}`;
+    }
+}
 
 /**
  * @class
@@ -281,8 +1614,22 @@ class Subscript extends TwoBlockComponent {
     toLatex() {
         return `{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<msub>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</msub>`;
+    }
+
+    toAsciiMath() {
+        return `${blockToAsciiMathGroup(this.blocks[0])}_(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            scriptToUnicode(this.blocks[1], unicodeSubscriptMap, '_')
+        );
+    }
+}
 
 /**
  * @class
@@ -293,8 +1640,22 @@ class Superscript extends TwoBlockComponent {
     toLatex() {
         return `{${this.blocks[0].toLatex()}}^{${this.blocks[1].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<msup>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</msup>`;
+    }
+
+    toAsciiMath() {
+        return `${blockToAsciiMathGroup(this.blocks[0])}^(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            scriptToUnicode(this.blocks[1], unicodeSuperscriptMap, '^')
+        );
+    }
+}
 
 /**
  * @class
@@ -304,8 +1665,28 @@ class SubSupRight extends ThreeBlockComponent {
     toLatex() {
         return `{${this.blocks[0].toLatex()}}_{${this.blocks[1].toLatex()}}^{${this.blocks[2].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        const [base, sub, sup] = this.blocks.map(block => block.toMathML());
+        return `<msubsup>${base}${sub}${sup}</msubsup>`;
+    }
+
+    toAsciiMath() {
+        const base = blockToAsciiMathGroup(this.blocks[0]);
+        const [sub, sup] = [this.blocks[1], this.blocks[2]].map(block =>
+            block.toAsciiMath(),
+        );
+        return `${base}_(${sub})^(${sup})`;
+    }
+
+    toUnicode() {
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            scriptToUnicode(this.blocks[1], unicodeSubscriptMap, '_') +
+            scriptToUnicode(this.blocks[2], unicodeSuperscriptMap, '^')
+        );
+    }
+}
 
 /**
  * @class
@@ -315,8 +1696,19 @@ class Sqrt extends OneBlockComponent {
     toLatex() {
         return `\\sqrt{${this.blocks[0].toLatex()}}`;
     }
-}
 
+    toMathML() {
+        return `<msqrt>${this.blocks[0].toMathML()}</msqrt>`;
+    }
+
+    toAsciiMath() {
+        return `sqrt(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return `√${blockToUnicodeOperand(this.blocks[0], true)}`;
+    }
+}
 
 /**
  * @class
@@ -326,4 +1718,1207 @@ class NthRoot extends TwoBlockComponent {
     toLatex() {
         return `\\sqrt[${this.blocks[0].toLatex()}]{${this.blocks[1].toLatex()}}`;
     }
-}
\ No newline at end of file
+
+    toMathML() {
+        // The index comes second in an <mroot>
+        return `<mroot>${this.blocks[1].toMathML()}${this.blocks[0].toMathML()}</mroot>`;
+    }
+
+    toAsciiMath() {
+        return `root(${this.blocks[0].toAsciiMath()})(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // Cube and fourth roots have their own characters, other roots are
+        // written as √(n&x)
+        const index = this.blocks[0].toUnicode();
+        const radicand = blockToUnicodeOperand(this.blocks[1], true);
+        if (index === '3') return `∛${radicand}`;
+        if (index === '4') return `∜${radicand}`;
+        return `√(${index}&${this.blocks[1].toUnicode()})`;
+    }
+}
+
+/**
+ * @class
+ * A matrix, like \begin{pmatrix} a & b \\ c & d \end{pmatrix}. The blocks are
+ * the cells of the matrix stored row by row, so the cell at row i and column j
+ * is blocks[i * columns + j]. Storing the cells in reading order means the
+ * Cursor moves through the matrix cell by cell without knowing about it.
+ * latexData is the LaTeX environment, which sets the brackets around the matrix
+ * (see matrixDelimiters).
+ */
+class Matrix extends Component {
+    constructor(parent, latexData = 'pmatrix', rows = 2, columns = 2) {
+        super([], parent);
+        this.latexData = latexData;
+        this.columns = columns;
+        for (let i = 0; i < rows * columns; i++)
+            this.blocks.push(new Block(this));
+    }
+
+    get rows() {
+        return this.blocks.length / this.columns;
+    }
+
+    get fixedColumns() {
+        // Subclasses whose columns have a meaning, like the value and condition
+        // of Cases, return true. Their columns can't be added or removed in the
+        // editor, and their empty last row is removed by Backspace.
+        return false;
+    }
+
+    getRows() {
+        // Returns an array with the blocks of each row
+        const rows = [];
+        for (let i = 0; i < this.blocks.length; i += this.columns) {
+            rows.push(this.blocks.slice(i, i + this.columns));
+        }
+        return rows;
+    }
+
+    cellOf(block) {
+        // Returns the row and column of a block of the matrix
+        const index = this.blocks.indexOf(block);
+        return {
+            row: Math.floor(index / this.columns),
+            column: index % this.columns,
+        };
+    }
+
+    insertRow(row) {
+        // Insert an empty row so that it becomes row number row
+        for (let j = 0; j < this.columns; j++)
+            this.addBlock(new Block(this), row * this.columns);
+    }
+
+    removeRow(row) {
+        this.blocks.splice(row * this.columns, this.columns);
+    }
+
+    insertColumn(column) {
+        // Insert an empty column so that it becomes column number column. Rows
+        // are updated from the last one so that the indices of the rows not
+        // updated yet don't change.
+        for (let i = this.rows - 1; i >= 0; i--)
+            this.addBlock(new Block(this), i * this.columns + column);
+        this.columns++;
+    }
+
+    removeColumn(column) {
+        for (let i = this.rows - 1; i >= 0; i--)
+            this.removeBlock(i * this.columns + column);
+        this.columns--;
+    }
+
+    toLatex() {
+        const rows = this.getRows().map(row =>
+            row.map(b => b.toLatex()).join(' & '),
+        );
+        return `\\begin{${this.latexData}} ${rows.join(' \\\\ ')} \\end{${this.latexData}}`;
+    }
+
+    toMathML() {
+        const [open, close] = matrixDelimiters[this.latexData] || ['', ''];
+        const rows = this.getRows().map(
+            row =>
+                `<mtr>${row.map(b => `<mtd>${b.toMathML()}</mtd>`).join('')}</mtr>`,
+        );
+        const table = `<mtable>${rows.join('')}</mtable>`;
+        if (open === '') return table;
+        return `<mrow><mo>${open}</mo>${table}<mo>${close}</mo></mrow>`;
+    }
+
+    toAsciiMath() {
+        // Like ((a,b),(c,d)) for a pmatrix. Rows of a bmatrix use brackets,
+        // like [[a,b],[c,d]], and a matrix without delimiters uses the
+        // invisible brackets {: and :} around rows in brackets, like
+        // {:[a,b],[c,d]:}, so that it isn't read back as AlignedLines
+        const [open, close] =
+            this.latexData === 'matrix'
+                ? ['{:', ':}']
+                : matrixDelimiters[this.latexData] || ['(', ')'];
+        const [rowOpen, rowClose] = ['bmatrix', 'matrix'].includes(
+            this.latexData,
+        )
+            ? ['[', ']']
+            : ['(', ')'];
+        const rows = this.getRows().map(
+            row => rowOpen + row.map(b => b.toAsciiMath()).join(',') + rowClose,
+        );
+        return `${open}${rows.join(',')}${close}`;
+    }
+
+    toUnicode() {
+        // Like (■(a&b@c&d)), cells are separated by & and rows by @
+        const [open, close] = matrixDelimiters[this.latexData] || ['', ''];
+        const rows = this.getRows().map(row =>
+            row.map(b => b.toUnicode()).join('&'),
+        );
+        return `${open}■(${rows.join('@')})${close}`;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), columns: this.columns };
+    }
+
+    restoreJSON(json) {
+        const cells = (json.blocks || []).length;
+        if (
+            !Number.isInteger(json.columns) ||
+            json.columns < 1 ||
+            cells % json.columns !== 0
+        ) {
+            throw new Error(
+                `Invalid number of columns "${json.columns}" for a matrix of ${cells} cells`,
+            );
+        }
+        this.columns = json.columns;
+    }
+}
+
+/**
+ * @class
+ * A piecewise function, like \begin{cases} x & x \geq 0 \\ -x & x < 0
+ * \end{cases}. It is a Matrix with two columns, each row has a value block
+ * followed by a condition block.
+ */
+class Cases extends Matrix {
+    constructor(parent, latexData = 'cases', rows = 2) {
+        super(parent, latexData, rows, 2);
+    }
+
+    get fixedColumns() {
+        return true;
+    }
+
+    toMathML() {
+        const rows = this.getRows().map(
+            row =>
+                `<mtr>${row.map(b => `<mtd>${b.toMathML()}</mtd>`).join('')}</mtr>`,
+        );
+        return `<mrow><mo>{</mo><mtable columnalign="left left">${rows.join('')}</mtable></mrow>`;
+    }
+
+    toAsciiMath() {
+        const rows = this.getRows().map(
+            ([value, condition]) =>
+                `(${value.toAsciiMath()},${condition.toAsciiMath()})`,
+        );
+        return `{${rows.join(',')}:}`;
+    }
+
+    toUnicode() {
+        const rows = this.getRows().map(
+            ([value, condition]) =>
+                `${value.toUnicode()}&${condition.toUnicode()}`,
+        );
+        return `{■(${rows.join('@')})`;
+    }
+}
+
+/**
+ * @class
+ * Several lines of equations, generated as an aligned or gathered environment.
+ * In an aligned environment (latexData is "aligned") every line has two blocks,
+ * the parts before and after the alignment marker &, like \begin{aligned} x & =
+ * 1 + 1 \\ & = 2 \end{aligned}. In a gathered environment every line is a
+ * single centered block.
+ */
+class AlignedLines extends Matrix {
+    constructor(parent, latexData = 'aligned', rows = 1) {
+        super(parent, latexData, rows, latexData === 'gathered' ? 1 : 2);
+    }
+
+    get fixedColumns() {
+        return true;
+    }
+
+    toMathML() {
+        const align = this.columns === 1 ? 'center' : 'right left';
+        const rows = this.getRows().map(
+            row =>
+                `<mtr>${row.map(b => `<mtd>${b.toMathML()}</mtd>`).join('')}</mtr>`,
+        );
+        return `<mtable columnalign="${align}">${rows.join('')}</mtable>`;
+    }
+
+    toAsciiMath() {
+        const rows = this.getRows().map(
+            row => `(${row.map(b => b.toAsciiMath()).join(',')})`,
+        );
+        return `{:${rows.join(',')}:}`;
+    }
+
+    toUnicode() {
+        // Like █(x&=1+1@&=2), the equation array of the linear format
+        const rows = this.getRows().map(row =>
+            row.map(b => b.toUnicode()).join('&'),
+        );
+        return `█(${rows.join('@')})`;
+    }
+}
+
+/**
+ * @class
+ * Delimiters that grow with their content, generated as \left( ... \right).
+ * left and right are the LaTeX of the delimiters, like "(", "\langle" or "."
+ * for an invisible delimiter (see delimiterKinds), and can be changed after the
+ * component is inserted using setDelimiters().
+ */
+class Delimited extends OneBlockComponent {
+    constructor(parent, left = '(', right = null) {
+        super(parent);
+        this.setDelimiters(left, right);
+    }
+
+    setDelimiters(left, right = null) {
+        // Without a right delimiter, the one matching the left delimiter is
+        // used, like ) for (
+        const kind = Object.values(delimiterKinds).find(
+            pair => pair[0] === left,
+        );
+        this.left = left;
+        this.right = right ?? (kind ? kind[1] : left);
+    }
+
+    get kind() {
+        // The name of the kind of delimiters in delimiterKinds, like
+        // "parentheses", or null for a mismatched pair
+        const kind = Object.keys(delimiterKinds).find(
+            name =>
+                delimiterKinds[name][0] === this.left &&
+                delimiterKinds[name][1] === this.right,
+        );
+        return kind === undefined ? null : kind;
+    }
+
+    toLatex() {
+        return `\\left${this.left} ${this.blocks[0].toLatex()} \\right${this.right}`;
+    }
+
+    toMathML() {
+        const fence = delimiter => {
+            if (delimiter === '.') return '';
+            const char = escapeXML(delimiterUnicodeMap[delimiter] ?? delimiter);
+            return `<mo fence="true" stretchy="true">${char}</mo>`;
+        };
+        return `<mrow>${fence(this.left)}${this.blocks[0].toMathML()}${fence(this.right)}</mrow>`;
+    }
+
+    toAsciiMath() {
+        const left =
+            { '.': '{:', '|': '|:' }[this.left] ??
+            delimiterAsciiMathMap[this.left] ??
+            `"${this.left}"`;
+        const right =
+            { '.': ':}', '|': ':|' }[this.right] ??
+            delimiterAsciiMathMap[this.right] ??
+            `"${this.right}"`;
+        return `${left}${this.blocks[0].toAsciiMath()}${right}`;
+    }
+
+    toUnicode() {
+        const char = delimiter => delimiterUnicodeMap[delimiter] ?? delimiter;
+        return `${char(this.left)}${this.blocks[0].toUnicode()}${char(this.right)}`;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), left: this.left, right: this.right };
+    }
+
+    restoreJSON(json) {
+        for (let delimiter of [json.left, json.right]) {
+            if (
+                typeof delimiter !== 'string' ||
+                !/^(?:[^\\a-zA-Z{}\s]|\\(?:[a-zA-Z]+|[^a-zA-Z]))$/.test(
+                    delimiter,
+                )
+            ) {
+                throw new Error(`Invalid delimiter "${delimiter}"`);
+            }
+        }
+        this.setDelimiters(json.left, json.right);
+    }
+}
+
+/**
+ * @class
+ * An accent over a block, like \hat{x} or \overrightarrow{AB}. latexData is the
+ * name of the accent, one of the keys of accentMap.
+ */
+class Accent extends OneBlockComponent {
+    constructor(parent, latexData = 'hat') {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    toLatex() {
+        return `\\${this.latexData}{${this.blocks[0].toLatex()}}`;
+    }
+
+    toMathML() {
+        const accent = accentMap[this.latexData];
+        const stretchy = accent.stretchy ? 'true' : 'false';
+        const mark = `<mo stretchy="${stretchy}">${accent.mathML}</mo>`;
+        return `<mover accent="true">${this.blocks[0].toMathML()}${mark}</mover>`;
+    }
+
+    toAsciiMath() {
+        return `${accentMap[this.latexData].asciiMath}(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // The combining character follows the character, or the parenthesized
+        // group, it is drawn over
+        return (
+            blockToUnicodeOperand(this.blocks[0], true) +
+            accentMap[this.latexData].unicode
+        );
+    }
+}
+
+/**
+ * @class
+ * Upright text inside an equation, like the "if" of a piecewise function,
+ * generated as \text{...}. Its block holds a TextComponent for each character,
+ * including spaces, and the characters LaTeX treats specially are escaped when
+ * the LaTeX is generated. Any other component in the block is written as inline
+ * math.
+ */
+class TextRun extends OneBlockComponent {
+    get text() {
+        // The text without any of the components inside it
+        return textRunPieces(this.blocks[0])
+            .filter(piece => typeof piece === 'string')
+            .join('');
+    }
+
+    toLatex() {
+        // While the cursor is inside the text, the editor puts its block in a
+        // FrameBox. The box is drawn around the whole \text{}, since it can't
+        // be drawn inside text.
+        if (this.blocks[0] instanceof FrameBox) {
+            return `\\boxed{${this.textToLatex(this.blocks[0].blocks[0])}}`;
+        }
+        return this.textToLatex(this.blocks[0]);
+    }
+
+    textToLatex(block) {
+        const latex = textRunPieces(block).map(piece =>
+            typeof piece === 'string'
+                ? escapeTextMode(piece)
+                : `$${piece.toLatex()}$`,
+        );
+        return `\\text{${latex.join('')}}`;
+    }
+
+    toMathML() {
+        // Spaces at the start or end of an mtext are collapsed, so they are
+        // written as non-breaking spaces
+        const mathml = textRunPieces(this.blocks[0]).map(piece =>
+            typeof piece === 'string'
+                ? `<mtext>${escapeXML(piece.replace(/ /g, '\u00A0'))}</mtext>`
+                : piece.toMathML(),
+        );
+        return `<mrow>${mathml.join('')}</mrow>`;
+    }
+
+    toAsciiMath() {
+        return textRunPieces(this.blocks[0])
+            .map(piece =>
+                typeof piece === 'string' ? `"${piece}"` : piece.toAsciiMath(),
+            )
+            .join(' ');
+    }
+
+    toUnicode() {
+        return textRunPieces(this.blocks[0])
+            .map(piece =>
+                typeof piece === 'string' ? `"${piece}"` : piece.toUnicode(),
+            )
+            .join('');
+    }
+}
+
+/**
+ * @class
+ * A block in a math font style, like \mathbb{R} or \mathrm{d}. latexData is the
+ * name of the style, one of the keys of fontStyleMap. Styles can be nested,
+ * like \mathbf{\mathcal{L}}.
+ */
+class FontStyle extends OneBlockComponent {
+    constructor(parent, latexData = 'mathbf') {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    toLatex() {
+        return `\\${this.latexData}{${this.blocks[0].toLatex()}}`;
+    }
+
+    toMathML() {
+        const variant = fontStyleMap[this.latexData].mathvariant;
+        return `<mstyle mathvariant="${variant}">${this.blocks[0].toMathML()}</mstyle>`;
+    }
+
+    toAsciiMath() {
+        return `${fontStyleMap[this.latexData].asciiMath}(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        return styleToUnicode(this.blocks[0].toUnicode(), this.latexData);
+    }
+}
+
+/**
+ * @class
+ * A block with a label above or below it, like a brace with a caption.
+ * blocks[0] is the main block and blocks[1] the label. latexData is the name of
+ * the command, which tells where the label goes.
+ */
+class LabeledComponent extends TwoBlockComponent {
+    constructor(parent, latexData) {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    get labelAbove() {
+        return this.latexData.startsWith('over');
+    }
+}
+
+/**
+ * @class
+ * A horizontal brace over or under a block with an optional label, like
+ * \underbrace{a+b}_{\text{n terms}}. latexData is "overbrace" or "underbrace".
+ */
+class Brace extends LabeledComponent {
+    constructor(parent, latexData = 'underbrace') {
+        super(parent, latexData);
+    }
+
+    toLatex() {
+        // The label is left out when it is empty
+        const brace = `\\${this.latexData}{${this.blocks[0].toLatex()}}`;
+        const label = this.blocks[1].toLatex();
+        if (label === '') return brace;
+        return `${brace}${this.labelAbove ? '^' : '_'}{${label}}`;
+    }
+
+    toMathML() {
+        const [tag, accent, brace] = this.labelAbove
+            ? ['mover', 'accent', '⏞']
+            : ['munder', 'accentunder', '⏟'];
+        const mark = `<mo stretchy="true">${brace}</mo>`;
+        const braced = `<${tag} ${accent}="true">${this.blocks[0].toMathML()}${mark}</${tag}>`;
+        if (this.blocks[1].toLatex() === '') return braced;
+        return `<${tag}>${braced}${this.blocks[1].toMathML()}</${tag}>`;
+    }
+
+    toAsciiMath() {
+        const brace = `${this.labelAbove ? 'obrace' : 'ubrace'}(${this.blocks[0].toAsciiMath()})`;
+        if (this.blocks[1].toLatex() === '') return brace;
+        return `${brace}${this.labelAbove ? '^' : '_'}(${this.blocks[1].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        const operand = blockToUnicodeOperand(this.blocks[0], true);
+        const brace = `${this.labelAbove ? '⏞' : '⏟'}${operand}`;
+        if (this.blocks[1].toLatex() === '') return brace;
+        const label = blockToUnicodeOperand(this.blocks[1], true);
+        return `${brace}${this.labelAbove ? '^' : '_'}${label}`;
+    }
+}
+
+/**
+ * @class
+ * A block with a label stacked over or under it, like \overset{\text{def}}{=}.
+ * latexData is "overset" or "underset". The label comes first in the LaTeX, but
+ * is the second block, so that the cursor enters the main block first.
+ */
+class OverUnderSet extends LabeledComponent {
+    constructor(parent, latexData = 'overset') {
+        super(parent, latexData);
+    }
+
+    toLatex() {
+        return `\\${this.latexData}{${this.blocks[1].toLatex()}}{${this.blocks[0].toLatex()}}`;
+    }
+
+    toMathML() {
+        const tag = this.labelAbove ? 'mover' : 'munder';
+        return `<${tag}>${this.blocks[0].toMathML()}${this.blocks[1].toMathML()}</${tag}>`;
+    }
+
+    toAsciiMath() {
+        const [body, label] = this.blocks.map(block => block.toAsciiMath());
+        return `${this.latexData}(${label})(${body})`;
+    }
+
+    toUnicode() {
+        // The linear format stacks the label with ┴ (above) or ┬ (below)
+        const operator = this.labelAbove ? '┴' : '┬';
+        const label = blockToUnicodeOperand(this.blocks[1], true);
+        return `${blockToUnicodeBody(this.blocks[0])}${operator}${label}`;
+    }
+}
+
+/**
+ * @class
+ * A block drawn in a color, like {\color{red}{x}}. \color changes the color of
+ * everything after it, so the LaTeX is wrapped in braces to keep the rest of
+ * the equation in its own color. color is either the name of the color or its
+ * hexadecimal value (see colorToLatex()).
+ */
+class Colored extends OneBlockComponent {
+    constructor(parent, color = 'red') {
+        super(parent);
+        this.color = color;
+    }
+
+    toLatex() {
+        return `{\\color${colorToLatex(this.color)}{${this.blocks[0].toLatex()}}}`;
+    }
+
+    toMathML() {
+        return `<mstyle mathcolor="${escapeXML(this.color)}">${this.blocks[0].toMathML()}</mstyle>`;
+    }
+
+    toAsciiMath() {
+        return `color(${this.color})(${this.blocks[0].toAsciiMath()})`;
+    }
+
+    toUnicode() {
+        // Plain text has no colors, so only the content is kept
+        return this.blocks[0].toUnicode();
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), color: this.color };
+    }
+
+    restoreJSON(json) {
+        // The same colors as LaTeX input, see colorToLatex(). ui.js removes
+        // colors that aren't in the palette.
+        if (
+            typeof json.color !== 'string' ||
+            !/^(?:#[0-9a-fA-F]{6}|[a-zA-Z0-9!.-]+)$/.test(json.color)
+        ) {
+            throw new Error(`Invalid color "${json.color}"`);
+        }
+        this.color = json.color;
+    }
+}
+
+/**
+ * @class
+ * A block highlighted with a background color, like \colorbox{yellow}{$x$}. The
+ * argument of \colorbox is text, so the block is written as inline math inside
+ * it.
+ */
+class ColorBox extends Colored {
+    constructor(parent, color = 'yellow') {
+        super(parent, color);
+    }
+
+    toLatex() {
+        return `\\colorbox${colorToLatex(this.color)}{$${this.blocks[0].toLatex()}$}`;
+    }
+
+    toMathML() {
+        const color = escapeXML(this.color);
+        return `<mstyle mathbackground="${color}">${this.blocks[0].toMathML()}</mstyle>`;
+    }
+
+    toAsciiMath() {
+        // AsciiMath has no background colors, so only the content is kept
+        return `{:${this.blocks[0].toAsciiMath()}:}`;
+    }
+}
+
+/**
+ * @class
+ * An ordinary derivative, like \frac{d^{2}y}{dx^{2}}. blocks[0] is the function
+ * being differentiated, blocks[1] the variable and blocks[2] the order, which
+ * is left out when it is empty. Without a function, the derivative is an
+ * operator applied to whatever follows it, like \frac{d}{dx} x^{2}. Only a
+ * function that is a single letter or symbol, like the y of dy/dx, is written
+ * in the numerator. Any other function is written in parentheses after the
+ * fraction, like \frac{d}{dx}\left({x}^{2}\right), and a variable of more than
+ * one component is grouped, like d{x y}, so that the parsers read the same
+ * blocks back.
+ */
+class Derivative extends Component {
+    constructor(parent, variables = 1) {
+        super([], parent);
+        // The function, followed by a variable and an order block for each
+        // variable
+        for (let i = 0; i < 1 + 2 * variables; i++)
+            this.blocks.push(new Block(this));
+    }
+
+    get differential() {
+        return differentialSymbols.d;
+    }
+
+    get variables() {
+        // The variable and order blocks of each variable the function is
+        // differentiated with respect to
+        const variables = [];
+        for (let i = 1; i < this.blocks.length; i += 2) {
+            variables.push({
+                variable: this.blocks[i],
+                order: this.blocks[i + 1],
+            });
+        }
+        return variables;
+    }
+
+    orderTerms(serialize) {
+        // The terms of the total order of the derivative, each serialized by
+        // serialize()
+        return derivativeOrderTerms(
+            this.variables.map(({ order }) => order),
+        ).map(term =>
+            typeof term === 'number' ? String(term) : serialize(term),
+        );
+    }
+
+    isFirstOrder() {
+        const terms = this.orderTerms(block => block.toLatex());
+        return terms.length === 0 || (terms.length === 1 && terms[0] === '1');
+    }
+
+    functionIsGroup() {
+        // While the cursor is in the function, the editor puts its block in a
+        // FrameBox, which is shown in the numerator so that the derivative
+        // doesn't change shape as the function is typed
+        if (this.blocks[0] instanceof FrameBox) return false;
+        const children = this.blocks[0].children;
+        if (children.length !== 1) return children.length > 1;
+        return !(
+            children[0] instanceof MJXGUISymbol ||
+            (children[0] instanceof TextComponent &&
+                /^[a-zA-Z]$/.test(children[0].toLatex()))
+        );
+    }
+
+    variableIsGroup(variable) {
+        // A variable block of more than one component, like xy, which is
+        // grouped so that a power applies to all of it
+        return variable instanceof Block && variable.children.length > 1;
+    }
+
+    toLatex() {
+        const d = this.differential.latex;
+        // \partial needs a space before the variable that follows it, d doesn't
+        const separator = d.startsWith('\\') ? ' ' : '';
+        const numerator = this.isFirstOrder()
+            ? d
+            : `${d}^{${this.orderTerms(block => block.toLatex()).join(' + ')}}`;
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                const power = isFirstOrder(order)
+                    ? ''
+                    : `^{${order.toLatex()}}`;
+                const latex = this.variableIsGroup(variable)
+                    ? `{${variable.toLatex()}}`
+                    : variable.toLatex();
+                return `${d}${separator}${latex}${power}`;
+            })
+            .join(' ');
+        const fn = this.blocks[0].toLatex();
+        if (this.functionIsGroup())
+            return `\\frac{${numerator}}{${denominator}}\\left(${fn}\\right)`;
+        return `\\frac{${numerator}${fn === '' ? '' : ` ${fn}`}}{${denominator}}`;
+    }
+
+    toMathML() {
+        const d = this.differential.mathML;
+        const order = this.orderTerms(block => block.toMathML()).map(term =>
+            /^[0-9]+$/.test(term) ? `<mn>${term}</mn>` : term,
+        );
+        const numerator = this.isFirstOrder()
+            ? d
+            : `<msup>${d}<mrow>${order.join('<mo>+</mo>')}</mrow></msup>`;
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                if (isFirstOrder(order)) return `${d}${variable.toMathML()}`;
+                return `${d}<msup>${variable.toMathML()}${order.toMathML()}</msup>`;
+            })
+            .join('');
+        const fn = this.blocks[0].toMathML();
+        if (this.functionIsGroup()) {
+            const fraction = `<mfrac><mrow>${numerator}</mrow><mrow>${denominator}</mrow></mfrac>`;
+            return `<mrow>${fraction}<mo>(</mo>${fn}<mo>)</mo></mrow>`;
+        }
+        return `<mfrac><mrow>${numerator}${fn}</mrow><mrow>${denominator}</mrow></mfrac>`;
+    }
+
+    toAsciiMath() {
+        const d = this.differential.asciiMath;
+        const numerator = this.isFirstOrder()
+            ? d
+            : `${d}^(${this.orderTerms(block => block.toAsciiMath()).join(' + ')})`;
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                const power = isFirstOrder(order)
+                    ? ''
+                    : `^(${order.toAsciiMath()})`;
+                const name = this.variableIsGroup(variable)
+                    ? blockToAsciiMathGroup(variable)
+                    : variable.toAsciiMath();
+                return `${d} ${name}${power}`;
+            })
+            .join(' ');
+        const fn = this.blocks[0].toAsciiMath();
+        if (this.functionIsGroup())
+            return `(${numerator})/(${denominator})(${fn})`;
+        return `(${numerator}${fn === '' ? '' : ` ${fn}`})/(${denominator})`;
+    }
+
+    toUnicode() {
+        const d = this.differential.unicode;
+        let numerator = d;
+        if (!this.isFirstOrder()) {
+            // The order is written with superscript characters when it has
+            // them, like d²y/dx²
+            const order = this.orderTerms(block => block.toUnicode()).join('+');
+            const chars = [...order];
+            numerator += chars.every(char => char in unicodeSuperscriptMap)
+                ? chars.map(char => unicodeSuperscriptMap[char]).join('')
+                : `^(${order})`;
+        }
+        const denominator = this.variables
+            .map(({ variable, order }) => {
+                const power = isFirstOrder(order)
+                    ? ''
+                    : scriptToUnicode(order, unicodeSuperscriptMap, '^');
+                return `${d}${variable.toUnicode()}${power}`;
+            })
+            .join('');
+        // The operator is always separated from its operand, so that d/dx x²
+        // isn't read as d/dxx². Without a function, the derivative applies to
+        // whatever follows it.
+        const operator = `${numerator}/${denominator}`;
+        if (this.blocks[0].children.length === 0) return `${operator} `;
+        const fn = this.blocks[0].toUnicode();
+        if (this.functionIsGroup()) return `${operator} (${fn})`;
+        return `${operator} ${fn}`;
+    }
+}
+
+/**
+ * @class
+ * A partial derivative, like \frac{\partial^{3} f}{\partial x^{2} \partial y}.
+ * It has the same blocks as a Derivative, with a variable and an order block
+ * for each of its variables, so that mixed derivatives can have a different
+ * order for each variable. The order of the numerator is the sum of these
+ * orders.
+ */
+class PartialDerivative extends Derivative {
+    get differential() {
+        return differentialSymbols.partial;
+    }
+}
+
+/**
+ * @class
+ * A definite integral with separate blocks for its integrand and the variable
+ * of its differential, like \int_{a}^{b} f(x) \, dx. blocks[0] and blocks[1]
+ * are the lower and upper limits, which are left out when both are empty,
+ * blocks[2] the integrand and blocks[3] the variable of integration.
+ */
+class DefiniteIntegral extends Component {
+    constructor(parent) {
+        super([], parent);
+        for (let i = 0; i < 4; i++) this.blocks.push(new Block(this));
+    }
+
+    hasLimits() {
+        return (
+            this.blocks[0].toLatex() !== '' || this.blocks[1].toLatex() !== ''
+        );
+    }
+
+    toLatex() {
+        const [lower, upper, integrand, variable] = this.blocks.map(block =>
+            block.toLatex(),
+        );
+        const limits = this.hasLimits() ? `_{${lower}}^{${upper}}` : '';
+        return `\\int${limits} ${integrand} \\, d${variable}`;
+    }
+
+    toMathML() {
+        const [lower, upper, integrand, variable] = this.blocks.map(block =>
+            block.toMathML(),
+        );
+        const integral = this.hasLimits()
+            ? `<msubsup><mo>∫</mo>${lower}${upper}</msubsup>`
+            : '<mo>∫</mo>';
+        const differential = `<mspace width="0.167em"/><mi mathvariant="normal">d</mi>${variable}`;
+        return `<mrow>${integral}${integrand}${differential}</mrow>`;
+    }
+
+    toAsciiMath() {
+        const [lower, upper, integrand, variable] = this.blocks.map(block =>
+            block.toAsciiMath(),
+        );
+        const limits = this.hasLimits() ? `_(${lower})^(${upper})` : '';
+        return `int${limits} ${integrand} d${variable}`;
+    }
+
+    toUnicode() {
+        let integral = '∫';
+        if (this.hasLimits()) {
+            integral += scriptToUnicode(
+                this.blocks[0],
+                unicodeSubscriptMap,
+                '_',
+            );
+            integral += scriptToUnicode(
+                this.blocks[1],
+                unicodeSuperscriptMap,
+                '^',
+            );
+        }
+        return `${integral} ${this.blocks[2].toUnicode()} d${this.blocks[3].toUnicode()}`;
+    }
+}
+
+/**
+ * @class
+ * An evaluation bar, like \left. F(x) \right|_{a}^{b}, which stands for F(b) -
+ * F(a). blocks[0] is the expression being evaluated, and blocks[1] and
+ * blocks[2] the lower and upper limits. Empty limits are left out.
+ */
+class EvaluationBar extends ThreeBlockComponent {
+    toLatex() {
+        const lower = this.blocks[1].toLatex();
+        const upper = this.blocks[2].toLatex();
+        const limits =
+            (lower === '' ? '' : `_{${lower}}`) +
+            (upper === '' ? '' : `^{${upper}}`);
+        return `\\left. ${this.blocks[0].toLatex()} \\right|${limits}`;
+    }
+
+    toMathML() {
+        const [body, lower, upper] = this.blocks.map(block => block.toMathML());
+        const bar = `<mrow>${body}<mo stretchy="true">|</mo></mrow>`;
+        return `<msubsup>${bar}${lower}${upper}</msubsup>`;
+    }
+
+    toAsciiMath() {
+        // Like \left. \right| in LaTeX, the bar is the right bracket :| of a
+        // pair opened by the invisible bracket {:
+        let bar = `{:${this.blocks[0].toAsciiMath()}:|`;
+        if (this.blocks[1].toLatex() !== '')
+            bar += `_(${this.blocks[1].toAsciiMath()})`;
+        if (this.blocks[2].toLatex() !== '')
+            bar += `^(${this.blocks[2].toAsciiMath()})`;
+        return bar;
+    }
+
+    toUnicode() {
+        const lower = scriptToUnicode(this.blocks[1], unicodeSubscriptMap, '_');
+        const upper = scriptToUnicode(
+            this.blocks[2],
+            unicodeSuperscriptMap,
+            '^',
+        );
+        return `${blockToUnicodeBody(this.blocks[0])}|${lower}${upper}`;
+    }
+}
+
+/**
+ * @class
+ * A chemical equation or formula in mhchem notation, like \ce{2H2 + O2 ->
+ * 2H2O}. Its block holds the mhchem text as typed, one character per
+ * TextComponent. Reaction arrows and state symbols inserted from the toolbar
+ * are a single TextComponent each, so that they are deleted at once. mhchem
+ * draws the digits of a formula as subscripts and reads charges like Fe^3+,
+ * which the other output formats do using chemistryTokens().
+ */
+class ChemicalEquation extends OneBlockComponent {
+    get text() {
+        // The mhchem text, with the spaces around the arrows inserted from the
+        // toolbar collapsed
+        const block =
+            this.blocks[0] instanceof FrameBox
+                ? this.blocks[0].blocks[0]
+                : this.blocks[0];
+        return textRunPieces(block)
+            .map(piece => (typeof piece === 'string' ? piece : piece.toLatex()))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    toLatex() {
+        // Like TextRun, the box drawn while the cursor is inside goes around
+        // the whole \ce{}
+        if (this.blocks[0] instanceof FrameBox)
+            return `\\boxed{\\ce{${this.text}}}`;
+        return `\\ce{${this.text}}`;
+    }
+
+    toAsciiMath() {
+        // AsciiMath has no chemistry, so the mhchem text is written as a string
+        // after ce, like \ce{} in LaTeX
+        return `ce"${this.text}"`;
+    }
+
+    toMathML() {
+        const mathml = chemistryTokens(this.text).map(token => {
+            if (token.kind !== 'formula') return `<mo>${token.symbol}</mo>`;
+            return token.atoms
+                .map(atom => {
+                    let base;
+                    if (atom.kind === 'number') base = `<mn>${atom.text}</mn>`;
+                    else if (['bracket', 'dot'].includes(atom.kind))
+                        base = `<mo>${escapeXML(atom.text)}</mo>`;
+                    else if (atom.kind === 'state')
+                        base = `<mtext>${atom.text}</mtext>`;
+                    else
+                        base = `<mi mathvariant="normal">${escapeXML(atom.text)}</mi>`;
+                    const subscript = `<mn>${atom.subscript}</mn>`;
+                    const charge = `<mrow>${[...atom.charge]
+                        .map(char =>
+                            /[0-9]/.test(char)
+                                ? `<mn>${char}</mn>`
+                                : `<mo>${escapeXML(char)}</mo>`,
+                        )
+                        .join('')}</mrow>`;
+                    if (atom.subscript && atom.charge)
+                        return `<msubsup>${base}${subscript}${charge}</msubsup>`;
+                    if (atom.subscript)
+                        return `<msub>${base}${subscript}</msub>`;
+                    if (atom.charge) return `<msup>${base}${charge}</msup>`;
+                    return base;
+                })
+                .join('');
+        });
+        return `<mrow>${mathml.join('')}</mrow>`;
+    }
+
+    toUnicode() {
+        const toScript = (text, scriptMap, marker) =>
+            [...text].every(char => char in scriptMap)
+                ? [...text].map(char => scriptMap[char]).join('')
+                : `${marker}(${text})`;
+        return chemistryTokens(this.text)
+            .map(token => {
+                if (token.kind !== 'formula') return token.symbol;
+                return token.atoms
+                    .map(atom => {
+                        let unicode = atom.text;
+                        if (atom.subscript)
+                            unicode += toScript(
+                                atom.subscript,
+                                unicodeSubscriptMap,
+                                '_',
+                            );
+                        if (atom.charge)
+                            unicode += toScript(
+                                atom.charge,
+                                unicodeSuperscriptMap,
+                                '^',
+                            );
+                        return unicode;
+                    })
+                    .join('');
+            })
+            .join(' ');
+    }
+}
+
+/**
+ * @class
+ * A value with units, like 9.81 m s⁻². blocks[0] is the number and blocks[1] is
+ * the unit text, like "m/s^2", which is split into units by parseUnits().
+ * latexData is "latex" to output plain LaTeX, like 9.81\,\mathrm{m\,s^{-2}}, or
+ * "siunitx" to output \SI{9.81}{\meter\per\second\squared}.
+ */
+class Quantity extends TwoBlockComponent {
+    constructor(parent, latexData = 'latex') {
+        super(parent);
+        this.latexData = latexData;
+    }
+
+    get unitText() {
+        // The text of the unit block, like ChemicalEquation.text
+        const block =
+            this.blocks[1] instanceof FrameBox
+                ? this.blocks[1].blocks[0]
+                : this.blocks[1];
+        return textRunPieces(block)
+            .map(piece => (typeof piece === 'string' ? piece : piece.toLatex()))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    get units() {
+        return parseUnits(this.unitText);
+    }
+
+    hasValidUnits() {
+        // Returns true if every unit in the unit block is a known unit
+        return this.units.every(unit => unit.unit !== null);
+    }
+
+    get numberLatex() {
+        // The digits of the number are written without the spaces between
+        // components, like 9.81
+        return this.blocks[0]
+            .toLatex()
+            .replace(/(?<=[0-9.,]) (?=[0-9.,])/g, '');
+    }
+
+    toLatex() {
+        if (this.latexData === 'siunitx') {
+            return `\\SI{${this.numberLatex}}{${this.units.map(unitToSiunitx).join('')}}`;
+        }
+        return this.plainLatex(false);
+    }
+
+    toPreviewLatex() {
+        // MathJax doesn't support siunitx, so the editor always shows plain
+        // LaTeX, with invalid units flagged
+        return this.plainLatex(true);
+    }
+
+    plainLatex(flagInvalidUnits) {
+        const number = this.numberLatex;
+        // While the cursor is in the unit block, the unit text is shown as
+        // typed
+        if (this.blocks[1] instanceof FrameBox) {
+            const text = textRunPieces(this.blocks[1].blocks[0])
+                .map(piece =>
+                    typeof piece === 'string' ? piece : piece.toLatex(),
+                )
+                .join('');
+            return `${number}\\,\\boxed{\\text{${escapeTextMode(text)}}}`;
+        }
+        const units = this.units.map(unit => {
+            if (unit.unit === null) {
+                const text = `\\text{${escapeTextMode(unit.text)}}`;
+                return flagInvalidUnits
+                    ? `\\class{_mjxgui_invalid_unit}{${text}}`
+                    : text;
+            }
+            const latex =
+                `${siPrefixes[unit.prefix]?.latex ?? ''}${siUnits[unit.unit].latex}`.trim();
+            return unit.power === 1 ? latex : `${latex}^{${unit.power}}`;
+        });
+        if (units.length === 0) return number;
+        return `${number}\\,\\mathrm{${units.join('\\,')}}`;
+    }
+
+    toAsciiMath() {
+        // The unit text is written as an upright string after the number, like
+        // 9.81 rm"m s^-2". Unlike a FontStyle, whose argument is in
+        // parentheses, this is read back as a Quantity.
+        const number = this.blocks[0]
+            .toAsciiMath()
+            .replace(/(?<=[0-9.,]) (?=[0-9.,])/g, '');
+        const unitText = this.unitText;
+        return unitText === '' ? number : `${number} rm"${unitText}"`;
+    }
+
+    toMathML() {
+        const space = '<mspace width="0.167em"/>';
+        const units = this.units.map(unit => {
+            if (unit.unit === null)
+                return `<mtext>${escapeXML(unit.text)}</mtext>`;
+            const symbol = `<mi mathvariant="normal">${escapeXML(unit.prefix + unit.unit)}</mi>`;
+            if (unit.power === 1) return symbol;
+            const power =
+                unit.power < 0
+                    ? `<mrow><mo>-</mo><mn>${-unit.power}</mn></mrow>`
+                    : `<mn>${unit.power}</mn>`;
+            return `<msup>${symbol}${power}</msup>`;
+        });
+        const number = `<mrow>${sequenceToMathML(this.blocks[0].children)}</mrow>`;
+        if (units.length === 0) return number;
+        return `<mrow>${number}${space}${units.join(space)}</mrow>`;
+    }
+
+    toUnicode() {
+        const units = this.units.map(unit => {
+            if (unit.unit === null) return unit.text;
+            const power = String(unit.power);
+            if (unit.power === 1) return unit.prefix + unit.unit;
+            return (
+                unit.prefix +
+                unit.unit +
+                [...power].map(char => unicodeSuperscriptMap[char]).join('')
+            );
+        });
+        const number = sequenceToUnicode(this.blocks[0].children);
+        return units.length === 0 ? number : `${number} ${units.join('·')}`;
+    }
+}
+
+/**
+ * @class
+ * A component whose LaTeX comes from a template, like \overset{#1}{#2}. Each #n
+ * in the template is replaced with the LaTeX of block n. Subclasses are
+ * generated by defineComponent(), which sets the template and the number of
+ * blocks on the subclass itself, so they aren't saved in JSON.
+ */
+class TemplateComponent extends Component {
+    constructor(parent) {
+        super([], parent);
+        for (let i = 0; i < this.constructor.blockCount; i++) {
+            this.blocks.push(new Block(this));
+        }
+    }
+
+    toLatex() {
+        return this.constructor.template.replace(/#([1-9])/g, (match, n) =>
+            this.blocks[n - 1].toLatex(),
+        );
+    }
+}
+
+// Register the built-in components so they can be restored from JSON
+for (let componentClass of [
+    Component,
+    OneBlockComponent,
+    TwoBlockComponent,
+    ThreeBlockComponent,
+    TemplateThreeBlockComponent,
+    TrigonometricTwoBlockComponent,
+    TextComponent,
+    MJXGUISymbol,
+    FrameBox,
+    Limit,
+    Fraction,
+    Subscript,
+    Superscript,
+    SubSupRight,
+    Sqrt,
+    NthRoot,
+    Matrix,
+    Cases,
+    AlignedLines,
+    Delimited,
+    Accent,
+    TextRun,
+    FontStyle,
+    LabeledComponent,
+    Brace,
+    OverUnderSet,
+    Colored,
+    ColorBox,
+    Derivative,
+    PartialDerivative,
+    DefiniteIntegral,
+    EvaluationBar,
+    ChemicalEquation,
+    Quantity,
+]) {
+    registerComponent(componentClass);
+}
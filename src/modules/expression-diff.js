@@ -0,0 +1,256 @@
+// Compares two Expressions, and lists the components that were inserted, removed or changed between them
+// Exposes its API for the Expression class to use
+
+// Options used by expressionsEqual() and diffExpressions() when they are not given
+const defaultComparisonOptions = {
+    ignoreWhitespace: false,
+};
+
+// The LaTeX of the symbols that only add space, like the \:\: inserted by the space key
+const whitespaceSymbols = new Set([
+    '\\:\\:',
+    '\\:',
+    '\\,',
+    '\\;',
+    '\\!',
+    '\\ ',
+    '\\quad',
+    '\\qquad',
+    '~',
+]);
+
+/**
+ * Returns true if a child of a block should be left out of a comparison, which is the case for whitespace
+ * symbols when the ignoreWhitespace option is set
+ * @param child The component or string
+ * @param options The comparison options
+ */
+function isIgnoredInComparison(child, options) {
+    return (
+        options.ignoreWhitespace &&
+        child instanceof MJXGUISymbol &&
+        whitespaceSymbols.has(child.latexData)
+    );
+}
+
+/**
+ * Returns the JSON of a component without its blocks, which holds its type, its latexData and any other state
+ * it saves, like the number of columns of a Matrix
+ * @param component The component
+ */
+function componentHeader(component) {
+    const header = component.toJSON();
+    delete header.blocks;
+    header.blockCount = component.blocks.length;
+    return JSON.stringify(header);
+}
+
+/**
+ * Returns true if the blocks of a component hold characters instead of other components, like the block of a
+ * TextComponent. The diff reports these components as changed as a whole.
+ * @param component The component
+ */
+function isLeafComponent(component) {
+    return component.blocks.some(block =>
+        block.children.some(child => typeof child === 'string'),
+    );
+}
+
+/**
+ * Returns true if two children of blocks, which are components or strings, have the same structure
+ * @param a The first child
+ * @param b The second child
+ * @param options The comparison options
+ */
+function childrenEqual(a, b, options) {
+    if (typeof a === 'string' || typeof b === 'string') return a === b;
+    if (componentHeader(a) !== componentHeader(b)) return false;
+    return a.blocks.every((block, i) =>
+        sequencesEqual(block.children, b.blocks[i].children, options),
+    );
+}
+
+/**
+ * Returns true if two arrays of components and strings have the same structure
+ * @param a The first array
+ * @param b The second array
+ * @param options The comparison options
+ */
+function sequencesEqual(a, b, options) {
+    a = a.filter(child => !isIgnoredInComparison(child, options));
+    b = b.filter(child => !isIgnoredInComparison(child, options));
+    return (
+        a.length === b.length &&
+        a.every((child, i) => childrenEqual(child, b[i], options))
+    );
+}
+
+/**
+ * Returns true if two Expressions have the same structure, which means they have the same components, with the
+ * same LaTeX data and blocks, in the same places
+ * @param expression The first Expression
+ * @param other The second Expression
+ * @param options An object of options. ignoreWhitespace leaves out the symbols that only add space, like \:\:.
+ */
+function expressionsEqual(expression, other, options = {}) {
+    options = { ...defaultComparisonOptions, ...options };
+    return sequencesEqual(expression.components, other.components, options);
+}
+
+/**
+ * Finds the longest common subsequence of two arrays. Returns the pairs of indices of the matching elements, in
+ * order.
+ * @param a The first array
+ * @param b The second array
+ * @param same A function that returns true if an element of a matches an element of b
+ */
+function longestCommonSubsequence(a, b, same) {
+    // lengths[i][j] is the length of the longest common subsequence of a.slice(i) and b.slice(j)
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+        new Array(b.length + 1).fill(0),
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = same(a[i], b[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(a[i], b[j])) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Compares two arrays of components, adding the differences to changes. Components that are equal are matched
+ * first. Between them, components of the same kind are compared block by block, and the rest are removed from
+ * the first array or inserted into the second.
+ * @param a The first array of components
+ * @param b The second array of components
+ * @param pathA The path of the first array in its Expression, which each index is appended to
+ * @param pathB The path of the second array in its Expression
+ * @param changes The array the differences are added to
+ * @param options The comparison options
+ */
+function diffSequences(a, b, pathA, pathB, changes, options) {
+    // The indices are kept so that the paths point into the arrays as they are, including any ignored whitespace
+    const entries = (children, path) =>
+        children
+            .map((child, i) => ({ child, path: [...path, i] }))
+            .filter(entry => !isIgnoredInComparison(entry.child, options));
+    const entriesA = entries(a, pathA);
+    const entriesB = entries(b, pathB);
+    const matches = longestCommonSubsequence(entriesA, entriesB, (x, y) =>
+        childrenEqual(x.child, y.child, options),
+    );
+
+    let startA = 0;
+    let startB = 0;
+    for (let [endA, endB] of [...matches, [entriesA.length, entriesB.length]]) {
+        diffUnmatched(
+            entriesA.slice(startA, endA),
+            entriesB.slice(startB, endB),
+            changes,
+            options,
+        );
+        startA = endA + 1;
+        startB = endB + 1;
+    }
+}
+
+/**
+ * Compares the components between two matches of diffSequences(). Components of the same kind are paired up in
+ * order and compared block by block, or reported as changed if their LaTeX data or characters differ.
+ * @param entriesA The components of the first array, with their paths
+ * @param entriesB The components of the second array, with their paths
+ * @param changes The array the differences are added to
+ * @param options The comparison options
+ */
+function diffUnmatched(entriesA, entriesB, changes, options) {
+    const kind = child =>
+        typeof child === 'string'
+            ? 'string'
+            : getComponentType(child.constructor);
+    const pairs = longestCommonSubsequence(
+        entriesA,
+        entriesB,
+        (x, y) => kind(x.child) === kind(y.child),
+    );
+    const change = (type, entryA, entryB) => {
+        changes.push({
+            type,
+            oldPath: entryA ? entryA.path : null,
+            newPath: entryB ? entryB.path : null,
+            oldComponent: entryA ? entryA.child : null,
+            newComponent: entryB ? entryB.child : null,
+        });
+    };
+
+    let i = 0;
+    let j = 0;
+    for (let [pairA, pairB] of [...pairs, [entriesA.length, entriesB.length]]) {
+        for (; i < pairA; i++) change('removed', entriesA[i], null);
+        for (; j < pairB; j++) change('inserted', null, entriesB[j]);
+        if (pairA === entriesA.length) break;
+
+        const x = entriesA[i].child;
+        const y = entriesB[j].child;
+        if (
+            typeof x === 'string' ||
+            isLeafComponent(x) ||
+            isLeafComponent(y) ||
+            componentHeader(x) !== componentHeader(y)
+        ) {
+            change('changed', entriesA[i], entriesB[j]);
+        } else {
+            for (let k = 0; k < x.blocks.length; k++) {
+                diffSequences(
+                    x.blocks[k].children,
+                    y.blocks[k].children,
+                    [...entriesA[i].path, 'blocks', k],
+                    [...entriesB[j].path, 'blocks', k],
+                    changes,
+                    options,
+                );
+            }
+        }
+        i++;
+        j++;
+    }
+}
+
+/**
+ * Lists the differences between two Expressions. Returns an array of changes, each an object with a type, which
+ * is "inserted", "removed" or "changed", the paths of the component in the first and the second Expression (see
+ * traversal.js), and the component itself in each of them. The path and component of a removed component in the
+ * second Expression, and of an inserted component in the first, are null. A component whose blocks changed, like
+ * a fraction with a new numerator, isn't reported itself, only the changes inside its blocks are.
+ * @param expression The first Expression
+ * @param other The second Expression
+ * @param options An object of options, as for expressionsEqual()
+ */
+function diffExpressions(expression, other, options = {}) {
+    options = { ...defaultComparisonOptions, ...options };
+    const changes = [];
+    diffSequences(
+        expression.components,
+        other.components,
+        [],
+        [],
+        changes,
+        options,
+    );
+    return changes;
+}
@@ -0,0 +1,1013 @@
+// Parses a LaTeX string back into an Expression
+// Exposes its API for the MJXGUI class to use
+
+// Commands that are generated by TemplateThreeBlockComponent
+const templateThreeCommands = new Set([
+    'sum',
+    'int',
+    'iint',
+    'iiint',
+    'oint',
+    'prod',
+    'coprod',
+    'bigcup',
+    'bigcap',
+    'bigvee',
+    'bigwedge',
+]);
+
+// Commands that are generated by TrigonometricTwoBlockComponent
+const trigonometricCommands = new Set([
+    'sin',
+    'cos',
+    'tan',
+    'csc',
+    'sec',
+    'cot',
+    'arcsin',
+    'arccos',
+    'arctan',
+]);
+
+// Symbols that are inserted by Cursor.keyPress instead of a toolbar button
+const keyPressSymbols = new Set([
+    '\\:\\:',
+    '\\backslash',
+    '\\$',
+    '\\#',
+    '\\%',
+    '\\&',
+    '\\_',
+    '\\{',
+    '\\}',
+]);
+
+// Other ways of writing the delimiters supported by Delimited
+const delimiterAliases = {
+    '\\lbrace': '\\{',
+    '\\rbrace': '\\}',
+    '\\lbrack': '[',
+    '\\rbrack': ']',
+    '<': '\\langle',
+    '>': '\\rangle',
+    '\\vert': '|',
+    '\\lvert': '|',
+    '\\rvert': '|',
+    '\\Vert': '\\|',
+    '\\lVert': '\\|',
+    '\\rVert': '\\|',
+};
+
+/**
+ * Creates a TextComponent containing a single character
+ * @param char The character
+ */
+function createTextComponent(char) {
+    const component = new TextComponent(null);
+    component.blocks[0].addChild(char);
+    return component;
+}
+
+/**
+ * Adds each array of components in contents to the corresponding block of component, setting the
+ * parent of each child to the block it is in. Used by the parsers to assemble the components they create.
+ * @param component The component whose blocks should be filled
+ * @param contents An array with an array of components for each block
+ */
+function fillComponentBlocks(component, contents) {
+    for (let i = 0; i < contents.length; i++) {
+        const block = component.blocks[i];
+        for (let c of contents[i]) {
+            c.parent = block;
+            block.addChild(c);
+        }
+    }
+}
+
+/**
+ * Returns the kind of differential ("d" or "partial", see differentialSymbols) a component is, or null if it
+ * isn't one
+ * @param component The component to check
+ */
+function differentialKind(component) {
+    if (component instanceof TextComponent && component.toLatex() === 'd')
+        return 'd';
+    if (
+        component instanceof MJXGUISymbol &&
+        component.latexData === '\\partial'
+    )
+        return 'partial';
+    return null;
+}
+
+/**
+ * Returns true if a component can be the variable of a derivative, which is a letter, a Greek letter or a
+ * subscripted variable like x_{1}
+ * @param component The component to check
+ */
+function isDerivativeVariable(component) {
+    if (component instanceof TextComponent)
+        return /^[a-zA-Z]$/.test(component.toLatex());
+    if (component instanceof MJXGUISymbol) {
+        return /^[\u0370-\u03ff]$/.test(
+            symbolLatexToUnicode(component.latexData) || '',
+        );
+    }
+    if (component instanceof Subscript) {
+        return (
+            component.blocks[0].children.length === 1 &&
+            isDerivativeVariable(component.blocks[0].children[0])
+        );
+    }
+    return false;
+}
+
+/**
+ * Reads the numerator and denominator of a fraction as a derivative, like \frac{d^{2}y}{dx^{2}} or
+ * \frac{\partial^{2}}{\partial x \partial y}. Returns a Derivative or PartialDerivative with the contents of
+ * the fraction moved into its blocks, or null if the fraction isn't a derivative.
+ * @param numerator The components in the numerator
+ * @param denominator The components in the denominator
+ */
+function derivativeFromFraction(numerator, denominator) {
+    // The numerator is a differential, optionally raised to the order, followed by the function
+    if (numerator.length === 0) return null;
+    let kind = differentialKind(numerator[0]);
+    let order = [];
+    if (
+        kind === null &&
+        numerator[0] instanceof Superscript &&
+        numerator[0].blocks[0].children.length === 1
+    ) {
+        kind = differentialKind(numerator[0].blocks[0].children[0]);
+        order = numerator[0].blocks[1].children;
+    }
+    if (kind === null) return null;
+
+    // The denominator is a differential followed by a variable, optionally raised to a power, for each variable. A
+    // variable of more than one component, like the xy of d{x y}, runs up to the next differential.
+    if (denominator.length === 0 || differentialKind(denominator[0]) !== kind)
+        return null;
+    const parts = [];
+    for (let c of denominator) {
+        if (differentialKind(c) === kind) parts.push([]);
+        else parts[parts.length - 1].push(c);
+    }
+    const variables = [];
+    for (let part of parts) {
+        const base =
+            part.length === 1 && part[0] instanceof Superscript
+                ? part[0].blocks[0].children
+                : part;
+        if (base.length === 0 || !base.every(isDerivativeVariable)) return null;
+        variables.push(
+            base === part ? [part, []] : [base, part[0].blocks[1].children],
+        );
+    }
+    // Ordinary derivatives are taken with respect to a single variable
+    if (kind === 'd' && variables.length > 1) return null;
+    // The order of a derivative with respect to one variable can be written in the numerator only
+    if (variables.length === 1 && variables[0][1].length === 0)
+        variables[0][1] = order;
+
+    const component =
+        kind === 'd'
+            ? new Derivative(null, variables.length)
+            : new PartialDerivative(null, variables.length);
+    fillComponentBlocks(component, [numerator.slice(1), ...variables.flat()]);
+    return component;
+}
+
+/**
+ * Converts the units of \SI{}{}, written with siunitx macros like \kilo\meter\per\second\squared or literally like
+ * m.s^{-2}, into the unit text of a Quantity, like "km /s^2". Unknown macros are kept, so they are flagged as
+ * invalid units.
+ * @param latex The second argument of \SI{}{}
+ */
+function siunitxUnitText(latex) {
+    const macros = {};
+    for (let [symbol, prefix] of Object.entries(siPrefixes))
+        macros[prefix.siunitx] = { prefix: symbol };
+    for (let [symbol, unit] of Object.entries(siUnits))
+        macros[unit.siunitx] = { unit: symbol };
+    const powers = { '\\squared': '2', '\\cubed': '3' };
+
+    const words = [];
+    let per = false;
+    let prefix = '';
+    for (let match of latex.matchAll(/(\\[a-zA-Z]+)(?:\{([^}]*)\})?|[^\\]+/g)) {
+        const [text, macro, argument] = match;
+        if (macro === undefined) {
+            words.push(text.trim());
+        } else if (macro === '\\per') {
+            per = true;
+        } else if (macro in powers || macro === '\\tothe') {
+            words[words.length - 1] += `^${powers[macro] ?? argument}`;
+        } else if (macros[macro]?.prefix !== undefined) {
+            prefix = macros[macro].prefix;
+        } else {
+            const symbol = macros[macro]?.unit ?? text;
+            words.push(`${per ? '/' : ''}${prefix}${symbol}`);
+            per = false;
+            prefix = '';
+        }
+    }
+    return words.filter(word => word !== '').join(' ');
+}
+
+/**
+ * Creates the children of a ChemicalEquation from its mhchem text, a character at a time. Arrows, gas and
+ * precipitate symbols and states are kept together the way the toolbar inserts them.
+ * @param text The mhchem text, like "2H2 + O2 -> 2H2O"
+ */
+function chemicalEquationChildren(text) {
+    const children = [];
+    let position = 0;
+    while (position < text.length) {
+        const rest = text.slice(position);
+        const arrow = /^\s*(<=>|<->|->|<-)\s*/.exec(rest);
+        const symbol = /^\s+(\^|v)(?=\s|$)/.exec(rest);
+        const state = /^\((aq|s|l|g)\)/.exec(rest);
+        if (arrow !== null) {
+            children.push(createTextComponent(` ${arrow[1]} `));
+            position += arrow[0].length;
+        } else if (symbol !== null) {
+            children.push(createTextComponent(` ${symbol[1]}`));
+            position += symbol[0].length;
+        } else if (state !== null) {
+            children.push(createTextComponent(state[0]));
+            position += state[0].length;
+        } else {
+            children.push(createTextComponent(text[position++]));
+        }
+    }
+    return children;
+}
+
+/**
+ * Converts the LaTeX of the units of a plain quantity, like m\,s^{-2}, into the unit text of a Quantity, like
+ * "m s^-2". Units that aren't known are written as \text{}, which is read as the text inside it. Returns null if
+ * the LaTeX has anything but units in it.
+ * @param latex The argument of \mathrm{}
+ */
+function plainUnitText(latex) {
+    const text = latex
+        .replace(
+            /\\text\{((?:[^\\{}]|\\[$#%&_]|\\[\^~]\{\})*)\}/g,
+            (match, unit) => unit.replace(/\\([$#%&_^~])(\{\})?/g, '$1'),
+        )
+        .replace(/\\,/g, ' ')
+        .replace(/\{\}\^\{?\\circ\}?/g, '°')
+        .replace(/\\mu\s*/g, 'µ')
+        .replace(/\\Omega\s*/g, 'Ω')
+        .replace(/\\%/g, '%')
+        .replace(/\^\{([^}]*)\}/g, '^$1');
+    return /[\\{}]/.test(text) ? null : text.trim();
+}
+
+/**
+ * Creates a Quantity with the given number components and unit text
+ * @param number The components of the number
+ * @param unitText The unit text, like "m s^-2"
+ * @param format The latexData of the Quantity, "latex" or "siunitx"
+ */
+function createQuantity(number, unitText, format) {
+    const component = new Quantity(null, format);
+    fillComponentBlocks(component, [
+        number,
+        [...unitText].map(createTextComponent),
+    ]);
+    return component;
+}
+
+/**
+ * @class
+ * Reads LaTeX (usually LaTeX previously generated by Expression.toLatex()) and rebuilds the
+ * Expression tree from it, so that the equation can be edited again. Commands the parser does
+ * not know about are kept verbatim as an MJXGUISymbol instead of throwing an error.
+ */
+class LatexParser {
+    constructor(latex) {
+        /**
+         * @param latex: The LaTeX string to parse
+         */
+        this.latex = latex;
+        this.position = 0;
+        this.symbols = new Set(Object.values(symbolLatexMap));
+    }
+
+    parse() {
+        // Parse the whole LaTeX string and return the resulting Expression
+        this.position = 0;
+        const expression = new Expression();
+        for (let c of this.parseSequence()) {
+            c.parent = null;
+            expression.add(c);
+        }
+        return expression;
+    }
+
+    peek() {
+        return this.latex[this.position];
+    }
+
+    isEnd() {
+        return this.position >= this.latex.length;
+    }
+
+    skipWhitespace() {
+        // Comments are skipped too, since a % comments out the rest of the line like in TeX. A literal
+        // percent sign is written \%.
+        while (!this.isEnd()) {
+            if (/\s/.test(this.peek())) {
+                this.position++;
+            } else if (this.peek() === '%') {
+                const end = this.latex.indexOf('\n', this.position);
+                this.position = end === -1 ? this.latex.length : end + 1;
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseSequence(terminator = null) {
+        // Parse components until the terminator (or the end of the string) is reached. The terminator is a
+        // character or a command like \right. Returns an array of components.
+        const components = [];
+        // The components making up the last atom parsed, used as the base of a subscript or superscript
+        let lastAtom = [];
+        while (true) {
+            this.skipWhitespace();
+            if (this.isEnd()) break;
+            const char = this.peek();
+            if (this.isTerminator(terminator)) {
+                this.position += terminator.length;
+                break;
+            }
+            if (char === '}') {
+                // Stray closing brace, ignore it
+                this.position++;
+                continue;
+            }
+            if (char === '^' || char === '_') {
+                components.splice(
+                    components.length - lastAtom.length,
+                    lastAtom.length,
+                );
+                const script = this.parseScripts(lastAtom);
+                components.push(script);
+                lastAtom = [script];
+                continue;
+            }
+            if (this.latex.startsWith('\\,\\mathrm{', this.position)) {
+                // A number followed by units, like 9.81\,\mathrm{m\,s^{-2}}, is a Quantity
+                const quantity = this.parseQuantity(components);
+                if (quantity !== null) {
+                    components.push(quantity);
+                    lastAtom = [quantity];
+                    continue;
+                }
+            }
+            lastAtom = this.parseAtom();
+            components.push(...lastAtom);
+        }
+        return components;
+    }
+
+    isTerminator(terminator) {
+        // Returns true if the terminator is at this.position. A command only matches if it isn't the start
+        // of a longer command, so that \right doesn't match \rightarrow.
+        if (
+            terminator === null ||
+            !this.latex.startsWith(terminator, this.position)
+        )
+            return false;
+        const next = this.latex[this.position + terminator.length] || '';
+        return !(/^\\[a-zA-Z]+$/.test(terminator) && /[a-zA-Z]/.test(next));
+    }
+
+    parseAtom() {
+        // Parse a single character, command or group. Returns an array of components,
+        // since a group can contain more than one component.
+        const char = this.peek();
+        this.position++;
+        if (char === '{') return this.parseSequence('}');
+        if (char === '\\') return this.parseCommand();
+        return [createTextComponent(char)];
+    }
+
+    parseArgument() {
+        // Parse a required argument, which is either a group or a single atom
+        this.skipWhitespace();
+        if (this.isEnd() || this.peek() === '}' || this.peek() === ']')
+            return [];
+        return this.parseAtom();
+    }
+
+    parseOptionalGroup() {
+        // Parse a trailing group if one is present, otherwise return an empty array
+        this.skipWhitespace();
+        if (this.peek() !== '{') return [];
+        this.position++;
+        return this.parseSequence('}');
+    }
+
+    parseFunctionArgument() {
+        // Parse the argument of a function like \sin. Besides a group, like \sin{x}, this is a number, a
+        // parenthesized expression, or a single atom along with its scripts, like \sin 30, \sin(x + 1) and
+        // \sin x^{2}. Returns an empty array if there is no argument, like in \sin = 0.
+        this.skipWhitespace();
+        if (this.isEnd()) return [];
+        const rest = this.latex.slice(this.position);
+        const number = /^[0-9]+(?:\.[0-9]+)?/.exec(rest);
+        if (this.peek() === '{') {
+            return this.parseOptionalGroup();
+        } else if (number !== null) {
+            this.position += number[0].length;
+            return [...number[0]].map(char => createTextComponent(char));
+        } else if (this.peek() === '(') {
+            // The parentheses are kept in the argument, since they are part of how it is written
+            const close = this.findClosingParenthesis();
+            if (close === -1) return [];
+            const inner = new LatexParser(
+                this.latex.slice(this.position + 1, close),
+            ).parseSequence();
+            this.position = close + 1;
+            return [
+                createTextComponent('('),
+                ...inner,
+                createTextComponent(')'),
+            ];
+        } else if (
+            !/^[a-zA-Z]/.test(rest) &&
+            !/^\\(?!(?:right|end)(?![a-zA-Z]))[a-zA-Z]/.test(rest)
+        ) {
+            return [];
+        }
+        const atom = this.parseAtom();
+        this.skipWhitespace();
+        if (this.peek() !== '^' && this.peek() !== '_') return atom;
+        return [this.parseScripts(atom)];
+    }
+
+    findClosingParenthesis() {
+        // Returns the index of the ) matching the ( at this.position, or -1 if it isn't closed. Parentheses
+        // in groups are skipped.
+        let depth = 0;
+        let braces = 0;
+        for (let i = this.position; i < this.latex.length; i++) {
+            const char = this.latex[i];
+            if (char === '\\') i++;
+            else if (char === '{') braces++;
+            else if (char === '}') braces--;
+            else if (braces === 0 && char === '(') depth++;
+            else if (braces === 0 && char === ')' && --depth === 0) return i;
+            if (braces < 0) return -1;
+        }
+        return -1;
+    }
+
+    parseScripts(base) {
+        // Parse a subscript and/or a superscript attached to base. this.position is at the first ^ or _
+        const scripts = {};
+        this.skipWhitespace();
+        while (['^', '_'].includes(this.peek()) && !(this.peek() in scripts)) {
+            const char = this.peek();
+            this.position++;
+            scripts[char] = this.parseArgument();
+            this.skipWhitespace();
+        }
+
+        let component;
+        if ('_' in scripts && '^' in scripts) {
+            component = new SubSupRight(null);
+            fillComponentBlocks(component, [base, scripts['_'], scripts['^']]);
+        } else if ('_' in scripts) {
+            component = new Subscript(null);
+            fillComponentBlocks(component, [base, scripts['_']]);
+        } else {
+            component = new Superscript(null);
+            fillComponentBlocks(component, [base, scripts['^']]);
+        }
+        return component;
+    }
+
+    parseCommand() {
+        // Parse a command. this.position is just after the backslash.
+        // Returns an array with the parsed component.
+        if (this.isEnd()) return [new MJXGUISymbol(null, '\\backslash')];
+        const name = this.readCommandName();
+        let component;
+
+        if (name === 'frac') {
+            const numerator = this.parseArgument();
+            const denominator = this.parseArgument();
+            component = derivativeFromFraction(numerator, denominator);
+            if (component === null) {
+                component = new Fraction(null);
+                fillComponentBlocks(component, [numerator, denominator]);
+            } else if (component.blocks[0].children.length === 0) {
+                // A function of more than one component is written in parentheses after the fraction
+                const start = this.position;
+                this.skipWhitespace();
+                if (this.latex.startsWith('\\left(', this.position)) {
+                    this.position += '\\left('.length;
+                    fillComponentBlocks(component, [
+                        this.parseSequence('\\right'),
+                    ]);
+                    this.readDelimiter();
+                } else {
+                    this.position = start;
+                }
+            }
+        } else if (name === 'sqrt') {
+            this.skipWhitespace();
+            if (this.peek() === '[') {
+                this.position++;
+                component = new NthRoot(null);
+                fillComponentBlocks(component, [
+                    this.parseSequence(']'),
+                    this.parseArgument(),
+                ]);
+            } else {
+                component = new Sqrt(null);
+                fillComponentBlocks(component, [this.parseArgument()]);
+            }
+        } else if (name in accentMap) {
+            component = new Accent(null, name);
+            fillComponentBlocks(component, [this.parseArgument()]);
+        } else if (name in fontStyleMap) {
+            component = new FontStyle(null, name);
+            fillComponentBlocks(component, [this.parseArgument()]);
+        } else if (name === 'overbrace' || name === 'underbrace') {
+            component = new Brace(null, name);
+            const main = this.parseArgument();
+            let label = [];
+            this.skipWhitespace();
+            if (this.peek() === (component.labelAbove ? '^' : '_')) {
+                this.position++;
+                label = this.parseArgument();
+            }
+            fillComponentBlocks(component, [main, label]);
+        } else if (['overset', 'underset', 'stackrel'].includes(name)) {
+            // \stackrel is an older name of \overset. The label is the first argument.
+            component = new OverUnderSet(
+                null,
+                name === 'underset' ? 'underset' : 'overset',
+            );
+            const label = this.parseArgument();
+            fillComponentBlocks(component, [this.parseArgument(), label]);
+        } else if (name === 'text') {
+            component = this.parseTextRun();
+        } else if (name === 'ce') {
+            component = this.parseChemicalEquation();
+        } else if (name === 'SI' || name === 'qty') {
+            // \qty is the name of \SI in version 3 of siunitx
+            const number = this.parseArgument();
+            this.skipWhitespace();
+            const units = this.readRawArguments();
+            component = createQuantity(
+                number,
+                siunitxUnitText(units.replace(/^\{|\}$/g, '')),
+                'siunitx',
+            );
+        } else if (name === 'color' || name === 'colorbox') {
+            component = this.parseColored(name);
+        } else if (name === 'boxed') {
+            component = new FrameBox(null);
+            fillComponentBlocks(component, [this.parseArgument()]);
+        } else if (name === 'lim') {
+            component = new Limit(null);
+            let lower = [];
+            this.skipWhitespace();
+            if (this.peek() === '_') {
+                this.position++;
+                lower = this.parseArgument();
+            }
+            fillComponentBlocks(component, [lower, this.parseOptionalGroup()]);
+        } else if (templateThreeCommands.has(name)) {
+            component = this.parseTemplateThree(name);
+        } else if (trigonometricCommands.has(name)) {
+            component = new TrigonometricTwoBlockComponent(null, name);
+            let exponent = [];
+            this.skipWhitespace();
+            if (this.peek() === '^') {
+                this.position++;
+                exponent = this.parseArgument();
+            }
+            fillComponentBlocks(component, [
+                exponent,
+                this.parseFunctionArgument(),
+            ]);
+        } else if (name === 'left') {
+            const left = this.readDelimiter();
+            const contents = this.parseSequence('\\right');
+            const right = this.readDelimiter();
+            this.skipWhitespace();
+            if (
+                left === '.' &&
+                right === '|' &&
+                ['^', '_'].includes(this.peek())
+            ) {
+                // An evaluation bar, like \left. F(x) \right|_{a}^{b}
+                const scripts = this.parseScriptArguments();
+                component = new EvaluationBar(null);
+                fillComponentBlocks(component, [
+                    contents,
+                    scripts['_'] || [],
+                    scripts['^'] || [],
+                ]);
+            } else {
+                component = new Delimited(null, left, right);
+                fillComponentBlocks(component, [contents]);
+            }
+        } else if (name === 'begin') {
+            component = this.parseEnvironment();
+        } else if (name === ':') {
+            // The space key inserts \:\: as a single symbol
+            if (this.latex.startsWith('\\:', this.position)) {
+                this.position += 2;
+                component = new MJXGUISymbol(null, '\\:\\:');
+            } else {
+                component = new MJXGUISymbol(null, '\\:');
+            }
+        } else if (name === 'not' && this.peek() === '\\') {
+            // Negated symbols like \not\subset are a single symbol
+            this.position++;
+            component = new MJXGUISymbol(
+                null,
+                `\\not\\${this.readCommandName()}`,
+            );
+        } else if (
+            this.symbols.has(`\\${name}`) ||
+            keyPressSymbols.has(`\\${name}`)
+        ) {
+            component = new MJXGUISymbol(null, `\\${name}`);
+        } else {
+            // Unknown command, keep it and any arguments it takes as is
+            component = new MJXGUISymbol(
+                null,
+                `\\${name}${this.readRawArguments()}`,
+            );
+        }
+        return [component];
+    }
+
+    parseScriptArguments() {
+        // Parse a subscript and/or a superscript, in any order, returning the components of each keyed by
+        // _ and ^
+        const scripts = {};
+        this.skipWhitespace();
+        while (['^', '_'].includes(this.peek()) && !(this.peek() in scripts)) {
+            const char = this.peek();
+            this.position++;
+            scripts[char] = this.parseArgument();
+            this.skipWhitespace();
+        }
+        return scripts;
+    }
+
+    parseTemplateThree(name) {
+        // Parse a command like \sum_{}^{}{}. this.position is just after the command name.
+        const scripts = this.parseScriptArguments();
+        // \bigcup and \bigcap are also plain symbols when used without limits or a body
+        if (
+            ['bigcup', 'bigcap'].includes(name) &&
+            Object.keys(scripts).length === 0 &&
+            this.peek() !== '{'
+        ) {
+            return new MJXGUISymbol(null, `\\${name}`);
+        }
+        const differential = name === 'int' ? this.findDifferential() : -1;
+        if (differential !== -1) {
+            // A definite integral, like \int_{a}^{b} f(x) \, dx. The integrand is everything up to the
+            // differential, with the spaces in it kept.
+            const parser = new LatexParser(
+                this.latex.slice(this.position, differential),
+            );
+            const integrand = parser.parseSequence('\\,');
+            while (!parser.isEnd()) {
+                integrand.push(
+                    new MJXGUISymbol(null, '\\,'),
+                    ...parser.parseSequence('\\,'),
+                );
+            }
+            this.position = differential;
+            if (this.latex.startsWith('\\,', this.position)) this.position += 2;
+            this.skipWhitespace();
+            this.position++;
+            // The variable can have a subscript, like d{x}_{1}
+            let variable = this.parseArgument();
+            this.skipWhitespace();
+            if (['^', '_'].includes(this.peek()))
+                variable = [this.parseScripts(variable)];
+            const component = new DefiniteIntegral(null);
+            fillComponentBlocks(component, [
+                scripts['_'] || [],
+                scripts['^'] || [],
+                integrand,
+                variable,
+            ]);
+            return component;
+        }
+        const component = new TemplateThreeBlockComponent(null, name);
+        fillComponentBlocks(component, [
+            scripts['_'] || [],
+            scripts['^'] || [],
+            this.parseOptionalGroup(),
+        ]);
+        return component;
+    }
+
+    findDifferential() {
+        // Returns the position of the differential of an integral whose integrand starts at this.position, like
+        // the "\, dx" in "{x}^{2} \, dx", or -1 if there isn't one. The differential is written after \, or
+        // after a space, like "x dx". Only the group the integral is in is searched, and the differentials of
+        // integrals nested in the integrand are skipped.
+        let depth = 0;
+        let nested = 0;
+        for (let i = this.position; i < this.latex.length; i++) {
+            const rest = this.latex.slice(i);
+            if (/^\\left(?![a-zA-Z])/.test(rest)) depth++;
+            else if (/^\\right(?![a-zA-Z])/.test(rest)) depth--;
+            else if (rest[0] === '{') depth++;
+            else if (rest[0] === '}') depth--;
+            if (depth < 0) return -1;
+            if (depth === 0) {
+                const differential =
+                    /^\\,\s*d(?![a-zA-Z]{2})/.exec(rest) ||
+                    (/\s/.test(this.latex[i - 1])
+                        ? /^d\s*(?:[a-zA-Z]|\\[a-zA-Z]+)(?![a-zA-Z])/.exec(rest)
+                        : null);
+                if (differential !== null && nested === 0) return i;
+                if (differential !== null) {
+                    nested--;
+                    i += differential[0].length - 1;
+                    continue;
+                }
+                if (/^\\int(?![a-zA-Z])/.test(rest)) nested++;
+            }
+            // Skip the character following a backslash, so that \{ and \} don't change the depth
+            if (rest[0] === '\\') i++;
+        }
+        return -1;
+    }
+
+    parseEnvironment() {
+        // Parse an environment like \begin{pmatrix} a & b \\ c & d \end{pmatrix}. this.position is just after
+        // \begin. Environments other than the matrix environments, cases, aligned and gathered are kept as is.
+        const start = this.position - '\\begin'.length;
+        const match = /^\s*\{([a-zA-Z*]+)\}/.exec(
+            this.latex.slice(this.position),
+        );
+        if (match === null) return new MJXGUISymbol(null, '\\begin');
+        const name = match[1];
+        this.position += match[0].length;
+        let rows = this.readEnvironmentCells();
+        // Skip the \end{name} closing the environment
+        const end = /^\\end\s*\{[a-zA-Z*]+\}/.exec(
+            this.latex.slice(this.position),
+        );
+        if (end !== null) this.position += end[0].length;
+
+        let component;
+        if (name === 'cases') {
+            // Cases have a value and a condition on each row, anything after the condition is added to it
+            rows = rows.map(row => [row[0], row.slice(1).join(' ')]);
+            component = new Cases(null, name, rows.length);
+        } else if (name === 'aligned') {
+            // Only the first alignment marker of each line is kept
+            rows = rows.map(row => [row[0], row.slice(1).join(' ')]);
+            component = new AlignedLines(null, name, rows.length);
+        } else if (name === 'gathered') {
+            rows = rows.map(row => [row.join(' ')]);
+            component = new AlignedLines(null, name, rows.length);
+        } else if (name in matrixDelimiters) {
+            const columns = Math.max(...rows.map(row => row.length));
+            component = new Matrix(null, name, rows.length, columns);
+        } else {
+            return new MJXGUISymbol(
+                null,
+                this.latex.slice(start, this.position),
+            );
+        }
+        const cells = [];
+        for (let row of rows) {
+            for (let j = 0; j < component.columns; j++) {
+                cells.push(
+                    j < row.length
+                        ? new LatexParser(row[j]).parseSequence()
+                        : [],
+                );
+            }
+        }
+        fillComponentBlocks(component, cells);
+        return component;
+    }
+
+    readEnvironmentCells() {
+        // Read the body of an environment up to its \end, splitting it into rows at \\ and into cells at &.
+        // Returns an array with the LaTeX of the cells of each row. Nested groups and environments are
+        // kept together.
+        const rows = [[]];
+        let cellStart = this.position;
+        let depth = 0;
+        while (!this.isEnd()) {
+            const rest = this.latex.slice(this.position);
+            const environment = /^\\(begin|end)(?![a-zA-Z])/.exec(rest);
+            if (environment !== null) {
+                if (environment[1] === 'end' && depth === 0) break;
+                depth += environment[1] === 'begin' ? 1 : -1;
+                this.position += environment[0].length;
+                continue;
+            }
+            const char = this.peek();
+            if (char === '{') depth++;
+            else if (char === '}') depth--;
+            const isRowEnd = rest.startsWith('\\\\');
+            if (depth === 0 && (char === '&' || isRowEnd)) {
+                rows[rows.length - 1].push(
+                    this.latex.slice(cellStart, this.position),
+                );
+                if (isRowEnd) rows.push([]);
+                this.position += isRowEnd ? 2 : 1;
+                cellStart = this.position;
+                continue;
+            }
+            // Skip the character following a backslash, so that escaped characters like \& are not separators
+            this.position += char === '\\' ? 2 : 1;
+        }
+        rows[rows.length - 1].push(this.latex.slice(cellStart, this.position));
+        // A \\ at the end of the last row doesn't start a new row
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0].trim() === '')
+            rows.pop();
+        return rows;
+    }
+
+    readDelimiter() {
+        // Read the delimiter following \left or \right, which is a character or a command. Other ways of
+        // writing the supported delimiters, like \lbrace, are normalized.
+        this.skipWhitespace();
+        if (this.isEnd()) return '.';
+        let delimiter = this.latex[this.position++];
+        if (delimiter === '\\') delimiter += this.readCommandName();
+        return delimiterAliases[delimiter] || delimiter;
+    }
+
+    readCommandName() {
+        // Read the name of a command, which is either a run of letters or a single non-letter character
+        const match = /^[a-zA-Z]+/.exec(this.latex.slice(this.position));
+        if (match === null) {
+            return this.latex[this.position++];
+        }
+        this.position += match[0].length;
+        return match[0];
+    }
+
+    parseTextRun() {
+        // Parse the argument of \text{}, a character at a time. Escaped characters like \& are unescaped, and
+        // inline math between $ signs is parsed as math. this.position is just after the command name.
+        const component = new TextRun(null);
+        const children = [];
+        this.skipWhitespace();
+        if (this.peek() !== '{') return component;
+        this.position++;
+        let depth = 0;
+        while (!this.isEnd()) {
+            const char = this.latex[this.position++];
+            if (char === '}' && depth === 0) break;
+            if (char === '{' || char === '}') {
+                // Braces that aren't escaped only group the text
+                depth += char === '{' ? 1 : -1;
+            } else if (char === '$') {
+                children.push(...this.parseSequence('$'));
+            } else if (char === '\\') {
+                const escape = /^(textbackslash|[{}$#%&_^~ ])(\{\})?/.exec(
+                    this.latex.slice(this.position),
+                );
+                if (escape === null) {
+                    children.push(createTextComponent('\\'));
+                } else {
+                    this.position += escape[0].length;
+                    children.push(
+                        createTextComponent(
+                            escape[1] === 'textbackslash' ? '\\' : escape[1],
+                        ),
+                    );
+                }
+            } else {
+                children.push(createTextComponent(char));
+            }
+        }
+        fillComponentBlocks(component, [children]);
+        return component;
+    }
+
+    parseChemicalEquation() {
+        // Parse the mhchem text of \ce{}. this.position is just after the command name.
+        const component = new ChemicalEquation(null);
+        this.skipWhitespace();
+        if (this.peek() !== '{') return component;
+        const group = this.readRawArguments();
+        const text = group.slice(1, group.endsWith('}') ? -1 : group.length);
+        fillComponentBlocks(component, [chemicalEquationChildren(text)]);
+        return component;
+    }
+
+    parseQuantity(components) {
+        // Read the units of a plain quantity. this.position is at the \, before \mathrm and the number is at the
+        // end of components, which is changed in place. Returns the Quantity, or null if the number or the
+        // units aren't a quantity, leaving this.position as it was.
+        let start = components.length;
+        while (
+            start > 0 &&
+            components[start - 1] instanceof TextComponent &&
+            /^[0-9.,]$/.test(components[start - 1].toLatex())
+        )
+            start--;
+        if (start === components.length) return null;
+
+        const position = this.position;
+        this.position += '\\,\\mathrm'.length;
+        const latex = this.readRawArguments().slice(1, -1);
+        const unitText = plainUnitText(latex);
+        // Units that aren't known are only accepted in \text{}, the way Quantity writes them
+        const textCount = (latex.match(/\\text\{/g) ?? []).length;
+        if (
+            unitText === null ||
+            parseUnits(unitText).filter(unit => unit.unit === null).length >
+                textCount
+        ) {
+            this.position = position;
+            return null;
+        }
+        return createQuantity(components.splice(start), unitText, 'latex');
+    }
+
+    parseColored(name) {
+        // Parse \color{red}{...} or \colorbox{yellow}{$...$}. this.position is just after the command name.
+        // Colors are names or hexadecimal values in the HTML model, like [HTML]{1A73E8}. Colors in other
+        // models, like [rgb]{1,0,0}, are kept as is.
+        this.skipWhitespace();
+        const match =
+            /^(?:\[HTML\]\{([0-9a-fA-F]{6})\}|\{([a-zA-Z0-9!.-]+)\})/.exec(
+                this.latex.slice(this.position),
+            );
+        if (match === null) {
+            return new MJXGUISymbol(
+                null,
+                `\\${name}${this.readRawArguments()}`,
+            );
+        }
+        this.position += match[0].length;
+        const color = match[1] === undefined ? match[2] : `#${match[1]}`;
+        if (name === 'color') {
+            const component = new Colored(null, color);
+            fillComponentBlocks(component, [this.parseArgument()]);
+            return component;
+        }
+
+        // The argument of \colorbox is text, with the math inside it between $ signs
+        const component = new ColorBox(null, color);
+        this.skipWhitespace();
+        if (this.peek() !== '{') {
+            fillComponentBlocks(component, [this.parseArgument()]);
+            return component;
+        }
+        this.position++;
+        this.skipWhitespace();
+        let contents = [];
+        if (this.peek() === '$') {
+            this.position++;
+            contents = this.parseSequence('$');
+        }
+        contents.push(...this.parseSequence('}'));
+        fillComponentBlocks(component, [contents]);
+        return component;
+    }
+
+    readRawArguments() {
+        // Read the groups directly following an unknown command without parsing them
+        let raw = '';
+        while (['{', '['].includes(this.peek())) {
+            const open = this.peek();
+            const close = open === '{' ? '}' : ']';
+            const start = this.position;
+            let depth = 0;
+            while (!this.isEnd()) {
+                const char = this.latex[this.position++];
+                if (char === '\\') {
+                    this.position++;
+                } else if (char === open) {
+                    depth++;
+                } else if (char === close) {
+                    depth--;
+                    if (depth === 0) break;
+                }
+            }
+            raw += this.latex.slice(start, this.position);
+        }
+        return raw;
+    }
+}
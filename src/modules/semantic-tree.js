@@ -0,0 +1,1173 @@
+// Interprets an Expression as mathematics and builds a semantic tree from it
+// Exposes its API for the MJXGUI class to use
+
+// Operators that are typed as a character, mapped to their name in the semantic tree
+const textOperators = {
+    '+': 'plus',
+    '-': 'minus',
+    '*': 'times',
+    '/': 'divide',
+    '=': 'eq',
+    '<': 'lt',
+    '>': 'gt',
+};
+
+// Operators that are inserted as an MJXGUISymbol, mapped to their name in the semantic tree
+const symbolOperators = {
+    '\\times': 'times',
+    '\\cdot': 'times',
+    '\\div': 'divide',
+    '\\pm': 'plusminus',
+    '\\mp': 'minusplus',
+    '\\lt': 'lt',
+    '\\gt': 'gt',
+    '\\leq': 'leq',
+    '\\geq': 'geq',
+    '\\ne': 'neq',
+    '\\approx': 'approx',
+    '\\cup': 'union',
+    '\\cap': 'intersect',
+    '\\subset': 'prsubset',
+    '\\subseteq': 'subset',
+    '\\not\\subset': 'notprsubset',
+    '\\not\\subseteq': 'notsubset',
+    '\\in': 'in',
+    '\\notin': 'notin',
+    '\\to': 'tendsto',
+    '\\Rightarrow': 'implies',
+    '\\Leftrightarrow': 'equivalent',
+};
+
+// Precedence of the binary operators. Operators with a higher precedence bind tighter.
+const semanticOperatorPrecedence = {
+    implies: 0,
+    equivalent: 0,
+    eq: 1,
+    neq: 1,
+    lt: 1,
+    gt: 1,
+    leq: 1,
+    geq: 1,
+    approx: 1,
+    in: 1,
+    notin: 1,
+    subset: 1,
+    prsubset: 1,
+    notsubset: 1,
+    notprsubset: 1,
+    tendsto: 1,
+    plus: 2,
+    minus: 2,
+    plusminus: 2,
+    minusplus: 2,
+    union: 2,
+    intersect: 2,
+    times: 3,
+    divide: 3,
+};
+
+// Precedence used for the operand of a unary minus (or plus)
+const unaryPrecedence = 4;
+
+// Operators that can also be used as a unary prefix
+const unaryOperators = new Set(['plus', 'minus', 'plusminus', 'minusplus']);
+
+// Operators whose repeated application is collected into a single n-ary node
+const naryOperators = new Set(['plus', 'times']);
+
+// Symbols that are interpreted as constants instead of identifiers
+const symbolConstants = {
+    '\\pi': 'pi',
+    '\\infty': 'infinity',
+};
+
+// The name of each TemplateThreeBlockComponent command in the semantic tree
+const largeOperatorNames = {
+    sum: 'sum',
+    prod: 'product',
+    int: 'int',
+    iint: 'int',
+    iiint: 'int',
+    oint: 'int',
+};
+
+// Content MathML for the operators that do not have an element of the same name
+const contentMathMLOperators = {
+    plusminus: '<csymbol cd="arith1">plusminus</csymbol>',
+    minusplus: '<csymbol cd="arith1">minusplus</csymbol>',
+};
+
+// Kinds of Delimited components that are functions of their contents, mapped to the name of the function
+const delimiterFunctions = {
+    bars: 'abs',
+    floor: 'floor',
+    ceil: 'ceiling',
+};
+
+// Operators that are written as a container element of their arguments in Content MathML
+const contentMathMLContainers = new Set([
+    'matrix',
+    'matrixrow',
+    'piecewise',
+    'piece',
+    'otherwise',
+]);
+
+/**
+ * Creates a node of the semantic tree. The component the node was created from is attached to the
+ * node as a non-enumerable property, so that the tree stays a plain object when it is serialized
+ * or compared.
+ * @param properties The properties of the node, including its type
+ * @param component The component the node was created from, if any
+ */
+function createSemanticNode(properties, component = null) {
+    Object.defineProperty(properties, 'component', {
+        value: component,
+        enumerable: false,
+        writable: true,
+    });
+    return properties;
+}
+
+/**
+ * Creates an error node for something that could not be interpreted
+ * @param message A description of the problem
+ * @param component The component that could not be interpreted, if any
+ * @param args Any nodes that were interpreted as part of the erroneous construct
+ */
+function createSemanticError(message, component = null, args = []) {
+    return createSemanticNode({ type: 'error', message, args }, component);
+}
+
+/**
+ * Returns true if a block contains nothing but a closing bracket
+ * @param block The block to check
+ */
+function isClosingBracket(block) {
+    const child = block.children[0];
+    return (
+        block.children.length === 1 &&
+        child instanceof TextComponent &&
+        [')', ']'].includes(child.toLatex())
+    );
+}
+
+/**
+ * @class
+ * Interprets the components of an Expression as mathematics. The flat sequences of TextComponent
+ * characters and MJXGUISymbol operators in every block are parsed into operator-precedence trees,
+ * and the structure of components like Fraction and Sqrt is mapped to the operation they represent.
+ *
+ * The resulting tree is made up of plain objects with a type property of "number", "identifier",
+ * "constant", "apply" or "error". Anything that can't be interpreted becomes an error node.
+ */
+class SemanticParser {
+    constructor(expression) {
+        /**
+         * @param expression: The Expression to interpret
+         */
+        this.expression = expression;
+        this.tokens = [];
+        this.position = 0;
+        this.grouped = new WeakSet();
+    }
+
+    parse() {
+        // Interpret the whole expression and return the root node of the semantic tree
+        return this.parseSequence(this.expression.components, null);
+    }
+
+    parseSequence(components, owner) {
+        // Interpret a list of components as a single expression. owner is the component the list
+        // belongs to, used to report an empty list.
+        const previous = [this.tokens, this.position];
+        this.tokens = this.tokenize(components);
+        this.position = 0;
+
+        let node;
+        if (this.tokens.length === 0) {
+            node = createSemanticError('Expected an expression', owner);
+        } else {
+            node = this.parseExpression(0);
+            // Anything left over could not be attached to the expression
+            while (this.position < this.tokens.length) {
+                const token = this.tokens[this.position++];
+                node = createSemanticError(
+                    `Unexpected "${token.text}"`,
+                    token.component,
+                    [node],
+                );
+                if (this.position < this.tokens.length) {
+                    node.args.push(this.parseExpression(0));
+                }
+            }
+        }
+
+        [this.tokens, this.position] = previous;
+        return node;
+    }
+
+    parseBlock(block) {
+        return this.parseSequence(block.children, block.parent);
+    }
+
+    tokenize(components) {
+        // Convert a list of components into tokens for the operator-precedence parser. Each token
+        // has a kind, which is one of "operand", "operator", "open", "close", "postfix" or "prefix".
+        const tokens = [];
+        let number = null;
+        for (let c of components) {
+            const char = c instanceof TextComponent ? c.toLatex() : null;
+
+            // Consecutive digits are collected into a single number
+            if (char !== null && /^[0-9.]$/.test(char)) {
+                if (number === null) {
+                    number = { kind: 'operand', text: '', component: c };
+                    tokens.push(number);
+                }
+                number.text += char;
+                number.node = createSemanticNode(
+                    { type: 'number', value: number.text },
+                    number.component,
+                );
+                continue;
+            }
+            number = null;
+
+            if (char !== null) {
+                tokens.push(this.tokenizeText(char, c));
+            } else if (c instanceof MJXGUISymbol) {
+                if (c.latexData === '\\:\\:') continue;
+                tokens.push(this.tokenizeSymbol(c));
+            } else if (c instanceof TextRun) {
+                // Text before or after the math, like the "if" of a condition, is prose that is left out. Text
+                // between two pieces of math, like x = 1 \text{ and } y = 2, can't be interpreted.
+                const rest = components.slice(components.indexOf(c) + 1);
+                if (
+                    tokens.length === 0 ||
+                    rest.every(other => other instanceof TextRun)
+                ) {
+                    continue;
+                }
+                tokens.push({
+                    kind: 'operand',
+                    text: c.toLatex(),
+                    component: c,
+                    node: createSemanticError(
+                        `Cannot interpret "${c.text}" between math`,
+                        c,
+                    ),
+                });
+            } else if (
+                c instanceof Superscript &&
+                (c.blocks[0].children.length === 0 ||
+                    isClosingBracket(c.blocks[0]))
+            ) {
+                // A superscript with an empty base raises whatever comes before it. Parsed LaTeX
+                // like (x+1)^2 attaches the superscript to the closing bracket, which raises the
+                // whole bracketed expression.
+                if (c.blocks[0].children.length) {
+                    tokens.push(
+                        this.tokenizeText(
+                            c.blocks[0].children[0].toLatex(),
+                            c.blocks[0].children[0],
+                        ),
+                    );
+                }
+                tokens.push({
+                    kind: 'postfix',
+                    text: c.toLatex(),
+                    component: c,
+                    apply: base =>
+                        createSemanticNode(
+                            {
+                                type: 'apply',
+                                operator: 'power',
+                                args: [base, this.parseBlock(c.blocks[1])],
+                            },
+                            c,
+                        ),
+                });
+            } else if (
+                c instanceof LabeledComponent &&
+                this.isLabeledOperator(c)
+            ) {
+                // A relation with a label, like \overset{\text{def}}{=}, is the relation itself
+                tokens.push({
+                    ...this.tokenize(c.blocks[0].children)[0],
+                    text: c.toLatex(),
+                    component: c,
+                });
+            } else if (
+                c instanceof Derivative &&
+                c.blocks[0].children.length === 0
+            ) {
+                // A derivative without a function, like \frac{d}{dx}, applies to whatever comes after it
+                tokens.push({
+                    kind: 'prefix',
+                    text: c.toLatex(),
+                    component: c,
+                    apply: argument => this.interpretDerivative(c, argument),
+                });
+            } else if (
+                c instanceof TrigonometricTwoBlockComponent &&
+                c.blocks[1].children.length === 0
+            ) {
+                // A function with an empty argument block applies to whatever comes after it
+                tokens.push({
+                    kind: 'prefix',
+                    text: c.toLatex(),
+                    component: c,
+                    apply: argument => this.applyFunction(c, argument),
+                });
+            } else {
+                tokens.push({
+                    kind: 'operand',
+                    text: c.toLatex(),
+                    component: c,
+                    node: this.interpretComponent(c),
+                });
+            }
+        }
+        return tokens;
+    }
+
+    isLabeledOperator(component) {
+        // Returns true if the main block of a LabeledComponent is a single operator, like the = of \stackrel{?}{=}
+        const tokens = this.tokenize(component.blocks[0].children);
+        return tokens.length === 1 && tokens[0].kind === 'operator';
+    }
+
+    tokenizeText(char, component) {
+        if (/^[a-zA-Z]$/.test(char)) {
+            return {
+                kind: 'operand',
+                text: char,
+                component,
+                node: createSemanticNode(
+                    { type: 'identifier', name: char },
+                    component,
+                ),
+            };
+        }
+        if (char in textOperators) {
+            return {
+                kind: 'operator',
+                text: char,
+                component,
+                operator: textOperators[char],
+            };
+        }
+        if (char === '(' || char === '[')
+            return { kind: 'open', text: char, component };
+        if (char === ')' || char === ']')
+            return { kind: 'close', text: char, component };
+        if (char === '!') {
+            return {
+                kind: 'postfix',
+                text: char,
+                component,
+                apply: operand =>
+                    createSemanticNode(
+                        {
+                            type: 'apply',
+                            operator: 'factorial',
+                            args: [operand],
+                        },
+                        component,
+                    ),
+            };
+        }
+        return {
+            kind: 'operand',
+            text: char,
+            component,
+            node: createSemanticError(`Cannot interpret "${char}"`, component),
+        };
+    }
+
+    tokenizeSymbol(component) {
+        const latex = component.latexData;
+        if (latex in symbolOperators) {
+            return {
+                kind: 'operator',
+                text: latex,
+                component,
+                operator: symbolOperators[latex],
+            };
+        }
+        let node;
+        if (latex in symbolConstants) {
+            node = createSemanticNode(
+                { type: 'constant', name: symbolConstants[latex] },
+                component,
+            );
+        } else if (
+            /^[\u0370-\u03ff]$/.test(symbolLatexToUnicode(latex) || '')
+        ) {
+            // Greek letters are identifiers named after their LaTeX command, like "theta"
+            node = createSemanticNode(
+                { type: 'identifier', name: latex.replace(/^\\/, '') },
+                component,
+            );
+        } else if (latex === '\\hbar') {
+            node = createSemanticNode(
+                { type: 'identifier', name: 'hbar' },
+                component,
+            );
+        } else {
+            node = createSemanticError(
+                `Cannot interpret symbol "${latex}"`,
+                component,
+            );
+        }
+        return { kind: 'operand', text: latex, component, node };
+    }
+
+    parseExpression(minPrecedence) {
+        // Operator-precedence parsing of this.tokens, starting at this.position
+        let left = this.parsePrefix();
+        while (this.position < this.tokens.length) {
+            const token = this.tokens[this.position];
+            if (token.kind === 'operator') {
+                const precedence = semanticOperatorPrecedence[token.operator];
+                if (precedence < minPrecedence) break;
+                this.position++;
+                const right = this.parseExpression(precedence + 1);
+                left = this.combine(
+                    token.operator,
+                    left,
+                    right,
+                    token.component,
+                );
+            } else if (token.kind === 'postfix') {
+                this.position++;
+                left = token.apply(left);
+            } else if (token.kind !== 'close') {
+                // Two operands next to each other are multiplied
+                const precedence = semanticOperatorPrecedence.times;
+                if (precedence < minPrecedence) break;
+                const right = this.parseExpression(precedence + 1);
+                left = this.combine('times', left, right, null);
+            } else {
+                break;
+            }
+        }
+        return left;
+    }
+
+    parsePrefix() {
+        // Parse an operand, along with any prefix operator or parentheses around it
+        if (this.position >= this.tokens.length) {
+            const last = this.tokens[this.tokens.length - 1];
+            return createSemanticError(
+                `Expected an operand after "${last.text}"`,
+                last.component,
+            );
+        }
+        const token = this.tokens[this.position++];
+
+        if (token.kind === 'operand') return token.node;
+        if (token.kind === 'open') {
+            if (
+                this.position < this.tokens.length &&
+                this.tokens[this.position].kind === 'close'
+            ) {
+                this.position++;
+                return createSemanticError(
+                    'Empty parentheses',
+                    token.component,
+                );
+            }
+            const node = this.parseExpression(0);
+            const close = this.tokens[this.position];
+            if (close === undefined || close.kind !== 'close') {
+                return createSemanticError(
+                    `Unmatched "${token.text}"`,
+                    token.component,
+                    [node],
+                );
+            }
+            this.position++;
+            this.grouped.add(node);
+            return node;
+        }
+        if (token.kind === 'operator' && unaryOperators.has(token.operator)) {
+            const operand = this.parseExpression(unaryPrecedence);
+            return createSemanticNode(
+                { type: 'apply', operator: token.operator, args: [operand] },
+                token.component,
+            );
+        }
+        if (token.kind === 'prefix') {
+            return token.apply(
+                this.parseExpression(semanticOperatorPrecedence.times),
+            );
+        }
+        if (token.kind === 'postfix') {
+            return token.apply(
+                createSemanticError(
+                    `Expected an operand before "${token.text}"`,
+                    token.component,
+                ),
+            );
+        }
+        return createSemanticError(
+            `Unexpected "${token.text}"`,
+            token.component,
+        );
+    }
+
+    combine(operator, left, right, component) {
+        // Apply a binary operator, collecting repeated + and × into one node
+        if (
+            naryOperators.has(operator) &&
+            left.type === 'apply' &&
+            left.operator === operator &&
+            !this.grouped.has(left)
+        ) {
+            left.args.push(right);
+            return left;
+        }
+        return createSemanticNode(
+            { type: 'apply', operator, args: [left, right] },
+            component,
+        );
+    }
+
+    interpretComponent(component) {
+        // Interpret a component that is not part of a sequence of text and operators
+        const blocks = component.blocks;
+        if (component instanceof Fraction) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'divide',
+                    args: [
+                        this.parseBlock(blocks[0]),
+                        this.parseBlock(blocks[1]),
+                    ],
+                },
+                component,
+            );
+        }
+        if (component instanceof Sqrt) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'root',
+                    args: [this.parseBlock(blocks[0])],
+                },
+                component,
+            );
+        }
+        if (component instanceof NthRoot) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'root',
+                    degree: this.parseBlock(blocks[0]),
+                    args: [this.parseBlock(blocks[1])],
+                },
+                component,
+            );
+        }
+        if (component instanceof Superscript) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'power',
+                    args: [
+                        this.parseBlock(blocks[0]),
+                        this.parseBlock(blocks[1]),
+                    ],
+                },
+                component,
+            );
+        }
+        if (component instanceof Subscript) {
+            return this.interpretSubscript(component, blocks[0], blocks[1]);
+        }
+        if (component instanceof SubSupRight) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'power',
+                    args: [
+                        this.interpretSubscript(
+                            component,
+                            blocks[0],
+                            blocks[1],
+                        ),
+                        this.parseBlock(blocks[2]),
+                    ],
+                },
+                component,
+            );
+        }
+        if (component instanceof TrigonometricTwoBlockComponent) {
+            return this.applyFunction(component, this.parseBlock(blocks[1]));
+        }
+        if (component instanceof Limit) {
+            return this.interpretLimit(component);
+        }
+        if (component instanceof TemplateThreeBlockComponent) {
+            return this.interpretLargeOperator(component);
+        }
+        if (component instanceof Derivative) {
+            return this.interpretDerivative(
+                component,
+                this.parseBlock(blocks[0]),
+            );
+        }
+        if (component instanceof DefiniteIntegral) {
+            return this.interpretDefiniteIntegral(component);
+        }
+        if (component instanceof EvaluationBar) {
+            return this.interpretEvaluationBar(component);
+        }
+        if (component instanceof LabeledComponent) {
+            // Braces and stacked labels annotate their main block, which is read as a group
+            const node = this.parseBlock(blocks[0]);
+            this.grouped.add(node);
+            return node;
+        }
+        // Boxes and colors only change how their contents look. ColorBox is a subclass of Colored.
+        if (component instanceof FrameBox || component instanceof Colored) {
+            return this.parseBlock(blocks[0]);
+        }
+        if (component instanceof Delimited) {
+            return this.interpretDelimited(component);
+        }
+        if (component instanceof Accent) {
+            return this.interpretAccent(component);
+        }
+        if (component instanceof FontStyle) {
+            return this.interpretFontStyle(component);
+        }
+        // Cases and lines are subclasses of Matrix, so they have to be checked first
+        if (component instanceof Cases) {
+            return this.interpretCases(component);
+        }
+        if (component instanceof AlignedLines) {
+            return this.interpretLines(component);
+        }
+        if (component instanceof Matrix) {
+            return this.interpretMatrix(component);
+        }
+        return createSemanticError(
+            `Cannot interpret "${component.toLatex()}"`,
+            component,
+        );
+    }
+
+    interpretMatrix(component) {
+        // A matrix is a "matrix" node with a "matrixrow" node for each row. The vertical bars of a vmatrix
+        // stand for the determinant of the matrix.
+        const matrix = createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'matrix',
+                args: component.getRows().map(row =>
+                    createSemanticNode({
+                        type: 'apply',
+                        operator: 'matrixrow',
+                        args: row.map(block => this.parseBlock(block)),
+                    }),
+                ),
+            },
+            component,
+        );
+        if (component.latexData !== 'vmatrix') return matrix;
+        return createSemanticNode(
+            { type: 'apply', operator: 'determinant', args: [matrix] },
+            component,
+        );
+    }
+
+    interpretCases(component) {
+        // Cases are a "piecewise" node with a "piece" node for each row, made of the value and the condition.
+        // Rows without a condition, or with only text like \text{otherwise}, are an "otherwise" node with just
+        // the value.
+        const pieces = component.getRows().map(([value, condition]) => {
+            const hasCondition = condition.children.some(
+                c => !(c instanceof TextRun),
+            );
+            return createSemanticNode({
+                type: 'apply',
+                operator: hasCondition ? 'piece' : 'otherwise',
+                args: hasCondition
+                    ? [this.parseBlock(value), this.parseBlock(condition)]
+                    : [this.parseBlock(value)],
+            });
+        });
+        return createSemanticNode(
+            { type: 'apply', operator: 'piecewise', args: pieces },
+            component,
+        );
+    }
+
+    interpretDelimited(component) {
+        // Parentheses, brackets, braces and invisible delimiters group their contents. Vertical bars are the
+        // absolute value, and the floor and ceiling delimiters are functions of their own.
+        const kind = component.kind;
+        if (kind in delimiterFunctions) {
+            return createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: delimiterFunctions[kind],
+                    args: [this.parseBlock(component.blocks[0])],
+                },
+                component,
+            );
+        }
+        if (['parentheses', 'brackets', 'braces', 'none'].includes(kind)) {
+            const node = this.parseBlock(component.blocks[0]);
+            this.grouped.add(node);
+            return node;
+        }
+        return createSemanticError(
+            `Cannot interpret "${component.toLatex()}"`,
+            component,
+        );
+    }
+
+    interpretAccent(component) {
+        // An accented variable, like \hat{\beta}, is a variable of its own. It is named after the variable
+        // and the accent the way SymPy names such symbols, like "betahat", with the accent before any
+        // subscript, like "xhat_1". It is displayed with the combining character of the accent.
+        const base = this.parseBlock(component.blocks[0]);
+        if (base.type === 'identifier') {
+            const accent = accentMap[component.latexData];
+            return createSemanticNode(
+                {
+                    type: 'identifier',
+                    name: base.name.replace(
+                        /^[^_]*/,
+                        name => name + accent.identifier,
+                    ),
+                    display: identifierDisplayName(base).replace(
+                        /^[^_]*/,
+                        name => name + accent.unicode,
+                    ),
+                },
+                component,
+            );
+        }
+        return createSemanticError('Cannot interpret accent', component, [
+            base,
+        ]);
+    }
+
+    interpretFontStyle(component) {
+        // \mathrm only makes its contents upright, like the d of \mathrm{d}x, so it doesn't change their
+        // meaning. A variable in any other style, like \mathbf{v}, is a variable of its own, named like an
+        // accented variable, such as "vbold".
+        const base = this.parseBlock(component.blocks[0]);
+        const style = fontStyleMap[component.latexData];
+        if (component.latexData === 'mathrm') {
+            this.grouped.add(base);
+            return base;
+        }
+        if (base.type === 'identifier') {
+            return createSemanticNode(
+                {
+                    type: 'identifier',
+                    name: base.name.replace(
+                        /^[^_]*/,
+                        name => name + style.identifier,
+                    ),
+                    display: styleToUnicode(
+                        identifierDisplayName(base),
+                        component.latexData,
+                    ),
+                },
+                component,
+            );
+        }
+        return createSemanticError(
+            `Cannot interpret ${style.word} style`,
+            component,
+            [base],
+        );
+    }
+
+    interpretLines(component) {
+        // Aligned lines that continue the line before them start with the alignment marker, like
+        // x &= 1 + 1 \\ &= 2, so they are read as a single expression. Other lines, and gathered lines, are separate
+        // equations, which can't be combined into one.
+        const rows = component.getRows();
+        const separate = rows.some(
+            (row, i) =>
+                i > 0 &&
+                (component.columns === 1 || row[0].children.length > 0),
+        );
+        if (separate) {
+            return createSemanticError(
+                'Cannot interpret several separate lines',
+                component,
+            );
+        }
+        return this.parseSequence(
+            component.blocks.flatMap(block => block.children),
+            component,
+        );
+    }
+
+    interpretSubscript(component, baseBlock, subscriptBlock) {
+        // A subscripted identifier, like x_1 or a_n, is interpreted as a single identifier
+        const base = this.parseBlock(baseBlock);
+        const subscript = this.parseBlock(subscriptBlock);
+        if (
+            base.type === 'identifier' &&
+            ['identifier', 'number'].includes(subscript.type)
+        ) {
+            const node = createSemanticNode(
+                {
+                    type: 'identifier',
+                    name: `${base.name}_${subscript.name || subscript.value}`,
+                },
+                component,
+            );
+            // Styled and accented variables keep their display name, like 𝐅_1
+            if (base.display !== undefined || subscript.display !== undefined) {
+                const subscriptName =
+                    subscript.type === 'number'
+                        ? subscript.value
+                        : identifierDisplayName(subscript);
+                node.display = `${identifierDisplayName(base)}_${subscriptName}`;
+            }
+            return node;
+        }
+        return createSemanticError('Cannot interpret subscript', component, [
+            base,
+            subscript,
+        ]);
+    }
+
+    applyFunction(component, argument) {
+        // Apply a TrigonometricTwoBlockComponent to its argument, raising it to its exponent if it has one
+        let node = createSemanticNode(
+            { type: 'apply', operator: component.latexData, args: [argument] },
+            component,
+        );
+        if (component.blocks[0].children.length) {
+            node = createSemanticNode(
+                {
+                    type: 'apply',
+                    operator: 'power',
+                    args: [node, this.parseBlock(component.blocks[0])],
+                },
+                component,
+            );
+        }
+        return node;
+    }
+
+    interpretLimit(component) {
+        const node = createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'limit',
+                args: [this.parseBlock(component.blocks[1])],
+            },
+            component,
+        );
+        const condition = this.parseBlock(component.blocks[0]);
+        if (
+            condition.type === 'apply' &&
+            condition.operator === 'tendsto' &&
+            condition.args[0].type === 'identifier'
+        ) {
+            node.variable = condition.args[0];
+            node.approaches = condition.args[1];
+            return node;
+        }
+        return createSemanticError(
+            'Expected a limit of the form "x \\to a"',
+            component,
+            [condition, node.args[0]],
+        );
+    }
+
+    interpretLargeOperator(component) {
+        // Interpret a TemplateThreeBlockComponent like \sum_{i=1}^{n}{i}
+        const operator = largeOperatorNames[component.latexData];
+        if (operator === undefined) {
+            return createSemanticError(
+                `Cannot interpret "\\${component.latexData}"`,
+                component,
+            );
+        }
+        const [lower, upper, body] = component.blocks;
+        const node = createSemanticNode(
+            { type: 'apply', operator, args: [] },
+            component,
+        );
+
+        let bodyComponents = body.children.filter(
+            c => !(c instanceof MJXGUISymbol && c.latexData === '\\:\\:'),
+        );
+        if (operator === 'int') {
+            // A trailing "dx" names the variable of integration
+            const length = bodyComponents.length;
+            const d = bodyComponents[length - 2];
+            if (isDifferentialD(d) && length > 2) {
+                const variable = this.parseSequence(
+                    bodyComponents.slice(length - 1),
+                    component,
+                );
+                if (variable.type === 'identifier') {
+                    node.variable = variable;
+                    bodyComponents = bodyComponents.slice(0, length - 2);
+                }
+            }
+        }
+        node.args.push(this.parseSequence(bodyComponents, component));
+
+        if (lower.children.length) {
+            const lowerNode = this.parseBlock(lower);
+            if (
+                lowerNode.type === 'apply' &&
+                lowerNode.operator === 'eq' &&
+                lowerNode.args[0].type === 'identifier'
+            ) {
+                node.variable = lowerNode.args[0];
+                node.lowerLimit = lowerNode.args[1];
+            } else if (operator === 'int') {
+                node.lowerLimit = lowerNode;
+            } else {
+                node.condition = lowerNode;
+            }
+        }
+        if (upper.children.length) {
+            node.upperLimit = this.parseBlock(upper);
+        }
+        return node;
+    }
+
+    interpretDerivative(component, argument) {
+        // A derivative is a "diff" or "partialdiff" node with the variables it is taken with respect to,
+        // each with its order as a degree when it isn't 1
+        const node = createSemanticNode(
+            {
+                type: 'apply',
+                operator:
+                    component instanceof PartialDerivative
+                        ? 'partialdiff'
+                        : 'diff',
+                args: [argument],
+                variables: [],
+            },
+            component,
+        );
+        for (let { variable, order } of component.variables) {
+            const variableNode = this.parseBlock(variable);
+            if (variableNode.type !== 'identifier') {
+                return createSemanticError(
+                    'Expected a variable to differentiate with respect to',
+                    component,
+                    [variableNode, argument],
+                );
+            }
+            const bvar = { variable: variableNode };
+            if (!isFirstOrder(order)) bvar.degree = this.parseBlock(order);
+            node.variables.push(bvar);
+        }
+        return node;
+    }
+
+    interpretDefiniteIntegral(component) {
+        // A DefiniteIntegral is an "int" node, like the integrals of TemplateThreeBlockComponent
+        const [lower, upper, integrand, variable] = component.blocks;
+        const node = createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'int',
+                args: [this.parseBlock(integrand)],
+                variable: this.parseBlock(variable),
+            },
+            component,
+        );
+        if (node.variable.type !== 'identifier') {
+            return createSemanticError(
+                'Expected the variable of integration',
+                component,
+                [node.args[0], node.variable],
+            );
+        }
+        if (lower.children.length) node.lowerLimit = this.parseBlock(lower);
+        if (upper.children.length) node.upperLimit = this.parseBlock(upper);
+        return node;
+    }
+
+    interpretEvaluationBar(component) {
+        // \left. F \right|_{a}^{b} is F(b) - F(a). The variable is named in the lower limit, like x=a, or is
+        // the only variable of F.
+        const [body, lower, upper] = component.blocks;
+        const expression = this.parseBlock(body);
+        if (!lower.children.length || !upper.children.length) {
+            return createSemanticError(
+                'Expected a lower and an upper limit',
+                component,
+                [expression],
+            );
+        }
+        let variable;
+        let lowerLimit = this.parseBlock(lower);
+        if (
+            lowerLimit.type === 'apply' &&
+            lowerLimit.operator === 'eq' &&
+            lowerLimit.args[0].type === 'identifier'
+        ) {
+            [variable, lowerLimit] = lowerLimit.args;
+        } else {
+            const names = freeIdentifiers(expression);
+            if (names.size !== 1) {
+                return createSemanticError(
+                    'Expected a lower limit of the form "x = a"',
+                    component,
+                    [expression],
+                );
+            }
+            variable = { name: [...names][0] };
+        }
+        const upperLimit = this.parseBlock(upper);
+        return createSemanticNode(
+            {
+                type: 'apply',
+                operator: 'minus',
+                args: [
+                    substituteIdentifier(expression, variable.name, upperLimit),
+                    substituteIdentifier(expression, variable.name, lowerLimit),
+                ],
+            },
+            component,
+        );
+    }
+}
+
+/**
+ * Returns the names of the identifiers of a node of the semantic tree that aren't bound by an operator inside
+ * it, like the i of a sum. The identifier e is Euler's number, so it isn't included.
+ * @param node The node to search
+ */
+function freeIdentifiers(node) {
+    const names = new Set();
+    if (node.type === 'identifier') {
+        if (node.name !== 'e') names.add(node.name);
+        return names;
+    }
+    if (!node.args) return names;
+    const bound = node.variable ? node.variable.name : null;
+    for (let arg of node.args) {
+        for (let name of freeIdentifiers(arg)) {
+            if (name !== bound) names.add(name);
+        }
+    }
+    for (let key of ['lowerLimit', 'upperLimit', 'approaches', 'degree']) {
+        if (node[key])
+            freeIdentifiers(node[key]).forEach(name => names.add(name));
+    }
+    return names;
+}
+
+/**
+ * Returns a copy of a node of the semantic tree with every free identifier of the given name replaced by
+ * value. Identifiers bound by an operator inside the node, like the i of a sum, are left alone. The copies
+ * keep the component of the node they were copied from.
+ * @param node The node to copy
+ * @param name The name of the identifier to replace
+ * @param value The node to replace it with
+ */
+function substituteIdentifier(node, name, value) {
+    if (node.type === 'identifier') return node.name === name ? value : node;
+    if (!node.args) return node;
+    const copy = createSemanticNode({ ...node }, node.component);
+    const bound = node.variable && node.variable.name === name;
+    if (!bound) {
+        copy.args = node.args.map(arg =>
+            substituteIdentifier(arg, name, value),
+        );
+    }
+    for (let key of ['lowerLimit', 'upperLimit', 'approaches', 'degree']) {
+        if (node[key]) copy[key] = substituteIdentifier(node[key], name, value);
+    }
+    return copy;
+}
+
+/**
+ * Returns true if a component is the d of a differential, written as d or \mathrm{d}
+ * @param component The component to check
+ */
+function isDifferentialD(component) {
+    if (component instanceof FontStyle && component.latexData === 'mathrm') {
+        const children = component.blocks[0].children;
+        return children.length === 1 && isDifferentialD(children[0]);
+    }
+    return component instanceof TextComponent && component.toLatex() === 'd';
+}
+
+/**
+ * Returns the name of an identifier node as it is displayed. Greek letters are named after their LaTeX command,
+ * but displayed as the letter itself. Accented and styled variables have their own display name.
+ * @param node The identifier node, like the one named "theta_1"
+ */
+function identifierDisplayName(node) {
+    if (node.display !== undefined) return node.display;
+    return node.name
+        .split('_')
+        .map(part =>
+            `\\${part}` === symbolLatexMap[part]
+                ? symbolUnicodeMap[part]
+                : part,
+        )
+        .join('_');
+}
+
+/**
+ * Generates Content MathML for a node of the semantic tree generated by SemanticParser
+ * @param node The node to generate Content MathML for
+ */
+function semanticTreeToContentMathML(node) {
+    if (node.type === 'number') return `<cn>${node.value}</cn>`;
+    if (node.type === 'identifier') {
+        return `<ci>${escapeXML(identifierDisplayName(node))}</ci>`;
+    }
+    if (node.type === 'constant') return `<${node.name}/>`;
+    if (node.type === 'error') {
+        const args = node.args.map(semanticTreeToContentMathML).join('');
+        return `<cerror><csymbol cd="moreerrors">unexpected</csymbol><cs>${escapeXML(node.message)}</cs>${args}</cerror>`;
+    }
+
+    // Matrices and piecewise functions are containers rather than functions applied to their parts
+    if (contentMathMLContainers.has(node.operator)) {
+        const args = node.args.map(semanticTreeToContentMathML).join('');
+        return `<${node.operator}>${args}</${node.operator}>`;
+    }
+
+    let mathml = `<apply>${contentMathMLOperators[node.operator] || `<${node.operator}/>`}`;
+    // The degree of each variable of a derivative goes in its bvar
+    for (let { variable, degree } of node.variables || []) {
+        const degreeMathML = degree
+            ? `<degree>${semanticTreeToContentMathML(degree)}</degree>`
+            : '';
+        mathml += `<bvar>${semanticTreeToContentMathML(variable)}${degreeMathML}</bvar>`;
+    }
+    if (node.variable)
+        mathml += `<bvar>${semanticTreeToContentMathML(node.variable)}</bvar>`;
+    if (node.degree)
+        mathml += `<degree>${semanticTreeToContentMathML(node.degree)}</degree>`;
+    if (node.approaches)
+        mathml += `<lowlimit>${semanticTreeToContentMathML(node.approaches)}</lowlimit>`;
+    if (node.lowerLimit)
+        mathml += `<lowlimit>${semanticTreeToContentMathML(node.lowerLimit)}</lowlimit>`;
+    if (node.upperLimit)
+        mathml += `<uplimit>${semanticTreeToContentMathML(node.upperLimit)}</uplimit>`;
+    if (node.condition)
+        mathml += `<condition>${semanticTreeToContentMathML(node.condition)}</condition>`;
+    for (let arg of node.args) {
+        mathml += semanticTreeToContentMathML(arg);
+    }
+    return mathml + '</apply>';
+}
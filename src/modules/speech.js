@@ -0,0 +1,717 @@
+// Generates spoken text for an Expression, for screen readers
+// Exposes its API for the MJXGUI class to use
+
+// Words for the characters that are typed instead of being inserted from the toolbar
+const textSpeechMap = {
+    '+': 'plus',
+    '-': 'minus',
+    '*': 'times',
+    '/': 'divided by',
+    '=': 'equals',
+    '<': 'less than',
+    '>': 'greater than',
+    '!': 'factorial',
+    ',': 'comma',
+    ';': 'semicolon',
+    ':': 'colon',
+    "'": 'prime',
+    '|': 'vertical bar',
+    '(': 'open parenthesis',
+    ')': 'close parenthesis',
+    '[': 'open bracket',
+    ']': 'close bracket',
+    '\\{': 'open brace',
+    '\\}': 'close brace',
+    '\\$': 'dollar',
+    '\\#': 'number sign',
+    '\\%': 'percent',
+    '\\&': 'ampersand',
+    '\\_': 'underscore',
+    '\\backslash': 'backslash',
+    '\\:\\:': '',
+};
+
+// Words for the symbols of the toolbar, used when the vocabulary doesn't name them, like for a standalone
+// SpeechGenerator. Greek letters and other symbols that are read as their name are left out.
+const symbolSpeechMap = {
+    '\\times': 'times',
+    '\\div': 'divided by',
+    '\\cdot': 'times',
+    '\\pm': 'plus or minus',
+    '\\mp': 'minus or plus',
+    '\\star': 'star',
+    '\\bigcup': 'union',
+    '\\bigcap': 'intersection',
+    '\\cup': 'union',
+    '\\cap': 'intersection',
+    '\\lt': 'less than',
+    '\\gt': 'greater than',
+    '\\leq': 'less than or equal to',
+    '\\le': 'less than or equal to',
+    '\\geq': 'greater than or equal to',
+    '\\ge': 'greater than or equal to',
+    '\\approx': 'approximately equal to',
+    '\\ne': 'not equal to',
+    '\\neq': 'not equal to',
+    '\\subset': 'subset of',
+    '\\supset': 'superset of',
+    '\\subseteq': 'subset of or equal to',
+    '\\supseteq': 'superset of or equal to',
+    '\\not\\subset': 'not a subset of',
+    '\\not\\supset': 'not a superset of',
+    '\\not\\subseteq': 'not a subset of or equal to',
+    '\\not\\supseteq': 'not a superset of or equal to',
+    '\\propto': 'proportional to',
+    '\\parallel': 'parallel to',
+    '\\nparallel': 'not parallel to',
+    '\\asymp': 'asymptotically equal to',
+    '\\in': 'in',
+    '\\notin': 'not in',
+    '\\exists': 'there exists',
+    '\\nexists': 'there does not exist',
+    '\\forall': 'for all',
+    '\\perp': 'perpendicular to',
+    '\\measuredangle': 'measured angle',
+    '\\Leftarrow': 'is implied by',
+    '\\Rightarrow': 'implies',
+    '\\Leftrightarrow': 'if and only if',
+    '\\to': 'right arrow',
+    '\\rightarrow': 'right arrow',
+    '\\gets': 'left arrow',
+    '\\leftarrow': 'left arrow',
+    '\\leftrightarrow': 'left right arrow',
+    '\\longrightarrow': 'long right arrow',
+    '\\longleftarrow': 'long left arrow',
+    '\\longleftrightarrow': 'long left right arrow',
+    '\\uparrow': 'up arrow',
+    '\\downarrow': 'down arrow',
+    '\\updownarrow': 'up down arrow',
+    '\\hbar': 'h bar',
+    '\\Re': 'real part',
+    '\\infty': 'infinity',
+};
+
+// How each accent is read, and whether its word is read before the accented character
+const accentSpeechMap = {
+    hat: { word: 'hat', before: false },
+    bar: { word: 'bar', before: false },
+    vec: { word: 'vector', before: true },
+    dot: { word: 'dot', before: false },
+    ddot: { word: 'double dot', before: false },
+    tilde: { word: 'tilde', before: false },
+    overline: { word: 'bar', before: false },
+    overrightarrow: { word: 'vector', before: true },
+};
+
+// Words for the delimiters of a Delimited component that are not in textSpeechMap
+const delimiterSpeechMap = {
+    '\\langle': 'open angle bracket',
+    '\\rangle': 'close angle bracket',
+    '\\|': 'double vertical bar',
+    '\\lfloor': 'left floor',
+    '\\rfloor': 'right floor',
+    '\\lceil': 'left ceiling',
+    '\\rceil': 'right ceiling',
+    '.': '',
+};
+
+// Kinds of Delimited components that are read as a function of their contents
+const delimiterSpeechFunctions = {
+    bars: 'absolute value',
+    doubleBars: 'norm',
+    floor: 'floor',
+    ceil: 'ceiling',
+};
+
+// Words for the orders of derivatives that are read as an ordinal, like "the second derivative"
+const derivativeOrdinals = {
+    2: 'second',
+    3: 'third',
+};
+
+// Words for the arrows and symbols of a chemical equation, keyed by the symbol they are drawn as
+const chemistrySpeechMap = {
+    '→': 'yields',
+    '←': 'is formed from',
+    '↔': 'resonates with',
+    '⇌': 'is in equilibrium with',
+    '↑': 'gas',
+    '↓': 'precipitate',
+    '+': 'plus',
+};
+
+// Words for the states of matter in a chemical equation
+const chemistryStateSpeechMap = {
+    '(s)': 'solid',
+    '(l)': 'liquid',
+    '(g)': 'gas',
+    '(aq)': 'aqueous',
+};
+
+// Words for the powers of units that have a name of their own, as in "meters per second squared"
+const unitPowerSpeechMap = {
+    2: 'squared',
+    3: 'cubed',
+};
+
+// Symbols that are read as "approaches" below a limit
+const limitArrowSymbols = new Set(['\\to', '\\rightarrow', '\\longrightarrow']);
+
+/**
+ * Names a symbol that has no words of its own after its LaTeX, like "capital gamma" for \Gamma,
+ * "variant phi" for \varphi or "not sim" for \not\sim
+ * @param latexData The LaTeX of the symbol
+ */
+function symbolSpeechFallback(latexData) {
+    // Other LaTeX, like an environment that isn't supported, is read as is
+    if (!/^(?:\\[a-zA-Z]+\s*)+$/.test(latexData)) {
+        return latexData.replace(/^\\/, '');
+    }
+    return latexData
+        .match(/\\[a-zA-Z]+/g)
+        .map(token => {
+            const name = token.replace(/^\\/, '');
+            if (/^[A-Z][a-z]+$/.test(name)) {
+                return `capital ${name.toLowerCase()}`;
+            }
+            return name.replace(/^var(?=[a-z]{2})/, 'variant ');
+        })
+        .join(' ');
+}
+
+/**
+ * Removes any explanation in parentheses from the title of a toolbar button
+ * @param title The title, like "big cup (union)"
+ */
+function removeExplanation(title) {
+    return title.replace(/\s*\(.*?\)/g, '');
+}
+
+/**
+ * Builds the vocabulary used by SpeechGenerator from the title of every toolbar button inside an element.
+ * Symbols are keyed by their LaTeX, template and trigonometric functions by their LaTeX command name
+ * and other functions by their component class.
+ * @param element The element containing the toolbar buttons, usually the editor window
+ */
+function speechVocabularyFromToolbar(element) {
+    const vocabulary = new Map();
+    element.querySelectorAll('.mjxgui-btn[title]').forEach(button => {
+        let title = button.title.toLowerCase();
+        const latexData = button.dataset.latexData;
+        if (title === '') return;
+        if (button.dataset.functionId in functionComponentMap) {
+            // The first button of a component names it, later ones like the mixed partial derivative are variants
+            if (vocabulary.has(functionComponentMap[button.dataset.functionId]))
+                return;
+            vocabulary.set(
+                functionComponentMap[button.dataset.functionId],
+                title,
+            );
+        } else if (
+            ['three', 'trigonometric'].includes(button.dataset.templateType)
+        ) {
+            vocabulary.set(latexData, title);
+        } else if (latexData in symbolLatexMap) {
+            // Only the case of the title tells capital Greek letters apart
+            if (
+                button.classList.contains('mjxgui-greek-letter') &&
+                /^[A-Z]/.test(latexData)
+            ) {
+                title = `capital ${title}`;
+            }
+            if (!vocabulary.has(symbolLatexMap[latexData])) {
+                vocabulary.set(symbolLatexMap[latexData], title);
+            }
+        } else if (latexData !== undefined) {
+            vocabulary.set(latexData, title);
+        }
+    });
+    return vocabulary;
+}
+
+/**
+ * @class
+ * Generates text describing an Expression the way it would be read out loud, like "the fraction with
+ * numerator x plus 1 and denominator 2" or "sine squared of theta".
+ *
+ * Symbols and functions are named using a vocabulary, which MJXGUI builds from the titles of its toolbar
+ * buttons using speechVocabularyFromToolbar(). Common symbols missing from the vocabulary are read from
+ * symbolSpeechMap, and anything else is named after its LaTeX.
+ *
+ * In verbose mode the start and end of every nested construct is announced, so that the structure of the
+ * equation is unambiguous. Brief mode leaves those out and uses shorter phrases like "x squared".
+ */
+class SpeechGenerator {
+    constructor(expression, options = {}) {
+        /**
+         * @param expression: The Expression to describe
+         * @param options: An object with the mode ("verbose" or "brief") and the vocabulary to use
+         */
+        this.expression = expression;
+        this.mode = options.mode === 'brief' ? 'brief' : 'verbose';
+        this.vocabulary = options.vocabulary || new Map();
+    }
+
+    generate() {
+        // Generate the spoken text for the whole expression
+        return this.speakSequence(this.expression.components);
+    }
+
+    get verbose() {
+        return this.mode === 'verbose';
+    }
+
+    speakSequence(components) {
+        // Speak a list of components (and strings, in case of a block's children), keeping the
+        // digits of a number together
+        const words = [];
+        let number = '';
+        for (let c of components) {
+            const char =
+                typeof c === 'string'
+                    ? c
+                    : c instanceof TextComponent
+                      ? c.toLatex()
+                      : null;
+            if (char !== null && /^[0-9.]$/.test(char)) {
+                number += char;
+                continue;
+            }
+            if (number) {
+                words.push(number);
+                number = '';
+            }
+            words.push(
+                typeof c === 'string'
+                    ? this.speakText(c)
+                    : this.speakComponent(c),
+            );
+        }
+        if (number) words.push(number);
+        return words.filter(word => word !== '').join(' ');
+    }
+
+    speakBlock(block) {
+        return this.speakSequence(block.children);
+    }
+
+    speakText(char) {
+        if (char in textSpeechMap) return textSpeechMap[char];
+        return char;
+    }
+
+    speakSymbol(latexData) {
+        if (latexData in textSpeechMap && !this.vocabulary.has(latexData))
+            return textSpeechMap[latexData];
+        return this.name(
+            latexData,
+            symbolSpeechMap[latexData] ?? symbolSpeechFallback(latexData),
+        );
+    }
+
+    name(key, fallback) {
+        // The name of a symbol or function from the vocabulary. Brief mode leaves out any explanation in
+        // parentheses, like the "(union)" in "big cup (union)".
+        const name = this.vocabulary.has(key)
+            ? this.vocabulary.get(key)
+            : fallback;
+        return this.verbose ? name : removeExplanation(name);
+    }
+
+    isSimple(block) {
+        // Returns true if a block is a single character, symbol or number, which needs no announcement
+        // of where it ends
+        const children = block.children;
+        if (children.length === 1) {
+            return (
+                children[0] instanceof TextComponent ||
+                children[0] instanceof MJXGUISymbol
+            );
+        }
+        return children.every(
+            c => c instanceof TextComponent && /^[0-9.]$/.test(c.toLatex()),
+        );
+    }
+
+    end(block, word) {
+        // Announce the end of a construct in verbose mode, if the block it ends with is not simple
+        return this.verbose && !this.isSimple(block)
+            ? `, end ${removeExplanation(word)}`
+            : '';
+    }
+
+    speakPower(block) {
+        // Speak an exponent, like "squared" or "to the power n"
+        const exponent = this.speakBlock(block);
+        if (exponent === '2') return 'squared';
+        if (exponent === '3') return 'cubed';
+        if (this.verbose)
+            return `to the power ${exponent}${this.end(block, 'power')}`;
+        return `to the ${exponent}`;
+    }
+
+    speakComponent(component) {
+        if (component instanceof TextComponent)
+            return this.speakText(component.toLatex());
+        if (component instanceof MJXGUISymbol)
+            return this.speakSymbol(component.latexData);
+
+        const blocks = component.blocks;
+        switch (component.constructor) {
+            case Fraction: {
+                const numerator = this.speakBlock(blocks[0]);
+                const denominator = this.speakBlock(blocks[1]);
+                if (this.verbose) {
+                    return `the ${this.name(Fraction, 'fraction')} with numerator ${numerator} and denominator ${denominator}${this.end(blocks[1], 'fraction')}`;
+                }
+                if (this.isSimple(blocks[0]) && this.isSimple(blocks[1])) {
+                    return `${numerator} over ${denominator}`;
+                }
+                return `${this.name(Fraction, 'fraction')} ${numerator} over ${denominator} end ${this.name(Fraction, 'fraction')}`;
+            }
+            case Sqrt:
+                return `${this.verbose ? 'the ' : ''}${this.name(Sqrt, 'square root')} of ${this.speakBlock(blocks[0])}${this.end(blocks[0], 'root')}`;
+            case NthRoot:
+                return this.speakNthRoot(component);
+            case Superscript:
+                return `${this.speakBlock(blocks[0])} ${this.speakPower(blocks[1])}`.trim();
+            case Subscript:
+                return `${this.speakBlock(blocks[0])} ${this.speakSubscript(blocks[1])}`.trim();
+            case SubSupRight:
+                return `${this.speakBlock(blocks[0])} ${this.speakSubscript(blocks[1])} ${this.speakPower(blocks[2])}`.trim();
+            case Limit:
+                return this.speakLimit(component);
+            case FrameBox:
+                return `${this.verbose ? 'the boxed expression' : 'boxed'} ${this.speakBlock(blocks[0])}${this.end(blocks[0], 'box')}`;
+            case TrigonometricTwoBlockComponent:
+                return this.speakTrigonometric(component);
+            case TemplateThreeBlockComponent:
+                return this.speakLargeOperator(component);
+            case Matrix:
+                return this.speakMatrix(component);
+            case Cases:
+                return this.speakCases(component);
+            case AlignedLines:
+                return this.speakLines(component);
+            case Delimited:
+                return this.speakDelimited(component);
+            case Accent:
+                return this.speakAccent(component);
+            case TextRun:
+                return this.speakTextRun(component);
+            case FontStyle:
+                return this.speakFontStyle(component);
+            case Brace:
+            case OverUnderSet:
+                return this.speakLabeled(component);
+            case Derivative:
+            case PartialDerivative:
+                return this.speakDerivative(component);
+            case DefiniteIntegral:
+                return this.speakDefiniteIntegral(component);
+            case EvaluationBar:
+                return this.speakEvaluationBar(component);
+            case ChemicalEquation:
+                return this.speakChemicalEquation(component);
+            case Quantity:
+                return this.speakQuantity(component);
+            case Colored:
+                return `${this.verbose ? 'colored ' : ''}${this.speakBlock(blocks[0])}${this.end(blocks[0], 'color')}`;
+            case ColorBox:
+                return `highlighted ${this.speakBlock(blocks[0])}${this.end(blocks[0], 'highlight')}`;
+            default:
+                return this.speakCustomComponent(component);
+        }
+    }
+
+    speakSubscript(block) {
+        const subscript = this.speakBlock(block);
+        if (this.verbose)
+            return `subscript ${subscript}${this.end(block, 'subscript')}`;
+        return `sub ${subscript}`;
+    }
+
+    speakNthRoot(component) {
+        const index = this.speakBlock(component.blocks[0]);
+        const radicand = this.speakBlock(component.blocks[1]);
+        const end = this.end(component.blocks[1], 'root');
+        if (index === '' || index === '2')
+            return `${this.verbose ? 'the ' : ''}square root of ${radicand}${end}`;
+        if (index === '3')
+            return `${this.verbose ? 'the ' : ''}cube root of ${radicand}${end}`;
+        if (this.verbose)
+            return `the root with index ${index} of ${radicand}${end}`;
+        return `root ${index} of ${radicand}`;
+    }
+
+    speakLimit(component) {
+        // Arrows below a limit are read as "approaches", as in "the limit as x approaches 0 of ..."
+        const approach = component.blocks[0].children
+            .map(c =>
+                c instanceof MJXGUISymbol && limitArrowSymbols.has(c.latexData)
+                    ? 'approaches'
+                    : this.speakSequence([c]),
+            )
+            .join(' ');
+        let speech = `${this.verbose ? 'the ' : ''}${this.name(Limit, 'limit')}`;
+        if (approach) speech += ` as ${approach}`;
+        return `${speech} of ${this.speakBlock(component.blocks[1])}${this.end(component.blocks[1], this.name(Limit, 'limit'))}`;
+    }
+
+    speakTrigonometric(component) {
+        // Like "sine squared of theta" in verbose mode and "sine squared theta" in brief mode
+        let speech = this.name(component.latexData, component.latexData);
+        if (component.blocks[0].children.length)
+            speech += ` ${this.speakPower(component.blocks[0])}`;
+        // A function with an empty argument applies to whatever follows it, which is read after it
+        if (component.blocks[1].children.length === 0) return speech;
+        const argument = this.speakBlock(component.blocks[1]);
+        if (this.verbose)
+            return `${speech} of ${argument}${this.end(component.blocks[1], speech)}`;
+        return `${speech} ${argument}`;
+    }
+
+    speakLargeOperator(component) {
+        // Like "the summation from i equals 1 to n of i squared"
+        const name = this.name(component.latexData, component.latexData);
+        let speech = `${this.verbose ? 'the ' : ''}${name}`;
+        const [lower, upper, body] = component.blocks;
+        if (lower.children.length) speech += ` from ${this.speakBlock(lower)}`;
+        if (upper.children.length) speech += ` to ${this.speakBlock(upper)}`;
+        if (body.children.length)
+            speech += ` of ${this.speakBlock(body)}${this.end(body, name)}`;
+        return speech;
+    }
+
+    speakDerivative(component) {
+        // Like "the second derivative of y with respect to x" or "the partial derivative of f with respect to
+        // x twice and y". A derivative without a function applies to what follows it, which is read after it.
+        const name =
+            component instanceof PartialDerivative
+                ? this.name(PartialDerivative, 'partial derivative')
+                : this.name(Derivative, 'derivative');
+        const variables = component.variables;
+        let speech = `${this.verbose ? 'the ' : ''}${name}`;
+        if (variables.length === 1 && !isFirstOrder(variables[0].order)) {
+            const order = this.speakBlock(variables[0].order);
+            speech =
+                order in derivativeOrdinals
+                    ? `${this.verbose ? 'the ' : ''}${derivativeOrdinals[order]} ${name}`
+                    : `${speech} of order ${order}`;
+        }
+        const respect = variables
+            .map(({ variable, order }) => {
+                const speech = this.speakBlock(variable);
+                if (variables.length === 1 || isFirstOrder(order))
+                    return speech;
+                const times = this.speakBlock(order);
+                return `${speech} ${times === '2' ? 'twice' : `${times} times`}`;
+            })
+            .join(' and ');
+        const fn = component.blocks[0];
+        if (fn.children.length === 0)
+            return `${speech} with respect to ${respect} of`;
+        return `${speech} of ${this.speakBlock(fn)} with respect to ${respect}`;
+    }
+
+    speakDefiniteIntegral(component) {
+        // Like "the integral from 0 to 1 of x squared d x"
+        const [lower, upper, integrand, variable] = component.blocks;
+        // Named like the integral of the large operators, since the limits tell whether it is definite
+        let speech = `${this.verbose ? 'the ' : ''}${this.name('int', 'integral')}`;
+        if (lower.children.length) speech += ` from ${this.speakBlock(lower)}`;
+        if (upper.children.length) speech += ` to ${this.speakBlock(upper)}`;
+        return `${speech} of ${this.speakBlock(integrand)} d ${this.speakBlock(variable)}`;
+    }
+
+    speakEvaluationBar(component) {
+        // Like "x squared evaluated from 0 to 1"
+        const [body, lower, upper] = component.blocks;
+        let speech = `${this.speakBlock(body)} evaluated`;
+        if (lower.children.length) speech += ` from ${this.speakBlock(lower)}`;
+        if (upper.children.length) speech += ` to ${this.speakBlock(upper)}`;
+        return speech;
+    }
+
+    speakChemicalEquation(component) {
+        // Like "2 H 2 plus O 2 yields 2 H 2 O", where each element is read as its symbol followed by the
+        // number of atoms. Charges are read like "Fe 3 plus ion", so that the plus of the charge can be told
+        // apart from the plus between the formulas.
+        const words = chemistryTokens(component.text).map(token => {
+            if (token.kind !== 'formula')
+                return chemistrySpeechMap[token.symbol];
+            return token.atoms
+                .map(atom => {
+                    if (atom.kind === 'state')
+                        return chemistryStateSpeechMap[atom.text];
+                    if (atom.kind === 'dot') return 'dot';
+                    let charge = '';
+                    if (atom.charge !== '') {
+                        const sign = atom.charge
+                            .replace('+', ' plus')
+                            .replace('-', ' minus');
+                        charge = `${sign.trim()} ion`;
+                    }
+                    return [atom.text, atom.subscript, charge]
+                        .filter(word => word !== '')
+                        .join(' ');
+                })
+                .join(' ');
+        });
+        const speech = words.join(' ');
+        return this.verbose
+            ? `the chemical equation ${speech}, end chemical equation`
+            : speech;
+    }
+
+    speakQuantity(component) {
+        // Like "9.81 meters per second squared". The last unit before the divisors is plural unless the number is
+        // 1, as in "5 kilogram meters per second squared". Unknown units are read as typed.
+        const number = this.speakBlock(component.blocks[0]);
+        const units = component.units;
+        const last = units.findLastIndex(unit => unit.power > 0);
+        const words = units.map((unit, i) => {
+            if (unit.unit === null) return unit.text;
+            const { name, plural } = siUnits[unit.unit];
+            const prefix = unit.prefix ? siPrefixes[unit.prefix].name : '';
+            const word =
+                prefix +
+                (i === last && number !== '1' ? (plural ?? `${name}s`) : name);
+            const power = Math.abs(unit.power);
+            const speech =
+                power === 1
+                    ? word
+                    : `${word} ${unitPowerSpeechMap[power] ?? `to the power ${power}`}`;
+            return unit.power < 0 ? `per ${speech}` : speech;
+        });
+        return [number, ...words].join(' ');
+    }
+
+    speakMatrix(component) {
+        // Like "the 2 by 2 matrix, row 1: a, b; row 2: c, d, end matrix" in verbose mode and
+        // "2 by 2 matrix a, b; c, d" in brief mode. The vertical bars of a vmatrix make it a determinant.
+        const name =
+            component.latexData === 'vmatrix'
+                ? 'determinant'
+                : this.name(Matrix, 'matrix');
+        const rows = component
+            .getRows()
+            .map(row =>
+                row.map(block => this.speakBlock(block) || 'blank').join(', '),
+            );
+        const size = `${component.rows} by ${component.columns}`;
+        if (this.verbose) {
+            const contents = rows.map((row, i) => `row ${i + 1}: ${row}`);
+            return `the ${size} ${name}, ${contents.join('; ')}, end ${removeExplanation(name)}`;
+        }
+        return `${size} ${removeExplanation(name)} ${rows.join('; ')}`;
+    }
+
+    speakCases(component) {
+        // Like "the piecewise function, x if x greater than or equal 0; minus x otherwise, end piecewise function"
+        const name = this.name(Cases, 'piecewise function');
+        const rows = component.getRows().map(([value, condition]) => {
+            const speech = this.speakBlock(value) || 'blank';
+            if (condition.children.length === 0) return `${speech} otherwise`;
+            // Conditions that start with text, like \text{if } x > 0 or \text{otherwise}, already say how to read them
+            if (condition.children[0] instanceof TextRun) {
+                return `${speech} ${this.speakBlock(condition)}`;
+            }
+            return `${speech} if ${this.speakBlock(condition)}`;
+        });
+        if (this.verbose) {
+            return `the ${name}, ${rows.join('; ')}, end ${removeExplanation(name)}`;
+        }
+        return `${removeExplanation(name)} ${rows.join('; ')}`;
+    }
+
+    speakFontStyle(component) {
+        // Like "blackboard bold R". Roman is the usual style of words like the d of dx, so it isn't announced.
+        const block = component.blocks[0];
+        const contents = this.speakBlock(block);
+        if (component.latexData === 'mathrm') return contents;
+        const word = fontStyleMap[component.latexData].word;
+        return `${word} ${contents}${this.end(block, word)}`;
+    }
+
+    speakLabeled(component) {
+        // Like "a plus b with underbrace n terms" or "equals with def above"
+        const main = this.speakBlock(component.blocks[0]);
+        const label = this.speakBlock(component.blocks[1]);
+        if (component instanceof Brace) {
+            const brace = component.labelAbove ? 'overbrace' : 'underbrace';
+            return label === ''
+                ? `${main} with ${brace}`
+                : `${main} with ${brace} ${label}${this.end(component.blocks[1], brace)}`;
+        }
+        return `${main} with ${label} ${component.labelAbove ? 'above' : 'below'}`;
+    }
+
+    speakTextRun(component) {
+        // Text is read as the words it is made of, along with any math inside it
+        return textRunPieces(component.blocks[0])
+            .map(piece =>
+                typeof piece === 'string'
+                    ? piece.trim()
+                    : this.speakComponent(piece),
+            )
+            .filter(words => words !== '')
+            .join(' ');
+    }
+
+    speakAccent(component) {
+        // An accent over a single character is read like "x hat" or "vector F". Over anything longer, it is
+        // read like a function, as in "bar of x plus y".
+        const block = component.blocks[0];
+        const { word, before } = accentSpeechMap[component.latexData];
+        const contents = this.speakBlock(block);
+        if (this.isSimple(block)) {
+            return before ? `${word} ${contents}` : `${contents} ${word}`;
+        }
+        return `${word} of ${contents}${this.end(block, word)}`;
+    }
+
+    speakDelimited(component) {
+        // Delimiters that stand for a function are read as one, like "the absolute value of x". Other
+        // delimiters are read like the characters they look like, as in "open parenthesis x close parenthesis".
+        const contents = this.speakBlock(component.blocks[0]);
+        const name = delimiterSpeechFunctions[component.kind];
+        if (name !== undefined) {
+            return `${this.verbose ? 'the ' : ''}${name} of ${contents}${this.end(component.blocks[0], name)}`;
+        }
+        const delimiter = latex =>
+            textSpeechMap[latex] ??
+            delimiterSpeechMap[latex] ??
+            this.speakSymbol(latex);
+        return [delimiter(component.left), contents, delimiter(component.right)]
+            .filter(word => word !== '')
+            .join(' ');
+    }
+
+    speakLines(component) {
+        // Like "2 lines, line 1: x equals 1 plus 1; line 2: equals 2, end lines"
+        const lines = component
+            .getRows()
+            .map(
+                (row, i) =>
+                    `line ${i + 1}: ${this.speakSequence(row.flatMap(block => block.children))}`,
+            );
+        if (this.verbose) {
+            return `${lines.length} line${lines.length === 1 ? '' : 's'}, ${lines.join('; ')}, end lines`;
+        }
+        return lines.join('; ');
+    }
+
+    speakCustomComponent(component) {
+        // Components registered through MJXGUI.registerFunction() are named after the title of their button,
+        // followed by the contents of their blocks. Without a title, the component is read as its linear format.
+        if (!this.vocabulary.has(component.constructor))
+            return componentToUnicode(component);
+        const contents = component.blocks
+            .filter(block => block.children.length)
+            .map(block => this.speakBlock(block));
+        const name = this.name(component.constructor, '');
+        if (contents.length === 0) return name;
+        return `${this.verbose ? 'the ' : ''}${name} of ${contents.join(' and ')}${this.verbose ? `, end ${removeExplanation(name)}` : ''}`;
+    }
+}
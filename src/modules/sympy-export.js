@@ -0,0 +1,252 @@
+// Converts an Expression into a SymPy expression, as Python code
+// Exposes its API for the Expression and MJXGUI classes to use
+
+// Operators that become a call to a SymPy function with the same arguments
+const sympyFunctions = {
+    factorial: 'factorial',
+    abs: 'Abs',
+    floor: 'floor',
+    ceiling: 'ceiling',
+    sin: 'sin',
+    cos: 'cos',
+    tan: 'tan',
+    csc: 'csc',
+    sec: 'sec',
+    cot: 'cot',
+    arcsin: 'asin',
+    arccos: 'acos',
+    arctan: 'atan',
+    eq: 'Eq',
+    neq: 'Ne',
+    lt: 'Lt',
+    gt: 'Gt',
+    leq: 'Le',
+    geq: 'Ge',
+};
+
+// Operators that make a condition, which is what the condition of a piecewise function has to be
+const sympyConditionOperators = new Set([
+    'eq',
+    'neq',
+    'lt',
+    'gt',
+    'leq',
+    'geq',
+]);
+
+// The SymPy class for each large operator
+const sympyLargeOperators = {
+    sum: 'Sum',
+    product: 'Product',
+    int: 'Integral',
+};
+
+// Single letters that are already the name of something else in SymPy, like I for the imaginary unit
+const sympyReservedNames = new Set(['E', 'I', 'N', 'O', 'Q', 'S']);
+
+// Precedence of the Python code generated for each kind of node. Operands of an operator that has a
+// higher precedence are wrapped in parentheses if their precedence is lower.
+const sympyPrecedence = {
+    plus: 1,
+    minus: 1,
+    times: 2,
+    unary: 3,
+    power: 4,
+    atom: 5,
+};
+
+/**
+ * @class
+ * The error thrown when part of an Expression can't be converted to SymPy. component is the
+ * component that can't be converted, or null if it can't be narrowed down to one.
+ */
+class SymPyExportError extends Error {
+    constructor(message, component = null) {
+        super(message);
+        this.name = 'SymPyExportError';
+        this.component = component;
+    }
+}
+
+/**
+ * Converts an Expression into a SymPy expression, as Python code like "(x + 1)/(2)". The expression is
+ * interpreted using SemanticParser. Throws a SymPyExportError naming the construct that can't be converted.
+ *
+ * Single letter variables (and subscripted ones, like x_1) are written as is, so they have to be
+ * defined in Python, for example using "from sympy.abc import *". Other variables, like Greek letters
+ * and letters SymPy already uses like I, are written as Symbol('alpha').
+ * @param expression The Expression to convert
+ */
+function expressionToSymPy(expression) {
+    return semanticTreeToSymPy(new SemanticParser(expression).parse()).code;
+}
+
+/**
+ * Converts a node of the semantic tree into SymPy code. Returns the code along with its precedence, which
+ * is used to decide which operands need parentheses.
+ * @param node The node to convert
+ */
+function semanticTreeToSymPy(node) {
+    const atom = code => ({ code, precedence: sympyPrecedence.atom });
+    const name = node.component ? ` "${node.component.toLatex()}"` : '';
+
+    if (node.type === 'number') return atom(node.value);
+    if (node.type === 'identifier') {
+        if (node.name === 'e') return atom('E');
+        if (
+            /^[a-zA-Z](_[a-zA-Z0-9]+)?$/.test(node.name) &&
+            !sympyReservedNames.has(node.name)
+        ) {
+            return atom(node.name);
+        }
+        return atom(`Symbol('${node.name}')`);
+    }
+    if (node.type === 'constant') {
+        return atom(node.name === 'pi' ? 'pi' : 'oo');
+    }
+    if (node.type === 'error') {
+        throw new SymPyExportError(
+            `Cannot convert${name} to SymPy: ${node.message}`,
+            node.component,
+        );
+    }
+
+    const args = node.args.map(semanticTreeToSymPy);
+    // Wrap an operand in parentheses if it binds less tightly than the operator it is used with
+    const operand = (arg, precedence) =>
+        arg.precedence < precedence ? `(${arg.code})` : arg.code;
+
+    switch (node.operator) {
+        case 'plus':
+            return {
+                code: args.map(arg => arg.code).join(' + '),
+                precedence: sympyPrecedence.plus,
+            };
+        case 'minus':
+            if (args.length === 1) {
+                return {
+                    code: `-${operand(args[0], sympyPrecedence.unary)}`,
+                    precedence: sympyPrecedence.unary,
+                };
+            }
+            return {
+                code: `${args[0].code} - ${operand(args[1], sympyPrecedence.plus + 1)}`,
+                precedence: sympyPrecedence.minus,
+            };
+        case 'times':
+            return {
+                code: args
+                    .map(arg => operand(arg, sympyPrecedence.times))
+                    .join('*'),
+                precedence: sympyPrecedence.times,
+            };
+        case 'divide':
+            return {
+                code: `(${args[0].code})/(${args[1].code})`,
+                precedence: sympyPrecedence.times,
+            };
+        case 'power':
+            // ** is right associative and binds tighter than a unary minus on its left
+            return {
+                code: `${operand(args[0], sympyPrecedence.atom)}**${operand(args[1], sympyPrecedence.atom)}`,
+                precedence: sympyPrecedence.power,
+            };
+        case 'root':
+            if (node.degree) {
+                return atom(
+                    `root(${args[0].code}, ${semanticTreeToSymPy(node.degree).code})`,
+                );
+            }
+            return atom(`sqrt(${args[0].code})`);
+        case 'matrix':
+            return atom(`Matrix([${args.map(row => row.code).join(', ')}])`);
+        case 'matrixrow':
+            return atom(`[${args.map(arg => arg.code).join(', ')}]`);
+        case 'determinant':
+            return atom(`${args[0].code}.det()`);
+        case 'piecewise':
+            if (
+                node.args.some(
+                    piece =>
+                        piece.operator === 'piece' &&
+                        !(
+                            piece.args[1].type === 'apply' &&
+                            sympyConditionOperators.has(piece.args[1].operator)
+                        ),
+                )
+            ) {
+                throw new SymPyExportError(
+                    `Cannot convert${name} to SymPy: the condition of each piece must be a comparison`,
+                    node.component,
+                );
+            }
+            return atom(`Piecewise(${args.map(arg => arg.code).join(', ')})`);
+        case 'piece':
+            return atom(`(${args[0].code}, ${args[1].code})`);
+        case 'otherwise':
+            return atom(`(${args[0].code}, True)`);
+        case 'diff':
+        case 'partialdiff':
+            return atom(derivativeToSymPy(node, args[0]));
+        case 'limit':
+            return atom(
+                `limit(${args[0].code}, ${semanticTreeToSymPy(node.variable).code}, ${semanticTreeToSymPy(node.approaches).code})`,
+            );
+    }
+    if (node.operator in sympyLargeOperators) {
+        return atom(largeOperatorToSymPy(node, args[0], name));
+    }
+    if (node.operator in sympyFunctions) {
+        return atom(
+            `${sympyFunctions[node.operator]}(${args.map(arg => arg.code).join(', ')})`,
+        );
+    }
+    throw new SymPyExportError(
+        `Cannot convert${name} to SymPy: SymPy has no equivalent of ${node.operator}`,
+        node.component,
+    );
+}
+
+/**
+ * Converts a sum, product or integral into SymPy code, like Sum(i**2, (i, 1, n))
+ * @param node The node of the semantic tree to convert
+ * @param body The converted body of the operator
+ * @param name The LaTeX of the operator, quoted, used in error messages
+ */
+function largeOperatorToSymPy(node, body, name) {
+    const operator = sympyLargeOperators[node.operator];
+    if (!node.variable) {
+        throw new SymPyExportError(
+            `Cannot convert${name} to SymPy: ${operator} needs a variable`,
+            node.component,
+        );
+    }
+    const variable = semanticTreeToSymPy(node.variable).code;
+    // Integrals without limits are indefinite
+    if (!node.lowerLimit && !node.upperLimit && node.operator === 'int') {
+        return `${operator}(${body.code}, ${variable})`;
+    }
+    if (!node.lowerLimit || !node.upperLimit) {
+        throw new SymPyExportError(
+            `Cannot convert${name} to SymPy: ${operator} needs a lower and an upper limit`,
+            node.component,
+        );
+    }
+    const lower = semanticTreeToSymPy(node.lowerLimit).code;
+    const upper = semanticTreeToSymPy(node.upperLimit).code;
+    return `${operator}(${body.code}, (${variable}, ${lower}, ${upper}))`;
+}
+
+/**
+ * Converts a derivative into SymPy code, like Derivative(f, (x, 2), y). SymPy doesn't tell ordinary and
+ * partial derivatives apart.
+ * @param node The node of the semantic tree to convert
+ * @param body The converted function being differentiated
+ */
+function derivativeToSymPy(node, body) {
+    const variables = node.variables.map(({ variable, degree }) => {
+        const code = semanticTreeToSymPy(variable).code;
+        return degree ? `(${code}, ${semanticTreeToSymPy(degree).code})` : code;
+    });
+    return `Derivative(${body.code}, ${variables.join(', ')})`;
+}
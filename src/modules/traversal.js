@@ -0,0 +1,218 @@
+// Walks the components of an Expression, and finds and replaces them by their path
+// Exposes its API for the Expression class to use
+
+// A path addresses a node of an Expression the way it is stored. Its first element is the index of a top level
+// component in expression.components, and each component inside another one adds 'blocks', the index of the
+// block and the index of the child in the block. [2, 'blocks', 1, 3] is the fourth child of the second block of
+// the third top level component, and [2, 'blocks', 1] is that block itself.
+
+/**
+ * Returns the entries of the components inside the blocks of a component, in order. Each entry is an object with
+ * the component, its path and its depth, which is 0 for top level components.
+ * @param entry The entry of the component whose children to return
+ */
+function childComponentEntries(entry) {
+    const entries = [];
+    entry.component.blocks.forEach((block, i) => {
+        block.children.forEach((child, j) => {
+            if (child instanceof Component) {
+                entries.push({
+                    component: child,
+                    path: [...entry.path, 'blocks', i, j],
+                    depth: entry.depth + 1,
+                });
+            }
+        });
+    });
+    return entries;
+}
+
+/**
+ * Returns the entries of the top level components of an Expression (see childComponentEntries())
+ * @param expression The Expression
+ */
+function topLevelComponentEntries(expression) {
+    return expression.components.map((component, i) => ({
+        component,
+        path: [i],
+        depth: 0,
+    }));
+}
+
+/**
+ * Iterates over every component of an Expression depth first, visiting each component before the components
+ * inside it. Yields an entry with the component, its path and its depth for each component.
+ * @param expression The Expression to walk
+ */
+function* depthFirstComponents(expression) {
+    const stack = topLevelComponentEntries(expression).reverse();
+    while (stack.length) {
+        const entry = stack.pop();
+        yield entry;
+        stack.push(...childComponentEntries(entry).reverse());
+    }
+}
+
+/**
+ * Iterates over every component of an Expression breadth first, visiting all the components at one depth before
+ * the ones inside them. Yields the same entries as depthFirstComponents().
+ * @param expression The Expression to walk
+ */
+function* breadthFirstComponents(expression) {
+    const queue = topLevelComponentEntries(expression);
+    for (let i = 0; i < queue.length; i++) {
+        yield queue[i];
+        queue.push(...childComponentEntries(queue[i]));
+    }
+}
+
+/**
+ * Returns the JSON type names of the class of a component and of each class it inherits from, starting with its
+ * own class, like ['Fraction', 'TwoBlockComponent', 'Component']
+ * @param component The component
+ */
+function componentTypeChain(component) {
+    const types = [];
+    for (
+        let componentClass = component.constructor;
+        componentClass !== Function.prototype;
+        componentClass = Object.getPrototypeOf(componentClass)
+    ) {
+        types.push(getComponentType(componentClass));
+        if (componentClass === Component) break;
+    }
+    return types;
+}
+
+/**
+ * Calls the hooks of a visitor for every component of an Expression, depth first. The visitor maps type names
+ * (see getComponentType()) to an object with enter() and leave() hooks, or to a function that is used as the
+ * enter() hook. Each component uses the hooks of its own class, or else of the closest class it inherits from,
+ * so Component hooks apply to every component without more specific ones. enter() is called before the
+ * components inside the component are visited and leave() after. Both are passed the component and its path.
+ * Returning false from enter() skips the components inside it.
+ * @param expression The Expression to visit
+ * @param visitor The visitor, like { Fraction: { enter(component, path) {}, leave(component, path) {} } }
+ */
+function visitExpression(expression, visitor) {
+    const visit = entry => {
+        const type = componentTypeChain(entry.component).find(
+            type => type in visitor,
+        );
+        const hooks =
+            typeof visitor[type] === 'function'
+                ? { enter: visitor[type] }
+                : visitor[type] || {};
+        const skip =
+            hooks.enter && hooks.enter(entry.component, entry.path) === false;
+        if (!skip) childComponentEntries(entry).forEach(visit);
+        if (hooks.leave) hooks.leave(entry.component, entry.path);
+    };
+    topLevelComponentEntries(expression).forEach(visit);
+}
+
+/**
+ * Returns the node of an Expression at a path, which is a component, a block or a string in a block (like the
+ * character of a TextComponent). Returns the Expression itself for an empty path, and undefined if the path
+ * doesn't lead to a node.
+ * @param expression The Expression
+ * @param path The path, like [2, 'blocks', 1, 3]
+ */
+function getAtPath(expression, path) {
+    let node = expression;
+    for (let i = 0; i < path.length; i++) {
+        if (node instanceof Expression) {
+            node = node.components[path[i]];
+        } else if (node instanceof Component && path[i] === 'blocks') {
+            node = node.blocks[path[++i]];
+        } else if (node instanceof Block) {
+            node = node.children[path[i]];
+        } else {
+            return undefined;
+        }
+        if (node === undefined) return undefined;
+    }
+    return node;
+}
+
+/**
+ * Replaces the node of an Expression at a path with another one, setting its parent. A component is replaced
+ * with a component (or a string in a block) and a block with a block. Returns the node that was replaced. Throws
+ * an error if the path doesn't lead to a node that can be replaced with the given one.
+ * @param expression The Expression
+ * @param path The path of the node to replace, like [2, 'blocks', 1, 3]
+ * @param node The node to put in its place
+ */
+function replaceAtPath(expression, path, node) {
+    const replacesBlock = path[path.length - 2] === 'blocks';
+    const parent = getAtPath(
+        expression,
+        path.slice(0, replacesBlock ? -2 : -1),
+    );
+    const index = path[path.length - 1];
+    const error = new Error(
+        `Cannot replace the node at ${JSON.stringify(path)}`,
+    );
+    if (path.length === 0 || getAtPath(expression, path) === undefined)
+        throw error;
+
+    if (replacesBlock) {
+        if (!(node instanceof Block)) throw error;
+        const replaced = parent.blocks[index];
+        parent.blocks[index] = node;
+        node.parent = parent;
+        return replaced;
+    }
+    if (parent instanceof Expression) {
+        if (!(node instanceof Component)) throw error;
+        const replaced = parent.components[index];
+        parent.components[index] = node;
+        node.parent = null;
+        return replaced;
+    }
+    if (!(node instanceof Component) && typeof node !== 'string') throw error;
+    const replaced = parent.children[index];
+    parent.children[index] = node;
+    if (node instanceof Component) node.parent = parent;
+    return replaced;
+}
+
+/**
+ * Returns true if a component matches a query of findComponents(). A query is a component class, which matches
+ * instances of the class and its subclasses, a type name (see getComponentType()), which matches the same way, or
+ * a function that is passed the component and its path and returns true for the components that match.
+ * @param query The query
+ * @param entry The entry of the component, with the component and its path
+ */
+function componentMatches(query, entry) {
+    if (query === Component || query.prototype instanceof Component)
+        return entry.component instanceof query;
+    if (typeof query === 'string')
+        return componentTypeChain(entry.component).includes(query);
+    return Boolean(query(entry.component, entry.path));
+}
+
+/**
+ * Returns the components of an Expression that match a query (see componentMatches()), in depth first order
+ * @param expression The Expression to search
+ * @param query The component class, type name or function to match, like Fraction
+ */
+function findComponents(expression, query) {
+    const components = [];
+    for (let entry of depthFirstComponents(expression)) {
+        if (componentMatches(query, entry)) components.push(entry.component);
+    }
+    return components;
+}
+
+/**
+ * Returns the path of a component of an Expression, or null if it isn't in the Expression
+ * @param expression The Expression to search
+ * @param component The component to look for
+ */
+function componentPath(expression, component) {
+    for (let entry of depthFirstComponents(expression)) {
+        if (entry.component === component) return entry.path;
+    }
+    return null;
+}
@@ -109,6 +109,272 @@ const symbolLatexMap = {
     infin: '\\infty',
 };
 
+const symbolUnicodeMap = {
+    // Lowercase greek letters
+    alpha: 'α',
+    beta: 'β',
+    gamma: 'γ',
+    delta: 'δ',
+    epsilon: 'ϵ',
+    zeta: 'ζ',
+    eta: 'η',
+    theta: 'θ',
+    iota: 'ι',
+    kappa: 'κ',
+    lambda: 'λ',
+    mu: 'μ',
+    nu: 'ν',
+    xi: 'ξ',
+    omicron: 'ο',
+    pi: 'π',
+    rho: 'ρ',
+    sigma: 'σ',
+    tau: 'τ',
+    upsilon: 'υ',
+    phi: 'ϕ',
+    chi: 'χ',
+    psi: 'ψ',
+    omega: 'ω',
+
+    // Uppercase greek letters
+    Alpha: 'Α',
+    Beta: 'Β',
+    Gamma: 'Γ',
+    Delta: 'Δ',
+    Epsilon: 'Ε',
+    Zeta: 'Ζ',
+    Eta: 'Η',
+    Theta: 'Θ',
+    Iota: 'Ι',
+    Kappa: 'Κ',
+    Lambda: 'Λ',
+    Mu: 'Μ',
+    Nu: 'Ν',
+    Xi: 'Ξ',
+    Omicron: 'Ο',
+    Pi: 'Π',
+    Rho: 'Ρ',
+    Sigma: 'Σ',
+    Tau: 'Τ',
+    Upsilon: 'Υ',
+    Phi: 'Φ',
+    Chi: 'Χ',
+    Psi: 'Ψ',
+    Omega: 'Ω',
+
+    // Operators and symbols
+    times: '×',
+    div: '÷',
+    centerdot: '⋅',
+    plusmn: '±',
+    mnplus: '∓',
+    starf: '⋆',
+    bigcup: '⋃',
+    bigcap: '⋂',
+    cup: '∪',
+    cap: '∩',
+    lt: '<',
+    gt: '>',
+    leq: '≤',
+    GreaterEqual: '≥',
+    equals: '=',
+    approx: '≈',
+    NotEqual: '≠',
+    sub: '⊂',
+    sup: '⊃',
+    sube: '⊆',
+    supe: '⊇',
+    nsub: '⊄',
+    nsup: '⊅',
+    nsube: '⊈',
+    nsupe: '⊉',
+    propto: '∝',
+    parallel: '∥',
+    npar: '∦',
+    asympeq: '≍',
+    isin: '∈',
+    notin: '∉',
+    exist: '∃',
+    nexist: '∄',
+    perp: '⊥',
+    angle: '∠',
+    angmsd: '∡',
+    Leftarrow: '⇐',
+    Rightarrow: '⇒',
+    Leftrightarrow: '⇔',
+    rightarrow: '→',
+    leftarrow: '←',
+    leftrightarrow: '↔',
+    longrightarrow: '⟶',
+    longleftarrow: '⟵',
+    longleftrightarrow: '⟷',
+    uparrow: '↑',
+    downarrow: '↓',
+    updownarrow: '↕',
+    PartialD: '∂',
+    hbar: 'ℏ',
+    real: 'ℜ',
+    nabla: '∇',
+    infin: '∞',
+};
+
+// Unicode for the symbols inserted by Cursor.keyPress instead of a toolbar button
+const keyPressSymbolUnicodeMap = {
+    '\\:\\:': ' ',
+    '\\backslash': '\\',
+    '\\$': '$',
+    '\\#': '#',
+    '\\%': '%',
+    '\\&': '&',
+    '\\_': '_',
+    '\\{': '{',
+    '\\}': '}',
+};
+
+// AsciiMath for the symbols that have an AsciiMath name. Symbols not listed here
+// are written as their Unicode character.
+const symbolAsciiMathMap = {
+    // Lowercase greek letters
+    alpha: 'alpha',
+    beta: 'beta',
+    gamma: 'gamma',
+    delta: 'delta',
+    epsilon: 'epsilon',
+    zeta: 'zeta',
+    eta: 'eta',
+    theta: 'theta',
+    iota: 'iota',
+    kappa: 'kappa',
+    lambda: 'lambda',
+    mu: 'mu',
+    nu: 'nu',
+    xi: 'xi',
+    pi: 'pi',
+    rho: 'rho',
+    sigma: 'sigma',
+    tau: 'tau',
+    upsilon: 'upsilon',
+    phi: 'phi',
+    chi: 'chi',
+    psi: 'psi',
+    omega: 'omega',
+
+    // Uppercase greek letters
+    Alpha: 'A',
+    Beta: 'B',
+    Gamma: 'Gamma',
+    Delta: 'Delta',
+    Epsilon: 'E',
+    Zeta: 'Z',
+    Eta: 'H',
+    Theta: 'Theta',
+    Iota: 'I',
+    Kappa: 'K',
+    Lambda: 'Lambda',
+    Mu: 'M',
+    Nu: 'N',
+    Xi: 'Xi',
+    Omicron: 'O',
+    Pi: 'Pi',
+    Rho: 'P',
+    Sigma: 'Sigma',
+    Tau: 'T',
+    Phi: 'Phi',
+    Chi: 'X',
+    Psi: 'Psi',
+    Omega: 'Omega',
+
+    // Operators and symbols
+    times: 'xx',
+    div: '-:',
+    centerdot: '*',
+    plusmn: '+-',
+    mnplus: '-+',
+    starf: '***',
+    bigcup: 'uuu',
+    bigcap: 'nnn',
+    cup: 'uu',
+    cap: 'nn',
+    lt: 'lt',
+    gt: 'gt',
+    leq: '<=',
+    GreaterEqual: '>=',
+    equals: '=',
+    approx: '~~',
+    NotEqual: '!=',
+    sub: 'sub',
+    sup: 'sup',
+    sube: 'sube',
+    supe: 'supe',
+    propto: 'prop',
+    isin: 'in',
+    notin: '!in',
+    exist: 'EE',
+    perp: '_|_',
+    angle: '/_',
+    Leftarrow: 'lArr',
+    Rightarrow: '=>',
+    Leftrightarrow: '<=>',
+    rightarrow: '->',
+    leftarrow: 'larr',
+    leftrightarrow: 'harr',
+    uparrow: 'uarr',
+    downarrow: 'darr',
+    PartialD: 'del',
+    nabla: 'grad',
+    infin: 'oo',
+};
+
+// AsciiMath for the symbols inserted by Cursor.keyPress instead of a toolbar button
+const keyPressSymbolAsciiMathMap = {
+    '\\:\\:': '\\ ',
+    '\\backslash': '\\\\',
+    '\\$': '$',
+    '\\#': '#',
+    '\\%': '%',
+    '\\&': '&',
+    '\\_': '_',
+    '\\{': '{',
+    '\\}': '}',
+};
+
+/**
+ * Returns the name of a symbol in symbolLatexMap given its LaTeX, or null if the symbol is not known.
+ * @param latexData The LaTeX of the symbol, as stored in MJXGUISymbol.latexData
+ */
+function getSymbolName(latexData) {
+    for (let name in symbolLatexMap) {
+        if (symbolLatexMap[name] === latexData) return name;
+    }
+    return null;
+}
+
+/**
+ * Returns the Unicode character for the LaTeX of a symbol, or null if the symbol is not known.
+ * @param latexData The LaTeX of the symbol, as stored in MJXGUISymbol.latexData
+ */
+function symbolLatexToUnicode(latexData) {
+    if (latexData in keyPressSymbolUnicodeMap) {
+        return keyPressSymbolUnicodeMap[latexData];
+    }
+    const name = getSymbolName(latexData);
+    return name === null ? null : symbolUnicodeMap[name];
+}
+
+/**
+ * Returns the AsciiMath for the LaTeX of a symbol, or null if the symbol is not known.
+ * Symbols without an AsciiMath name are returned as their Unicode character.
+ * @param latexData The LaTeX of the symbol, as stored in MJXGUISymbol.latexData
+ */
+function symbolLatexToAsciiMath(latexData) {
+    if (latexData in keyPressSymbolAsciiMathMap) {
+        return keyPressSymbolAsciiMathMap[latexData];
+    }
+    const name = getSymbolName(latexData);
+    if (name === null) return null;
+    return symbolAsciiMathMap[name] || symbolUnicodeMap[name];
+}
+
 const functionComponentMap = {
     lim: Limit,
     sqrt: Sqrt,
@@ -117,8 +383,114 @@ const functionComponentMap = {
     sup: Superscript,
     subsup: SubSupRight,
     frac: Fraction,
+    matrix: Matrix,
+    cases: Cases,
+    derivative: Derivative,
+    partial: PartialDerivative,
+    integral: DefiniteIntegral,
+    evaluate: EvaluationBar,
 };
 
+/**
+ * Defines a component from a LaTeX template, like
+ * defineComponent({ name: 'stacked', template: '\\overset{#1}{#2}', blocks: 2 }). Each #n in the template is
+ * replaced with the LaTeX of block n, and the cursor moves through the blocks in that order. The generated class
+ * is recorded in JSON as name and added to functionComponentMap, so a toolbar button with name as its
+ * data-function-id, and MJXGUI.insertFunction(name), insert it. Returns the generated class.
+ * @param definition The name of the component, its LaTeX template and its number of blocks. The number of
+ * blocks defaults to the highest #n in the template, and must be at least one.
+ */
+function defineComponent({ name, template, blocks }) {
+    if (
+        typeof name !== 'string' ||
+        name === '' ||
+        typeof template !== 'string'
+    ) {
+        throw new Error('A component needs a name and a template');
+    }
+    if (
+        Object.prototype.hasOwnProperty.call(functionComponentMap, name) ||
+        Object.prototype.hasOwnProperty.call(componentRegistry, name)
+    ) {
+        throw new Error(`A component named "${name}" already exists`);
+    }
+    const references = [...template.matchAll(/#([1-9])/g)].map(match =>
+        Number(match[1]),
+    );
+    const highest = Math.max(0, ...references);
+    if (blocks === undefined) blocks = highest;
+    if (!Number.isInteger(blocks) || blocks < 1) {
+        throw new Error(`The component "${name}" needs at least one block`);
+    }
+    if (blocks < highest) {
+        throw new Error(
+            `The template of "${name}" uses #${highest} but the component has ${blocks} blocks`,
+        );
+    }
+
+    const componentClass = class extends TemplateComponent {};
+    Object.defineProperty(componentClass, 'name', { value: name });
+    componentClass.template = template;
+    componentClass.blockCount = blocks;
+    registerComponent(componentClass, name);
+    functionComponentMap[name] = componentClass;
+    return componentClass;
+}
+
+// The number of rows and columns offered by the matrix size picker
+const matrixPickerSize = 6;
+
+// The time in milliseconds the display has to stay unchanged before the spoken form of the equation is updated
+const speechUpdateDelay = 300;
+
+// The colors offered by the color picker, unless the colors option gives a list of approved colors. These names
+// are known to both LaTeX's xcolor package and CSS.
+const defaultColorPalette = [
+    'red',
+    'orange',
+    'yellow',
+    'green',
+    'cyan',
+    'blue',
+    'purple',
+    'magenta',
+    'gray',
+];
+
+/**
+ * Replaces every Colored and ColorBox component whose color isn't approved with its contents, so that an
+ * equation loaded into an editor with a restricted palette only uses the approved colors. Color commands the
+ * LaTeX parser kept as is, like \color[rgb]{1,0,0}{x}, can't be checked, so they are removed entirely.
+ * @param components The components to check, which are changed in place
+ * @param approved A Set of the approved colors, in lowercase
+ */
+function removeUnapprovedColors(components, approved) {
+    for (let i = components.length - 1; i >= 0; i--) {
+        const component = components[i];
+        if (!(component instanceof Component)) continue;
+        if (
+            component instanceof MJXGUISymbol &&
+            /^\\color(box)?(?![a-zA-Z])/.test(component.latexData)
+        ) {
+            components.splice(i, 1);
+            continue;
+        }
+        for (let block of component.blocks) {
+            removeUnapprovedColors(block.children, approved);
+        }
+        if (
+            component instanceof Colored &&
+            !approved.has(component.color.toLowerCase())
+        ) {
+            const contents = component.blocks[0].children;
+            contents.forEach(c => {
+                c.parent = component.parent;
+            });
+            components.splice(i, 1, ...contents);
+        }
+    }
+}
+
 class MJXGUI {
     constructor(
         elementSelector,
@@ -130,6 +502,10 @@ class MJXGUI {
         this.options = options;
         this.mathDelimiter = this.options.mathDelimiter || '$$';
         this.isPersistent = options.isPersistent || false;
+        this.outputFormat = (options.outputFormat || 'latex').toLowerCase();
+        this.speechMode = options.speechMode || 'verbose';
+        this.colorPalette = options.colors || defaultColorPalette;
+        this.quantityFormat = options.quantityFormat || 'latex';
         this.successCallback = successCallback;
         this.eqnHistory = [];
         this.expression = new Expression();
@@ -155,6 +531,9 @@ class MJXGUI {
 
         this.constructUI();
         this.cursor = new Cursor(this.expression, this.eqnDisplay);
+        this.cursor.multiLineEnvironment =
+            options.multiLineEnvironment || 'aligned';
+        this.speechVocabulary = speechVocabularyFromToolbar(this.editorWindow);
         this.elements.forEach(el => {
             el.addEventListener('click', this.showUI);
         });
@@ -192,6 +571,84 @@ class MJXGUI {
         functions.forEach(func => {
             func.addEventListener('click', () => {
                 let _;
+                if (func.dataset.templateType === 'matrix') {
+                    // Matrices are inserted from the size picker
+                    this.matrixPicker.dataset.visible =
+                        this.matrixPicker.dataset.visible === 'true'
+                            ? 'false'
+                            : 'true';
+                    return;
+                }
+                if (func.dataset.templateType === 'style') {
+                    // Styles wrap the selected components, if there are any
+                    this.cursor.wrapSelection(
+                        new FontStyle(
+                            this.cursor.block,
+                            func.dataset.latexData,
+                        ),
+                    );
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (
+                    ['accent', 'brace', 'set'].includes(
+                        func.dataset.templateType,
+                    )
+                ) {
+                    // Accents, braces and stacked labels annotate the selected components, if there are any
+                    const componentClass = {
+                        accent: Accent,
+                        brace: Brace,
+                        set: OverUnderSet,
+                    }[func.dataset.templateType];
+                    this.cursor.wrapSelection(
+                        new componentClass(
+                            this.cursor.block,
+                            func.dataset.latexData,
+                        ),
+                    );
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'color') {
+                    // Colors are applied from the color picker
+                    this.colorPicker.dataset.visible =
+                        this.colorPicker.dataset.visible === 'true'
+                            ? 'false'
+                            : 'true';
+                    return;
+                }
+                if (func.dataset.templateType === 'text') {
+                    this.cursor.toggleTextMode();
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'chemistry') {
+                    this.cursor.toggleChemistryMode();
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'chemistry-symbol') {
+                    this.cursor.addChemistrySymbol(func.dataset.latexData);
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'quantity') {
+                    // A selected number becomes the number of the quantity
+                    this.cursor.wrapSelection(
+                        new Quantity(this.cursor.block, this.quantityFormat),
+                    );
+                    this.cursor.updateDisplay();
+                    return;
+                }
+                if (func.dataset.templateType === 'delimited') {
+                    // Delimiters are inserted or changed from the delimiter picker
+                    this.delimiterPicker.dataset.visible =
+                        this.delimiterPicker.dataset.visible === 'true'
+                            ? 'false'
+                            : 'true';
+                    return;
+                }
                 if (func.dataset.templateType !== 'null') {
                     if (func.dataset.templateType === 'three') {
                         _ = new TemplateThreeBlockComponent(
@@ -204,6 +661,12 @@ class MJXGUI {
                             func.dataset.latexData,
                         );
                     }
+                } else if (func.dataset.variables) {
+                    // Derivative buttons can set the number of variables, like the mixed partial derivative
+                    _ = new functionComponentMap[func.dataset.functionId](
+                        this.cursor.block,
+                        Number(func.dataset.variables),
+                    );
                 } else {
                     _ = new functionComponentMap[func.dataset.functionId](
                         this.cursor.block,
@@ -222,7 +685,7 @@ class MJXGUI {
         editorDiv.classList.add('_mjxgui_editor_window');
         editorDiv.dataset.visible = 'false';
         editorDiv.innerHTML =
-            '<div class="mjxgui_editor_controls"><div style="cursor: pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="mjxgui_close_button_svg" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></div><div class="mjxgui_clear_save_buttons"><span class="mjxgui_button_container _mjxgui_clear_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-trash" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="4" y1="7" x2="20" y2="7"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/><path d="M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12"/><path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3"/></svg> </span><span class="mjxgui_button_container _mjxgui_save_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-check" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l5 5l10 -10"/></svg></span></div></div><div class="_mjxgui_tab_container_container"><div class="mjxgui_tab_container" data-tab="1">&alpha; Letters</div><div class="mjxgui_tab_container" data-tab="2">&plusmn; Symbols</div><div class="mjxgui_tab_container" data-tab="3">&Sigma; Functions</div></div><div class="mjxgui_tab _mjxgui_letters_tab" style="display: flex;" data-tab="1"><span class="mjxgui-btn mjxgui-greek-letter" title="Alpha" data-latex-data="Alpha">&Alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Beta" data-latex-data="Beta">&Beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Gamma" data-latex-data="Gamma">&Gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Delta" data-latex-data="Delta">&Delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Epsilon" data-latex-data="Epsilon">&Epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Zeta" data-latex-data="Zeta">&Zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Eta" data-latex-data="Eta">&Eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Theta" data-latex-data="Theta">&Theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Iota" data-latex-data="Iota">&Iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Kappa" data-latex-data="Kappa">&Kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Lambda" data-latex-data="Lambda">&Lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Mu" data-latex-data="Mu">&Mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Nu" data-latex-data="Nu">&Nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Xi" data-latex-data="Xi">&Xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omicron" data-latex-data="Omicron">&Omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Pi" data-latex-data="Pi">&Pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Rho" data-latex-data="Rho">&Rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Sigma" data-latex-data="Sigma">&Sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Tau" data-latex-data="Tau">&Tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Upsilon" data-latex-data="Upsilon">&Upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Phi" data-latex-data="Phi">&Phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Chi" data-latex-data="Chi">&Chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Psi" data-latex-data="Psi">&Psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omega" data-latex-data="Omega">&Omega;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="alpha" data-latex-data="alpha">&alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="beta" data-latex-data="beta">&beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="gamma" data-latex-data="gamma">&gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="delta" data-latex-data="delta">&delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="epsilon" data-latex-data="epsilon">&epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="zeta" data-latex-data="zeta">&zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="eta" data-latex-data="eta">&eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="theta" data-latex-data="theta">&theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="iota" data-latex-data="iota">&iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="kappa" data-latex-data="kappa">&kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="lambda" data-latex-data="lambda">&lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="mu" data-latex-data="mu">&mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="nu" data-latex-data="nu">&nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="xi" data-latex-data="xi">&xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omicron" data-latex-data="omicron">&omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="pi" data-latex-data="pi">&pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="rho" data-latex-data="rho">&rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="sigma" data-latex-data="sigma">&sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="tau" data-latex-data="tau">&tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="upsilon" data-latex-data="upsilon">&upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="phi" data-latex-data="phi">&phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="chi" data-latex-data="chi">&chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="psi" data-latex-data="psi">&psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omega" data-latex-data="omega">&omega;</span></div><div class="mjxgui_tab _mjxgui_symbols_tab" data-tab="2"><span class="mjxgui-btn mjxgui-operator" title="Times" data-latex-data="times">&times;</span> <span class="mjxgui-btn mjxgui-operator" title="Divide" data-latex-data="div">&div;</span> <span class="mjxgui-btn mjxgui-operator" title="Center dot" data-latex-data="centerdot">&centerdot;</span> <span class="mjxgui-btn mjxgui-operator" title="Plus-minus" data-latex-data="plusmn">&plusmn;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than" data-latex-data="lt">&lt;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than" data-latex-data="gt">&gt;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than or equal to" data-latex-data="leq">&leq;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than or equal to" data-latex-data="GreaterEqual">&GreaterEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Equals" data-latex-data="equals">&equals;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximate" data-latex-data="approx">&approx;</span> <span class="mjxgui-btn mjxgui-operator" title="Not equal" data-latex-data="NotEqual">&NotEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Minus-plus" data-latex-data="mnplus">&mnplus;</span> <span class="mjxgui-btn mjxgui-operator" title="Star" data-latex-data="starf">&starf;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cup" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cap" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-operator" title="Cup" data-latex-data="cup">&cup;</span> <span class="mjxgui-btn mjxgui-operator" title="Cap" data-latex-data="cap">&cap;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of" data-latex-data="sub">&sub;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of" data-latex-data="sup">&sup;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of or equal to" data-latex-data="sube">&sube;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of or equal to" data-latex-data="supe">&supe;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of" data-latex-data="nsub">&nsub;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of" data-latex-data="nsup">&nsup;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of or equal to" data-latex-data="nsube">&nsube;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of or equal to" data-latex-data="nsupe">&nsupe;</span> <span class="mjxgui-btn mjxgui-operator" title="Proportional to" data-latex-data="propto">&propto;</span> <span class="mjxgui-btn mjxgui-operator" title="Parallel to" data-latex-data="parallel">&parallel;</span> <span class="mjxgui-btn mjxgui-operator" title="Not parallel to" data-latex-data="npar">&npar;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximately equal to" data-latex-data="asympeq">&asympeq;</span> <span class="mjxgui-btn mjxgui-operator" title="Element of" data-latex-data="isin">&isin;</span> <span class="mjxgui-btn mjxgui-operator" title="Not an element of" data-latex-data="notin">&notin;</span> <span class="mjxgui-btn mjxgui-operator" title="There exists" data-latex-data="exist">&exist;</span> <span class="mjxgui-btn mjxgui-operator" title="There does not exists" data-latex-data="nexist">&nexist;</span> <span class="mjxgui-btn mjxgui-operator" title="Perpendicular to" data-latex-data="perp">&perp;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (left)" data-latex-data="Leftarrow">&Leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (right)" data-latex-data="Rightarrow">&Rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="If and only if (iff)" data-latex-data="Leftrightarrow">&Leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Angle" data-latex-data="angle">&angle;</span> <span class="mjxgui-btn mjxgui-operator" title="Measured angle" data-latex-data="angmsd">&angmsd;</span> <span class="mjxgui-btn mjxgui-operator" title="Right arrow" data-latex-data="rightarrow">&rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left arrow" data-latex-data="leftarrow">&leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left right arrow" data-latex-data="leftrightarrow">&leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long right arrow" data-latex-data="longrightarrow">&longrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left arrow" data-latex-data="longleftarrow">&longleftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left right arrow" data-latex-data="longleftrightarrow">&longleftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up arrow" data-latex-data="uparrow">&uparrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Down arrow" data-latex-data="downarrow">&downarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up down arrow" data-latex-data="updownarrow">&updownarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Partial derivative" data-latex-data="PartialD">&PartialD;</span> <span class="mjxgui-btn mjxgui-operator" title="Reduced plank constant (h-bar)" data-latex-data="hbar">&hbar;</span> <span class="mjxgui-btn mjxgui-operator" title="Real part symbol" data-latex-data="real">&real;</span> <span class="mjxgui-btn mjxgui-operator" title="Nabla, del operator" data-latex-data="nabla">&nabla;</span> <span class="mjxgui-btn mjxgui-operator" title="Infinity symbol" data-latex-data="infin">&infin;</span></div><div class="mjxgui_tab _mjxgui_functions_tab" data-tab="3"><span class="mjxgui-btn mjxgui-function" title="Summation" data-template-type="three" data-latex-data="sum">&Sigma;</span> <span class="mjxgui-btn mjxgui-function" title="Integral" data-template-type="three" data-latex-data="int">&int;</span> <span class="mjxgui-btn mjxgui-function" title="Double integral" data-template-type="three" data-latex-data="iint">&#8748</span> <span class="mjxgui-btn mjxgui-function" title="Triple integral" data-template-type="three" data-latex-data="iiint">&iiint;</span> <span class="mjxgui-btn mjxgui-function" title="Contour integral" data-template-type="three" data-latex-data="oint">&oint;</span> <span class="mjxgui-btn mjxgui-function" title="Product" data-template-type="three" data-latex-data="prod">&Pi;</span> <span class="mjxgui-btn mjxgui-function" title="Co product" data-template-type="three" data-latex-data="coprod">&coprod;</span> <span class="mjxgui-btn mjxgui-function" title="Big cup (union)" data-template-type="three" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-function" title="Big cap (intersection)" data-template-type="three" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-function" title="Big vee (logical OR)" data-template-type="three" data-latex-data="bigvee">&bigvee;</span> <span class="mjxgui-btn mjxgui-function" title="Big wedge (logical AND)" data-template-type="three" data-latex-data="bigwedge">&bigwedge;</span> <span class="mjxgui-btn mjxgui-function" title="Limit" data-template-type="null" data-function-id="lim"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" font-weight="500" text-anchor="middle" transform="matrix(.75 0 0 .75 279.5 326.267)"><tspan x="0">lim</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Square root" data-template-type="null" data-function-id="sqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path fill="none" fill-rule="evenodd" stroke-width="10.125" d="M288.978 190.824H495.53v206.552H288.978V190.824z"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Nth root" data-template-type="null" data-function-id="nsqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2,.cls-3{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}.cls-3{fill:none;stroke-width:10.125px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path d="M288.978 190.824H495.53v206.552H288.978V190.824z" class="cls-3"/><path id="Rectangle_1_copy" d="M69.42 178.744h90.512v90.512H69.42v-90.512z" class="cls-3" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript" data-template-type="null" data-function-id="sub"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 82.836h285.083v285.083H27.09V82.836z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 295.421h169.985V465.41H362.8V295.421z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Superscript" data-template-type="null" data-function-id="sup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 468.164h285.083V183.081H27.09v285.083z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 255.579h169.985V85.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript and Superscript" data-template-type="null" data-function-id="subsup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M34.7 413.554h267.862V145.693H34.7v267.861z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 243.579h169.985V73.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Rectangle_1_copy_2" d="M533.2 487.579H363.215V317.59H533.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Fraction" data-template-type="null" data-function-id="frac"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;fill-rule:evenodd;stroke-width:12.875px}</style></defs><path id="Rectangle_1_copy" d="M193.8 225.579h169.985V55.59H193.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Line_1" fill="none" fill-rule="evenodd" stroke="#000" stroke-width="10.125" d="M124 284v-1h295v1H124z" data-name="Line 1"/><path id="Rectangle_1_copy_2" d="M364.2 528.579H194.215V358.59H364.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Sine" data-template-type="trigonometric" data-latex-data="sin"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosine" data-template-type="trigonometric" data-latex-data="cos"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Tangent" data-template-type="trigonometric" data-latex-data="tan"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">tan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosecant" data-template-type="trigonometric" data-latex-data="csc"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">csc</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Secant" data-template-type="trigonometric" data-latex-data="sec"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sec</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cotangent" data-template-type="trigonometric" data-latex-data="cot"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cot</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse sine" data-template-type="trigonometric" data-latex-data="arcsin"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arcsin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse cosine" data-template-type="trigonometric" data-latex-data="arccos"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arccos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse tanget" data-template-type="trigonometric" data-latex-data="arctan"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arctan</tspan></text></svg></span></div><div style="text-align: center;"><button class="_mjxgui_dir_btn leftArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-left" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M5 12l6 6"/><path d="M5 12l6 -6"/></svg></button> <button class="_mjxgui_dir_btn rightArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-right" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M13 18l6 -6"/><path d="M13 6l6 6"/></svg></button></div><div class="_mjxgui_editor_display"></div>';
+            '<div class="mjxgui_editor_controls"><div style="cursor: pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="mjxgui_close_button_svg" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></div><div class="mjxgui_clear_save_buttons"><span class="mjxgui_button_container _mjxgui_clear_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-trash" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><line x1="4" y1="7" x2="20" y2="7"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/><path d="M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12"/><path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3"/></svg> </span><span class="mjxgui_button_container _mjxgui_save_equation"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-check" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l5 5l10 -10"/></svg></span></div></div><div class="_mjxgui_tab_container_container"><div class="mjxgui_tab_container" data-tab="1">&alpha; Letters</div><div class="mjxgui_tab_container" data-tab="2">&plusmn; Symbols</div><div class="mjxgui_tab_container" data-tab="3">&Sigma; Functions</div><div class="mjxgui_tab_container" data-tab="4">x&#770; Accents</div><div class="mjxgui_tab_container" data-tab="5">&Ropf; Styles</div><div class="mjxgui_tab_container" data-tab="6">&#x2697; Chemistry</div></div><div class="mjxgui_tab _mjxgui_letters_tab" style="display: flex;" data-tab="1"><span class="mjxgui-btn mjxgui-greek-letter" title="Alpha" data-latex-data="Alpha">&Alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Beta" data-latex-data="Beta">&Beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Gamma" data-latex-data="Gamma">&Gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Delta" data-latex-data="Delta">&Delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Epsilon" data-latex-data="Epsilon">&Epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Zeta" data-latex-data="Zeta">&Zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Eta" data-latex-data="Eta">&Eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Theta" data-latex-data="Theta">&Theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Iota" data-latex-data="Iota">&Iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Kappa" data-latex-data="Kappa">&Kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Lambda" data-latex-data="Lambda">&Lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Mu" data-latex-data="Mu">&Mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Nu" data-latex-data="Nu">&Nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Xi" data-latex-data="Xi">&Xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omicron" data-latex-data="Omicron">&Omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Pi" data-latex-data="Pi">&Pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Rho" data-latex-data="Rho">&Rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Sigma" data-latex-data="Sigma">&Sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Tau" data-latex-data="Tau">&Tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Upsilon" data-latex-data="Upsilon">&Upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Phi" data-latex-data="Phi">&Phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Chi" data-latex-data="Chi">&Chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Psi" data-latex-data="Psi">&Psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="Omega" data-latex-data="Omega">&Omega;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="alpha" data-latex-data="alpha">&alpha;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="beta" data-latex-data="beta">&beta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="gamma" data-latex-data="gamma">&gamma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="delta" data-latex-data="delta">&delta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="epsilon" data-latex-data="epsilon">&epsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="zeta" data-latex-data="zeta">&zeta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="eta" data-latex-data="eta">&eta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="theta" data-latex-data="theta">&theta;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="iota" data-latex-data="iota">&iota;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="kappa" data-latex-data="kappa">&kappa;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="lambda" data-latex-data="lambda">&lambda;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="mu" data-latex-data="mu">&mu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="nu" data-latex-data="nu">&nu;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="xi" data-latex-data="xi">&xi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omicron" data-latex-data="omicron">&omicron;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="pi" data-latex-data="pi">&pi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="rho" data-latex-data="rho">&rho;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="sigma" data-latex-data="sigma">&sigma;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="tau" data-latex-data="tau">&tau;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="upsilon" data-latex-data="upsilon">&upsilon;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="phi" data-latex-data="phi">&phi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="chi" data-latex-data="chi">&chi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="psi" data-latex-data="psi">&psi;</span> <span class="mjxgui-btn mjxgui-greek-letter" title="omega" data-latex-data="omega">&omega;</span></div><div class="mjxgui_tab _mjxgui_symbols_tab" data-tab="2"><span class="mjxgui-btn mjxgui-operator" title="Times" data-latex-data="times">&times;</span> <span class="mjxgui-btn mjxgui-operator" title="Divide" data-latex-data="div">&div;</span> <span class="mjxgui-btn mjxgui-operator" title="Center dot" data-latex-data="centerdot">&centerdot;</span> <span class="mjxgui-btn mjxgui-operator" title="Plus-minus" data-latex-data="plusmn">&plusmn;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than" data-latex-data="lt">&lt;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than" data-latex-data="gt">&gt;</span> <span class="mjxgui-btn mjxgui-operator" title="Less than or equal to" data-latex-data="leq">&leq;</span> <span class="mjxgui-btn mjxgui-operator" title="Greater than or equal to" data-latex-data="GreaterEqual">&GreaterEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Equals" data-latex-data="equals">&equals;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximate" data-latex-data="approx">&approx;</span> <span class="mjxgui-btn mjxgui-operator" title="Not equal" data-latex-data="NotEqual">&NotEqual;</span> <span class="mjxgui-btn mjxgui-operator" title="Minus-plus" data-latex-data="mnplus">&mnplus;</span> <span class="mjxgui-btn mjxgui-operator" title="Star" data-latex-data="starf">&starf;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cup" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-operator" title="Big cap" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-operator" title="Cup" data-latex-data="cup">&cup;</span> <span class="mjxgui-btn mjxgui-operator" title="Cap" data-latex-data="cap">&cap;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of" data-latex-data="sub">&sub;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of" data-latex-data="sup">&sup;</span> <span class="mjxgui-btn mjxgui-operator" title="Subset of or equal to" data-latex-data="sube">&sube;</span> <span class="mjxgui-btn mjxgui-operator" title="Superset of or equal to" data-latex-data="supe">&supe;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of" data-latex-data="nsub">&nsub;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of" data-latex-data="nsup">&nsup;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a subset of or equal to" data-latex-data="nsube">&nsube;</span> <span class="mjxgui-btn mjxgui-operator" title="Not a superset of or equal to" data-latex-data="nsupe">&nsupe;</span> <span class="mjxgui-btn mjxgui-operator" title="Proportional to" data-latex-data="propto">&propto;</span> <span class="mjxgui-btn mjxgui-operator" title="Parallel to" data-latex-data="parallel">&parallel;</span> <span class="mjxgui-btn mjxgui-operator" title="Not parallel to" data-latex-data="npar">&npar;</span> <span class="mjxgui-btn mjxgui-operator" title="Approximately equal to" data-latex-data="asympeq">&asympeq;</span> <span class="mjxgui-btn mjxgui-operator" title="Element of" data-latex-data="isin">&isin;</span> <span class="mjxgui-btn mjxgui-operator" title="Not an element of" data-latex-data="notin">&notin;</span> <span class="mjxgui-btn mjxgui-operator" title="There exists" data-latex-data="exist">&exist;</span> <span class="mjxgui-btn mjxgui-operator" title="There does not exist" data-latex-data="nexist">&nexist;</span> <span class="mjxgui-btn mjxgui-operator" title="Perpendicular to" data-latex-data="perp">&perp;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (left)" data-latex-data="Leftarrow">&Leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Implies (right)" data-latex-data="Rightarrow">&Rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="If and only if (iff)" data-latex-data="Leftrightarrow">&Leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Angle" data-latex-data="angle">&angle;</span> <span class="mjxgui-btn mjxgui-operator" title="Measured angle" data-latex-data="angmsd">&angmsd;</span> <span class="mjxgui-btn mjxgui-operator" title="Right arrow" data-latex-data="rightarrow">&rightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left arrow" data-latex-data="leftarrow">&leftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Left right arrow" data-latex-data="leftrightarrow">&leftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long right arrow" data-latex-data="longrightarrow">&longrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left arrow" data-latex-data="longleftarrow">&longleftarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Long left right arrow" data-latex-data="longleftrightarrow">&longleftrightarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up arrow" data-latex-data="uparrow">&uparrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Down arrow" data-latex-data="downarrow">&downarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Up down arrow" data-latex-data="updownarrow">&updownarrow;</span> <span class="mjxgui-btn mjxgui-operator" title="Partial derivative" data-latex-data="PartialD">&PartialD;</span> <span class="mjxgui-btn mjxgui-operator" title="Reduced Planck constant (h-bar)" data-latex-data="hbar">&hbar;</span> <span class="mjxgui-btn mjxgui-operator" title="Real part symbol" data-latex-data="real">&real;</span> <span class="mjxgui-btn mjxgui-operator" title="Nabla, del operator" data-latex-data="nabla">&nabla;</span> <span class="mjxgui-btn mjxgui-operator" title="Infinity symbol" data-latex-data="infin">&infin;</span></div><div class="mjxgui_tab _mjxgui_functions_tab" data-tab="3"><span class="mjxgui-btn mjxgui-function" title="Summation" data-template-type="three" data-latex-data="sum">&Sigma;</span> <span class="mjxgui-btn mjxgui-function" title="Integral" data-template-type="three" data-latex-data="int">&int;</span> <span class="mjxgui-btn mjxgui-function" title="Double integral" data-template-type="three" data-latex-data="iint">&#8748</span> <span class="mjxgui-btn mjxgui-function" title="Triple integral" data-template-type="three" data-latex-data="iiint">&iiint;</span> <span class="mjxgui-btn mjxgui-function" title="Contour integral" data-template-type="three" data-latex-data="oint">&oint;</span> <span class="mjxgui-btn mjxgui-function" title="Product" data-template-type="three" data-latex-data="prod">&Pi;</span> <span class="mjxgui-btn mjxgui-function" title="Co product" data-template-type="three" data-latex-data="coprod">&coprod;</span> <span class="mjxgui-btn mjxgui-function" title="Big cup (union)" data-template-type="three" data-latex-data="bigcup">&bigcup;</span> <span class="mjxgui-btn mjxgui-function" title="Big cap (intersection)" data-template-type="three" data-latex-data="bigcap">&bigcap;</span> <span class="mjxgui-btn mjxgui-function" title="Big vee (logical OR)" data-template-type="three" data-latex-data="bigvee">&bigvee;</span> <span class="mjxgui-btn mjxgui-function" title="Big wedge (logical AND)" data-template-type="three" data-latex-data="bigwedge">&bigwedge;</span> <span class="mjxgui-btn mjxgui-function" title="Limit" data-template-type="null" data-function-id="lim"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" font-weight="500" text-anchor="middle" transform="matrix(.75 0 0 .75 279.5 326.267)"><tspan x="0">lim</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Derivative" data-template-type="null" data-function-id="derivative"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">d/dx</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Partial derivative" data-template-type="null" data-function-id="partial"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&part;/&part;x</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Mixed partial derivative" data-template-type="null" data-function-id="partial" data-variables="2"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="170" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&part;&sup2;/&part;x&part;y</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Definite integral" data-template-type="null" data-function-id="integral"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="300" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">&int;dx</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Evaluation bar" data-template-type="null" data-function-id="evaluate"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="280" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">F&#x2502;&#x2090;&#x1D47;</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Quantity with units" data-template-type="quantity" data-function-id="quantity"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="220" text-anchor="middle" transform="translate(283.5 360)"><tspan x="0">9.8 m/s</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Square root" data-template-type="null" data-function-id="sqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path fill="none" fill-rule="evenodd" stroke-width="10.125" d="M288.978 190.824H495.53v206.552H288.978V190.824z"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Nth root" data-template-type="null" data-function-id="nsqrt"><svg viewBox="0 0 567 567"><defs><style>.cls-1,.cls-2,.cls-3{fill-rule:evenodd}.cls-1{stroke-width:4.667px}.cls-2{stroke-width:7.417px}.cls-3{fill:none;stroke-width:10.125px}</style></defs><path id="Line_1" d="M3.707 306.883l-1.73-2.643 41.9-27.427 1.73 2.642z" class="cls-1" data-name="Line 1"/><path id="Line_2" d="M47.233 275.65l1.831-1.045 80.1 140.4-1.831 1.044z" class="cls-1" data-name="Line 2"/><path id="Line_3" d="M129.569 410.274l-3.113-1.374 111.707-252.923 3.113 1.375z" class="cls-2" data-name="Line 3"/><path id="Line_4" d="M241.471 154.67v-1.746h322.563v1.746H241.471z" class="cls-2" data-name="Line 4"/><path d="M288.978 190.824H495.53v206.552H288.978V190.824z" class="cls-3"/><path id="Rectangle_1_copy" d="M69.42 178.744h90.512v90.512H69.42v-90.512z" class="cls-3" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript" data-template-type="null" data-function-id="sub"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 82.836h285.083v285.083H27.09V82.836z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 295.421h169.985V465.41H362.8V295.421z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Superscript" data-template-type="null" data-function-id="sup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M27.09 468.164h285.083V183.081H27.09v285.083z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 255.579h169.985V85.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Subscript and Superscript" data-template-type="null" data-function-id="subsup"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;stroke-width:12.875px;fill-rule:evenodd}</style></defs><path d="M34.7 413.554h267.862V145.693H34.7v267.861z" class="cls-1"/><path id="Rectangle_1_copy" d="M362.8 243.579h169.985V73.59H362.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Rectangle_1_copy_2" d="M533.2 487.579H363.215V317.59H533.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Fraction" data-template-type="null" data-function-id="frac"><svg viewBox="0 0 567 567"><defs><style>.cls-1{fill:none;fill-rule:evenodd;stroke-width:12.875px}</style></defs><path id="Rectangle_1_copy" d="M193.8 225.579h169.985V55.59H193.8v169.989z" class="cls-1" data-name="Rectangle 1 copy"/><path id="Line_1" fill="none" fill-rule="evenodd" stroke="#000" stroke-width="10.125" d="M124 284v-1h295v1H124z" data-name="Line 1"/><path id="Rectangle_1_copy_2" d="M364.2 528.579H194.215V358.59H364.2v169.989z" class="cls-1" data-name="Rectangle 1 copy 2"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Cases (piecewise function)" data-template-type="null" data-function-id="cases"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M190 90q-50 0-50 50v90q0 50-50 53q50 3 50 53v90q0 50 50 50"/><path d="M230 140h85v85h-85zM360 140h85v85h-85zM230 342h85v85h-85zM360 342h85v85h-85z"/></g></svg></span><span class="mjxgui-btn mjxgui-function" title="Sine" data-template-type="trigonometric" data-latex-data="sin"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosine" data-template-type="trigonometric" data-latex-data="cos"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Tangent" data-template-type="trigonometric" data-latex-data="tan"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">tan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cosecant" data-template-type="trigonometric" data-latex-data="csc"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">csc</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Secant" data-template-type="trigonometric" data-latex-data="sec"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">sec</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Cotangent" data-template-type="trigonometric" data-latex-data="cot"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">cot</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse sine" data-template-type="trigonometric" data-latex-data="arcsin"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arcsin</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse cosine" data-template-type="trigonometric" data-latex-data="arccos"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arccos</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Inverse tangent" data-template-type="trigonometric" data-latex-data="arctan"><svg width="45" height="20" viewBox="0 0 2000 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="500" text-anchor="middle" transform="matrix(1.5 0 0 1.5 973.5 496)"><tspan x="0">arctan</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Matrix" data-template-type="matrix" data-function-id="matrix"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M150 90q-70 193 0 387"/><path d="M417 90q70 193 0 387"/><path d="M185 140h85v85h-85zM297 140h85v85h-85zM185 342h85v85h-85zM297 342h85v85h-85z"/></g></svg></span><span class="mjxgui-btn mjxgui-function" title="Text mode (Alt+T)" data-template-type="text" data-function-id="text"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(286.022 367.216) scale(1.235)"><tspan x="0">Tt</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Auto-sizing brackets" data-template-type="delimited" data-function-id="delimited"><svg viewBox="0 0 567 567"><g fill="none" stroke="var(--default-font-color)" stroke-width="12"><path d="M170 70q-90 213 0 427"/><path d="M397 70q90 213 0 427"/><path d="M241 241h85v85h-85z"/></g></svg></span></div><div class="mjxgui_tab _mjxgui_accents_tab" data-tab="4"><span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Hat" data-template-type="accent" data-latex-data="hat">x&#770;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Bar (mean)" data-template-type="accent" data-latex-data="bar">x&#772;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Vector" data-template-type="accent" data-latex-data="vec">x&#8407;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Dot (time derivative)" data-template-type="accent" data-latex-data="dot">x&#775;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Double dot (second time derivative)" data-template-type="accent" data-latex-data="ddot">x&#776;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Tilde" data-template-type="accent" data-latex-data="tilde">x&#771;</span> <span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Overline" data-template-type="accent" data-latex-data="overline"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 467.216) scale(1.235)"><tspan x="0">AB</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="24" d="M90 110h387"/></svg></span><span class="mjxgui-btn mjxgui-function mjxgui-accent" title="Vector arrow" data-template-type="accent" data-latex-data="overrightarrow"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 467.216) scale(1.235)"><tspan x="0">AB</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="24" d="M90 110h387m-60 -50l60 50l-60 50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Overbrace with label" data-template-type="brace" data-latex-data="overbrace"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 487.216) scale(1.235)"><tspan x="0">ab</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="20" d="M90 170q0-50 50-50h90q40 0 53-50q13 50 53 50h90q50 0 50 50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Underbrace with label" data-template-type="brace" data-latex-data="underbrace"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 297.216) scale(1.235)"><tspan x="0">ab</tspan></text><path fill="none" stroke="var(--default-font-color)" stroke-width="20" d="M90 397q0 50 50 50h90q40 0 53 50q13-50 53-50h90q50 0 50-50"/></svg></span><span class="mjxgui-btn mjxgui-function" title="Label above (overset)" data-template-type="set" data-latex-data="overset"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" text-anchor="middle"><tspan x="283.5" y="200" font-size="200">a</tspan><tspan x="283.5" y="500" font-size="380">=</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function" title="Label below (underset)" data-template-type="set" data-latex-data="underset"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" text-anchor="middle"><tspan x="283.5" y="330" font-size="380">=</tspan><tspan x="283.5" y="520" font-size="200">a</tspan></text></svg></span></div><div class="mjxgui_tab _mjxgui_styles_tab" data-tab="5"><span class="mjxgui-btn mjxgui-function mjxgui-style" title="Blackboard bold" data-template-type="style" data-latex-data="mathbb">&Ropf;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Bold" data-template-type="style" data-latex-data="mathbf">&#x1D401;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Calligraphic" data-template-type="style" data-latex-data="mathcal">&Lscr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Fraktur" data-template-type="style" data-latex-data="mathfrak">&gfr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-style" title="Roman (upright)" data-template-type="style" data-latex-data="mathrm">d</span> <span class="mjxgui-btn mjxgui-function" title="Color" data-template-type="color" data-function-id="color"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="310.5" text-anchor="middle" transform="translate(283.5 367.216) scale(1.235)"><tspan x="0">A</tspan></text><path fill="none" stroke="#e53935" stroke-width="48" d="M110 480h347"/></svg></span></div><div class="mjxgui_tab _mjxgui_chemistry_tab" data-tab="6"><span class="mjxgui-btn mjxgui-function" title="Chemistry mode (Alt+C)" data-template-type="chemistry" data-function-id="chemistry"><svg viewBox="0 0 567 567"><text fill="var(--default-font-color)" font-family="Cambria" font-size="260" text-anchor="middle" transform="translate(283.5 370)"><tspan x="0">H&#x2082;O</tspan></text></svg></span><span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Reaction arrow (yields)" data-template-type="chemistry-symbol" data-latex-data="-&gt;">&rarr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Equilibrium arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;=&gt;">&#x21CC;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Reverse reaction arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;-">&larr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Resonance arrow" data-template-type="chemistry-symbol" data-latex-data="&lt;-&gt;">&harr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Gas evolved" data-template-type="chemistry-symbol" data-latex-data="^">&uarr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Precipitate" data-template-type="chemistry-symbol" data-latex-data="v">&darr;</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Solid state" data-template-type="chemistry-symbol" data-latex-data="(s)">(s)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Liquid state" data-template-type="chemistry-symbol" data-latex-data="(l)">(l)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Gas state" data-template-type="chemistry-symbol" data-latex-data="(g)">(g)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Aqueous state" data-template-type="chemistry-symbol" data-latex-data="(aq)">(aq)</span> <span class="mjxgui-btn mjxgui-function mjxgui-chemistry" title="Hydrate dot" data-template-type="chemistry-symbol" data-latex-data="*">&middot;</span></div><div class="_mjxgui_color_picker" data-visible="false"><select class="_mjxgui_color_type" title="Apply as"><option value="text">Text color</option><option value="background">Highlight</option></select><div class="_mjxgui_color_options"></div></div><div class="_mjxgui_delimiter_picker" data-visible="false"><select class="_mjxgui_delimiter_action" title="Action"><option value="insert">Insert</option><option value="change">Change current</option></select><div class="_mjxgui_delimiter_options"><span class="_mjxgui_delimiter_option" title="Parentheses" data-delimiter-kind="parentheses">( )</span> <span class="_mjxgui_delimiter_option" title="Brackets" data-delimiter-kind="brackets">[ ]</span> <span class="_mjxgui_delimiter_option" title="Braces" data-delimiter-kind="braces">{ }</span> <span class="_mjxgui_delimiter_option" title="Angle brackets" data-delimiter-kind="angles">&lang; &rang;</span> <span class="_mjxgui_delimiter_option" title="Absolute value" data-delimiter-kind="bars">| |</span> <span class="_mjxgui_delimiter_option" title="Norm" data-delimiter-kind="doubleBars">&Vert; &Vert;</span> <span class="_mjxgui_delimiter_option" title="Floor" data-delimiter-kind="floor">&lfloor; &rfloor;</span> <span class="_mjxgui_delimiter_option" title="Ceiling" data-delimiter-kind="ceil">&lceil; &rceil;</span> <span class="_mjxgui_delimiter_option" title="Invisible" data-delimiter-kind="none">None</span></div></div><div class="_mjxgui_matrix_picker" data-visible="false"><select class="_mjxgui_matrix_type" title="Brackets"><option value="pmatrix">( )</option><option value="bmatrix">[ ]</option><option value="Bmatrix">{ }</option><option value="vmatrix">| |</option><option value="matrix">None</option></select><div class="_mjxgui_matrix_grid"></div><span class="_mjxgui_matrix_size"></span></div><div style="text-align: center;"><button class="_mjxgui_dir_btn leftArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-left" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M5 12l6 6"/><path d="M5 12l6 -6"/></svg></button> <button class="_mjxgui_dir_btn rightArrowButton" style="cursor:pointer;"><svg xmlns="http://www.w3.org/2000/svg" class="icon icon-tabler icon-tabler-arrow-right" width="20" height="20" viewBox="0 0 24 24" stroke-width="1.5" stroke="#000000" fill="none" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"/><path d="M5 12l14 0"/><path d="M13 18l6 -6"/><path d="M13 6l6 6"/></svg></button></div><div class="_mjxgui_editor_display" role="math"></div><div class="_mjxgui_editor_speech" aria-live="polite"></div>';
         if (this.options.theme?.toLowerCase().trim() === 'dark') {
             editorDiv.classList.add('_mjxgui_dark_theme');
         }
@@ -231,6 +694,28 @@ class MJXGUI {
         this.eqnDisplay = editorDiv.querySelector('._mjxgui_editor_display');
         this.eqnDisplay.innerHTML = `${this.mathDelimiter} | ${this.mathDelimiter}`;
 
+        // Screen readers announce the spoken form of the equation whenever the display changes
+        this.speechDescription = editorDiv.querySelector(
+            '._mjxgui_editor_speech',
+        );
+        this.speechDescription.id = `_mjxgui_editor_speech_${document.querySelectorAll('._mjxgui_editor_window').length}`;
+        this.eqnDisplay.setAttribute(
+            'aria-describedby',
+            this.speechDescription.id,
+        );
+        let speechTimeout = null;
+        new MutationObserver(() => {
+            // MathJax changes the display more than once per update, and keys can be held down, so the speech is
+            // only generated once the display has stopped changing. Only actual changes are announced.
+            clearTimeout(speechTimeout);
+            speechTimeout = setTimeout(() => {
+                const speech = this.getSpeech();
+                if (this.speechDescription.textContent !== speech) {
+                    this.speechDescription.textContent = speech;
+                }
+            }, speechUpdateDelay);
+        }).observe(this.eqnDisplay, { childList: true });
+
         this.pseudoMobileKeyboard = editorDiv.querySelector(
             '.mjxgui-pseudo-mobile-keyboard',
         );
@@ -273,6 +758,10 @@ class MJXGUI {
             });
         });
 
+        this.constructMatrixPicker();
+        this.constructDelimiterPicker();
+        this.constructColorPicker();
+
         const closeEditor = editorDiv.querySelector('.mjxgui_close_button_svg');
         closeEditor.addEventListener('click', this.hideUI);
 
@@ -287,7 +776,11 @@ class MJXGUI {
             '._mjxgui_save_equation',
         );
         saveEquationButton.addEventListener('click', () => {
-            this.successCallback(this.getLatex(), this);
+            const output =
+                this.outputFormat === 'asciimath'
+                    ? this.getAsciiMath()
+                    : this.getLatex();
+            this.successCallback(output, this);
             this.hideUI();
             if (!this.isPersistent) this.clearEquation();
         });
@@ -295,6 +788,106 @@ class MJXGUI {
         document.body.appendChild(editorDiv);
     }
 
+    constructMatrixPicker() {
+        // Fill the matrix size picker with a grid of cells. Hovering over a cell highlights the size of the
+        // matrix and clicking it inserts a matrix of that size with the selected brackets.
+        this.matrixPicker = this.editorWindow.querySelector(
+            '._mjxgui_matrix_picker',
+        );
+        const grid = this.matrixPicker.querySelector('._mjxgui_matrix_grid');
+        const size = this.matrixPicker.querySelector('._mjxgui_matrix_size');
+        const type = this.matrixPicker.querySelector('._mjxgui_matrix_type');
+        grid.style.gridTemplateColumns = `repeat(${matrixPickerSize}, auto)`;
+
+        const cells = [];
+        const highlight = (rows, columns) => {
+            cells.forEach(cell => {
+                cell.classList.toggle(
+                    '_mjxgui_matrix_cell_selected',
+                    cell.dataset.rows <= rows &&
+                        cell.dataset.columns <= columns,
+                );
+            });
+            size.textContent = `${rows} × ${columns}`;
+        };
+        for (let i = 1; i <= matrixPickerSize; i++) {
+            for (let j = 1; j <= matrixPickerSize; j++) {
+                const cell = document.createElement('span');
+                cell.classList.add('_mjxgui_matrix_cell');
+                cell.dataset.rows = i;
+                cell.dataset.columns = j;
+                cell.title = `${i} × ${j}`;
+                cell.addEventListener('mouseover', () => highlight(i, j));
+                cell.addEventListener('click', () => {
+                    this.cursor.addComponent(
+                        new Matrix(this.cursor.block, type.value, i, j),
+                    );
+                    this.cursor.updateDisplay();
+                    this.matrixPicker.dataset.visible = 'false';
+                });
+                cells.push(cell);
+                grid.appendChild(cell);
+            }
+        }
+        highlight(2, 2);
+    }
+
+    constructDelimiterPicker() {
+        // Each option of the delimiter picker either wraps the selection in a new Delimited component with its
+        // delimiters or changes the delimiters of the one the cursor is in, depending on the selected action
+        this.delimiterPicker = this.editorWindow.querySelector(
+            '._mjxgui_delimiter_picker',
+        );
+        const action = this.delimiterPicker.querySelector(
+            '._mjxgui_delimiter_action',
+        );
+        this.delimiterPicker
+            .querySelectorAll('._mjxgui_delimiter_option')
+            .forEach(option => {
+                option.addEventListener('click', () => {
+                    const [left, right] =
+                        delimiterKinds[option.dataset.delimiterKind];
+                    if (action.value === 'change') {
+                        this.cursor.setDelimiters(left, right);
+                    } else {
+                        this.cursor.wrapSelection(
+                            new Delimited(this.cursor.block, left, right),
+                        );
+                    }
+                    this.cursor.updateDisplay();
+                    this.delimiterPicker.dataset.visible = 'false';
+                });
+            });
+    }
+
+    constructColorPicker() {
+        // Add a swatch to the color picker for each color of the palette. Clicking a swatch wraps the selection,
+        // or inserts an empty block, in the color as either its text color or its background.
+        this.colorPicker = this.editorWindow.querySelector(
+            '._mjxgui_color_picker',
+        );
+        const options = this.colorPicker.querySelector(
+            '._mjxgui_color_options',
+        );
+        const type = this.colorPicker.querySelector('._mjxgui_color_type');
+        for (let color of this.colorPalette) {
+            const swatch = document.createElement('span');
+            swatch.classList.add('_mjxgui_color_option');
+            swatch.style.backgroundColor = color;
+            swatch.title = color;
+            swatch.addEventListener('click', () => {
+                const componentClass =
+                    type.value === 'background' ? ColorBox : Colored;
+                this.cursor.wrapSelection(
+                    new componentClass(this.cursor.block, color),
+                );
+                this.cursor.updateDisplay();
+                this.colorPicker.dataset.visible = 'false';
+            });
+            options.appendChild(swatch);
+        }
+    }
+
     // Remove the current expression from the display, add it to the history, create a new expression and reset
     // all cursor properties to defaults.
     clearEquation() {
@@ -305,6 +898,7 @@ class MJXGUI {
         this.cursor.block = null;
         this.cursor.component = null;
         this.cursor.child = -0.5;
+        this.cursor.selectionAnchor = null;
         this.cursor.position = -0.5;
         this.cursor.latex = '';
         this.cursor.updateDisplay();
@@ -319,6 +913,152 @@ class MJXGUI {
         return this.cursor.toLatex();
     }
 
+    /**
+     * Getter method that returns the LaTeX for showing the currently built
+     * equation with MathJax. This is the same as getLatex(), except that
+     * quantities are plain LaTeX with their invalid units flagged.
+     * @returns String - The LaTeX to typeset.
+     */
+    getPreviewLatex() {
+        return generatePreviewLatex(this.expression);
+    }
+
+    /**
+     * Getter method that returns the AsciiMath for the currently built
+     * equation.
+     * @returns String - The generated AsciiMath.
+     */
+    getAsciiMath() {
+        return this.expression.toAsciiMath();
+    }
+
+    /**
+     * Replaces the equation being built with the equation described by the given AsciiMath.
+     * The current equation is added to the history.
+     * @param asciimath String - The AsciiMath to load into the editor
+     */
+    setAsciiMath(asciimath) {
+        this.loadExpression(new AsciiMathParser(asciimath).parse());
+    }
+
+    /**
+     * Getter method that returns a plain text, linear format of the currently built
+     * equation, for places where neither LaTeX nor MathML can be rendered.
+     * @returns String - The generated text, like x=(-b±√(b²-4ac))/2a
+     */
+    getUnicode() {
+        return this.expression.toUnicode();
+    }
+
+    /**
+     * Getter method that returns the currently built equation the way it would be
+     * read out loud, using the titles of the toolbar buttons to name symbols and functions.
+     * @param mode String - "verbose" or "brief", defaults to the speechMode option
+     * @returns String - The generated text, like "the fraction with numerator x plus 1 and denominator 2"
+     */
+    getSpeech(mode = this.speechMode) {
+        return new SpeechGenerator(this.expression, {
+            mode,
+            vocabulary: this.speechVocabulary,
+        }).generate();
+    }
+
+    /**
+     * Getter method that returns presentation MathML for the currently built
+     * equation.
+     * @returns String - The generated MathML, as a <math> element.
+     */
+    getMathML() {
+        return this.expression.toMathML();
+    }
+
+    /**
+     * Getter method that interprets the currently built equation as mathematics
+     * and returns the resulting semantic tree. Anything that can't be interpreted
+     * is reported as a node with type "error".
+     * @returns Object - The root node of the tree generated by SemanticParser.
+     */
+    getSemanticTree() {
+        return new SemanticParser(this.expression).parse();
+    }
+
+    /**
+     * Getter method that returns Content MathML for the currently built equation.
+     * @returns String - The generated Content MathML, as a <math> element.
+     */
+    getContentMathML() {
+        return `<math xmlns="http://www.w3.org/1998/Math/MathML">${semanticTreeToContentMathML(this.getSemanticTree())}</math>`;
+    }
+
+    /**
+     * Getter method that returns the currently built equation as a SymPy expression.
+     * @returns String - Python code for the SymPy expression, like Sum(i**2, (i, 1, n)).
+     * Throws a SymPyExportError naming the part of the equation that can't be converted.
+     */
+    getSymPy() {
+        return this.expression.toSymPy();
+    }
+
+    /**
+     * Computes the numeric value of the currently built equation.
+     * @param variables Object - The value of each variable, like { x: 2, theta: 0.5 }
+     * @returns Number - The value of the equation. Throws an EvaluationError if the equation
+     * can't be evaluated, which points to the component that caused the error.
+     */
+    evaluate(variables = {}) {
+        return this.expression.evaluate(variables);
+    }
+
+    /**
+     * Replaces the equation being built with the equation described by the given LaTeX,
+     * so that an equation saved as LaTeX can be edited again. The current equation is
+     * added to the history.
+     * @param latex String - The LaTeX to load into the editor
+     */
+    setLatex(latex) {
+        this.loadExpression(new LatexParser(latex).parse());
+    }
+
+    /**
+     * Getter method that returns the structure of the currently built
+     * equation as a JSON-serializable object.
+     * @returns Object - The output of Expression.toJSON().
+     */
+    getJSON() {
+        return this.expression.toJSON();
+    }
+
+    /**
+     * Replaces the equation being built with the equation described by the given JSON,
+     * as generated by getJSON(). The current equation is added to the history.
+     * @param json Object|String - The JSON to load into the editor
+     */
+    setJSON(json) {
+        this.loadExpression(Expression.fromJSON(json));
+    }
+
+    // Add the current expression to the history and replace it with the given expression, placing
+    // the cursor at the end of the new expression.
+    loadExpression(expression) {
+        // With a restricted palette, colors that aren't approved are removed from the loaded equation
+        if (this.options.colors) {
+            removeUnapprovedColors(
+                expression.components,
+                new Set(this.colorPalette.map(color => color.toLowerCase())),
+            );
+        }
+        this.eqnHistory.push(this.expression);
+        this.expression = expression;
+        this.cursor.expression = this.expression;
+        this.cursor.block = null;
+        this.cursor.component = null;
+        this.cursor.child = -0.5;
+        this.cursor.selectionAnchor = null;
+        this.cursor.position = this.expression.components.length - 0.5;
+        this.cursor.latex = '';
+        this.cursor.updateDisplay();
+    }
+
     /**
      * Removes all MJXGUI click listeners for the current selector,
      * selects DOM elements again, and rebinds MJXGUI click listeners. Meant
@@ -334,9 +1074,30 @@ class MJXGUI {
         });
     }
 
+    /**
+     * Inserts a function at the cursor, like the toolbar button with the
+     * same data-function-id.
+     @param functionId The key of the function in functionComponentMap, like "frac", or the name of a component
+      created with defineComponent()
+     */
+    insertFunction(functionId) {
+        if (
+            !Object.prototype.hasOwnProperty.call(
+                functionComponentMap,
+                functionId,
+            )
+        ) {
+            throw new Error(`Unknown function "${functionId}"`);
+        }
+        const componentClass = functionComponentMap[functionId];
+        this.cursor.addComponent(new componentClass(this.cursor.block));
+        this.cursor.updateDisplay();
+    }
+
     /**
      * Adds a function to the UI that is not supported out of the box.
-     @param componentClass A class that inherits from one of MJXGUI's many component classes
+     @param componentClass A class that inherits from one of MJXGUI's many component classes, or the name of a
+      component created with defineComponent()
      @param buttonContent HTML or text content that will be placed inside the rendered button
      @param title The title to show when a user hovers over the button
      @param typeset true if MathJax should typeset buttonContent
@@ -348,12 +1109,27 @@ class MJXGUI {
         title = '',
         typeset = false,
     ) {
+        if (typeof componentClass === 'string') {
+            if (
+                !Object.prototype.hasOwnProperty.call(
+                    functionComponentMap,
+                    componentClass,
+                )
+            ) {
+                throw new Error(`Unknown component "${componentClass}"`);
+            }
+            componentClass = functionComponentMap[componentClass];
+        }
+        // Register the class so that equations using it can be restored from JSON
+        registerComponent(componentClass);
         const el = document.createElement('span');
         el.classList.add('mjxgui-btn', 'mjxgui-function');
         el.title = title;
         el.dataset.templateType = 'user-defined';
         el.dataset.functionId = 'user-defined';
         el.innerHTML = buttonContent;
+        if (title)
+            this.speechVocabulary.set(componentClass, title.toLowerCase());
         this.editorWindow
             .querySelector('._mjxgui_functions_tab')
             .appendChild(el);
@@ -379,6 +1155,7 @@ class MJXGUI {
         el.title = title;
         el.dataset.latexData = latexData;
         el.innerHTML = buttonContent;
+        if (title) this.speechVocabulary.set(latexData, title.toLowerCase());
         this.editorWindow.querySelector('._mjxgui_symbols_tab').appendChild(el);
         if (typeset) MathJax.typesetPromise([el]).then(() => {});
 
@@ -389,6 +1166,19 @@ class MJXGUI {
         });
     }
 
+    /**
+     * Checks whether an answer is equivalent to the expected answer.
+     * @param expected The expected answer, as LaTeX or as an Expression
+     * @param actual The answer to check, as LaTeX or as an Expression
+     * @param options An object of options. mode is "structural", "latex" or "numeric" (the default).
+     * See compareAnswers() for the other options.
+     * @returns Object - The verdict ("correct" or "incorrect") and the reason for it, like
+     * { verdict: 'correct', reason: 'The answers agree at 10 random points' }
+     */
+    static checkAnswer(expected, actual, options = {}) {
+        return compareAnswers(expected, actual, options);
+    }
+
     /**
      * Transforms an <input> element into a button that allows users to enter an equation using MJXGUI.
      * Stores the resulting LaTeX of the equation as the value of the input.
@@ -424,12 +1214,13 @@ class MJXGUI {
                 function () {},
                 options,
             );
-            widget.successCallback = function (latex, instance) {
-                if (latex.length > 0) {
-                    // Set input value and show equation preview
-                    inp.value = latex;
+            widget.successCallback = function (output, instance) {
+                if (output.length > 0) {
+                    // Set input value and show equation preview. The preview is always typeset
+                    // from LaTeX, even if the input's value is AsciiMath.
+                    inp.value = output;
                     MathJax.typesetClear([eqnDisplay]);
-                    eqnDisplay.innerHTML = `$ ${latex} $`;
+                    eqnDisplay.innerHTML = `$ ${instance.getPreviewLatex()} $`;
                     MathJax.typesetPromise([eqnDisplay]).then(() => {});
 
                     inpButton.textContent = 'Edit';
@@ -447,6 +1238,30 @@ class MJXGUI {
                     inputEl.classList.add('_mjxgui_equation_input_invalid');
                     inputEl.classList.remove('_mjxgui_equation_input_valid');
                 }
+
+                // Check the answer if the input has an expected answer
+                const expected =
+                    inp.dataset.expectedAnswer ?? options.expectedAnswer;
+                if (expected !== undefined) {
+                    const result =
+                        output.length > 0
+                            ? MJXGUI.checkAnswer(
+                                  expected,
+                                  instance.expression,
+                                  options.answerCheck,
+                              )
+                            : { verdict: 'incorrect', reason: 'No answer' };
+                    const correct = result.verdict === 'correct';
+                    inputEl.classList.toggle(
+                        '_mjxgui_equation_input_correct',
+                        correct,
+                    );
+                    inputEl.classList.toggle(
+                        '_mjxgui_equation_input_incorrect',
+                        !correct,
+                    );
+                    inputEl.dataset.answerReason = result.reason;
+                }
             };
         }
     }